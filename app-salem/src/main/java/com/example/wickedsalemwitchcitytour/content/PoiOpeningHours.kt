@@ -0,0 +1,179 @@
+/*
+ * WickedSalemWitchCityTour v1.0
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * This source code is proprietary and confidential.
+ * Unauthorized copying, modification, or distribution is
+ * strictly prohibited.
+ */
+
+package com.example.wickedsalemwitchcitytour.content
+
+import androidx.sqlite.db.SupportSQLiteDatabase
+import com.example.locationmapapp.util.DebugLogger
+import com.example.wickedsalemwitchcitytour.content.db.SalemContentDatabase
+import java.time.Instant
+import java.time.LocalDate
+import java.time.ZoneId
+import javax.inject.Inject
+import javax.inject.Singleton
+import org.json.JSONArray
+import org.json.JSONObject
+
+@Suppress("unused")
+private const val MODULE_ID = "(C) Destructive AI Gurus, LLC, 2026 - Module PoiOpeningHours.kt"
+
+/**
+ * Opening hours baked into salem_content.db by `publish-salem-pois.js`
+ * (`poi_opening_hours` + `poi_public_holidays`, plain SQLite sidecars outside
+ * Room), evaluated on device so the map and Find can grey out businesses that
+ * are closed right now.
+ *
+ * Each row carries the rule JSON documented at the top of
+ * `cache-proxy/lib/opening-hours.js`; [isOpenAt] is a straight port of that
+ * file's evaluator (last matching rule decides the day, times past 1440 spill
+ * into the next morning, wall-clock time in the row's zone). Holidays come
+ * from the table rather than being recomputed here, so a PH rule stops
+ * matching once the asset outlives the years it was baked with.
+ *
+ * A POI with no row — no hours, hours that didn't parse, or an older asset
+ * without the tables — is [State.UNKNOWN], never closed.
+ */
+@Singleton
+class PoiOpeningHours @Inject constructor(
+    private val contentDb: SalemContentDatabase,
+) {
+    enum class State { OPEN, CLOSED, UNKNOWN }
+
+    private class MonthRange(val from: Int, val to: Int)   // month * 100 + day
+    private class DaySpec(val wd: Int, val nth: Int?)       // wd 0 = Monday; nth -1 = last
+    private class Rule(
+        val months: List<MonthRange>?,
+        val days: List<DaySpec>?,
+        val ph: Boolean,
+        val times: List<IntArray>,
+        val off: Boolean,
+    )
+    private class Hours(val rules: List<Rule>, val zone: ZoneId)
+
+    private class Snapshot(val byPoi: Map<String, Hours>, val holidays: Set<LocalDate>)
+
+    @Volatile private var snapshot: Snapshot? = null
+
+    /** Idempotent. First call reads the sidecar; call off the main thread. */
+    fun ensureLoaded() {
+        if (snapshot != null) return
+        synchronized(this) {
+            if (snapshot != null) return
+            snapshot = try {
+                load(contentDb.openHelper.readableDatabase)
+            } catch (e: Throwable) {
+                DebugLogger.e(TAG, "Failed to load opening hours: ${e.message}", e)
+                Snapshot(emptyMap(), emptySet())
+            }
+        }
+    }
+
+    fun stateAt(poiId: String, at: Instant = Instant.now()): State {
+        ensureLoaded()
+        val s = snapshot!!
+        val hours = s.byPoi[poiId] ?: return State.UNKNOWN
+        return if (isOpenAt(hours, at, s.holidays)) State.OPEN else State.CLOSED
+    }
+
+    fun isClosedNow(poiId: String): Boolean = stateAt(poiId) == State.CLOSED
+
+    private fun load(db: SupportSQLiteDatabase): Snapshot {
+        val present = db.query(
+            "SELECT COUNT(*) FROM sqlite_master WHERE type = 'table' " +
+                "AND name IN ('poi_opening_hours', 'poi_public_holidays')",
+        ).use { c -> c.moveToFirst() && c.getInt(0) == 2 }
+        if (!present) return Snapshot(emptyMap(), emptySet())
+
+        val holidays = HashSet<LocalDate>()
+        db.query("SELECT date FROM poi_public_holidays").use { c ->
+            while (c.moveToNext()) {
+                runCatching { LocalDate.parse(c.getString(0)) }.onSuccess { holidays.add(it) }
+            }
+        }
+
+        val byPoi = HashMap<String, Hours>()
+        db.query("SELECT poi_id, rules, timezone FROM poi_opening_hours").use { c ->
+            while (c.moveToNext()) {
+                val poiId = c.getString(0)
+                try {
+                    byPoi[poiId] = Hours(parseRules(JSONArray(c.getString(1))), ZoneId.of(c.getString(2)))
+                } catch (e: Exception) {
+                    DebugLogger.w(TAG, "hours for $poiId: ${e.message} — treated as unknown")
+                }
+            }
+        }
+        DebugLogger.i(TAG, "Loaded opening hours for ${byPoi.size} POIs, ${holidays.size} holidays")
+        return Snapshot(byPoi, holidays)
+    }
+
+    private fun parseRules(arr: JSONArray): List<Rule> = List(arr.length()) { i ->
+        val r = arr.getJSONObject(i)
+        Rule(
+            months = r.optJSONArray("months")?.let { ms ->
+                List(ms.length()) { j ->
+                    val m = ms.getJSONObject(j)
+                    val from = m.getJSONArray("from")
+                    val to = m.getJSONArray("to")
+                    MonthRange(
+                        from = from.getInt(0) * 100 + (if (from.isNull(1)) 1 else from.getInt(1)),
+                        to = to.getInt(0) * 100 + (if (to.isNull(1)) 31 else to.getInt(1)),
+                    )
+                }
+            },
+            days = r.optJSONArray("days")?.let { ds ->
+                List(ds.length()) { j ->
+                    val d: JSONObject = ds.getJSONObject(j)
+                    DaySpec(d.getInt("wd"), if (d.isNull("nth")) null else d.getInt("nth"))
+                }
+            },
+            ph = r.optBoolean("ph", false),
+            times = r.optJSONArray("times")?.let { ts ->
+                List(ts.length()) { j -> ts.getJSONArray(j).let { t -> intArrayOf(t.getInt(0), t.getInt(1)) } }
+            } ?: emptyList(),
+            off = r.optBoolean("off", false),
+        )
+    }
+
+    private fun ruleMatches(r: Rule, date: LocalDate, holidays: Set<LocalDate>): Boolean {
+        val key = date.monthValue * 100 + date.dayOfMonth
+        if (r.months != null && r.months.none { m ->
+                if (m.from <= m.to) key in m.from..m.to else key >= m.from || key <= m.to
+            }
+        ) return false
+        if (r.days == null && !r.ph) return true
+        if (r.ph && date in holidays) return true
+        val wd = date.dayOfWeek.value - 1
+        val nth = (date.dayOfMonth - 1) / 7 + 1
+        val last = date.dayOfMonth + 7 > date.lengthOfMonth()
+        return r.days?.any { d ->
+            d.wd == wd && (d.nth == null || d.nth == nth || (d.nth == -1 && last))
+        } ?: false
+    }
+
+    /** Open intervals for one calendar day — the last matching rule wins. */
+    private fun intervalsOn(rules: List<Rule>, date: LocalDate, holidays: Set<LocalDate>): List<IntArray> {
+        var cur: List<IntArray> = emptyList()
+        for (r in rules) if (ruleMatches(r, date, holidays)) cur = if (r.off) emptyList() else r.times
+        return cur
+    }
+
+    private fun isOpenAt(hours: Hours, at: Instant, holidays: Set<LocalDate>): Boolean {
+        val local = at.atZone(hours.zone)
+        val minute = local.hour * 60 + local.minute
+        val today = local.toLocalDate()
+        if (intervalsOn(hours.rules, today, holidays).any { minute >= it[0] && minute < it[1] }) return true
+        return intervalsOn(hours.rules, today.minusDays(1), holidays)
+            .any { it[1] > DAY_MIN && minute + DAY_MIN < it[1] }
+    }
+
+    companion object {
+        private const val TAG = "PoiOpeningHours"
+        private const val DAY_MIN = 1440
+    }
+}
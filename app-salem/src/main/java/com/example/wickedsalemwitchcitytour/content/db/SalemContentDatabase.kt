@@ -30,7 +30,7 @@ import com.example.wickedsalemwitchcitytour.content.model.*
         WitchTrialsNewspaper::class,
         CollectionEntry::class
     ],
-    version = 23,
+    version = 24,
     exportSchema = true
 )
 abstract class SalemContentDatabase : RoomDatabase() {
@@ -37,6 +37,13 @@ data class Tour(
      * stay silent.
      */
     @ColumnInfo(name = "is_historical_tour") val isHistoricalTour: Boolean = false,
+    /**
+     * v24: whole-tour duration estimate in seconds from publish-tours.js
+     * (walking legs + per-stop narration + admission/indoor dwell). Null for
+     * custom tours and assets baked before the estimate existed — callers
+     * fall back to [estimatedMinutes].
+     */
+    @ColumnInfo(name = "estimated_total_s") val estimatedTotalS: Int? = null,
 
     // --- Provenance & Staleness ---
     /** manual_curated|salem_project|overpass_import|api_sync|user_report */
@@ -22,7 +22,8 @@ import androidx.room.Entity
  * running the on-device router.
  *
  * `geometry` matches the bundle's `edges.geom_polyline` text format
- * (`"lat,lng;lat,lng;..."`) for parser parity with the runtime Router.
+ * (`"lat,lng;lat,lng;..."`) for parser parity with the runtime Router, or —
+ * when published with `--encoding=polyline6` — a precision-6 encoded polyline.
  */
 @Entity(
     tableName = "tour_legs",
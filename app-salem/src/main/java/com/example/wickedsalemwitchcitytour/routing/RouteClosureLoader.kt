@@ -0,0 +1,66 @@
+/*
+ * WickedSalemWitchCityTour v1.0
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * This source code is proprietary and confidential.
+ * Unauthorized copying, modification, or distribution is
+ * strictly prohibited.
+ */
+
+package com.example.wickedsalemwitchcitytour.routing
+
+import androidx.sqlite.db.SupportSQLiteDatabase
+import com.example.locationmapapp.core.routing.RouteClosure
+import com.example.locationmapapp.util.DebugLogger
+
+@Suppress("unused")
+private const val MODULE_ID = "(C) Destructive AI Gurus, LLC, 2026 - Module RouteClosureLoader.kt"
+
+/**
+ * Reads the street closures `publish-route-closures.js` bakes into
+ * salem_content.db (`route_closure` + `route_closure_edge`, plain SQLite
+ * sidecars outside Room) for [SalemRouterProvider] to hand to the [Router].
+ *
+ * Older assets have no closure tables — that is "no closures", not an
+ * error. Rows with a mode this build doesn't know are skipped.
+ */
+object RouteClosureLoader {
+
+    private const val TAG = "RouteClosureLoader"
+
+    fun load(db: SupportSQLiteDatabase): List<RouteClosure> {
+        val present = db.query(
+            "SELECT COUNT(*) FROM sqlite_master WHERE type = 'table' " +
+                "AND name IN ('route_closure', 'route_closure_edge')",
+        ).use { c -> c.moveToFirst() && c.getInt(0) == 2 }
+        if (!present) return emptyList()
+
+        val edges = HashMap<Long, MutableList<Long>>()
+        db.query("SELECT closure_id, edge_id FROM route_closure_edge").use { c ->
+            while (c.moveToNext()) edges.getOrPut(c.getLong(0)) { ArrayList() }.add(c.getLong(1))
+        }
+
+        val out = ArrayList<RouteClosure>()
+        db.query("SELECT id, name, mode, starts_at, ends_at FROM route_closure").use { c ->
+            while (c.moveToNext()) {
+                val id = c.getLong(0)
+                val mode = RouteClosure.modeOf(c.getString(2))
+                if (mode == null) {
+                    DebugLogger.w(TAG, "closure $id: unknown mode '${c.getString(2)}' — skipped")
+                    continue
+                }
+                out.add(
+                    RouteClosure(
+                        id = id,
+                        name = c.getString(1) ?: "",
+                        mode = mode,
+                        startsAtMs = c.getLong(3),
+                        endsAtMs = c.getLong(4),
+                        edgeIds = edges[id]?.toLongArray() ?: LongArray(0),
+                    ),
+                )
+            }
+        }
+        return out
+    }
+}
@@ -5,6 +5,7 @@ import com.example.locationmapapp.core.routing.Router
 import com.example.locationmapapp.core.routing.RoutingBundle
 import com.example.locationmapapp.core.routing.RoutingBundleLoader
 import com.example.locationmapapp.util.DebugLogger
+import com.example.wickedsalemwitchcitytour.content.db.SalemContentDatabase
 import java.io.File
 import javax.inject.Inject
 import javax.inject.Singleton
@@ -19,10 +20,16 @@ import javax.inject.Singleton
  * Loading the 4 MB bundle takes ~80-150 ms on the Lenovo (most of that is
  * SQLite cursor traversal). Callers that have a UI thread should call
  * [routerOrNull] on a background dispatcher; subsequent calls are O(1).
+ *
+ * Street closures published into salem_content.db ([RouteClosureLoader])
+ * are loaded alongside; the router applies whichever are active at the time
+ * of each route call. A closure-table read failure logs and routes without
+ * closures rather than losing Directions altogether.
  */
 @Singleton
 class SalemRouterProvider @Inject constructor(
     private val context: Context,
+    private val contentDb: SalemContentDatabase,
 ) {
     @Volatile private var cached: Router? = null
     private val lock = Any()
@@ -40,11 +47,18 @@ class SalemRouterProvider @Inject constructor(
                 val t0 = System.currentTimeMillis()
                 val file = ensureBundleOnDisk()
                 val bundle: RoutingBundle = RoutingBundleLoader.load(file)
-                val r = Router(bundle)
+                val closures = try {
+                    RouteClosureLoader.load(contentDb.openHelper.readableDatabase)
+                } catch (e: Throwable) {
+                    DebugLogger.e(TAG, "Failed to load route closures: ${e.message}", e)
+                    emptyList()
+                }
+                val r = Router(bundle, closures)
                 DebugLogger.i(
                     TAG,
                     "Routing bundle loaded in ${System.currentTimeMillis() - t0}ms " +
-                        "(${bundle.meta["edge_count"]} edges, ${bundle.meta["walkable_node_count"]} walkable nodes)",
+                        "(${bundle.meta["edge_count"]} edges, ${bundle.meta["walkable_node_count"]} walkable nodes, " +
+                        "${closures.size} closures)",
                 )
                 r
             } catch (e: Throwable) {
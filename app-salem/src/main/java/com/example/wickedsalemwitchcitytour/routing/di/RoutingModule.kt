@@ -1,6 +1,7 @@
 package com.example.wickedsalemwitchcitytour.routing.di
 
 import android.content.Context
+import com.example.wickedsalemwitchcitytour.content.db.SalemContentDatabase
 import com.example.wickedsalemwitchcitytour.routing.SalemRouterProvider
 import dagger.Module
 import dagger.Provides
@@ -15,6 +16,8 @@ object RoutingModule {
 
     @Provides
     @Singleton
-    fun provideSalemRouterProvider(@ApplicationContext context: Context): SalemRouterProvider =
-        SalemRouterProvider(context)
+    fun provideSalemRouterProvider(
+        @ApplicationContext context: Context,
+        contentDb: SalemContentDatabase,
+    ): SalemRouterProvider = SalemRouterProvider(context, contentDb)
 }
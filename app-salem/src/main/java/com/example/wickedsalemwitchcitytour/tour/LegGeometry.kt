@@ -0,0 +1,64 @@
+/*
+ * WickedSalemWitchCityTour v1.0
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * This source code is proprietary and confidential.
+ * Unauthorized copying, modification, or distribution is
+ * strictly prohibited.
+ */
+
+package com.example.wickedsalemwitchcitytour.tour
+
+import org.osmdroid.util.GeoPoint
+
+@Suppress("unused")
+private const val MODULE_ID = "(C) Destructive AI Gurus, LLC, 2026 - Module LegGeometry.kt"
+
+/**
+ * Decodes the geometry `publish-tour-legs.js` bakes into `tour_legs.geometry`
+ * and `tour_leg_steps.geometry`: "lat,lng;lat,lng;..." text, or with
+ * --encoding=polyline6 a precision-6 encoded polyline. That alphabet has no
+ * ',' so a comma-free string is one.
+ */
+object LegGeometry {
+
+    fun decode(geometry: String): List<GeoPoint> {
+        if (geometry.isEmpty()) return emptyList()
+        if (geometry.indexOf(',') < 0) return decodePolyline6(geometry)
+        val out = ArrayList<GeoPoint>()
+        for (pair in geometry.split(';')) {
+            val comma = pair.indexOf(',')
+            if (comma <= 0) continue
+            val lat = pair.substring(0, comma).toDoubleOrNull() ?: continue
+            val lng = pair.substring(comma + 1).toDoubleOrNull() ?: continue
+            out.add(GeoPoint(lat, lng))
+        }
+        return out
+    }
+
+    /** Google encoded polyline, precision 6 (1e6 scale). Stops at a truncated value. */
+    private fun decodePolyline6(encoded: String): List<GeoPoint> {
+        val out = ArrayList<GeoPoint>()
+        var i = 0
+        var lat = 0
+        var lng = 0
+        fun next(): Int? {
+            var shift = 0
+            var result = 0
+            var b: Int
+            do {
+                if (i >= encoded.length) return null
+                b = encoded[i++].code - 63
+                result = result or ((b and 0x1f) shl shift)
+                shift += 5
+            } while (b >= 0x20)
+            return if (result and 1 != 0) (result shr 1).inv() else result shr 1
+        }
+        while (i < encoded.length) {
+            lat += next() ?: break
+            lng += next() ?: break
+            out.add(GeoPoint(lat / 1e6, lng / 1e6))
+        }
+        return out
+    }
+}
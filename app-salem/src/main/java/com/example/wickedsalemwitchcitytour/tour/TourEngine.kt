@@ -15,14 +15,17 @@ import com.example.locationmapapp.util.DebugLogger
 import com.example.wickedsalemwitchcitytour.content.PoiContentPolicy
 import com.example.wickedsalemwitchcitytour.content.SalemContentRepository
 import com.example.wickedsalemwitchcitytour.content.dao.CollectionEntryDao
+import com.example.wickedsalemwitchcitytour.content.db.SalemContentDatabase
 import com.example.wickedsalemwitchcitytour.content.model.Tour
 import com.example.wickedsalemwitchcitytour.content.model.TourPoi
 import com.example.wickedsalemwitchcitytour.content.model.TourStop
 import com.example.wickedsalemwitchcitytour.userdata.dao.PoiVisitDao
 import dagger.hilt.android.qualifiers.ApplicationContext
+import kotlinx.coroutines.Dispatchers
 import kotlinx.coroutines.flow.MutableStateFlow
 import kotlinx.coroutines.flow.StateFlow
 import kotlinx.coroutines.flow.asStateFlow
+import kotlinx.coroutines.withContext
 import org.osmdroid.util.GeoPoint
 import javax.inject.Inject
 import javax.inject.Singleton
@@ -36,6 +39,8 @@ private const val MODULE_ID = "(C) Destructive AI Gurus, LLC, 2026 - Module Tour
  *
  * Responsibilities:
  *   - Load tour + baked legs +  collection POIs from SalemContentRepository
+ *   - Speak the baked turn-by-turn steps ([TourLegStepLoader]) as the walker
+ *     reaches each maneuver point
  *   - Track elapsed time + cumulative distance
  *   - Pause / resume / detour with SharedPreferences persistence
  *   - Fire [TourState.Completed] when every POI in the tour's collection has
@@ -59,6 +64,7 @@ class TourEngine @Inject constructor(
     private val narrationGeofenceManager: NarrationGeofenceManager,
     private val collectionEntryDao: CollectionEntryDao,
     private val poiVisitDao: PoiVisitDao,
+    private val contentDb: SalemContentDatabase,
     @ApplicationContext private val context: Context
 ) {
     private val TAG = "TourEngine"
@@ -107,6 +113,12 @@ class TourEngine @Inject constructor(
      */
     private var completionFiredThisSession: Boolean = false
 
+    /** [TourLegStep.key]s already spoken this session — each step speaks once. */
+    private val spokenLegSteps = mutableSetOf<String>()
+
+    /** Distance from a step's maneuver point at which its instruction is spoken (meters). */
+    private val STEP_TRIGGER_M = 20.0
+
     // ── Tour Lifecycle ─────────────────────────────────────────────────────
 
     /**
@@ -137,6 +149,7 @@ class TourEngine @Inject constructor(
                 DebugLogger.w(TAG, "startTour: failed to read tour_legs for $tourId: ${e.message}")
                 emptyList()
             }
+            val legSteps = loadLegSteps(tourId)
 
             // S269 —  collection binding. Tour-membership for V1 lives here.
             val collectionId = try {
@@ -174,7 +187,9 @@ class TourEngine @Inject constructor(
                 progress = progress,
                 collectionId = collectionId,
                 collectionPoiIds = collectionPoiIds,
+                legSteps = legSteps,
             )
+            spokenLegSteps.clear()
             _tourState.value = TourState.Active(activeTour)
             persistProgress(activeTour)
             geofenceManager.loadStops(stops, pois)
@@ -198,7 +213,7 @@ class TourEngine @Inject constructor(
                 DebugLogger.i(TAG, "Historical Narration Mode ENABLED for '${tour.name}'")
             }
 
-            DebugLogger.i(TAG, "Tour started: ${tour.name} — ${legs.size} legs, ${collectionPoiIds.size}  collection POIs")
+            DebugLogger.i(TAG, "Tour started: ${tour.name} — ${legs.size} legs, ${legSteps.size} steps, ${collectionPoiIds.size}  collection POIs")
         } catch (e: Exception) {
             DebugLogger.e(TAG, "startTour failed: ${e.message}", e)
             _tourState.value = TourState.Error("Failed to start tour: ${e.message}")
@@ -427,6 +442,7 @@ class TourEngine @Inject constructor(
         _tourState.value = TourState.Completed(current, summary)
         clearPersistedProgress()
         geofenceManager.clear()
+        spokenLegSteps.clear()
         narrationManager.stop()
 
         // S186: clear Tour Mode (and any leftover Historical Mode from older code paths).
@@ -454,16 +470,37 @@ class TourEngine @Inject constructor(
         lastLocation = point
 
         // Check geofences and auto-trigger narration
-        if (_tourState.value is TourState.Active) {
+        val state = _tourState.value
+        if (state is TourState.Active) {
             val events = geofenceManager.checkPosition(point.latitude, point.longitude)
             for (event in events) {
                 handleGeofenceEvent(event)
             }
+            speakLegStepIfNear(state.activeTour, point)
         } else if (ambientModeEnabled && _tourState.value is TourState.Idle) {
             checkAmbientProximity(point)
         }
     }
 
+    /**
+     * Speak the closest not-yet-spoken turn-by-turn step whose maneuver point
+     * is within [STEP_TRIGGER_M]. One step per fix, so two close turns speak
+     * on consecutive fixes rather than at once. Muted with the rest of
+     * auto-narration; detours don't get here (state is Detour, not Active).
+     */
+    private fun speakLegStepIfNear(activeTour: ActiveTour, point: GeoPoint) {
+        if (activeTour.legSteps.isEmpty() || !narrationManager.autoNarrationEnabled) return
+        val step = activeTour.legSteps
+            .filter { it.key !in spokenLegSteps }
+            .map { it to haversineM(point.latitude, point.longitude, it.maneuver.latitude, it.maneuver.longitude) }
+            .filter { it.second <= STEP_TRIGGER_M }
+            .minByOrNull { it.second }
+            ?.first ?: return
+        spokenLegSteps.add(step.key)
+        narrationManager.speakTransition(step.instruction)
+        DebugLogger.i(TAG, "Leg step ${step.key} (${step.type}): ${step.instruction}")
+    }
+
     /** Ambient mode: check if user is near any Salem POI and speak a hint. */
     private fun checkAmbientProximity(point: GeoPoint) {
         val pois = allPoisCache ?: return
@@ -732,6 +769,7 @@ class TourEngine @Inject constructor(
                 DebugLogger.w(TAG, "restoreIfSaved: failed to read tour_legs: ${e.message}")
                 emptyList()
             }
+            val legSteps = loadLegSteps(savedTourId)
             val collectionId = try {
                 collectionEntryDao.findCollectionIdForTour(savedTourId)
             } catch (e: Exception) {
@@ -763,10 +801,12 @@ class TourEngine @Inject constructor(
                 progress = progress,
                 collectionId = collectionId,
                 collectionPoiIds = collectionPoiIds,
+                legSteps = legSteps,
             )
             geofenceManager.loadStops(stops, pois)
             // Restoring is a fresh session — let the completion latch arm again.
             completionFiredThisSession = false
+            spokenLegSteps.clear()
 
             // S221 — if a detour was in progress, restore as TourState.Detour
             // so the floating banner re-renders. Otherwise, plain Paused.
@@ -805,6 +845,16 @@ class TourEngine @Inject constructor(
 
     // ── Private helpers ──────────────────────────────────────────────────
 
+    /** Baked steps for a tour; a read failure walks without spoken directions. */
+    private suspend fun loadLegSteps(tourId: String): List<TourLegStep> = withContext(Dispatchers.IO) {
+        try {
+            TourLegStepLoader.load(contentDb.openHelper.readableDatabase, tourId)
+        } catch (e: Exception) {
+            DebugLogger.w(TAG, "failed to read tour_leg_steps for $tourId: ${e.message}")
+            emptyList()
+        }
+    }
+
     private fun activeOrNull(): ActiveTour? =
         (_tourState.value as? TourState.Active)?.activeTour
 
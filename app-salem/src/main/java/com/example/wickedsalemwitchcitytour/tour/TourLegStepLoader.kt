@@ -0,0 +1,67 @@
+/*
+ * WickedSalemWitchCityTour v1.0
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * This source code is proprietary and confidential.
+ * Unauthorized copying, modification, or distribution is
+ * strictly prohibited.
+ */
+
+package com.example.wickedsalemwitchcitytour.tour
+
+import androidx.sqlite.db.SupportSQLiteDatabase
+import com.example.locationmapapp.util.DebugLogger
+
+@Suppress("unused")
+private const val MODULE_ID = "(C) Destructive AI Gurus, LLC, 2026 - Module TourLegStepLoader.kt"
+
+/**
+ * Reads the turn-by-turn steps `publish-tour-legs.js` bakes into
+ * salem_content.db (`tour_leg_steps`, a plain SQLite sidecar outside Room)
+ * for one tour, in walking order, for [TourEngine] to speak.
+ *
+ * Older assets have no steps table and hand-drawn legs have no step rows —
+ * both are "no directions", not an error. `arrive` steps are dropped: the
+ * stop's own narration covers arriving. Steps whose geometry doesn't decode
+ * are skipped.
+ */
+object TourLegStepLoader {
+
+    private const val TAG = "TourLegStepLoader"
+
+    fun load(db: SupportSQLiteDatabase, tourId: String): List<TourLegStep> {
+        val present = db.query(
+            "SELECT COUNT(*) FROM sqlite_master WHERE type = 'table' AND name = 'tour_leg_steps'",
+        ).use { c -> c.moveToFirst() && c.getInt(0) == 1 }
+        if (!present) return emptyList()
+
+        val out = ArrayList<TourLegStep>()
+        db.query(
+            "SELECT from_stop_order, step_index, type, instruction, distance_m, geometry " +
+                "FROM tour_leg_steps WHERE tour_id = ? AND type <> 'arrive' " +
+                "ORDER BY from_stop_order, step_index",
+            arrayOf<Any>(tourId),
+        ).use { c ->
+            while (c.moveToNext()) {
+                val fromStopOrder = c.getInt(0)
+                val stepIndex = c.getInt(1)
+                val maneuver = LegGeometry.decode(c.getString(5) ?: "").firstOrNull()
+                if (maneuver == null) {
+                    DebugLogger.w(TAG, "$tourId step $fromStopOrder:$stepIndex: no geometry — skipped")
+                    continue
+                }
+                out.add(
+                    TourLegStep(
+                        fromStopOrder = fromStopOrder,
+                        stepIndex = stepIndex,
+                        type = c.getString(2),
+                        instruction = c.getString(3),
+                        distanceM = c.getDouble(4),
+                        maneuver = maneuver,
+                    ),
+                )
+            }
+        }
+        return out
+    }
+}
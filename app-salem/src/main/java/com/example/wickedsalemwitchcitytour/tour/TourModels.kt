@@ -13,6 +13,7 @@ import com.example.wickedsalemwitchcitytour.content.model.Tour
 import com.example.wickedsalemwitchcitytour.content.model.TourLeg
 import com.example.wickedsalemwitchcitytour.content.model.TourPoi
 import com.example.wickedsalemwitchcitytour.content.model.TourStop
+import org.osmdroid.util.GeoPoint
 
 @Suppress("unused")
 private const val MODULE_ID = "(C) Destructive AI Gurus, LLC, 2026 - Module TourModels.kt"
@@ -77,8 +78,29 @@ data class ActiveTour(
     /** POIs in the tour's collection, in display order. Drives the visit-count
      *  vs total comparison that fires [TourState.Completed] in S269. */
     val collectionPoiIds: Set<String>,
+    /** Turn-by-turn steps baked per leg ([TourLegStepLoader]); empty when the
+     *  asset has none. Spoken by [TourEngine] as the walker reaches each
+     *  maneuver point. */
+    val legSteps: List<TourLegStep> = emptyList(),
 )
 
+/**
+ * One turn-by-turn instruction from the `tour_leg_steps` sidecar.
+ * [maneuver] is the first point of the step's geometry — where the turn
+ * happens and where [TourEngine] speaks [instruction].
+ */
+data class TourLegStep(
+    val fromStopOrder: Int,
+    val stepIndex: Int,
+    val type: String,
+    val instruction: String,
+    val distanceM: Double,
+    val maneuver: GeoPoint,
+) {
+    /** Session-unique key for the spoken-once bookkeeping. */
+    val key: String get() = "$fromStopOrder:$stepIndex"
+}
+
 /** Observable state emitted by TourEngine. */
 sealed class TourState {
     /** No tour is active. */
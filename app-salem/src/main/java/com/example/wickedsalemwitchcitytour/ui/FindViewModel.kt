@@ -20,6 +20,7 @@ import com.example.locationmapapp.data.model.PoiWebsite
 import com.example.locationmapapp.data.model.SearchResponse
 import com.example.locationmapapp.util.DebugLogger
 import com.example.wickedsalemwitchcitytour.content.PoiCache
+import com.example.wickedsalemwitchcitytour.content.PoiOpeningHours
 import com.example.wickedsalemwitchcitytour.content.model.SalemPoi
 import dagger.hilt.android.lifecycle.HiltViewModel
 import kotlinx.coroutines.Dispatchers
@@ -54,6 +55,7 @@ class FindViewModel @Inject constructor(
     // The previous local `allPoisCache` field is gone; PoiCache subsumes it
     // (single source of truth, shared with everyone else).
     private val poiCache: PoiCache,
+    private val poiOpeningHours: PoiOpeningHours,
 ) : ViewModel() {
 
     private val TAG = "FindVM"
@@ -114,6 +116,7 @@ class FindViewModel @Inject constructor(
     ): FindResponse? = withContext(Dispatchers.IO) {
         try {
             val all = queryNearby(lat, lon, radiusM = 10_000)
+            poiOpeningHours.ensureLoaded()
             val filtered = if (categories.isEmpty()) all
                            else all.filter { it.category in categories }
             val paged = filtered.drop(offset).take(limit)
@@ -147,6 +150,7 @@ class FindViewModel @Inject constructor(
             poiCache.ensureLoaded()
             val corpus = poiCache.findAll()
             val scored = FuzzySearchEngine.search(query, corpus, lat, lon, limit)
+            poiOpeningHours.ensureLoaded()
             val results = scored.map { it.poi.toFindResult(lat, lon).also { fr -> idToPoi[fr.id] = it.poi } }
             SearchResponse(
                 results = results,
@@ -202,6 +206,14 @@ class FindViewModel @Inject constructor(
         }
     }
 
+    /**
+     * True when a result's POI is closed right now per the baked opening
+     * hours. Unknown hours (or a result this VM didn't emit) read as open, so
+     * the Find list only greys out rows it's sure about.
+     */
+    fun isClosedNow(result: FindResult): Boolean =
+        idToPoi[result.id]?.let { poiOpeningHours.isClosedNow(it.id) } ?: false
+
     /** Returns total POI count within [radiusM] of (lat, lon), or -1 on error. */
     suspend fun fetchNearbyPoiCount(lat: Double, lon: Double, radiusM: Int = 10000): Int =
         withContext(Dispatchers.IO) {
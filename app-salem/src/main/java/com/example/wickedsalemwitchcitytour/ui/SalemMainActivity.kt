@@ -105,6 +105,9 @@ internal const val MAP_MIN_ZOOM = 11.0
  *  without flipping to the 30s idle branch. */
 internal const val GPS_INTERVAL_DWELL_MS = 10_000L
 
+/** Marker / Find-row alpha for POIs whose baked opening hours say closed now. */
+internal const val CLOSED_POI_ALPHA = 0.4f
+
 @AndroidEntryPoint
 class SalemMainActivity : AppCompatActivity() {
 
@@ -260,6 +263,10 @@ class SalemMainActivity : AppCompatActivity() {
     @Inject
     internal lateinit var poiCache: com.example.wickedsalemwitchcitytour.content.PoiCache
 
+    /** Baked opening hours — dims narration markers for POIs closed right now. */
+    @Inject
+    internal lateinit var poiOpeningHours: com.example.wickedsalemwitchcitytour.content.PoiOpeningHours
+
     // Phase 9T: Narration system
     /**
      * Singleton (Hilt) — survives Activity recreation so the dedup state
@@ -2701,6 +2708,9 @@ class SalemMainActivity : AppCompatActivity() {
      *  changes. */
     internal val narrationMarkers = mutableListOf<Pair<Marker, com.example.wickedsalemwitchcitytour.content.model.SalemPoi>>()
     private var lastNarrationIconZoom = -1
+    /** Wall-clock minute `applyOpenStateDimming` last evaluated, so map
+     *  scroll callbacks re-check open/closed at most once a minute. */
+    private var lastOpenStateMinute = -1L
 
     /** S234 — persistent marker cache keyed by POI id. Markers are created
      *  lazily on first appearance and reused across filter toggles. Avoids
@@ -2854,6 +2864,7 @@ class SalemMainActivity : AppCompatActivity() {
                 // instance — cheap.
                 val zoom = binding.mapView.zoomLevelDouble
                 val addIconData = kotlinx.coroutines.withContext(kotlinx.coroutines.Dispatchers.Default) {
+                    poiOpeningHours.ensureLoaded()
                     toAdd.map { p -> p to narrationIconForZoom(p, zoom) }
                 }
 
@@ -2912,6 +2923,7 @@ class SalemMainActivity : AppCompatActivity() {
                 }
 
                 lastNarrationIconZoom = zoomBucket(zoom)
+                applyOpenStateDimming(force = true)
                 bringStationMarkersToFront()
                 binding.mapView.invalidate()
             } catch (_: kotlinx.coroutines.CancellationException) {
@@ -2974,6 +2986,7 @@ class SalemMainActivity : AppCompatActivity() {
     /** Called from scroll/zoom listener — refresh narration marker icons when zoom bucket changes */
     internal fun refreshNarrationIcons() {
         if (narrationMarkers.isEmpty()) return
+        applyOpenStateDimming(force = false)
         val zoom = binding.mapView.zoomLevelDouble
         val bucket = zoomBucket(zoom)
         if (bucket == lastNarrationIconZoom) return
@@ -2989,6 +3002,24 @@ class SalemMainActivity : AppCompatActivity() {
         binding.mapView.invalidate()
     }
 
+    /** Grey out narration markers whose POI is closed right now per the baked
+     *  opening hours. POIs with unknown hours stay fully opaque. Cheap after
+     *  the first load, but still skipped until the minute changes unless
+     *  [force] (a fresh marker set). */
+    private fun applyOpenStateDimming(force: Boolean) {
+        val minute = System.currentTimeMillis() / 60_000L
+        if (!force && minute == lastOpenStateMinute) return
+        lastOpenStateMinute = minute
+        var closed = 0
+        for ((marker, point) in narrationMarkers) {
+            val isClosed = poiOpeningHours.isClosedNow(point.id)
+            if (isClosed) closed++
+            marker.alpha = if (isClosed) CLOSED_POI_ALPHA else 1f
+        }
+        if (!force) binding.mapView.invalidate()
+        DebugLogger.d("SalemMainActivity", "applyOpenStateDimming: closed=$closed of ${narrationMarkers.size}")
+    }
+
     // =========================================================================
     // LOCATION — startup centering fix
     // =========================================================================
@@ -536,6 +536,10 @@ internal fun SalemMainActivity.showFindCategoryGrid(dialog: android.app.Dialog)
                     row.addView(colorDot)
                     row.addView(distText)
                     row.addView(infoCol)
+                    if (findViewModel.isClosedNow(result)) {
+                        detailText.text = "$detailStr · Closed now"
+                        row.alpha = CLOSED_POI_ALPHA
+                    }
                     row.setOnClickListener {
                         dialog.dismiss()
                         val point = org.osmdroid.util.GeoPoint(result.lat, result.lon)
@@ -908,6 +912,10 @@ internal fun SalemMainActivity.showFindResults(
 
             row.addView(distText)
             row.addView(infoCol)
+            if (findViewModel.isClosedNow(result)) {
+                detailText.text = "$detailStr · Closed now"
+                row.alpha = CLOSED_POI_ALPHA
+            }
 
             row.setOnClickListener {
                 dialog.dismiss()
@@ -626,7 +626,10 @@ private fun SalemMainActivity.buildTourCard(
         // visits/POI, not the stops".
         val countLabel = if (entryCount != null) "$entryCount ghosts" else "${tour.stopCount} stops"
         statsRow.addView(statChip(countLabel))
-        statsRow.addView(statChip("${tour.estimatedMinutes} min"))
+        // Baked whole-tour estimate (walk + narration + dwell) when the asset
+        // has one; the authored estimated_minutes otherwise.
+        val minutes = tour.estimatedTotalS?.let { Math.round(it / 60.0).toInt() } ?: tour.estimatedMinutes
+        statsRow.addView(statChip("$minutes min"))
         statsRow.addView(statChip("%.1f km".format(tour.distanceKm)))
         statsRow.addView(statChip(tour.difficulty.replaceFirstChar { it.uppercase() }))
         addView(statsRow)
@@ -18,6 +18,7 @@ import com.example.wickedsalemwitchcitytour.content.model.TourPoi
 import com.example.wickedsalemwitchcitytour.tour.NarrationManager
 import com.example.wickedsalemwitchcitytour.tour.NarrationState
 import com.example.wickedsalemwitchcitytour.tour.ActiveTour
+import com.example.wickedsalemwitchcitytour.tour.LegGeometry
 import com.example.wickedsalemwitchcitytour.tour.TourEngine
 import com.example.wickedsalemwitchcitytour.tour.TourGeofenceManager
 import com.example.wickedsalemwitchcitytour.tour.TourGeofenceEvent
@@ -154,7 +155,7 @@ class TourViewModel @Inject constructor(
             DebugLogger.i(TAG, "Onboarding: no baked legs for $tourId — skipping")
             return
         }
-        val flattened = legs.flatMap { decodeGeometry(it.geometry) }
+        val flattened = legs.flatMap { LegGeometry.decode(it.geometry) }
         if (flattened.isEmpty()) return
 
         var nearest: GeoPoint = flattened.first()
@@ -412,7 +413,7 @@ class TourViewModel @Inject constructor(
         var totalDurationS = 0.0
 
         for (leg in sortedLegs) {
-            val routed = decodeGeometry(leg.geometry)
+            val routed = LegGeometry.decode(leg.geometry)
             if (routed.size < 2) continue
             val fromAnchor = if (leg.fromLat != null && leg.fromLng != null)
                 GeoPoint(leg.fromLat, leg.fromLng) else null
@@ -484,7 +485,7 @@ class TourViewModel @Inject constructor(
         val sorted = legs.sortedBy { it.fromStopOrder }
         val out = ArrayList<List<GeoPoint>>(sorted.size)
         for (leg in sorted) {
-            val routed = decodeGeometry(leg.geometry)
+            val routed = LegGeometry.decode(leg.geometry)
             if (routed.size < 2) {
                 out.add(emptyList())
                 continue
@@ -512,20 +513,6 @@ class TourViewModel @Inject constructor(
         return out
     }
 
-    /** Decode the bake's "lat,lng;lat,lng;..." string into GeoPoints. */
-    private fun decodeGeometry(geometry: String): List<GeoPoint> {
-        if (geometry.isEmpty()) return emptyList()
-        val out = ArrayList<GeoPoint>()
-        for (pair in geometry.split(';')) {
-            val comma = pair.indexOf(',')
-            if (comma <= 0) continue
-            val lat = pair.substring(0, comma).toDoubleOrNull() ?: continue
-            val lng = pair.substring(comma + 1).toDoubleOrNull() ?: continue
-            out.add(GeoPoint(lat, lng))
-        }
-        return out
-    }
-
     /** Squared-degree distance — good enough for sub-km clip lookups. */
     private fun closestIdx(poly: List<GeoPoint>, target: GeoPoint): Int {
         var best = 0
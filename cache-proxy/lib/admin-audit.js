@@ -48,6 +48,7 @@ module.exports = function(app, deps) {
     'salem_witch_trials_newspapers',
     'salem_witch_trials_npc_bios',
     'salem_geocode_blacklist',
+    'salem_route_overlay',
   ]);
 
   // Tables keyed by composite or non-'id' primary key. The trigger's
@@ -64,6 +65,7 @@ module.exports = function(app, deps) {
     salem_witch_trials_newspapers: 'id',
     salem_witch_trials_npc_bios: 'id',
     salem_geocode_blacklist: 'poi_id', // composite PK; revert by poi_id is approximate
+    salem_route_overlay: 'id',
   };
 
   // ── List ─────────────────────────────────────────────────────────────
@@ -225,6 +227,16 @@ module.exports = function(app, deps) {
         await client.query('ROLLBACK');
         return res.status(400).json({ error: `table not audited: ${table}` });
       }
+      // POI merges revert as a unit — one row alone would leave references
+      // pointing at a soft-deleted POI.
+      const mergeSrc = /^admin-ui:poi-merge\((\d+)\)$/.exec(row.source || '');
+      if (mergeSrc) {
+        await client.query('ROLLBACK');
+        return res.status(409).json({
+          error: `part of POI merge ${mergeSrc[1]}; revert it with POST /admin/salem/poi-merges/${mergeSrc[1]}/revert`,
+          merge_id: Number(mergeSrc[1]),
+        });
+      }
       const keyCol = ENTITY_KEY[table] || 'id';
 
       // Apply the inverse operation
@@ -290,6 +302,11 @@ module.exports = function(app, deps) {
         [reverter, preNewAuditId, auditId],
       );
       await client.query('COMMIT');
+      // The router holds the overlay in memory; re-push it so the revert
+      // takes effect (admin-route-overlay sets the hook).
+      if (table === 'salem_route_overlay' && typeof deps.salemRefreshOverlay === 'function') {
+        deps.salemRefreshOverlay();
+      }
       res.json({ ok: true, audit_id: auditId, revert_audit_id: preNewAuditId, reason });
     } catch (e) {
       try { await client.query('ROLLBACK'); } catch (_) {}
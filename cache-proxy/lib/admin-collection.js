@@ -12,6 +12,7 @@
  * Routes (all gated by /admin Basic Auth):
  *   GET    /admin/salem/collections               — list all filters
  *   GET    /admin/salem/collections/:id           — get one filter + baked POI list
+ *                                                   (?open_at= / ?open_now= narrow the list)
  *   POST   /admin/salem/collections               — create a filter
  *   PUT    /admin/salem/collections/:id           — update a filter
  *   DELETE /admin/salem/collections/:id           — delete a filter (cascades to pois)
@@ -26,12 +27,17 @@
  *   - tour_id is metadata-only in V1 (groups collections under a tour name).
  *     Operator tunes filter params per-tour to create meaningful subsets.
  *     Future: polyline-proximity SQL for true per-tour POI lists.
+ *   - open_at / open_now (preview body, GET :id query) keep POIs open at that
+ *     time per lib/opening-hours.js. Evaluated per request and never saved:
+ *     a baked collection can't know when it will be walked.
  *
  * The actual bake (writing rows into salem_collection_entries) lives in
  * cache-proxy/scripts/publish-poi-collection.js.
  */
 const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module admin-collection.js';
 
+const { parseOpenFilter, poiOpenState } = require('./opening-hours');
+
 const VALID_ID_RE = /^[a-z0-9_]+$/;
 
 function asArray(v) {
@@ -262,9 +268,51 @@ function minDistanceToPolyline(latP, lngP, polyline) {
   return { distanceM: Math.sqrt(bestSq) * degToM, segmentIndex: bestSeg };
 }
 
+// Candidates within this straight-line distance of the path also get a
+// network walking distance (walk_distance_m). Matches the walk dialog's
+// slider maximum; walking is never meaningfully shorter than straight line,
+// so nothing further out could come into range.
+const WALK_DISTANCE_MAX_M = 300;
+
+// Rows carrying hours / hours_text / seasonal → the ones matching an
+// open_at / open_now filter (all rows when there's none), with open_state
+// added and the raw hours columns dropped.
+function filterOpen(rows, open) {
+  const out = [];
+  for (const { hours, hours_text, seasonal, ...r } of rows) {
+    if (!open) { out.push(r); continue; }
+    const state = poiOpenState({ hours, hours_text, seasonal }, open.at);
+    if (state === (open.open ? 'open' : 'closed')) out.push({ ...r, open_state: state });
+  }
+  return out;
+}
+
 module.exports = function(app, deps) {
   const { pgPool, requirePg } = deps;
 
+  // Sets walk_distance_m on every candidate: walking metres from the nearest
+  // vertex of the tour path (bundle router, default profile), or null when
+  // out of WALK_DISTANCE_MAX_M / unreachable. One multi-target Dijkstra per
+  // in-range candidate. Returns false when the router isn't loaded.
+  function addWalkDistances(candidates, polyline) {
+    for (const c of candidates) c.walk_distance_m = null;
+    if (typeof deps.salemRouteMatrix !== 'function') return false;
+    const near = candidates.filter((c) => c.min_distance_m <= WALK_DISTANCE_MAX_M);
+    // Consecutive legs and TIGER vertices repeat; one target per position.
+    const targets = [...new Map(polyline.map((p) => [`${p.lat.toFixed(6)},${p.lng.toFixed(6)}`, p])).values()];
+    const m = deps.salemRouteMatrix(near.map((c) => ({ lat: c.lat, lng: c.lng })), targets, 'default');
+    if (!m) return false;
+    near.forEach((c, i) => {
+      let best = Infinity;
+      for (let j = 0; j < targets.length; j++) {
+        const d = m.distancesM[i * targets.length + j];
+        if (d < best) best = d;
+      }
+      c.walk_distance_m = Number.isFinite(best) ? Math.round(best * 10) / 10 : null;
+    });
+    return true;
+  }
+
   // S269 — idempotent forward-migration for the auto_bake column. Existing
   // dev installs that pre-date this column would otherwise 500 on the
   // walk-derived endpoints. Run-once per process start; safe to repeat
@@ -307,6 +355,8 @@ module.exports = function(app, deps) {
       if (!VALID_ID_RE.test(id)) {
         return res.status(400).json({ error: 'invalid collection id format' });
       }
+      const open = parseOpenFilter(req.query);
+      if (open instanceof Error) return res.status(400).json({ error: open.message });
 
       const filterQ = await pgPool.query(
         `SELECT pf.*, t.name AS tour_name
@@ -320,7 +370,8 @@ module.exports = function(app, deps) {
       const poisQ = await pgPool.query(
         `SELECT pp.poi_id, pp.display_order,
                 p.name, p.category, p.lat, p.lng,
-                p.geofence_radius_m, p.year_established
+                p.geofence_radius_m, p.year_established,
+                p.hours, p.hours_text, p.seasonal
            FROM salem_collection_entries pp
            JOIN salem_pois p ON p.id = pp.poi_id
           WHERE pp.collection_id = $1
@@ -330,7 +381,7 @@ module.exports = function(app, deps) {
 
       res.json({
         collection: filterQ.rows[0],
-        pois: poisQ.rows,
+        pois: filterOpen(poisQ.rows, open),
       });
     } catch (err) {
       console.error('[AdminCollection] get error:', err.message);
@@ -448,6 +499,8 @@ module.exports = function(app, deps) {
     try {
       const { params, errors } = normalizeFilterParams(req.body || {});
       if (errors.length) return res.status(400).json({ error: errors.join('; ') });
+      const open = parseOpenFilter(req.body || {});
+      if (open instanceof Error) return res.status(400).json({ error: open.message });
 
       const { whereSql, joinSql, args } = buildFilterQuery({
         categories: params.categories || [],
@@ -459,6 +512,23 @@ module.exports = function(app, deps) {
         tour_id: params.tour_id ?? null,
       });
 
+      if (open) {
+        // Hours are only readable in JS — match everything, then narrow.
+        const allQ = await pgPool.query(
+          `SELECT p.id, p.name, p.category, p.lat, p.lng,
+                  p.geofence_radius_m, p.year_established,
+                  CASE WHEN length(trim(COALESCE(p.historical_narration, ''))) > 0 THEN TRUE ELSE FALSE END AS has_historical_narration,
+                  p.hours, p.hours_text, p.seasonal
+             FROM salem_pois p
+             ${joinSql}
+            WHERE ${whereSql}
+         ORDER BY p.name ASC`,
+          args,
+        );
+        const matched = filterOpen(allQ.rows, open);
+        return res.json({ count: matched.length, sample: matched.slice(0, 25) });
+      }
+
       const countQ = await pgPool.query(
         `SELECT COUNT(*)::int AS n
            FROM salem_pois p
@@ -498,6 +568,10 @@ module.exports = function(app, deps) {
   //
   // Response also carries `tour_polyline` so the dialog can render the path
   // on its embedded map without a second fetch.
+  //
+  // Candidates near the path also carry walk_distance_m — real walking
+  // metres over the routing graph — so a POI across the harbour or behind a
+  // fenced block doesn't look closer than it is.
   app.get('/admin/salem/tours/:tourId/collection-walk-candidates', requirePg, async (req, res) => {
     try {
       const tourId = req.params.tourId;
@@ -648,6 +722,7 @@ module.exports = function(app, deps) {
           encounter_index: segmentIndex,
         });
       }
+      const walkDistances = addWalkDistances(enriched, polyline);
       // Sort by walk encounter order; tie-break by distance.
       enriched.sort((a, b) => {
         if (a.encounter_index !== b.encounter_index) return a.encounter_index - b.encounter_index;
@@ -679,6 +754,10 @@ module.exports = function(app, deps) {
         candidate_count: enriched.length,
         candidates: enriched,
         saved: savedQ.rows[0] || null,
+        // 'bundle' when candidates carry walk_distance_m (routing bundle
+        // loaded), null when only the straight-line min_distance_m is known.
+        walk_distance_source: walkDistances ? 'bundle' : null,
+        walk_distance_max_m: WALK_DISTANCE_MAX_M,
         // S269 — surfaces which global pool the candidates were filtered
         // through, so the dialog can label the source ("filtered through
         // Default Salem Walking — 85 POIs in pool"). null when no global
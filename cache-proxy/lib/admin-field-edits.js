@@ -18,6 +18,10 @@
  *   POST   /admin/field-edits/:editKey/reject              — mark dismissed (sidecar file)
  *   GET    /admin/field-edits/photo/:session/:filename     — stream a referenced recon photo
  *
+ * Edits against a POI that was since merged into another (POST
+ * /admin/salem/pois/:id/merge) apply to the survivor: poi_id is resolved
+ * through salem_pois.merged_into, and the result records merged_from.
+ *
  * editKey scheme: `<session_ts>__<line_index>` (line_index = 0-based position
  * inside the JSONL). Stable across re-pulls because the JSONL is append-only.
  *
@@ -29,6 +33,7 @@ const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module admin-field-edit
 const fs = require('fs');
 const path = require('path');
 const { spawn } = require('child_process');
+const { resolveMergedPoiId } = require('./poi-merge');
 
 const ROOT_DIR = process.env.LMA_FIELD_EDITS_ROOT || '/mnt/sdb-images/LMASalemFieldEdits';
 const PULL_SCRIPT = path.resolve(__dirname, '..', '..', 'tools', 'pull-field-edits.py');
@@ -259,8 +264,9 @@ module.exports = function(app, deps) {
     }
 
     // ── UPDATE branch (existing path) ────────────────────────────────────
-    const poiId = String(e.poi_id || '');
-    if (!poiId) return res.status(400).json({ error: 'edit has no poi_id' });
+    const editPoiId = String(e.poi_id || '');
+    if (!editPoiId) return res.status(400).json({ error: 'edit has no poi_id' });
+    const poiId = (await resolveMergedPoiId(pgPool, editPoiId)) || editPoiId;
 
     const existing = await pgPool.query(
       `SELECT id, lat, lng, category, subcategory, deleted_at
@@ -275,6 +281,7 @@ module.exports = function(app, deps) {
     }
 
     const applied = [];
+    if (poiId !== editPoiId) applied.push({ field: 'poi', merged_from: editPoiId, to: poiId });
     try {
       // 1. Move (lat/lng) — only if both proposed coords are present.
       if (e.proposed_lat != null && e.proposed_lng != null) {
@@ -8,6 +8,12 @@
  * isolated function returning { id, label, category, severity, count, items }.
  * Adding a new check is a one-function-plus-one-registry-entry change.
  *
+ * Tour geometry checks (retrace, self-crossing, detour, street mismatch,
+ * geofence overlap) attach a GeoJSON `geometry` to each item; the street
+ * check reads edge names from the loaded routing bundle (deps.salemEdgeInfo).
+ * Hours checks run hours / hours_text through lib/opening-hours.js; the
+ * duplicates check scores nearby pairs with lib/poi-duplicates.js.
+ *
  * Routes (all gated by /admin Basic Auth):
  *   GET  /admin/salem/lint
  *        Runs all instant checks in parallel.
@@ -30,6 +36,17 @@ const {
   haversineKm,
   geocodeOneAddress,
 } = require('./tiger-geocode');
+const {
+  RETRACE_MIN_M,
+  DETOUR_RATIO_MAX,
+  findRetraces,
+  findSelfIntersections,
+  findDetours,
+  findStreetMismatches,
+  findGeofenceOverlaps,
+} = require('./tour-geometry-lint');
+const { normalizeHours } = require('./opening-hours');
+const { DUPLICATE_THRESHOLD, scoreNearbyPairs, clusterPairs } = require('./poi-duplicates');
 
 const SALEM_CENTER_LAT = 42.5223;
 const SALEM_CENTER_LNG = -70.8950;
@@ -457,6 +474,60 @@ async function checkContentNoImage(pgPool) {
   ));
 }
 
+// Hours lib/opening-hours.js can't read. open_now / open_at filters and the
+// app's offline closed grey-out treat these POIs as "unknown".
+async function checkHoursUnparseable(pgPool) {
+  const params = [];
+  const suppress = suppressionClause('hours_unparseable', params);
+  const { rows } = await pgPool.query(`
+    SELECT id, name, lat, lng, hours, hours_text, seasonal
+    FROM salem_pois
+    WHERE deleted_at IS NULL
+      AND (hours IS NOT NULL OR COALESCE(hours_text,'') <> '')
+      ${suppress}
+    ORDER BY name
+  `, params);
+  const items = [];
+  for (const r of rows) {
+    const n = normalizeHours(r);
+    if (!n || !n.error) continue;
+    items.push(poiItem(r,
+      `Opening hours don't parse — ${n.error}.`,
+      `Open the editor → Hours → rewrite in OSM form ("Mo-Fr 09:00-17:00; PH off") or plain "Mon-Fri 9am-5pm, Closed holidays".`,
+      { sources: n.sources },
+    ));
+    if (items.length >= ITEM_CAP) break;
+  }
+  return items;
+}
+
+// seasonal = true but nothing says which months — the app would show the
+// POI as open all year.
+async function checkHoursSeasonalNoRange(pgPool) {
+  const params = [];
+  const suppress = suppressionClause('hours_seasonal_no_range', params);
+  const { rows } = await pgPool.query(`
+    SELECT id, name, lat, lng, hours, hours_text, seasonal
+    FROM salem_pois
+    WHERE deleted_at IS NULL
+      AND seasonal = true
+      ${suppress}
+    ORDER BY name
+  `, params);
+  const items = [];
+  for (const r of rows) {
+    const n = normalizeHours(r);
+    if (n && (n.error || n.rules.some((rule) => rule.months))) continue;
+    items.push(poiItem(r,
+      n ? `Seasonal POI's hours (${n.opening_hours}) have no month range.`
+        : `Seasonal POI has no hours at all.`,
+      `Add the season to Hours text, e.g. "Open May through October" or "May-Oct: Tu-Su 10:00-17:00".`,
+    ));
+    if (items.length >= ITEM_CAP) break;
+  }
+  return items;
+}
+
 // ─── S205: Category / subcategory taxonomy lints ─────────────────────────────
 //
 // Per operator scope: HISTORICAL_BUILDINGS, CIVIC, and is_tour_poi=true items
@@ -694,96 +765,54 @@ async function checkGeoCentroidSnap(pgPool) {
 }
 
 async function checkDuplicates(pgPool) {
-  const radius = 15;
-  const latBox = radius / 111000.0;
-  const lngBox = radius / 60000.0;
-  const params = [radius, latBox, lngBox, 'duplicates'];
-  const { rows: pairs } = await pgPool.query(`
-    SELECT
-      a.id AS a_id, a.name AS a_name, a.lat AS a_lat, a.lng AS a_lng,
-      b.id AS b_id, b.name AS b_name, b.lat AS b_lat, b.lng AS b_lng,
-      6371000.0 * 2.0 * ASIN(SQRT(
-        POWER(SIN(RADIANS(b.lat - a.lat) / 2.0), 2) +
-        COS(RADIANS(a.lat)) * COS(RADIANS(b.lat)) *
-        POWER(SIN(RADIANS(b.lng - a.lng) / 2.0), 2)
-      )) AS distance_m
-    FROM salem_pois a
-    JOIN salem_pois b
-      ON a.id < b.id
-     AND ABS(a.lat - b.lat) <= $2
-     AND ABS(a.lng - b.lng) <= $3
-    WHERE a.deleted_at IS NULL AND b.deleted_at IS NULL
-      AND a.id NOT IN (SELECT poi_id FROM salem_lint_suppressions WHERE check_id = $4)
-      AND b.id NOT IN (SELECT poi_id FROM salem_lint_suppressions WHERE check_id = $4)
-      AND 6371000.0 * 2.0 * ASIN(SQRT(
-            POWER(SIN(RADIANS(b.lat - a.lat) / 2.0), 2) +
-            COS(RADIANS(a.lat)) * COS(RADIANS(b.lat)) *
-            POWER(SIN(RADIANS(b.lng - a.lng) / 2.0), 2)
-          )) <= $1
-    ORDER BY distance_m ASC
-  `, params);
+  // Live pairs within SCAN_RADIUS_M, scored by lib/poi-duplicates.js (same
+  // scorer as GET /admin/salem/pois/duplicates and the dedup scripts). Pairs
+  // marked "not a duplicate" are dropped there; suppressed POIs here.
+  const live = (alias) => `${alias}.deleted_at IS NULL
+    AND ${alias}.id NOT IN (SELECT poi_id FROM salem_lint_suppressions WHERE check_id = 'duplicates')`;
+  const { pairs, rows } = await scoreNearbyPairs(pgPool, {
+    left: live('a'),
+    right: live('b'),
+    minScore: DUPLICATE_THRESHOLD,
+  });
 
-  // Union-find clustering
-  const parent = new Map();
-  const data = new Map();
-  function find(x) {
-    let r = x;
-    while (parent.get(r) !== r) r = parent.get(r);
-    return r;
-  }
-  function union(x, y) {
-    const rx = find(x), ry = find(y);
-    if (rx !== ry) parent.set(rx, ry);
+  // S195 — drop members sitting at geocoder-fallback points (3+ POIs sharing
+  // exact lat/lng). Those POIs are flagged separately by geo_centroid_snap
+  // with a clearer "geocoder fallback" message; unrelated businesses that
+  // collapsed onto the same centroid are not duplicates of each other. Every
+  // POI on such a point is within the scan radius of the others, so `rows`
+  // sees all of them.
+  const coordCount = new Map();
+  for (const r of rows.values()) {
+    const key = `${r.lat},${r.lng}`;
+    coordCount.set(key, (coordCount.get(key) || 0) + 1);
   }
-  function ensure(id, name, lat, lng) {
-    if (!parent.has(id)) {
-      parent.set(id, id);
-      data.set(id, { id, name, lat: parseFloat(lat), lng: parseFloat(lng) });
-    }
-  }
-  for (const p of pairs) {
-    ensure(p.a_id, p.a_name, p.a_lat, p.a_lng);
-    ensure(p.b_id, p.b_name, p.b_lat, p.b_lng);
-    union(p.a_id, p.b_id);
-  }
-  const clusters = new Map();
-  for (const k of parent.keys()) {
-    const root = find(k);
-    if (!clusters.has(root)) clusters.set(root, []);
-    clusters.get(root).push(data.get(k));
+  const onFallback = (r) => coordCount.get(`${r.lat},${r.lng}`) >= 3;
+  const flagged = pairs.filter((p) => !onFallback(p.a) && !onFallback(p.b));
+
+  // Each POI reports its best-scoring mate; pairs are already best first.
+  const best = new Map();
+  for (const p of flagged) {
+    if (!best.has(p.a.id)) best.set(p.a.id, { self: p.a, mate: p.b, pair: p });
+    if (!best.has(p.b.id)) best.set(p.b.id, { self: p.b, mate: p.a, pair: p });
   }
 
   const items = [];
-  for (const members of clusters.values()) {
-    if (members.length < 2) continue;
-    // S195 — drop members sitting at geocoder-fallback points (3+ POIs sharing
-    // exact lat/lng). Those POIs are flagged separately by geo_centroid_snap
-    // with a clearer "geocoder fallback" message. Without this filter the
-    // duplicates check listed unrelated co-located businesses (massage therapy,
-    // pub, gift shop, etc.) under a "Duplicate POIs" header — confusing UX
-    // because they're not duplicates of each other, they just collapsed onto
-    // the same fallback centroid.
-    const filtered = members.filter((m) => {
-      const sameCoords = members.filter(
-        (o) => o.lat === m.lat && o.lng === m.lng,
-      ).length;
-      return sameCoords < 3;
-    });
-    if (filtered.length < 2) continue;
+  for (const ids of clusterPairs(flagged)) {
+    const members = ids.map((id) => rows.get(id));
     const sharedNames =
-      filtered.map((m) => m.name).slice(0, 3).join(', ') +
-      (filtered.length > 3 ? `, +${filtered.length - 3} more` : '');
-    for (const m of filtered) {
+      members.map((m) => m.name).slice(0, 3).join(', ') +
+      (members.length > 3 ? `, +${members.length - 3} more` : '');
+    for (const m of members) {
       if (items.length >= ITEM_CAP) break;
-      items.push({
-        entity_type: 'poi',
-        entity_id: m.id,
-        entity_label: m.name,
-        lat: m.lat,
-        lng: m.lng,
-        message: `${filtered.length} POIs share locations within 15m of each other: ${sharedNames}. (Possible duplicates or genuinely-distinct neighbors.)`,
-        fix_hint: `Open each in the editor. If they're duplicates, pick the canonical record and Delete (soft) the losers. If they're genuinely-distinct neighbors at the same address, Suppress this flag.`,
-      });
+      const { mate, pair } = best.get(m.id);
+      items.push(poiItem(
+        { ...m, lat: parseFloat(m.lat), lng: parseFloat(m.lng) },
+        `Likely duplicate of "${mate.name}" (${mate.id}), score ${pair.score}: ${pair.explanation}.` +
+          (members.length > 2 ? ` Cluster of ${members.length}: ${sharedNames}.` : ''),
+        `If they're the same place, merge them (POST /admin/salem/pois/:id/merge). If they're genuinely-distinct neighbors, mark the pair "not a duplicate" — it won't be flagged again.`,
+        { duplicate_of: mate.id, score: pair.score, signals: pair.signals },
+      ));
     }
     if (items.length >= ITEM_CAP) break;
   }
@@ -863,6 +892,27 @@ async function checkTourOrphanStops(pgPool) {
   }));
 }
 
+async function checkTourImportUnmatched(pgPool) {
+  const { rows } = await pgPool.query(`
+    SELECT s.tour_id, s.stop_id, s.stop_order, s.name, s.lat, s.lng,
+           t.name AS tour_name
+    FROM salem_tour_stops s
+    JOIN salem_tours t ON t.id = s.tour_id
+    WHERE s.import_unmatched
+    ORDER BY t.name, s.stop_order
+    LIMIT $1
+  `, [ITEM_CAP]);
+  return rows.map(r => ({
+    entity_type: 'tour',
+    entity_id: r.tour_id,
+    entity_label: r.tour_name,
+    lat: r.lat,
+    lng: r.lng,
+    message: `Tour "${r.tour_name}" stop #${r.stop_order}${r.name ? ` ("${r.name}")` : ''} was imported without a matching POI.`,
+    fix_hint: `Open the Tours view → ${r.tour_name} → swap stop ${r.stop_order} for the right POI, drag it into place, or mark it reviewed.`,
+  }));
+}
+
 async function checkTourEmpty(pgPool) {
   const { rows } = await pgPool.query(`
     SELECT t.id, t.name, t.stop_count AS claimed,
@@ -919,6 +969,98 @@ async function checkTourLegsEmpty(pgPool) {
   }));
 }
 
+// ─── Tour geometry ───────────────────────────────────────────────────────────
+// Route-quality checks over every tour's stops + computed legs
+// (lib/tour-geometry-lint.js). Each item carries `geometry`, a GeoJSON
+// FeatureCollection the Lint map can draw as-is, plus lat/lng to zoom to.
+
+async function loadTourGeometry(pgPool) {
+  const [stops, legs] = await Promise.all([
+    pgPool.query(`
+      SELECT s.tour_id, t.name AS tour_name, s.stop_id, s.stop_order, s.poi_id,
+             COALESCE(s.lat, p.lat) AS lat, COALESCE(s.lng, p.lng) AS lng,
+             COALESCE(s.name, p.name) AS name,
+             s.edge_id, s.edge_fraction,
+             p.address, p.lat AS poi_lat, p.lng AS poi_lng, p.geofence_radius_m
+      FROM salem_tour_stops s
+      JOIN salem_tours t ON t.id = s.tour_id
+      LEFT JOIN salem_pois p ON p.id = s.poi_id AND p.deleted_at IS NULL
+      ORDER BY t.name, s.tour_id, s.stop_order, s.stop_id
+    `),
+    pgPool.query(`
+      SELECT tour_id, leg_order, from_stop_id, to_stop_id, polyline_json, distance_m
+      FROM salem_tour_legs
+      WHERE jsonb_typeof(polyline_json) = 'array'
+      ORDER BY tour_id, leg_order
+    `),
+  ]);
+  const tours = new Map();
+  for (const r of stops.rows) {
+    if (!tours.has(r.tour_id)) tours.set(r.tour_id, { id: r.tour_id, name: r.tour_name, stops: [], legs: [] });
+    tours.get(r.tour_id).stops.push(r);
+  }
+  for (const r of legs.rows) {
+    if (tours.has(r.tour_id)) tours.get(r.tour_id).legs.push(r);
+  }
+  return [...tours.values()];
+}
+
+function tourGeometryItems(tours, find, describe) {
+  const items = [];
+  for (const t of tours) {
+    for (const f of find(t)) {
+      const { message, fix_hint } = describe(t, f);
+      const { lat, lng, geometry, ...detail } = f;
+      items.push(tourItem(t, message, fix_hint, { lat, lng, ...detail, geometry }));
+      if (items.length >= ITEM_CAP) return items;
+    }
+  }
+  return items;
+}
+
+async function checkTourRetrace(pgPool) {
+  const tours = await loadTourGeometry(pgPool);
+  return tourGeometryItems(tours, (t) => findRetraces(t.legs), (t, f) => ({
+    message: `Tour "${t.name}" leg #${f.leg_order} walks back over ${Math.round(f.retrace_m)} m of leg #${f.leg_order - 1}.`,
+    fix_hint: `Open the Tours view → ${t.name} → reorder the stops around leg ${f.leg_order}, or move the dead-end stop onto the through route.`,
+  }));
+}
+
+async function checkTourSelfIntersect(pgPool) {
+  const tours = await loadTourGeometry(pgPool);
+  return tourGeometryItems(tours, (t) => findSelfIntersections(t.legs), (t, f) => ({
+    message: `Tour "${t.name}" leg #${f.leg_order} crosses itself ${f.crossings === 1 ? 'once' : `${f.crossings} times`}.`,
+    fix_hint: `Open the Tours view → ${t.name} → pick an alternative route for leg ${f.leg_order}, or add a waypoint that straightens it.`,
+  }));
+}
+
+async function checkTourDetour(pgPool) {
+  const tours = await loadTourGeometry(pgPool);
+  return tourGeometryItems(tours, (t) => findDetours(t.stops, t.legs), (t, f) => ({
+    message: `Tour "${t.name}" leg #${f.leg_order} walks ${f.routed_m} m for a ${f.straight_m} m straight line (×${f.detour_ratio}).`,
+    fix_hint: `Open the Tours view → ${t.name} → check leg ${f.leg_order} for a missing footpath or a stop snapped to the wrong side of a barrier; Routing overlay can add the missing link.`,
+  }));
+}
+
+async function checkTourStreetMismatch(pgPool, deps) {
+  if (!deps || typeof deps.salemEdgeInfo !== 'function' || !deps.salemBundle || !deps.salemBundle()) {
+    throw new Error('Routing bundle not loaded');
+  }
+  const tours = await loadTourGeometry(pgPool);
+  return tourGeometryItems(tours, (t) => findStreetMismatches(t.stops, deps.salemEdgeInfo), (t, f) => ({
+    message: `Tour "${t.name}" stop #${f.stop_order} (${f.name || f.poi_id}) is bound to ${f.edge_street} but the POI address is on ${f.address_street}.`,
+    fix_hint: `Open the Tours view → ${t.name} → drag stop ${f.stop_order} onto ${f.address_street}, or fix the POI address.`,
+  }));
+}
+
+async function checkTourGeofenceOverlap(pgPool) {
+  const tours = await loadTourGeometry(pgPool);
+  return tourGeometryItems(tours, (t) => findGeofenceOverlaps(t.stops), (t, f) => ({
+    message: `Tour "${t.name}" stops #${f.from_stop_order} and #${f.to_stop_order} are ${Math.round(f.distance_m)} m apart — inside their combined ${f.combined_radius_m} m geofences, so the second narration can cut off the first.`,
+    fix_hint: `Open the POI editor and shrink one geofence_radius_m, or move one stop further along the tour.`,
+  }));
+}
+
 // ─── Registry ────────────────────────────────────────────────────────────────
 
 const CHECKS = [
@@ -936,18 +1078,26 @@ const CHECKS = [
   { id: 'commercial_tier0_has_prose',label: 'Commercial tier-0 POIs with editorial prose (legal cleaning)', category: 'Content', severity: 'error', run: checkCommercialTier0HasProse },
   { id: 'content_no_description',    label: 'POIs with no description text',              category: 'Content',    severity: 'info',  run: checkContentNoDescription },
   { id: 'content_no_image',          label: 'Tour POIs with no image',                    category: 'Content',    severity: 'info',  run: checkContentNoImage },
+  { id: 'hours_unparseable',         label: 'Opening hours that don\'t parse',             category: 'Hours',      severity: 'warn',  run: checkHoursUnparseable },
+  { id: 'hours_seasonal_no_range',   label: 'Seasonal POIs with no season in their hours', category: 'Hours',      severity: 'info',  run: checkHoursSeasonalNoRange },
   { id: 'subcat_namespace_mismatch',     label: 'Subcategory namespace doesn\'t match category', category: 'Taxonomy', severity: 'error', run: checkSubcatNamespaceMismatch },
   { id: 'subcat_unknown_token',          label: 'Subcategory token has no matching hero icon',   category: 'Taxonomy', severity: 'warn',  run: checkSubcatUnknownToken },
   { id: 'commercial_missing_subcategory',label: 'Commercial POIs missing subcategory',           category: 'Taxonomy', severity: 'info',  run: checkCommercialMissingSubcategory },
   { id: 'category_keyword_mismatch',     label: 'POI name suggests a different category',        category: 'Taxonomy', severity: 'warn',  run: checkCategoryKeywordMismatch },
   { id: 'geo_outlier',               label: 'Outlier coordinates',                        category: 'Geography',  severity: 'error', run: checkGeoOutlier },
   { id: 'geo_centroid_snap',         label: 'Geocoder fallback (3+ POIs at same point)',  category: 'Geography',  severity: 'warn',  run: checkGeoCentroidSnap },
-  { id: 'duplicates',                label: 'Co-located POIs (within 15m)',               category: 'Duplicates', severity: 'warn',  run: checkDuplicates },
+  { id: 'duplicates',                label: 'Likely duplicate POIs (scored)',             category: 'Duplicates', severity: 'warn',  run: checkDuplicates },
   { id: 'cleanup_dedup_losers',      label: 'Soft-deleted dedup losers (pre-AAB cleanup)',category: 'Cleanup',    severity: 'info',  run: checkCleanupDedupLosers },
   { id: 'provenance_gaps',           label: 'Tour POIs with thin provenance',             category: 'Provenance', severity: 'info',  run: checkProvenanceGaps },
   { id: 'tour_orphan_stops',         label: 'Tour stops referencing deleted POIs',        category: 'Tour data',  severity: 'warn',  run: checkTourOrphanStops },
+  { id: 'tour_import_unmatched',     label: 'Imported tour stops with no matching POI',   category: 'Tour data',  severity: 'info',  run: checkTourImportUnmatched },
   { id: 'tour_empty',                label: 'Tours with zero or mismatched stops',        category: 'Tour data',  severity: 'warn',  run: checkTourEmpty },
   { id: 'tour_legs_empty',           label: 'Tour legs with empty polyline',              category: 'Tour data',  severity: 'warn',  run: checkTourLegsEmpty },
+  { id: 'tour_retrace',              label: `Tour legs retracing the previous leg (≥ ${RETRACE_MIN_M} m)`, category: 'Tour geometry', severity: 'warn', run: checkTourRetrace },
+  { id: 'tour_self_intersect',       label: 'Tour legs that cross themselves',            category: 'Tour geometry', severity: 'warn', run: checkTourSelfIntersect },
+  { id: 'tour_detour',               label: `Tour legs much longer than the straight line (> ×${DETOUR_RATIO_MAX})`, category: 'Tour geometry', severity: 'warn', run: checkTourDetour },
+  { id: 'tour_street_mismatch',      label: 'Tour stops bound to a different street than the POI address', category: 'Tour geometry', severity: 'info', run: checkTourStreetMismatch },
+  { id: 'tour_geofence_overlap',     label: 'Consecutive tour stops with overlapping geofences', category: 'Tour geometry', severity: 'warn', run: checkTourGeofenceOverlap },
 ];
 
 // ─── On-demand: address-geocode mismatch ─────────────────────────────────────
@@ -1086,7 +1236,7 @@ module.exports = function(app, deps) {
     const generated_at = new Date().toISOString();
     const results = await Promise.all(CHECKS.map(async (chk) => {
       try {
-        const items = await chk.run(pgPool);
+        const items = await chk.run(pgPool, deps);
         return {
           id: chk.id,
           label: chk.label,
@@ -1156,8 +1306,8 @@ module.exports = function(app, deps) {
       if (poiRows.length === 0) return res.status(404).json({ error: 'POI not found' });
       const poi = poiRows[0];
 
-      // Sibling duplicates within 15m (same threshold as the dupes lint check),
-      // excluding this POI AND soft-deleted ones. Operator rule (S188):
+      // Co-located siblings within 15m, excluding this POI AND soft-deleted
+      // ones. Operator rule (S188):
       // soft-deleted are footnotes — don't surface them as decision targets,
       // and don't spend Tiger budget geocoding their addresses.
       const DUPE_RADIUS_M = 15;
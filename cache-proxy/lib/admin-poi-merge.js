@@ -0,0 +1,416 @@
+/*
+ * LocationMapApp v1.5
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * Admin POI merge — fold one POI into another from the admin tool.
+ *
+ * POST /admin/salem/pois/:id/merge keeps :id (the survivor, "left") and
+ * merges `from` ("right") into it:
+ *   1. survivor columns take the per-field choices (lib/poi-merge.js)
+ *   2. salem_tour_stops, salem_collection_entries, the figure / fact /
+ *      timeline / source / event back-references and earlier merged_into
+ *      pointers move from `from` to the survivor. A collection already
+ *      holding the survivor just drops `from`'s entry.
+ *   3. `from` is soft-deleted with merged_into = survivor. Field edits
+ *      captured against it resolve through merged_into when applied
+ *      (lib/admin-field-edits.js).
+ *
+ * Each merge is one salem_poi_merges row holding the choices, the survivor's
+ * before / after values and every repointed row — the grouped audit entry.
+ * The trigger-written salem_audit_log rows carry
+ * source = 'admin-ui:poi-merge(<merge id>)', so GET /admin/salem/audit
+ * ?source=poi-merge(12) lists them; revert them as a group through the
+ * revert route below, not one by one. Revert refuses (409) when the survivor
+ * has been edited since in a field the merge wrote, unless ?force=true.
+ *
+ * Auth: gated by /admin Basic Auth; writes need the full admin role
+ * (/admin/salem/poi-merges is a full-admin prefix in server.js).
+ *
+ * Routes:
+ *   POST /admin/salem/pois/:id/merge            { from, fields?, reason? }
+ *          fields: { <column>: 'left' | 'right' | 'concat' }; ?force=true
+ *          overrides the survivor's no_overwrite lock
+ *   GET  /admin/salem/poi-merges?poi=&limit=    — newest first
+ *   GET  /admin/salem/poi-merges/:id            — merge + its audit rows
+ *   POST /admin/salem/poi-merges/:id/revert     — ?force=true skips the edit check
+ */
+const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module admin-poi-merge.js';
+
+const { buildUpdateClause, NO_OVERWRITE_PROTECTED_FIELDS } = require('./admin-pois');
+const { REF_COLUMNS, parseMergeBody, mergeFields, revertConflicts } = require('./poi-merge');
+
+const escapeLiteral = (v) => `'${String(v).replace(/'/g, "''")}'`;
+const mergeSource = (id) => `admin-ui:poi-merge(${id})`;
+const LIST_LIMIT_MAX = 500;
+
+const MERGE_COLUMNS = `id, survivor_id, merged_id, choices, survivor_before, survivor_after, repointed,
+                       reason, created_by, created_at, reverted_at, reverted_by`;
+
+module.exports = function(app, deps) {
+  const { pgPool, requirePg, requireFullAdmin } = deps;
+
+  if (pgPool) {
+    pgPool.query(`
+      ALTER TABLE salem_pois
+        ADD COLUMN IF NOT EXISTS merged_into TEXT REFERENCES salem_pois(id) ON DELETE SET NULL;
+      CREATE INDEX IF NOT EXISTS idx_spois_merged_into ON salem_pois (merged_into) WHERE merged_into IS NOT NULL;
+      CREATE TABLE IF NOT EXISTS salem_poi_merges (
+        id              BIGSERIAL PRIMARY KEY,
+        survivor_id     TEXT NOT NULL,
+        merged_id       TEXT NOT NULL,
+        choices         JSONB NOT NULL,
+        survivor_before JSONB NOT NULL,
+        survivor_after  JSONB NOT NULL DEFAULT '{}',
+        repointed       JSONB NOT NULL,
+        reason          TEXT,
+        created_by      TEXT,
+        created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        reverted_at     TIMESTAMPTZ,
+        reverted_by     TEXT
+      );
+      CREATE INDEX IF NOT EXISTS idx_salem_poi_merges_survivor ON salem_poi_merges (survivor_id);
+      CREATE INDEX IF NOT EXISTS idx_salem_poi_merges_merged   ON salem_poi_merges (merged_id);
+    `).catch((err) => console.warn('[admin-poi-merge] schema init warning:', err.message));
+  }
+
+  // One attributed write transaction; fn(client) does the work and may
+  // re-SET app.source once it knows the merge id.
+  async function audited(req, source, fn) {
+    const client = await pgPool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`SET LOCAL "app.actor" = ${escapeLiteral(req.adminRole || 'admin')}`);
+      await client.query(`SET LOCAL "app.source" = ${escapeLiteral(source)}`);
+      const out = await fn(client);
+      await client.query('COMMIT');
+      return out;
+    } catch (err) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function lockPois(client, ids) {
+    const { rows } = await client.query(
+      'SELECT * FROM salem_pois WHERE id = ANY($1) ORDER BY id FOR UPDATE',
+      [ids],
+    );
+    return new Map(rows.map((r) => [r.id, r]));
+  }
+
+  // Everything that points at `fromId`, captured before it's repointed.
+  async function collectReferences(client, fromId, survivorId) {
+    const stops = await client.query(
+      'SELECT stop_id, tour_id FROM salem_tour_stops WHERE poi_id = $1 ORDER BY stop_id',
+      [fromId],
+    );
+    const entries = await client.query(
+      `SELECT e.collection_id, e.display_order,
+              EXISTS (SELECT 1 FROM salem_collection_entries s
+                       WHERE s.collection_id = e.collection_id AND s.poi_id = $2) AS survivor_present
+         FROM salem_collection_entries e
+        WHERE e.poi_id = $1
+     ORDER BY e.collection_id`,
+      [fromId, survivorId],
+    );
+    const refs = {};
+    for (const [table, col] of REF_COLUMNS) {
+      const { rows } = await client.query(`SELECT id FROM ${table} WHERE ${col} = $1 ORDER BY id`, [fromId]);
+      if (rows.length) refs[`${table}.${col}`] = rows.map((r) => r.id);
+    }
+    const prior = await client.query(
+      'SELECT id FROM salem_pois WHERE merged_into = $1 ORDER BY id',
+      [fromId],
+    );
+    return {
+      tour_stops: stops.rows.map((r) => ({ stop_id: Number(r.stop_id), tour_id: r.tour_id })),
+      collections_moved: entries.rows.filter((r) => !r.survivor_present).map((r) => r.collection_id),
+      collections_dropped: entries.rows.filter((r) => r.survivor_present)
+        .map((r) => ({ collection_id: r.collection_id, display_order: r.display_order })),
+      refs,
+      merged_into: prior.rows.map((r) => r.id),
+    };
+  }
+
+  // Points every reference in `rp` from `fromId` to `toId`. Merge passes
+  // (loser → survivor), revert (survivor → loser); both touch only the rows
+  // recorded in rp.
+  async function repoint(client, rp, fromId, toId, reverting) {
+    const stopIds = rp.tour_stops.map((s) => s.stop_id);
+    if (stopIds.length) {
+      await client.query(
+        'UPDATE salem_tour_stops SET poi_id = $2, updated_at = NOW() WHERE stop_id = ANY($3) AND poi_id = $1',
+        [fromId, toId, stopIds],
+      );
+    }
+    if (rp.collections_moved.length) {
+      await client.query(
+        'UPDATE salem_collection_entries SET poi_id = $2 WHERE poi_id = $1 AND collection_id = ANY($3)',
+        [fromId, toId, rp.collections_moved],
+      );
+    }
+    if (rp.collections_dropped.length) {
+      const ids = rp.collections_dropped.map((d) => d.collection_id);
+      if (reverting) {
+        await client.query(
+          `INSERT INTO salem_collection_entries (collection_id, poi_id, display_order)
+           SELECT c, $1::text, o FROM unnest($2::text[], $3::int[]) AS d(c, o)
+           ON CONFLICT DO NOTHING`,
+          [toId, ids, rp.collections_dropped.map((d) => d.display_order)],
+        );
+      } else {
+        await client.query(
+          'DELETE FROM salem_collection_entries WHERE poi_id = $1 AND collection_id = ANY($2)',
+          [fromId, ids],
+        );
+      }
+    }
+    for (const [table, col] of REF_COLUMNS) {
+      const ids = rp.refs[`${table}.${col}`];
+      if (!ids) continue;
+      await client.query(
+        `UPDATE ${table} SET ${col} = $2, updated_at = NOW() WHERE id = ANY($3) AND ${col} = $1`,
+        [fromId, toId, ids],
+      );
+    }
+    if (rp.merged_into.length) {
+      await client.query(
+        'UPDATE salem_pois SET merged_into = $2, updated_at = NOW() WHERE id = ANY($3) AND merged_into = $1',
+        [fromId, toId, rp.merged_into],
+      );
+    }
+  }
+
+  // Writes `values` over the survivor's columns, stamped as an admin edit.
+  async function writeSurvivor(client, id, values) {
+    const { setSql, values: params, error } = buildUpdateClause(values);
+    if (error) return { error };
+    params.push(id);
+    const { rows } = await client.query(
+      `UPDATE salem_pois
+          SET ${setSql}, admin_dirty = TRUE, admin_dirty_at = NOW()
+        WHERE id = $${params.length}
+        RETURNING *`,
+      params,
+    );
+    return { row: rows[0] };
+  }
+
+  async function auditRows(db, mergeId) {
+    const { rows } = await db.query(
+      `SELECT id, recorded_at, table_name, entity_id, action, changed_fields, reverted
+         FROM salem_audit_log
+        WHERE source = $1
+     ORDER BY id`,
+      [mergeSource(mergeId)],
+    );
+    return rows;
+  }
+
+  // ─── POST /admin/salem/pois/:id/merge ───────────────────────────────────────
+  app.post('/admin/salem/pois/:id/merge', requirePg, requireFullAdmin, async (req, res) => {
+    const survivorId = req.params.id;
+    const body = parseMergeBody(req.body, survivorId);
+    if (body instanceof Error) return res.status(400).json({ error: body.message });
+    const force = req.query.force === 'true' || req.query.force === '1';
+
+    try {
+      const out = await audited(req, 'admin-ui:poi-merge', async (client) => {
+        const pois = await lockPois(client, [survivorId, body.from]);
+        const left = pois.get(survivorId);
+        const right = pois.get(body.from);
+        if (!left) return { status: 404, error: `POI ${survivorId} not found` };
+        if (!right) return { status: 404, error: `POI ${body.from} not found` };
+        for (const p of [left, right]) {
+          if (p.deleted_at) return { status: 409, error: `POI ${p.id} is soft-deleted` };
+        }
+
+        const { choices, updates } = mergeFields(left, right, body.fields);
+        if (!force && left.no_overwrite === true) {
+          const locked = Object.keys(updates).filter((f) => NO_OVERWRITE_PROTECTED_FIELDS.has(f));
+          if (locked.length) {
+            return {
+              status: 409,
+              error: 'Survivor is flagged no_overwrite=true; protected fields would change. Pass ?force=true to override.',
+              code: 'NO_OVERWRITE_LOCKED',
+              locked_fields: locked,
+            };
+          }
+        }
+
+        const rp = await collectReferences(client, right.id, left.id);
+        const before = {};
+        for (const f of Object.keys(updates)) before[f] = left[f] ?? null;
+        const ins = await client.query(
+          `INSERT INTO salem_poi_merges (survivor_id, merged_id, choices, survivor_before, repointed, reason, created_by)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)
+           RETURNING id`,
+          [left.id, right.id, JSON.stringify(choices), JSON.stringify(before), JSON.stringify(rp),
+            body.reason, req.adminRole || 'admin'],
+        );
+        const mergeId = Number(ins.rows[0].id);
+        await client.query(`SET LOCAL "app.source" = ${escapeLiteral(mergeSource(mergeId))}`);
+
+        let survivor = left;
+        if (Object.keys(updates).length) {
+          const w = await writeSurvivor(client, left.id, updates);
+          if (w.error) throw Object.assign(new Error(w.error), { status: 400 });
+          survivor = w.row;
+        }
+        const after = {};
+        for (const f of Object.keys(updates)) after[f] = survivor[f] ?? null;
+
+        await client.query(
+          `UPDATE salem_pois
+              SET deleted_at = NOW(), merged_into = $2, updated_at = NOW()
+            WHERE id = $1`,
+          [right.id, left.id],
+        );
+        await repoint(client, rp, right.id, left.id, false);
+        await client.query('UPDATE salem_poi_merges SET survivor_after = $2 WHERE id = $1', [mergeId, JSON.stringify(after)]);
+
+        // A tour that visited both POIs now visits the survivor twice.
+        const movedTours = new Set(rp.tour_stops.map((s) => s.tour_id));
+        const dupes = await client.query(
+          `SELECT tour_id, COUNT(*)::int AS n
+             FROM salem_tour_stops
+            WHERE poi_id = $1 AND tour_id = ANY($2)
+         GROUP BY tour_id
+           HAVING COUNT(*) > 1`,
+          [left.id, [...movedTours]],
+        );
+        return {
+          merge_id: mergeId,
+          survivor,
+          merged_id: right.id,
+          changed_fields: Object.keys(updates),
+          repointed: {
+            tour_stops: rp.tour_stops.length,
+            collection_entries: rp.collections_moved.length,
+            collection_entries_dropped: rp.collections_dropped.length,
+            references: Object.values(rp.refs).reduce((n, ids) => n + ids.length, 0),
+            merged_into: rp.merged_into.length,
+          },
+          warnings: dupes.rows.map((d) => `tour ${d.tour_id} now stops at ${left.id} ${d.n} times`),
+          audit: await auditRows(client, mergeId),
+        };
+      });
+      if (out.error) {
+        const { status, ...rest } = out;
+        return res.status(status).json(rest);
+      }
+      res.status(201).json(out);
+    } catch (err) {
+      if (err.status === 400) return res.status(400).json({ error: err.message });
+      if (err.code === '23503') return res.status(400).json({ error: `unknown category or subcategory: ${err.detail || err.message}` });
+      console.error('[admin-poi-merge] merge error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ─── GET /admin/salem/poi-merges ────────────────────────────────────────────
+  app.get('/admin/salem/poi-merges', requirePg, async (req, res) => {
+    try {
+      const limit = Math.min(LIST_LIMIT_MAX, parseInt(String(req.query.limit || ''), 10) || 100);
+      const params = [limit];
+      let where = '';
+      if (req.query.poi) {
+        params.push(String(req.query.poi));
+        where = 'WHERE survivor_id = $2 OR merged_id = $2';
+      }
+      const { rows } = await pgPool.query(
+        `SELECT id, survivor_id, merged_id, reason, created_by, created_at, reverted_at, reverted_by,
+                (SELECT array_agg(k ORDER BY k) FROM jsonb_object_keys(survivor_before) AS k) AS changed_fields
+           FROM salem_poi_merges
+           ${where}
+       ORDER BY id DESC
+          LIMIT $1`,
+        params,
+      );
+      res.json({ count: rows.length, merges: rows.map((r) => ({ ...r, id: Number(r.id), changed_fields: r.changed_fields || [] })) });
+    } catch (err) {
+      console.error('[admin-poi-merge] list error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ─── GET /admin/salem/poi-merges/:id ────────────────────────────────────────
+  app.get('/admin/salem/poi-merges/:id(\\d+)', requirePg, async (req, res) => {
+    try {
+      const mergeId = parseInt(req.params.id, 10);
+      const { rows } = await pgPool.query(`SELECT ${MERGE_COLUMNS} FROM salem_poi_merges WHERE id = $1`, [mergeId]);
+      if (!rows.length) return res.status(404).json({ error: 'merge not found' });
+      res.json({ ...rows[0], id: mergeId, audit: await auditRows(pgPool, mergeId) });
+    } catch (err) {
+      console.error('[admin-poi-merge] get error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ─── POST /admin/salem/poi-merges/:id/revert ────────────────────────────────
+  app.post('/admin/salem/poi-merges/:id(\\d+)/revert', requirePg, async (req, res) => {
+    const mergeId = parseInt(req.params.id, 10);
+    const force = req.query.force === 'true' || req.query.force === '1';
+    const reverter = req.adminRole || 'admin';
+    try {
+      const out = await audited(req, `admin-ui:poi-merge-revert(${mergeId})`, async (client) => {
+        const m = await client.query(`SELECT ${MERGE_COLUMNS} FROM salem_poi_merges WHERE id = $1 FOR UPDATE`, [mergeId]);
+        if (!m.rows.length) return { status: 404, error: 'merge not found' };
+        const merge = m.rows[0];
+        if (merge.reverted_at) return { status: 409, error: 'merge already reverted', reverted_at: merge.reverted_at };
+
+        const pois = await lockPois(client, [merge.survivor_id, merge.merged_id]);
+        const survivor = pois.get(merge.survivor_id);
+        const merged = pois.get(merge.merged_id);
+        if (!survivor || !merged) return { status: 409, error: 'a POI from this merge has been hard-deleted; cannot revert' };
+        if (merged.merged_into !== survivor.id || !merged.deleted_at) {
+          return { status: 409, error: `POI ${merged.id} has been restored or re-merged since; cannot revert` };
+        }
+        const conflicts = revertConflicts(survivor, merge.survivor_after);
+        if (conflicts.length && !force) {
+          return {
+            status: 409,
+            error: 'Survivor was edited after the merge; reverting would overwrite those edits. Pass ?force=true to override.',
+            conflicts,
+          };
+        }
+
+        if (Object.keys(merge.survivor_before).length) {
+          const w = await writeSurvivor(client, survivor.id, merge.survivor_before);
+          if (w.error) throw new Error(w.error);
+        }
+        await client.query(
+          `UPDATE salem_pois
+              SET deleted_at = NULL, merged_into = NULL,
+                  admin_dirty = TRUE, admin_dirty_at = NOW(), updated_at = NOW()
+            WHERE id = $1`,
+          [merged.id],
+        );
+        await repoint(client, merge.repointed, survivor.id, merged.id, true);
+
+        await client.query(
+          'UPDATE salem_poi_merges SET reverted_at = NOW(), reverted_by = $2 WHERE id = $1',
+          [mergeId, reverter],
+        );
+        const newest = await client.query('SELECT MAX(id)::int AS id FROM salem_audit_log');
+        const marked = await client.query(
+          `UPDATE salem_audit_log
+              SET reverted = true, reverted_at = NOW(), reverted_by = $2, revert_audit_id = $3
+            WHERE source = $1 AND reverted = false`,
+          [mergeSource(mergeId), reverter, newest.rows[0].id],
+        );
+        return { merge_id: mergeId, survivor_id: survivor.id, restored_id: merged.id, audit_rows_reverted: marked.rowCount };
+      });
+      if (out.error) {
+        const { status, ...rest } = out;
+        return res.status(status).json(rest);
+      }
+      res.json({ ok: true, ...out });
+    } catch (err) {
+      console.error('[admin-poi-merge] revert error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+};
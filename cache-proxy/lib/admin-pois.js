@@ -18,12 +18,16 @@
  *
  * Routes:
  *   GET    /admin/salem/pois?category=&is_tour_poi=&is_narrated=&s=&w=&n=&e=&include_deleted=&q=&limit=
- *   GET    /admin/salem/pois/duplicates?radius=15  (Phase 9P.5)
+ *   GET    /admin/salem/pois/duplicates?radius=200&min_score=0.7  (Phase 9P.5; scored)
+ *   GET    /admin/salem/pois/duplicates/reviews?poi=
+ *   POST   /admin/salem/pois/duplicates/reviews  — mark a pair "not a duplicate"
+ *   DELETE /admin/salem/pois/duplicates/reviews/:a/:b
  *   GET    /admin/salem/pois/:id
  *   PUT    /admin/salem/pois/:id          — partial update
  *   POST   /admin/salem/pois/:id/move     — lat/lng-only update
  *   DELETE /admin/salem/pois/:id          — soft delete
  *   POST   /admin/salem/pois/:id/restore  — undo soft delete
+ *   (POST  /admin/salem/pois/:id/merge lives in lib/admin-poi-merge.js)
  *
  * Validation:
  *   - lat ∈ [-90, 90], lng ∈ [-180, 180]
@@ -44,6 +48,15 @@ const {
   extractStreetFromAddress,
   haversineKm,
 } = require('./tiger-geocode');
+const { haversineM } = require('./geo-filter');
+const {
+  DUPLICATE_THRESHOLD,
+  SCAN_RADIUS_M,
+  SCORE_COLUMNS,
+  scorePair,
+  scoreNearbyPairs,
+  clusterPairs,
+} = require('./poi-duplicates');
 
 // S218 — Salem-area sanity filter. Tiger.geocode can match a fuzzy
 // "Wharf St, Salem MA" to a Wharf St in another town when the city/zip
@@ -297,6 +310,23 @@ module.exports = function(app, deps) {
       ADD COLUMN IF NOT EXISTS no_overwrite BOOLEAN NOT NULL DEFAULT FALSE;
   `).catch(err => console.error('[admin-pois] no_overwrite bootstrap failed:', err.message));
 
+  // "Not a duplicate" verdicts read by lib/poi-duplicates.js. Mirrors the
+  // POI duplicate reviews block in salem-schema.sql.
+  pgPool.query(`
+    CREATE TABLE IF NOT EXISTS salem_poi_duplicate_reviews (
+      poi_a        TEXT NOT NULL REFERENCES salem_pois(id) ON DELETE CASCADE,
+      poi_b        TEXT NOT NULL REFERENCES salem_pois(id) ON DELETE CASCADE,
+      score        REAL,
+      signals      JSONB,
+      note         TEXT,
+      reviewed_by  TEXT,
+      reviewed_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+      PRIMARY KEY (poi_a, poi_b),
+      CHECK (poi_a < poi_b)
+    );
+    CREATE INDEX IF NOT EXISTS idx_salem_poi_dup_reviews_b ON salem_poi_duplicate_reviews (poi_b);
+  `).catch(err => console.warn('[admin-pois] schema init warning:', err.message));
+
   // S244 — given the row stored in PG and the body about to be written,
   // return the list of protected fields that would actually change. An
   // empty list means the write is allowed even with the lock on (e.g. only
@@ -378,127 +408,143 @@ module.exports = function(app, deps) {
   });
 
   // ─── GET /admin/salem/pois/duplicates — duplicate detection ────────────────
+  // Live pairs within `radius` scored by lib/poi-duplicates.js (the scorer
+  // the duplicates lint check and dedup scripts use); pairs at or above
+  // min_score cluster transitively. Reviewed "not a duplicate" pairs never
+  // come back. min_score=0 lists every co-located pair.
   app.get('/admin/salem/pois/duplicates', requirePg, async (req, res) => {
     try {
-      const radiusRaw = parseFloat(req.query.radius || '15');
+      const radiusRaw = parseFloat(req.query.radius || String(SCAN_RADIUS_M));
       if (!Number.isFinite(radiusRaw) || radiusRaw <= 0) {
         return res.status(400).json({ error: 'radius must be a positive number (meters)' });
       }
-      const radius = Math.min(radiusRaw, 100);
-
-      const latBoxDegrees = radius / 111000.0;
-      const lngBoxDegrees = radius / 60000.0;
-
-      const sql = `
-        SELECT
-          a.id AS a_id, a.name AS a_name, a.lat AS a_lat, a.lng AS a_lng,
-          b.id AS b_id, b.name AS b_name, b.lat AS b_lat, b.lng AS b_lng,
-          6371000.0 * 2.0 * ASIN(SQRT(
-            POWER(SIN(RADIANS(b.lat - a.lat) / 2.0), 2) +
-            COS(RADIANS(a.lat)) * COS(RADIANS(b.lat)) *
-            POWER(SIN(RADIANS(b.lng - a.lng) / 2.0), 2)
-          )) AS distance_m
-        FROM salem_pois a
-        JOIN salem_pois b
-          ON a.id < b.id
-         AND ABS(a.lat - b.lat) <= $2
-         AND ABS(a.lng - b.lng) <= $3
-        WHERE a.deleted_at IS NULL AND b.deleted_at IS NULL
-          AND 6371000.0 * 2.0 * ASIN(SQRT(
-                POWER(SIN(RADIANS(b.lat - a.lat) / 2.0), 2) +
-                COS(RADIANS(a.lat)) * COS(RADIANS(b.lat)) *
-                POWER(SIN(RADIANS(b.lng - a.lng) / 2.0), 2)
-              )) <= $1
-        ORDER BY distance_m ASC
-      `;
-
-      const { rows: pairs } = await pgPool.query(sql, [radius, latBoxDegrees, lngBoxDegrees]);
-
-      if (pairs.length === 0) {
-        return res.json({ radius_m: radius, count: 0, clusters: [] });
-      }
-
-      // Union-find clustering
-      const parent = new Map();
-      const nodeData = new Map();
-
-      function find(x) {
-        let root = x;
-        while (parent.get(root) !== root) root = parent.get(root);
-        let cur = x;
-        while (parent.get(cur) !== root) {
-          const next = parent.get(cur);
-          parent.set(cur, root);
-          cur = next;
-        }
-        return root;
-      }
-
-      function union(x, y) {
-        const rx = find(x);
-        const ry = find(y);
-        if (rx !== ry) parent.set(rx, ry);
-      }
-
-      function ensureNode(id, name, lat, lng) {
-        if (!parent.has(id)) {
-          parent.set(id, id);
-          nodeData.set(id, { id, name, lat: parseFloat(lat), lng: parseFloat(lng) });
-        }
-        return id;
-      }
-
-      for (const p of pairs) {
-        ensureNode(p.a_id, p.a_name, p.a_lat, p.a_lng);
-        ensureNode(p.b_id, p.b_name, p.b_lat, p.b_lng);
-        union(p.a_id, p.b_id);
-      }
-
-      const clusters = new Map();
-      for (const key of parent.keys()) {
-        const root = find(key);
-        if (!clusters.has(root)) clusters.set(root, []);
-        clusters.get(root).push(nodeData.get(key));
+      const radius = Math.min(radiusRaw, 500);
+      const minScore = req.query.min_score === undefined ? DUPLICATE_THRESHOLD : parseFloat(req.query.min_score);
+      if (!Number.isFinite(minScore) || minScore < 0 || minScore > 1) {
+        return res.status(400).json({ error: 'min_score must be a number in [0, 1]' });
       }
 
-      function haversineMeters(lat1, lng1, lat2, lng2) {
-        const toRad = (d) => d * Math.PI / 180;
-        const R = 6371000;
-        const dLat = toRad(lat2 - lat1);
-        const dLng = toRad(lng2 - lng1);
-        const a = Math.sin(dLat / 2) ** 2 +
-                  Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) *
-                  Math.sin(dLng / 2) ** 2;
-        return R * 2 * Math.asin(Math.sqrt(a));
-      }
+      const { pairs, rows, reviewed } = await scoreNearbyPairs(pgPool, { radiusM: radius, minScore });
 
       const result = [];
-      for (const members of clusters.values()) {
-        if (members.length < 2) continue;
+      for (const ids of clusterPairs(pairs)) {
+        const members = ids.map((id) => {
+          const r = rows.get(id);
+          return { id: r.id, name: r.name, category: r.category, lat: parseFloat(r.lat), lng: parseFloat(r.lng) };
+        });
+        const idSet = new Set(ids);
+        const clusterPairsOut = pairs
+          .filter((p) => idSet.has(p.a.id))
+          .map((p) => ({
+            a: p.a.id,
+            b: p.b.id,
+            distance_m: p.distance_m,
+            score: p.score,
+            signals: p.signals,
+            explanation: p.explanation,
+          }));
         const centroidLat = members.reduce((s, m) => s + m.lat, 0) / members.length;
         const centroidLng = members.reduce((s, m) => s + m.lng, 0) / members.length;
         const enriched = members.map(m => ({
           ...m,
-          distance_m_from_centroid: Math.round(
-            haversineMeters(centroidLat, centroidLng, m.lat, m.lng) * 100
-          ) / 100,
+          distance_m_from_centroid: Math.round(haversineM(centroidLat, centroidLng, m.lat, m.lng) * 100) / 100,
         }));
         enriched.sort((a, b) => a.distance_m_from_centroid - b.distance_m_from_centroid);
         result.push({
           centroid: { lat: centroidLat, lng: centroidLng },
           member_count: members.length,
+          score: clusterPairsOut[0].score,
           members: enriched,
+          pairs: clusterPairsOut,
         });
       }
 
-      result.sort((a, b) => b.member_count - a.member_count);
-      res.json({ radius_m: radius, count: result.length, clusters: result });
+      result.sort((a, b) => b.score - a.score || b.member_count - a.member_count);
+      res.json({ radius_m: radius, min_score: minScore, count: result.length, reviewed_skipped: reviewed, clusters: result });
     } catch (err) {
       console.error('[AdminPois] duplicates error:', err.message);
       res.status(500).json({ error: err.message });
     }
   });
 
+  // ─── Duplicate reviews — "not a duplicate" verdicts ────────────────────────
+  // POST /admin/salem/pois/duplicates/reviews  body: { a, b, note? }
+  // Records that two POIs are distinct places; every scorer caller skips the
+  // pair from then on. Idempotent — re-posting refreshes note and score.
+  app.post('/admin/salem/pois/duplicates/reviews', requirePg, requireFullAdmin, async (req, res) => {
+    try {
+      const { a, b, note } = req.body || {};
+      if (typeof a !== 'string' || typeof b !== 'string' || !a || !b) {
+        return res.status(400).json({ error: 'a and b (POI ids) are required' });
+      }
+      if (a === b) return res.status(400).json({ error: 'a and b must be different POIs' });
+      if (note != null && (typeof note !== 'string' || note.length > 500)) {
+        return res.status(400).json({ error: 'note must be a string ≤500 chars' });
+      }
+      const { rows } = await pgPool.query(
+        `SELECT ${SCORE_COLUMNS} FROM salem_pois WHERE id = ANY($1)`,
+        [[a, b]],
+      );
+      const byId = new Map(rows.map((r) => [r.id, r]));
+      const missing = [a, b].filter((id) => !byId.has(id));
+      if (missing.length) return res.status(404).json({ error: `POI not found: ${missing.join(', ')}` });
+
+      const [lo, hi] = a < b ? [a, b] : [b, a];
+      const { score, signals } = scorePair(byId.get(lo), byId.get(hi));
+      const { rows: saved } = await pgPool.query(
+        `INSERT INTO salem_poi_duplicate_reviews (poi_a, poi_b, score, signals, note, reviewed_by, reviewed_at)
+         VALUES ($1, $2, $3, $4::jsonb, $5, $6, NOW())
+         ON CONFLICT (poi_a, poi_b)
+           DO UPDATE SET score = EXCLUDED.score, signals = EXCLUDED.signals, note = EXCLUDED.note,
+                         reviewed_by = EXCLUDED.reviewed_by, reviewed_at = NOW()
+         RETURNING poi_a, poi_b, score, signals, note, reviewed_by, reviewed_at`,
+        [lo, hi, score, JSON.stringify(signals), note ? note.trim() || null : null, req.adminRole || 'admin'],
+      );
+      res.json(saved[0]);
+    } catch (err) {
+      console.error('[AdminPois] duplicate review error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // GET /admin/salem/pois/duplicates/reviews?poi=
+  app.get('/admin/salem/pois/duplicates/reviews', requirePg, async (req, res) => {
+    try {
+      const { poi } = req.query;
+      const { rows } = await pgPool.query(
+        `SELECT r.poi_a, pa.name AS poi_a_name, r.poi_b, pb.name AS poi_b_name,
+                r.score, r.signals, r.note, r.reviewed_by, r.reviewed_at
+           FROM salem_poi_duplicate_reviews r
+           LEFT JOIN salem_pois pa ON pa.id = r.poi_a
+           LEFT JOIN salem_pois pb ON pb.id = r.poi_b
+          WHERE ($1::text IS NULL OR r.poi_a = $1 OR r.poi_b = $1)
+          ORDER BY r.reviewed_at DESC`,
+        [poi || null],
+      );
+      res.json({ count: rows.length, reviews: rows });
+    } catch (err) {
+      console.error('[AdminPois] list duplicate reviews error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // DELETE /admin/salem/pois/duplicates/reviews/:a/:b
+  // Withdraws the verdict — the pair is scored and reported again.
+  app.delete('/admin/salem/pois/duplicates/reviews/:a/:b', requirePg, requireFullAdmin, async (req, res) => {
+    try {
+      const { a, b } = req.params;
+      const [lo, hi] = a < b ? [a, b] : [b, a];
+      const { rowCount } = await pgPool.query(
+        `DELETE FROM salem_poi_duplicate_reviews WHERE poi_a = $1 AND poi_b = $2`,
+        [lo, hi],
+      );
+      res.json({ deleted: rowCount });
+    } catch (err) {
+      console.error('[AdminPois] delete duplicate review error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
   // ─── GET /admin/salem/pois/:id — single ──────────────────────────────────
   app.get('/admin/salem/pois/:id', requirePg, async (req, res) => {
     try {
@@ -1381,16 +1427,24 @@ module.exports = function(app, deps) {
                 admin_dirty = TRUE,
                 admin_dirty_at = NOW(),
                 updated_at = NOW()
-          WHERE id = $1 AND deleted_at IS NOT NULL
+          WHERE id = $1 AND deleted_at IS NOT NULL AND merged_into IS NULL
           RETURNING id`,
         [id]
       );
       if (!rows.length) {
         const check = await pgPool.query(
-          `SELECT id, deleted_at FROM salem_pois WHERE id = $1`,
+          `SELECT id, deleted_at, merged_into FROM salem_pois WHERE id = $1`,
           [id]
         );
         if (!check.rows.length) return res.status(404).json({ error: 'Not found' });
+        // Restoring a merged POI alone would leave its references on the
+        // survivor — revert the merge instead (lib/admin-poi-merge.js).
+        if (check.rows[0].merged_into) {
+          return res.status(409).json({
+            error: `POI was merged into ${check.rows[0].merged_into}; revert the merge via /admin/salem/poi-merges`,
+            merged_into: check.rows[0].merged_into,
+          });
+        }
         return res.status(409).json({ error: 'POI is not soft-deleted; nothing to restore' });
       }
       res.json({ id: rows[0].id, restored: true });
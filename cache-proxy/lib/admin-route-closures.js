@@ -0,0 +1,263 @@
+/*
+ * LocationMapApp v1.5
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * Admin endpoints for time-bounded street closures (salem_route_closures).
+ *
+ * Every October Haunted Happenings closes downtown streets for days at a
+ * time. Rather than re-baking the routing bundle, the operator draws the
+ * closure here — a GeoJSON polygon, a list of TigerLine edge_ids, or both —
+ * with a reason and a [starts_at, ends_at) window. The bundle router
+ * (lib/salem-router.js) lays active closures over its edge costs at request
+ * time; scripts/publish-route-closures.js ships them to the app's
+ * salem_content.db so offline routing can do the same.
+ *
+ * Auth: gated by /admin Basic Auth + requireFullAdmin (see server.js).
+ *
+ * Routes:
+ *   GET    /admin/salem/route-closures[?include_expired=1]
+ *   GET    /admin/salem/route-closures/:id      — row + resolved bundle edges
+ *   POST   /admin/salem/route-closures
+ *            { name, reason?, mode?: 'closed'|'avoid', starts_at, ends_at,
+ *              polygon?: GeoJSON, edge_ids?: [int] }
+ *   PATCH  /admin/salem/route-closures/:id      — any subset of the above
+ *   DELETE /admin/salem/route-closures/:id
+ *
+ * After startup and after every write the full table is pushed to the
+ * router (deps.salemSetClosures), so edits take effect on the next request.
+ */
+const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module admin-route-closures.js';
+
+const { CLOSURE_MODES, parsePolygon, closureState } = require('./route-closures');
+
+const CLOSURE_COLUMNS = `id, name, reason, mode, starts_at, ends_at, polygon_json,
+                         edge_ids, created_at, updated_at`;
+
+// Edge ids arrive from PG as strings (BIGINT[]); hand the client numbers.
+function shapeRow(row, nowMs) {
+  const startsMs = new Date(row.starts_at).getTime();
+  const endsMs = new Date(row.ends_at).getTime();
+  return {
+    ...row,
+    id: Number(row.id),
+    edge_ids: (row.edge_ids || []).map(Number),
+    state: closureState({ startsMs, endsMs }, nowMs),
+  };
+}
+
+// Validates a create body, or a PATCH body merged over the stored row.
+// Returns { value } with DB-ready fields or { error }.
+function validateClosure(body, existing = null) {
+  const pick = (k, dbKey = k) =>
+    (Object.prototype.hasOwnProperty.call(body, k) ? body[k] : existing ? existing[dbKey] : undefined);
+
+  const name = typeof pick('name') === 'string' ? pick('name').trim() : '';
+  if (!name || name.length > 120) return { error: 'name must be a non-empty string ≤120 chars' };
+
+  const reasonRaw = pick('reason');
+  if (reasonRaw != null && typeof reasonRaw !== 'string') return { error: 'reason must be a string' };
+  const reason = reasonRaw == null || !reasonRaw.trim() ? null : reasonRaw.trim();
+
+  const mode = pick('mode') == null ? 'closed' : pick('mode');
+  if (!CLOSURE_MODES.includes(mode)) return { error: `mode must be one of: ${CLOSURE_MODES.join(', ')}` };
+
+  const startsAt = new Date(pick('starts_at'));
+  const endsAt = new Date(pick('ends_at'));
+  if (pick('starts_at') == null || Number.isNaN(startsAt.getTime())) {
+    return { error: 'starts_at must be an ISO timestamp' };
+  }
+  if (pick('ends_at') == null || Number.isNaN(endsAt.getTime())) {
+    return { error: 'ends_at must be an ISO timestamp' };
+  }
+  if (endsAt <= startsAt) return { error: 'ends_at must be after starts_at' };
+
+  const polygonRaw = pick('polygon', 'polygon_json');
+  let polygon = null;
+  if (polygonRaw != null) {
+    const parsed = parsePolygon(polygonRaw);
+    if (parsed.error) return { error: parsed.error };
+    polygon = polygonRaw.type === 'Feature' ? polygonRaw.geometry : polygonRaw;
+  }
+
+  const edgeRaw = pick('edge_ids');
+  let edgeIds = [];
+  if (edgeRaw != null) {
+    if (!Array.isArray(edgeRaw)) return { error: 'edge_ids must be an array of integers' };
+    edgeIds = edgeRaw.map(Number);
+    if (edgeIds.some((v) => !Number.isSafeInteger(v))) return { error: 'edge_ids must be an array of integers' };
+    edgeIds = [...new Set(edgeIds)];
+  }
+  if (!polygon && !edgeIds.length) return { error: 'a closure needs a polygon, edge_ids, or both' };
+
+  return {
+    value: {
+      name, reason, mode,
+      starts_at: startsAt.toISOString(),
+      ends_at: endsAt.toISOString(),
+      polygon_json: polygon,
+      edge_ids: edgeIds,
+    },
+  };
+}
+
+module.exports = function(app, deps) {
+  const { pgPool, requirePg } = deps;
+
+  function badId(req, res) {
+    if (/^\d+$/.test(req.params.id)) return false;
+    res.status(400).json({ error: 'closure id must be an integer' });
+    return true;
+  }
+
+  // Re-reads every closure and hands them to the router. Expired rows are
+  // kept out — the router would never apply them.
+  async function pushClosures() {
+    if (!pgPool || typeof deps.salemSetClosures !== 'function') return null;
+    const { rows } = await pgPool.query(
+      `SELECT ${CLOSURE_COLUMNS} FROM salem_route_closures WHERE ends_at > NOW()`,
+    );
+    return deps.salemSetClosures(rows);
+  }
+
+  function pushAfterWrite() {
+    pushClosures().catch((err) => console.warn('[admin-route-closures] router refresh failed:', err.message));
+  }
+
+  // Idempotent forward-migration (mirrors the CREATE in salem-schema.sql),
+  // then the first push so the router honours closures from boot.
+  if (pgPool) {
+    pgPool.query(`
+      CREATE TABLE IF NOT EXISTS salem_route_closures (
+        id            BIGSERIAL PRIMARY KEY,
+        name          TEXT NOT NULL,
+        reason        TEXT,
+        mode          TEXT NOT NULL DEFAULT 'closed' CHECK (mode IN ('closed', 'avoid')),
+        starts_at     TIMESTAMPTZ NOT NULL,
+        ends_at       TIMESTAMPTZ NOT NULL,
+        polygon_json  JSONB,
+        edge_ids      BIGINT[] NOT NULL DEFAULT '{}',
+        created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        CHECK (ends_at > starts_at),
+        CHECK (polygon_json IS NOT NULL OR cardinality(edge_ids) > 0)
+      );
+      CREATE INDEX IF NOT EXISTS salem_route_closures_window_idx
+        ON salem_route_closures (ends_at, starts_at);
+    `)
+      .then(() => pushClosures())
+      .then((n) => { if (n != null) console.log(`[admin-route-closures] ${n} closure(s) loaded into the router`); })
+      .catch((err) => console.warn('[admin-route-closures] migration warning:', err.message));
+  }
+
+  // ─── GET /admin/salem/route-closures ─────────────────────────────────────
+  // Current and upcoming closures, soonest first. ?include_expired=1 adds
+  // the past ones, listed after the live ones.
+  app.get('/admin/salem/route-closures', requirePg, async (req, res) => {
+    const includeExpired = ['1', 'true'].includes(String(req.query.include_expired || '').toLowerCase());
+    try {
+      const { rows } = await pgPool.query(
+        `SELECT ${CLOSURE_COLUMNS}
+           FROM salem_route_closures
+          WHERE $1::boolean OR ends_at > NOW()
+       ORDER BY (ends_at <= NOW()), starts_at ASC, id ASC`,
+        [includeExpired],
+      );
+      const now = Date.now();
+      res.json({ count: rows.length, closures: rows.map((r) => shapeRow(r, now)) });
+    } catch (err) {
+      console.error('[admin-route-closures] list error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ─── GET /admin/salem/route-closures/:id ─────────────────────────────────
+  // Adds `resolved`: the bundle edge_ids the closure covers right now
+  // (polygon hits + explicit ids) and any explicit ids the bundle lacks.
+  // null when the routing bundle isn't loaded.
+  app.get('/admin/salem/route-closures/:id', requirePg, async (req, res) => {
+    if (badId(req, res)) return;
+    try {
+      const { rows } = await pgPool.query(
+        `SELECT ${CLOSURE_COLUMNS} FROM salem_route_closures WHERE id = $1`,
+        [req.params.id],
+      );
+      if (!rows.length) return res.status(404).json({ error: 'closure not found' });
+      const resolved = typeof deps.salemClosureEdges === 'function' ? deps.salemClosureEdges(rows[0]) : null;
+      res.json({ closure: shapeRow(rows[0], Date.now()), resolved });
+    } catch (err) {
+      console.error('[admin-route-closures] get error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ─── POST /admin/salem/route-closures ────────────────────────────────────
+  app.post('/admin/salem/route-closures', requirePg, async (req, res) => {
+    const v = validateClosure(req.body || {});
+    if (v.error) return res.status(400).json({ error: v.error });
+    const c = v.value;
+    try {
+      const { rows } = await pgPool.query(
+        `INSERT INTO salem_route_closures
+           (name, reason, mode, starts_at, ends_at, polygon_json, edge_ids)
+         VALUES ($1, $2, $3, $4, $5, $6::jsonb, $7::bigint[])
+         RETURNING ${CLOSURE_COLUMNS}`,
+        [c.name, c.reason, c.mode, c.starts_at, c.ends_at,
+          c.polygon_json == null ? null : JSON.stringify(c.polygon_json), c.edge_ids],
+      );
+      pushAfterWrite();
+      res.status(201).json({ closure: shapeRow(rows[0], Date.now()) });
+    } catch (err) {
+      console.error('[admin-route-closures] create error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ─── PATCH /admin/salem/route-closures/:id ───────────────────────────────
+  // Partial update; the merged row must still validate. Send polygon: null
+  // or edge_ids: [] to drop one of the two (not both).
+  app.patch('/admin/salem/route-closures/:id', requirePg, async (req, res) => {
+    if (badId(req, res)) return;
+    try {
+      const cur = await pgPool.query(
+        `SELECT ${CLOSURE_COLUMNS} FROM salem_route_closures WHERE id = $1`,
+        [req.params.id],
+      );
+      if (!cur.rows.length) return res.status(404).json({ error: 'closure not found' });
+      const existing = { ...cur.rows[0], edge_ids: (cur.rows[0].edge_ids || []).map(Number) };
+      const v = validateClosure(req.body || {}, existing);
+      if (v.error) return res.status(400).json({ error: v.error });
+      const c = v.value;
+      const { rows } = await pgPool.query(
+        `UPDATE salem_route_closures
+            SET name = $2, reason = $3, mode = $4, starts_at = $5, ends_at = $6,
+                polygon_json = $7::jsonb, edge_ids = $8::bigint[], updated_at = NOW()
+          WHERE id = $1
+      RETURNING ${CLOSURE_COLUMNS}`,
+        [req.params.id, c.name, c.reason, c.mode, c.starts_at, c.ends_at,
+          c.polygon_json == null ? null : JSON.stringify(c.polygon_json), c.edge_ids],
+      );
+      pushAfterWrite();
+      res.json({ closure: shapeRow(rows[0], Date.now()) });
+    } catch (err) {
+      console.error('[admin-route-closures] update error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ─── DELETE /admin/salem/route-closures/:id ──────────────────────────────
+  app.delete('/admin/salem/route-closures/:id', requirePg, async (req, res) => {
+    if (badId(req, res)) return;
+    try {
+      const { rowCount } = await pgPool.query(
+        `DELETE FROM salem_route_closures WHERE id = $1`,
+        [req.params.id],
+      );
+      if (!rowCount) return res.status(404).json({ error: 'closure not found' });
+      pushAfterWrite();
+      res.json({ deleted: Number(req.params.id) });
+    } catch (err) {
+      console.error('[admin-route-closures] delete error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+};
@@ -0,0 +1,569 @@
+/*
+ * LocationMapApp v1.5
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * Admin editor for the routing graph overlay (salem_route_overlay).
+ *
+ * TIGER is missing park paths, cut-throughs and the Salem Common diagonals,
+ * so routes detour absurdly around them; a few TIGER edges (private drives,
+ * fenced lots) shouldn't be walked at all. The operator draws the missing
+ * paths and cuts the bad edges here instead of waiting on a re-bake. Rows
+ * are merged into the bundle graph at load time (lib/route-overlay.js) and
+ * scripts/publish-routing-overlay.js bakes them into the shipped
+ * salem-routing-graph.sqlite, so web and Android route on the same graph.
+ *
+ * A drawn virtual edge is snapped to existing nodes: each end moves onto the
+ * nearest walkable node within OVERLAY_SNAP_MAX_M. The connectivity report
+ * lists walkable islands cut off from the main network with the shortest
+ * straight connector back; /connectivity/fix adds those connectors as
+ * virtual edges.
+ *
+ * Writes run in a transaction with app.actor / app.source set, so the
+ * salem_audit_log trigger attributes them (and /admin/salem/audit can
+ * revert them).
+ *
+ * Auth: gated by /admin Basic Auth + requireFullAdmin (see server.js).
+ *
+ * Routes:
+ *   GET    /admin/salem/route-overlay[?kind=]     — rows + what the router merged
+ *   GET    /admin/salem/route-overlay/:id
+ *   POST   /admin/salem/route-overlay/edges
+ *            { geometry: [[lat,lng],...] | GeoJSON LineString, fullname?,
+ *              mtfcc?, step?, surface?, note? }
+ *   POST   /admin/salem/route-overlay/disable    { edge_id, note? }
+ *   PATCH  /admin/salem/route-overlay/:id        — enabled, note, and for
+ *            add_edge rows geometry, fullname, mtfcc, step, surface
+ *   DELETE /admin/salem/route-overlay/:id
+ *   GET    /admin/salem/route-overlay/connectivity[?bbox=minLat,minLng,maxLat,maxLng][&limit=]
+ *   POST   /admin/salem/route-overlay/connectivity/fix
+ *            { max_gap_m?, anchor_node_ids?: [int], note? }
+ *
+ * Every write pushes the enabled rows, as its own transaction sees them, to
+ * the router (deps.salemSetOverlay) before it commits; the router rebuilds
+ * the graph through its hot-reload path — canaries included. Write
+ * responses carry that reload result as `router`. When the router refuses
+ * the overlay (status 'rejected': it cut a canary pair; 'error': the reload
+ * failed) it keeps the previous graph, the write is rolled back, and the
+ * response is a 409 carrying the refusal as `router`.
+ */
+const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module admin-route-overlay.js';
+
+const {
+  OVERLAY_KINDS,
+  VIRTUAL_EDGE_ID_BASE,
+  DEFAULT_VIRTUAL_MTFCC,
+  isVirtualEdgeId,
+  lineLengthM,
+  parseLine,
+  toLineString,
+} = require('./route-overlay');
+
+// A drawn end further than this from any walkable node is a drawing
+// mistake, not a snap.
+const OVERLAY_SNAP_MAX_M = 30;
+const OVERLAY_MAX_POINTS = 500;
+const CONNECT_DEFAULT_GAP_M = 50;
+const CONNECT_MAX_GAP_M = 300;
+const CONNECT_REPORT_MAX = 200;
+
+const OVERLAY_COLUMNS = `id, kind, edge_id, source_node_id, target_node_id, geometry_json,
+                         length_m, mtfcc, fullname, step, surface, note, enabled,
+                         created_at, updated_at`;
+
+const escapeLiteral = (v) => `'${String(v).replace(/'/g, "''")}'`;
+
+// BIGINT columns arrive from PG as strings; hand the client numbers.
+function shapeRow(row) {
+  const num = (v) => (v == null ? null : Number(v));
+  return {
+    ...row,
+    id: Number(row.id),
+    edge_id: row.kind === 'add_edge' ? VIRTUAL_EDGE_ID_BASE + Number(row.id) : num(row.edge_id),
+    source_node_id: num(row.source_node_id),
+    target_node_id: num(row.target_node_id),
+  };
+}
+
+// Optional add_edge attributes from a create / PATCH body. Returns { value }
+// with only the keys present in body, or { error }.
+function validateEdgeAttrs(body) {
+  const value = {};
+  const has = (k) => Object.prototype.hasOwnProperty.call(body, k);
+  if (has('fullname')) {
+    if (body.fullname != null && (typeof body.fullname !== 'string' || body.fullname.length > 120)) {
+      return { error: 'fullname must be a string ≤120 chars' };
+    }
+    value.fullname = body.fullname == null || !body.fullname.trim() ? null : body.fullname.trim();
+  }
+  if (has('mtfcc')) {
+    if (body.mtfcc != null && !/^[A-Z][0-9]{4}$/.test(String(body.mtfcc))) {
+      return { error: 'mtfcc must be a TIGER feature class like S1710' };
+    }
+    value.mtfcc = body.mtfcc == null ? DEFAULT_VIRTUAL_MTFCC : String(body.mtfcc);
+  }
+  if (has('step')) {
+    if (typeof body.step !== 'boolean') return { error: 'step must be a boolean' };
+    value.step = body.step;
+  }
+  if (has('surface')) {
+    if (body.surface != null && (typeof body.surface !== 'string' || body.surface.length > 40)) {
+      return { error: 'surface must be a string ≤40 chars' };
+    }
+    value.surface = body.surface == null || !body.surface.trim() ? null : body.surface.trim().toLowerCase();
+  }
+  return { value };
+}
+
+function validateNote(body) {
+  if (body.note != null && typeof body.note !== 'string') return { error: 'note must be a string' };
+  return { value: body.note == null || !body.note.trim() ? null : body.note.trim() };
+}
+
+module.exports = function(app, deps) {
+  const { pgPool, requirePg } = deps;
+
+  function badId(req, res) {
+    if (/^\d+$/.test(req.params.id)) return false;
+    res.status(400).json({ error: 'overlay id must be an integer' });
+    return true;
+  }
+
+  function noBundle(res) {
+    return res.status(503).json({ error: 'Routing bundle not loaded — see server logs at startup' });
+  }
+
+  // Re-reads the enabled rows through `db` and hands them to the router.
+  // Resolves to the router's reload result (null when there's no router to
+  // push to).
+  async function pushOverlay(db = pgPool) {
+    if (!pgPool || typeof deps.salemSetOverlay !== 'function') return null;
+    const { rows } = await db.query(
+      `SELECT ${OVERLAY_COLUMNS} FROM salem_route_overlay WHERE enabled ORDER BY id`,
+    );
+    return deps.salemSetOverlay(rows);
+  }
+
+  async function pushAfterWrite() {
+    try {
+      return await pushOverlay();
+    } catch (err) {
+      console.warn('[admin-route-overlay] router refresh failed:', err.message);
+      return { status: 'error', error: err.message };
+    }
+  }
+  // admin-audit calls this after reverting a salem_route_overlay change.
+  deps.salemRefreshOverlay = pushAfterWrite;
+
+  // Pushes the overlay as an open write transaction sees it. Throws (with
+  // the reload result as err.router) when the router keeps its previous
+  // graph, so audited() rolls the write back.
+  async function pushInWrite(client) {
+    const router = await pushOverlay(client);
+    if (router && router.status !== 'swapped' && router.status !== 'unchanged') {
+      const err = new Error(router.status === 'rejected'
+        ? 'the change breaks a routing canary — write rolled back'
+        : `routing graph reload failed (${router.error || router.status}) — write rolled back`);
+      err.router = router;
+      throw err;
+    }
+    return router;
+  }
+
+  function routerRefused(res, err) {
+    if (!err || !err.router) return false;
+    res.status(409).json({ error: err.message, router: err.router });
+    return true;
+  }
+
+  // One attributed write transaction; fn(client) does the work.
+  async function audited(req, fn) {
+    const client = await pgPool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`SET LOCAL "app.actor" = ${escapeLiteral(req.adminRole || 'admin')}`);
+      await client.query(`SET LOCAL "app.source" = ${escapeLiteral('admin-ui:route-overlay')}`);
+      const out = await fn(client);
+      await client.query('COMMIT');
+      return out;
+    } catch (err) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  // Drawn line → { geometry, sourceNodeId, targetNodeId, lengthM } with both
+  // ends moved onto their nearest walkable node, or { status, error }.
+  function snapLine(raw) {
+    const line = parseLine(raw);
+    if (!line) return { status: 400, error: 'geometry must be [[lat,lng],...] or a GeoJSON LineString with ≥2 points' };
+    if (line.length > OVERLAY_MAX_POINTS) return { status: 400, error: `geometry is limited to ${OVERLAY_MAX_POINTS} points` };
+    if (line.some(([lat, lng]) => Math.abs(lat) > 90 || Math.abs(lng) > 180)) {
+      return { status: 400, error: 'geometry points must be [lat, lng] in degrees' };
+    }
+    const ends = [line[0], line[line.length - 1]].map(([lat, lng]) => deps.salemSnapNode(lat, lng));
+    for (const [i, snap] of ends.entries()) {
+      if (!snap || snap.snap_m > OVERLAY_SNAP_MAX_M) {
+        return {
+          status: 400,
+          error: `${i ? 'end' : 'start'} of the line is not within ${OVERLAY_SNAP_MAX_M} m of a walkable node`,
+          snap,
+        };
+      }
+    }
+    if (ends[0].node_id === ends[1].node_id) {
+      return { status: 400, error: 'both ends snap to the same node' };
+    }
+    const geometry = line.slice();
+    geometry[0] = [ends[0].lat, ends[0].lng];
+    geometry[geometry.length - 1] = [ends[1].lat, ends[1].lng];
+    return {
+      geometry,
+      sourceNodeId: ends[0].node_id,
+      targetNodeId: ends[1].node_id,
+      lengthM: Math.round(lineLengthM(geometry) * 100) / 100,
+    };
+  }
+
+  // Idempotent forward-migration (mirrors the CREATE in salem-schema.sql),
+  // the audit trigger when the audit install has run, then the first push
+  // so the router merges the overlay from boot.
+  if (pgPool) {
+    pgPool.query(`
+      CREATE TABLE IF NOT EXISTS salem_route_overlay (
+        id              BIGSERIAL PRIMARY KEY,
+        kind            TEXT NOT NULL CHECK (kind IN ('add_edge', 'disable_edge')),
+        edge_id         BIGINT,
+        source_node_id  BIGINT,
+        target_node_id  BIGINT,
+        geometry_json   JSONB,
+        length_m        DOUBLE PRECISION,
+        mtfcc           TEXT NOT NULL DEFAULT 'S1710',
+        fullname        TEXT,
+        step            BOOLEAN NOT NULL DEFAULT false,
+        surface         TEXT,
+        note            TEXT,
+        enabled         BOOLEAN NOT NULL DEFAULT true,
+        created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        CHECK (kind <> 'disable_edge' OR edge_id IS NOT NULL),
+        CHECK (kind <> 'add_edge' OR (source_node_id IS NOT NULL AND target_node_id IS NOT NULL
+                                      AND geometry_json IS NOT NULL AND source_node_id <> target_node_id))
+      );
+      CREATE UNIQUE INDEX IF NOT EXISTS salem_route_overlay_disable_uniq
+        ON salem_route_overlay (edge_id) WHERE kind = 'disable_edge';
+      DO $$
+      BEGIN
+        IF EXISTS (SELECT 1 FROM pg_proc WHERE proname = 'salem_audit_trigger_fn') THEN
+          DROP TRIGGER IF EXISTS audit_salem_route_overlay ON salem_route_overlay;
+          CREATE TRIGGER audit_salem_route_overlay
+            AFTER INSERT OR UPDATE OR DELETE ON salem_route_overlay
+            FOR EACH ROW EXECUTE FUNCTION salem_audit_trigger_fn();
+        END IF;
+      END $$;
+    `)
+      .then(() => pushOverlay())
+      .then((r) => {
+        if (r && r.status !== 'unchanged') console.log(`[admin-route-overlay] overlay pushed to the router: ${r.status}`);
+      })
+      .catch((err) => console.warn('[admin-route-overlay] migration warning:', err.message));
+  }
+
+  // ─── GET /admin/salem/route-overlay ──────────────────────────────────────
+  // Every row, newest first, plus the router's merge summary. `router.synced`
+  // is false while the router runs an older overlay (a reload in flight, or
+  // one rejected by a canary).
+  app.get('/admin/salem/route-overlay', requirePg, async (req, res) => {
+    const kind = req.query.kind;
+    if (kind != null && !OVERLAY_KINDS.includes(kind)) {
+      return res.status(400).json({ error: `kind must be one of: ${OVERLAY_KINDS.join(', ')}` });
+    }
+    try {
+      const { rows } = await pgPool.query(
+        `SELECT ${OVERLAY_COLUMNS}
+           FROM salem_route_overlay
+          WHERE $1::text IS NULL OR kind = $1
+       ORDER BY id DESC`,
+        [kind || null],
+      );
+      const status = typeof deps.salemOverlayStatus === 'function' ? deps.salemOverlayStatus() : null;
+      const enabled = rows.filter((r) => r.enabled).length;
+      res.json({
+        count: rows.length,
+        rows: rows.map(shapeRow),
+        router: status && { ...status, synced: kind != null ? null : status.rows === enabled },
+      });
+    } catch (err) {
+      console.error('[admin-route-overlay] list error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ─── GET /admin/salem/route-overlay/connectivity ─────────────────────────
+  // Walkable islands in the merged graph, largest first, each with the
+  // shortest straight connector to the main network.
+  app.get('/admin/salem/route-overlay/connectivity', (req, res) => {
+    if (typeof deps.salemConnectivity !== 'function') return noBundle(res);
+    let bbox = null;
+    if (req.query.bbox != null) {
+      const v = String(req.query.bbox).split(',').map(Number);
+      if (v.length !== 4 || v.some((x) => !Number.isFinite(x)) || v[0] > v[2] || v[1] > v[3]) {
+        return res.status(400).json({ error: 'bbox must be minLat,minLng,maxLat,maxLng' });
+      }
+      bbox = { minLat: v[0], minLng: v[1], maxLat: v[2], maxLng: v[3] };
+    }
+    const limit = req.query.limit == null ? CONNECT_REPORT_MAX : parseInt(req.query.limit, 10);
+    if (!Number.isInteger(limit) || limit < 1 || limit > CONNECT_REPORT_MAX) {
+      return res.status(400).json({ error: `limit must be an integer 1..${CONNECT_REPORT_MAX}` });
+    }
+    try {
+      const report = deps.salemConnectivity({ bbox, limit });
+      if (!report) return noBundle(res);
+      res.json(report);
+    } catch (err) {
+      console.error('[admin-route-overlay] connectivity error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ─── POST /admin/salem/route-overlay/connectivity/fix ────────────────────
+  // Adds the suggested connector of every island whose gap is ≤ max_gap_m
+  // (default 50) as a straight virtual edge — or only the islands holding
+  // one of anchor_node_ids. Islands left alone are listed under `skipped`.
+  app.post('/admin/salem/route-overlay/connectivity/fix', requirePg, async (req, res) => {
+    const body = req.body || {};
+    const maxGapM = body.max_gap_m == null ? CONNECT_DEFAULT_GAP_M : Number(body.max_gap_m);
+    if (!Number.isFinite(maxGapM) || maxGapM <= 0 || maxGapM > CONNECT_MAX_GAP_M) {
+      return res.status(400).json({ error: `max_gap_m must be a number in (0, ${CONNECT_MAX_GAP_M}]` });
+    }
+    let anchors = null;
+    if (body.anchor_node_ids != null) {
+      if (!Array.isArray(body.anchor_node_ids) || !body.anchor_node_ids.every((v) => Number.isSafeInteger(Number(v)))) {
+        return res.status(400).json({ error: 'anchor_node_ids must be an array of integers' });
+      }
+      anchors = new Set(body.anchor_node_ids.map(Number));
+    }
+    const note = validateNote(body);
+    if (note.error) return res.status(400).json({ error: note.error });
+    if (typeof deps.salemConnectivity !== 'function') return noBundle(res);
+    try {
+      const report = deps.salemConnectivity({ limit: CONNECT_REPORT_MAX });
+      if (!report) return noBundle(res);
+      const picked = [];
+      const skipped = [];
+      for (const isl of report.islands) {
+        if (anchors && !anchors.has(isl.anchor_node_id)) continue;
+        if (!isl.connector) skipped.push({ anchor_node_id: isl.anchor_node_id, reason: 'no main-network node in range' });
+        else if (isl.connector.gap_m > maxGapM) skipped.push({ anchor_node_id: isl.anchor_node_id, reason: `gap ${isl.connector.gap_m} m > ${maxGapM} m` });
+        else picked.push(isl);
+      }
+      if (anchors) {
+        const seen = new Set(report.islands.map((i) => i.anchor_node_id));
+        for (const a of anchors) if (!seen.has(a)) skipped.push({ anchor_node_id: a, reason: 'not an island anchor' });
+      }
+      const { created, router } = await audited(req, async (client) => {
+        const out = [];
+        for (const isl of picked) {
+          const c = isl.connector;
+          const { rows } = await client.query(
+            `INSERT INTO salem_route_overlay
+               (kind, source_node_id, target_node_id, geometry_json, length_m, note)
+             VALUES ('add_edge', $1, $2, $3::jsonb, $4, $5)
+             RETURNING ${OVERLAY_COLUMNS}`,
+            [c.from_node_id, c.to_node_id, JSON.stringify(toLineString(c.geometry)), c.gap_m,
+              note.value || `connectivity fix: island at node ${isl.anchor_node_id} (${isl.node_count} nodes)`],
+          );
+          out.push(shapeRow(rows[0]));
+        }
+        return { created: out, router: out.length ? await pushInWrite(client) : null };
+      });
+      res.status(created.length ? 201 : 200).json({ created, skipped, router });
+    } catch (err) {
+      if (routerRefused(res, err)) return;
+      console.error('[admin-route-overlay] connectivity fix error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ─── GET /admin/salem/route-overlay/:id ──────────────────────────────────
+  // Adds `edge`: the edge as the router holds it now (null when not merged —
+  // disabled rows, skipped rows, or a disable_edge, whose edge is gone).
+  app.get('/admin/salem/route-overlay/:id', requirePg, async (req, res) => {
+    if (badId(req, res)) return;
+    try {
+      const { rows } = await pgPool.query(
+        `SELECT ${OVERLAY_COLUMNS} FROM salem_route_overlay WHERE id = $1`,
+        [req.params.id],
+      );
+      if (!rows.length) return res.status(404).json({ error: 'overlay row not found' });
+      const row = shapeRow(rows[0]);
+      const edge = typeof deps.salemEdgeInfo === 'function' ? deps.salemEdgeInfo(row.edge_id) : null;
+      res.json({ row, edge });
+    } catch (err) {
+      console.error('[admin-route-overlay] get error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ─── POST /admin/salem/route-overlay/edges ───────────────────────────────
+  app.post('/admin/salem/route-overlay/edges', requirePg, async (req, res) => {
+    const body = req.body || {};
+    if (typeof deps.salemSnapNode !== 'function' || !deps.salemOverlayStatus || !deps.salemOverlayStatus()) {
+      return noBundle(res);
+    }
+    const line = snapLine(body.geometry);
+    if (line.error) return res.status(line.status).json({ error: line.error, snap: line.snap });
+    const attrs = validateEdgeAttrs(body);
+    if (attrs.error) return res.status(400).json({ error: attrs.error });
+    const note = validateNote(body);
+    if (note.error) return res.status(400).json({ error: note.error });
+    const a = attrs.value;
+    try {
+      const { row, router } = await audited(req, async (client) => {
+        const { rows } = await client.query(
+          `INSERT INTO salem_route_overlay
+             (kind, source_node_id, target_node_id, geometry_json, length_m,
+              mtfcc, fullname, step, surface, note)
+           VALUES ('add_edge', $1, $2, $3::jsonb, $4, $5, $6, $7, $8, $9)
+           RETURNING ${OVERLAY_COLUMNS}`,
+          [line.sourceNodeId, line.targetNodeId, JSON.stringify(toLineString(line.geometry)), line.lengthM,
+            a.mtfcc || DEFAULT_VIRTUAL_MTFCC, a.fullname || null, !!a.step, a.surface || null, note.value],
+        );
+        return { row: rows[0], router: await pushInWrite(client) };
+      });
+      res.status(201).json({ row: shapeRow(row), router });
+    } catch (err) {
+      if (routerRefused(res, err)) return;
+      console.error('[admin-route-overlay] create edge error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ─── POST /admin/salem/route-overlay/disable ─────────────────────────────
+  // Takes one bundle edge out of the graph. Virtual edges are switched off
+  // with PATCH { enabled: false } on their own row instead.
+  app.post('/admin/salem/route-overlay/disable', requirePg, async (req, res) => {
+    const body = req.body || {};
+    const edgeId = Number(body.edge_id);
+    if (!Number.isSafeInteger(edgeId)) return res.status(400).json({ error: 'edge_id must be an integer' });
+    if (isVirtualEdgeId(edgeId)) {
+      return res.status(400).json({
+        error: `edge ${edgeId} is virtual — PATCH overlay row ${edgeId - VIRTUAL_EDGE_ID_BASE} with enabled: false`,
+      });
+    }
+    const note = validateNote(body);
+    if (note.error) return res.status(400).json({ error: note.error });
+    if (typeof deps.salemEdgeInfo !== 'function' || !deps.salemOverlayStatus || !deps.salemOverlayStatus()) {
+      return noBundle(res);
+    }
+    const edge = deps.salemEdgeInfo(edgeId);
+    try {
+      if (!edge) {
+        const dup = await pgPool.query(
+          `SELECT id FROM salem_route_overlay WHERE kind = 'disable_edge' AND edge_id = $1`,
+          [edgeId],
+        );
+        if (dup.rows.length) {
+          return res.status(409).json({ error: `edge ${edgeId} is already disabled`, id: Number(dup.rows[0].id) });
+        }
+        return res.status(404).json({ error: `edge ${edgeId} is not in the routing graph` });
+      }
+      const { row, router } = await audited(req, async (client) => {
+        const { rows } = await client.query(
+          `INSERT INTO salem_route_overlay (kind, edge_id, note)
+           VALUES ('disable_edge', $1, $2)
+           RETURNING ${OVERLAY_COLUMNS}`,
+          [edgeId, note.value || (edge.fullname ? `cut ${edge.fullname}` : null)],
+        );
+        return { row: rows[0], router: await pushInWrite(client) };
+      });
+      res.status(201).json({ row: shapeRow(row), edge, router });
+    } catch (err) {
+      if (routerRefused(res, err)) return;
+      if (err && err.code === '23505') {
+        return res.status(409).json({ error: `edge ${edgeId} is already disabled` });
+      }
+      console.error('[admin-route-overlay] disable error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ─── PATCH /admin/salem/route-overlay/:id ────────────────────────────────
+  // enabled / note on any row; geometry (re-snapped) and the edge
+  // attributes on add_edge rows only.
+  app.patch('/admin/salem/route-overlay/:id', requirePg, async (req, res) => {
+    if (badId(req, res)) return;
+    const body = req.body || {};
+    const sets = [];
+    const params = [req.params.id];
+    const set = (col, v, cast = '') => { params.push(v); sets.push(`${col} = $${params.length}${cast}`); };
+
+    if (Object.prototype.hasOwnProperty.call(body, 'enabled')) {
+      if (typeof body.enabled !== 'boolean') return res.status(400).json({ error: 'enabled must be a boolean' });
+      set('enabled', body.enabled);
+    }
+    if (Object.prototype.hasOwnProperty.call(body, 'note')) {
+      const note = validateNote(body);
+      if (note.error) return res.status(400).json({ error: note.error });
+      set('note', note.value);
+    }
+    const attrs = validateEdgeAttrs(body);
+    if (attrs.error) return res.status(400).json({ error: attrs.error });
+    const edgeFields = Object.keys(attrs.value).length || body.geometry !== undefined;
+    try {
+      const out = await audited(req, async (client) => {
+        const cur = await client.query(
+          `SELECT kind FROM salem_route_overlay WHERE id = $1 FOR UPDATE`,
+          [req.params.id],
+        );
+        if (!cur.rows.length) return { status: 404, error: 'overlay row not found' };
+        if (edgeFields && cur.rows[0].kind !== 'add_edge') {
+          return { status: 400, error: 'geometry and edge attributes only apply to add_edge rows' };
+        }
+        if (body.geometry !== undefined) {
+          if (typeof deps.salemSnapNode !== 'function') return { status: 503, error: 'Routing bundle not loaded' };
+          const line = snapLine(body.geometry);
+          if (line.error) return line;
+          set('source_node_id', line.sourceNodeId);
+          set('target_node_id', line.targetNodeId);
+          set('geometry_json', JSON.stringify(toLineString(line.geometry)), '::jsonb');
+          set('length_m', line.lengthM);
+        }
+        for (const [k, v] of Object.entries(attrs.value)) set(k, v);
+        if (!sets.length) return { status: 400, error: 'nothing to update' };
+        const { rows } = await client.query(
+          `UPDATE salem_route_overlay SET ${sets.join(', ')}, updated_at = NOW()
+            WHERE id = $1
+        RETURNING ${OVERLAY_COLUMNS}`,
+          params,
+        );
+        return { row: rows[0], router: await pushInWrite(client) };
+      });
+      if (out.error) return res.status(out.status).json({ error: out.error, snap: out.snap });
+      res.json({ row: shapeRow(out.row), router: out.router });
+    } catch (err) {
+      if (routerRefused(res, err)) return;
+      if (err && err.code === '23505') return res.status(409).json({ error: 'that edge is already disabled by another row' });
+      console.error('[admin-route-overlay] update error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ─── DELETE /admin/salem/route-overlay/:id ───────────────────────────────
+  app.delete('/admin/salem/route-overlay/:id', requirePg, async (req, res) => {
+    if (badId(req, res)) return;
+    try {
+      const out = await audited(req, async (client) => {
+        const r = await client.query(`DELETE FROM salem_route_overlay WHERE id = $1`, [req.params.id]);
+        return r.rowCount ? { router: await pushInWrite(client) } : null;
+      });
+      if (!out) return res.status(404).json({ error: 'overlay row not found' });
+      res.json({ deleted: Number(req.params.id), router: out.router });
+    } catch (err) {
+      if (routerRefused(res, err)) return;
+      console.error('[admin-route-overlay] delete error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+};
@@ -0,0 +1,330 @@
+/*
+ * LocationMapApp v1.5
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * Admin bundle-vs-live routing parity reports (salem_route_parity_reports).
+ *
+ * GET /salem/route?source=live only logs a console warning when the bundle
+ * and TigerLine disagree. After each graph re-bake the operator runs this
+ * job instead: it routes a set of origin/destination pairs both ways and
+ * stores the divergence statistics, every pair's distances, and the worst
+ * offenders with both geometries as GeoJSON — regression evidence that
+ * survives a restart and can be compared bake to bake (bundle_sha256).
+ *
+ * Pairs are either a seeded random sample of walkable bundle nodes inside
+ * the Salem bbox, or curated: the request's own pairs, else the router's
+ * canary landmark pairs. Pure helpers live in lib/route-parity.js.
+ *
+ * Auth: gated by /admin Basic Auth + requireFullAdmin (see server.js).
+ *
+ * Routes:
+ *   POST /admin/salem/route/parity
+ *          { mode?: 'random'|'curated', pairs?: [{from_lat, from_lng, to_lat,
+ *            to_lng, name?}], count?, seed?, min_m?, max_m?, threshold_pct? }
+ *          Starts a background run; 202 { report_id, state: 'running', total }.
+ *   GET  /admin/salem/route/parity       — job state, latest report, history
+ *   GET  /admin/salem/route/parity/:id   — one report including every pair
+ *
+ * One run at a time; live routes go through the router's two-connection
+ * tiger pool sequentially.
+ */
+const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module admin-route-parity.js';
+
+const {
+  seededRandom,
+  samplePairs,
+  divergencePct,
+  summarizeParity,
+  pairFeatureCollection,
+} = require('./route-parity');
+const { planarM } = require('./route-loop');
+
+// Same box admin-super uses for its Salem probes.
+const SALEM_BBOX = { minLat: 42.50, maxLat: 42.55, minLng: -70.92, maxLng: -70.86 };
+const DEFAULT_PAIR_COUNT = 25;
+const MAX_PAIR_COUNT = 200;
+const DEFAULT_MIN_M = 200;
+const DEFAULT_MAX_M = 2500;
+// Matches the router's PARITY_DIVERGENCE_PCT log threshold.
+const DEFAULT_THRESHOLD_PCT = 5;
+const WORST_COUNT = 10;
+const HISTORY_LIMIT = 20;
+
+const REPORT_SUMMARY_COLUMNS = `id, status, mode, params, bundle_sha256, summary, error,
+                                started_at, finished_at`;
+
+function optionalNumber(v, lo, hi, fallback) {
+  if (v == null || v === '') return fallback;
+  const x = Number(v);
+  return Number.isFinite(x) && x >= lo && x <= hi ? x : NaN;
+}
+
+// Validates a run request. Returns { value } or { error }.
+function validateRun(body) {
+  const mode = body.mode == null || body.mode === '' ? (body.pairs ? 'curated' : 'random') : body.mode;
+  if (mode !== 'random' && mode !== 'curated') return { error: "mode must be 'random' or 'curated'" };
+
+  const count = optionalNumber(body.count, 1, MAX_PAIR_COUNT, DEFAULT_PAIR_COUNT);
+  if (!Number.isInteger(count)) return { error: `count must be an integer 1..${MAX_PAIR_COUNT}` };
+  const seed = optionalNumber(body.seed, 0, 0xffffffff, null);
+  if (Number.isNaN(seed) || (seed != null && !Number.isInteger(seed))) {
+    return { error: 'seed must be a non-negative 32-bit integer' };
+  }
+  const minM = optionalNumber(body.min_m, 0, 20000, DEFAULT_MIN_M);
+  const maxM = optionalNumber(body.max_m, 1, 20000, DEFAULT_MAX_M);
+  if (Number.isNaN(minM) || Number.isNaN(maxM) || minM >= maxM) {
+    return { error: 'min_m and max_m must be metres with min_m < max_m' };
+  }
+  const thresholdPct = optionalNumber(body.threshold_pct, 0, 100, DEFAULT_THRESHOLD_PCT);
+  if (Number.isNaN(thresholdPct)) return { error: 'threshold_pct must be a percentage 0..100' };
+
+  let pairs = null;
+  if (body.pairs != null) {
+    if (mode !== 'curated') return { error: "pairs are only accepted with mode 'curated'" };
+    if (!Array.isArray(body.pairs) || !body.pairs.length || body.pairs.length > MAX_PAIR_COUNT) {
+      return { error: `pairs must be an array of 1..${MAX_PAIR_COUNT} pairs` };
+    }
+    pairs = [];
+    for (const p of body.pairs) {
+      const nums = p ? [p.from_lat, p.from_lng, p.to_lat, p.to_lng].map(Number) : [];
+      if (nums.length !== 4 || nums.some((v) => !Number.isFinite(v))) {
+        return { error: 'each pair needs numeric from_lat, from_lng, to_lat, to_lng' };
+      }
+      pairs.push({
+        name: typeof p.name === 'string' && p.name.trim() ? p.name.trim() : null,
+        from: [nums[0], nums[1]],
+        to: [nums[2], nums[3]],
+      });
+    }
+  }
+  return {
+    value: {
+      mode,
+      count,
+      seed: seed == null ? Math.floor(Math.random() * 0xffffffff) : seed,
+      minM,
+      maxM,
+      thresholdPct,
+      pairs,
+    },
+  };
+}
+
+// Offenders, worst first: pairs only one side could route (a missing path
+// is the loudest regression), then by divergence.
+function pickWorst(rows) {
+  const oneSided = (r) => (r.bundle_m == null) !== (r.live_m == null);
+  return rows
+    .filter((r) => oneSided(r) || (r.divergence_pct != null && r.divergence_pct > 0))
+    .sort((a, b) => (oneSided(b) - oneSided(a)) || ((b.divergence_pct || 0) - (a.divergence_pct || 0)))
+    .slice(0, WORST_COUNT);
+}
+
+module.exports = function(app, deps) {
+  const { pgPool, requirePg } = deps;
+
+  const job = { state: 'idle', reportId: null, progress: 0, total: 0 };
+
+  // Idempotent forward-migration (mirrors the CREATE in salem-schema.sql).
+  // A run is in-process only, so a report still 'running' at startup was
+  // cut off by a restart.
+  if (pgPool) {
+    pgPool.query(`
+      CREATE TABLE IF NOT EXISTS salem_route_parity_reports (
+        id            BIGSERIAL PRIMARY KEY,
+        status        TEXT NOT NULL DEFAULT 'running'
+                        CHECK (status IN ('running', 'done', 'error')),
+        mode          TEXT NOT NULL CHECK (mode IN ('random', 'curated')),
+        params        JSONB NOT NULL DEFAULT '{}',
+        bundle_sha256 TEXT,
+        summary       JSONB,
+        pairs         JSONB,
+        worst         JSONB,
+        error         TEXT,
+        started_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        finished_at   TIMESTAMPTZ
+      );
+      CREATE INDEX IF NOT EXISTS salem_route_parity_reports_started_idx
+        ON salem_route_parity_reports (started_at DESC);
+    `)
+      .then(() => pgPool.query(
+        `UPDATE salem_route_parity_reports
+            SET status = 'error', error = 'interrupted by a cache-proxy restart', finished_at = NOW()
+          WHERE status = 'running'`,
+      ))
+      .catch((err) => console.warn('[admin-route-parity] migration warning:', err.message));
+  }
+
+  // The pair list for a validated run, or null when there is nothing to
+  // route (no bundle nodes in the bbox / no canaries).
+  function planPairs(run) {
+    if (run.mode === 'curated') {
+      if (run.pairs) return run.pairs;
+      const canaries = deps.salemCanaries();
+      return canaries.length ? canaries.map((c) => ({ name: c.name, from: c.from, to: c.to })) : null;
+    }
+    const nodes = deps.salemWalkableNodes(SALEM_BBOX);
+    const pairs = samplePairs(nodes, run.count, {
+      minM: run.minM,
+      maxM: run.maxM,
+      random: seededRandom(run.seed),
+    });
+    return pairs.length ? pairs.map((p) => ({ name: null, ...p })) : null;
+  }
+
+  async function runParity(reportId, run, pairs) {
+    job.reportId = reportId;
+    const rows = [];
+    const geometries = new Map();
+    const hashes = new Set();
+    try {
+      for (let i = 0; i < pairs.length; i++) {
+        const p = pairs[i];
+        const r = await deps.salemParityPair(p.from[0], p.from[1], p.to[0], p.to[1]);
+        if (!r) throw new Error('routing bundle unloaded mid-run');
+        hashes.add(r.bundleHash);
+        const bundleM = r.bundle ? r.bundle.distanceM : null;
+        const liveM = r.live ? r.live.distanceM : null;
+        const pct = divergencePct(bundleM, liveM);
+        rows.push({
+          index: i,
+          name: p.name,
+          from: p.from,
+          to: p.to,
+          straight_m: Math.round(planarM(p.from[0], p.from[1], p.to[0], p.to[1])),
+          bundle_m: bundleM == null ? null : Math.round(bundleM * 10) / 10,
+          live_m: liveM == null ? null : Math.round(liveM * 10) / 10,
+          divergence_pct: pct == null ? null : Math.round(pct * 10) / 10,
+          live_error: r.liveError,
+        });
+        geometries.set(i, [r.bundle && r.bundle.geometry, r.live && r.live.geometry]);
+        job.progress = i + 1;
+      }
+      const summary = {
+        ...summarizeParity(rows, run.thresholdPct),
+        // A hot reload during the run mixes two graphs into one report.
+        bundle_reloaded: hashes.size > 1,
+      };
+      const worst = pickWorst(rows).map((r) => ({
+        ...r,
+        geojson: pairFeatureCollection(r, ...geometries.get(r.index)),
+      }));
+      await pgPool.query(
+        `UPDATE salem_route_parity_reports
+            SET status = 'done', bundle_sha256 = $2, summary = $3::jsonb, pairs = $4::jsonb,
+                worst = $5::jsonb, finished_at = NOW()
+          WHERE id = $1`,
+        [reportId, [...hashes][0] || null, JSON.stringify(summary), JSON.stringify(rows), JSON.stringify(worst)],
+      );
+      console.log(
+        `[admin-route-parity] report ${reportId}: ${summary.routed_count}/${summary.pair_count} routed, ` +
+        `${summary.diverged_count} over ${run.thresholdPct}%, max ${summary.max_pct}%`,
+      );
+      job.state = 'done';
+    } catch (err) {
+      console.error(`[admin-route-parity] report ${reportId} failed:`, err.message);
+      job.state = 'error';
+      await pgPool.query(
+        `UPDATE salem_route_parity_reports
+            SET status = 'error', error = $2, pairs = $3::jsonb, finished_at = NOW()
+          WHERE id = $1`,
+        [reportId, err.message, JSON.stringify(rows)],
+      ).catch((e) => console.error('[admin-route-parity] could not record failure:', e.message));
+    }
+  }
+
+  // ─── POST /admin/salem/route/parity ──────────────────────────────────────
+  app.post('/admin/salem/route/parity', requirePg, async (req, res) => {
+    if (job.state === 'running') {
+      return res.status(409).json({
+        error: 'a parity run is already in progress',
+        report_id: job.reportId,
+        progress: job.progress,
+        total: job.total,
+      });
+    }
+    if (typeof deps.salemBundle !== 'function' || !deps.salemBundle()) {
+      return res.status(503).json({ error: 'Salem routing bundle not loaded' });
+    }
+    const v = validateRun(req.body || {});
+    if (v.error) return res.status(400).json({ error: v.error });
+    const run = v.value;
+    try {
+      const pairs = planPairs(run);
+      if (!pairs) return res.status(400).json({ error: 'no origin/destination pairs to route' });
+      const params = {
+        count: run.mode === 'random' ? run.count : pairs.length,
+        seed: run.mode === 'random' ? run.seed : null,
+        min_m: run.minM,
+        max_m: run.maxM,
+        threshold_pct: run.thresholdPct,
+        bbox: run.mode === 'random' ? SALEM_BBOX : null,
+      };
+      // Claim the job before the INSERT await so a second POST can't slip in.
+      Object.assign(job, { state: 'running', reportId: null, progress: 0, total: pairs.length });
+      const { rows } = await pgPool.query(
+        `INSERT INTO salem_route_parity_reports (mode, params, bundle_sha256)
+         VALUES ($1, $2::jsonb, $3)
+         RETURNING id`,
+        [run.mode, JSON.stringify(params), deps.salemBundleHash()],
+      );
+      const reportId = Number(rows[0].id);
+      // Fire-and-forget; progress via GET.
+      void runParity(reportId, run, pairs);
+      res.status(202).json({ report_id: reportId, state: 'running', total: pairs.length, params });
+    } catch (err) {
+      if (job.state === 'running' && job.reportId == null) job.state = 'error';
+      console.error('[admin-route-parity] start error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ─── GET /admin/salem/route/parity ───────────────────────────────────────
+  // The current/last job, the newest finished report (summary + worst
+  // offenders with GeoJSON) and the recent history for bake-to-bake trends.
+  app.get('/admin/salem/route/parity', requirePg, async (req, res) => {
+    try {
+      const latestQ = await pgPool.query(
+        `SELECT ${REPORT_SUMMARY_COLUMNS}, worst
+           FROM salem_route_parity_reports
+          WHERE status = 'done'
+       ORDER BY started_at DESC, id DESC
+          LIMIT 1`,
+      );
+      const historyQ = await pgPool.query(
+        `SELECT ${REPORT_SUMMARY_COLUMNS}
+           FROM salem_route_parity_reports
+       ORDER BY started_at DESC, id DESC
+          LIMIT $1`,
+        [HISTORY_LIMIT],
+      );
+      const shape = (r) => ({ ...r, id: Number(r.id) });
+      res.json({
+        job: { state: job.state, report_id: job.reportId, progress: job.progress, total: job.total },
+        latest: latestQ.rows.length ? shape(latestQ.rows[0]) : null,
+        reports: historyQ.rows.map(shape),
+      });
+    } catch (err) {
+      console.error('[admin-route-parity] list error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ─── GET /admin/salem/route/parity/:id ───────────────────────────────────
+  app.get('/admin/salem/route/parity/:id', requirePg, async (req, res) => {
+    if (!/^\d+$/.test(req.params.id)) return res.status(400).json({ error: 'report id must be an integer' });
+    try {
+      const { rows } = await pgPool.query(
+        `SELECT ${REPORT_SUMMARY_COLUMNS}, pairs, worst
+           FROM salem_route_parity_reports
+          WHERE id = $1`,
+        [req.params.id],
+      );
+      if (!rows.length) return res.status(404).json({ error: 'report not found' });
+      res.json({ report: { ...rows[0], id: Number(rows[0].id) } });
+    } catch (err) {
+      console.error('[admin-route-parity] get error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+};
@@ -0,0 +1,440 @@
+/*
+ * LocationMapApp v1.5
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * Admin tour revisions — draft / publish workflow for tours.
+ *
+ * The live tour rows are the draft that every lib/admin-tours.js edit
+ * changes. Snapshotting the draft creates an immutable revision
+ * (salem_tour_revisions, see lib/tour-revisions.js); publishing a revision
+ * points salem_tours.published_revision_id at it, and that snapshot — not
+ * the draft — is what publish-tours.js / publish-tour-legs.js bake. Editing
+ * a shipped tour therefore no longer changes the app until someone publishes
+ * again.
+ *
+ * The publish scripts skip a published tour with no published revision,
+ * so while no tour has a revision yet (the first start after revisions
+ * shipped) module init snapshots and publishes every published tour's
+ * draft as its revision 1 — the app keeps shipping what it shipped before.
+ * Tours created after that ship once someone publishes them.
+ *
+ * Rollback re-publishes the newest earlier revision that was ever
+ * published, so repeated clicks walk back through the publish history.
+ * Restore copies a revision back over the draft (tour fields, stops with
+ * their original stop_ids, legs).
+ *
+ * Publish, rollback and restore run in a transaction with app.actor /
+ * app.source set, so the salem_audit_log trigger attributes the salem_tours
+ * / stop / leg writes. Revision rows are never updated after insert except
+ * to stamp first_published_at.
+ *
+ * Auth: gated by /admin Basic Auth + requireFullAdmin via the
+ * /admin/salem/tours prefix (see server.js).
+ *
+ * Routes:
+ *   GET  /admin/salem/tours/:tour_id/revisions             — list + draft_changed
+ *   POST /admin/salem/tours/:tour_id/revisions             — snapshot the draft
+ *          { note?, publish?: boolean }
+ *   GET  /admin/salem/tours/:tour_id/revisions/diff?from=&to=
+ *          from / to: a revision number, 'draft' or 'published'
+ *          (default from=published, to=draft — what publishing would change)
+ *   GET  /admin/salem/tours/:tour_id/revisions/:revision   — full snapshot
+ *   POST /admin/salem/tours/:tour_id/revisions/:revision/publish
+ *   POST /admin/salem/tours/:tour_id/revisions/:revision/restore
+ *   POST /admin/salem/tours/:tour_id/rollback
+ */
+const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module admin-tour-revisions.js';
+
+const { snapshotDraft, diffRevisions } = require('./tour-revisions');
+
+const escapeLiteral = (v) => `'${String(v).replace(/'/g, "''")}'`;
+const quoteIdent = (c) => `"${c}"`;
+
+const REVISION_COLUMNS = `id, tour_id, revision, note, created_by, created_at, first_published_at,
+                          jsonb_array_length(stops_json) AS stop_count,
+                          jsonb_array_length(legs_json) AS leg_count`;
+
+function validateNote(body) {
+  if (body.note != null && (typeof body.note !== 'string' || body.note.length > 500)) {
+    return { error: 'note must be a string ≤500 chars' };
+  }
+  return { value: body.note == null || !body.note.trim() ? null : body.note.trim() };
+}
+
+module.exports = function(app, deps) {
+  const { pgPool, requirePg } = deps;
+
+  if (pgPool) {
+    pgPool.query(`
+      CREATE TABLE IF NOT EXISTS salem_tour_revisions (
+        id                 BIGSERIAL PRIMARY KEY,
+        tour_id            TEXT NOT NULL REFERENCES salem_tours(id) ON DELETE CASCADE,
+        revision           INTEGER NOT NULL,
+        tour_json          JSONB NOT NULL,
+        stops_json         JSONB NOT NULL,
+        legs_json          JSONB NOT NULL,
+        note               TEXT,
+        created_by         TEXT,
+        created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+        first_published_at TIMESTAMPTZ,
+        UNIQUE (tour_id, revision)
+      )`)
+      .then(() => backfillInitialRevisions())
+      .then((n) => {
+        if (n) console.log(`[admin-tour-revisions] published an initial revision for ${n} pre-revision tours`);
+      })
+      .catch((err) => console.warn('[admin-tour-revisions] schema init warning:', err.message));
+  }
+
+  // One attributed write transaction; fn(client) does the work.
+  async function audited(req, fn) {
+    const client = await pgPool.connect();
+    try {
+      await client.query('BEGIN');
+      await client.query(`SET LOCAL "app.actor" = ${escapeLiteral(req.adminRole || 'admin')}`);
+      await client.query(`SET LOCAL "app.source" = ${escapeLiteral('admin-ui:tour-revisions')}`);
+      const out = await fn(client);
+      await client.query('COMMIT');
+      return out;
+    } catch (err) {
+      try { await client.query('ROLLBACK'); } catch (_) {}
+      throw err;
+    } finally {
+      client.release();
+    }
+  }
+
+  async function insertRevision(client, tourId, revision, draft, note, createdBy) {
+    const { rows } = await client.query(
+      `INSERT INTO salem_tour_revisions (tour_id, revision, tour_json, stops_json, legs_json, note, created_by)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING ${REVISION_COLUMNS}`,
+      [
+        tourId,
+        revision,
+        JSON.stringify(draft.tour),
+        JSON.stringify(draft.stops),
+        JSON.stringify(draft.legs),
+        note,
+        createdBy,
+      ],
+    );
+    return rows[0];
+  }
+
+  // One-time migration: runs only while salem_tour_revisions is empty.
+  // Resolves to the number of tours snapshotted.
+  async function backfillInitialRevisions() {
+    const { rows } = await pgPool.query(
+      `SELECT id FROM salem_tours
+        WHERE status = 'published' AND published_revision_id IS NULL
+          AND NOT EXISTS (SELECT 1 FROM salem_tour_revisions)
+     ORDER BY id`,
+    );
+    for (const { id } of rows) {
+      await audited({ adminRole: 'migration' }, async (client) => {
+        const draft = await snapshotDraft(client, id);
+        if (!draft) return;
+        const rev = await insertRevision(client, id, 1, draft, 'initial revision (tour predates revisions)', 'migration');
+        await publishRow(client, id, rev);
+      });
+    }
+    return rows.length;
+  }
+
+  function parseRevision(v) {
+    return /^\d+$/.test(String(v)) ? parseInt(v, 10) : null;
+  }
+
+  async function loadTour(db, tourId) {
+    const { rows } = await db.query(
+      'SELECT id, status, published_revision_id FROM salem_tours WHERE id = $1',
+      [tourId],
+    );
+    return rows[0] || null;
+  }
+
+  async function loadRevision(db, tourId, revision) {
+    const { rows } = await db.query(
+      `SELECT ${REVISION_COLUMNS}, tour_json, stops_json, legs_json
+         FROM salem_tour_revisions
+        WHERE tour_id = $1 AND revision = $2`,
+      [tourId, revision],
+    );
+    return rows[0] || null;
+  }
+
+  // 'draft' | 'published' | revision number → { tour, stops, legs, label }
+  // or { status, error }.
+  async function resolveSide(tourId, tour, v) {
+    if (v === 'draft') {
+      const snap = await snapshotDraft(pgPool, tourId);
+      return { ...snap, label: 'draft' };
+    }
+    let rev;
+    if (v === 'published') {
+      if (!tour.published_revision_id) return { status: 404, error: 'tour has no published revision' };
+      const { rows } = await pgPool.query(
+        'SELECT revision FROM salem_tour_revisions WHERE id = $1',
+        [tour.published_revision_id],
+      );
+      if (!rows.length) return { status: 404, error: 'published revision is missing' };
+      rev = rows[0].revision;
+    } else {
+      rev = parseRevision(v);
+      if (rev === null) return { status: 400, error: `"${v}" is not a revision number, 'draft' or 'published'` };
+    }
+    const row = await loadRevision(pgPool, tourId, rev);
+    if (!row) return { status: 404, error: `revision ${rev} not found` };
+    return { tour: row.tour_json, stops: row.stops_json, legs: row.legs_json, label: rev };
+  }
+
+  // Point the tour at revision row `rev` and mark it published.
+  async function publishRow(client, tourId, rev) {
+    await client.query(
+      `UPDATE salem_tour_revisions SET first_published_at = COALESCE(first_published_at, NOW()) WHERE id = $1`,
+      [rev.id],
+    );
+    await client.query(
+      `UPDATE salem_tours SET published_revision_id = $2, status = 'published', updated_at = NOW() WHERE id = $1`,
+      [tourId, rev.id],
+    );
+  }
+
+  // ─── GET /admin/salem/tours/:tour_id/revisions ──────────────────────────────
+  app.get('/admin/salem/tours/:tour_id/revisions', requirePg, async (req, res) => {
+    try {
+      const tourId = req.params.tour_id;
+      const tour = await loadTour(pgPool, tourId);
+      if (!tour) return res.status(404).json({ error: 'Tour not found' });
+      const { rows } = await pgPool.query(
+        `SELECT ${REVISION_COLUMNS}
+           FROM salem_tour_revisions
+          WHERE tour_id = $1
+       ORDER BY revision DESC`,
+        [tourId],
+      );
+      const publishedId = tour.published_revision_id == null ? null : String(tour.published_revision_id);
+      const revisions = rows.map((r) => ({ ...r, id: Number(r.id), published: String(r.id) === publishedId }));
+      let draftChanged = true;
+      if (revisions.length) {
+        const latest = await loadRevision(pgPool, tourId, revisions[0].revision);
+        const draft = await snapshotDraft(pgPool, tourId);
+        draftChanged = diffRevisions(
+          { tour: latest.tour_json, stops: latest.stops_json, legs: latest.legs_json },
+          draft,
+        ).changed;
+      }
+      const published = revisions.find((r) => r.published);
+      res.json({
+        tour_id: tourId,
+        status: tour.status,
+        published_revision: published ? published.revision : null,
+        draft_changed: draftChanged,
+        count: revisions.length,
+        revisions,
+      });
+    } catch (err) {
+      console.error('[admin-tour-revisions] list error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ─── POST /admin/salem/tours/:tour_id/revisions ─────────────────────────────
+  // Snapshot the draft. A draft identical to the latest revision isn't
+  // snapshotted again — that revision comes back with created: false (and
+  // is still published if asked).
+  app.post('/admin/salem/tours/:tour_id/revisions', requirePg, async (req, res) => {
+    const body = req.body || {};
+    const note = validateNote(body);
+    if (note.error) return res.status(400).json({ error: note.error });
+    if (body.publish != null && typeof body.publish !== 'boolean') {
+      return res.status(400).json({ error: 'publish must be a boolean' });
+    }
+    try {
+      const tourId = req.params.tour_id;
+      const out = await audited(req, async (client) => {
+        // Serialise snapshots of one tour so revision numbers don't collide.
+        const t = await client.query('SELECT id FROM salem_tours WHERE id = $1 FOR UPDATE', [tourId]);
+        if (!t.rows.length) return null;
+        const draft = await snapshotDraft(client, tourId);
+        const latestQ = await client.query(
+          `SELECT ${REVISION_COLUMNS}, tour_json, stops_json, legs_json
+             FROM salem_tour_revisions
+            WHERE tour_id = $1
+         ORDER BY revision DESC
+            LIMIT 1`,
+          [tourId],
+        );
+        const latest = latestQ.rows[0];
+        let rev;
+        let created = false;
+        if (latest && !diffRevisions({ tour: latest.tour_json, stops: latest.stops_json, legs: latest.legs_json }, draft).changed) {
+          rev = latest;
+        } else {
+          rev = await insertRevision(
+            client, tourId, latest ? latest.revision + 1 : 1, draft, note.value, req.adminRole || 'admin',
+          );
+          created = true;
+        }
+        if (body.publish) await publishRow(client, tourId, rev);
+        return { rev, created };
+      });
+      if (!out) return res.status(404).json({ error: 'Tour not found' });
+      const { tour_json: _t, stops_json: _s, legs_json: _l, ...rev } = out.rev;
+      res.status(out.created ? 201 : 200).json({
+        created: out.created,
+        published: !!body.publish,
+        revision: { ...rev, id: Number(rev.id) },
+      });
+    } catch (err) {
+      console.error('[admin-tour-revisions] snapshot error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ─── GET /admin/salem/tours/:tour_id/revisions/diff ─────────────────────────
+  app.get('/admin/salem/tours/:tour_id/revisions/diff', requirePg, async (req, res) => {
+    try {
+      const tourId = req.params.tour_id;
+      const tour = await loadTour(pgPool, tourId);
+      if (!tour) return res.status(404).json({ error: 'Tour not found' });
+      const from = await resolveSide(tourId, tour, String(req.query.from || 'published'));
+      if (from.error) return res.status(from.status).json({ error: from.error });
+      const to = await resolveSide(tourId, tour, String(req.query.to || 'draft'));
+      if (to.error) return res.status(to.status).json({ error: to.error });
+      res.json({ tour_id: tourId, from: from.label, to: to.label, ...diffRevisions(from, to) });
+    } catch (err) {
+      console.error('[admin-tour-revisions] diff error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ─── GET /admin/salem/tours/:tour_id/revisions/:revision ────────────────────
+  app.get('/admin/salem/tours/:tour_id/revisions/:revision', requirePg, async (req, res) => {
+    const revision = parseRevision(req.params.revision);
+    if (revision === null) return res.status(400).json({ error: 'revision must be an integer' });
+    try {
+      const row = await loadRevision(pgPool, req.params.tour_id, revision);
+      if (!row) return res.status(404).json({ error: `revision ${revision} not found` });
+      res.json({ ...row, id: Number(row.id) });
+    } catch (err) {
+      console.error('[admin-tour-revisions] get error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ─── POST /admin/salem/tours/:tour_id/revisions/:revision/publish ───────────
+  app.post('/admin/salem/tours/:tour_id/revisions/:revision/publish', requirePg, async (req, res) => {
+    const revision = parseRevision(req.params.revision);
+    if (revision === null) return res.status(400).json({ error: 'revision must be an integer' });
+    try {
+      const tourId = req.params.tour_id;
+      const out = await audited(req, async (client) => {
+        const rev = await loadRevision(client, tourId, revision);
+        if (!rev) return null;
+        await publishRow(client, tourId, rev);
+        return rev;
+      });
+      if (!out) return res.status(404).json({ error: `revision ${revision} not found` });
+      res.json({ tour_id: tourId, published_revision: out.revision });
+    } catch (err) {
+      console.error('[admin-tour-revisions] publish error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ─── POST /admin/salem/tours/:tour_id/rollback ──────────────────────────────
+  app.post('/admin/salem/tours/:tour_id/rollback', requirePg, async (req, res) => {
+    try {
+      const tourId = req.params.tour_id;
+      const out = await audited(req, async (client) => {
+        const t = await client.query(
+          `SELECT t.published_revision_id, r.revision
+             FROM salem_tours t
+        LEFT JOIN salem_tour_revisions r ON r.id = t.published_revision_id
+            WHERE t.id = $1
+              FOR UPDATE OF t`,
+          [tourId],
+        );
+        if (!t.rows.length) return { status: 404, error: 'Tour not found' };
+        const current = t.rows[0].revision;
+        if (current == null) return { status: 409, error: 'tour has no published revision to roll back from' };
+        const prev = await client.query(
+          `SELECT id, revision
+             FROM salem_tour_revisions
+            WHERE tour_id = $1 AND revision < $2 AND first_published_at IS NOT NULL
+         ORDER BY revision DESC
+            LIMIT 1`,
+          [tourId, current],
+        );
+        if (!prev.rows.length) return { status: 409, error: `no earlier published revision before ${current}` };
+        await publishRow(client, tourId, prev.rows[0]);
+        return { from: current, to: prev.rows[0].revision };
+      });
+      if (out.error) return res.status(out.status).json({ error: out.error });
+      res.json({ tour_id: tourId, rolled_back_from: out.from, published_revision: out.to });
+    } catch (err) {
+      console.error('[admin-tour-revisions] rollback error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ─── POST /admin/salem/tours/:tour_id/revisions/:revision/restore ───────────
+  // Replace the draft with a revision. Stops come back under their original
+  // stop_ids so the snapshot's legs still line up.
+  app.post('/admin/salem/tours/:tour_id/revisions/:revision/restore', requirePg, async (req, res) => {
+    const revision = parseRevision(req.params.revision);
+    if (revision === null) return res.status(400).json({ error: 'revision must be an integer' });
+    try {
+      const tourId = req.params.tour_id;
+      const out = await audited(req, async (client) => {
+        const rev = await loadRevision(client, tourId, revision);
+        if (!rev) return null;
+        const cols = Object.keys(rev.tour_json).filter((c) => c !== 'id' && /^[a-z_][a-z0-9_]*$/.test(c));
+        if (cols.length) {
+          await client.query(
+            `UPDATE salem_tours t
+                SET ${cols.map((c) => `${quoteIdent(c)} = r.${quoteIdent(c)}`).join(', ')}, updated_at = NOW()
+               FROM jsonb_populate_record(NULL::salem_tours, $2::jsonb) r
+              WHERE t.id = $1`,
+            [tourId, JSON.stringify(rev.tour_json)],
+          );
+        }
+        await client.query('DELETE FROM salem_tour_legs WHERE tour_id = $1', [tourId]);
+        await client.query('DELETE FROM salem_tour_stops WHERE tour_id = $1', [tourId]);
+        const now = new Date().toISOString();
+        // Snapshots taken before import_unmatched existed lack it; the
+        // populated record would carry NULL into a NOT NULL column.
+        const stops = rev.stops_json.map((s) => ({
+          import_unmatched: false, ...s, tour_id: tourId, created_at: now, updated_at: now,
+        }));
+        if (stops.length) {
+          await client.query(
+            `INSERT INTO salem_tour_stops
+             SELECT * FROM jsonb_populate_recordset(NULL::salem_tour_stops, $1::jsonb)`,
+            [JSON.stringify(stops)],
+          );
+        }
+        if (rev.legs_json.length) {
+          await client.query(
+            `INSERT INTO salem_tour_legs
+             SELECT * FROM jsonb_populate_recordset(NULL::salem_tour_legs, $1::jsonb)`,
+            [JSON.stringify(rev.legs_json.map((l) => ({ ...l, tour_id: tourId })))],
+          );
+        }
+        return rev;
+      });
+      if (!out) return res.status(404).json({ error: `revision ${revision} not found` });
+      res.json({
+        tour_id: tourId,
+        restored_revision: out.revision,
+        stop_count: out.stops_json.length,
+        leg_count: out.legs_json.length,
+      });
+    } catch (err) {
+      console.error('[admin-tour-revisions] restore error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+};
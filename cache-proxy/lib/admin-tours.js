@@ -17,9 +17,92 @@
  *   GET   /admin/salem/tours                           — list with stop_count
  *   GET   /admin/salem/tours/:tour_id                  — tour + ordered stops
  *   PATCH /admin/salem/tours/:tour_id/stops/:stop_id   — move / narration
+ *   POST  /admin/salem/tours/:tour_id/optimize-order    — preview best stop order
+ *   GET   /admin/salem/tours/:tour_id/legs/:leg_order/alternatives
+ *                                                       — candidate routes for a leg
+ *   POST  /admin/salem/tours/:tour_id/legs/:leg_order/alternative
+ *                                                       — store one as a manual edit
+ *   POST  /admin/salem/tours/from-loop                  — save a generated loop as a draft
+ *   GET   /admin/salem/tours/:tour_id/legs/size-report  — leg geometry bytes per encoding
+ *   GET   /admin/salem/tours/:tour_id/export           — download as GPX / KML / GeoJSON
+ *   POST  /admin/salem/tours/import                    — draft tour from a GPX / KML / GeoJSON file
+ *
+ * Draft tours:
+ *   salem_tours.status is 'published' (default) or 'draft'. Drafts are
+ *   edited like any tour but publish-tours.js / publish-tour-legs.js skip
+ *   them. Publishing a revision (below) marks the tour 'published'.
+ *
+ * Revisions:
+ *   The rows edited here are only a tour's draft — the publish scripts bake
+ *   the snapshot salem_tours.published_revision_id points at
+ *   (lib/admin-tour-revisions.js), and skip a tour that has none, until a
+ *   newer revision is published.
+ *
+ * Routing profiles:
+ *   salem_tours.route_profile names the cost model compute-route and the
+ *   single-leg recompute hand to the bundle router ('default' = shortest
+ *   walk; 'wheelchair' / 'stroller' / 'quiet' — see ROUTING_PROFILES in
+ *   lib/salem-router.js). Accessible and family tours set it once on the
+ *   tour and every recompute honours it.
+ *
+ * Leg geometry:
+ *   polyline_json keeps every router vertex. GET .../legs can thin it for
+ *   the map (?simplify_m, Douglas-Peucker that keeps stops, turns and step
+ *   maneuver points) and send it as a precision-6 encoded polyline
+ *   (?encoding=polyline6); GET .../legs/size-report shows what each option
+ *   saves. publish-tour-legs.js applies the same lib/polyline.js to the
+ *   bundle.
+ *
+ * Duration estimate:
+ *   GET /admin/salem/tours/:tour_id carries `duration` — leg walking time
+ *   plus per-stop dwell (narration word counts at a TTS words-per-minute,
+ *   admission / indoor visit time), stop by stop (lib/tour-duration.js).
+ *   SALEM_NARRATION_WPM sets the default rate. publish-tours.js ships the
+ *   total as estimated_total_s.
+ *
+ * Import / export:
+ *   lib/tour-exchange.js reads and writes GPX, KML and GeoJSON. Export
+ *   writes stops as waypoints and legs as tracks. Import matches each
+ *   waypoint to a nearby POI by name and distance; the rest become free
+ *   waypoints snapped to an edge (snapToEdge, as for map clicks), listed
+ *   as unmatched in the response and stored with
+ *   salem_tour_stops.import_unmatched = TRUE. The flag drives the
+ *   tour_import_unmatched lint check and clears when the stop is moved or
+ *   PATCHed with import_unmatched: false.
+ *
+ * Street closures:
+ *   Legs are always routed on the open street graph — a weekend closure must
+ *   not rewrite published tour content. Instead compute-route, the
+ *   single-leg recompute and GET .../legs attach `closures` to each leg: the
+ *   salem_route_closures (active now or upcoming) the leg walks through, each
+ *   with active: true|false. compute-route also reports
+ *   closure_affected_count (legs hit by an active closure).
  */
 const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module admin-tours.js';
 
+const { resolveTheme } = require('./route-loop');
+const { fetchDurationInputs, parseDurationOptions, estimateTourDuration } = require('./tour-duration');
+const {
+  simplifyLeg,
+  stepAnchors,
+  encodeGeometry,
+  sizeStats,
+  sumStats,
+  parseTolerance,
+} = require('./polyline');
+const { snapshotDraft } = require('./tour-revisions');
+const {
+  EXCHANGE_FORMATS,
+  NAME_MATCH_M,
+  exportTour,
+  parseTourFile,
+  matchWaypoint,
+} = require('./tour-exchange');
+
+const TOUR_STATUSES = ['draft', 'published'];
+// POST /admin/salem/tours/import refuses files with more waypoints than this.
+const MAX_IMPORT_WAYPOINTS = 200;
+
 function isFiniteNumber(v) {
   return typeof v === 'number' && Number.isFinite(v);
 }
@@ -73,6 +156,34 @@ function diagnoseLeg(a, b, r, elapsedMs) {
   };
 }
 
+// ?simplify_m / ?encoding on the legs endpoint → { simplifyM, encoding } or
+// an Error. Both absent means the stored geometry goes out untouched.
+function parseLegShape(query) {
+  const simplifyM = parseTolerance(query.simplify_m, 0);
+  if (simplifyM instanceof Error) return simplifyM;
+  const encoding = query.encoding == null || query.encoding === '' || query.encoding === 'json' ? null : String(query.encoding);
+  if (encoding !== null && encoding !== 'polyline6') {
+    return new Error('encoding must be one of: json, polyline6');
+  }
+  return { simplifyM, encoding };
+}
+
+function shapeLeg(leg, { simplifyM, encoding }) {
+  if (!simplifyM && !encoding) return leg;
+  const shapeLine = (pts, anchors) => (simplifyM ? simplifyLeg(pts, { toleranceM: simplifyM, anchors }) : pts);
+  const pts = Array.isArray(leg.polyline_json) ? leg.polyline_json : [];
+  const line = shapeLine(pts, stepAnchors(leg.steps_json));
+  const steps = Array.isArray(leg.steps_json)
+    ? leg.steps_json.map((st) => {
+      const g = shapeLine(Array.isArray(st.geometry) ? st.geometry : [], []);
+      return encoding ? { ...st, geometry: encodeGeometry(g, encoding) } : { ...st, geometry: g };
+    })
+    : leg.steps_json;
+  if (!encoding) return { ...leg, polyline_json: line, steps_json: steps };
+  const { polyline_json: _omit, ...rest } = leg;
+  return { ...rest, polyline: encodeGeometry(line, encoding), steps_json: steps };
+}
+
 function validateLatLng(lat, lng) {
   if (lat !== undefined && lat !== null) {
     if (!isFiniteNumber(lat) || lat < -90 || lat > 90) {
@@ -90,6 +201,31 @@ function validateLatLng(lat, lng) {
 module.exports = function(app, deps) {
   const { pgPool, requirePg } = deps;
 
+  // Idempotent forward-migration for salem_tours.route_profile so installs
+  // that pre-date routing profiles don't 500 on the tour list. Mirrors the
+  // ALTER at the bottom of salem-schema.sql.
+  if (pgPool) {
+    pgPool.query(
+      `ALTER TABLE salem_tours
+         ADD COLUMN IF NOT EXISTS route_profile TEXT NOT NULL DEFAULT 'default'`,
+    ).catch((err) => console.warn('[AdminTours] route_profile migration warning:', err.message));
+    pgPool.query(
+      `ALTER TABLE salem_tour_legs ADD COLUMN IF NOT EXISTS steps_json JSONB`,
+    ).catch((err) => console.warn('[AdminTours] steps_json migration warning:', err.message));
+    pgPool.query(
+      `ALTER TABLE salem_tours
+         ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'published'
+           CHECK (status IN ('draft', 'published'))`,
+    ).catch((err) => console.warn('[AdminTours] status migration warning:', err.message));
+    pgPool.query(
+      `ALTER TABLE salem_tours ADD COLUMN IF NOT EXISTS published_revision_id BIGINT`,
+    ).catch((err) => console.warn('[AdminTours] published_revision_id migration warning:', err.message));
+    pgPool.query(
+      `ALTER TABLE salem_tour_stops
+         ADD COLUMN IF NOT EXISTS import_unmatched BOOLEAN NOT NULL DEFAULT FALSE`,
+    ).catch((err) => console.warn('[AdminTours] import_unmatched migration warning:', err.message));
+  }
+
   // ─── Helpers for the S183 "Compute Route" tool ─────────────────────────────
   //
   // salemRoute / salemBundle come from lib/salem-router.js (captured into
@@ -114,6 +250,27 @@ module.exports = function(app, deps) {
       return null;
     }
   }
+  // Returns an error string when `v` isn't a routing profile the loaded
+  // router knows, else null. With no router loaded there's nothing to check
+  // against, so accept any non-empty string and let compute-route 503.
+  function validateRouteProfile(v) {
+    if (typeof v !== 'string' || !v.trim()) return 'route_profile must be a non-empty string';
+    if (typeof deps.salemRouteProfiles !== 'function') return null;
+    const known = deps.salemRouteProfiles();
+    if (!known.includes(v)) return `route_profile must be one of: ${known.join(', ')}`;
+    return null;
+  }
+  // Closures a leg polyline runs through (see "Street closures" above).
+  // null when the router can't tell (no bundle loaded).
+  function legClosures(geometry) {
+    if (typeof deps.salemLegClosures !== 'function') return null;
+    try {
+      return deps.salemLegClosures(geometry);
+    } catch (err) {
+      console.warn('[AdminTours] legClosures error:', err.message);
+      return null;
+    }
+  }
   function routerVersion() {
     const b = deps.salemBundle && deps.salemBundle();
     if (!b || !b.meta) return null;
@@ -168,7 +325,8 @@ module.exports = function(app, deps) {
       const { rows } = await pgPool.query(`
         SELECT t.id, t.name, t.theme, t.description, t.estimated_minutes,
                t.distance_km, t.stop_count, t.difficulty, t.seasonal,
-               t.icon_asset, t.sort_order, t.is_historical_tour, t.updated_at,
+               t.icon_asset, t.sort_order, t.is_historical_tour, t.route_profile,
+               t.status, t.updated_at,
                COUNT(s.stop_id)::int AS stops_actual,
                pp_pf.id AS collection_id,
                pp_pf.poi_count AS collection_entry_count
@@ -193,7 +351,11 @@ module.exports = function(app, deps) {
   });
 
   // ─── GET /admin/salem/tours/:tour_id ────────────────────────────────────────
+  // `duration` is the walk + dwell estimate (see "Duration estimate" above);
+  // ?wpm=, ?admission_s= and ?indoor_s= override its defaults.
   app.get('/admin/salem/tours/:tour_id', requirePg, async (req, res) => {
+    const durationOpts = parseDurationOptions({ wpm: process.env.SALEM_NARRATION_WPM, ...req.query });
+    if (durationOpts instanceof Error) return res.status(400).json({ error: durationOpts.message });
     try {
       const tourId = req.params.tour_id;
       if (typeof tourId !== 'string' || !tourId.trim()) {
@@ -205,7 +367,8 @@ module.exports = function(app, deps) {
       const tourQ = await pgPool.query(
         `SELECT t.id, t.name, t.theme, t.description, t.estimated_minutes, t.distance_km,
                 t.stop_count, t.difficulty, t.seasonal, t.icon_asset, t.sort_order,
-                t.is_historical_tour, t.updated_at,
+                t.is_historical_tour, t.route_profile, t.status, t.updated_at,
+                (SELECT r.revision FROM salem_tour_revisions r WHERE r.id = t.published_revision_id) AS published_revision,
                 pp_pf.id AS collection_id,
                 pp_pf.poi_count AS collection_entry_count
            FROM salem_tours t
@@ -235,6 +398,7 @@ module.exports = function(app, deps) {
                 s.name AS override_name,
                 s.edge_id,
                 s.edge_fraction,
+                s.import_unmatched,
                 s.updated_at,
                 p.name AS poi_name,
                 p.lat AS poi_lat,
@@ -250,7 +414,13 @@ module.exports = function(app, deps) {
         [tourId]
       );
 
-      res.json({ tour: tourQ.rows[0], stops: stopsQ.rows });
+      const inputs = (await fetchDurationInputs(pgPool, [tourId])).get(tourId);
+      const duration = estimateTourDuration(
+        { ...inputs, isHistoricalTour: !!tourQ.rows[0].is_historical_tour },
+        durationOpts,
+      );
+
+      res.json({ tour: tourQ.rows[0], stops: stopsQ.rows, duration });
     } catch (err) {
       console.error('[AdminTours] get error:', err.message);
       res.status(500).json({ error: err.message });
@@ -258,7 +428,8 @@ module.exports = function(app, deps) {
   });
 
   // ─── PATCH /admin/salem/tours/:tour_id/stops/:stop_id ───────────────────────
-  // Whitelisted updatable stop fields. lat/lng set the per-tour override.
+  // Whitelisted updatable stop fields. lat/lng set the per-tour override and
+  // count as reviewing an imported stop, as does import_unmatched: false.
   app.patch('/admin/salem/tours/:tour_id/stops/:stop_id', requirePg, async (req, res) => {
     try {
       const tourId = req.params.tour_id;
@@ -317,6 +488,17 @@ module.exports = function(app, deps) {
           setParts.push(`edge_id = $${idx++}`); values.push(snapInfo ? snapInfo.edge_id : null);
           setParts.push(`edge_fraction = $${idx++}`); values.push(snapInfo ? snapInfo.fraction : null);
         }
+        if (!Object.prototype.hasOwnProperty.call(body, 'import_unmatched')) {
+          setParts.push(`import_unmatched = FALSE`);
+        }
+      }
+
+      if (Object.prototype.hasOwnProperty.call(body, 'import_unmatched')) {
+        if (typeof body.import_unmatched !== 'boolean') {
+          return res.status(400).json({ error: 'import_unmatched must be a boolean' });
+        }
+        setParts.push(`import_unmatched = $${idx++}`);
+        values.push(body.import_unmatched);
       }
 
       if (Object.prototype.hasOwnProperty.call(body, 'transition_narration')) {
@@ -347,7 +529,7 @@ module.exports = function(app, deps) {
                       SET ${setParts.join(', ')}
                     WHERE stop_id = $${idx++} AND tour_id = $${idx}
                 RETURNING stop_id, tour_id, poi_id, stop_order, lat, lng, name,
-                          edge_id, edge_fraction,
+                          edge_id, edge_fraction, import_unmatched,
                           transition_narration, updated_at`;
 
       const { rows } = await pgPool.query(sql, values);
@@ -389,7 +571,8 @@ module.exports = function(app, deps) {
   // ─── POST /admin/salem/tours ────────────────────────────────────────────────
   // Create a new tour. id is required and must be unique. Defaults: difficulty
   // 'moderate', seasonal false, sort_order 0, stop_count 0, distance_km 0,
-  // estimated_minutes 0, theme 'GENERAL', description ''.
+  // estimated_minutes 0, theme 'GENERAL', description '', route_profile
+  // 'default', status 'published'.
   app.post('/admin/salem/tours', requirePg, async (req, res) => {
     try {
       const b = req.body || {};
@@ -399,6 +582,13 @@ module.exports = function(app, deps) {
       if (typeof b.name !== 'string' || !b.name.trim()) {
         return res.status(400).json({ error: 'name is required' });
       }
+      if (b.route_profile !== undefined) {
+        const err = validateRouteProfile(b.route_profile);
+        if (err) return res.status(400).json({ error: err });
+      }
+      if (b.status !== undefined && !TOUR_STATUSES.includes(b.status)) {
+        return res.status(400).json({ error: `status must be one of: ${TOUR_STATUSES.join(', ')}` });
+      }
       const row = {
         id: b.id.trim(),
         name: b.name.trim(),
@@ -411,6 +601,8 @@ module.exports = function(app, deps) {
         seasonal: b.seasonal === true,
         icon_asset: typeof b.icon_asset === 'string' ? b.icon_asset : null,
         sort_order: Number.isInteger(b.sort_order) ? b.sort_order : 0,
+        route_profile: b.route_profile !== undefined ? b.route_profile : 'default',
+        status: b.status !== undefined ? b.status : 'published',
       };
       const exists = await pgPool.query(`SELECT 1 FROM salem_tours WHERE id = $1`, [row.id]);
       if (exists.rows.length) return res.status(409).json({ error: 'Tour id already exists' });
@@ -418,12 +610,12 @@ module.exports = function(app, deps) {
       const { rows } = await pgPool.query(
         `INSERT INTO salem_tours (id, name, theme, description, estimated_minutes,
                                   distance_km, stop_count, difficulty, seasonal,
-                                  icon_asset, sort_order)
-         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11)
+                                  icon_asset, sort_order, route_profile, status)
+         VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
          RETURNING *`,
         [row.id, row.name, row.theme, row.description, row.estimated_minutes,
          row.distance_km, row.stop_count, row.difficulty, row.seasonal,
-         row.icon_asset, row.sort_order]
+         row.icon_asset, row.sort_order, row.route_profile, row.status]
       );
       res.status(201).json(rows[0]);
     } catch (err) {
@@ -432,18 +624,302 @@ module.exports = function(app, deps) {
     }
   });
 
+  // ─── POST /admin/salem/tours/from-loop ─────────────────────────────────────
+  // Save one of GET /salem/route/loop's candidates as a draft tour. Body:
+  //   { id, name, lat, lng, minutes, theme?, route_profile?, rank?, description? }
+  // The loop is regenerated server-side from the same parameters (rank picks
+  // the candidate, 0 = best) so the client can't hand us arbitrary geometry.
+  // Stops, in walking order: the snapped origin, every POI the loop passes
+  // and its free via points, then the origin again to close the loop. Free
+  // waypoints keep their edge binding; legs are left to compute-route.
+  app.post('/admin/salem/tours/from-loop', requirePg, async (req, res) => {
+    const b = req.body || {};
+    if (typeof b.id !== 'string' || !b.id.trim()) {
+      return res.status(400).json({ error: 'id is required' });
+    }
+    if (typeof b.name !== 'string' || !b.name.trim()) {
+      return res.status(400).json({ error: 'name is required' });
+    }
+    if (!isFiniteNumber(b.lat) || !isFiniteNumber(b.lng)) {
+      return res.status(400).json({ error: 'lat and lng are required' });
+    }
+    const coordErr = validateLatLng(b.lat, b.lng);
+    if (coordErr) return res.status(400).json({ error: coordErr });
+    if (!isFiniteNumber(b.minutes) || b.minutes <= 0) {
+      return res.status(400).json({ error: 'minutes must be a positive number' });
+    }
+    if (b.theme != null && !resolveTheme(b.theme)) {
+      return res.status(400).json({ error: `unknown loop theme "${b.theme}"` });
+    }
+    const profile = b.route_profile !== undefined ? b.route_profile : 'default';
+    const profileErr = validateRouteProfile(profile);
+    if (profileErr) return res.status(400).json({ error: profileErr });
+    const rank = b.rank === undefined ? 0 : b.rank;
+    if (!Number.isInteger(rank) || rank < 0) {
+      return res.status(400).json({ error: 'rank must be a non-negative integer' });
+    }
+    if (!routerAvailable() || typeof deps.salemLoops !== 'function') {
+      return res.status(503).json({ error: 'Routing bundle not loaded' });
+    }
+
+    const tourId = b.id.trim();
+    const client = await pgPool.connect();
+    try {
+      const exists = await client.query(`SELECT 1 FROM salem_tours WHERE id = $1`, [tourId]);
+      if (exists.rows.length) return res.status(409).json({ error: 'Tour id already exists' });
+
+      const r = await deps.salemLoops(b.lat, b.lng, b.minutes, b.theme, profile, rank + 1);
+      if (!r) return res.status(404).json({ error: 'no walkable edge near origin' });
+      const loop = r.loops[rank];
+      if (!loop) {
+        return res.status(404).json({ error: `no loop at rank ${rank} (${r.loops.length} found)` });
+      }
+
+      // Visited POIs and via points share the along-the-loop axis. A via
+      // bent onto a POI is that POI's stop, even when the POI sits further
+      // off the street than its geofence and so isn't in loop.pois.
+      const seenPois = new Set();
+      const middle = [];
+      for (const p of loop.pois) {
+        seenPois.add(p.id);
+        middle.push({ along: p.along_m, poi_id: p.id });
+      }
+      for (const v of loop.vias) {
+        if (v.poi_id && seenPois.has(v.poi_id)) continue;
+        if (v.poi_id) seenPois.add(v.poi_id);
+        middle.push(v.poi_id
+          ? { along: v.along_m, poi_id: v.poi_id }
+          : { along: v.along_m, lat: v.lat, lng: v.lng, edge_id: v.edge_id, edge_fraction: v.edge_fraction });
+      }
+      middle.sort((x, y) => x.along - y.along);
+      const origin = {
+        lat: r.snap.snap_lat, lng: r.snap.snap_lng,
+        edge_id: r.snap.edge_id, edge_fraction: r.snap.fraction, name: 'Start / finish',
+      };
+      const stops = [origin, ...middle, origin];
+
+      const minutes = Math.round(b.minutes);
+      await client.query('BEGIN');
+      await client.query(
+        `INSERT INTO salem_tours (id, name, theme, description, estimated_minutes,
+                                  distance_km, stop_count, difficulty, seasonal,
+                                  sort_order, route_profile, status, data_source)
+         VALUES ($1, $2, $3, $4, 0, 0, 0, 'moderate', FALSE, 0, $5, 'draft', 'loop_generator')`,
+        [
+          tourId,
+          b.name.trim(),
+          b.theme ? String(b.theme).toUpperCase() : 'GENERAL',
+          typeof b.description === 'string'
+            ? b.description
+            : `${minutes}-minute loop from ${b.lat.toFixed(5)}, ${b.lng.toFixed(5)}`,
+          profile,
+        ]
+      );
+      for (let i = 0; i < stops.length; i++) {
+        const s = stops[i];
+        await client.query(
+          `INSERT INTO salem_tour_stops
+             (tour_id, poi_id, stop_order, lat, lng, name, edge_id, edge_fraction)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+          [tourId, s.poi_id || null, i + 1, s.lat ?? null, s.lng ?? null, s.name || null,
+           s.edge_id ?? null, s.edge_fraction ?? null]
+        );
+      }
+      await recomputeTourMetadata(client, tourId);
+      const tourQ = await client.query(`SELECT * FROM salem_tours WHERE id = $1`, [tourId]);
+      await client.query('COMMIT');
+
+      console.log(
+        `[AdminTours] from-loop ${tourId}: rank=${rank} ${Math.round(loop.distance_m)}m ` +
+        `${loop.pois.length} POIs, ${stops.length} stops (draft)`
+      );
+      res.status(201).json({
+        tour: tourQ.rows[0],
+        loop: {
+          rank,
+          distance_m: loop.distance_m,
+          duration_s: loop.duration_s,
+          repeat_pct: loop.repeat_pct,
+          score: loop.score,
+          pois: loop.pois,
+        },
+        stop_count: stops.length,
+      });
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      console.error('[AdminTours] from-loop error:', err.message);
+      res.status(500).json({ error: err.message });
+    } finally {
+      client.release();
+    }
+  });
+
+  // ─── POST /admin/salem/tours/import ────────────────────────────────────────
+  // Build a draft tour from a GPX / KML / GeoJSON file. Body:
+  //   { id, content, format?, name?, description?, route_profile? }
+  // content is the file text (a GeoJSON object is accepted as-is); format is
+  // detected when omitted. Each waypoint, in file order, becomes a stop:
+  // bound to an active POI when matchWaypoint finds one (the poi_id our own
+  // exports carry, a similar name within NAME_MATCH_M, or any POI within
+  // PROXIMITY_MATCH_M), else a free waypoint snapped to its nearest walkable
+  // edge like a map click, reported under `unmatched` and stored with
+  // import_unmatched = TRUE so the flag outlives this response. Tracks
+  // are echoed back for comparison but not stored — compute-route builds the
+  // legs.
+  app.post('/admin/salem/tours/import', requirePg, async (req, res) => {
+    const b = req.body || {};
+    if (typeof b.id !== 'string' || !b.id.trim()) {
+      return res.status(400).json({ error: 'id is required' });
+    }
+    if (b.content == null || (typeof b.content !== 'string' && typeof b.content !== 'object')) {
+      return res.status(400).json({ error: 'content is required (file text or a GeoJSON object)' });
+    }
+    if (b.format != null && !EXCHANGE_FORMATS.includes(b.format)) {
+      return res.status(400).json({ error: `format must be one of: ${EXCHANGE_FORMATS.join(', ')}` });
+    }
+    const profile = b.route_profile !== undefined ? b.route_profile : 'default';
+    const profileErr = validateRouteProfile(profile);
+    if (profileErr) return res.status(400).json({ error: profileErr });
+
+    let parsed;
+    try {
+      parsed = parseTourFile(b.content, b.format);
+    } catch (err) {
+      return res.status(400).json({ error: `could not read file: ${err.message}` });
+    }
+    const waypoints = parsed.waypoints;
+    if (!waypoints.length) return res.status(400).json({ error: 'file has no waypoints or tracks' });
+    if (waypoints.length > MAX_IMPORT_WAYPOINTS) {
+      return res.status(400).json({ error: `file has ${waypoints.length} waypoints (max ${MAX_IMPORT_WAYPOINTS})` });
+    }
+    for (let i = 0; i < waypoints.length; i++) {
+      const coordErr = validateLatLng(waypoints[i].lat, waypoints[i].lng);
+      if (coordErr) return res.status(400).json({ error: `waypoint ${i + 1}: ${coordErr}` });
+    }
+    const name = typeof b.name === 'string' && b.name.trim() ? b.name.trim() : parsed.name;
+    if (!name) return res.status(400).json({ error: 'name is required (the file has none)' });
+
+    const tourId = b.id.trim();
+    const client = await pgPool.connect();
+    try {
+      const exists = await client.query(`SELECT 1 FROM salem_tours WHERE id = $1`, [tourId]);
+      if (exists.rows.length) return res.status(409).json({ error: 'Tour id already exists' });
+
+      // Candidate POIs: everything active within name-match range of the
+      // waypoints' bounding box.
+      const lats = waypoints.map((w) => w.lat);
+      const lngs = waypoints.map((w) => w.lng);
+      const padLat = NAME_MATCH_M / 111320;
+      const padLng = padLat / Math.cos((Math.max(...lats.map(Math.abs)) * Math.PI) / 180);
+      const poiQ = await client.query(
+        `SELECT id, name, lat, lng
+           FROM salem_pois
+          WHERE deleted_at IS NULL
+            AND lat BETWEEN $1 AND $2 AND lng BETWEEN $3 AND $4`,
+        [Math.min(...lats) - padLat, Math.max(...lats) + padLat, Math.min(...lngs) - padLng, Math.max(...lngs) + padLng]
+      );
+
+      const stops = waypoints.map((w, i) => {
+        const m = matchWaypoint(w, poiQ.rows);
+        const base = { stop_order: i + 1, source_name: w.name, source_lat: w.lat, source_lng: w.lng };
+        if (m.poi) {
+          return {
+            ...base, poi_id: m.poi.id, name: null, lat: null, lng: null, edge_id: null, edge_fraction: null,
+            matched: true, match: m.match, poi_name: m.poi.name, distance_m: m.distance_m, name_similarity: m.name_similarity,
+          };
+        }
+        const snap = snapToEdge(w.lat, w.lng);
+        return {
+          ...base,
+          poi_id: null,
+          name: w.name || null,
+          lat: snap ? snap.snap_lat : w.lat,
+          lng: snap ? snap.snap_lng : w.lng,
+          edge_id: snap ? snap.edge_id : null,
+          edge_fraction: snap ? snap.fraction : null,
+          snap_m: snap ? snap.snap_m : null,
+          matched: false,
+          alternatives: m.alternatives,
+        };
+      });
+
+      await client.query('BEGIN');
+      await client.query(
+        `INSERT INTO salem_tours (id, name, theme, description, estimated_minutes,
+                                  distance_km, stop_count, difficulty, seasonal,
+                                  sort_order, route_profile, status, data_source)
+         VALUES ($1, $2, 'GENERAL', $3, 0, 0, 0, 'moderate', FALSE, 0, $4, 'draft', $5)`,
+        [
+          tourId,
+          name,
+          typeof b.description === 'string' ? b.description : `Imported from ${parsed.format.toUpperCase()}`,
+          profile,
+          `import_${parsed.format}`,
+        ]
+      );
+      for (const s of stops) {
+        const ins = await client.query(
+          `INSERT INTO salem_tour_stops
+             (tour_id, poi_id, stop_order, lat, lng, name, edge_id, edge_fraction, import_unmatched)
+           VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+           RETURNING stop_id`,
+          [tourId, s.poi_id, s.stop_order, s.lat, s.lng, s.name, s.edge_id, s.edge_fraction, !s.matched]
+        );
+        s.stop_id = ins.rows[0].stop_id;
+      }
+      await recomputeTourMetadata(client, tourId);
+      const tourQ = await client.query(`SELECT * FROM salem_tours WHERE id = $1`, [tourId]);
+      await client.query('COMMIT');
+
+      const unmatched = stops.filter((s) => !s.matched);
+      console.log(
+        `[AdminTours] import ${tourId}: ${parsed.format} ${stops.length} stops ` +
+        `(${stops.length - unmatched.length} matched, ${unmatched.length} unmatched), ${parsed.tracks.length} tracks (draft)`
+      );
+      res.status(201).json({
+        tour: tourQ.rows[0],
+        format: parsed.format,
+        stop_count: stops.length,
+        matched: stops.length - unmatched.length,
+        unmatched: unmatched.map((s) => ({
+          stop_id: s.stop_id, stop_order: s.stop_order, name: s.source_name,
+          lat: s.source_lat, lng: s.source_lng, snapped: s.edge_id != null, alternatives: s.alternatives,
+        })),
+        stops,
+        tracks: parsed.tracks.map((t) => ({
+          name: t.name,
+          points: t.points.length,
+          length_m: Math.round(t.points.reduce((sum, p, i) => (i ? sum + haversineMeters(t.points[i - 1][0], t.points[i - 1][1], p[0], p[1]) : 0), 0)),
+        })),
+      });
+    } catch (err) {
+      await client.query('ROLLBACK').catch(() => {});
+      console.error('[AdminTours] import error:', err.message);
+      res.status(500).json({ error: err.message });
+    } finally {
+      client.release();
+    }
+  });
+
   // ─── PATCH /admin/salem/tours/:tour_id ─────────────────────────────────────
   // Whitelisted metadata edit. stop_count is auto-managed by add/delete stop
   // routes — never accept it here.
   const TOUR_UPDATABLE = [
     'name', 'theme', 'description', 'estimated_minutes', 'distance_km',
     'difficulty', 'seasonal', 'icon_asset', 'sort_order',
-    'is_historical_tour',
+    'is_historical_tour', 'route_profile', 'status',
   ];
   app.patch('/admin/salem/tours/:tour_id', requirePg, async (req, res) => {
     try {
       const tourId = req.params.tour_id;
       const body = req.body || {};
+      if (Object.prototype.hasOwnProperty.call(body, 'route_profile')) {
+        const err = validateRouteProfile(body.route_profile);
+        if (err) return res.status(400).json({ error: err });
+      }
+      if (Object.prototype.hasOwnProperty.call(body, 'status') && !TOUR_STATUSES.includes(body.status)) {
+        return res.status(400).json({ error: `status must be one of: ${TOUR_STATUSES.join(', ')}` });
+      }
       const setParts = [];
       const values = [];
       let idx = 1;
@@ -790,28 +1266,239 @@ module.exports = function(app, deps) {
     }
   });
 
+  // ─── POST /admin/salem/tours/:tour_id/optimize-order ───────────────────────
+  // Preview-only. Body: { pin_start?: true, pin_end?: false, round_trip?: false }.
+  // Runs the bundle router's visiting-order optimizer over the tour's current
+  // stops (under the tour's route_profile) and returns the proposed order as
+  // stop_ids — ready to POST to /stops/reorder — plus the reordered legs so
+  // the admin map can draw them before the operator commits. Nothing is
+  // written; compute-route after the reorder persists the legs as usual.
+  app.post('/admin/salem/tours/:tour_id/optimize-order', requirePg, async (req, res) => {
+    if (!routerAvailable() || typeof deps.salemOptimizeOrder !== 'function') {
+      return res.status(503).json({ error: 'Salem routing bundle not loaded' });
+    }
+    try {
+      const tourId = req.params.tour_id;
+      const body = req.body || {};
+      const opts = {
+        pinStart: body.pin_start !== false,
+        pinEnd: body.pin_end === true,
+        roundTrip: body.round_trip === true,
+      };
+      if (opts.roundTrip && opts.pinEnd) {
+        return res.status(400).json({ error: 'round_trip and pin_end are mutually exclusive' });
+      }
+
+      const tourQ = await pgPool.query(
+        `SELECT route_profile FROM salem_tours WHERE id = $1`,
+        [tourId]
+      );
+      if (!tourQ.rows.length) return res.status(404).json({ error: 'Tour not found' });
+      const profile = tourQ.rows[0].route_profile || 'default';
+
+      const stops = await fetchEffectiveStops(pgPool, tourId);
+      if (stops.length < 2) {
+        return res.status(400).json({ error: 'tour has fewer than 2 stops; nothing to order' });
+      }
+      const noCoords = stops.filter((s) => s.lat == null || s.lng == null).map((s) => s.stop_id);
+      if (noCoords.length) {
+        return res.status(400).json({ error: 'stops without coords cannot be ordered', stop_ids: noCoords });
+      }
+
+      const t0 = Date.now();
+      const r = deps.salemOptimizeOrder(
+        stops.map((s) => ({ lat: s.lat, lng: s.lng, edge_id: s.edge_id, edge_fraction: s.edge_fraction })),
+        opts,
+        profile,
+      );
+      if (!r || !r.feasible) {
+        const label = (i) => stops[i] && stops[i].stop_id;
+        return res.status(422).json({
+          error: 'no visiting order connects every stop',
+          unresolved_stop_ids: r ? r.unresolved.map(label) : [],
+          unreachable_pairs: r ? r.unreachable.map(([i, j]) => [label(i), label(j)]) : [],
+        });
+      }
+
+      const order = r.order.map((i) => stops[i].stop_id);
+      const changed = r.order.some((i, k) => i !== k);
+      const legs = r.legs.map((leg, k) => ({
+        leg_order: k + 1,
+        from_stop_id: stops[leg.from_index].stop_id,
+        to_stop_id: stops[leg.to_index].stop_id,
+        polyline_json: leg.geometry,
+        distance_m: leg.distance_m,
+        duration_s: leg.duration_s,
+        // Round trips carry a final leg back to the first stop. It isn't a
+        // salem_tour_legs row (legs join consecutive stops) — preview only.
+        closing: opts.roundTrip && k === r.legs.length - 1,
+      }));
+      console.log(
+        `[AdminTours] optimize-order tour=${tourId} stops=${stops.length} profile=${profile} ` +
+          `method=${r.method} current=${Math.round(r.inputDistanceM ?? 0)}m ` +
+          `optimized=${Math.round(r.distanceM)}m changed=${changed} t=${Date.now() - t0}ms`,
+      );
+      res.json({
+        tour_id: tourId,
+        route_profile: profile,
+        method: r.method,
+        pin_start: opts.pinStart,
+        pin_end: opts.pinEnd,
+        round_trip: opts.roundTrip,
+        changed,
+        order,
+        stops: r.order.map((i, k) => ({
+          stop_id: stops[i].stop_id,
+          name: stops[i].name,
+          current_order: stops[i].stop_order,
+          proposed_order: k + 1,
+        })),
+        current_distance_m: r.inputDistanceM,
+        total_distance_m: r.distanceM,
+        total_duration_s: r.durationS,
+        saved_m: r.inputDistanceM == null ? null : r.inputDistanceM - r.distanceM,
+        legs,
+      });
+    } catch (err) {
+      console.error('[AdminTours] optimize-order error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
   // ─── GET /admin/salem/tours/:tour_id/legs ──────────────────────────────────
   // Returns all precomputed legs for the tour in leg_order. Empty array if
   // the route hasn't been computed yet.
+  //
+  // Optional geometry shaping for map loads (see "Leg geometry" above):
+  //   ?simplify_m=<m>        Douglas-Peucker the leg and step polylines
+  //   ?encoding=polyline6    send `polyline` (encoded, precision 6) instead
+  //                          of polyline_json; step geometry likewise
+  // Closures are always computed on the stored, unsimplified polyline.
   app.get('/admin/salem/tours/:tour_id/legs', requirePg, async (req, res) => {
+    const shape = parseLegShape(req.query);
+    if (shape instanceof Error) return res.status(400).json({ error: shape.message });
     try {
       const tourId = req.params.tour_id;
       const { rows } = await pgPool.query(
         `SELECT tour_id, leg_order, from_stop_id, to_stop_id,
-                polyline_json, distance_m, duration_s,
+                polyline_json, steps_json, distance_m, duration_s,
                 router_version, manual_edits, computed_at
            FROM salem_tour_legs
           WHERE tour_id = $1
        ORDER BY leg_order ASC`,
         [tourId]
       );
-      res.json({ tour_id: tourId, count: rows.length, legs: rows });
+      res.json({
+        tour_id: tourId,
+        count: rows.length,
+        ...(shape.simplifyM || shape.encoding ? { simplify_m: shape.simplifyM, encoding: shape.encoding || 'json' } : {}),
+        legs: rows.map((l) => shapeLeg({ ...l, closures: legClosures(l.polyline_json) }, shape)),
+      });
     } catch (err) {
       console.error('[AdminTours] list legs error:', err.message);
       res.status(500).json({ error: err.message });
     }
   });
 
+  // ─── GET /admin/salem/tours/:tour_id/legs/size-report ──────────────────────
+  // Geometry size of the tour's legs: points and bytes as stored (JSON), as
+  // the bundle's text encoding and as polyline6, each raw and simplified at
+  // ?simplify_m (default DEFAULT_SIMPLIFY_M). Per leg plus a tour total —
+  // the same numbers publish-tour-legs.js prints per tour.
+  app.get('/admin/salem/tours/:tour_id/legs/size-report', requirePg, async (req, res) => {
+    const toleranceM = parseTolerance(req.query.simplify_m);
+    if (toleranceM instanceof Error) return res.status(400).json({ error: toleranceM.message });
+    try {
+      const tourId = req.params.tour_id;
+      const tourQ = await pgPool.query('SELECT id FROM salem_tours WHERE id = $1', [tourId]);
+      if (!tourQ.rows.length) return res.status(404).json({ error: 'Tour not found' });
+      const { rows } = await pgPool.query(
+        `SELECT leg_order, polyline_json, steps_json
+           FROM salem_tour_legs
+          WHERE tour_id = $1
+       ORDER BY leg_order ASC`,
+        [tourId]
+      );
+      const legs = rows.map((l) => {
+        const pts = Array.isArray(l.polyline_json) ? l.polyline_json : [];
+        const simplified = simplifyLeg(pts, { toleranceM, anchors: stepAnchors(l.steps_json) });
+        return { leg_order: l.leg_order, ...sizeStats(pts, simplified) };
+      });
+      res.json({ tour_id: tourId, simplify_m: toleranceM, leg_count: legs.length, total: sumStats(legs), legs });
+    } catch (err) {
+      console.error('[AdminTours] size report error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ─── GET /admin/salem/tours/:tour_id/export ────────────────────────────────
+  // Download the tour as ?format=gpx|kml|geojson (lib/tour-exchange.js):
+  // stops as waypoints (name, first sentence of the POI's short narration,
+  // category, poi_id), legs as tracks. Exports the editable draft unless
+  // ?revision=<n>|published names a snapshot.
+  app.get('/admin/salem/tours/:tour_id/export', requirePg, async (req, res) => {
+    const format = req.query.format || 'gpx';
+    if (!EXCHANGE_FORMATS.includes(format)) {
+      return res.status(400).json({ error: `format must be one of: ${EXCHANGE_FORMATS.join(', ')}` });
+    }
+    const rev = req.query.revision;
+    if (rev !== undefined && rev !== 'published' && !/^\d+$/.test(String(rev))) {
+      return res.status(400).json({ error: 'revision must be a number or "published"' });
+    }
+    try {
+      const tourId = req.params.tour_id;
+      let snap;
+      if (rev === undefined) {
+        snap = await snapshotDraft(pgPool, tourId);
+        if (!snap) return res.status(404).json({ error: 'Tour not found' });
+      } else {
+        const { rows } = await pgPool.query(
+          rev === 'published'
+            ? `SELECT r.tour_json, r.stops_json, r.legs_json
+                 FROM salem_tours t JOIN salem_tour_revisions r ON r.id = t.published_revision_id
+                WHERE t.id = $1`
+            : `SELECT tour_json, stops_json, legs_json
+                 FROM salem_tour_revisions
+                WHERE tour_id = $1 AND revision = $2`,
+          rev === 'published' ? [tourId] : [tourId, parseInt(rev, 10)]
+        );
+        if (!rows.length) return res.status(404).json({ error: 'Revision not found' });
+        snap = { tour: rows[0].tour_json, stops: rows[0].stops_json || [], legs: rows[0].legs_json || [] };
+      }
+      const poiIds = [...new Set(snap.stops.map((s) => s.poi_id).filter(Boolean))];
+      const pois = new Map();
+      if (poiIds.length) {
+        const { rows } = await pgPool.query(
+          `SELECT id, category, short_narration FROM salem_pois WHERE id = ANY($1::text[])`,
+          [poiIds]
+        );
+        for (const p of rows) pois.set(p.id, p);
+      }
+      const out = exportTour({
+        tour: snap.tour,
+        stops: snap.stops.map((s) => ({
+          stop_id: s.stop_id,
+          stop_order: s.stop_order,
+          name: s.effective_name,
+          lat: s.effective_lat,
+          lng: s.effective_lng,
+          poi_id: s.poi_id,
+          category: pois.get(s.poi_id)?.category || null,
+          narration: pois.get(s.poi_id)?.short_narration || null,
+          transition_narration: s.transition_narration,
+        })),
+        legs: snap.legs,
+      }, format);
+      const file = `${String(tourId).replace(/[^A-Za-z0-9_.-]+/g, '_')}.${out.ext}`;
+      res.set('Content-Type', `${out.contentType}; charset=utf-8`);
+      res.set('Content-Disposition', `attachment; filename="${file}"`);
+      res.send(out.body);
+    } catch (err) {
+      console.error('[AdminTours] export error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
   // ─── POST /admin/salem/tours/:tour_id/compute-route ────────────────────────
   // Routes every consecutive (stop_order n → n+1) pair via the bundle router
   // and persists the result to salem_tour_legs. Replaces any existing legs
@@ -829,11 +1516,15 @@ module.exports = function(app, deps) {
       const tourId = req.params.tour_id;
       const force = !!(req.body && req.body.force === true);
 
-      const tourQ = await client.query(`SELECT id FROM salem_tours WHERE id = $1`, [tourId]);
+      const tourQ = await client.query(
+        `SELECT id, route_profile FROM salem_tours WHERE id = $1`,
+        [tourId]
+      );
       if (!tourQ.rows.length) {
         client.release();
         return res.status(404).json({ error: 'Tour not found' });
       }
+      const profile = tourQ.rows[0].route_profile || 'default';
 
       const stops = await fetchEffectiveStops(client, tourId);
       if (stops.length < 2) {
@@ -843,7 +1534,7 @@ module.exports = function(app, deps) {
 
       // Snapshot existing legs so we can preserve manual_edits unless force.
       const prevQ = await client.query(
-        `SELECT leg_order, manual_edits, polyline_json, distance_m, duration_s, router_version
+        `SELECT leg_order, manual_edits, polyline_json, steps_json, distance_m, duration_s, router_version
            FROM salem_tour_legs WHERE tour_id = $1`,
         [tourId]
       );
@@ -858,7 +1549,8 @@ module.exports = function(app, deps) {
       // console AND echoed in the JSON response so the operator can see
       // why a leg looks weird in the admin map.
       console.log(
-        `[AdminTours] compute-route start tour=${tourId} stops=${stops.length} force=${force} router=${version}`,
+        `[AdminTours] compute-route start tour=${tourId} stops=${stops.length} force=${force} ` +
+          `router=${version} profile=${profile}`,
       );
       for (let i = 0; i < stops.length - 1; i++) {
         const a = stops[i];
@@ -890,6 +1582,7 @@ module.exports = function(app, deps) {
             from_stop_id: a.stop_id,
             to_stop_id: b.stop_id,
             polyline_json: prev.polyline_json,
+            steps_json: prev.steps_json,
             distance_m: prev.distance_m,
             duration_s: prev.duration_s,
             router_version: prev.router_version,
@@ -919,8 +1612,9 @@ module.exports = function(app, deps) {
             ? deps.salemRouteEx(
                 { lat: a.lat, lng: a.lng, edge_id: a.edge_id, edge_fraction: a.edge_fraction },
                 { lat: b.lat, lng: b.lng, edge_id: b.edge_id, edge_fraction: b.edge_fraction },
+                profile,
               )
-            : deps.salemRoute(a.lat, a.lng, b.lat, b.lng);
+            : deps.salemRoute(a.lat, a.lng, b.lat, b.lng, profile);
         } catch (err) {
           console.log(
             `[AdminTours]   leg ${legOrder} ERROR  ${fromLabel} → ${toLabel}  ${err.message}`,
@@ -988,6 +1682,7 @@ module.exports = function(app, deps) {
           from_stop_id: a.stop_id,
           to_stop_id: b.stop_id,
           polyline_json: r.geometry, // [[lat,lng], ...]
+          steps_json: r.steps || null, // turn-by-turn, see lib/route-steps.js
           distance_m: r.distanceM,
           duration_s: r.durationS,
           router_version: version,
@@ -1006,12 +1701,13 @@ module.exports = function(app, deps) {
         await client.query(
           `INSERT INTO salem_tour_legs
              (tour_id, leg_order, from_stop_id, to_stop_id,
-              polyline_json, distance_m, duration_s,
+              polyline_json, steps_json, distance_m, duration_s,
               router_version, manual_edits, computed_at)
-           VALUES ($1,$2,$3,$4,$5::jsonb,$6,$7,$8,$9::jsonb, NOW())`,
+           VALUES ($1,$2,$3,$4,$5::jsonb,$6::jsonb,$7,$8,$9,$10::jsonb, NOW())`,
           [
             tourId, leg.leg_order, leg.from_stop_id, leg.to_stop_id,
             JSON.stringify(leg.polyline_json),
+            leg.steps_json == null ? null : JSON.stringify(leg.steps_json),
             leg.distance_m, leg.duration_s,
             leg.router_version,
             leg.manual_edits == null ? null : JSON.stringify(leg.manual_edits),
@@ -1027,11 +1723,23 @@ module.exports = function(app, deps) {
       await recomputeTourMetadata(client, tourId);
       await client.query('COMMIT');
 
+      let closureAffected = 0;
+      for (const leg of legs) {
+        leg.closures = legClosures(leg.polyline_json);
+        if (leg.closures && leg.closures.some((c) => c.active)) {
+          closureAffected++;
+          console.log(
+            `[AdminTours]   leg ${leg.leg_order} CLOSED  ` +
+              leg.closures.filter((c) => c.active).map((c) => `"${c.name}" until ${c.ends_at}`).join(', '),
+          );
+        }
+      }
+
       // S190 — final summary log.
       const suspiciousCount = legs.filter((l) => l.diagnostics && l.diagnostics.suspicious).length;
       console.log(
         `[AdminTours] compute-route done tour=${tourId} legs=${legs.length} skipped=${skipped.length} ` +
-          `suspicious=${suspiciousCount} totalDist=${totalM}m totalDur=${totalS}s ` +
+          `suspicious=${suspiciousCount} closed=${closureAffected} totalDist=${totalM}m totalDur=${totalS}s ` +
           `wall=${Date.now() - t0Tour}ms`,
       );
 
@@ -1042,8 +1750,10 @@ module.exports = function(app, deps) {
         total_distance_m: totalM,
         total_duration_s: totalS,
         router_version: version,
+        route_profile: profile,
         force,
         suspicious_count: suspiciousCount,
+        closure_affected_count: closureAffected,
         legs,
       });
     } catch (err) {
@@ -1071,6 +1781,13 @@ module.exports = function(app, deps) {
       }
       const force = !!(req.body && req.body.force === true);
 
+      const tourQ = await client.query(
+        `SELECT route_profile FROM salem_tours WHERE id = $1`,
+        [tourId]
+      );
+      if (!tourQ.rows.length) return res.status(404).json({ error: 'Tour not found' });
+      const profile = tourQ.rows[0].route_profile || 'default';
+
       const stops = await fetchEffectiveStops(client, tourId);
       const a = stops[legOrder - 1];
       const b = stops[legOrder];
@@ -1106,8 +1823,9 @@ module.exports = function(app, deps) {
         ? deps.salemRouteEx(
             { lat: a.lat, lng: a.lng, edge_id: a.edge_id, edge_fraction: a.edge_fraction },
             { lat: b.lat, lng: b.lng, edge_id: b.edge_id, edge_fraction: b.edge_fraction },
+            profile,
           )
-        : deps.salemRoute(a.lat, a.lng, b.lat, b.lng);
+        : deps.salemRoute(a.lat, a.lng, b.lat, b.lng, profile);
       if (!r || !r.geometry || r.geometry.length < 2) {
         const straightM = Math.round(haversineMeters(a.lat, a.lng, b.lat, b.lng));
         let diagInfo = null;
@@ -1146,13 +1864,14 @@ module.exports = function(app, deps) {
       await client.query(
         `INSERT INTO salem_tour_legs
            (tour_id, leg_order, from_stop_id, to_stop_id,
-            polyline_json, distance_m, duration_s,
+            polyline_json, steps_json, distance_m, duration_s,
             router_version, manual_edits, computed_at)
-         VALUES ($1,$2,$3,$4,$5::jsonb,$6,$7,$8,NULL,NOW())
+         VALUES ($1,$2,$3,$4,$5::jsonb,$6::jsonb,$7,$8,$9,NULL,NOW())
          ON CONFLICT (tour_id, leg_order) DO UPDATE
            SET from_stop_id   = EXCLUDED.from_stop_id,
                to_stop_id     = EXCLUDED.to_stop_id,
                polyline_json  = EXCLUDED.polyline_json,
+               steps_json     = EXCLUDED.steps_json,
                distance_m     = EXCLUDED.distance_m,
                duration_s     = EXCLUDED.duration_s,
                router_version = EXCLUDED.router_version,
@@ -1161,6 +1880,7 @@ module.exports = function(app, deps) {
         [
           tourId, legOrder, a.stop_id, b.stop_id,
           JSON.stringify(r.geometry),
+          r.steps ? JSON.stringify(r.steps) : null,
           r.distanceM, r.durationS,
           version,
         ]
@@ -1168,7 +1888,7 @@ module.exports = function(app, deps) {
 
       const out = await client.query(
         `SELECT tour_id, leg_order, from_stop_id, to_stop_id,
-                polyline_json, distance_m, duration_s,
+                polyline_json, steps_json, distance_m, duration_s,
                 router_version, manual_edits, computed_at
            FROM salem_tour_legs
           WHERE tour_id = $1 AND leg_order = $2`,
@@ -1186,7 +1906,9 @@ module.exports = function(app, deps) {
         ...out.rows[0],
         from_label: fromLabel,
         to_label: toLabel,
+        route_profile: profile,
         diagnostics: diag,
+        closures: legClosures(r.geometry),
       });
     } catch (err) {
       console.error('[AdminTours] recompute leg error:', err.message);
@@ -1195,4 +1917,191 @@ module.exports = function(app, deps) {
       client.release();
     }
   });
+
+  // ─── Leg alternatives ──────────────────────────────────────────────────────
+  //
+  // The editor shows the two or three plausible ways between a pair of stops
+  // (best route + alternatives from the router's penalty method) and the
+  // operator picks one. The pick is stored like a hand edit: manual_edits is
+  // set, so compute-route preserves it until someone forces a recompute.
+  //
+  // Both endpoints take n (alternatives, default 2) and max_overlap (percent)
+  // — the POST must pass the same values the GET was called with so `rank`
+  // refers to the same candidate. Routing is deterministic for a given
+  // bundle, so a re-run reproduces the list the operator looked at.
+
+  // Routes one leg's alternatives. Returns { status, error } on failure or
+  // { a, b, profile, routes } with routes straight from salemRouteAlternatives.
+  async function legAlternatives(client, tourId, legOrder, n, maxOverlap) {
+    const tourQ = await client.query(
+      `SELECT route_profile FROM salem_tours WHERE id = $1`,
+      [tourId]
+    );
+    if (!tourQ.rows.length) return { status: 404, error: 'Tour not found' };
+    const profile = tourQ.rows[0].route_profile || 'default';
+    const stops = await fetchEffectiveStops(client, tourId);
+    const a = stops[legOrder - 1];
+    const b = stops[legOrder];
+    if (!a || !b) {
+      return { status: 400, error: `leg_order ${legOrder} out of range (tour has ${stops.length} stops)` };
+    }
+    if (a.lat == null || a.lng == null || b.lat == null || b.lng == null) {
+      return { status: 400, error: 'one or both endpoints have no coords' };
+    }
+    const routes = deps.salemRouteAlternatives(
+      { lat: a.lat, lng: a.lng, edge_id: a.edge_id, edge_fraction: a.edge_fraction },
+      { lat: b.lat, lng: b.lng, edge_id: b.edge_id, edge_fraction: b.edge_fraction },
+      n,
+      profile,
+      maxOverlap,
+    );
+    if (!routes || !routes[0].route.geometry || routes[0].route.geometry.length < 2) {
+      return { status: 404, error: 'no route found for this leg' };
+    }
+    return { a, b, profile, routes };
+  }
+
+  // Validates leg_order / n / max_overlap from params + query-or-body.
+  // Returns { error } or { legOrder, n, maxOverlap }.
+  function parseAlternativeArgs(params, src) {
+    const legOrder = parseInt(params.leg_order, 10);
+    if (!Number.isInteger(legOrder) || legOrder <= 0) return { error: 'leg_order must be a positive integer' };
+    let n = 2;
+    if (src.n != null && src.n !== '') {
+      n = Number(src.n);
+      if (!Number.isInteger(n) || n < 1 || n > 3) return { error: 'n must be an integer 1..3' };
+    }
+    let maxOverlap = null;
+    if (src.max_overlap != null && src.max_overlap !== '') {
+      maxOverlap = Number(src.max_overlap);
+      if (!Number.isFinite(maxOverlap) || maxOverlap < 0 || maxOverlap > 100) {
+        return { error: 'max_overlap must be a percentage 0..100' };
+      }
+    }
+    return { legOrder, n, maxOverlap };
+  }
+
+  function alternativesAvailable() {
+    return routerAvailable() && typeof deps.salemRouteAlternatives === 'function';
+  }
+
+  // ─── GET /admin/salem/tours/:tour_id/legs/:leg_order/alternatives ──────────
+  // ?n=2&max_overlap=70. Read-only; rank 0 is what compute-route would store.
+  app.get('/admin/salem/tours/:tour_id/legs/:leg_order/alternatives', requirePg, async (req, res) => {
+    if (!alternativesAvailable()) {
+      return res.status(503).json({ error: 'Salem routing bundle not loaded' });
+    }
+    const args = parseAlternativeArgs(req.params, req.query);
+    if (args.error) return res.status(400).json({ error: args.error });
+    const client = await pgPool.connect();
+    try {
+      const tourId = req.params.tour_id;
+      const r = await legAlternatives(client, tourId, args.legOrder, args.n, args.maxOverlap);
+      if (r.error) return res.status(r.status).json({ error: r.error });
+      res.json({
+        tour_id: tourId,
+        leg_order: args.legOrder,
+        from_stop_id: r.a.stop_id,
+        to_stop_id: r.b.stop_id,
+        route_profile: r.profile,
+        routes: r.routes.map((alt) => ({
+          rank: alt.rank,
+          distance_m: alt.route.distanceM,
+          duration_s: alt.route.durationS,
+          overlap_pct: alt.overlapPct,
+          stretch: alt.stretch,
+          polyline_json: alt.route.geometry,
+          steps_json: alt.route.steps || null,
+          diagnostics: diagnoseLeg(r.a, r.b, alt.route, 0),
+        })),
+      });
+    } catch (err) {
+      console.error('[AdminTours] leg alternatives error:', err.message);
+      res.status(500).json({ error: err.message });
+    } finally {
+      client.release();
+    }
+  });
+
+  // ─── POST /admin/salem/tours/:tour_id/legs/:leg_order/alternative ──────────
+  // Body: { rank, n?, max_overlap? }. Re-routes the alternatives and stores
+  // the chosen one as the leg with manual_edits = { kind: 'alternative', ... }.
+  app.post('/admin/salem/tours/:tour_id/legs/:leg_order/alternative', requirePg, async (req, res) => {
+    if (!alternativesAvailable()) {
+      return res.status(503).json({ error: 'Salem routing bundle not loaded' });
+    }
+    const body = req.body || {};
+    const args = parseAlternativeArgs(req.params, body);
+    if (args.error) return res.status(400).json({ error: args.error });
+    const rank = Number(body.rank);
+    if (!Number.isInteger(rank) || rank < 0) {
+      return res.status(400).json({ error: 'rank must be a non-negative integer' });
+    }
+    const client = await pgPool.connect();
+    try {
+      const tourId = req.params.tour_id;
+      const r = await legAlternatives(client, tourId, args.legOrder, Math.max(args.n, rank), args.maxOverlap);
+      if (r.error) return res.status(r.status).json({ error: r.error });
+      const alt = r.routes.find((x) => x.rank === rank);
+      if (!alt) {
+        return res.status(409).json({
+          error: `alternative ${rank} no longer exists (${r.routes.length} route(s) found) — reload the alternatives`,
+        });
+      }
+
+      const manualEdits = {
+        kind: 'alternative',
+        rank,
+        overlap_pct: alt.overlapPct,
+        stretch: alt.stretch,
+        route_profile: r.profile,
+        picked_at: new Date().toISOString(),
+      };
+      await client.query(
+        `INSERT INTO salem_tour_legs
+           (tour_id, leg_order, from_stop_id, to_stop_id,
+            polyline_json, steps_json, distance_m, duration_s,
+            router_version, manual_edits, computed_at)
+         VALUES ($1,$2,$3,$4,$5::jsonb,$6::jsonb,$7,$8,$9,$10::jsonb,NOW())
+         ON CONFLICT (tour_id, leg_order) DO UPDATE
+           SET from_stop_id   = EXCLUDED.from_stop_id,
+               to_stop_id     = EXCLUDED.to_stop_id,
+               polyline_json  = EXCLUDED.polyline_json,
+               steps_json     = EXCLUDED.steps_json,
+               distance_m     = EXCLUDED.distance_m,
+               duration_s     = EXCLUDED.duration_s,
+               router_version = EXCLUDED.router_version,
+               manual_edits   = EXCLUDED.manual_edits,
+               computed_at    = NOW()`,
+        [
+          tourId, args.legOrder, r.a.stop_id, r.b.stop_id,
+          JSON.stringify(alt.route.geometry),
+          alt.route.steps ? JSON.stringify(alt.route.steps) : null,
+          alt.route.distanceM, alt.route.durationS,
+          routerVersion(),
+          JSON.stringify(manualEdits),
+        ]
+      );
+      await recomputeTourMetadata(client, tourId);
+      console.log(
+        `[AdminTours] leg=${args.legOrder} tour=${tourId} picked alternative ${rank} ` +
+          `routed=${alt.route.distanceM}m overlap=${alt.overlapPct}% stretch=${alt.stretch}`,
+      );
+
+      const out = await client.query(
+        `SELECT tour_id, leg_order, from_stop_id, to_stop_id,
+                polyline_json, steps_json, distance_m, duration_s,
+                router_version, manual_edits, computed_at
+           FROM salem_tour_legs
+          WHERE tour_id = $1 AND leg_order = $2`,
+        [tourId, args.legOrder]
+      );
+      res.json({ ...out.rows[0], route_profile: r.profile });
+    } catch (err) {
+      console.error('[AdminTours] pick alternative error:', err.message);
+      res.status(500).json({ error: err.message });
+    } finally {
+      client.release();
+    }
+  });
 };
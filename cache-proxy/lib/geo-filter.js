@@ -0,0 +1,179 @@
+/*
+ * LocationMapApp v1.5
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * Spatial filters + keyset cursors for GET /salem/pois (lib/salem.js).
+ *
+ *   near     lat + lng (+ radius in metres) — great-circle distance, the same
+ *            haversine the admin duplicate finders run in SQL. The radius
+ *            prefilter box widens longitude by 1/cos(lat) so it never clips
+ *            the circle the way the old lat-only /111000 box did.
+ *   bbox     "minLng,minLat,maxLng,maxLat" — GeoJSON bbox order.
+ *   polygon  GeoJSON Polygon / MultiPolygon (bare or as a Feature, holes
+ *            honoured) or one encoded ring in either lib/polyline.js encoding
+ *            ("lat,lng;lat,lng;..." text or polyline6). Rings are handed to
+ *            PostgreSQL's built-in polygon type, so no PostGIS on salem_pois.
+ *   cursor   opaque base64url token holding the sort mode and the last row's
+ *            sort key; the next page is everything strictly after it.
+ *
+ * Every parser returns null (param absent), the parsed value, or an Error
+ * whose message is safe to send back as a 400.
+ */
+const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module geo-filter.js';
+
+const { parsePolygon, polygonsBBox } = require('./route-closures');
+const { decodeGeometry } = require('./polyline');
+
+const EARTH_RADIUS_M = 6371000;
+const M_PER_DEG_LAT = 111320;
+const MAX_RADIUS_M = 50000;
+const MAX_POLYGON_VERTICES = 2000;
+const POI_SORTS = ['priority', 'distance'];
+// NULL priority sorts last, as it did under plain ORDER BY priority ASC.
+const PRIORITY_NULL_RANK = 2147483647;
+
+const present = (v) => v !== undefined && v !== null && v !== '';
+
+function haversineM(lat1, lng1, lat2, lng2) {
+  const toRad = Math.PI / 180;
+  const dLat = (lat2 - lat1) * toRad;
+  const dLng = (lng2 - lng1) * toRad;
+  const a = Math.sin(dLat / 2) ** 2 + Math.cos(lat1 * toRad) * Math.cos(lat2 * toRad) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_M * Math.asin(Math.min(1, Math.sqrt(a)));
+}
+
+// Box that fully contains the circle of radius_m around (lat, lng).
+function radiusBBox(lat, lng, radiusM) {
+  const dLat = radiusM / M_PER_DEG_LAT;
+  const dLng = radiusM / (M_PER_DEG_LAT * Math.max(Math.cos((lat * Math.PI) / 180), 1e-6));
+  return { minLat: lat - dLat, maxLat: lat + dLat, minLng: lng - dLng, maxLng: lng + dLng };
+}
+
+/** { lat, lng, radius } query params → { lat, lng, radius_m|null } | null | Error. */
+function parseNear({ lat, lng, radius } = {}) {
+  if (!present(lat) && !present(lng)) {
+    return present(radius) ? new Error('radius needs lat and lng') : null;
+  }
+  const la = Number(lat);
+  const ln = Number(lng);
+  if (!present(lat) || !present(lng) || !Number.isFinite(la) || !Number.isFinite(ln) ||
+      Math.abs(la) > 90 || Math.abs(ln) > 180) {
+    return new Error('lat and lng must both be valid coordinates');
+  }
+  if (!present(radius)) return { lat: la, lng: ln, radius_m: null };
+  const r = Number(radius);
+  if (!Number.isFinite(r) || r <= 0 || r > MAX_RADIUS_M) {
+    return new Error(`radius must be a number of metres between 0 and ${MAX_RADIUS_M}`);
+  }
+  return { lat: la, lng: ln, radius_m: r };
+}
+
+/** "minLng,minLat,maxLng,maxLat" → { minLat, maxLat, minLng, maxLng } | null | Error. */
+function parseBBox(v) {
+  if (!present(v)) return null;
+  const parts = String(v).split(',').map((s) => Number(s.trim()));
+  if (parts.length !== 4 || !parts.every(Number.isFinite)) {
+    return new Error('bbox must be minLng,minLat,maxLng,maxLat');
+  }
+  const [minLng, minLat, maxLng, maxLat] = parts;
+  if (Math.abs(minLat) > 90 || Math.abs(maxLat) > 90 || Math.abs(minLng) > 180 || Math.abs(maxLng) > 180) {
+    return new Error('bbox coordinates are out of range');
+  }
+  if (minLat >= maxLat || minLng >= maxLng) return new Error('bbox min values must be below max values');
+  return { minLat, maxLat, minLng, maxLng };
+}
+
+/** polygon query param → { polygons, bbox } | null | Error. */
+function parsePolygonParam(v) {
+  if (!present(v)) return null;
+  const s = String(v).trim();
+  let geo;
+  if (s.startsWith('{')) {
+    try {
+      geo = JSON.parse(s);
+    } catch (_) {
+      return new Error('polygon is not valid JSON');
+    }
+  } else {
+    let pts;
+    try {
+      pts = decodeGeometry(s);
+    } catch (err) {
+      return new Error(`polygon is not a valid encoded ring: ${err.message}`);
+    }
+    const ring = pts.map(([lat, lng]) => [lng, lat]);
+    const first = ring[0];
+    const last = ring[ring.length - 1];
+    if (first && (first[0] !== last[0] || first[1] !== last[1])) ring.push([first[0], first[1]]);
+    geo = { type: 'Polygon', coordinates: [ring] };
+  }
+  const { polygons, error } = parsePolygon(geo);
+  if (error) return new Error(error);
+  let vertices = 0;
+  for (const poly of polygons) for (const ring of poly) vertices += ring.length;
+  if (vertices > MAX_POLYGON_VERTICES) {
+    return new Error(`polygon has ${vertices} vertices (max ${MAX_POLYGON_VERTICES})`);
+  }
+  return { polygons, bbox: polygonsBBox(polygons) };
+}
+
+// Closed [lng, lat] ring → PostgreSQL polygon literal '((x,y),...)'.
+function pgPolygon(ring) {
+  return `(${ring.map(([x, y]) => `(${x},${y})`).join(',')})`;
+}
+
+/** sort query param → one of POI_SORTS | Error. distance needs a lat/lng. */
+function parseSort(v, near) {
+  const sort = present(v) ? String(v) : 'priority';
+  if (!POI_SORTS.includes(sort)) return new Error(`sort must be one of: ${POI_SORTS.join(', ')}`);
+  if (sort === 'distance' && !near) return new Error('sort=distance needs lat and lng');
+  return sort;
+}
+
+// Sort key of a result row, in ORDER BY order.
+function sortKey(sort, row) {
+  return sort === 'distance'
+    ? [row.distance_m, row.id]
+    : [row.priority == null ? PRIORITY_NULL_RANK : row.priority, row.name, row.id];
+}
+
+function encodeCursor(sort, row) {
+  return Buffer.from(JSON.stringify({ s: sort, k: sortKey(sort, row) })).toString('base64url');
+}
+
+/** cursor token → sort key array | null | Error (malformed, or from another sort). */
+function decodeCursor(v, sort) {
+  if (!present(v)) return null;
+  let c;
+  try {
+    c = JSON.parse(Buffer.from(String(v), 'base64url').toString('utf8'));
+  } catch (_) {
+    return new Error('cursor is malformed');
+  }
+  if (!c || !POI_SORTS.includes(c.s) || !Array.isArray(c.k)) return new Error('cursor is malformed');
+  if (c.s !== sort) return new Error(`cursor was issued for sort=${c.s}, not sort=${sort}`);
+  if (c.k.length !== (sort === 'distance' ? 2 : 3)) return new Error('cursor is malformed');
+  // [distance_m, id] or [priority rank, name, id] — one number, then strings.
+  if (!Number.isFinite(c.k[0]) || c.k.slice(1).some((x) => typeof x !== 'string')) {
+    return new Error('cursor is malformed');
+  }
+  return c.k;
+}
+
+module.exports = {
+  EARTH_RADIUS_M,
+  MAX_RADIUS_M,
+  MAX_POLYGON_VERTICES,
+  POI_SORTS,
+  PRIORITY_NULL_RANK,
+  haversineM,
+  radiusBBox,
+  parseNear,
+  parseBBox,
+  parsePolygonParam,
+  pgPolygon,
+  parseSort,
+  sortKey,
+  encodeCursor,
+  decodeCursor,
+};
@@ -0,0 +1,189 @@
+/*
+ * LocationMapApp v1.5
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * Isochrone rasterizer — turns "walking distance reached at these points"
+ * into GeoJSON MultiPolygons, one per time band.
+ *
+ * The router (lib/salem-router.js) samples every reachable edge and stamps a
+ * small disc per sample into a local metric grid, keeping the smallest
+ * walking distance seen per cell. A band's polygon is then the outline of
+ * all cells whose distance is within that band's budget. Outlines are traced
+ * cell-edge by cell-edge, so they follow the street network (including the
+ * harbour and unreachable blocks as holes) instead of a convex blob.
+ *
+ * Grid is equirectangular around the origin — < 0.1% scale error across the
+ * few km a walking isochrone covers at Salem's latitude.
+ */
+const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module isochrone.js';
+
+const M_PER_DEG_LAT = 111320;
+
+function createGrid(originLat, originLng, radiusM, cellM) {
+  const half = Math.ceil(radiusM / cellM) + 1;
+  const size = half * 2;
+  const best = new Float64Array(size * size).fill(Infinity);
+  return {
+    originLat,
+    originLng,
+    cellM,
+    half,
+    size,
+    mPerDegLat: M_PER_DEG_LAT,
+    mPerDegLng: M_PER_DEG_LAT * Math.cos((originLat * Math.PI) / 180),
+    best,
+  };
+}
+
+// Records `value` (walking metres) in every cell whose centre lies within
+// radiusM of (lat, lng), keeping the minimum per cell.
+function stampDisc(grid, lat, lng, value, radiusM) {
+  const x = (lng - grid.originLng) * grid.mPerDegLng / grid.cellM + grid.half;
+  const y = (lat - grid.originLat) * grid.mPerDegLat / grid.cellM + grid.half;
+  const r = radiusM / grid.cellM;
+  const r2 = r * r;
+  const i0 = Math.max(0, Math.floor(x - r));
+  const i1 = Math.min(grid.size - 1, Math.floor(x + r));
+  const j0 = Math.max(0, Math.floor(y - r));
+  const j1 = Math.min(grid.size - 1, Math.floor(y + r));
+  for (let j = j0; j <= j1; j++) {
+    const dy = j + 0.5 - y;
+    for (let i = i0; i <= i1; i++) {
+      const dx = i + 0.5 - x;
+      if (dx * dx + dy * dy > r2) continue;
+      const k = j * grid.size + i;
+      if (value < grid.best[k]) grid.best[k] = value;
+    }
+  }
+}
+
+// Direction codes for boundary edges: 0 = +x, 1 = +y, 2 = -x, 3 = -y.
+const DX = [1, 0, -1, 0];
+const DY = [0, 1, 0, -1];
+
+function signedArea(ring) {
+  let a = 0;
+  for (let k = 0; k < ring.length; k++) {
+    const p = ring[k];
+    const q = ring[(k + 1) % ring.length];
+    a += p[0] * q[1] - q[0] * p[1];
+  }
+  return a / 2;
+}
+
+function pointInRing(x, y, ring) {
+  let inside = false;
+  for (let k = 0, l = ring.length - 1; k < ring.length; l = k++) {
+    const xi = ring[k][0], yi = ring[k][1];
+    const xj = ring[l][0], yj = ring[l][1];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+// Traces the outline of every cell with best <= maxValue. Returns rings in
+// grid-vertex coordinates ([i, j], unclosed), each tagged with the
+// direction of its first edge. Filled cells are kept on the left of every
+// directed edge, so outer rings come out counter-clockwise and holes
+// clockwise. At a diagonal "saddle" vertex the tracer turns left, which
+// keeps corner-touching cells as separate rings.
+function traceRings(grid, maxValue) {
+  const { size, best } = grid;
+  const filled = (i, j) => i >= 0 && j >= 0 && i < size && j < size && best[j * size + i] <= maxValue;
+  const stride = size + 1;
+  const out = new Map(); // vertex id → [{ to, dir, used }]
+  const edges = [];
+  function addEdge(i0, j0, dir) {
+    const e = { from: j0 * stride + i0, to: (j0 + DY[dir]) * stride + (i0 + DX[dir]), dir, used: false };
+    edges.push(e);
+    let list = out.get(e.from);
+    if (!list) { list = []; out.set(e.from, list); }
+    list.push(e);
+  }
+  for (let j = 0; j < size; j++) {
+    for (let i = 0; i < size; i++) {
+      if (!filled(i, j)) continue;
+      if (!filled(i, j - 1)) addEdge(i, j, 0);
+      if (!filled(i + 1, j)) addEdge(i + 1, j, 1);
+      if (!filled(i, j + 1)) addEdge(i + 1, j + 1, 2);
+      if (!filled(i - 1, j)) addEdge(i, j + 1, 3);
+    }
+  }
+
+  const rings = [];
+  for (const start of edges) {
+    if (start.used) continue;
+    const ring = [];
+    let e = start;
+    while (e && !e.used) {
+      e.used = true;
+      const prev = ring.length ? ring[ring.length - 1] : null;
+      const vi = e.from % stride, vj = (e.from - vi) / stride;
+      // Only keep corners — drop vertices where the direction doesn't change.
+      if (!prev || prev.dir !== e.dir) ring.push({ i: vi, j: vj, dir: e.dir });
+      const candidates = out.get(e.to) || [];
+      let next = null;
+      for (const turn of [1, 0, 3]) {
+        const want = (e.dir + turn) % 4;
+        next = candidates.find((c) => !c.used && c.dir === want) || null;
+        if (next) break;
+      }
+      e = next;
+    }
+    // The loop's first vertex can be mid-run if we started on a straight.
+    if (ring.length > 1 && ring[0].dir === ring[ring.length - 1].dir) ring.shift();
+    if (ring.length >= 3) rings.push(ring);
+  }
+  return rings;
+}
+
+function toLngLat(grid, i, j) {
+  const xM = (i - grid.half) * grid.cellM;
+  const yM = (j - grid.half) * grid.cellM;
+  return [
+    Math.round((grid.originLng + xM / grid.mPerDegLng) * 1e6) / 1e6,
+    Math.round((grid.originLat + yM / grid.mPerDegLat) * 1e6) / 1e6,
+  ];
+}
+
+/**
+ * GeoJSON MultiPolygon coordinates ([[[lng,lat],...]] per polygon, rings
+ * closed, RFC 7946 winding) covering every cell whose walking distance is
+ * <= maxValue. Empty array when nothing is reachable.
+ */
+function bandToMultiPolygon(grid, maxValue) {
+  const rings = traceRings(grid, maxValue).map((r) => {
+    const pts = r.map((v) => [v.i, v.j]);
+    return { raw: r, pts, area: signedArea(pts) };
+  });
+  const outers = rings.filter((r) => r.area > 0);
+  const holes = rings.filter((r) => r.area < 0);
+  const polygons = outers.map((o) => ({ outer: o, holes: [] }));
+
+  for (const h of holes) {
+    // Probe the centre of the empty cell on the right of the hole's first
+    // edge — guaranteed strictly inside the hole, never on a shared vertex.
+    const v = h.raw[0];
+    const px = v.i + DX[v.dir] * 0.5 + DY[v.dir] * 0.5;
+    const py = v.j + DY[v.dir] * 0.5 - DX[v.dir] * 0.5;
+    let owner = null;
+    for (const p of polygons) {
+      if (!pointInRing(px, py, p.outer.pts)) continue;
+      if (!owner || p.outer.area < owner.outer.area) owner = p;
+    }
+    if (owner) owner.holes.push(h);
+  }
+
+  const close = (pts) => {
+    const ring = pts.map(([i, j]) => toLngLat(grid, i, j));
+    ring.push(ring[0]);
+    return ring;
+  };
+  return polygons.map((p) => [close(p.outer.pts), ...p.holes.map((h) => close(h.pts))]);
+}
+
+module.exports = {
+  createGrid,
+  stampDisc,
+  bandToMultiPolygon,
+};
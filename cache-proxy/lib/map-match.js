@@ -0,0 +1,154 @@
+/*
+ * LocationMapApp v1.5
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * HMM map-matching core + GPX reader for /salem/route/match.
+ *
+ * Graph-free: the router (lib/salem-router.js) turns each GPS point into a
+ * list of candidate edge positions and scores them; this module only sees
+ * log-probabilities. Per point t:
+ *   emissions[t]  — one log-probability per candidate (empty = no candidate
+ *                   in range; the point is unmatched)
+ *   trans[t]      — trans[t][i][j] = log-probability of moving from
+ *                   candidate i of point t-1 to candidate j of point t
+ *                   (-Infinity = no feasible path). null when either point
+ *                   has no candidates.
+ *
+ * Viterbi picks the most likely candidate sequence. Whenever the chain can't
+ * continue (unmatched point, or no feasible transition out of any reachable
+ * state) the current segment is closed and a new one starts at the next
+ * point, so one bad stretch never drags the rest of the track off course.
+ * Per-point confidence is the forward-backward posterior of the chosen
+ * candidate within its segment.
+ */
+const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module map-match.js';
+
+function logSumExp(values) {
+  let max = -Infinity;
+  for (const v of values) if (v > max) max = v;
+  if (max === -Infinity) return -Infinity;
+  let sum = 0;
+  for (const v of values) sum += Math.exp(v - max);
+  return max + Math.log(sum);
+}
+
+// Forward-backward over points start..end (one segment). Returns the
+// posterior probability of states[t] for each t.
+function segmentPosteriors(emissions, trans, states, start, end) {
+  const alpha = [];
+  alpha[start] = emissions[start].slice();
+  for (let t = start + 1; t <= end; t++) {
+    alpha[t] = emissions[t].map((e, j) =>
+      e + logSumExp(alpha[t - 1].map((a, i) => a + trans[t][i][j])));
+  }
+  const beta = [];
+  beta[end] = emissions[end].map(() => 0);
+  for (let t = end - 1; t >= start; t--) {
+    beta[t] = emissions[t].map((_, i) =>
+      logSumExp(emissions[t + 1].map((e, j) => trans[t + 1][i][j] + e + beta[t + 1][j])));
+  }
+  const logZ = logSumExp(alpha[end]);
+  const out = [];
+  for (let t = start; t <= end; t++) {
+    const s = states[t];
+    const p = Math.exp(alpha[t][s] + beta[t][s] - logZ);
+    out.push(Number.isFinite(p) ? Math.min(1, p) : 0);
+  }
+  return out;
+}
+
+/**
+ * Segmented Viterbi. Returns
+ *   { states: Int32Array (-1 = unmatched), confidence: Float64Array (NaN
+ *     where unmatched), segments: [{ start, end }] }
+ * with segments in point order and covering every matched point.
+ */
+function viterbiSegments(emissions, trans) {
+  const n = emissions.length;
+  const states = new Int32Array(n).fill(-1);
+  const confidence = new Float64Array(n).fill(NaN);
+  const segments = [];
+  const back = new Array(n);
+  let delta = null;
+  let segStart = -1;
+
+  function close(end) {
+    if (segStart < 0) return;
+    let best = 0;
+    for (let j = 1; j < delta.length; j++) if (delta[j] > delta[best]) best = j;
+    states[end] = best;
+    for (let t = end; t > segStart; t--) states[t - 1] = back[t][states[t]];
+    const post = segmentPosteriors(emissions, trans, states, segStart, end);
+    for (let t = segStart; t <= end; t++) confidence[t] = post[t - segStart];
+    segments.push({ start: segStart, end });
+    segStart = -1;
+    delta = null;
+  }
+
+  for (let t = 0; t < n; t++) {
+    const e = emissions[t];
+    if (!e.length) {
+      close(t - 1);
+      continue;
+    }
+    if (segStart >= 0 && trans[t]) {
+      const next = new Float64Array(e.length).fill(-Infinity);
+      const bp = new Int32Array(e.length).fill(-1);
+      for (let i = 0; i < delta.length; i++) {
+        if (delta[i] === -Infinity) continue;
+        const row = trans[t][i];
+        for (let j = 0; j < e.length; j++) {
+          const v = delta[i] + row[j] + e[j];
+          if (v > next[j]) { next[j] = v; bp[j] = i; }
+        }
+      }
+      if (next.some((v) => v > -Infinity)) {
+        delta = next;
+        back[t] = bp;
+        continue;
+      }
+      close(t - 1);
+    } else if (segStart >= 0) {
+      close(t - 1);
+    }
+    segStart = t;
+    delta = Float64Array.from(e);
+  }
+  close(n - 1);
+  return { states, confidence, segments };
+}
+
+// Epoch ms from an ISO string or epoch-ms number; null if absent/invalid.
+function parseTime(v) {
+  if (v == null || v === '') return null;
+  const ms = typeof v === 'number' ? v : Date.parse(String(v));
+  return Number.isFinite(ms) ? ms : null;
+}
+
+const TRKPT_RE = /<(trkpt|rtept)\b([^>]*?)(\/>|>([\s\S]*?)<\/\1>)/g;
+const ATTR_RE = /\b(lat|lon)\s*=\s*["']([^"']+)["']/g;
+const TIME_RE = /<time>\s*([^<]+?)\s*<\/time>/;
+
+/**
+ * Track points from a GPX document: every <trkpt> (or <rtept> when the file
+ * has no track) as { lat, lng, time } in document order. time is epoch ms
+ * or null. Tolerant regex reader — GPX from phones and trackers is flat
+ * enough that a full XML parser buys nothing.
+ */
+function parseGpx(xml) {
+  const byKind = { trkpt: [], rtept: [] };
+  for (const m of String(xml).matchAll(TRKPT_RE)) {
+    const attrs = {};
+    for (const a of m[2].matchAll(ATTR_RE)) attrs[a[1]] = Number(a[2]);
+    if (!Number.isFinite(attrs.lat) || !Number.isFinite(attrs.lon)) continue;
+    const tm = m[4] ? TIME_RE.exec(m[4]) : null;
+    byKind[m[1]].push({ lat: attrs.lat, lng: attrs.lon, time: tm ? parseTime(tm[1]) : null });
+  }
+  return byKind.trkpt.length ? byKind.trkpt : byKind.rtept;
+}
+
+module.exports = {
+  viterbiSegments,
+  parseGpx,
+  parseTime,
+};
@@ -0,0 +1,847 @@
+/*
+ * LocationMapApp v1.5
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * Opening hours — turns salem_pois.hours (JSONB) + hours_text (free form)
+ * into an OSM `opening_hours`-compatible rule list and evaluates it.
+ *
+ * Inputs understood:
+ *   hours       BCS / Google shapes: {mon: [{open, close}]}, {monday:
+ *               "06:00-22:00"}, {weekday_text: ["Monday: 9:00 AM – 5:00 PM"]},
+ *               {raw: "05:00-23:00"}, or a bare string (parsed as text)
+ *   hours_text  OSM syntax ("Mo-Fr 09:00-17:00; PH off") or plain English:
+ *               "Mon-Fri 9am-5pm, Sat 10-4", "Open May through October",
+ *               "October: daily 9am-11pm", "Closed Thanksgiving & Christmas",
+ *               "Daily except Tuesday 10-6"
+ *
+ * The regular week comes from `hours` when present (hours_text weekly rules
+ * are then ignored with a warning); hours_text adds the season, month
+ * overrides (October extended hours) and closures. Rules are ordered
+ * week → out-of-season off → month overrides → dated / holiday closures,
+ * so later rules override earlier ones exactly as in OSM.
+ *
+ * Supported OSM subset: rules separated by ';' (override), month / date
+ * ranges ("May-Oct", "Oct 01-31", "Dec 25"), weekdays with ranges and nth
+ * ("Mo-Fr,Su", "Nov Th[4]"), PH, time lists, off/closed, 24/7 and a trailing
+ * "comment". Additional-rule ',' and fallback '||' are rejected.
+ *
+ * Rule JSON (published to the app as-is):
+ *   { months: [{ from: [m, d|null], to: [m, d|null] }] | null,
+ *     days:   [{ wd: 0..6 (Mo=0), nth: 1..5 | -1 | null }] | null,
+ *     ph:     bool,            matches public holidays (see publicHolidays)
+ *     times:  [[startMin, endMin]], endMin > 1440 runs past midnight
+ *     off:    bool,
+ *     comment: string | null }
+ * A date matches when it's inside `months` (null = any) and on one of
+ * `days` or a holiday when `ph` (neither set = every day). The last matching
+ * rule decides the day. Everything is wall-clock time in TIMEZONE.
+ */
+const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module opening-hours.js';
+
+const TIMEZONE = 'America/New_York';
+const WEEKDAYS = ['Mo', 'Tu', 'We', 'Th', 'Fr', 'Sa', 'Su'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+const DAY_MIN = 1440;
+
+const pad2 = (n) => String(n).padStart(2, '0');
+
+// ─── OSM opening_hours parsing ──────────────────────────────────────────────
+
+const MON_RE = MONTHS.join('|');
+const WD_RE = WEEKDAYS.join('|');
+const MONTH_ITEM_RE = new RegExp(`(${MON_RE})(?: (\\d{1,2})(?![\\d:]))?(?:-(${MON_RE})?(?: ?(\\d{1,2})(?![\\d:]))?)?`, 'y');
+const WD_ITEM_RE = new RegExp(`(PH)|(${WD_RE})(?:\\[(-1|[1-5])\\])?(?:-(${WD_RE}))?`, 'y');
+const TIME_ITEM_RE = /(\d{2}):(\d{2})-(\d{2}):(\d{2})/y;
+
+function monthIndex(name) {
+  return MONTHS.indexOf(name) + 1;
+}
+
+function validDay(m, d) {
+  return d === null || (d >= 1 && d <= new Date(Date.UTC(2024, m, 0)).getUTCDate());
+}
+
+// Reads a ','-separated list of items at s[pos] with a sticky regex.
+function readList(s, pos, re, onItem) {
+  let p = pos;
+  for (;;) {
+    re.lastIndex = p;
+    const m = re.exec(s);
+    if (!m || m[0] === '') return p === pos ? null : p;
+    const err = onItem(m);
+    if (err) return { error: err };
+    p = re.lastIndex;
+    if (s[p] !== ',') return p;
+    p += 1;
+  }
+}
+
+function parseRule(text) {
+  let s = text;
+  let comment = null;
+  const cm = s.match(/\s*"([^"]*)"\s*$/);
+  if (cm) {
+    comment = cm[1];
+    s = s.slice(0, cm.index);
+  }
+  s = s.trim();
+  const rule = { months: null, days: null, ph: false, times: [], off: false, comment };
+  if (s === '24/7') {
+    rule.times = [[0, DAY_MIN]];
+    return { rule };
+  }
+  let pos = 0;
+  const skipSpace = () => { while (s[pos] === ' ') pos += 1; };
+
+  const months = [];
+  const afterMonths = readList(s, pos, MONTH_ITEM_RE, (m) => {
+    const fm = monthIndex(m[1]);
+    const fd = m[2] ? Number(m[2]) : null;
+    const dashed = m[0].includes('-');
+    const tm = m[3] ? monthIndex(m[3]) : fm;
+    const td = m[4] ? Number(m[4]) : (dashed ? null : fd);
+    if (dashed && !m[3] && !m[4]) return `incomplete month range "${m[0]}"`;
+    if (!validDay(fm, fd) || !validDay(tm, td)) return `bad date in "${m[0]}"`;
+    months.push({ from: [fm, fd], to: [tm, td] });
+    return null;
+  });
+  if (afterMonths && afterMonths.error) return afterMonths;
+  if (afterMonths !== null && (afterMonths === s.length || s[afterMonths] === ' ' || s[afterMonths] === ':')) {
+    rule.months = months;
+    pos = afterMonths;
+    if (s[pos] === ':') pos += 1;
+    skipSpace();
+  }
+
+  const days = [];
+  const afterDays = readList(s, pos, WD_ITEM_RE, (m) => {
+    if (m[1]) { rule.ph = true; return null; }
+    const from = WEEKDAYS.indexOf(m[2]);
+    const nth = m[3] ? Number(m[3]) : null;
+    if (m[4]) {
+      if (nth !== null) return `nth weekday can't be a range ("${m[0]}")`;
+      const to = WEEKDAYS.indexOf(m[4]);
+      for (let wd = from; ; wd = (wd + 1) % 7) {
+        days.push({ wd, nth: null });
+        if (wd === to) break;
+      }
+    } else {
+      days.push({ wd: from, nth });
+    }
+    return null;
+  });
+  if (afterDays && afterDays.error) return afterDays;
+  if (afterDays !== null && (afterDays === s.length || s[afterDays] === ' ')) {
+    if (days.length) rule.days = days;
+    pos = afterDays;
+    skipSpace();
+  } else if (afterDays !== null) {
+    rule.ph = false;
+  }
+
+  const rest = s.slice(pos);
+  if (rest === 'off' || rest === 'closed') {
+    rule.off = true;
+  } else if (rest) {
+    const afterTimes = readList(rest, 0, TIME_ITEM_RE, (m) => {
+      const a = Number(m[1]) * 60 + Number(m[2]);
+      let b = Number(m[3]) * 60 + Number(m[4]);
+      if (Number(m[1]) > 23 || Number(m[3]) > 24 || Number(m[2]) > 59 || Number(m[4]) > 59 || b > DAY_MIN) {
+        return `bad time "${m[0]}"`;
+      }
+      if (b <= a) b += DAY_MIN;
+      rule.times.push([a, b]);
+      return null;
+    });
+    if (afterTimes && afterTimes.error) return afterTimes;
+    if (afterTimes !== rest.length) return { error: `unexpected "${rest.slice(afterTimes || 0)}"` };
+  } else if (!rule.months && !rule.days && !rule.ph) {
+    return { error: 'empty rule' };
+  } else {
+    // A bare selector means open all day, as in OSM.
+    rule.times = [[0, DAY_MIN]];
+  }
+  return { rule };
+}
+
+/** OSM opening_hours string → { rules } | { error }. */
+function parseOpeningHours(str) {
+  if (typeof str !== 'string' || !str.trim()) return { error: 'empty opening_hours' };
+  if (str.includes('||')) return { error: 'fallback rules (||) are not supported' };
+  const rules = [];
+  for (const part of str.split(';')) {
+    const text = part.trim().replace(/\s+/g, ' ');
+    if (!text) continue;
+    const { rule, error } = parseRule(text);
+    if (error) return { error: `"${text}": ${error}` };
+    rules.push(rule);
+  }
+  if (!rules.length) return { error: 'no rules' };
+  return { rules };
+}
+
+// ─── Formatting ─────────────────────────────────────────────────────────────
+
+function formatTime(min) {
+  const m = min > DAY_MIN ? min - DAY_MIN : min;
+  return `${pad2(Math.floor(m / 60))}:${pad2(m % 60)}`;
+}
+
+function formatMonthRange({ from, to }) {
+  const [fm, fd] = from;
+  const [tm, td] = to;
+  const f = fd === null ? MONTHS[fm - 1] : `${MONTHS[fm - 1]} ${pad2(fd)}`;
+  if (fm === tm && fd === td) return f;
+  if (fd === null && td === null) return `${f}-${MONTHS[tm - 1]}`;
+  return `${f}-${td === null ? MONTHS[tm - 1] : `${MONTHS[tm - 1]} ${pad2(td)}`}`;
+}
+
+function formatDays(days) {
+  const out = [];
+  const plain = [...new Set(days.filter((d) => d.nth === null).map((d) => d.wd))].sort((a, b) => a - b);
+  for (let i = 0; i < plain.length;) {
+    let j = i;
+    while (j + 1 < plain.length && plain[j + 1] === plain[j] + 1) j++;
+    if (j - i >= 2) out.push(`${WEEKDAYS[plain[i]]}-${WEEKDAYS[plain[j]]}`);
+    else for (let k = i; k <= j; k++) out.push(WEEKDAYS[plain[k]]);
+    i = j + 1;
+  }
+  for (const d of days) if (d.nth !== null) out.push(`${WEEKDAYS[d.wd]}[${d.nth}]`);
+  return out;
+}
+
+function formatRule(r) {
+  const parts = [];
+  if (r.months) parts.push(r.months.map(formatMonthRange).join(','));
+  const sel = [...(r.days ? formatDays(r.days) : []), ...(r.ph ? ['PH'] : [])];
+  if (sel.length) parts.push(sel.join(','));
+  const allDay = r.times.length === 1 && r.times[0][0] === 0 && r.times[0][1] === DAY_MIN;
+  if (r.off) parts.push('off');
+  else if (allDay && !parts.length) parts.push('24/7');
+  else if (!allDay || !parts.length) parts.push(r.times.map(([a, b]) => `${formatTime(a)}-${formatTime(b)}`).join(','));
+  if (r.comment) parts.push(`"${r.comment}"`);
+  return parts.join(' ');
+}
+
+/** Rule list → OSM opening_hours string. */
+function formatOpeningHours(rules) {
+  return rules.map(formatRule).join('; ');
+}
+
+// ─── Evaluation ─────────────────────────────────────────────────────────────
+
+const holidayCache = new Map();
+
+// nth (1-based, -1 = last) weekday (0 = Mo) of a month, as day-of-month.
+function nthWeekday(year, month, wd, nth) {
+  if (nth > 0) {
+    const first = (new Date(Date.UTC(year, month - 1, 1)).getUTCDay() + 6) % 7;
+    return 1 + ((wd - first + 7) % 7) + (nth - 1) * 7;
+  }
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  const last = (new Date(Date.UTC(year, month - 1, lastDay)).getUTCDay() + 6) % 7;
+  return lastDay - ((last - wd + 7) % 7);
+}
+
+/**
+ * Massachusetts public holidays (US federal + Patriots' Day) for a year as
+ * Map "MM-DD" → name. Actual dates, not Friday/Monday "observed" shifts.
+ */
+function publicHolidays(year) {
+  if (holidayCache.has(year)) return holidayCache.get(year);
+  const h = new Map();
+  const add = (m, d, name) => h.set(`${pad2(m)}-${pad2(d)}`, name);
+  add(1, 1, "New Year's Day");
+  add(1, nthWeekday(year, 1, 0, 3), 'Martin Luther King Jr. Day');
+  add(2, nthWeekday(year, 2, 0, 3), "Presidents' Day");
+  add(4, nthWeekday(year, 4, 0, 3), "Patriots' Day");
+  add(5, nthWeekday(year, 5, 0, -1), 'Memorial Day');
+  add(6, 19, 'Juneteenth');
+  add(7, 4, 'Independence Day');
+  add(9, nthWeekday(year, 9, 0, 1), 'Labor Day');
+  add(10, nthWeekday(year, 10, 0, 2), "Indigenous Peoples' Day");
+  add(11, 11, 'Veterans Day');
+  add(11, nthWeekday(year, 11, 3, 4), 'Thanksgiving');
+  add(12, 25, 'Christmas Day');
+  holidayCache.set(year, h);
+  return h;
+}
+
+function dayInfo(year, month, day) {
+  const wd = (new Date(Date.UTC(year, month - 1, day)).getUTCDay() + 6) % 7;
+  const daysInMonth = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  return {
+    year, month, day, wd,
+    nth: Math.floor((day - 1) / 7) + 1,
+    last: day + 7 > daysInMonth,
+    holiday: publicHolidays(year).has(`${pad2(month)}-${pad2(day)}`),
+  };
+}
+
+function inMonthRange({ from, to }, d) {
+  const key = d.month * 100 + d.day;
+  const a = from[0] * 100 + (from[1] === null ? 1 : from[1]);
+  const b = to[0] * 100 + (to[1] === null ? 31 : to[1]);
+  return a <= b ? key >= a && key <= b : key >= a || key <= b;
+}
+
+function ruleMatches(r, d) {
+  if (r.months && !r.months.some((m) => inMonthRange(m, d))) return false;
+  if (!r.days && !r.ph) return true;
+  if (r.ph && d.holiday) return true;
+  return !!r.days && r.days.some((x) => x.wd === d.wd &&
+    (x.nth === null || x.nth === d.nth || (x.nth === -1 && d.last)));
+}
+
+/** Open intervals ([[startMin, endMin]]) for one calendar day. */
+function intervalsOn(rules, d) {
+  let cur = [];
+  for (const r of rules) if (ruleMatches(r, d)) cur = r.off ? [] : r.times;
+  return cur;
+}
+
+// Wall-clock parts of an instant in a time zone.
+function localParts(date, tz = TIMEZONE) {
+  const parts = {};
+  for (const p of new Intl.DateTimeFormat('en-US', {
+    timeZone: tz, year: 'numeric', month: 'numeric', day: 'numeric',
+    hour: 'numeric', minute: 'numeric', second: 'numeric', hourCycle: 'h23',
+  }).formatToParts(date)) parts[p.type] = Number(p.value);
+  return parts;
+}
+
+/** Is a rule list open at an instant (evaluated in TIMEZONE wall time)? */
+function isOpenAt(rules, date, tz = TIMEZONE) {
+  const p = localParts(date, tz);
+  const minute = p.hour * 60 + p.minute;
+  if (intervalsOn(rules, dayInfo(p.year, p.month, p.day)).some(([a, b]) => minute >= a && minute < b)) return true;
+  const prev = new Date(Date.UTC(p.year, p.month - 1, p.day - 1));
+  const y = dayInfo(prev.getUTCFullYear(), prev.getUTCMonth() + 1, prev.getUTCDate());
+  return intervalsOn(rules, y).some(([, b]) => b > DAY_MIN && minute + DAY_MIN < b);
+}
+
+// Wall-clock "YYYY-MM-DDTHH:MM[:SS]" in tz → Date.
+function zonedDate(y, mo, d, h, mi, s, tz = TIMEZONE) {
+  const guess = Date.UTC(y, mo - 1, d, h, mi, s);
+  const offset = (at) => {
+    const p = localParts(new Date(at), tz);
+    return Date.UTC(p.year, p.month - 1, p.day, p.hour, p.minute, p.second) - at;
+  };
+  let t = guess - offset(guess);
+  t = guess - offset(t);
+  return new Date(t);
+}
+
+/**
+ * open_at / open_now query params → { at: Date, open: bool } | null | Error.
+ * open_at without a zone offset is Salem wall-clock time.
+ */
+function parseOpenFilter({ open_at, open_now } = {}, now = new Date()) {
+  if (open_at !== undefined && open_at !== '') {
+    if (open_now !== undefined && open_now !== '') return new Error('use open_at or open_now, not both');
+    const s = String(open_at);
+    const local = s.match(/^(\d{4})-(\d{2})-(\d{2})T(\d{2}):(\d{2})(?::(\d{2}))?$/);
+    const at = local
+      ? zonedDate(+local[1], +local[2], +local[3], +local[4], +local[5], +(local[6] || 0))
+      : new Date(s);
+    if (Number.isNaN(at.getTime())) return new Error('open_at must be an ISO 8601 date-time');
+    return { at, open: true };
+  }
+  if (open_now === undefined || open_now === '') return null;
+  if (open_now !== 'true' && open_now !== 'false' && typeof open_now !== 'boolean') {
+    return new Error('open_now must be true or false');
+  }
+  return { at: now, open: open_now === true || open_now === 'true' };
+}
+
+// ─── Structured `hours` JSON ────────────────────────────────────────────────
+
+const SHORT_DAYS = { mon: 0, tue: 1, wed: 2, thu: 3, fri: 4, sat: 5, sun: 6 };
+const LONG_DAYS = { monday: 0, tuesday: 1, wednesday: 2, thursday: 3, friday: 4, saturday: 5, sunday: 6 };
+
+function normalizeText(s) {
+  return String(s)
+    .replace(/[\u00a0\u2007\u2009\u202f]/g, ' ')
+    .replace(/[\u2010-\u2015\u2212]/g, '-')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+// One clock token → { h, m, mer: 'am'|'pm'|null, padded } | null.
+function parseClock(tok) {
+  const t = tok.trim().toLowerCase().replace(/\./g, '');
+  if (t === 'noon') return { h: 12, m: 0, mer: 'pm', padded: false };
+  if (t === 'midnight') return { h: 12, m: 0, mer: 'am', padded: false };
+  const m = t.match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm|a|p)?$/);
+  if (!m) return null;
+  const h = Number(m[1]);
+  const mi = m[2] ? Number(m[2]) : 0;
+  if (h > 24 || mi > 59) return null;
+  return { h, m: mi, mer: m[3] ? (m[3][0] === 'a' ? 'am' : 'pm') : null, padded: /^\d{2}:\d{2}$/.test(t) };
+}
+
+function to24(c, mer) {
+  if (!mer) return c.h * 60 + c.m;
+  const h = c.h % 12 + (mer === 'pm' ? 12 : 0);
+  return h * 60 + c.m;
+}
+
+/**
+ * "9am-5pm", "11:00 AM - 2:00 PM", "12:00 - 6:00 PM", "10-6", "11:30-01:00"
+ * → [startMin, endMin] | null. A missing start meridiem borrows the end's
+ * (Google style) unless that puts it after the end; bare hours with no
+ * meridiem read "10-6" as 10:00-18:00; zero-padded HH:MM pairs are 24 h.
+ * An end at or before the start runs past midnight.
+ */
+function parseTimeRange(str) {
+  const parts = normalizeText(str).split(/\s*-\s*/);
+  if (parts.length !== 2) return null;
+  const a = parseClock(parts[0]);
+  const b = parseClock(parts[1]);
+  if (!a || !b) return null;
+  let start;
+  let end;
+  if (a.mer || b.mer) {
+    end = to24(b, b.mer || a.mer);
+    start = to24(a, a.mer || b.mer);
+    if (!a.mer && start > end) start = to24(a, 'am');
+  } else if ((a.padded && b.padded) || a.h > 12 || b.h > 12 || a.h === 0 || b.h === 0) {
+    start = a.h * 60 + a.m;
+    end = b.h * 60 + b.m;
+  } else {
+    // "10-6" → 10:00-18:00, "5-9" → 17:00-21:00, "12-5" → 12:00-17:00.
+    start = a.h === 12 ? 12 * 60 + a.m : to24(a, a.h < 7 ? 'pm' : 'am');
+    end = b.h * 60 + b.m;
+    if (end <= start) end += 12 * 60;
+  }
+  if (start >= DAY_MIN || end > DAY_MIN) return null;
+  if (end <= start) end += DAY_MIN;
+  return [start, end];
+}
+
+// "Closed" | "Open 24 hours" | "9am-5pm, 6pm-10pm" → [[a, b]] | null.
+function parseDayValue(v) {
+  const s = normalizeText(v).toLowerCase();
+  if (!s || s === 'closed') return [];
+  if (s === 'open 24 hours' || s === '24 hours' || s === '00:00-00:00') return [[0, DAY_MIN]];
+  const out = [];
+  for (const part of s.split(',')) {
+    const r = parseTimeRange(part);
+    if (!r) return null;
+    out.push(r);
+  }
+  return out;
+}
+
+// Seven per-day interval lists → rules, grouping days with identical hours.
+function weekToRules(week) {
+  const groups = new Map();
+  week.forEach((times, wd) => {
+    if (!times.length) return;
+    const key = JSON.stringify(times);
+    if (!groups.has(key)) groups.set(key, { days: [], times });
+    groups.get(key).days.push({ wd, nth: null });
+  });
+  if (!groups.size) return [{ months: null, days: null, ph: false, times: [], off: true, comment: null }];
+  return [...groups.values()].map((g) => ({
+    months: null, days: g.days, ph: false, times: g.times, off: false, comment: null,
+  }));
+}
+
+/** hours JSONB value → { rules } | { text } (parse as free text) | { error } | null (no data). */
+function rulesFromHoursJson(h) {
+  if (h === null || h === undefined || h === '') return null;
+  if (typeof h === 'string') return { text: h };
+  if (typeof h !== 'object' || Array.isArray(h)) return { error: 'hours must be an object' };
+  if (typeof h.raw === 'string') return { text: h.raw };
+  const week = [[], [], [], [], [], [], []];
+  if (Array.isArray(h.weekday_text)) {
+    for (const line of h.weekday_text) {
+      const m = normalizeText(line).match(/^(\w+):\s*(.*)$/);
+      const wd = m ? LONG_DAYS[m[1].toLowerCase()] : undefined;
+      if (wd === undefined) return { error: `unreadable weekday_text line "${line}"` };
+      const times = parseDayValue(m[2]);
+      if (!times) return { error: `unreadable hours "${m[2]}" for ${m[1]}` };
+      week[wd] = times;
+    }
+    return { rules: weekToRules(week) };
+  }
+  const keys = Object.keys(h);
+  if (!keys.length) return null;
+  let any = false;
+  for (const k of keys) {
+    const lk = k.toLowerCase();
+    const wd = lk in SHORT_DAYS ? SHORT_DAYS[lk] : LONG_DAYS[lk];
+    if (wd === undefined) return { error: `unknown hours key "${k}"` };
+    const v = h[k];
+    if (Array.isArray(v)) {
+      for (const span of v) {
+        const r = span && parseTimeRange(`${span.open}-${span.close}`);
+        if (!r) return { error: `unreadable span ${JSON.stringify(span)} for ${k}` };
+        week[wd].push(r);
+        any = true;
+      }
+    } else if (typeof v === 'string') {
+      const times = parseDayValue(v);
+      if (!times) return { error: `unreadable hours "${v}" for ${k}` };
+      week[wd] = times;
+      any = true;
+    } else if (v !== null) {
+      return { error: `unreadable hours value for ${k}` };
+    }
+  }
+  // {mon: [], tue: [], ...} with every list empty is "no data", not "always closed".
+  return any ? { rules: weekToRules(week) } : null;
+}
+
+// ─── Free-form hours_text ───────────────────────────────────────────────────
+
+const EN_MONTHS = ['jan(?:uary)?', 'feb(?:ruary)?', 'mar(?:ch)?', 'apr(?:il)?', 'may', 'june?', 'july?',
+  'aug(?:ust)?', 'sept?(?:ember)?', 'oct(?:ober)?', 'nov(?:ember)?', 'dec(?:ember)?'];
+const EN_DAYS = ['mon(?:day)?s?', 'tue(?:s(?:day)?)?s?', 'wed(?:s|nesday)?s?', 'thu(?:r(?:s(?:day)?)?)?s?',
+  'fri(?:day)?s?', 'sat(?:urday)?s?', 'sun(?:day)?s?'];
+const EN_MONTH = `(?:${EN_MONTHS.join('|')})`;
+const EN_DAY = `(?:${EN_DAYS.join('|')})`;
+const CLOCK = '(?:\\d{1,2}(?::\\d{2})?\\s*(?:am|pm|a\\.m\\.|p\\.m\\.)?|noon|midnight)';
+
+// Named dates → rule selector fields.
+const NAMED_DATES = [
+  [/\bthanksgiving(?: day)?\b/, { months: [{ from: [11, null], to: [11, null] }], days: [{ wd: 3, nth: 4 }] }],
+  [/\bchristmas eve\b/, { months: [{ from: [12, 24], to: [12, 24] }] }],
+  [/\bchristmas(?: day)?\b/, { months: [{ from: [12, 25], to: [12, 25] }] }],
+  [/\bnew year'?s eve\b/, { months: [{ from: [12, 31], to: [12, 31] }] }],
+  [/\bnew year'?s(?: day)?\b/, { months: [{ from: [1, 1], to: [1, 1] }] }],
+  [/\b(?:independence day|fourth of july|july 4(?:th)?)\b/, { months: [{ from: [7, 4], to: [7, 4] }] }],
+  [/\bhalloween\b/, { months: [{ from: [10, 31], to: [10, 31] }] }],
+];
+
+const FILLER = new Set(['open', 'opens', 'opening', 'hours', 'hour', 'from', 'and', 'on', 'in', 'at', 'during',
+  'the', 'every', 'each', 'also', 'only', 'by', 'season', 'seasonal', 'seasonally', 'extended', 'regular',
+  'normal', 'all', 'of', 'for', 'are', 'is', 'we', 're', 'until', 'late', 'month', 'day', 'days']);
+
+function enMonth(word) {
+  return EN_MONTHS.findIndex((re) => new RegExp(`^${re}$`).test(word)) + 1;
+}
+function enDay(word) {
+  return EN_DAYS.findIndex((re) => new RegExp(`^${re}$`).test(word));
+}
+
+// One comma-free chunk of English → selector/time fields, or { error }.
+function parseEnglishChunk(chunk) {
+  let s = ` ${chunk} `;
+  const out = { months: [], days: [], ph: false, dates: [], times: [], off: false, allDay: false, except: [] };
+
+  const exceptAt = s.search(/\bexcept\b/);
+  if (exceptAt !== -1) {
+    // "daily except Tuesday 10-6": the days after 'except' are closed, any
+    // times there still belong to the rule.
+    const tail = parseEnglishChunk(s.slice(exceptAt + 6));
+    if (tail.error) return tail;
+    if (tail.months.length || tail.dates.length) return { error: `can't read "except${s.slice(exceptAt + 6)}"` };
+    out.except = tail.days;
+    out.exceptPh = tail.ph;
+    out.times.push(...tail.times);
+    s = s.slice(0, exceptAt);
+  }
+
+  s = s.replace(new RegExp(`\\b(${CLOCK})\\s*-\\s*(${CLOCK})(?![\\w:])`, 'g'), (m, a, b) => {
+    const r = parseTimeRange(`${a}-${b}`);
+    if (!r) return m;
+    out.times.push(r);
+    return ' ';
+  });
+  for (const [re, sel] of NAMED_DATES) {
+    s = s.replace(new RegExp(re.source, 'g'), () => { out.dates.push(sel); return ' '; });
+  }
+  s = s.replace(new RegExp(`\\b(${EN_MONTH})\\.?\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b(?!\\s*(?:am|pm|[:-]\\d))`, 'g'),
+    (m, mon, d) => {
+      const mo = enMonth(mon);
+      if (!validDay(mo, Number(d))) return m;
+      out.dates.push({ months: [{ from: [mo, Number(d)], to: [mo, Number(d)] }] });
+      return ' ';
+    });
+  s = s.replace(new RegExp(`\\b(${EN_MONTH})\\b\\.?(?:\\s*-\\s*(${EN_MONTH})\\b)?`, 'g'), (m, a, b) => {
+    out.months.push([enMonth(a), b ? enMonth(b) : enMonth(a)]);
+    return ' ';
+  });
+  s = s.replace(new RegExp(`\\b(${EN_DAY})\\b\\.?(?:\\s*-\\s*(${EN_DAY})\\b)?`, 'g'), (m, a, b) => {
+    const from = enDay(a);
+    const to = b ? enDay(b) : from;
+    for (let wd = from; ; wd = (wd + 1) % 7) {
+      out.days.push(wd);
+      if (wd === to) break;
+    }
+    return ' ';
+  });
+  s = s.replace(/\b(?:daily|everyday|every day|7 days(?: a week)?|seven days(?: a week)?)\b/g, () => {
+    out.days.push(0, 1, 2, 3, 4, 5, 6);
+    return ' ';
+  });
+  s = s.replace(/\bweekdays\b/g, () => { out.days.push(0, 1, 2, 3, 4); return ' '; });
+  s = s.replace(/\bweekends?\b/g, () => { out.days.push(5, 6); return ' '; });
+  s = s.replace(/\b(?:public |major |all |bank )?holidays?\b|\bph\b/g, () => { out.ph = true; return ' '; });
+  s = s.replace(/\b(?:24\/7|24 hours|24hrs|open 24h)\b/g, () => { out.allDay = true; return ' '; });
+  s = s.replace(/\bclosed\b|\boff\b/g, () => { out.off = true; return ' '; });
+
+  const leftover = s.replace(/[&:+()/.!'"]/g, ' ').split(/\s+/).filter((w) => w && !FILLER.has(w));
+  if (leftover.length) return { error: `can't read "${leftover.join(' ')}"` };
+  return out;
+}
+
+const blankRule = () => ({ months: null, days: null, ph: false, times: [], off: false, comment: null });
+const asDays = (wds) => [...new Set(wds)].sort((a, b) => a - b).map((wd) => ({ wd, nth: null }));
+const asMonths = (pairs) => pairs.map(([a, b]) => ({ from: [a, null], to: [b, null] }));
+
+/**
+ * hours_text → { rules, season: [[fromMonth, toMonth]] | null, warnings } |
+ * { error }. OSM syntax is tried first; otherwise plain English.
+ */
+function parseHoursText(text) {
+  const osm = parseOpeningHours(text);
+  if (!osm.error) return { rules: osm.rules, season: null, warnings: [] };
+
+  const s = normalizeText(text).toLowerCase()
+    .replace(/\b([ap])\.m\.?/g, '$1m')
+    .replace(/\b(?:to|through|thru|till|til)\b/g, '-')
+    .replace(/\b(\d{1,2}) o'?clock\b/g, '$1');
+  const rules = [];
+  const warnings = [];
+  let season = null;
+
+  for (const segment of s.split(/[\n;|]+|\.(?=\s|$)/)) {
+    // Commas separate rules ("Mon-Fri 9-5, Sat 10-4"), time lists ("Mon 9-12,
+    // 1-5") and day lists ("Sat, Sun 10-4"): a times-only chunk joins the rule
+    // before it, a selector-only chunk carries over to the next one.
+    let pending = null;
+    let last = null;
+    for (const raw of segment.split(',')) {
+      if (!raw.trim()) continue;
+      const c = parseEnglishChunk(raw);
+      if (c.error) return { error: c.error };
+      const hasSel = c.months.length || c.days.length || c.ph || c.dates.length;
+      const hasWhat = c.times.length || c.off || c.allDay;
+      if (!hasSel && !hasWhat && !c.except.length) continue;
+      if (!hasSel && c.times.length && last && !c.off) {
+        last.times.push(...c.times);
+        continue;
+      }
+      if (pending) {
+        c.months.push(...pending.months);
+        c.days.push(...pending.days);
+        c.dates.push(...pending.dates);
+        c.ph = c.ph || pending.ph;
+        pending = null;
+      }
+      if (!hasWhat) {
+        if (c.months.length && !c.days.length && !c.dates.length && !c.ph) {
+          // "Open May through October" / "Seasonal (Apr-Nov)" — the season.
+          season = (season || []).concat(c.months);
+          if (/\bextended\b/.test(raw)) warnings.push(`"${raw.trim()}" mentions extended hours without times`);
+          last = null;
+          continue;
+        }
+        if (c.except.length) {
+          rules.push({ ...blankRule(), days: asDays(c.except), ph: !!c.exceptPh, off: true });
+          continue;
+        }
+        pending = c;
+        continue;
+      }
+      const times = c.allDay ? [[0, DAY_MIN]] : c.times;
+      const base = {
+        ...blankRule(),
+        months: c.months.length ? asMonths(c.months) : null,
+        times,
+        off: c.off && !times.length,
+      };
+      if (c.off && times.length) return { error: `"${raw.trim()}" is both closed and open` };
+      if (!base.off && !times.length) return { error: `"${raw.trim()}" has no times` };
+      if (c.days.length || c.ph || (!c.dates.length)) {
+        const r = { ...base, days: c.days.length ? asDays(c.days) : null, ph: c.ph };
+        rules.push(r);
+        last = r;
+      }
+      for (const d of c.dates) {
+        const r = { ...base, months: d.months, days: d.days || null };
+        rules.push(r);
+        last = r;
+      }
+      if (c.except.length || c.exceptPh) {
+        rules.push({ ...blankRule(), months: base.months, days: c.except.length ? asDays(c.except) : null,
+          ph: !!c.exceptPh, off: true });
+      }
+    }
+    if (pending) return { error: `"${segment.trim()}" has no times` };
+  }
+  if (!rules.length && !season) return { error: 'no hours found' };
+  return { rules, season, warnings };
+}
+
+// ─── POI normalisation ──────────────────────────────────────────────────────
+
+const isWeekly = (r) => !r.months && !r.ph;
+const isDated = (r) => r.ph || (r.months && r.months.some((m) => m.from[1] !== null)) ||
+  (r.days && r.days.some((d) => d.nth !== null));
+function ruleRank(r) {
+  if (isWeekly(r)) return 0;
+  if (r.comment === 'out of season') return 1;
+  return isDated(r) ? 3 : 2;
+}
+
+// Months outside the season ranges, as whole-month ranges for an 'off' rule.
+function offSeasonRule(season) {
+  const inSeason = new Set();
+  for (const [a, b] of season) {
+    for (let m = a; ; m = (m % 12) + 1) {
+      inSeason.add(m);
+      if (m === b) break;
+    }
+  }
+  const ranges = [];
+  for (let m = 1; m <= 12; m++) {
+    if (inSeason.has(m)) continue;
+    const prev = ranges[ranges.length - 1];
+    if (prev && prev.to[0] === m - 1) prev.to = [m, null];
+    else ranges.push({ from: [m, null], to: [m, null] });
+  }
+  // Dec-Jan wrap: merge "Jan-Feb" + "Nov-Dec" into "Nov-Feb".
+  if (ranges.length > 1 && ranges[0].from[0] === 1 && ranges[ranges.length - 1].to[0] === 12) {
+    ranges[0].from = ranges.pop().from;
+  }
+  if (!ranges.length) return null;
+  return { ...blankRule(), months: ranges, off: true, comment: 'out of season' };
+}
+
+/**
+ * A salem_pois row ({ hours, hours_text, seasonal }) → null when it has no
+ * hours at all, { error, sources } when something can't be read, else
+ * { opening_hours, rules, seasonal, sources, warnings }.
+ */
+function normalizeHours(poi) {
+  const sources = [];
+  const warnings = [];
+  let week = null;
+  let textSrc = null;
+
+  let hours = poi.hours;
+  if (typeof hours === 'string' && /^\s*[{[]/.test(hours)) {
+    try { hours = JSON.parse(hours); } catch (_) { return { error: 'hours: not valid JSON', sources: ['hours'] }; }
+  }
+  const fromJson = rulesFromHoursJson(hours);
+  if (fromJson && fromJson.error) return { error: `hours: ${fromJson.error}`, sources: ['hours'] };
+  if (fromJson) sources.push('hours');
+  if (fromJson && fromJson.text) textSrc = fromJson.text;
+  else if (fromJson) week = fromJson.rules;
+
+  let text = null;
+  const texts = [textSrc, poi.hours_text].filter((t) => typeof t === 'string' && t.trim());
+  if (poi.hours_text && String(poi.hours_text).trim()) sources.push('hours_text');
+  for (const t of texts) {
+    const parsed = parseHoursText(t);
+    if (parsed.error) return { error: `${t === textSrc ? 'hours' : 'hours_text'}: ${parsed.error}`, sources };
+    text = text
+      ? { rules: text.rules.concat(parsed.rules), season: parsed.season || text.season,
+          warnings: text.warnings.concat(parsed.warnings) }
+      : parsed;
+  }
+  if (!week && !text) return null;
+
+  const textRules = text ? text.rules : [];
+  const textWeekly = textRules.filter(isWeekly);
+  if (week && textWeekly.length && formatOpeningHours(textWeekly) !== formatOpeningHours(week)) {
+    warnings.push('hours_text weekly hours differ from hours; using hours');
+  }
+  const rules = [...(week || textWeekly), ...textRules.filter((r) => !isWeekly(r))];
+  if (text && text.season) {
+    const off = offSeasonRule(text.season);
+    if (off) rules.push(off);
+  }
+  rules.sort((a, b) => ruleRank(a) - ruleRank(b));
+  if (text) warnings.push(...text.warnings);
+
+  const hasSeason = rules.some((r) => r.months && !isDated(r));
+  if (poi.seasonal && !hasSeason) warnings.push('seasonal is set but no season or month range was found');
+  if (!rules.some((r) => !r.off)) warnings.push('no opening times — always closed');
+  if (!rules.length) return { error: 'no opening rules found', sources };
+  return {
+    opening_hours: formatOpeningHours(rules),
+    rules,
+    seasonal: hasSeason || !!poi.seasonal,
+    sources,
+    warnings,
+  };
+}
+
+/** 'open' | 'closed' | 'unknown' for a salem_pois row at an instant. */
+function poiOpenState(poi, date) {
+  const n = normalizeHours(poi);
+  if (!n || n.error) return 'unknown';
+  return isOpenAt(n.rules, date) ? 'open' : 'closed';
+}
+
+/**
+ * (Re)build the offline hours tables in an open better-sqlite3 db:
+ *   poi_opening_hours    poi_id → OSM string + rule JSON (see top of file)
+ *   poi_public_holidays  "YYYY-MM-DD" → name, for PH rules, `years` from now
+ * Sidecar tables (see scripts/align-asset-schema-to-room.js) read on device
+ * by PoiOpeningHours.kt, which ports isOpenAt — keep the two in step. POIs
+ * with no hours or hours that don't parse get no row: unknown, not closed.
+ * Returns { rows, unparsed, holidays }.
+ */
+function buildSqliteHours(db, pois, { years = 3, now = new Date() } = {}) {
+  let unparsed = 0;
+  let holidays = 0;
+  const rebuild = db.transaction(() => {
+    db.exec(`
+      DROP TABLE IF EXISTS poi_opening_hours;
+      DROP TABLE IF EXISTS poi_public_holidays;
+      CREATE TABLE poi_opening_hours (
+        poi_id        TEXT PRIMARY KEY,
+        opening_hours TEXT NOT NULL,
+        rules         TEXT NOT NULL,
+        seasonal      INTEGER NOT NULL,
+        timezone      TEXT NOT NULL
+      );
+      CREATE TABLE poi_public_holidays (
+        date TEXT PRIMARY KEY,
+        name TEXT NOT NULL
+      );
+    `);
+    const ins = db.prepare(`INSERT INTO poi_opening_hours (poi_id, opening_hours, rules, seasonal, timezone)
+                            VALUES (?, ?, ?, ?, ?)`);
+    for (const p of pois) {
+      const n = normalizeHours(p);
+      if (!n) continue;
+      if (n.error) { unparsed++; continue; }
+      ins.run(p.id, n.opening_hours, JSON.stringify(n.rules), n.seasonal ? 1 : 0, TIMEZONE);
+    }
+    const insH = db.prepare('INSERT INTO poi_public_holidays (date, name) VALUES (?, ?)');
+    const first = localParts(now).year;
+    for (let y = first; y < first + years; y++) {
+      for (const [md, name] of publicHolidays(y)) {
+        insH.run(`${y}-${md}`, name);
+        holidays++;
+      }
+    }
+  });
+  rebuild();
+  const rows = db.prepare('SELECT COUNT(*) AS n FROM poi_opening_hours').get().n;
+  return { rows, unparsed, holidays };
+}
+
+module.exports = {
+  TIMEZONE,
+  WEEKDAYS,
+  MONTHS,
+  parseOpeningHours,
+  formatOpeningHours,
+  publicHolidays,
+  isOpenAt,
+  parseOpenFilter,
+  parseTimeRange,
+  rulesFromHoursJson,
+  parseHoursText,
+  normalizeHours,
+  poiOpenState,
+  buildSqliteHours,
+};
@@ -0,0 +1,447 @@
+/*
+ * LocationMapApp v1.5
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * Duplicate POI scoring — one scorer for the duplicates lint check, GET
+ * /admin/salem/pois/duplicates and the dedup scripts
+ * (dedup-live-clusters.js, dedup-merge-and-purge.js).
+ *
+ * Each signal adds log-odds evidence; the score is the logistic of the sum,
+ * so it lands in 0–1 and every signal's contribution is reported:
+ *
+ *   name      normalised names (case, punctuation, "the", "inc", "salem"…)
+ *             equal, or their trigram / token similarity
+ *   distance  straight line, or walking when the caller passes walkingM
+ *   phone     last ten digits equal / different
+ *   website   same URL, same (non-aggregator) host, or different hosts
+ *   address   same normalised street address, or same street with a
+ *             different house number
+ *   intel     intel_entity_id equal (near-certain) / both set and different
+ *   category  same, compatible (CATEGORY_COMPATIBLE) or incompatible
+ *
+ * Signals with nothing to compare (a blank phone on either side) don't fire.
+ * Pairs an operator marked "not a duplicate" live in
+ * salem_poi_duplicate_reviews and are skipped by every caller.
+ *
+ * normalizeStreet is also the street helper for lib/tour-geometry-lint.js,
+ * so every comparison of addresses normalises the same way.
+ */
+const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module poi-duplicates.js';
+
+const { haversineM, radiusBBox } = require('./geo-filter');
+
+// Score at or above which a pair is reported / merged as a likely duplicate.
+const DUPLICATE_THRESHOLD = 0.7;
+// Straight-line prefilter for candidate pairs.
+const SCAN_RADIUS_M = 200;
+// Columns scorePair reads.
+const SCORE_COLUMNS = 'id, name, lat, lng, category, phone, website, address, intel_entity_id';
+
+// Log-odds before any signal: most nearby pairs are neighbours, not twins.
+const PRIOR = -4;
+const WEIGHTS = {
+  nameSame: 4.5,
+  nameScale: 6, // × (similarity − 0.5), clamped to ±nameCap
+  nameCap: 3,
+  phoneSame: 2.5,
+  phoneDiffer: -1,
+  websiteSame: 1.5,
+  websiteSameHost: 0.75,
+  websiteDiffer: -0.5,
+  addressSame: 2,
+  addressOtherNumber: -1.5,
+  intelSame: 5,
+  intelDiffer: -4,
+  categorySame: 0.5,
+  categoryIncompatible: -3,
+};
+// Distance → log-odds, piecewise linear between [metres, weight] points.
+const DISTANCE_CURVE = [[0, 1.5], [25, 1.5], [150, 0], [400, -1], [1000, -3]];
+
+// Category pairs that can describe the same place from different sources
+// (a museum filed as HISTORICAL_BUILDINGS by MHC and ENTERTAINMENT by BCS).
+// Same category is always compatible; anything not listed is incompatible.
+const CATEGORY_COMPATIBLE = [
+  ['HISTORICAL_BUILDINGS', 'ENTERTAINMENT'],
+  ['HISTORICAL_BUILDINGS', 'WORSHIP'],
+  ['HISTORICAL_BUILDINGS', 'CIVIC'],
+  ['HISTORICAL_BUILDINGS', 'LODGING'],
+  ['HISTORICAL_BUILDINGS', 'PARKS_REC'],
+  ['HISTORICAL_BUILDINGS', 'EDUCATION'],
+  ['HISTORICAL_BUILDINGS', 'TOUR_COMPANIES'],
+  ['WITCH_SHOP', 'SHOPPING'],
+  ['WITCH_SHOP', 'PSYCHIC'],
+  ['WITCH_SHOP', 'ENTERTAINMENT'],
+  ['PSYCHIC', 'SHOPPING'],
+  ['PSYCHIC', 'ENTERTAINMENT'],
+  ['TOUR_COMPANIES', 'ENTERTAINMENT'],
+  ['TOUR_COMPANIES', 'SHOPPING'],
+  ['FOOD_DRINK', 'ENTERTAINMENT'],
+  ['FOOD_DRINK', 'LODGING'],
+  ['FOOD_DRINK', 'SHOPPING'],
+  ['ENTERTAINMENT', 'PARKS_REC'],
+  ['ENTERTAINMENT', 'SHOPPING'],
+  ['FUEL_CHARGING', 'AUTO_SERVICES'],
+  ['FUEL_CHARGING', 'SHOPPING'],
+  ['PARKING', 'TRANSIT'],
+  ['PARKING', 'CIVIC'],
+  ['CIVIC', 'EMERGENCY'],
+  ['CIVIC', 'EDUCATION'],
+  ['CIVIC', 'PARKS_REC'],
+  ['CIVIC', 'OFFICES'],
+  ['HEALTHCARE', 'OFFICES'],
+  ['HEALTHCARE', 'EMERGENCY'],
+  ['FINANCE', 'OFFICES'],
+  ['EDUCATION', 'WORSHIP'],
+];
+const COMPATIBLE_SET = new Set(CATEGORY_COMPATIBLE.flatMap(([a, b]) => [`${a}|${b}`, `${b}|${a}`]));
+
+const NAME_STOPWORDS = new Set(['the', 'a', 'an', 'of', 'at', 'and', 'salem', 'ma', 'inc', 'llc', 'co', 'corp', 'ltd', 'company']);
+// Hosts shared by unrelated businesses — only an identical URL counts.
+const AGGREGATOR_HOSTS = new Set([
+  'facebook.com', 'instagram.com', 'yelp.com', 'tripadvisor.com', 'google.com', 'goo.gl',
+  'linktr.ee', 'squareup.com', 'square.site', 'wixsite.com', 'business.site', 'salem.org',
+]);
+// Spelled-out and TIGER-abbreviated street words → one spelling.
+const STREET_SUFFIXES = {
+  street: 'st', avenue: 'ave', av: 'ave', road: 'rd', boulevard: 'blvd', drive: 'dr', lane: 'ln',
+  place: 'pl', court: 'ct', square: 'sq', terrace: 'ter', highway: 'hwy', parkway: 'pkwy',
+  circle: 'cir', extension: 'ext', whf: 'wharf', north: 'n', south: 's', east: 'e', west: 'w',
+};
+// Leading house number or range: "161 ", "10-12 ", "4a – 6 ".
+const HOUSE_NUMBER_RE = /^\s*(\d+[a-z]?(?:\s*[-–]\s*\d+[a-z]?)?)\s+/;
+
+// ─── Normalisers ────────────────────────────────────────────────────────────
+
+function nameTokens(name) {
+  return String(name || '')
+    .normalize('NFKD').replace(/[̀-ͯ]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/['’]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter((t) => t && !NAME_STOPWORDS.has(t));
+}
+
+function normalizePhone(v) {
+  const d = String(v || '').replace(/\D/g, '');
+  if (d.length < 7) return null;
+  return d.length === 11 && d[0] === '1' ? d.slice(1) : d.slice(-10);
+}
+
+/** → { host, url } | null. url is host + path without scheme, www, query or trailing slash. */
+function normalizeWebsite(v) {
+  const s = String(v || '').trim().toLowerCase();
+  if (!s) return null;
+  const m = /^(?:[a-z]+:\/\/)?(?:www\.)?([^/?#\s]+)([^?#\s]*)/.exec(s);
+  if (!m) return null;
+  const host = m[1].replace(/:\d+$/, '');
+  return { host, url: `${host}${m[2].replace(/\/+$/, '')}` };
+}
+
+/**
+ * Street part of an address or TIGER edge name, normalised for comparison:
+ * "161 Essex Street, Salem, MA 01970" → "essex st", "Derby St" → "derby st".
+ * First comma segment only; house number and suite / unit dropped. null
+ * when there's no street to compare.
+ */
+function normalizeStreet(s) {
+  if (!s) return null;
+  const words = String(s).split(',')[0]
+    .toLowerCase()
+    .replace(/[.#'’]/g, '')
+    .replace(HOUSE_NUMBER_RE, '')
+    .replace(/\b(suite|ste|unit|apt|fl|floor)\b.*$/, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean)
+    .map((w) => STREET_SUFFIXES[w] || w);
+  return words.length ? words.join(' ') : null;
+}
+
+/** → { number, street } | null. street as normalizeStreet; number without spaces ("10-12"). */
+function normalizeAddress(v) {
+  const street = normalizeStreet(v);
+  if (!street) return null;
+  const m = HOUSE_NUMBER_RE.exec(String(v).split(',')[0].toLowerCase());
+  return { number: m ? m[1].replace(/\s+/g, '').replace('–', '-') : null, street };
+}
+
+/** pg_trgm-style trigram set of one string (two leading blanks, one trailing). */
+function trigrams(s) {
+  const padded = `  ${s} `;
+  const out = new Set();
+  for (let i = 0; i + 3 <= padded.length; i++) out.add(padded.slice(i, i + 3));
+  return out;
+}
+
+// Per-row normalised fields, cached — the lint check scores each POI
+// against every neighbour.
+const prepared = new WeakMap();
+function prepare(p) {
+  let n = prepared.get(p);
+  if (!n) {
+    const tokens = nameTokens(p.name);
+    n = {
+      tokens,
+      tokenSet: new Set(tokens),
+      grams: trigrams(tokens.join(' ')),
+      phone: normalizePhone(p.phone),
+      website: normalizeWebsite(p.website),
+      address: normalizeAddress(p.address),
+    };
+    prepared.set(p, n);
+  }
+  return n;
+}
+
+// ─── Signals ────────────────────────────────────────────────────────────────
+
+/** 0–1 similarity of two prepared names; 1 only for identical token lists. */
+function nameSimilarityPrepared(a, b) {
+  if (!a.tokens.length || !b.tokens.length) return 0;
+  if (a.tokens.join(' ') === b.tokens.join(' ')) return 1;
+  let shared = 0;
+  for (const g of a.grams) if (b.grams.has(g)) shared++;
+  const dice = (2 * shared) / (a.grams.size + b.grams.size);
+  let common = 0;
+  for (const t of a.tokenSet) if (b.tokenSet.has(t)) common++;
+  const jaccard = common / (a.tokenSet.size + b.tokenSet.size - common);
+  // "Ward House" inside "John Ward House" — containment of a 2+ word name.
+  const small = Math.min(a.tokenSet.size, b.tokenSet.size);
+  const contained = small >= 2 && common === small ? 0.9 : 0;
+  return Math.min(0.99, Math.max(dice, jaccard, contained));
+}
+
+function nameSimilarity(a, b) {
+  return nameSimilarityPrepared(prepare({ name: a }), prepare({ name: b }));
+}
+
+/** 'same' | 'compatible' | 'incompatible' | 'unknown' (either side blank). */
+function categoryCompatibility(a, b) {
+  if (!a || !b) return 'unknown';
+  const x = String(a).toUpperCase();
+  const y = String(b).toUpperCase();
+  if (x === y) return 'same';
+  return COMPATIBLE_SET.has(`${x}|${y}`) ? 'compatible' : 'incompatible';
+}
+
+function distanceWeight(m) {
+  const c = DISTANCE_CURVE;
+  if (m <= c[0][0]) return c[0][1];
+  for (let i = 1; i < c.length; i++) {
+    const [m1, w1] = c[i];
+    if (m <= m1) {
+      const [m0, w0] = c[i - 1];
+      return w0 + ((w1 - w0) * (m - m0)) / (m1 - m0);
+    }
+  }
+  return c[c.length - 1][1];
+}
+
+const round2 = (x) => Math.round(x * 100) / 100;
+
+/**
+ * Score two POI rows (SCORE_COLUMNS). opts.walkingM replaces the straight-line
+ * distance (Infinity = unreachable). Returns
+ *   { score: 0..1, signals: [{ signal, weight, detail }], explanation }
+ * with signals in descending |weight|.
+ */
+function scorePair(a, b, opts = {}) {
+  const pa = prepare(a);
+  const pb = prepare(b);
+  const signals = [];
+  const add = (signal, weight, detail) => signals.push({ signal, weight: round2(weight), detail });
+
+  const sim = nameSimilarityPrepared(pa, pb);
+  if (sim === 1) add('name', WEIGHTS.nameSame, 'same name');
+  else if (pa.tokens.length && pb.tokens.length) {
+    const w = Math.max(-WEIGHTS.nameCap, Math.min(WEIGHTS.nameCap, WEIGHTS.nameScale * (sim - 0.5)));
+    add('name', w, `names ${Math.round(sim * 100)}% similar`);
+  }
+
+  const walking = opts.walkingM !== undefined && opts.walkingM !== null;
+  if (walking || [a.lat, a.lng, b.lat, b.lng].every((v) => v != null && Number.isFinite(Number(v)))) {
+    const m = walking ? Number(opts.walkingM) : haversineM(Number(a.lat), Number(a.lng), Number(b.lat), Number(b.lng));
+    add('distance', distanceWeight(m), Number.isFinite(m)
+      ? `${Math.round(m)} m apart${walking ? ' on foot' : ''}`
+      : 'no walking route between them');
+  }
+
+  if (pa.phone && pb.phone) {
+    if (pa.phone === pb.phone) add('phone', WEIGHTS.phoneSame, 'same phone');
+    else add('phone', WEIGHTS.phoneDiffer, 'different phones');
+  }
+
+  if (pa.website && pb.website) {
+    if (pa.website.url === pb.website.url) add('website', WEIGHTS.websiteSame, 'same website');
+    else if (pa.website.host === pb.website.host) {
+      if (!AGGREGATOR_HOSTS.has(pa.website.host)) add('website', WEIGHTS.websiteSameHost, `both on ${pa.website.host}`);
+    } else add('website', WEIGHTS.websiteDiffer, 'different websites');
+  }
+
+  if (pa.address && pb.address && pa.address.street === pb.address.street) {
+    if (pa.address.number === pb.address.number) add('address', WEIGHTS.addressSame, 'same address');
+    else if (pa.address.number && pb.address.number) {
+      add('address', WEIGHTS.addressOtherNumber, `different numbers on ${pa.address.street}`);
+    }
+  }
+
+  if (a.intel_entity_id && b.intel_entity_id) {
+    if (a.intel_entity_id === b.intel_entity_id) add('intel_entity_id', WEIGHTS.intelSame, 'same intel_entity_id');
+    else add('intel_entity_id', WEIGHTS.intelDiffer, 'different intel_entity_id');
+  }
+
+  const cat = categoryCompatibility(a.category, b.category);
+  if (cat === 'same') add('category', WEIGHTS.categorySame, 'same category');
+  else if (cat === 'compatible') add('category', 0, `${a.category} / ${b.category} compatible`);
+  else if (cat === 'incompatible') add('category', WEIGHTS.categoryIncompatible, `${a.category} / ${b.category} incompatible`);
+
+  signals.sort((x, y) => Math.abs(y.weight) - Math.abs(x.weight));
+  const logit = signals.reduce((s, x) => s + x.weight, PRIOR);
+  const score = Math.round((1 / (1 + Math.exp(-logit))) * 1000) / 1000;
+  const explanation = signals
+    .filter((x) => x.weight !== 0)
+    .map((x) => `${x.detail} (${x.weight > 0 ? '+' : ''}${x.weight})`)
+    .join(', ');
+  return { score, signals, explanation };
+}
+
+// ─── Reviewed pairs + candidate search (PostgreSQL) ─────────────────────────
+
+/** Canonical (sorted) pair — reviews are stored with poi_a < poi_b. */
+function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+/** Set of pairKey()s an operator marked "not a duplicate". */
+async function loadNotDuplicatePairs(db) {
+  // Table is created by admin-pois.js module init; a script run against a
+  // database the server never started on has no reviews yet. Checked up
+  // front rather than caught — the scripts call this inside a transaction.
+  const { rows: [t] } = await db.query(`SELECT to_regclass('salem_poi_duplicate_reviews') AS t`);
+  if (!t.t) return new Set();
+  const { rows } = await db.query('SELECT poi_a, poi_b FROM salem_poi_duplicate_reviews');
+  return new Set(rows.map((r) => pairKey(r.poi_a, r.poi_b)));
+}
+
+/**
+ * POI pairs within radiusM (straight line) → [{ a_id, b_id, distance_m }].
+ * `left` / `right` are SQL conditions on aliases a / b (defaults: both live);
+ * with `distinct` each unordered pair comes back once (a.id < b.id).
+ */
+async function findNearbyPairs(db, {
+  radiusM = SCAN_RADIUS_M,
+  left = 'a.deleted_at IS NULL',
+  right = 'b.deleted_at IS NULL',
+  distinct = true,
+} = {}) {
+  // Box sized at Salem's latitude; haversine below is exact.
+  const box = radiusBBox(42.52, 0, radiusM);
+  const { rows } = await db.query(
+    `SELECT a_id, b_id, distance_m FROM (
+       SELECT a.id AS a_id, b.id AS b_id,
+              6371000.0 * 2.0 * ASIN(SQRT(
+                POWER(SIN(RADIANS(b.lat - a.lat) / 2.0), 2) +
+                COS(RADIANS(a.lat)) * COS(RADIANS(b.lat)) *
+                POWER(SIN(RADIANS(b.lng - a.lng) / 2.0), 2)
+              )) AS distance_m
+         FROM salem_pois a
+         JOIN salem_pois b
+           ON ${distinct ? 'a.id < b.id' : 'a.id <> b.id'}
+          AND ABS(a.lat - b.lat) <= $2
+          AND ABS(a.lng - b.lng) <= $3
+        WHERE (${left}) AND (${right})
+     ) p
+     WHERE distance_m <= $1
+     ORDER BY distance_m, a_id, b_id`,
+    [radiusM, box.maxLat - 42.52, box.maxLng],
+  );
+  return rows;
+}
+
+/**
+ * Nearby pairs, scored. Pairs an operator marked "not a duplicate" are
+ * dropped (counted in `reviewed`), as are pairs scoring below minScore.
+ *   columns   select list for the rows handed back (must cover SCORE_COLUMNS)
+ *   walkingM  optional (a, b) → metres; replaces the straight-line distance
+ * → { pairs: [{ a, b, distance_m, score, signals, explanation }] (best
+ *     first), rows: Map id → row, reviewed }
+ */
+async function scoreNearbyPairs(db, {
+  radiusM = SCAN_RADIUS_M,
+  left,
+  right,
+  distinct = true,
+  minScore = 0,
+  columns = SCORE_COLUMNS,
+  walkingM = null,
+} = {}) {
+  const candidates = await findNearbyPairs(db, { radiusM, left, right, distinct });
+  const rows = new Map();
+  if (!candidates.length) return { pairs: [], rows, reviewed: 0 };
+  const ids = [...new Set(candidates.flatMap((c) => [c.a_id, c.b_id]))];
+  const res = await db.query(`SELECT ${columns} FROM salem_pois WHERE id = ANY($1)`, [ids]);
+  for (const r of res.rows) rows.set(r.id, r);
+  const reviewedSet = await loadNotDuplicatePairs(db);
+
+  const pairs = [];
+  let reviewed = 0;
+  for (const c of candidates) {
+    if (reviewedSet.has(pairKey(c.a_id, c.b_id))) { reviewed++; continue; }
+    const a = rows.get(c.a_id);
+    const b = rows.get(c.b_id);
+    if (!a || !b) continue;
+    const scored = scorePair(a, b, { walkingM: walkingM ? walkingM(a, b) : undefined });
+    if (scored.score < minScore) continue;
+    pairs.push({ a, b, distance_m: Math.round(Number(c.distance_m) * 10) / 10, ...scored });
+  }
+  pairs.sort((x, y) => y.score - x.score || x.distance_m - y.distance_m);
+  return { pairs, rows, reviewed };
+}
+
+/** Transitive closure of pairs → arrays of ids (A↔B, B↔C ⇒ [A, B, C]). */
+function clusterPairs(pairs) {
+  const parent = new Map();
+  const find = (x) => {
+    while (parent.get(x) !== x) {
+      parent.set(x, parent.get(parent.get(x)));
+      x = parent.get(x);
+    }
+    return x;
+  };
+  for (const p of pairs) {
+    const a = p.a.id;
+    const b = p.b.id;
+    if (!parent.has(a)) parent.set(a, a);
+    if (!parent.has(b)) parent.set(b, b);
+    const ra = find(a);
+    const rb = find(b);
+    if (ra !== rb) parent.set(ra, rb);
+  }
+  const groups = new Map();
+  for (const id of parent.keys()) {
+    const root = find(id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(id);
+  }
+  return [...groups.values()];
+}
+
+module.exports = {
+  DUPLICATE_THRESHOLD,
+  SCAN_RADIUS_M,
+  SCORE_COLUMNS,
+  CATEGORY_COMPATIBLE,
+  normalizePhone,
+  normalizeWebsite,
+  normalizeAddress,
+  normalizeStreet,
+  nameSimilarity,
+  categoryCompatibility,
+  scorePair,
+  pairKey,
+  loadNotDuplicatePairs,
+  findNearbyPairs,
+  scoreNearbyPairs,
+  clusterPairs,
+};
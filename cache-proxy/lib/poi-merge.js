@@ -0,0 +1,162 @@
+/*
+ * LocationMapApp v1.5
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * POI merge — field choices and reference bookkeeping for
+ * POST /admin/salem/pois/:id/merge (lib/admin-poi-merge.js).
+ *
+ * "left" is the survivor (the :id in the URL), "right" the POI merged into
+ * it. Every admin-editable column (admin-pois UPDATABLE_FIELDS) takes one of
+ *
+ *   left    keep the survivor's value
+ *   right   take the merged POI's value
+ *   concat  prose: both, blank-line separated; JSONB arrays: union;
+ *           JSONB objects (hours, amenities): shallow merge, left keys win
+ *
+ * concat is only offered where it means something (CONCAT_FIELDS) — not for
+ * coordinates, flags, numbers or ids. Fields the caller leaves out keep the
+ * survivor's value, except that a blank survivor value takes the merged
+ * POI's (nothing is dropped silently) and related_*_ids default to concat.
+ *
+ * Columns on other tables that point at a POI (REF_COLUMNS) are repointed to
+ * the survivor; tour stops and collection entries are handled by the route
+ * because both need per-row bookkeeping to be revertible.
+ */
+const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module poi-merge.js';
+
+const { UPDATABLE_FIELDS, JSONB_FIELDS } = require('./admin-pois');
+
+const MERGE_CHOICES = ['left', 'right', 'concat'];
+
+const CONCAT_TEXT_FIELDS = new Set([
+  'short_narration', 'long_narration', 'historical_narration',
+  'description', 'short_description', 'custom_description', 'origin_story',
+  'admission_info', 'hours_text', 'historical_period', 'cuisine_type', 'mhc_narrative',
+]);
+const CONCAT_OBJECT_FIELDS = new Set(['hours', 'amenities']);
+// Every other JSONB column is an array.
+const CONCAT_FIELDS = new Set([...CONCAT_TEXT_FIELDS, ...JSONB_FIELDS]);
+
+const DEFAULT_CONCAT_FIELDS = new Set(['related_figure_ids', 'related_fact_ids', 'related_source_ids']);
+
+// no_overwrite is a lock on the survivor's own content, not data to merge.
+const MERGE_FIELDS = UPDATABLE_FIELDS.filter((f) => f !== 'no_overwrite');
+
+// table → POI-id column on rows keyed by a TEXT id.
+const REF_COLUMNS = [
+  ['salem_historical_figures', 'primary_poi_id'],
+  ['salem_historical_facts', 'poi_id'],
+  ['salem_timeline_events', 'poi_id'],
+  ['salem_primary_sources', 'poi_id'],
+  ['salem_events_calendar', 'venue_poi_id'],
+];
+
+const TEXT_SEPARATOR = '\n\n';
+
+function isBlank(v) {
+  if (v === null || v === undefined) return true;
+  if (typeof v === 'string') return v.trim() === '';
+  if (Array.isArray(v)) return v.length === 0;
+  if (typeof v === 'object') return Object.keys(v).length === 0;
+  return false;
+}
+
+function sameValue(a, b) {
+  return JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+}
+
+function concatValue(field, a, b) {
+  if (isBlank(b)) return a ?? null;
+  if (isBlank(a)) return b;
+  if (CONCAT_TEXT_FIELDS.has(field)) {
+    const left = String(a).trim();
+    const right = String(b).trim();
+    return left === right || left.includes(right) ? a : `${left}${TEXT_SEPARATOR}${right}`;
+  }
+  if (CONCAT_OBJECT_FIELDS.has(field)) return { ...b, ...a };
+  const out = Array.isArray(a) ? [...a] : [a];
+  const seen = new Set(out.map((v) => JSON.stringify(v)));
+  for (const v of Array.isArray(b) ? b : [b]) {
+    const key = JSON.stringify(v);
+    if (!seen.has(key)) {
+      seen.add(key);
+      out.push(v);
+    }
+  }
+  return out;
+}
+
+/** Request body → { from, fields, reason } | Error. */
+function parseMergeBody(body, survivorId) {
+  if (!body || typeof body !== 'object' || Array.isArray(body)) return new Error('request body must be a JSON object');
+  const from = typeof body.from === 'string' ? body.from.trim() : '';
+  if (!from) return new Error('from (the id of the POI to merge in) is required');
+  if (from === survivorId) return new Error('cannot merge a POI into itself');
+  const fields = body.fields == null ? {} : body.fields;
+  if (typeof fields !== 'object' || Array.isArray(fields)) return new Error('fields must be an object of field → choice');
+  for (const [f, choice] of Object.entries(fields)) {
+    if (!MERGE_FIELDS.includes(f)) return new Error(`${f} is not a mergeable field`);
+    if (!MERGE_CHOICES.includes(choice)) return new Error(`${f}: choice must be one of ${MERGE_CHOICES.join(', ')}`);
+    if (choice === 'concat' && !CONCAT_FIELDS.has(f)) return new Error(`${f} cannot be concatenated`);
+  }
+  if (body.reason != null && (typeof body.reason !== 'string' || body.reason.length > 500)) {
+    return new Error('reason must be a string ≤500 chars');
+  }
+  return { from, fields, reason: body.reason ? body.reason.trim() || null : null };
+}
+
+/**
+ * Survivor + merged rows and the caller's choices → { choices, updates }.
+ * choices covers every MERGE_FIELDS entry (defaults filled in); updates holds
+ * only the fields whose survivor value actually changes.
+ */
+function mergeFields(left, right, fields = {}) {
+  const choices = {};
+  const updates = {};
+  for (const f of MERGE_FIELDS) {
+    let choice = fields[f];
+    if (!choice) {
+      if (DEFAULT_CONCAT_FIELDS.has(f)) choice = 'concat';
+      else choice = isBlank(left[f]) && !isBlank(right[f]) ? 'right' : 'left';
+    }
+    choices[f] = choice;
+    const value = choice === 'left' ? left[f]
+      : choice === 'right' ? right[f]
+        : concatValue(f, left[f], right[f]);
+    if (!sameValue(value, left[f])) updates[f] = value ?? null;
+  }
+  return { choices, updates };
+}
+
+/** Fields whose live value no longer matches what the merge wrote. */
+function revertConflicts(current, after) {
+  return Object.keys(after).filter((f) => !sameValue(current[f], after[f]));
+}
+
+/** Follows merged_into from `id` to the POI it ended up in (itself when never merged). */
+async function resolveMergedPoiId(db, id) {
+  const { rows } = await db.query(
+    `WITH RECURSIVE chain AS (
+       SELECT id, merged_into, 0 AS depth FROM salem_pois WHERE id = $1
+       UNION ALL
+       SELECT p.id, p.merged_into, c.depth + 1
+         FROM salem_pois p JOIN chain c ON p.id = c.merged_into
+        WHERE c.depth < 20
+     )
+     SELECT id FROM chain ORDER BY depth DESC LIMIT 1`,
+    [id],
+  );
+  return rows.length ? rows[0].id : null;
+}
+
+module.exports = {
+  MERGE_CHOICES,
+  MERGE_FIELDS,
+  CONCAT_FIELDS,
+  REF_COLUMNS,
+  parseMergeBody,
+  concatValue,
+  mergeFields,
+  revertConflicts,
+  resolveMergedPoiId,
+};
@@ -0,0 +1,121 @@
+/*
+ * LocationMapApp v1.5
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * POI search — ranked full-text + fuzzy name matching + synonyms over
+ * salem_pois in PostgreSQL.
+ *
+ * Document fields and weights (PG setweight letter):
+ *   name                                     A
+ *   short_description                        B
+ *   keywords  (tags + owners)                B
+ *   district                                 C
+ *   narration (short / long / historical
+ *              narration + description)      D
+ *
+ * Query: the words of q, the last one as a prefix ("hawth" finds
+ * Hawthorne), all required. A salem_search_synonyms group is a set of
+ * equivalent phrases ("witch museum" / "salem witch museum"); when q
+ * contains one, q with it swapped for each other phrase is OR'd in.
+ * Misspellings ("Hawthrone") fall back to pg_trgm word_similarity against
+ * the name.
+ *
+ * Highlights wrap matched words in HIGHLIGHT_START / HIGHLIGHT_END.
+ *
+ * lib/salem-search.js serves GET /salem/search from these helpers. There is
+ * no offline copy: Android's platform SQLite has no FTS5, and the app
+ * searches its POI cache with FuzzySearchEngine.
+ */
+const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module poi-search.js';
+
+const HIGHLIGHT_START = '<mark>';
+const HIGHLIGHT_END = '</mark>';
+const FUZZY_MIN_SIMILARITY = 0.4;
+const MAX_QUERY_WORDS = 8;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+// Tour POIs win ties with same-scoring commercial hits.
+const TOUR_POI_BOOST = 0.05;
+const FUZZY_WEIGHT = 0.5;
+
+// Seeded into salem_search_synonyms when the table is first created.
+const DEFAULT_SYNONYM_GROUPS = [
+  ['witch museum', 'salem witch museum'],
+  ['wax museum', 'witch dungeon museum', 'wax figures'],
+  ['house of seven gables', 'house of the seven gables', 'seven gables'],
+  ['pem', 'peabody essex museum'],
+  ['witch house', 'jonathan corwin house'],
+  ['hawthorne', 'nathaniel hawthorne'],
+  ['cemetery', 'burying point', 'burial ground', 'graveyard'],
+];
+
+// Lower-case, strip accents, keep letters and digits.
+function words(s) {
+  return String(s || '')
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * q → alternatives, each a word list: q's own words first, then one per
+ * synonym swap. synonyms: [{ phrases: [...] }] (or bare phrase arrays).
+ */
+function expandQuery(q, synonyms = []) {
+  const base = words(q).slice(0, MAX_QUERY_WORDS);
+  if (!base.length) return [];
+  const out = [base];
+  const seen = new Set([base.join(' ')]);
+  for (const g of synonyms) {
+    const phrases = (Array.isArray(g) ? g : g.phrases || []).map(words).filter((p) => p.length);
+    for (const from of phrases) {
+      const at = indexOfRun(base, from);
+      if (at < 0) continue;
+      for (const to of phrases) {
+        if (to === from) continue;
+        const alt = [...base.slice(0, at), ...to, ...base.slice(at + from.length)];
+        const key = alt.join(' ');
+        if (!seen.has(key)) { seen.add(key); out.push(alt); }
+      }
+    }
+  }
+  return out;
+}
+
+function indexOfRun(hay, needle) {
+  outer: for (let i = 0; i + needle.length <= hay.length; i++) {
+    for (let j = 0; j < needle.length; j++) if (hay[i + j] !== needle[j]) continue outer;
+    return i;
+  }
+  return -1;
+}
+
+// to_tsquery('english', …) text for the alternatives: words AND'd, the last
+// word of the user's own query as a prefix, alternatives OR'd. Words are
+// [a-z0-9]+ so need no quoting.
+function pgTsQuery(alternatives) {
+  return alternatives
+    .map((alt, i) => `(${alt.map((w, k) => (i === 0 && k === alt.length - 1 ? `${w}:*` : w)).join(' & ')})`)
+    .join(' | ');
+}
+
+function parseLimit(v) {
+  if (v === undefined || v === '') return DEFAULT_LIMIT;
+  const n = Number(v);
+  if (!Number.isInteger(n) || n < 1) return new Error('limit must be a positive integer');
+  return Math.min(n, MAX_LIMIT);
+}
+
+module.exports = {
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  FUZZY_MIN_SIMILARITY,
+  FUZZY_WEIGHT,
+  TOUR_POI_BOOST,
+  DEFAULT_SYNONYM_GROUPS,
+  words,
+  expandQuery,
+  pgTsQuery,
+  parseLimit,
+};
@@ -0,0 +1,274 @@
+/*
+ * LocationMapApp v1.5
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * Polyline simplification and encoding for tour legs.
+ *
+ * salem_tour_legs.polyline_json keeps every TigerLine vertex the router
+ * walked — fine for authoring, heavy for the APK asset and the admin map.
+ * Two independent savings, both pure functions over [[lat, lng], ...]:
+ *
+ *   simplifyLeg   Douglas-Peucker at a tolerance in metres, never dropping
+ *                 the leg's end points (the stops), the vertices where the
+ *                 path turns >= a threshold, or any caller-named anchor
+ *                 (the maneuver points of the leg's turn-by-turn steps), so
+ *                 the simplified line still meets its stops and corners
+ *                 exactly and step geometry stays on it.
+ *   encodings     'text'      — "lat,lng;lat,lng;..." at 6 decimals, the
+ *                               bundle's edges.geom_polyline format
+ *                 'polyline6' — Google encoded polyline at precision 6
+ *                               (1e6 scale, same as OSRM/Valhalla polyline6)
+ *
+ * decodeGeometry reads either encoding: the encoded-polyline alphabet
+ * (ASCII 63..126) never contains ',' so a comma means text.
+ */
+const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module polyline.js';
+
+const { planarM } = require('./route-loop');
+
+const ENCODINGS = ['text', 'polyline6'];
+// Sub-metre deviation is invisible on the map at any zoom the player uses.
+const DEFAULT_SIMPLIFY_M = 1;
+// Vertices where the heading changes at least this much are kept outright.
+const KEEP_TURN_DEG = 30;
+const MAX_SIMPLIFY_M = 50;
+
+const M_PER_DEG_LAT = 111320;
+
+// Perpendicular distance (m) from p to segment a–b, in a local planar frame.
+function segmentDistanceM(p, a, b) {
+  const kx = M_PER_DEG_LAT * Math.cos((a[0] * Math.PI) / 180);
+  const bx = (b[1] - a[1]) * kx;
+  const by = (b[0] - a[0]) * M_PER_DEG_LAT;
+  const px = (p[1] - a[1]) * kx;
+  const py = (p[0] - a[0]) * M_PER_DEG_LAT;
+  const len2 = bx * bx + by * by;
+  let t = len2 > 0 ? (px * bx + py * by) / len2 : 0;
+  if (t < 0) t = 0;
+  else if (t > 1) t = 1;
+  const dx = px - t * bx;
+  const dy = py - t * by;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+function headingDeg(a, b) {
+  const kx = Math.cos((a[0] * Math.PI) / 180);
+  return (Math.atan2((b[1] - a[1]) * kx, b[0] - a[0]) * 180) / Math.PI;
+}
+
+/**
+ * Indices of interior vertices where the path turns >= minDeg. A vertex
+ * repeated at an edge join counts once (its last copy), and the incoming
+ * heading looks back past the repeats so they don't hide a corner.
+ */
+function turnIndices(points, minDeg = KEEP_TURN_DEG) {
+  const out = [];
+  const dist = (a, b) => planarM(a[0], a[1], b[0], b[1]);
+  for (let i = 1; i < points.length - 1; i++) {
+    if (dist(points[i], points[i + 1]) === 0) continue;
+    let j = i - 1;
+    while (j > 0 && dist(points[j], points[i]) === 0) j--;
+    if (dist(points[j], points[i]) === 0) continue;
+    let d = Math.abs(headingDeg(points[i], points[i + 1]) - headingDeg(points[j], points[i]));
+    if (d > 180) d = 360 - d;
+    if (d >= minDeg) out.push(i);
+  }
+  return out;
+}
+
+/**
+ * Douglas-Peucker over [[lat, lng], ...] at toleranceM. `keep` is a Set of
+ * indices that must survive; the line is split at them and each span is
+ * simplified on its own. End points are always kept. Returns a new array.
+ */
+function simplify(points, toleranceM, keep = new Set()) {
+  const n = points.length;
+  if (n <= 2 || !(toleranceM > 0)) return points.slice();
+  const marked = new Uint8Array(n);
+  marked[0] = 1;
+  marked[n - 1] = 1;
+  for (const i of keep) if (i >= 0 && i < n) marked[i] = 1;
+
+  const fixed = [];
+  for (let i = 0; i < n; i++) if (marked[i]) fixed.push(i);
+  const stack = [];
+  for (let s = 1; s < fixed.length; s++) stack.push([fixed[s - 1], fixed[s]]);
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let maxD = 0;
+    let idx = -1;
+    for (let i = first + 1; i < last; i++) {
+      const d = segmentDistanceM(points[i], points[first], points[last]);
+      if (d > maxD) { maxD = d; idx = i; }
+    }
+    if (idx !== -1 && maxD > toleranceM) {
+      marked[idx] = 1;
+      stack.push([first, idx], [idx, last]);
+    }
+  }
+  const out = [];
+  for (let i = 0; i < n; i++) if (marked[i]) out.push(points[i]);
+  return out;
+}
+
+/**
+ * Simplify one leg's geometry. Options:
+ *   toleranceM  Douglas-Peucker tolerance (default DEFAULT_SIMPLIFY_M; 0 = off)
+ *   turnDeg     keep vertices turning at least this much (default KEEP_TURN_DEG)
+ *   anchors     [[lat, lng], ...] points that must stay (matched to the
+ *               nearest vertex), e.g. each step's first point
+ */
+function simplifyLeg(points, { toleranceM = DEFAULT_SIMPLIFY_M, turnDeg = KEEP_TURN_DEG, anchors = [] } = {}) {
+  if (!Array.isArray(points) || points.length <= 2 || !(toleranceM > 0)) return Array.isArray(points) ? points.slice() : [];
+  const keep = new Set(turnIndices(points, turnDeg));
+  for (const a of anchors) {
+    if (!Array.isArray(a)) continue;
+    let best = -1;
+    let bestD = Infinity;
+    for (let i = 0; i < points.length; i++) {
+      const d = planarM(a[0], a[1], points[i][0], points[i][1]);
+      if (d < bestD) { bestD = d; best = i; }
+    }
+    if (best !== -1) keep.add(best);
+  }
+  return simplify(points, toleranceM, keep);
+}
+
+// Each step's first point from a leg's steps_json — the maneuver vertices
+// simplifyLeg must keep so step geometry still lies on the leg.
+function stepAnchors(steps) {
+  if (!Array.isArray(steps)) return [];
+  return steps.map((st) => (st && Array.isArray(st.geometry) ? st.geometry[0] : null)).filter(Boolean);
+}
+
+// [[lat, lng], ...] → "lat,lng;lat,lng;..." at 6 decimals.
+function encodeText(points) {
+  return points.map(([lat, lng]) => `${(+lat).toFixed(6)},${(+lng).toFixed(6)}`).join(';');
+}
+
+function encodeValue(v) {
+  let n = v < 0 ? ~(v << 1) : v << 1;
+  let out = '';
+  while (n >= 0x20) {
+    out += String.fromCharCode((0x20 | (n & 0x1f)) + 63);
+    n >>>= 5;
+  }
+  return out + String.fromCharCode(n + 63);
+}
+
+// [[lat, lng], ...] → Google encoded polyline at precision 6.
+function encodePolyline6(points) {
+  let out = '';
+  let pLat = 0;
+  let pLng = 0;
+  for (const [lat, lng] of points) {
+    const iLat = Math.round(lat * 1e6);
+    const iLng = Math.round(lng * 1e6);
+    out += encodeValue(iLat - pLat) + encodeValue(iLng - pLng);
+    pLat = iLat;
+    pLng = iLng;
+  }
+  return out;
+}
+
+function decodePolyline6(str) {
+  const out = [];
+  let i = 0;
+  let lat = 0;
+  let lng = 0;
+  const next = () => {
+    let shift = 0;
+    let result = 0;
+    let b;
+    do {
+      if (i >= str.length) throw new Error('truncated polyline');
+      b = str.charCodeAt(i++) - 63;
+      result |= (b & 0x1f) << shift;
+      shift += 5;
+    } while (b >= 0x20);
+    return result & 1 ? ~(result >> 1) : result >> 1;
+  };
+  while (i < str.length) {
+    lat += next();
+    lng += next();
+    out.push([lat / 1e6, lng / 1e6]);
+  }
+  return out;
+}
+
+function encodeGeometry(points, encoding = 'text') {
+  if (!Array.isArray(points)) return '';
+  const clean = points.filter((p) => Array.isArray(p) && p.length >= 2 && Number.isFinite(+p[0]) && Number.isFinite(+p[1]));
+  return encoding === 'polyline6' ? encodePolyline6(clean.map((p) => [+p[0], +p[1]])) : encodeText(clean);
+}
+
+// Either encoding → [[lat, lng], ...].
+function decodeGeometry(str) {
+  if (typeof str !== 'string' || !str) return [];
+  if (str.includes(',')) {
+    return str.split(';').map((pair) => pair.split(',').map(Number)).filter((p) => p.length >= 2 && Number.isFinite(p[0]) && Number.isFinite(p[1]));
+  }
+  return decodePolyline6(str);
+}
+
+/**
+ * Byte sizes of one geometry as stored today (raw JSON array), as bundle
+ * text and as polyline6 — raw and after simplification. Feeds the per-tour
+ * size reports in the admin and publish-tour-legs.js.
+ */
+function sizeStats(points, simplified) {
+  const raw = Array.isArray(points) ? points : [];
+  const simp = Array.isArray(simplified) ? simplified : raw;
+  return {
+    points: raw.length,
+    points_simplified: simp.length,
+    json_bytes: Buffer.byteLength(JSON.stringify(raw)),
+    text_bytes: Buffer.byteLength(encodeGeometry(raw, 'text')),
+    text_simplified_bytes: Buffer.byteLength(encodeGeometry(simp, 'text')),
+    polyline6_bytes: Buffer.byteLength(encodeGeometry(raw, 'polyline6')),
+    polyline6_simplified_bytes: Buffer.byteLength(encodeGeometry(simp, 'polyline6')),
+  };
+}
+
+// Sum sizeStats objects.
+function sumStats(list) {
+  const out = {
+    points: 0, points_simplified: 0, json_bytes: 0, text_bytes: 0,
+    text_simplified_bytes: 0, polyline6_bytes: 0, polyline6_simplified_bytes: 0,
+  };
+  for (const s of list) for (const k of Object.keys(out)) out[k] += s[k] || 0;
+  return out;
+}
+
+/**
+ * Parse a simplify tolerance (query string, CLI flag or env). undefined/''
+ * → fallback; otherwise a number in [0, MAX_SIMPLIFY_M] or an Error.
+ */
+function parseTolerance(v, fallback = DEFAULT_SIMPLIFY_M) {
+  if (v === undefined || v === null || v === '') return fallback;
+  const n = Number(v);
+  if (!Number.isFinite(n) || n < 0 || n > MAX_SIMPLIFY_M) {
+    return new Error(`simplify tolerance must be a number between 0 and ${MAX_SIMPLIFY_M} (metres)`);
+  }
+  return n;
+}
+
+module.exports = {
+  ENCODINGS,
+  DEFAULT_SIMPLIFY_M,
+  KEEP_TURN_DEG,
+  MAX_SIMPLIFY_M,
+  segmentDistanceM,
+  turnIndices,
+  simplify,
+  simplifyLeg,
+  stepAnchors,
+  encodeText,
+  encodePolyline6,
+  decodePolyline6,
+  encodeGeometry,
+  decodeGeometry,
+  sizeStats,
+  sumStats,
+  parseTolerance,
+};
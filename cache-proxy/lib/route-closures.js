@@ -0,0 +1,218 @@
+/*
+ * LocationMapApp v1.5
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * Time-bounded street closures (salem_route_closures) — geometry + timing
+ * helpers shared by the bundle router, the admin endpoints
+ * (lib/admin-route-closures.js) and scripts/publish-route-closures.js.
+ *
+ * A closure is either a GeoJSON Polygon / MultiPolygon (every walkable edge
+ * whose polyline touches it is closed) or an explicit list of TigerLine
+ * edge_ids, or both. mode decides what the router does with those edges:
+ *   closed — impassable (Haunted Happenings street fair, parade route)
+ *   avoid  — still walkable, but costs CLOSURE_AVOID_FACTOR× so routes only
+ *            use it when there's no sensible way around (crowded block)
+ *
+ * Polygon math is planar in (lng, lat) degrees — fine at city scale and the
+ * same approximation the snap code uses. Polygons follow GeoJSON: the first
+ * ring is the outer boundary, any further rings are holes.
+ */
+const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module route-closures.js';
+
+const CLOSURE_MODES = ['closed', 'avoid'];
+
+function isLngLat(p) {
+  return Array.isArray(p) && p.length >= 2 &&
+    Number.isFinite(p[0]) && Number.isFinite(p[1]) &&
+    Math.abs(p[0]) <= 180 && Math.abs(p[1]) <= 90;
+}
+
+function parseRing(ring) {
+  if (!Array.isArray(ring) || ring.length < 4 || !ring.every(isLngLat)) return null;
+  const first = ring[0], last = ring[ring.length - 1];
+  if (first[0] !== last[0] || first[1] !== last[1]) return null;
+  return ring.map((p) => [p[0], p[1]]);
+}
+
+/**
+ * GeoJSON Polygon / MultiPolygon (bare geometry or a Feature wrapping one)
+ * → { polygons: [[ring, ...], ...] } with rings as closed [lng, lat] lists,
+ * or { error } describing what's wrong.
+ */
+function parsePolygon(geo) {
+  const g = geo && geo.type === 'Feature' ? geo.geometry : geo;
+  if (!g || typeof g !== 'object') return { error: 'polygon must be a GeoJSON Polygon or MultiPolygon' };
+  let raw;
+  if (g.type === 'Polygon') raw = [g.coordinates];
+  else if (g.type === 'MultiPolygon') raw = g.coordinates;
+  else return { error: 'polygon must be a GeoJSON Polygon or MultiPolygon' };
+  if (!Array.isArray(raw) || !raw.length) return { error: 'polygon has no coordinates' };
+  const polygons = [];
+  for (const poly of raw) {
+    if (!Array.isArray(poly) || !poly.length) return { error: 'polygon has an empty ring list' };
+    const rings = poly.map(parseRing);
+    if (rings.some((r) => !r)) {
+      return { error: 'polygon rings must be closed lists of >= 4 [lng, lat] positions' };
+    }
+    polygons.push(rings);
+  }
+  return { polygons };
+}
+
+function polygonsBBox(polygons) {
+  const bb = { minLat: Infinity, maxLat: -Infinity, minLng: Infinity, maxLng: -Infinity };
+  for (const poly of polygons) {
+    for (const p of poly[0]) {
+      if (p[1] < bb.minLat) bb.minLat = p[1];
+      if (p[1] > bb.maxLat) bb.maxLat = p[1];
+      if (p[0] < bb.minLng) bb.minLng = p[0];
+      if (p[0] > bb.maxLng) bb.maxLng = p[0];
+    }
+  }
+  return bb;
+}
+
+function pointInRing(ring, lat, lng) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const yi = ring[i][1], yj = ring[j][1];
+    if ((yi > lat) !== (yj > lat)) {
+      const x = ring[j][0] + ((lat - yj) / (yi - yj)) * (ring[i][0] - ring[j][0]);
+      if (lng < x) inside = !inside;
+    }
+  }
+  return inside;
+}
+
+function pointInPolygons(polygons, lat, lng) {
+  for (const poly of polygons) {
+    if (!pointInRing(poly[0], lat, lng)) continue;
+    let inHole = false;
+    for (let h = 1; h < poly.length && !inHole; h++) inHole = pointInRing(poly[h], lat, lng);
+    if (!inHole) return true;
+  }
+  return false;
+}
+
+function orient(ax, ay, bx, by, cx, cy) {
+  const v = (bx - ax) * (cy - ay) - (by - ay) * (cx - ax);
+  return v > 0 ? 1 : v < 0 ? -1 : 0;
+}
+
+function onSegment(ax, ay, bx, by, cx, cy) {
+  return Math.min(ax, bx) <= cx && cx <= Math.max(ax, bx) &&
+    Math.min(ay, by) <= cy && cy <= Math.max(ay, by);
+}
+
+// Segments p1-p2 and p3-p4 (x = lng, y = lat) touch or cross.
+function segmentsIntersect(x1, y1, x2, y2, x3, y3, x4, y4) {
+  const o1 = orient(x1, y1, x2, y2, x3, y3);
+  const o2 = orient(x1, y1, x2, y2, x4, y4);
+  const o3 = orient(x3, y3, x4, y4, x1, y1);
+  const o4 = orient(x3, y3, x4, y4, x2, y2);
+  if (o1 !== o2 && o3 !== o4) return true;
+  if (o1 === 0 && onSegment(x1, y1, x2, y2, x3, y3)) return true;
+  if (o2 === 0 && onSegment(x1, y1, x2, y2, x4, y4)) return true;
+  if (o3 === 0 && onSegment(x3, y3, x4, y4, x1, y1)) return true;
+  if (o4 === 0 && onSegment(x3, y3, x4, y4, x2, y2)) return true;
+  return false;
+}
+
+/**
+ * True when a polyline touches the polygons: a vertex inside, or a segment
+ * crossing any ring. `flat` is the router's packed [lat, lng, lat, lng, ...]
+ * layout (Float64Array or plain array).
+ */
+function polylineIntersectsPolygons(flat, polygons) {
+  const n = flat.length >> 1;
+  for (let i = 0; i < n; i++) {
+    if (pointInPolygons(polygons, flat[2 * i], flat[2 * i + 1])) return true;
+  }
+  for (let i = 0; i + 1 < n; i++) {
+    const aLat = flat[2 * i], aLng = flat[2 * i + 1];
+    const bLat = flat[2 * i + 2], bLng = flat[2 * i + 3];
+    for (const poly of polygons) {
+      for (const ring of poly) {
+        for (let k = 0; k + 1 < ring.length; k++) {
+          if (segmentsIntersect(aLng, aLat, bLng, bLat, ring[k][0], ring[k][1], ring[k + 1][0], ring[k + 1][1])) {
+            return true;
+          }
+        }
+      }
+    }
+  }
+  return false;
+}
+
+// 'active' | 'upcoming' | 'expired' at epoch ms `atMs`. Windows are
+// half-open: a closure ending at 18:00 no longer applies at 18:00.
+function closureState(c, atMs) {
+  if (atMs < c.startsMs) return 'upcoming';
+  if (atMs >= c.endsMs) return 'expired';
+  return 'active';
+}
+
+function isClosureActive(c, atMs) {
+  return closureState(c, atMs) === 'active';
+}
+
+/**
+ * salem_route_closures row → the router's closure shape:
+ *   { id, name, reason, mode, startsMs, endsMs, polygons (or null),
+ *     edgeIds: number[], version }
+ * version changes whenever the row is edited, so cached edge resolutions
+ * keyed on `${id}:${version}` go stale on their own. Returns null for rows
+ * that can't be used (bad dates, unreadable polygon and no edge ids).
+ */
+function normalizeClosureRow(row) {
+  if (!row) return null;
+  const startsMs = new Date(row.starts_at).getTime();
+  const endsMs = new Date(row.ends_at).getTime();
+  if (!Number.isFinite(startsMs) || !Number.isFinite(endsMs)) return null;
+  let polygons = null;
+  if (row.polygon_json != null) {
+    const parsed = parsePolygon(row.polygon_json);
+    if (parsed.polygons) polygons = parsed.polygons;
+  }
+  const edgeIds = Array.isArray(row.edge_ids)
+    ? row.edge_ids.map(Number).filter(Number.isFinite)
+    : [];
+  if (!polygons && !edgeIds.length) return null;
+  const updated = row.updated_at ? new Date(row.updated_at).getTime() : 0;
+  return {
+    id: Number(row.id),
+    name: row.name,
+    reason: row.reason || null,
+    mode: CLOSURE_MODES.includes(row.mode) ? row.mode : 'closed',
+    startsMs,
+    endsMs,
+    polygons,
+    edgeIds,
+    version: Number.isFinite(updated) ? updated : 0,
+  };
+}
+
+// Client-facing summary of a normalized closure.
+function closureSummary(c) {
+  return {
+    id: c.id,
+    name: c.name,
+    reason: c.reason,
+    mode: c.mode,
+    starts_at: new Date(c.startsMs).toISOString(),
+    ends_at: new Date(c.endsMs).toISOString(),
+  };
+}
+
+module.exports = {
+  CLOSURE_MODES,
+  parsePolygon,
+  polygonsBBox,
+  pointInPolygons,
+  segmentsIntersect,
+  polylineIntersectsPolygons,
+  closureState,
+  isClosureActive,
+  normalizeClosureRow,
+  closureSummary,
+};
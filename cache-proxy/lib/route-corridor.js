@@ -0,0 +1,198 @@
+/*
+ * LocationMapApp v1.5
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * POIs-along-a-route for POST /salem/route/corridor-pois — which geofences a
+ * walker on a given polyline will trip, where along it, and what the
+ * narration queue sounds like as a result.
+ *
+ * The walker is modelled as a corridor of ±corridorM around the polyline
+ * (GPS wander and which side of the street they're on). A circular geofence
+ * of radius r intersects that corridor where the route comes within
+ * r + corridorM of the POI, so each pass is the stretch of route inside that
+ * widened circle: entry and exit in metres along the route. Corridor-shaped
+ * geofences (geofence_shape = 'corridor') are approximated by their circle.
+ *
+ * The queue replay mirrors the app's NarrationManager: segments play in
+ * order, one at a time, so a narration that triggers while another is still
+ * speaking waits. Speaking time is words / NARRATION_WPM.
+ *
+ * Distances are planar metres, same approximation as lib/route-loop.js.
+ */
+const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module route-corridor.js';
+
+const { planarM } = require('./route-loop');
+
+const M_PER_DEG_LAT = 111320;
+
+// Android TTS speaks roughly 165 wpm at 1.0x; NarrationManager defaults to
+// 0.9x.
+const NARRATION_WPM = 150;
+// Same default the schema gives salem_pois.geofence_radius_m.
+const DEFAULT_GEOFENCE_M = 40;
+
+function wordCount(text) {
+  if (!text) return 0;
+  const m = String(text).trim().match(/\S+/g);
+  return m ? m.length : 0;
+}
+
+/**
+ * The text a POI's ambient narration speaks. detail 'short' (the default,
+ * what fires on geofence entry) falls back to long_narration when there is
+ * no short text; 'long' prefers long_narration.
+ */
+function narrationText(row, detail = 'short') {
+  return detail === 'long'
+    ? row.long_narration || row.short_narration || null
+    : row.short_narration || row.long_narration || null;
+}
+
+function narrationSeconds(row, detail = 'short', wpm = NARRATION_WPM) {
+  return Math.round((wordCount(narrationText(row, detail)) / wpm) * 60 * 10) / 10;
+}
+
+function cumulativeM(geometry) {
+  const cum = new Float64Array(geometry.length);
+  for (let i = 1; i < geometry.length; i++) {
+    cum[i] = cum[i - 1] + planarM(geometry[i - 1][0], geometry[i - 1][1], geometry[i][0], geometry[i][1]);
+  }
+  return cum;
+}
+
+/**
+ * Stretches of the polyline within reachM of (lat, lng), merged where they
+ * touch: [{ entryM, exitM, offsetM, closestM }] in walking order, with
+ * offsetM the closest approach inside the pass and closestM where it happens.
+ */
+function passesNear(geometry, cum, lat, lng, reachM) {
+  const kx = M_PER_DEG_LAT * Math.cos((lat * Math.PI) / 180);
+  const r2 = reachM * reachM;
+  const passes = [];
+  for (let i = 0; i + 1 < geometry.length; i++) {
+    // Segment in local metres with the POI at the origin.
+    const ax = (geometry[i][1] - lng) * kx, ay = (geometry[i][0] - lat) * M_PER_DEG_LAT;
+    const bx = (geometry[i + 1][1] - lng) * kx, by = (geometry[i + 1][0] - lat) * M_PER_DEG_LAT;
+    const dx = bx - ax, dy = by - ay;
+    const a = dx * dx + dy * dy;
+    const segM = cum[i + 1] - cum[i];
+    let t0, t1;
+    if (a === 0) {
+      if (ax * ax + ay * ay > r2) continue;
+      t0 = 0; t1 = 0;
+    } else {
+      const b = 2 * (ax * dx + ay * dy);
+      const c = ax * ax + ay * ay - r2;
+      const disc = b * b - 4 * a * c;
+      if (disc < 0) continue;
+      const s = Math.sqrt(disc);
+      t0 = Math.max(0, (-b - s) / (2 * a));
+      t1 = Math.min(1, (-b + s) / (2 * a));
+      if (t0 > t1) continue;
+    }
+    let tf = a > 0 ? -(ax * dx + ay * dy) / a : 0;
+    tf = tf < t0 ? t0 : tf > t1 ? t1 : tf;
+    const fx = ax + tf * dx, fy = ay + tf * dy;
+    const off = Math.sqrt(fx * fx + fy * fy);
+    const entryM = cum[i] + t0 * segM;
+    const exitM = cum[i] + t1 * segM;
+    const closestM = cum[i] + tf * segM;
+    const last = passes[passes.length - 1];
+    if (last && entryM <= last.exitM + 0.01) {
+      last.exitM = Math.max(last.exitM, exitM);
+      if (off < last.offsetM) { last.offsetM = off; last.closestM = closestM; }
+    } else {
+      passes.push({ entryM, exitM, offsetM: off, closestM });
+    }
+  }
+  return passes;
+}
+
+/**
+ * Every POI whose geofence intersects the ±corridorM corridor around
+ * geometry ([[lat, lng], ...]), sorted by first entry:
+ *   { lengthM, cum, hits: [{ poi, radiusM, passes: [...passesNear] }] }
+ * cum[i] is the metres along the route at vertex i.
+ */
+function corridorPois(geometry, pois, corridorM) {
+  if (!geometry || geometry.length < 2) return { lengthM: 0, cum: new Float64Array(0), hits: [] };
+  const cum = cumulativeM(geometry);
+  let minLat = Infinity, maxLat = -Infinity, minLng = Infinity, maxLng = -Infinity;
+  for (const [lat, lng] of geometry) {
+    if (lat < minLat) minLat = lat;
+    if (lat > maxLat) maxLat = lat;
+    if (lng < minLng) minLng = lng;
+    if (lng > maxLng) maxLng = lng;
+  }
+  const hits = [];
+  for (const poi of pois) {
+    const r = poi.geofence_radius_m == null ? DEFAULT_GEOFENCE_M : +poi.geofence_radius_m;
+    const radiusM = Number.isFinite(r) && r > 0 ? r : DEFAULT_GEOFENCE_M;
+    const reachM = radiusM + corridorM;
+    const padLat = reachM / M_PER_DEG_LAT;
+    const padLng = reachM / (M_PER_DEG_LAT * Math.cos((poi.lat * Math.PI) / 180));
+    if (!(poi.lat >= minLat - padLat && poi.lat <= maxLat + padLat &&
+          poi.lng >= minLng - padLng && poi.lng <= maxLng + padLng)) continue;
+    const passes = passesNear(geometry, cum, poi.lat, poi.lng, reachM);
+    if (passes.length) hits.push({ poi, radiusM, passes });
+  }
+  hits.sort((a, b) => a.passes[0].entryM - b.passes[0].entryM);
+  return { lengthM: cum[cum.length - 1], cum, hits };
+}
+
+/**
+ * Replay the narration queue for narrated hits (first pass only — the app
+ * narrates a POI once per walk). items: [{ id, entryM, exitM, speakS }] in
+ * entry order. Returns per-item timing plus the back-to-back runs: maximal
+ * stretches where each narration starts less than minGapS after the previous
+ * one ends (queued ones count, gap 0), kept when at least maxRun long.
+ *   { items: [{ id, trigger_s, start_s, end_s, wait_s, gap_s, after_exit }],
+ *     runs: [{ ids, from_m, to_m, talk_s }] }
+ */
+function narrationQueue(items, { paceMps, minGapS, maxRun }) {
+  const out = [];
+  let prevEnd = null;
+  for (const it of items) {
+    const trigger = it.entryM / paceMps;
+    const start = prevEnd == null ? trigger : Math.max(trigger, prevEnd);
+    const end = start + it.speakS;
+    out.push({
+      id: it.id,
+      trigger_s: trigger,
+      start_s: start,
+      end_s: end,
+      wait_s: start - trigger,
+      gap_s: prevEnd == null ? null : start - prevEnd,
+      after_exit: start > it.exitM / paceMps,
+    });
+    prevEnd = end;
+  }
+
+  const runs = [];
+  let from = 0;
+  for (let i = 1; i <= out.length; i++) {
+    const chained = i < out.length && out[i].gap_s < minGapS;
+    if (chained) continue;
+    if (i - from >= maxRun) {
+      const slice = out.slice(from, i);
+      runs.push({
+        ids: slice.map((o) => o.id),
+        from_m: items[from].entryM,
+        to_m: items[i - 1].exitM,
+        talk_s: slice.reduce((s, o) => s + (o.end_s - o.start_s), 0),
+      });
+    }
+    from = i;
+  }
+  return { items: out, runs };
+}
+
+module.exports = {
+  NARRATION_WPM,
+  wordCount,
+  narrationText,
+  narrationSeconds,
+  passesNear,
+  corridorPois,
+  narrationQueue,
+};
@@ -0,0 +1,163 @@
+/*
+ * LocationMapApp v1.5
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * Sightseeing detours for GET /salem/route?detour_budget_s= — "walk me
+ * there the interesting way, I have 20 extra minutes."
+ *
+ * This is an orienteering problem: between a fixed start and destination,
+ * choose which POIs to pass and in what order so the collected prize is as
+ * large as possible while the walk stays within the direct route plus the
+ * budget. Like lib/route-optimize.js it works on a precomputed cost matrix
+ * (lib/salem-router.js stopCostMatrix) and knows nothing about the graph.
+ *
+ * Heuristic, not exact: greedy insertion by prize per extra metre, then
+ * 2-opt to shorten the path (which frees budget for more insertions) and
+ * swaps of a visited POI for a richer unvisited one, until nothing improves.
+ * Candidate lists are capped at a few dozen, so each round is cheap.
+ */
+const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module route-detour.js';
+
+const { poiWeight, resolveTheme } = require('./route-loop');
+
+const MAX_ROUNDS = 20;
+const EPS = 1e-6;
+
+/**
+ * Prize for passing a POI: the loop weight (priority, tour / narrated
+ * bumps) plus a bonus for the early narration waves — wave 1 is the
+ * showcase set, wave 2 the next ring out.
+ */
+function detourPrize(row) {
+  const wave = row.wave == null ? null : Number(row.wave);
+  const waveBonus = wave === 1 ? 1 : wave === 2 ? 0.5 : 0;
+  return poiWeight(row) + waveBonus;
+}
+
+/**
+ * ?categories= ("HISTORICAL_BUILDINGS,food") → { ids, match(row) }, where
+ * each token is a category id or a route-loop theme name. null when any
+ * token is neither; { ids: null, match: all } when empty.
+ */
+function resolveCategories(v) {
+  if (v == null || v === '') return { ids: null, match: () => true };
+  const tokens = String(v).split(',').map((s) => s.trim()).filter(Boolean);
+  if (!tokens.length) return { ids: null, match: () => true };
+  const themes = tokens.map(resolveTheme);
+  if (themes.some((t) => !t || t.id == null)) return null;
+  return { ids: themes.map((t) => t.id), match: (row) => themes.some((t) => t.match(row)) };
+}
+
+function pathCost(m, size, path) {
+  let total = 0;
+  for (let i = 0; i + 1 < path.length; i++) total += m[path[i] * size + path[i + 1]];
+  return total;
+}
+
+// Cheapest place to splice node c into path (between two neighbours).
+// Returns { pos, delta } with pos the index c would take, or null.
+function cheapestInsertion(m, size, path, c) {
+  let best = null;
+  for (let i = 0; i + 1 < path.length; i++) {
+    const a = path[i], b = path[i + 1];
+    const delta = m[a * size + c] + m[c * size + b] - m[a * size + b];
+    if (!Number.isFinite(delta)) continue;
+    if (!best || delta < best.delta) best = { pos: i + 1, delta };
+  }
+  return best;
+}
+
+// Greedy insertion by prize per unit of extra cost. Mutates path/visited.
+function insertGreedy(m, size, path, visited, prizes, maxCost) {
+  let cost = pathCost(m, size, path);
+  for (;;) {
+    let pick = null;
+    for (let c = 0; c < size; c++) {
+      if (visited[c] || !(prizes[c] > 0)) continue;
+      const ins = cheapestInsertion(m, size, path, c);
+      if (!ins || cost + ins.delta > maxCost + EPS) continue;
+      const ratio = prizes[c] / Math.max(ins.delta, EPS);
+      if (!pick || ratio > pick.ratio) pick = { c, ratio, ...ins };
+    }
+    if (!pick) return cost;
+    path.splice(pick.pos, 0, pick.c);
+    visited[pick.c] = 1;
+    cost += pick.delta;
+  }
+}
+
+// 2-opt on the interior (start and end stay put). Full path costs are
+// recomputed per move because the matrix may be asymmetric.
+function twoOpt(m, size, path) {
+  let cost = pathCost(m, size, path);
+  let improved = true;
+  while (improved) {
+    improved = false;
+    for (let i = 1; i < path.length - 2; i++) {
+      for (let j = i + 1; j < path.length - 1; j++) {
+        const cand = path.slice(0, i).concat(path.slice(i, j + 1).reverse(), path.slice(j + 1));
+        const c = pathCost(m, size, cand);
+        if (c < cost - EPS) {
+          path.splice(0, path.length, ...cand);
+          cost = c;
+          improved = true;
+        }
+      }
+    }
+  }
+  return cost;
+}
+
+// Trade a visited node for a richer unvisited one when the swap still fits.
+// Returns true if anything changed.
+function swapForPrize(m, size, path, visited, prizes, maxCost) {
+  for (let i = 1; i < path.length - 1; i++) {
+    const v = path[i];
+    const without = path.slice(0, i).concat(path.slice(i + 1));
+    const base = pathCost(m, size, without);
+    for (let u = 0; u < size; u++) {
+      if (visited[u] || !(prizes[u] > prizes[v])) continue;
+      const ins = cheapestInsertion(m, size, without, u);
+      if (!ins || base + ins.delta > maxCost + EPS) continue;
+      without.splice(ins.pos, 0, u);
+      path.splice(0, path.length, ...without);
+      visited[v] = 0;
+      visited[u] = 1;
+      return true;
+    }
+  }
+  return false;
+}
+
+/**
+ * Orienteering over an N×N cost matrix (row-major, Infinity = no path).
+ * prizes[i] is what visiting node i is worth (0 for start / end). Returns
+ *   { order: [start, ..., end], cost, prize, feasible }
+ * feasible is false when even start → end has no finite cost.
+ */
+function solveDetour(m, size, start, end, prizes, maxCost) {
+  const path = [start, end];
+  const direct = m[start * size + end];
+  if (!Number.isFinite(direct)) return { order: path, cost: Infinity, prize: 0, feasible: false };
+  const visited = new Uint8Array(size);
+  visited[start] = 1;
+  visited[end] = 1;
+
+  let cost = insertGreedy(m, size, path, visited, prizes, maxCost);
+  for (let round = 0; round < MAX_ROUNDS; round++) {
+    const before = path.join(',');
+    twoOpt(m, size, path);
+    swapForPrize(m, size, path, visited, prizes, maxCost);
+    cost = insertGreedy(m, size, path, visited, prizes, maxCost);
+    if (path.join(',') === before) break;
+  }
+  let prize = 0;
+  for (const i of path) prize += prizes[i] || 0;
+  return { order: path, cost, prize, feasible: true };
+}
+
+module.exports = {
+  detourPrize,
+  resolveCategories,
+  solveDetour,
+};
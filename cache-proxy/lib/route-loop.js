@@ -0,0 +1,178 @@
+/*
+ * LocationMapApp v1.5
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * Round-trip walk ("loop") helpers for GET /salem/route/loop — themes, POI
+ * weights, which POIs a loop walks past, and the candidate score.
+ *
+ * The bundle router (lib/salem-router.js loopCandidates) does the graph work:
+ * it lays a triangle of via points around the origin on several bearings,
+ * pulls each via onto a good themed POI near it, and routes the three legs
+ * with already-walked edges made expensive. Everything here is pure, so the
+ * scoring can be tuned and tested without a bundle.
+ *
+ * Distances are planar metres around the point being measured — the same
+ * equirectangular approximation the isochrone grid uses.
+ */
+const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module route-loop.js';
+
+const M_PER_DEG_LAT = 111320;
+
+// ?theme= presets over salem_pois. A bare category id (e.g. FOOD_DRINK) is
+// also accepted; no theme means every POI counts.
+const LOOP_THEMES = {
+  history:  { label: 'Historic sites', categories: ['HISTORICAL_BUILDINGS', 'HISTORICAL_LANDMARKS', 'WORSHIP', 'CIVIC'] },
+  witch:    { label: 'Witch trials & witchcraft', categories: ['WITCH_SHOP', 'PSYCHIC'], tourPois: true },
+  food:     { label: 'Food & drink', categories: ['FOOD_DRINK'] },
+  shopping: { label: 'Shopping', categories: ['SHOPPING', 'WITCH_SHOP'] },
+  parks:    { label: 'Parks & waterfront', categories: ['PARKS_REC'] },
+  narrated: { label: 'Narrated stops', narrated: true },
+};
+
+// A POI counts as visited when the loop passes within its geofence radius,
+// clamped so a 5 m pin still registers from the sidewalk and a 150 m park
+// fence doesn't claim every loop in the block.
+const POI_BUFFER_MIN_M = 20;
+const POI_BUFFER_MAX_M = 60;
+const POI_DEFAULT_RADIUS_M = 40;
+
+/**
+ * ?theme= value → { id, label, match(row) }, or null when it is neither a
+ * LOOP_THEMES key nor an upper-case category id.
+ */
+function resolveTheme(v) {
+  if (v == null || v === '') return { id: null, label: 'All POIs', match: () => true };
+  const s = String(v).trim();
+  const preset = LOOP_THEMES[s.toLowerCase()];
+  if (preset) {
+    const cats = new Set(preset.categories || []);
+    return {
+      id: s.toLowerCase(),
+      label: preset.label,
+      match: (row) =>
+        cats.has(row.category) ||
+        (!!preset.tourPois && !!row.is_tour_poi) ||
+        (!!preset.narrated && !!row.is_narrated),
+    };
+  }
+  if (/^[A-Z][A-Z_]*$/.test(s)) return { id: s, label: s, match: (row) => row.category === s };
+  return null;
+}
+
+// Lower priority numbers are more important (1 = must-see, 3 = default).
+// Curated 1692 tour stops and narrated POIs get a bump on top.
+function poiWeight(row) {
+  const p = Number.isFinite(+row.priority) && row.priority != null ? Math.round(+row.priority) : 3;
+  const clamped = p < 1 ? 1 : p > 5 ? 5 : p;
+  return (6 - clamped) + (row.is_tour_poi ? 2 : 0) + (row.is_narrated ? 1 : 0);
+}
+
+function poiBufferM(row) {
+  const r = row.geofence_radius_m == null ? POI_DEFAULT_RADIUS_M : +row.geofence_radius_m;
+  if (!Number.isFinite(r)) return POI_DEFAULT_RADIUS_M;
+  return r < POI_BUFFER_MIN_M ? POI_BUFFER_MIN_M : r > POI_BUFFER_MAX_M ? POI_BUFFER_MAX_M : r;
+}
+
+function planarM(lat1, lng1, lat2, lng2) {
+  const kx = M_PER_DEG_LAT * Math.cos((((lat1 + lat2) / 2) * Math.PI) / 180);
+  const dx = (lng2 - lng1) * kx;
+  const dy = (lat2 - lat1) * M_PER_DEG_LAT;
+  return Math.sqrt(dx * dx + dy * dy);
+}
+
+// Point `distM` metres from (lat, lng) on compass bearing `deg`.
+function offsetPoint(lat, lng, deg, distM) {
+  const rad = (deg * Math.PI) / 180;
+  const kx = M_PER_DEG_LAT * Math.cos((lat * Math.PI) / 180);
+  return [lat + (Math.cos(rad) * distM) / M_PER_DEG_LAT, lng + (Math.sin(rad) * distM) / kx];
+}
+
+/**
+ * The themed POI to bend a via point towards: highest weight, discounted by
+ * how far it sits from the ideal point, within radiusM. `skip` is a Set of
+ * ids already used by this loop. Returns { poi, distM } or null.
+ */
+function pickViaPoi(pois, lat, lng, radiusM, skip) {
+  let best = null;
+  let bestScore = 0;
+  for (const p of pois) {
+    if (skip && skip.has(p.id)) continue;
+    const d = planarM(lat, lng, p.lat, p.lng);
+    if (d > radiusM) continue;
+    const s = poiWeight(p) / (1 + d / radiusM);
+    if (s > bestScore) { bestScore = s; best = { poi: p, distM: d }; }
+  }
+  return best;
+}
+
+/**
+ * POIs a walked polyline ([[lat, lng], ...]) passes within their buffer,
+ * each once at its closest approach, in walking order:
+ *   [{ poi, offsetM, alongM }]
+ */
+function poisAlongRoute(geometry, pois) {
+  if (!geometry || geometry.length < 2 || !pois.length) return [];
+  let minLat = Infinity, maxLat = -Infinity, minLng = Infinity, maxLng = -Infinity;
+  for (const [lat, lng] of geometry) {
+    if (lat < minLat) minLat = lat;
+    if (lat > maxLat) maxLat = lat;
+    if (lng < minLng) minLng = lng;
+    if (lng > maxLng) maxLng = lng;
+  }
+  const padLat = POI_BUFFER_MAX_M / M_PER_DEG_LAT;
+  const padLng = POI_BUFFER_MAX_M / (M_PER_DEG_LAT * Math.cos((minLat * Math.PI) / 180));
+
+  // Cumulative metres at each vertex, shared by every POI.
+  const cum = new Float64Array(geometry.length);
+  for (let i = 1; i < geometry.length; i++) {
+    cum[i] = cum[i - 1] + planarM(geometry[i - 1][0], geometry[i - 1][1], geometry[i][0], geometry[i][1]);
+  }
+
+  const out = [];
+  for (const poi of pois) {
+    if (!(poi.lat >= minLat - padLat && poi.lat <= maxLat + padLat &&
+          poi.lng >= minLng - padLng && poi.lng <= maxLng + padLng)) continue;
+    const kx = M_PER_DEG_LAT * Math.cos((poi.lat * Math.PI) / 180);
+    let bestD = Infinity, bestAlong = 0;
+    for (let i = 0; i + 1 < geometry.length; i++) {
+      // Segment in local metres with the POI at the origin.
+      const ax = (geometry[i][1] - poi.lng) * kx, ay = (geometry[i][0] - poi.lat) * M_PER_DEG_LAT;
+      const bx = (geometry[i + 1][1] - poi.lng) * kx, by = (geometry[i + 1][0] - poi.lat) * M_PER_DEG_LAT;
+      const dx = bx - ax, dy = by - ay;
+      const len2 = dx * dx + dy * dy;
+      let t = len2 > 0 ? -(ax * dx + ay * dy) / len2 : 0;
+      t = t < 0 ? 0 : t > 1 ? 1 : t;
+      const fx = ax + t * dx, fy = ay + t * dy;
+      const d = Math.sqrt(fx * fx + fy * fy);
+      if (d < bestD) { bestD = d; bestAlong = cum[i] + t * (cum[i + 1] - cum[i]); }
+    }
+    if (bestD <= poiBufferM(poi)) out.push({ poi, offsetM: bestD, alongM: bestAlong });
+  }
+  out.sort((a, b) => a.alongM - b.alongM);
+  return out;
+}
+
+/**
+ * Candidate score: themed POI weight per walked km, scaled by how close the
+ * loop is to the requested length and by the share of it that isn't walked
+ * twice. The 1 + keeps POI-less areas ranked by fit and repeats alone.
+ */
+function loopScore({ distanceM, targetM, repeatM, weight }) {
+  if (!(distanceM > 0) || !(targetM > 0)) return 0;
+  const fit = Math.max(0, 1 - Math.abs(distanceM - targetM) / targetM);
+  const fresh = Math.max(0, 1 - repeatM / distanceM);
+  const density = weight / (distanceM / 1000);
+  return Math.round((1 + density) * fit * fresh * 1000) / 1000;
+}
+
+module.exports = {
+  LOOP_THEMES,
+  resolveTheme,
+  poiWeight,
+  poiBufferM,
+  planarM,
+  offsetPoint,
+  pickViaPoi,
+  poisAlongRoute,
+  loopScore,
+};
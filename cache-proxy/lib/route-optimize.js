@@ -0,0 +1,194 @@
+/*
+ * LocationMapApp v1.5
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * Visiting-order solver for walking tours (small asymmetric TSP).
+ *
+ * Pure function over a precomputed N×N cost matrix — the matrix itself comes
+ * from the bundle router (lib/salem-router.js stopCostMatrix), so this file
+ * has no routing or DB knowledge and is unit-testable on its own.
+ *
+ * Pinned start / pinned end / round trip are all reduced to one problem: a
+ * closed tour through a depot. Open paths add a virtual depot whose edges
+ * are 0 (free end) or Infinity (forbidden end), so "start at stop 0" is just
+ * "depot → stop 0 is the only finite edge out of the depot". Round trips use
+ * stop 0 itself as the depot.
+ *
+ * Exact Held-Karp up to HELD_KARP_MAX non-depot nodes (2^n · n² — ~3M steps
+ * at 13), otherwise nearest-neighbour seed + 2-opt / Or-opt local search.
+ */
+const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module route-optimize.js';
+
+const HELD_KARP_MAX = 13;
+const LOCAL_SEARCH_MAX_PASSES = 50;
+
+function cycleCost(m, size, cycle) {
+  let total = 0;
+  for (let i = 0; i < cycle.length; i++) {
+    const a = cycle[i];
+    const b = cycle[(i + 1) % cycle.length];
+    total += m[a * size + b];
+  }
+  return total;
+}
+
+// Exact DP. Returns the cycle as node indices starting at `depot` (depot is
+// not repeated at the end).
+function heldKarp(m, size, depot) {
+  const others = [];
+  for (let i = 0; i < size; i++) if (i !== depot) others.push(i);
+  const k = others.length;
+  if (k === 0) return [depot];
+  const full = (1 << k) - 1;
+  const dp = new Float64Array((full + 1) * k).fill(Infinity);
+  const parent = new Int16Array((full + 1) * k).fill(-1);
+  for (let i = 0; i < k; i++) dp[(1 << i) * k + i] = m[depot * size + others[i]];
+
+  for (let mask = 1; mask <= full; mask++) {
+    for (let last = 0; last < k; last++) {
+      if (!(mask & (1 << last))) continue;
+      const cur = dp[mask * k + last];
+      if (cur === Infinity) continue;
+      const from = others[last];
+      for (let next = 0; next < k; next++) {
+        if (mask & (1 << next)) continue;
+        const nMask = mask | (1 << next);
+        const cand = cur + m[from * size + others[next]];
+        if (cand < dp[nMask * k + next]) {
+          dp[nMask * k + next] = cand;
+          parent[nMask * k + next] = last;
+        }
+      }
+    }
+  }
+
+  let bestLast = -1;
+  let best = Infinity;
+  for (let last = 0; last < k; last++) {
+    const c = dp[full * k + last] + m[others[last] * size + depot];
+    if (c < best) { best = c; bestLast = last; }
+  }
+  if (bestLast < 0) {
+    // Nothing finite — return the identity order so callers can still
+    // report which pairs are unreachable.
+    return [depot, ...others];
+  }
+  const rev = [];
+  let mask = full;
+  let last = bestLast;
+  while (last >= 0) {
+    rev.push(others[last]);
+    const p = parent[mask * k + last];
+    mask &= ~(1 << last);
+    last = p;
+  }
+  rev.reverse();
+  return [depot, ...rev];
+}
+
+function nearestNeighbour(m, size, depot) {
+  const used = new Uint8Array(size);
+  used[depot] = 1;
+  const cycle = [depot];
+  let cur = depot;
+  for (let step = 1; step < size; step++) {
+    let best = -1;
+    let bestC = Infinity;
+    for (let j = 0; j < size; j++) {
+      if (used[j]) continue;
+      const c = m[cur * size + j];
+      if (best < 0 || c < bestC) { best = j; bestC = c; }
+    }
+    used[best] = 1;
+    cycle.push(best);
+    cur = best;
+  }
+  return cycle;
+}
+
+// 2-opt (segment reversal) + Or-opt (move a 1–3 stop run elsewhere) until no
+// move improves the full cycle cost. Costs may be asymmetric and may contain
+// Infinity, so every candidate is re-scored end to end rather than by delta.
+function localSearch(m, size, cycle) {
+  let best = cycle.slice();
+  let bestC = cycleCost(m, size, best);
+  for (let pass = 0; pass < LOCAL_SEARCH_MAX_PASSES; pass++) {
+    let improved = false;
+
+    for (let i = 1; i < size - 1; i++) {
+      for (let j = i + 1; j < size; j++) {
+        const cand = best.slice(0, i)
+          .concat(best.slice(i, j + 1).reverse(), best.slice(j + 1));
+        const c = cycleCost(m, size, cand);
+        if (c < bestC - 1e-9) { best = cand; bestC = c; improved = true; }
+      }
+    }
+
+    for (let len = 1; len <= 3; len++) {
+      for (let i = 1; i + len <= size; i++) {
+        const seg = best.slice(i, i + len);
+        const rest = best.slice(0, i).concat(best.slice(i + len));
+        for (let pos = 1; pos <= rest.length; pos++) {
+          if (pos === i) continue;
+          const cand = rest.slice(0, pos).concat(seg, rest.slice(pos));
+          const c = cycleCost(m, size, cand);
+          if (c < bestC - 1e-9) { best = cand; bestC = c; improved = true; break; }
+        }
+      }
+    }
+
+    if (!improved) break;
+  }
+  return best;
+}
+
+/**
+ * Best visiting order for `n` stops given a row-major Float64Array cost
+ * matrix (matrix[i*n+j] = cost of walking i → j; Infinity = unreachable).
+ *
+ * opts: { pinStart, pinEnd, roundTrip }
+ *   pinStart  — stop 0 must be visited first.
+ *   pinEnd    — stop n-1 must be visited last.
+ *   roundTrip — return to stop 0 at the end (implies pinStart; pinEnd is
+ *               ignored because the tour ends where it began).
+ *
+ * Returns { order: [stop indices], cost, method: 'exact'|'heuristic'|'trivial' }.
+ * `cost` includes the closing leg for round trips. Infinity means no
+ * feasible order exists (some required pair is unreachable).
+ */
+function solveVisitOrder(matrix, n, opts = {}) {
+  if (n <= 1) return { order: n === 1 ? [0] : [], cost: 0, method: 'trivial' };
+  const roundTrip = !!opts.roundTrip;
+  const pinStart = roundTrip || !!opts.pinStart;
+  const pinEnd = !roundTrip && !!opts.pinEnd;
+
+  let m = matrix;
+  let size = n;
+  let depot = 0;
+  if (!roundTrip) {
+    size = n + 1;
+    depot = n;
+    m = new Float64Array(size * size);
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) m[i * size + j] = matrix[i * n + j];
+    }
+    for (let j = 0; j < n; j++) m[depot * size + j] = !pinStart || j === 0 ? 0 : Infinity;
+    for (let i = 0; i < n; i++) m[i * size + depot] = !pinEnd || i === n - 1 ? 0 : Infinity;
+  }
+
+  const exact = size - 1 <= HELD_KARP_MAX;
+  const cycle = exact
+    ? heldKarp(m, size, depot)
+    : localSearch(m, size, nearestNeighbour(m, size, depot));
+  const cost = cycleCost(m, size, cycle);
+  return {
+    order: roundTrip ? cycle : cycle.slice(1),
+    cost,
+    method: exact ? 'exact' : 'heuristic',
+  };
+}
+
+module.exports = {
+  solveVisitOrder,
+  HELD_KARP_MAX,
+};
@@ -0,0 +1,213 @@
+/*
+ * LocationMapApp v1.5
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * Routing graph overlay — hand edits laid over the baked TigerLine graph.
+ *
+ * TIGER has no park paths, cut-throughs or Salem Common diagonals, and a
+ * few of its edges shouldn't be walked at all. The operator fixes both in
+ * the admin (lib/admin-route-overlay.js), stored as salem_route_overlay rows:
+ *
+ *   add_edge      a virtual edge between two existing nodes along a drawn
+ *                 polyline; its edge id is VIRTUAL_EDGE_ID_BASE + row id
+ *   disable_edge  removes one bundle edge from the graph
+ *
+ * lib/salem-router.js merges the enabled rows at load time, and
+ * scripts/publish-routing-overlay.js bakes the same merge into the shipped
+ * salem-routing-graph.sqlite. A baked file keeps the edges it disabled in an
+ * overlay_disabled_edges sidecar table; stripOverlay puts them back and drops
+ * the virtual edges, so any bundle — baked or not — plus the current overlay
+ * gives the same graph.
+ */
+const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module route-overlay.js';
+
+const crypto = require('crypto');
+const { planarM } = require('./route-loop');
+
+const OVERLAY_KINDS = ['add_edge', 'disable_edge'];
+// TIGER edge gids stay well below this; anything at or above is ours.
+const VIRTUAL_EDGE_ID_BASE = 1000000000;
+// Virtual edges are footpaths unless the operator says otherwise
+// (S1710 = walkway / pedestrian trail).
+const DEFAULT_VIRTUAL_MTFCC = 'S1710';
+
+function virtualEdgeId(overlayId) {
+  return VIRTUAL_EDGE_ID_BASE + Number(overlayId);
+}
+
+function isVirtualEdgeId(edgeId) {
+  return Number(edgeId) >= VIRTUAL_EDGE_ID_BASE;
+}
+
+function lineLengthM(geometry) {
+  let total = 0;
+  for (let i = 1; i < geometry.length; i++) {
+    total += planarM(geometry[i - 1][0], geometry[i - 1][1], geometry[i][0], geometry[i][1]);
+  }
+  return total;
+}
+
+// [[lat, lng], ...] → the bundle's "lat,lng;lat,lng" at 6 decimals.
+function encodePolyline(geometry) {
+  return geometry.map(([lat, lng]) => `${(+lat).toFixed(6)},${(+lng).toFixed(6)}`).join(';');
+}
+
+/**
+ * A line as [[lat, lng], ...] from either that form or a GeoJSON LineString
+ * (bare or as a Feature, [lng, lat] positions). null when it isn't a line of
+ * at least two finite points.
+ */
+function parseLine(src) {
+  let v = src;
+  if (typeof v === 'string') {
+    try { v = JSON.parse(v); } catch (_) { return null; }
+  }
+  if (v && v.type === 'Feature') v = v.geometry;
+  let pts;
+  if (Array.isArray(v)) pts = v.map((p) => (Array.isArray(p) ? [+p[0], +p[1]] : null));
+  else if (v && v.type === 'LineString' && Array.isArray(v.coordinates)) {
+    pts = v.coordinates.map((p) => (Array.isArray(p) ? [+p[1], +p[0]] : null));
+  } else return null;
+  if (pts.length < 2 || pts.some((p) => !p || !Number.isFinite(p[0]) || !Number.isFinite(p[1]))) return null;
+  return pts;
+}
+
+// [[lat, lng], ...] → GeoJSON LineString, the form geometry_json stores.
+function toLineString(geometry) {
+  return { type: 'LineString', coordinates: geometry.map(([lat, lng]) => [lng, lat]) };
+}
+
+/**
+ * A salem_route_overlay row (PG shape) → the form applyOverlay uses, or null
+ * when the row is disabled or unusable:
+ *   { id, kind, edgeId, sourceNodeId, targetNodeId, geometry, lengthM,
+ *     mtfcc, fullname, step, surface }
+ * For add_edge, edgeId is the virtual id; for disable_edge, the bundle edge.
+ */
+function normalizeOverlayRow(row) {
+  if (!row || row.enabled === false || !OVERLAY_KINDS.includes(row.kind)) return null;
+  const id = Number(row.id);
+  if (!Number.isSafeInteger(id)) return null;
+  if (row.kind === 'disable_edge') {
+    const edgeId = Number(row.edge_id);
+    return Number.isSafeInteger(edgeId) ? { id, kind: row.kind, edgeId } : null;
+  }
+  const geometry = parseLine(row.geometry_json);
+  const sourceNodeId = Number(row.source_node_id);
+  const targetNodeId = Number(row.target_node_id);
+  if (!geometry) return null;
+  if (!Number.isSafeInteger(sourceNodeId) || !Number.isSafeInteger(targetNodeId)) return null;
+  const lengthM = row.length_m != null ? Number(row.length_m) : lineLengthM(geometry);
+  return {
+    id,
+    kind: row.kind,
+    edgeId: virtualEdgeId(id),
+    sourceNodeId,
+    targetNodeId,
+    geometry,
+    lengthM,
+    mtfcc: row.mtfcc || DEFAULT_VIRTUAL_MTFCC,
+    fullname: row.fullname || '',
+    step: !!row.step,
+    surface: row.surface ? String(row.surface).toLowerCase() : null,
+  };
+}
+
+/**
+ * Content hash of a normalized overlay (order-independent). Two loads with
+ * the same bundle file and the same overlayHash hold the same graph.
+ */
+function overlayHash(overlay) {
+  const sorted = [...overlay].sort((a, b) => a.id - b.id);
+  return crypto.createHash('sha256').update(JSON.stringify(sorted)).digest('hex');
+}
+
+/**
+ * Undo an earlier bake: drop virtual edges and restore the rows the bake
+ * moved into overlay_disabled_edges. Edge rows are bundle-shaped
+ * ({ id, source, target, length_m, ... }).
+ */
+function stripOverlay(edges, disabledRows) {
+  const out = edges.filter((e) => !isVirtualEdgeId(e.id));
+  const present = new Set(out.map((e) => e.id));
+  for (const r of disabledRows || []) {
+    if (!present.has(r.id)) out.push(r);
+  }
+  return out;
+}
+
+/**
+ * Lay a normalized overlay over bundle edge rows. nodeIds is the set of
+ * node ids in the bundle. Rows that no longer fit the graph (a node or edge
+ * a re-bake dropped, an edge disabled twice) are skipped, not fatal.
+ * Virtual edges are added first, so a disable can target one. Returns
+ *   { edges, disabledRows, applied: { added, disabled, skipped: [{ id, reason }] } }
+ * with added / disabled the affected edge ids and disabledRows the removed
+ * edge rows (what a bake keeps in overlay_disabled_edges).
+ */
+function applyOverlay(edges, nodeIds, overlay) {
+  const out = edges.slice();
+  const index = new Map(out.map((e, i) => [e.id, i]));
+  const applied = { added: [], disabled: [], skipped: [] };
+  const rows = [...overlay].sort((a, b) => a.id - b.id);
+
+  for (const o of rows) {
+    if (o.kind !== 'add_edge') continue;
+    if (!nodeIds.has(o.sourceNodeId) || !nodeIds.has(o.targetNodeId)) {
+      applied.skipped.push({ id: o.id, reason: 'endpoint node not in bundle' });
+      continue;
+    }
+    if (index.has(o.edgeId)) {
+      applied.skipped.push({ id: o.id, reason: `edge id ${o.edgeId} already in bundle` });
+      continue;
+    }
+    index.set(o.edgeId, out.length);
+    out.push({
+      id: o.edgeId,
+      source: o.sourceNodeId,
+      target: o.targetNodeId,
+      length_m: o.lengthM,
+      mtfcc: o.mtfcc,
+      fullname: o.fullname,
+      geom_polyline: encodePolyline(o.geometry),
+      surface: o.surface,
+      bike_oneway: 0,
+      step: o.step ? 1 : 0,
+    });
+    applied.added.push(o.edgeId);
+  }
+
+  const drop = new Set();
+  for (const o of rows) {
+    if (o.kind !== 'disable_edge') continue;
+    if (!index.has(o.edgeId)) {
+      applied.skipped.push({ id: o.id, reason: `edge ${o.edgeId} not in bundle` });
+      continue;
+    }
+    if (drop.has(o.edgeId)) {
+      applied.skipped.push({ id: o.id, reason: `edge ${o.edgeId} already disabled` });
+      continue;
+    }
+    drop.add(o.edgeId);
+    applied.disabled.push(o.edgeId);
+  }
+
+  const disabledRows = out.filter((e) => drop.has(e.id) && !isVirtualEdgeId(e.id));
+  return { edges: drop.size ? out.filter((e) => !drop.has(e.id)) : out, disabledRows, applied };
+}
+
+module.exports = {
+  OVERLAY_KINDS,
+  VIRTUAL_EDGE_ID_BASE,
+  DEFAULT_VIRTUAL_MTFCC,
+  virtualEdgeId,
+  isVirtualEdgeId,
+  lineLengthM,
+  encodePolyline,
+  parseLine,
+  toLineString,
+  normalizeOverlayRow,
+  overlayHash,
+  stripOverlay,
+  applyOverlay,
+};
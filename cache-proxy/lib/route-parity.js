@@ -0,0 +1,115 @@
+/*
+ * LocationMapApp v1.5
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * Bundle-vs-live routing parity helpers for the admin parity job
+ * (lib/admin-route-parity.js): sampling origin/destination pairs, the
+ * divergence measure, report statistics, and GeoJSON for the offenders.
+ *
+ * Divergence is the same measure GET /salem/route?source=live logs:
+ * |bundle − live| / bundle, in percent of the bundle distance.
+ *
+ * Sampling is seeded so a report can be re-run on the next bake with the
+ * same seed — it picks from whatever walkable nodes that bake has, so pairs
+ * only repeat exactly while the node set is unchanged.
+ */
+const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module route-parity.js';
+
+const { planarM } = require('./route-loop');
+
+// mulberry32: tiny, fast, good enough for picking sample points.
+function seededRandom(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Up to n pairs of distinct points ([[lat, lng], ...]) whose straight-line
+ * distance is within [minM, maxM]: [{ from: [lat, lng], to: [lat, lng] }].
+ * Gives up after n × 50 draws, so a tiny or clustered point set returns
+ * fewer pairs rather than spinning.
+ */
+function samplePairs(points, n, { minM, maxM, random }) {
+  const out = [];
+  if (points.length < 2) return out;
+  const pick = () => points[Math.floor(random() * points.length)];
+  for (let tries = 0; out.length < n && tries < n * 50; tries++) {
+    const a = pick();
+    const b = pick();
+    const d = planarM(a[0], a[1], b[0], b[1]);
+    if (d < minM || d > maxM) continue;
+    out.push({ from: a, to: b });
+  }
+  return out;
+}
+
+function divergencePct(bundleM, liveM) {
+  if (bundleM == null || liveM == null || !(bundleM > 0)) return null;
+  return (Math.abs(bundleM - liveM) / bundleM) * 100;
+}
+
+// Nearest-rank percentile of an ascending array.
+function percentile(sorted, p) {
+  if (!sorted.length) return null;
+  const k = Math.min(sorted.length - 1, Math.max(0, Math.ceil((p / 100) * sorted.length) - 1));
+  return sorted[k];
+}
+
+const round1 = (v) => (v == null ? null : Math.round(v * 10) / 10);
+
+/**
+ * Report statistics over per-pair rows ({ divergence_pct, bundle_m, live_m }).
+ * A pair is routed when both sides produced a distance; diverged when its
+ * divergence exceeds thresholdPct.
+ */
+function summarizeParity(rows, thresholdPct) {
+  const pcts = rows.map((r) => r.divergence_pct).filter((v) => v != null).sort((a, b) => a - b);
+  const mean = pcts.length ? pcts.reduce((s, v) => s + v, 0) / pcts.length : null;
+  return {
+    pair_count: rows.length,
+    routed_count: pcts.length,
+    bundle_failed_count: rows.filter((r) => r.bundle_m == null).length,
+    live_failed_count: rows.filter((r) => r.live_m == null).length,
+    diverged_count: pcts.filter((v) => v > thresholdPct).length,
+    threshold_pct: thresholdPct,
+    mean_pct: round1(mean),
+    median_pct: round1(percentile(pcts, 50)),
+    p95_pct: round1(percentile(pcts, 95)),
+    max_pct: round1(pcts.length ? pcts[pcts.length - 1] : null),
+  };
+}
+
+/**
+ * Both geometries of one pair as a GeoJSON FeatureCollection ([lng, lat]
+ * coordinates), each feature tagged with its source and distance.
+ */
+function pairFeatureCollection(row, bundleGeometry, liveGeometry) {
+  const features = [];
+  for (const [source, geometry, distanceM] of [
+    ['bundle', bundleGeometry, row.bundle_m],
+    ['live', liveGeometry, row.live_m],
+  ]) {
+    if (!geometry || geometry.length < 2) continue;
+    features.push({
+      type: 'Feature',
+      properties: { source, pair_index: row.index, distance_m: distanceM },
+      geometry: { type: 'LineString', coordinates: geometry.map(([lat, lng]) => [lng, lat]) },
+    });
+  }
+  return { type: 'FeatureCollection', features };
+}
+
+module.exports = {
+  seededRandom,
+  samplePairs,
+  divergencePct,
+  percentile,
+  summarizeParity,
+  pairFeatureCollection,
+};
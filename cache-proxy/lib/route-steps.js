@@ -0,0 +1,211 @@
+/*
+ * LocationMapApp v1.5
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * Turn-by-turn step builder for bundle routes.
+ *
+ * Pure function over the router's `edges` list (each { fullname, mtfcc,
+ * length_m, polyline: [[lat,lng], ...] } in travel order) — no bundle or DB
+ * knowledge, so the same steps come out of /salem/route, admin compute-route
+ * and anything else holding a routed edge list.
+ *
+ * A step starts wherever the walker has to do something: the street name
+ * changes, or the path turns >= TURN_MIN_DEG at a junction while staying on
+ * the same street. Bearings are measured over the last/first
+ * BEARING_SAMPLE_M of each side of the junction so TIGER's short stub
+ * segments at intersections don't produce phantom turns.
+ *
+ * Step shape (snake_case, ready for JSON):
+ *   { type: 'depart'|'turn'|'continue'|'arrive', modifier, name, instruction,
+ *     distance_m, duration_s, bearing_before, bearing_after, geometry }
+ * `modifier` is 'straight' | 'slight left' | 'left' | 'sharp left' |
+ * 'slight right' | 'right' | 'sharp right' | 'uturn' (null on depart/arrive).
+ * `name` is the street fullname or null for unnamed ways; the instruction
+ * falls back to a description of the way ("the stairs").
+ */
+const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module route-steps.js';
+
+const TURN_MIN_DEG = 45;
+const BEARING_SAMPLE_M = 10;
+
+// How unnamed edges are described, by TIGER MTFCC.
+const UNNAMED_WAYS = {
+  S1500: 'trail',
+  S1630: 'ramp',
+  S1640: 'service road',
+  S1710: 'walkway',
+  S1720: 'stairs',
+  S1730: 'alley',
+  S1780: 'parking lot',
+  S1820: 'bike path',
+  S1830: 'path',
+  PEDPT: 'walkway',
+};
+
+const COMPASS = ['north', 'northeast', 'east', 'southeast', 'south', 'southwest', 'west', 'northwest'];
+
+function haversineM(a, b) {
+  const R = 6371000;
+  const toRad = (d) => (d * Math.PI) / 180;
+  const dLat = toRad(b[0] - a[0]);
+  const dLng = toRad(b[1] - a[1]);
+  const s = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a[0])) * Math.cos(toRad(b[0])) * Math.sin(dLng / 2) ** 2;
+  return 2 * R * Math.asin(Math.sqrt(s));
+}
+
+function bearingDeg(a, b) {
+  const toRad = (d) => (d * Math.PI) / 180;
+  const y = Math.sin(toRad(b[1] - a[1])) * Math.cos(toRad(b[0]));
+  const x = Math.cos(toRad(a[0])) * Math.sin(toRad(b[0])) -
+    Math.sin(toRad(a[0])) * Math.cos(toRad(b[0])) * Math.cos(toRad(b[1] - a[1]));
+  return (Math.atan2(y, x) * 180 / Math.PI + 360) % 360;
+}
+
+// Bearing of travel leaving the start (atEnd=false) or arriving at the end
+// (atEnd=true) of a polyline, sampled over up to BEARING_SAMPLE_M.
+function endBearing(polyline, atEnd) {
+  const n = polyline.length;
+  if (n < 2) return null;
+  const anchor = atEnd ? polyline[n - 1] : polyline[0];
+  let other = null;
+  let walked = 0;
+  for (let k = 1; k < n; k++) {
+    const prev = atEnd ? polyline[n - k] : polyline[k - 1];
+    const cur = atEnd ? polyline[n - 1 - k] : polyline[k];
+    walked += haversineM(prev, cur);
+    other = cur;
+    if (walked >= BEARING_SAMPLE_M) break;
+  }
+  if (!other || walked === 0) return null;
+  return atEnd ? bearingDeg(other, anchor) : bearingDeg(anchor, other);
+}
+
+// Signed turn in (-180, 180]; positive = right.
+function turnDelta(before, after) {
+  let d = after - before;
+  while (d <= -180) d += 360;
+  while (d > 180) d -= 360;
+  return d;
+}
+
+function modifierFor(delta) {
+  const a = Math.abs(delta);
+  if (a < 20) return 'straight';
+  if (a >= 170) return 'uturn';
+  const side = delta > 0 ? 'right' : 'left';
+  if (a < TURN_MIN_DEG) return `slight ${side}`;
+  if (a < 135) return side;
+  return `sharp ${side}`;
+}
+
+function wayLabel(edge) {
+  if (edge.fullname) return edge.fullname;
+  return `the ${UNNAMED_WAYS[edge.mtfcc] || 'unnamed road'}`;
+}
+
+// Grouping key: named streets by name, unnamed ways by what they are, so
+// a run of unnamed walkway segments reads as one step.
+function wayKey(edge) {
+  return edge.fullname ? `n:${edge.fullname}` : `u:${UNNAMED_WAYS[edge.mtfcc] || ''}`;
+}
+
+function instructionFor(type, modifier, label, sameWay, bearingAfter) {
+  switch (type) {
+    case 'depart':
+      return `Head ${COMPASS[Math.round(bearingAfter / 45) % 8]} on ${label}`;
+    case 'arrive':
+      return 'Arrive at your destination';
+    case 'continue':
+      if (modifier === 'straight') return `Continue onto ${label}`;
+      return `Bear ${modifier.replace('slight ', '')} onto ${label}`;
+    default:
+      if (modifier === 'uturn') return `Make a U-turn ${sameWay ? 'to stay on' : 'onto'} ${label}`;
+      return `Turn ${modifier} ${sameWay ? 'to stay on' : 'onto'} ${label}`;
+  }
+}
+
+const round1 = (v) => (v == null ? null : Math.round(v * 10) / 10);
+
+/**
+ * Turn-by-turn steps for a routed edge list. Returns [] for an empty route;
+ * otherwise depart … arrive, with the arrive step zero-length at the final
+ * vertex. paceMps converts step distance to duration_s.
+ */
+function buildSteps(edges, paceMps) {
+  const usable = (edges || []).filter((e) => e && Array.isArray(e.polyline) && e.polyline.length >= 2);
+  if (!usable.length) return [];
+
+  const steps = [];
+  let cur = null;
+  let lastEdge = null;
+  for (const e of usable) {
+    if (!cur) {
+      const bearingAfter = endBearing(e.polyline, false);
+      cur = {
+        type: 'depart',
+        modifier: null,
+        key: wayKey(e),
+        name: e.fullname || null,
+        instruction: instructionFor('depart', null, wayLabel(e), false, bearingAfter || 0),
+        distance_m: 0,
+        bearing_before: null,
+        bearing_after: bearingAfter,
+        geometry: [],
+      };
+    } else {
+      const before = endBearing(lastEdge.polyline, true);
+      const after = endBearing(e.polyline, false);
+      const delta = before == null || after == null ? 0 : turnDelta(before, after);
+      const modifier = modifierFor(delta);
+      const key = wayKey(e);
+      const sameWay = key === cur.key;
+      const turns = Math.abs(delta) >= TURN_MIN_DEG;
+      if (!sameWay || turns) {
+        steps.push(cur);
+        const type = turns ? 'turn' : 'continue';
+        cur = {
+          type,
+          modifier,
+          key,
+          name: e.fullname || null,
+          instruction: instructionFor(type, modifier, wayLabel(e), sameWay, after),
+          distance_m: 0,
+          bearing_before: before,
+          bearing_after: after,
+          geometry: [],
+        };
+      }
+    }
+    cur.distance_m += e.length_m || 0;
+    const skipJoin = cur.geometry.length > 0;
+    for (let k = skipJoin ? 1 : 0; k < e.polyline.length; k++) cur.geometry.push(e.polyline[k]);
+    lastEdge = e;
+  }
+  steps.push(cur);
+
+  const end = lastEdge.polyline[lastEdge.polyline.length - 1];
+  steps.push({
+    type: 'arrive',
+    modifier: null,
+    name: lastEdge.fullname || null,
+    instruction: instructionFor('arrive'),
+    distance_m: 0,
+    bearing_before: endBearing(lastEdge.polyline, true),
+    bearing_after: null,
+    geometry: [end],
+  });
+
+  return steps.map(({ key, ...s }) => ({
+    ...s,
+    distance_m: round1(s.distance_m),
+    duration_s: paceMps > 0 ? round1(s.distance_m / paceMps) : null,
+    bearing_before: s.bearing_before == null ? null : Math.round(s.bearing_before),
+    bearing_after: s.bearing_after == null ? null : Math.round(s.bearing_after),
+  }));
+}
+
+module.exports = {
+  buildSteps,
+  TURN_MIN_DEG,
+};
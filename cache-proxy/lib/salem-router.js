@@ -7,12 +7,83 @@
  * web and Android produce identical routes for identical inputs.
  *
  * Endpoints:
- *   GET  /api/salem/route?from_lat&from_lng&to_lat&to_lng[&source=live|bundle]
+ *   GET  /api/salem/route?from_lat&from_lng&to_lat&to_lng[&source=live|bundle][&profile=]
+ *        [&alternatives=N][&max_overlap=PCT][&detour_budget_s=S[&categories=]][&at=]
  *   POST /api/salem/route-multi
- *        { stops: [{lat,lng}, ...] [, source: "live"|"bundle"] }
+ *        { stops: [{lat,lng}, ...] [, source: "live"|"bundle"] [, profile] [, at] }
+ *   POST /api/salem/route/optimize
+ *        { stops: [{lat,lng[,edge_id,edge_fraction]}, ...]
+ *          [, pin_start] [, pin_end] [, round_trip] [, profile] [, at] }
+ *   POST /api/salem/route/snap
+ *        { points: [{lat,lng}, ...] [, kind: "edge"|"node"] }
+ *   POST /api/salem/route/matrix
+ *        { sources: [{lat,lng[,edge_id,edge_fraction]}, ...], targets: [...] [, profile] [, at] }
+ *   POST /api/salem/route/match
+ *        { points: [{lat,lng[,time]}, ...] | gpx: "<gpx>…" [, sigma_m] [, search_m] }
+ *   POST /api/salem/route/corridor-pois
+ *        { geometry: [[lat,lng], ...] | tour_id [, leg_order] [, corridor_m] [, detail]
+ *          [, min_gap_s] [, max_run] }
+ *   GET  /api/salem/isochrone?lat&lng[&minutes=5,10,15][&profile=][&at=]
+ *   GET  /api/salem/route/loop?lat&lng&minutes[&theme=][&candidates=N][&profile=][&at=]
  *
  * source=live falls through to TigerLine's tiger.route_walking() and logs a
- * divergence warning if the bundled result differs by >5%.
+ * divergence warning if the bundled result differs by >5%. The admin parity
+ * job (lib/admin-route-parity.js) runs the same comparison over sampled
+ * pairs via _parityPair and keeps the reports in PG.
+ *
+ * profile= picks a named cost model (see ROUTING_PROFILES). Profiles only
+ * change which path Dijkstra prefers; distance_m / duration_s are always the
+ * true walked length at the bundle pace. Live routing has no profile support
+ * and always answers shortest-distance.
+ *
+ * alternatives=N (bundle only, N <= ALTERNATIVES_MAX) adds an `alternatives`
+ * array of up to N other routes found by the penalty method, each carrying
+ * overlap_pct / stretch against the routes ranked above it.
+ *
+ * detour_budget_s=S (bundle only) spends up to S extra seconds passing the
+ * most valuable salem_pois (priority / wave), optionally limited to
+ * categories= (category ids or route-loop themes). The route is the detour;
+ * a `detour` block reports the budget used and the POIs passed.
+ *
+ * Street closures (salem_route_closures, managed by lib/admin-route-closures.js)
+ * are laid over the bundle's edge costs at request time — closed edges become
+ * impassable, 'avoid' edges expensive — for the closures active at `at` (ISO
+ * or epoch ms, default now). Bundle responses list them under `closures`.
+ * Live routing ignores closures.
+ *
+ * The graph overlay (salem_route_overlay, edited in
+ * lib/admin-route-overlay.js) is different: virtual footpath edges and
+ * disabled edges are permanent graph fixes, so they are merged into the
+ * graph at load time (lib/route-overlay.js) and every caller sees them.
+ * scripts/publish-routing-overlay.js bakes the same merge into the bundle
+ * file for the app; /route/meta reports what was merged under `overlay`.
+ *
+ * Bundle responses include `steps` — turn-by-turn maneuvers built from the
+ * edge list by lib/route-steps.js. Live responses have steps: null.
+ *
+ * Isochrones walk real metres at the bundle pace; profile= only removes the
+ * edges that profile can't use. Reachable POIs come from salem_pois when PG is
+ * configured (pois: null otherwise).
+ *
+ * /route/loop builds round-trip walks of about `minutes` from the origin
+ * and ranks them by how many themed salem_pois (lib/route-loop.js
+ * LOOP_THEMES, or a category id) they pass per km, penalising loops that
+ * walk the same street twice. The admin can save one as a draft tour.
+ *
+ * /route/match aligns a walked GPS track (burst-camera or field-edit
+ * sessions, or any GPX) to the graph with an HMM (lib/map-match.js) and
+ * reports where the walk leaves the graph — missing footpaths, or tour legs
+ * people don't actually follow.
+ *
+ * /route/corridor-pois predicts what a walker hears on a route or baked tour:
+ * the salem_pois geofences its corridor crosses (lib/route-corridor.js), in
+ * walking order, and a replay of the app's narration queue that flags runs
+ * of narrations firing back to back. Needs PG; the bundle is not used.
+ *
+ * Hot reload: the bundle file is polled; a changed file is loaded in a
+ * worker thread, must route every canary pair (DEFAULT_CANARIES or
+ * SALEM_ROUTING_CANARIES), and is then swapped in atomically. /route/meta
+ * reports the current and previous bundle sha256 and the last reload result.
  *
  * Bundle schema is owned by tools/routing-bake/SCHEMA.md. If you change the
  * schema there, update both this loader and core/.../RoutingBundleLoader.kt.
@@ -21,16 +92,235 @@ const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module salem-router.js'
 
 const path = require('path');
 const fs = require('fs');
+const crypto = require('crypto');
+const { Worker, isMainThread, parentPort, workerData } = require('worker_threads');
 const Database = require('better-sqlite3');
 const { Pool } = require('pg');
+const { solveVisitOrder } = require('./route-optimize');
+const { createGrid, stampDisc, bandToMultiPolygon } = require('./isochrone');
+const { buildSteps } = require('./route-steps');
+const { viterbiSegments, parseGpx, parseTime } = require('./map-match');
+const {
+  polygonsBBox,
+  polylineIntersectsPolygons,
+  closureState,
+  isClosureActive,
+  normalizeClosureRow,
+  closureSummary,
+} = require('./route-closures');
+const {
+  LOOP_THEMES,
+  resolveTheme,
+  poiWeight,
+  planarM,
+  offsetPoint,
+  pickViaPoi,
+  poisAlongRoute,
+  loopScore,
+} = require('./route-loop');
+const { detourPrize, resolveCategories, solveDetour } = require('./route-detour');
+const { NARRATION_WPM, wordCount, narrationText, corridorPois, narrationQueue } = require('./route-corridor');
+const { divergencePct } = require('./route-parity');
+const { normalizeOverlayRow, overlayHash, stripOverlay, applyOverlay } = require('./route-overlay');
+
+// SALEM_ROUTING_BUNDLE overrides the shipped asset path — used by the unit
+// tests (tiny fixture graph) and for pointing a dev proxy at a fresh bake
+// before it's copied into the APK tree.
+const BUNDLE_PATH = process.env.SALEM_ROUTING_BUNDLE
+  ? path.resolve(process.env.SALEM_ROUTING_BUNDLE)
+  : path.resolve(
+    __dirname,
+    '../../app-salem/src/main/assets/routing/salem-routing-graph.sqlite',
+  );
+// Bundle schema versions this loader understands. v2 = v1 + optional
+// per-edge attribute columns (surface, bike_oneway, step); see
+// tools/routing-bake/SCHEMA.md.
+const SUPPORTED_SCHEMA_VERSIONS = [1, 2];
+const EDGE_ATTRIBUTE_COLUMNS = ['surface', 'bike_oneway', 'step'];
 
-const BUNDLE_PATH = path.resolve(
-  __dirname,
-  '../../app-salem/src/main/assets/routing/salem-routing-graph.sqlite',
-);
-const EXPECTED_SCHEMA_VERSION = 1;
+// Spatial index cell size (degrees). ~55 m × 57 m at Salem's latitude —
+// a downtown cell holds a few dozen nodes/edges.
+const GRID_CELL_LAT = 0.0005;
+const GRID_CELL_LNG = 0.0007;
+// Snaps give up beyond this planar-degree radius (~2.7 km), matching the
+// reach of the old 16-ring search, so a point far off the map returns null
+// instead of scanning the whole graph.
+const SNAP_MAX_DEG = 0.024;
 const PARITY_DIVERGENCE_PCT = 5.0; // log warning when bundle vs live differ by >5%
 
+// ── Routing profiles ────────────────────────────────────────────────────────
+//
+// Each profile maps a TIGER MTFCC class to a cost multiplier applied to
+// edge length_m. Dijkstra minimizes the weighted cost; responses still
+// report real metres. A multiplier of Infinity makes the edge impassable
+// (Dijkstra never relaxes across it). MTFCCs not listed use `fallback`.
+//
+// MTFCC classes present in the Salem bake:
+//   S1100 primary road       S1200 secondary road     S1400 local street
+//   S1500 4WD trail          S1630 ramp               S1640 service drive
+//   S1710 walkway/ped trail  S1720 stairway           S1730 alley
+//   S1740 private road       S1780 parking-lot road   S1820 bike path
+//   S1830 bridle path        PEDPT MassGIS pedestrian supplement
+//
+// Schema v2 bundles may also flag steps and surfaces per edge. A profile's
+// optional `step` multiplier applies to step-flagged edges and `surface`
+// maps a surface value to a multiplier; an edge costs the largest of the
+// factors that apply, so a flagged stairway is never cheaper than S1720.
+const ROUTING_PROFILES = {
+  default: {
+    label: 'Shortest walk',
+    fallback: 1.0,
+    mtfcc: {},
+  },
+  // Accessible tours: stairs are a hard no; unpaved trails and service
+  // drives (no curb cuts, shared with vehicles) are strongly avoided.
+  wheelchair: {
+    label: 'Wheelchair accessible',
+    fallback: 1.0,
+    mtfcc: {
+      S1720: Infinity,
+      S1500: 6.0,
+      S1830: 6.0,
+      S1640: 2.0,
+      S1730: 2.0,
+      S1780: 1.5,
+      S1100: 1.3,
+    },
+    step: Infinity,
+    surface: { unpaved: 6.0, gravel: 6.0, dirt: 6.0, grass: 6.0, sand: 6.0, cobblestone: 2.0, sett: 2.0 },
+  },
+  // Family tours: strollers can be carried up a short flight, so stairs are
+  // heavily penalized rather than forbidden. Busy arterials cost extra.
+  stroller: {
+    label: 'Stroller friendly',
+    fallback: 1.0,
+    mtfcc: {
+      S1720: 8.0,
+      S1500: 4.0,
+      S1830: 4.0,
+      S1100: 1.8,
+      S1200: 1.4,
+      S1730: 1.5,
+    },
+    step: 8.0,
+    surface: { unpaved: 3.0, gravel: 3.0, dirt: 3.0, grass: 3.0, sand: 3.0, cobblestone: 1.5, sett: 1.5 },
+  },
+  // Quiet streets: route around arterials and prefer paths + pedestrian ways
+  // even when they add distance.
+  quiet: {
+    label: 'Quiet streets',
+    fallback: 1.0,
+    mtfcc: {
+      S1100: 3.0,
+      S1200: 2.0,
+      S1630: 3.0,
+      S1640: 1.2,
+      S1710: 0.8,
+      S1820: 0.85,
+      PEDPT: 0.8,
+    },
+  },
+};
+const DEFAULT_PROFILE = 'default';
+
+// Upper bound on stops per /salem/route/optimize call. One bounded Dijkstra
+// per stop builds the cost matrix; 60 covers the longest curated tour with
+// room to spare.
+const OPTIMIZE_MAX_STOPS = 60;
+
+// /salem/route?alternatives=N. Up to ALTERNATIVES_MAX extra routes, each at
+// most ALT_MAX_STRETCH × the best route's cost and sharing at most
+// max_overlap (default ALT_DEFAULT_MAX_OVERLAP_PCT) percent of its length
+// with any better route. ALT_PENALTY / ALT_MAX_ITERATIONS bound the work to
+// a handful of extra Dijkstra runs.
+const ALTERNATIVES_MAX = 3;
+const ALT_DEFAULT_MAX_OVERLAP_PCT = 70;
+const ALT_MAX_STRETCH = 1.5;
+const ALT_PENALTY = 1.6;
+const ALT_MAX_ITERATIONS = 8;
+
+// /salem/route/matrix limits. Each source costs one multi-target Dijkstra,
+// each cell a few bytes of streamed JSON.
+const MATRIX_MAX_SOURCES = 500;
+const MATRIX_MAX_TARGETS = 2000;
+const MATRIX_MAX_CELLS = 250000;
+
+// /salem/route/match (HMM map-matching). GPS noise sigma and candidate
+// search radius are per-request tunable within these bounds. BETA scales how
+// hard a transition is penalised for walking further than the straight line
+// between fixes; MAX_DETOUR / MAX_SPEED bound the per-step path search.
+const MATCH_MAX_POINTS = 5000;
+const MATCH_MAX_CANDIDATES = 6;
+const MATCH_DEFAULT_SIGMA_M = 10;
+const MATCH_DEFAULT_SEARCH_M = 50;
+const MATCH_BETA_M = 10;
+const MATCH_MAX_DETOUR_M = 150;
+const MATCH_MAX_SPEED_MPS = 4;
+
+// Upper bound on points per /salem/route/snap call. Each snap is a few
+// cell lookups, so a thousand points answers in a few milliseconds.
+const SNAP_BATCH_MAX = 1000;
+
+// /salem/isochrone limits. Cells are the raster resolution of the returned
+// polygons; the buffer is how far either side of a walked edge still counts
+// as reached (sidewalk → doorway).
+const ISOCHRONE_DEFAULT_MINUTES = [5, 10, 15];
+const ISOCHRONE_MAX_MINUTES = 60;
+const ISOCHRONE_MAX_BANDS = 6;
+const ISOCHRONE_CELL_M = 20;
+const ISOCHRONE_BUFFER_M = 30;
+
+// Street closures (see "Street closures" below). An 'avoid' closure
+// multiplies edge cost by CLOSURE_AVOID_FACTOR; a leg counts as affected when
+// it runs within CLOSURE_LEG_TOL_M of a closed edge.
+const CLOSURE_AVOID_FACTOR = 5;
+const CLOSURE_LEG_TOL_M = 2;
+const CLOSURE_COST_CACHE_MAX = 8;
+
+// /salem/route/loop (see "Round-trip loops" below). Each bearing is one
+// triangle origin → via → via → origin whose side assumes the street walk is
+// LOOP_DETOUR_FACTOR × the straight line; a via bends towards a themed POI
+// within LOOP_VIA_POI_RATIO of that side. Walked edges cost
+// LOOP_REPEAT_PENALTY × on later legs. Loops repeating more than
+// LOOP_MAX_REPEAT_PCT of their length, missing the target by more than
+// LOOP_LENGTH_TOLERANCE, or sharing more than LOOP_MAX_OVERLAP_PCT with a
+// better-scored loop are dropped.
+const LOOP_MIN_MINUTES = 5;
+const LOOP_MAX_MINUTES = 180;
+const LOOP_DEFAULT_CANDIDATES = 3;
+const LOOP_MAX_CANDIDATES = 5;
+const LOOP_BEARINGS = 8;
+const LOOP_VIA_SPREAD_DEG = 30;
+const LOOP_DETOUR_FACTOR = 1.3;
+const LOOP_VIA_POI_RATIO = 0.4;
+const LOOP_REPEAT_PENALTY = 4;
+const LOOP_MAX_REPEAT_PCT = 25;
+const LOOP_LENGTH_TOLERANCE = 0.25;
+const LOOP_MAX_OVERLAP_PCT = 60;
+
+// /salem/route?detour_budget_s= (see "Sightseeing detours" below). The
+// best DETOUR_MAX_CANDIDATES POIs that could fit the budget go into the
+// orienteering matrix; POIs further than DETOUR_MAX_SNAP_M from a usable
+// street can't be walked past. If the routed result overshoots the budget
+// (profile costs aren't metres), the least valuable stop is dropped and the
+// route rebuilt, at most DETOUR_MAX_REPAIRS times.
+const DETOUR_MAX_BUDGET_S = 7200;
+const DETOUR_MAX_CANDIDATES = 30;
+const DETOUR_MAX_SNAP_M = 60;
+const DETOUR_MAX_REPAIRS = 5;
+
+// POST /salem/route/corridor-pois. The walker corridor is ±corridor_m around
+// the polyline; POIs are fetched from a box padded by the corridor plus
+// CORRIDOR_FETCH_PAD_M (wider than any sensible geofence). A back-to-back run
+// is CORRIDOR_DEFAULT_MAX_RUN or more narrations each starting less than
+// min_gap_s after the previous one finished.
+const CORRIDOR_MAX_POINTS = 20000;
+const CORRIDOR_DEFAULT_M = 20;
+const CORRIDOR_MAX_M = 100;
+const CORRIDOR_FETCH_PAD_M = 250;
+const CORRIDOR_DEFAULT_MIN_GAP_S = 10;
+const CORRIDOR_DEFAULT_MAX_RUN = 3;
+
 // ── Bundle loader ───────────────────────────────────────────────────────────
 
 function parsePolyline(src) {
@@ -47,7 +337,10 @@ function parsePolyline(src) {
   return out;
 }
 
-function loadBundle(filePath) {
+// Loads a bundle file into the router's typed-array form. `overlay` is a
+// normalized salem_route_overlay list (lib/route-overlay.js) or null; see
+// below for how it combines with an overlay already baked into the file.
+function loadBundle(filePath, overlay = null) {
   if (!fs.existsSync(filePath)) {
     throw new Error(`routing bundle not found: ${filePath}`);
   }
@@ -60,14 +353,15 @@ function loadBundle(filePath) {
       meta[row.key] = row.value;
     }
     const schemaVersion = parseInt(meta.schema_version, 10) || 0;
-    if (schemaVersion !== EXPECTED_SCHEMA_VERSION) {
+    if (!SUPPORTED_SCHEMA_VERSIONS.includes(schemaVersion)) {
       throw new Error(
-        `Unsupported routing bundle schema version ${schemaVersion} (expected ${EXPECTED_SCHEMA_VERSION})`,
+        `Unsupported routing bundle schema version ${schemaVersion} ` +
+        `(supported: ${SUPPORTED_SCHEMA_VERSIONS.join(', ')})`,
       );
     }
     const nodeCount = parseInt(meta.node_count, 10) || 0;
-    const edgeCount = parseInt(meta.edge_count, 10) || 0;
-    if (nodeCount <= 0 || edgeCount <= 0) {
+    const fileEdgeCount = parseInt(meta.edge_count, 10) || 0;
+    if (nodeCount <= 0 || fileEdgeCount <= 0) {
       throw new Error('Routing bundle reports zero nodes/edges (corrupt?)');
     }
 
@@ -90,6 +384,48 @@ function loadBundle(filePath) {
       if (i !== nodeCount) throw new Error(`node row count ${i} != meta.node_count ${nodeCount}`);
     }
 
+    // Edge rows. v2 optional attributes are only read when the column is
+    // present, so v1 bundles (and v2 bakes that omit a column) carry null.
+    const edgeCols = new Set(db.prepare('PRAGMA table_info(edges)').all().map((c) => c.name));
+    const attrCols = schemaVersion >= 2 ? EDGE_ATTRIBUTE_COLUMNS.filter((c) => edgeCols.has(c)) : [];
+    const selectCols = ['id', 'source', 'target', 'length_m', 'mtfcc', 'fullname', 'geom_polyline', ...attrCols].join(', ');
+    let edgeRows = db.prepare(`SELECT ${selectCols} FROM edges`).all();
+    if (edgeRows.length !== fileEdgeCount) {
+      throw new Error(`edge row count ${edgeRows.length} != meta.edge_count ${fileEdgeCount}`);
+    }
+    // overlay null: take the file as it is, including any overlay a publish
+    // baked into it. An array replaces whatever was baked: the bake is
+    // undone first (virtual edges out, overlay_disabled_edges back in).
+    let overlayInfo;
+    if (!Array.isArray(overlay)) {
+      overlayInfo = {
+        hash: meta.overlay_hash || overlayHash([]),
+        baked_hash: meta.overlay_hash || null,
+        rows: null,
+        added: parseInt(meta.overlay_added, 10) || 0,
+        disabled: parseInt(meta.overlay_disabled, 10) || 0,
+        skipped: [],
+      };
+    } else {
+      const hasSidecar = !!db
+        .prepare("SELECT 1 FROM sqlite_master WHERE type = 'table' AND name = 'overlay_disabled_edges'")
+        .get();
+      const restored = hasSidecar
+        ? db.prepare(`SELECT ${selectCols} FROM overlay_disabled_edges`).all()
+        : [];
+      const r = applyOverlay(stripOverlay(edgeRows, restored), new Set(idToIdx.keys()), overlay);
+      edgeRows = r.edges;
+      overlayInfo = {
+        hash: overlayHash(overlay),
+        baked_hash: meta.overlay_hash || null,
+        rows: overlay.length,
+        added: r.applied.added.length,
+        disabled: r.applied.disabled.length,
+        skipped: r.applied.skipped,
+      };
+    }
+    const edgeCount = edgeRows.length;
+
     // Edges
     const edgeId = new Float64Array(edgeCount);
     const srcIdx = new Int32Array(edgeCount);
@@ -98,27 +434,28 @@ function loadBundle(filePath) {
     const edgeFullname = new Array(edgeCount);
     const edgeMtfcc = new Array(edgeCount);
     const edgePolylines = new Array(edgeCount);
-    {
-      let i = 0;
-      for (const r of db
-        .prepare('SELECT id, source, target, length_m, mtfcc, fullname, geom_polyline FROM edges')
-        .iterate()) {
-        const s = idToIdx.get(r.source);
-        const t = idToIdx.get(r.target);
-        if (s === undefined || t === undefined) {
-          throw new Error(`edge ${r.id} references unknown node (source=${r.source} target=${r.target})`);
-        }
-        edgeId[i] = r.id;
-        srcIdx[i] = s;
-        tgtIdx[i] = t;
-        edgeLengthM[i] = r.length_m;
-        edgeMtfcc[i] = r.mtfcc; // null preserved
-        edgeFullname[i] = r.fullname || '';
-        edgePolylines[i] = parsePolyline(r.geom_polyline || '');
-        i++;
+    const edgeSurface = attrCols.includes('surface') ? new Array(edgeCount) : null;
+    const edgeBikeOneway = attrCols.includes('bike_oneway') ? new Int8Array(edgeCount) : null;
+    const edgeStep = attrCols.includes('step') ? new Uint8Array(edgeCount) : null;
+    for (let i = 0; i < edgeCount; i++) {
+      const r = edgeRows[i];
+      const s = idToIdx.get(r.source);
+      const t = idToIdx.get(r.target);
+      if (s === undefined || t === undefined) {
+        throw new Error(`edge ${r.id} references unknown node (source=${r.source} target=${r.target})`);
       }
-      if (i !== edgeCount) throw new Error(`edge row count ${i} != meta.edge_count ${edgeCount}`);
+      edgeId[i] = r.id;
+      srcIdx[i] = s;
+      tgtIdx[i] = t;
+      edgeLengthM[i] = r.length_m;
+      edgeMtfcc[i] = r.mtfcc; // null preserved
+      edgeFullname[i] = r.fullname || '';
+      edgePolylines[i] = parsePolyline(r.geom_polyline || '');
+      if (edgeSurface) edgeSurface[i] = r.surface ? String(r.surface).toLowerCase() : null;
+      if (edgeBikeOneway) edgeBikeOneway[i] = Math.sign(r.bike_oneway || 0);
+      if (edgeStep) edgeStep[i] = r.step ? 1 : 0;
     }
+    edgeRows = null;
 
     // Build CSR adjacency (mirrors RoutingBundle.build).
     const degree = new Int32Array(nodeCount);
@@ -142,9 +479,20 @@ function loadBundle(filePath) {
       adjNeighbor[k] = s; adjEdgeIdx[k] = i; adjReversed[k] = 1;
     }
 
-    // Spatial grid over walkable nodes (matches NodeGrid in Kotlin).
-    const cellLat = 0.0015;
-    const cellLng = 0.0020;
+    // Spatial index: one uniform lat/lng grid over the walkable extent, with
+    // two packed CSR cell lists on top of it — walkable nodes (by position)
+    // and walkable edges (every cell the edge's bbox overlaps). Each list is
+    // cellStart (Int32Array, rows*cols+1) + cellItems (Int32Array), so a
+    // lookup touches a handful of contiguous ints instead of JS arrays.
+    // Cells are ~55 m square; nearest-* searches expand ring by ring and stop
+    // as soon as the next ring can't beat the best hit (see _gridNearest).
+    // That makes the answer the exact planar nearest. Kotlin's NodeGrid stops
+    // one ring after its first hit, so on-device snaps can differ only where
+    // it misses a closer node further out.
+    const edgeWalkable = new Uint8Array(edgeCount);
+    for (let i = 0; i < edgeCount; i++) {
+      edgeWalkable[i] = (nodeWalkable[srcIdx[i]] && nodeWalkable[tgtIdx[i]]) ? 1 : 0;
+    }
     let minLat = Infinity, maxLat = -Infinity, minLng = Infinity, maxLng = -Infinity;
     for (let i = 0; i < nodeCount; i++) {
       if (!nodeWalkable[i]) continue;
@@ -153,79 +501,60 @@ function loadBundle(filePath) {
       if (nodeLng[i] < minLng) minLng = nodeLng[i];
       if (nodeLng[i] > maxLng) maxLng = nodeLng[i];
     }
-    const rows = Math.max(1, ((maxLat - minLat) / cellLat) | 0) + 1;
-    const cols = Math.max(1, ((maxLng - minLng) / cellLng) | 0) + 1;
-    const tally = new Int32Array(rows * cols);
-    for (let i = 0; i < nodeCount; i++) {
-      if (!nodeWalkable[i]) continue;
-      const r = clamp(((nodeLat[i] - minLat) / cellLat) | 0, 0, rows - 1);
-      const c = clamp(((nodeLng[i] - minLng) / cellLng) | 0, 0, cols - 1);
-      tally[r * cols + c]++;
-    }
-    const cells = new Array(rows * cols);
-    for (let k = 0; k < cells.length; k++) cells[k] = new Int32Array(tally[k]);
-    const cur = new Int32Array(rows * cols);
-    for (let i = 0; i < nodeCount; i++) {
-      if (!nodeWalkable[i]) continue;
-      const r = clamp(((nodeLat[i] - minLat) / cellLat) | 0, 0, rows - 1);
-      const c = clamp(((nodeLng[i] - minLng) / cellLng) | 0, 0, cols - 1);
-      const cellIdx = r * cols + c;
-      cells[cellIdx][cur[cellIdx]++] = i;
-    }
-
-    // S214 — spatial grid over walkable EDGES for the admin tour-waypoint
-    // edge-foot snap. Uses the same cell grid as the node index (re-uses
-    // bounds + cellLat/cellLng) so the two indices agree on cell coordinates.
-    // An edge is "walkable" iff both endpoints are walkable. For each edge we
-    // place its index in every cell its bounding box overlaps — bbox is a
-    // tiny over-approximation but the grid is coarse enough that it's fine.
-    const edgeWalkable = new Uint8Array(edgeCount);
-    for (let i = 0; i < edgeCount; i++) {
-      edgeWalkable[i] = (nodeWalkable[srcIdx[i]] && nodeWalkable[tgtIdx[i]]) ? 1 : 0;
+    const rows = Math.max(1, Math.floor((maxLat - minLat) / GRID_CELL_LAT) + 1);
+    const cols = Math.max(1, Math.floor((maxLng - minLng) / GRID_CELL_LNG) + 1);
+    const rowOf = (lat) => clamp(Math.floor((lat - minLat) / GRID_CELL_LAT), 0, rows - 1);
+    const colOf = (lng) => clamp(Math.floor((lng - minLng) / GRID_CELL_LNG), 0, cols - 1);
+
+    // Two passes over the same cell ranges: count, then fill.
+    function packCells(count, rangeOf) {
+      const cellStart = new Int32Array(rows * cols + 1);
+      const range = [0, 0, 0, 0];
+      for (let i = 0; i < count; i++) {
+        if (!rangeOf(i, range)) continue;
+        for (let r = range[0]; r <= range[2]; r++) {
+          for (let c = range[1]; c <= range[3]; c++) cellStart[r * cols + c + 1]++;
+        }
+      }
+      for (let k = 0; k < rows * cols; k++) cellStart[k + 1] += cellStart[k];
+      const cellItems = new Int32Array(cellStart[rows * cols]);
+      const fill = cellStart.slice(0, rows * cols);
+      for (let i = 0; i < count; i++) {
+        if (!rangeOf(i, range)) continue;
+        for (let r = range[0]; r <= range[2]; r++) {
+          for (let c = range[1]; c <= range[3]; c++) cellItems[fill[r * cols + c]++] = i;
+        }
+      }
+      return { cellStart, cellItems };
     }
-    const edgeTally = new Int32Array(rows * cols);
-    function _edgeBbox(i) {
+
+    const nodeCells = packCells(nodeCount, (i, out) => {
+      if (!nodeWalkable[i]) return false;
+      out[0] = out[2] = rowOf(nodeLat[i]);
+      out[1] = out[3] = colOf(nodeLng[i]);
+      return true;
+    });
+    const edgeCells = packCells(edgeCount, (i, out) => {
+      if (!edgeWalkable[i]) return false;
       const p = edgePolylines[i];
+      let lo0, lo1, hi0, hi1;
       if (!p || p.length < 4) {
         const sLat = nodeLat[srcIdx[i]], sLng = nodeLng[srcIdx[i]];
         const tLat = nodeLat[tgtIdx[i]], tLng = nodeLng[tgtIdx[i]];
-        return [Math.min(sLat, tLat), Math.min(sLng, tLng), Math.max(sLat, tLat), Math.max(sLng, tLng)];
-      }
-      let lo0 = Infinity, lo1 = Infinity, hi0 = -Infinity, hi1 = -Infinity;
-      for (let k = 0; k < p.length; k += 2) {
-        const a = p[k], b = p[k + 1];
-        if (a < lo0) lo0 = a; if (a > hi0) hi0 = a;
-        if (b < lo1) lo1 = b; if (b > hi1) hi1 = b;
-      }
-      return [lo0, lo1, hi0, hi1];
-    }
-    function _edgeCellRange(bbox) {
-      const r0 = clamp(((bbox[0] - minLat) / cellLat) | 0, 0, rows - 1);
-      const c0 = clamp(((bbox[1] - minLng) / cellLng) | 0, 0, cols - 1);
-      const r1 = clamp(((bbox[2] - minLat) / cellLat) | 0, 0, rows - 1);
-      const c1 = clamp(((bbox[3] - minLng) / cellLng) | 0, 0, cols - 1);
-      return [r0, c0, r1, c1];
-    }
-    for (let i = 0; i < edgeCount; i++) {
-      if (!edgeWalkable[i]) continue;
-      const [r0, c0, r1, c1] = _edgeCellRange(_edgeBbox(i));
-      for (let r = r0; r <= r1; r++) {
-        for (let c = c0; c <= c1; c++) edgeTally[r * cols + c]++;
-      }
-    }
-    const edgeCells = new Array(rows * cols);
-    for (let k = 0; k < edgeCells.length; k++) edgeCells[k] = new Int32Array(edgeTally[k]);
-    const edgeCur = new Int32Array(rows * cols);
-    for (let i = 0; i < edgeCount; i++) {
-      if (!edgeWalkable[i]) continue;
-      const [r0, c0, r1, c1] = _edgeCellRange(_edgeBbox(i));
-      for (let r = r0; r <= r1; r++) {
-        for (let c = c0; c <= c1; c++) {
-          const cellIdx = r * cols + c;
-          edgeCells[cellIdx][edgeCur[cellIdx]++] = i;
+        lo0 = Math.min(sLat, tLat); hi0 = Math.max(sLat, tLat);
+        lo1 = Math.min(sLng, tLng); hi1 = Math.max(sLng, tLng);
+      } else {
+        lo0 = lo1 = Infinity; hi0 = hi1 = -Infinity;
+        for (let k = 0; k < p.length; k += 2) {
+          const la = p[k], ln = p[k + 1];
+          if (la < lo0) lo0 = la; if (la > hi0) hi0 = la;
+          if (ln < lo1) lo1 = ln; if (ln > hi1) hi1 = ln;
         }
       }
-    }
+      out[0] = rowOf(lo0); out[1] = colOf(lo1);
+      out[2] = rowOf(hi0); out[3] = colOf(hi1);
+      return true;
+    });
 
     // Cumulative segment lengths per edge (degrees, planar) — used to convert
     // the snapped (segment, t) pair into a single fraction along the whole edge.
@@ -255,9 +584,18 @@ function loadBundle(filePath) {
       edgeId, edgeLengthM, edgeFullname, edgeMtfcc, edgePolylines,
       srcIdx, tgtIdx,
       edgeWalkable, edgeSegCum, edgeSegTotal,
-      grid: { minLat, minLng, cellLat, cellLng, rows, cols, cells },
-      edgeGrid: { cells: edgeCells },
+      schemaVersion,
+      edgeSurface, edgeBikeOneway, edgeStep,
+      edgeAttributes: attrCols,
+      grid: { minLat, minLng, cellLat: GRID_CELL_LAT, cellLng: GRID_CELL_LNG, rows, cols },
+      nodeCells,
+      edgeCells,
+      // Per-edge visit stamps so a nearest-edge scan evaluates an edge that
+      // spans several cells only once (no per-call Set).
+      _edgeSeen: new Uint32Array(edgeCount),
+      _edgeSeenEpoch: 0,
       meta,
+      overlay: overlayInfo,
       walkingPaceMps: parseFloat(meta.walking_pace_mps) || 1.4,
     };
   } finally {
@@ -267,40 +605,141 @@ function loadBundle(filePath) {
 
 function clamp(v, lo, hi) { return v < lo ? lo : v > hi ? hi : v; }
 
+// Per-edge Dijkstra cost for a named profile. Built on first use and cached
+// on the bundle (one Float64Array per profile, ~140 KB each). The default
+// profile is edgeLengthM itself so the shortest-path case allocates nothing.
+function profileCosts(b, profileName) {
+  const name = profileName || DEFAULT_PROFILE;
+  const profile = ROUTING_PROFILES[name];
+  if (!profile) return null;
+  if (name === DEFAULT_PROFILE) return b.edgeLengthM;
+  if (!b._profileCosts) b._profileCosts = new Map();
+  let costs = b._profileCosts.get(name);
+  if (costs) return costs;
+  costs = new Float64Array(b.edgeCount);
+  for (let i = 0; i < b.edgeCount; i++) {
+    const m = b.edgeMtfcc[i];
+    let f = m != null && Object.prototype.hasOwnProperty.call(profile.mtfcc, m)
+      ? profile.mtfcc[m]
+      : profile.fallback;
+    if (profile.step != null && b.edgeStep && b.edgeStep[i]) f = Math.max(f, profile.step);
+    if (profile.surface && b.edgeSurface) {
+      const sf = b.edgeSurface[i];
+      if (sf && Object.prototype.hasOwnProperty.call(profile.surface, sf)) f = Math.max(f, profile.surface[sf]);
+    }
+    costs[i] = b.edgeLengthM[i] * f;
+  }
+  b._profileCosts.set(name, costs);
+  return costs;
+}
+
+// Cost of walking `fraction` of an edge the endpoint is already bound to.
+// An impassable edge under the active profile still has to be walked off
+// (the stop sits on it), so fall back to its true length in that case.
+function _partialCost(b, costs, eIdx, fraction) {
+  const c = costs[eIdx];
+  return fraction * (Number.isFinite(c) ? c : b.edgeLengthM[eIdx]);
+}
+
 // ── KNN snap (planar SRID-4269 degree distance — matches tiger.<-> semantic) ─
 
-function nearestWalkableNode(b, lat, lng) {
+// Exact nearest-item search over one of the packed cell lists. Visits cells
+// in Chebyshev rings around the query's cell; visit(item) scores an item and
+// returns its squared planar-degree distance. Stops once no unvisited cell
+// can hold anything closer than the best score, or the search has passed
+// maxDeg (SNAP_MAX_DEG by default). Returns the best squared distance
+// (Infinity if none).
+function _gridNearest(b, cells, lat, lng, visit, maxDeg = SNAP_MAX_DEG) {
   const g = b.grid;
-  const centerRow = clamp(((lat - g.minLat) / g.cellLat) | 0, 0, g.rows - 1);
-  const centerCol = clamp(((lng - g.minLng) / g.cellLng) | 0, 0, g.cols - 1);
-  let best = -1;
+  const cr = clamp(Math.floor((lat - g.minLat) / g.cellLat), 0, g.rows - 1);
+  const cc = clamp(Math.floor((lng - g.minLng) / g.cellLng), 0, g.cols - 1);
+  const { cellStart, cellItems } = cells;
+  const maxD2 = maxDeg * maxDeg;
   let bestD2 = Infinity;
-  for (let ring = 0; ring <= 16; ring++) {
-    const r0 = Math.max(0, centerRow - ring);
-    const r1 = Math.min(g.rows - 1, centerRow + ring);
-    const c0 = Math.max(0, centerCol - ring);
-    const c1 = Math.min(g.cols - 1, centerCol + ring);
-    for (let r = r0; r <= r1; r++) {
-      for (let c = c0; c <= c1; c++) {
-        if (ring > 0 && r !== r0 && r !== r1 && c !== c0 && c !== c1) continue;
-        const cell = g.cells[r * g.cols + c];
-        for (let j = 0; j < cell.length; j++) {
-          const idx = cell[j];
-          const dlat = b.nodeLat[idx] - lat;
-          const dlng = b.nodeLng[idx] - lng;
-          const d2 = dlat * dlat + dlng * dlng;
-          if (d2 < bestD2) { bestD2 = d2; best = idx; }
+  for (let ring = 0; ; ring++) {
+    const r0 = cr - ring, r1 = cr + ring, c0 = cc - ring, c1 = cc + ring;
+    const rLo = Math.max(0, r0), rHi = Math.min(g.rows - 1, r1);
+    const cLo = Math.max(0, c0), cHi = Math.min(g.cols - 1, c1);
+    for (let r = rLo; r <= rHi; r++) {
+      const fullRow = r === r0 || r === r1;
+      for (let c = cLo; c <= cHi; c++) {
+        if (!fullRow && c !== c0 && c !== c1) continue;
+        const k = r * g.cols + c;
+        for (let j = cellStart[k]; j < cellStart[k + 1]; j++) {
+          const d2 = visit(cellItems[j]);
+          if (d2 < bestD2) bestD2 = d2;
         }
       }
     }
-    if (best >= 0 && ring >= 1) return best;
+    // Closest any cell beyond this ring's block can be, per side. A side
+    // already at the grid border has nothing beyond it.
+    let lb = Infinity;
+    if (r1 < g.rows - 1) lb = Math.min(lb, g.minLat + (r1 + 1) * g.cellLat - lat);
+    if (r0 > 0) lb = Math.min(lb, lat - (g.minLat + r0 * g.cellLat));
+    if (c1 < g.cols - 1) lb = Math.min(lb, g.minLng + (c1 + 1) * g.cellLng - lng);
+    if (c0 > 0) lb = Math.min(lb, lng - (g.minLng + c0 * g.cellLng));
+    if (lb === Infinity) break;
+    if (lb < 0) lb = 0;
+    if (lb * lb >= bestD2 || lb * lb > maxD2) break;
+  }
+  return bestD2;
+}
+
+function nearestWalkableNode(b, lat, lng) {
+  let best = -1;
+  let bestD2 = Infinity;
+  _gridNearest(b, b.nodeCells, lat, lng, (idx) => {
+    const dlat = b.nodeLat[idx] - lat;
+    const dlng = b.nodeLng[idx] - lng;
+    const d2 = dlat * dlat + dlng * dlng;
+    if (d2 < bestD2) { bestD2 = d2; best = idx; }
+    return d2;
+  });
+  return bestD2 <= SNAP_MAX_DEG * SNAP_MAX_DEG ? best : -1;
+}
+
+// Closest point of edge `ei`'s polyline to (lat, lng) in planar degrees:
+// { d2, footLat, footLng, seg, t } (seg = -1 / d2 = Infinity on a
+// degenerate polyline).
+function _projectOntoEdge(b, ei, lat, lng) {
+  const p = b.edgePolylines[ei];
+  const segCount = p && p.length >= 4 ? (p.length / 2) - 1 : 0;
+  const out = { d2: Infinity, footLat: 0, footLng: 0, seg: -1, t: 0 };
+  for (let s = 0; s < segCount; s++) {
+    const aLat = p[2 * s], aLng = p[2 * s + 1];
+    const bLat = p[2 * (s + 1)], bLng = p[2 * (s + 1) + 1];
+    const dlat = bLat - aLat;
+    const dlng = bLng - aLng;
+    const segLen2 = dlat * dlat + dlng * dlng;
+    let t = 0;
+    if (segLen2 > 0) {
+      t = ((lat - aLat) * dlat + (lng - aLng) * dlng) / segLen2;
+      if (t < 0) t = 0; else if (t > 1) t = 1;
+    }
+    const footLat = aLat + t * dlat;
+    const footLng = aLng + t * dlng;
+    const ddl = lat - footLat;
+    const ddg = lng - footLng;
+    const d2 = ddl * ddl + ddg * ddg;
+    if (d2 < out.d2) {
+      out.d2 = d2; out.footLat = footLat; out.footLng = footLng; out.seg = s; out.t = t;
+    }
   }
-  return best >= 0 ? best : -1;
+  return out;
+}
+
+// (segment, t) from _projectOntoEdge → fraction along the whole edge.
+function _segToFraction(b, ei, seg, t) {
+  const cum = b.edgeSegCum[ei];
+  const total = b.edgeSegTotal[ei];
+  if (!cum || !(total > 0) || seg < 0) return 0;
+  const segLen = cum[seg + 1] - cum[seg];
+  return clamp((cum[seg] + t * segLen) / total, 0, 1);
 }
 
 // S214 — Edge-foot snap. Finds the perpendicular projection of (lat,lng) onto
 // the nearest walkable TigerLine edge polyline. Returns null if no edge found
-// within the search rings.
+// within SNAP_MAX_DEG.
 //
 // Result shape:
 //   { edge_idx, edge_id, fraction (0..1 along whole edge), snap_lat, snap_lng,
@@ -309,76 +748,30 @@ function nearestWalkableNode(b, lat, lng) {
 // Used by the admin tour-waypoint placement / drag-drop flow so every saved
 // waypoint sits on a routable edge.
 function nearestWalkableEdge(b, lat, lng) {
-  const g = b.grid;
-  const eg = b.edgeGrid;
-  if (!eg) return null;
-  const centerRow = clamp(((lat - g.minLat) / g.cellLat) | 0, 0, g.rows - 1);
-  const centerCol = clamp(((lng - g.minLng) / g.cellLng) | 0, 0, g.cols - 1);
   let bestIdx = -1;
   let bestD2 = Infinity;
   let bestFootLat = 0, bestFootLng = 0;
   let bestSeg = -1;
   let bestT = 0;
-  // Track candidates seen this scan so we don't re-evaluate an edge that lives
-  // in multiple cells (large/diagonal edges spill across cells).
-  const seen = new Set();
-  for (let ring = 0; ring <= 16; ring++) {
-    const r0 = Math.max(0, centerRow - ring);
-    const r1 = Math.min(g.rows - 1, centerRow + ring);
-    const c0 = Math.max(0, centerCol - ring);
-    const c1 = Math.min(g.cols - 1, centerCol + ring);
-    for (let r = r0; r <= r1; r++) {
-      for (let c = c0; c <= c1; c++) {
-        if (ring > 0 && r !== r0 && r !== r1 && c !== c0 && c !== c1) continue;
-        const cell = eg.cells[r * g.cols + c];
-        for (let j = 0; j < cell.length; j++) {
-          const ei = cell[j];
-          if (seen.has(ei)) continue;
-          seen.add(ei);
-          const p = b.edgePolylines[ei];
-          const segCount = p && p.length >= 4 ? (p.length / 2) - 1 : 0;
-          if (segCount === 0) continue;
-          for (let s = 0; s < segCount; s++) {
-            const aLat = p[2 * s], aLng = p[2 * s + 1];
-            const bLat = p[2 * (s + 1)], bLng = p[2 * (s + 1) + 1];
-            const dlat = bLat - aLat;
-            const dlng = bLng - aLng;
-            const segLen2 = dlat * dlat + dlng * dlng;
-            let t = 0;
-            if (segLen2 > 0) {
-              t = ((lat - aLat) * dlat + (lng - aLng) * dlng) / segLen2;
-              if (t < 0) t = 0; else if (t > 1) t = 1;
-            }
-            const footLat = aLat + t * dlat;
-            const footLng = aLng + t * dlng;
-            const ddl = lat - footLat;
-            const ddg = lng - footLng;
-            const d2 = ddl * ddl + ddg * ddg;
-            if (d2 < bestD2) {
-              bestD2 = d2; bestIdx = ei;
-              bestFootLat = footLat; bestFootLng = footLng;
-              bestSeg = s; bestT = t;
-            }
-          }
-        }
-      }
+  // Edges spanning several cells are listed in each; the epoch stamp makes
+  // sure each is scored once per call.
+  if (++b._edgeSeenEpoch === 0xffffffff) { b._edgeSeen.fill(0); b._edgeSeenEpoch = 1; }
+  const epoch = b._edgeSeenEpoch;
+  const seen = b._edgeSeen;
+  _gridNearest(b, b.edgeCells, lat, lng, (ei) => {
+    if (seen[ei] === epoch) return Infinity;
+    seen[ei] = epoch;
+    const f = _projectOntoEdge(b, ei, lat, lng);
+    if (f.d2 < bestD2) {
+      bestD2 = f.d2; bestIdx = ei;
+      bestFootLat = f.footLat; bestFootLng = f.footLng;
+      bestSeg = f.seg; bestT = f.t;
     }
-    // Once we have any hit, expand one more ring so a marginally-farther edge
-    // in a neighboring cell can still beat the current best, then stop. Same
-    // pattern as nearestWalkableNode.
-    if (bestIdx >= 0 && ring >= 1) break;
-  }
-  if (bestIdx < 0) return null;
+    return f.d2;
+  });
+  if (bestIdx < 0 || bestD2 > SNAP_MAX_DEG * SNAP_MAX_DEG) return null;
 
-  // Convert (segment, t) → fraction along the whole edge.
-  const cum = b.edgeSegCum[bestIdx];
-  const total = b.edgeSegTotal[bestIdx];
-  let fraction = 0;
-  if (cum && total > 0) {
-    const segLen = cum[bestSeg + 1] - cum[bestSeg];
-    fraction = (cum[bestSeg] + bestT * segLen) / total;
-    if (fraction < 0) fraction = 0; else if (fraction > 1) fraction = 1;
-  }
+  const fraction = _segToFraction(b, bestIdx, bestSeg, bestT);
 
   const snapM = _haversineMSimple(lat, lng, bestFootLat, bestFootLng);
   return {
@@ -396,6 +789,19 @@ function nearestWalkableEdge(b, lat, lng) {
   };
 }
 
+// v2 per-edge attributes for route `edges` entries. null (spreads to
+// nothing) on v1 bundles so the response shape there is unchanged.
+// bike_oneway is as baked (relative to the edge's source → target), not to
+// the direction walked.
+function _edgeAttrs(b, eIdx) {
+  if (!b.edgeAttributes.length) return null;
+  const out = {};
+  if (b.edgeSurface) out.surface = b.edgeSurface[eIdx];
+  if (b.edgeStep) out.step = b.edgeStep[eIdx] === 1;
+  if (b.edgeBikeOneway) out.bike_oneway = b.edgeBikeOneway[eIdx];
+  return out;
+}
+
 // ── Dijkstra (mirrors Router.kt) ────────────────────────────────────────────
 
 class MinHeap {
@@ -440,7 +846,7 @@ class MinHeap {
   }
 }
 
-function routeBetween(b, sIdx, tIdx) {
+function routeBetween(b, sIdx, tIdx, costs = b.edgeLengthM) {
   if (sIdx === tIdx) return { geometry: [], distanceM: 0, durationS: 0, edges: [] };
 
   const n = b.nodeCount;
@@ -464,7 +870,7 @@ function routeBetween(b, sIdx, tIdx) {
     for (let k = start; k < end; k++) {
       const v = b.adjNeighbor[k];
       const eIdx = b.adjEdgeIdx[k];
-      const nd = d + b.edgeLengthM[eIdx];
+      const nd = d + costs[eIdx];
       if (nd < dist[v]) {
         dist[v] = nd;
         prevNode[v] = u;
@@ -489,7 +895,7 @@ function routeBetween(b, sIdx, tIdx) {
   edgeStack.reverse();
   reversedStack.reverse();
 
-  const steps = [];
+  const edges = [];
   const geometry = [];
   let totalM = 0;
   for (let i = 0; i < edgeStack.length; i++) {
@@ -505,10 +911,11 @@ function routeBetween(b, sIdx, tIdx) {
     } else {
       for (let p = packed.length - 2; p >= 0; p -= 2) polyline.push([packed[p], packed[p + 1]]);
     }
-    steps.push({
+    edges.push({
       edge_id: b.edgeId[eIdx],
       fullname: b.edgeFullname[eIdx],
       mtfcc: b.edgeMtfcc[eIdx],
+      ..._edgeAttrs(b, eIdx),
       length_m: lengthM,
       polyline,
     });
@@ -523,15 +930,15 @@ function routeBetween(b, sIdx, tIdx) {
     geometry,
     distanceM: totalM,
     durationS: totalM / b.walkingPaceMps,
-    edges: steps,
+    edges,
   };
 }
 
-function routeBundle(b, fromLat, fromLng, toLat, toLng) {
+function routeBundle(b, fromLat, fromLng, toLat, toLng, costs = b.edgeLengthM) {
   const sIdx = nearestWalkableNode(b, fromLat, fromLng);
   const tIdx = nearestWalkableNode(b, toLat, toLng);
   if (sIdx < 0 || tIdx < 0) return null;
-  return routeBetween(b, sIdx, tIdx);
+  return routeBetween(b, sIdx, tIdx, costs);
 }
 
 // ── Edge-point Dijkstra (S215 Phase 2 of waypoint-binding) ────────────────────
@@ -666,9 +1073,26 @@ function _resolveEndpoint(b, ep) {
   return null;
 }
 
+// Graph entry points for a resolved endpoint: both ends of a bound edge with
+// their partial-edge costs, or the single snapped node at cost 0. The same
+// list doubles as the exit set when the endpoint is a destination.
+function _endpointSeeds(b, ep, costs) {
+  if (ep.edge_idx != null) {
+    const eIdx = ep.edge_idx;
+    return [
+      { idx: b.srcIdx[eIdx], cost: _partialCost(b, costs, eIdx, ep.fraction) },
+      { idx: b.tgtIdx[eIdx], cost: _partialCost(b, costs, eIdx, 1 - ep.fraction) },
+    ];
+  }
+  return [{ idx: ep.node_idx, cost: 0 }];
+}
+
 // Two-pseudo-source Dijkstra: src endpoints are already-relaxed nodes with
-// given initial distances. Returns prev arrays + dist array.
-function _dijkstraTwoSource(b, sources, stopAtSet) {
+// given initial distances. Returns prev arrays + dist array. `costs` is the
+// per-edge weight array (profileCosts); dist[] is in those units. `maxCost`
+// bounds the search (isochrones): nodes beyond it are left unsettled, though
+// their tentative dist[] may still be finite.
+function _dijkstraTwoSource(b, sources, stopAtSet, costs = b.edgeLengthM, maxCost = Infinity) {
   const n = b.nodeCount;
   const dist = new Float64Array(n);
   for (let i = 0; i < n; i++) dist[i] = Infinity;
@@ -689,6 +1113,7 @@ function _dijkstraTwoSource(b, sources, stopAtSet) {
     const top = heap.pop();
     const d = top[0], u = top[1];
     if (d > dist[u]) continue;
+    if (d > maxCost) break;
     if (stopAtSet && stopAtSet.has(u)) {
       stopHits++;
       if (stopHits >= stopWanted) break;
@@ -698,7 +1123,7 @@ function _dijkstraTwoSource(b, sources, stopAtSet) {
     for (let k = start; k < end; k++) {
       const v = b.adjNeighbor[k];
       const eIdx = b.adjEdgeIdx[k];
-      const nd = d + b.edgeLengthM[eIdx];
+      const nd = d + costs[eIdx];
       if (nd < dist[v]) {
         dist[v] = nd;
         prevNode[v] = u;
@@ -757,6 +1182,7 @@ function _reconstructFromDijkstra(b, prevNode, prevEdgeIdx, prevReversed, source
       edge_id: b.edgeId[eIdx],
       fullname: b.edgeFullname[eIdx],
       mtfcc: b.edgeMtfcc[eIdx],
+      ..._edgeAttrs(b, eIdx),
       length_m: lengthM,
       polyline,
     });
@@ -766,7 +1192,7 @@ function _reconstructFromDijkstra(b, prevNode, prevEdgeIdx, prevReversed, source
   return { geometry, edges, distanceM: totalM };
 }
 
-function routeBetweenEdgePoints(b, srcEP, dstEP) {
+function routeBetweenEdgePoints(b, srcEP, dstEP, costs = b.edgeLengthM) {
   const src = _resolveEndpoint(b, srcEP);
   const dst = _resolveEndpoint(b, dstEP);
   if (!src || !dst) return null;
@@ -785,6 +1211,7 @@ function routeBetweenEdgePoints(b, srcEP, dstEP) {
         edge_id: b.edgeId[src.edge_idx],
         fullname: b.edgeFullname[src.edge_idx],
         mtfcc: b.edgeMtfcc[src.edge_idx],
+        ..._edgeAttrs(b, src.edge_idx),
         length_m: distanceM,
         polyline: partial,
       }],
@@ -793,33 +1220,18 @@ function routeBetweenEdgePoints(b, srcEP, dstEP) {
 
   // ── Seed Dijkstra. Edge-point endpoints contribute TWO sources (both edge
   // endpoints, with partial-edge initial costs). Node endpoints contribute one.
-  const sources = [];
-  if (src.edge_idx != null) {
-    const eIdx = src.edge_idx;
-    const L = b.edgeLengthM[eIdx];
-    sources.push({ idx: b.srcIdx[eIdx], cost: src.fraction * L });
-    sources.push({ idx: b.tgtIdx[eIdx], cost: (1 - src.fraction) * L });
-  } else {
-    sources.push({ idx: src.node_idx, cost: 0 });
-  }
+  const sources = _endpointSeeds(b, src, costs);
 
   // ── Build the dst stop-set and partial-cost map.
   const stopAt = new Set();
   const dstPartial = new Map(); // node_idx → partial cost from that endpoint to dst snap
-  if (dst.edge_idx != null) {
-    const eIdx = dst.edge_idx;
-    const L = b.edgeLengthM[eIdx];
-    const u = b.srcIdx[eIdx], v = b.tgtIdx[eIdx];
-    stopAt.add(u); stopAt.add(v);
-    dstPartial.set(u, dst.fraction * L);
-    dstPartial.set(v, (1 - dst.fraction) * L);
-  } else {
-    stopAt.add(dst.node_idx);
-    dstPartial.set(dst.node_idx, 0);
+  for (const seed of _endpointSeeds(b, dst, costs)) {
+    stopAt.add(seed.idx);
+    dstPartial.set(seed.idx, seed.cost);
   }
 
   const { dist, prevNode, prevEdgeIdx, prevReversed } =
-    _dijkstraTwoSource(b, sources, stopAt);
+    _dijkstraTwoSource(b, sources, stopAt, costs);
 
   // ── Pick the dst endpoint with the lowest total cost.
   let bestEntry = -1;
@@ -860,6 +1272,7 @@ function routeBetweenEdgePoints(b, srcEP, dstEP) {
         edge_id: b.edgeId[eIdx],
         fullname: b.edgeFullname[eIdx],
         mtfcc: b.edgeMtfcc[eIdx],
+        ..._edgeAttrs(b, eIdx),
         length_m: tailM,
         polyline: tail,
       });
@@ -890,6 +1303,7 @@ function routeBetweenEdgePoints(b, srcEP, dstEP) {
         edge_id: b.edgeId[eIdx],
         fullname: b.edgeFullname[eIdx],
         mtfcc: b.edgeMtfcc[eIdx],
+        ..._edgeAttrs(b, eIdx),
         length_m: headM,
         polyline: head,
       });
@@ -905,21 +1319,24 @@ function routeBetweenEdgePoints(b, srcEP, dstEP) {
   };
 }
 
+// TigerLine edge_id → router edge_idx (undefined if absent). The map is
+// built on first use and cached on the bundle, so a reload starts fresh.
+function _edgeIdxById(b, edgeId) {
+  if (!b._edgeIdToIdx) {
+    const m = new Map();
+    for (let i = 0; i < b.edgeCount; i++) m.set(b.edgeId[i], i);
+    b._edgeIdToIdx = m;
+  }
+  return b._edgeIdToIdx.get(edgeId);
+}
+
 // Stop-object signature: each stop = { lat, lng, edge_id?, edge_fraction? }.
 // edge_id here is the TigerLine edge_id (from salem_tour_stops), NOT the
 // router-internal edge_idx — we look it up.
 function _stopToEndpoint(b, stop) {
   if (!stop) return null;
   if (stop.edge_id != null && stop.edge_fraction != null) {
-    const eId = +stop.edge_id;
-    // Find edge_idx by scanning edgeId. Cache the lookup on the bundle so
-    // repeated leg computes don't re-scan. ~17K edges → fine to scan once.
-    if (!b._edgeIdToIdx) {
-      const m = new Map();
-      for (let i = 0; i < b.edgeCount; i++) m.set(b.edgeId[i], i);
-      b._edgeIdToIdx = m;
-    }
-    const eIdx = b._edgeIdToIdx.get(eId);
+    const eIdx = _edgeIdxById(b, +stop.edge_id);
     if (eIdx != null) {
       return { edge_idx: eIdx, fraction: +stop.edge_fraction, lat: stop.lat, lng: stop.lng };
     }
@@ -929,11 +1346,588 @@ function _stopToEndpoint(b, stop) {
   return { lat: stop.lat, lng: stop.lng };
 }
 
-function routeBundleEx(b, srcStop, dstStop) {
+function routeBundleEx(b, srcStop, dstStop, costs = b.edgeLengthM) {
+  const srcEP = _stopToEndpoint(b, srcStop);
+  const dstEP = _stopToEndpoint(b, dstStop);
+  if (!srcEP || !dstEP) return null;
+  return routeBetweenEdgePoints(b, srcEP, dstEP, costs);
+}
+
+// ── Alternative routes ──────────────────────────────────────────────────────
+//
+// Iterative penalty method on top of routeBetweenEdgePoints: after each
+// Dijkstra, every edge that route used gets ALT_PENALTY× more expensive, so
+// the next search drifts onto other streets. A candidate is kept only if its
+// (profile) cost is within ALT_MAX_STRETCH of the best route and no more than
+// maxOverlapPct of its length is shared with any route already kept.
+
+// Profile cost of a routed result, counting partial snap edges pro rata.
+function _routeCost(b, r, costs) {
+  let total = 0;
+  for (const e of r.edges) {
+    const idx = _edgeIdxById(b, e.edge_id);
+    if (idx == null || !(b.edgeLengthM[idx] > 0)) { total += e.length_m; continue; }
+    const c = costs[idx];
+    total += (e.length_m / b.edgeLengthM[idx]) * (Number.isFinite(c) ? c : b.edgeLengthM[idx]);
+  }
+  return total;
+}
+
+// Best route plus up to `n` alternatives between two stop objects. Returns
+// null if the endpoints can't be resolved, else
+//   [{ route, rank, cost, overlapPct, stretch }]  (rank 0 = best)
+// overlapPct is the largest share of this route's metres found on any
+// better-ranked route; stretch is its distance ÷ the best route's.
+function alternativeRoutesEx(b, srcStop, dstStop, n, costs = b.edgeLengthM, maxOverlapPct = ALT_DEFAULT_MAX_OVERLAP_PCT) {
   const srcEP = _stopToEndpoint(b, srcStop);
   const dstEP = _stopToEndpoint(b, dstStop);
   if (!srcEP || !dstEP) return null;
-  return routeBetweenEdgePoints(b, srcEP, dstEP);
+  const best = routeBetweenEdgePoints(b, srcEP, dstEP, costs);
+  if (!best) return null;
+  const idsOf = (r) => new Set(r.edges.map((e) => e.edge_id));
+  const kept = [{ route: best, rank: 0, cost: _routeCost(b, best, costs), overlapPct: 0, stretch: 1, ids: idsOf(best) }];
+  if (n <= 0 || best.geometry.length < 2) return kept;
+
+  const penalized = Float64Array.from(costs);
+  let last = best;
+  for (let it = 0; it < ALT_MAX_ITERATIONS && kept.length <= n; it++) {
+    for (const e of last.edges) {
+      const idx = _edgeIdxById(b, e.edge_id);
+      if (idx != null) penalized[idx] *= ALT_PENALTY;
+    }
+    const cand = routeBetweenEdgePoints(b, srcEP, dstEP, penalized);
+    if (!cand || cand.geometry.length < 2 || !(cand.distanceM > 0)) break;
+    last = cand;
+    const cost = _routeCost(b, cand, costs);
+    if (cost > kept[0].cost * ALT_MAX_STRETCH) continue;
+    let overlapPct = 0;
+    for (const k of kept) {
+      let shared = 0;
+      for (const e of cand.edges) if (k.ids.has(e.edge_id)) shared += e.length_m;
+      overlapPct = Math.max(overlapPct, (shared / cand.distanceM) * 100);
+    }
+    if (overlapPct > maxOverlapPct) continue;
+    kept.push({
+      route: cand,
+      rank: kept.length,
+      cost,
+      overlapPct: Math.round(overlapPct * 10) / 10,
+      stretch: Math.round((cand.distanceM / best.distanceM) * 1000) / 1000,
+      ids: idsOf(cand),
+    });
+  }
+  return kept.map(({ ids, ...k }) => k);
+}
+
+// ── Stop-order optimization ─────────────────────────────────────────────────
+//
+// N×N walking cost matrix between stop objects (same shape routeBundleEx
+// takes). One Dijkstra per source stop, stopping once every other stop's
+// entry nodes are settled — N searches, not N² point-to-point routes.
+// Returns { matrix: Float64Array (row-major, profile cost units), unresolved:
+// [stop indices that couldn't be snapped] }.
+function stopCostMatrix(b, stops, costs = b.edgeLengthM) {
+  const n = stops.length;
+  const eps = stops.map((s) => _resolveEndpoint(b, _stopToEndpoint(b, s)));
+  const unresolved = [];
+  eps.forEach((ep, i) => { if (!ep) unresolved.push(i); });
+  const matrix = new Float64Array(n * n).fill(Infinity);
+  if (unresolved.length) return { matrix, unresolved };
+
+  const seeds = eps.map((ep) => _endpointSeeds(b, ep, costs));
+  const targets = new Set();
+  for (const list of seeds) for (const s of list) targets.add(s.idx);
+
+  for (let i = 0; i < n; i++) {
+    const { dist } = _dijkstraTwoSource(b, seeds[i], targets, costs);
+    for (let j = 0; j < n; j++) {
+      if (i === j) { matrix[i * n + j] = 0; continue; }
+      let best = Infinity;
+      for (const s of seeds[j]) {
+        const c = dist[s.idx] + s.cost;
+        if (c < best) best = c;
+      }
+      // Two stops on the same edge can also just walk the edge between them.
+      const a = eps[i], c = eps[j];
+      if (a.edge_idx != null && a.edge_idx === c.edge_idx) {
+        const direct = _partialCost(b, costs, a.edge_idx, Math.abs(a.fraction - c.fraction));
+        if (direct < best) best = direct;
+      }
+      matrix[i * n + j] = best;
+    }
+  }
+  return { matrix, unresolved };
+}
+
+// ── Source × target walking matrix ──────────────────────────────────────────
+//
+// Unlike stopCostMatrix (one list, profile cost units, for the optimizer)
+// this answers real walked metres between two separate lists. Each source
+// gets one Dijkstra that stops once every target's entry nodes are settled;
+// metres are summed back along the cost-optimal path, so a profile changes
+// which way is walked but distances stay true lengths.
+
+// Resolves stop objects for the matrix. Each entry is null (unsnappable) or
+// { ep, seeds: [{ idx, cost, metres }] } — _endpointSeeds plus the real
+// length of the partial edge.
+function _matrixEndpoints(b, stops, costs) {
+  return stops.map((s) => {
+    const ep = _resolveEndpoint(b, _stopToEndpoint(b, s));
+    if (!ep) return null;
+    const seeds = _endpointSeeds(b, ep, costs).map((seed) => ({ ...seed, metres: 0 }));
+    if (ep.edge_idx != null) {
+      seeds[0].metres = ep.fraction * b.edgeLengthM[ep.edge_idx];
+      seeds[1].metres = (1 - ep.fraction) * b.edgeLengthM[ep.edge_idx];
+    }
+    return { ep, seeds };
+  });
+}
+
+// Prepares a matrix run: resolved sources / targets plus the shared stop
+// set. Rows are then computed one at a time with matrixRow so the HTTP
+// handler can stream them.
+function prepareMatrix(b, sources, targets, costs = b.edgeLengthM) {
+  const src = _matrixEndpoints(b, sources, costs);
+  const dst = _matrixEndpoints(b, targets, costs);
+  const stopAt = new Set();
+  for (const t of dst) if (t) for (const s of t.seeds) stopAt.add(s.idx);
+  return { src, dst, stopAt, costs };
+}
+
+// Walking metres from source i to every target (Infinity = unreachable or
+// unsnappable). Returns null when the source itself can't be snapped.
+function matrixRow(b, m, i) {
+  const from = m.src[i];
+  if (!from) return null;
+  const row = new Float64Array(m.dst.length).fill(Infinity);
+  const { dist, prevNode, prevEdgeIdx } = _dijkstraTwoSource(b, from.seeds, m.stopAt, m.costs);
+  const rootMetres = new Map(from.seeds.map((s) => [s.idx, s.metres]));
+  const metresTo = (node) => {
+    let total = 0;
+    let cur = node;
+    while (prevNode[cur] !== -1) {
+      total += b.edgeLengthM[prevEdgeIdx[cur]];
+      cur = prevNode[cur];
+    }
+    return total + (rootMetres.get(cur) || 0);
+  };
+  for (let j = 0; j < m.dst.length; j++) {
+    const to = m.dst[j];
+    if (!to) continue;
+    let bestCost = Infinity;
+    let best = null;
+    for (const s of to.seeds) {
+      const c = dist[s.idx] + s.cost;
+      if (c < bestCost) { bestCost = c; best = s; }
+    }
+    let metres = best ? metresTo(best.idx) + best.metres : Infinity;
+    // Two points on the same edge can also just walk the edge between them.
+    const a = from.ep, c = to.ep;
+    if (a.edge_idx != null && a.edge_idx === c.edge_idx) {
+      const frac = Math.abs(a.fraction - c.fraction);
+      if (_partialCost(b, m.costs, a.edge_idx, frac) <= bestCost) metres = frac * b.edgeLengthM[a.edge_idx];
+    }
+    row[j] = metres;
+  }
+  return row;
+}
+
+// Whole matrix in one call, for in-process callers. distancesM is
+// row-major sources × targets; rows of unsnappable sources are Infinity.
+function routeMatrix(b, sources, targets, costs = b.edgeLengthM) {
+  const m = prepareMatrix(b, sources, targets, costs);
+  const T = targets.length;
+  const distancesM = new Float64Array(sources.length * T).fill(Infinity);
+  for (let i = 0; i < sources.length; i++) {
+    const row = matrixRow(b, m, i);
+    if (row) distancesM.set(row, i * T);
+  }
+  return {
+    distancesM,
+    unresolvedSources: m.src.flatMap((x, i) => (x ? [] : [i])),
+    unresolvedTargets: m.dst.flatMap((x, i) => (x ? [] : [i])),
+  };
+}
+
+// ── Map-matching ────────────────────────────────────────────────────────────
+//
+// Newson & Krumm style HMM: each GPS fix's hidden state is a position on one
+// of its nearby walkable edges. Emission = Gaussian on the fix → edge
+// distance; transition = exponential on |network walk − straight line|
+// between consecutive fixes. lib/map-match.js runs the segmented Viterbi and
+// posteriors; this side supplies candidates, walks and the matched path.
+
+// Walkable edges within radiusM of (lat, lng), nearest first, at most
+// `max`: [{ edge_idx, fraction, snap_lat, snap_lng, dist_m }].
+function edgesWithin(b, lat, lng, radiusM, max) {
+  const mPerDegLng = 111320 * Math.cos((lat * Math.PI) / 180);
+  const found = [];
+  if (++b._edgeSeenEpoch === 0xffffffff) { b._edgeSeen.fill(0); b._edgeSeenEpoch = 1; }
+  const epoch = b._edgeSeenEpoch;
+  const seen = b._edgeSeen;
+  _gridNearest(b, b.edgeCells, lat, lng, (ei) => {
+    if (seen[ei] === epoch || !b.edgeWalkable[ei]) return Infinity;
+    seen[ei] = epoch;
+    const f = _projectOntoEdge(b, ei, lat, lng);
+    if (f.seg < 0) return Infinity;
+    const distM = _haversineMSimple(lat, lng, f.footLat, f.footLng);
+    if (distM <= radiusM) {
+      found.push({
+        edge_idx: ei,
+        fraction: _segToFraction(b, ei, f.seg, f.t),
+        snap_lat: f.footLat,
+        snap_lng: f.footLng,
+        dist_m: distM,
+      });
+    }
+    return f.d2;
+  }, radiusM / mPerDegLng);
+  found.sort((x, y) => x.dist_m - y.dist_m);
+  return found.slice(0, max);
+}
+
+// Bounded Dijkstra over real metres from an edge position, with sparse
+// state so thousands of short per-fix searches don't each allocate
+// node-count arrays. Returns { dist: Map node → m, prev: Map node →
+// [prevNode, edgeIdx] } for nodes within maxM; stops early once every
+// node in stopAt is settled.
+function _localSearch(b, from, stopAt, maxM) {
+  const dist = new Map();
+  const prev = new Map();
+  const heap = new MinHeap();
+  for (const s of _endpointSeeds(b, from, b.edgeLengthM)) {
+    if (s.cost <= maxM && !(dist.get(s.idx) <= s.cost)) {
+      dist.set(s.idx, s.cost);
+      heap.push(s.cost, s.idx);
+    }
+  }
+  const settled = new Set();
+  let hits = 0;
+  while (heap.size > 0) {
+    const [d, u] = heap.pop();
+    if (settled.has(u) || d > dist.get(u)) continue;
+    settled.add(u);
+    if (stopAt.has(u) && ++hits >= stopAt.size) break;
+    for (let k = b.edgeOffset[u]; k < b.edgeOffset[u + 1]; k++) {
+      const v = b.adjNeighbor[k];
+      const eIdx = b.adjEdgeIdx[k];
+      const nd = d + b.edgeLengthM[eIdx];
+      if (nd > maxM) continue;
+      const cur = dist.get(v);
+      if (cur === undefined || nd < cur) {
+        dist.set(v, nd);
+        prev.set(v, [u, eIdx]);
+        heap.push(nd, v);
+      }
+    }
+  }
+  return { dist, prev };
+}
+
+// Walk between two candidates given a _localSearch from `from`: { m, entry }
+// where entry is the node `to` was entered from (null for a same-edge move).
+function _candidateWalk(b, search, from, to) {
+  let best = { m: Infinity, entry: null };
+  if (from.edge_idx === to.edge_idx) {
+    best = { m: Math.abs(from.fraction - to.fraction) * b.edgeLengthM[to.edge_idx], entry: null };
+  }
+  for (const s of _endpointSeeds(b, to, b.edgeLengthM)) {
+    const d = search.dist.get(s.idx);
+    if (d !== undefined && d + s.cost < best.m) best = { m: d + s.cost, entry: s.idx };
+  }
+  return best;
+}
+
+// Appends the matched walk from candidate `from` to `to` onto `out`
+// ({ edges: [edge idx, walked m] runs, geometry }).
+function _appendMatchedWalk(b, from, to, maxM, out) {
+  const pushEdge = (eIdx, m, poly) => {
+    const last = out.edges[out.edges.length - 1];
+    if (last && last[0] === eIdx) last[1] += m;
+    else out.edges.push([eIdx, m]);
+    for (let k = out.geometry.length ? 1 : 0; k < poly.length; k++) out.geometry.push(poly[k]);
+  };
+  const stopAt = new Set([b.srcIdx[to.edge_idx], b.tgtIdx[to.edge_idx]]);
+  const search = _localSearch(b, from, stopAt, maxM);
+  const walk = _candidateWalk(b, search, from, to);
+  if (walk.entry == null) {
+    pushEdge(to.edge_idx, walk.m, edgePartialPolyline(b, to.edge_idx, from.fraction, to.fraction));
+    return walk.m;
+  }
+  const chain = [];
+  let cur = walk.entry;
+  while (search.prev.has(cur)) {
+    const [p, eIdx] = search.prev.get(cur);
+    chain.push([p, eIdx, cur]);
+    cur = p;
+  }
+  chain.reverse();
+  const exitFrac = cur === b.srcIdx[from.edge_idx] ? 0 : 1;
+  pushEdge(from.edge_idx, Math.abs(exitFrac - from.fraction) * b.edgeLengthM[from.edge_idx],
+    edgePartialPolyline(b, from.edge_idx, from.fraction, exitFrac));
+  for (const [u, eIdx, v] of chain) {
+    const forward = b.srcIdx[eIdx] === u && b.tgtIdx[eIdx] === v;
+    pushEdge(eIdx, b.edgeLengthM[eIdx], edgePartialPolyline(b, eIdx, forward ? 0 : 1, forward ? 1 : 0));
+  }
+  const entryFrac = walk.entry === b.srcIdx[to.edge_idx] ? 0 : 1;
+  pushEdge(to.edge_idx, Math.abs(to.fraction - entryFrac) * b.edgeLengthM[to.edge_idx],
+    edgePartialPolyline(b, to.edge_idx, entryFrac, to.fraction));
+  return walk.m;
+}
+
+// Per-step bound on the network walk between fixes t-1 and t.
+function _matchMaxWalk(points, t, straightM, searchM) {
+  let maxM = straightM + 2 * searchM + MATCH_MAX_DETOUR_M;
+  const dt = points[t].time != null && points[t - 1].time != null
+    ? (points[t].time - points[t - 1].time) / 1000 : null;
+  if (dt != null && dt > 0) maxM = Math.min(maxM, MATCH_MAX_SPEED_MPS * dt + 2 * searchM);
+  return maxM;
+}
+
+/**
+ * Map-matches `points` ([{ lat, lng, time? (epoch ms) }], in walk order).
+ * opts: { sigmaM, searchM }. Returns
+ *   { points: [{ index, matched, edge_idx, fraction, snap_lat, snap_lng,
+ *                snap_m, confidence, segment }],
+ *     segments: [{ from_point, to_point, distanceM, edges: [[edgeIdx, m]],
+ *                  geometry }],
+ *     gaps: [{ kind: 'off_graph'|'no_path', from_point, to_point,
+ *              unmatched_points, straight_m }] }
+ * An 'off_graph' gap is a run of fixes with no walkable edge within searchM
+ * (missing footpath, or GPS trouble); 'no_path' is two matched fixes the
+ * graph can't connect within the step's walk bound.
+ */
+function matchTrack(b, points, opts = {}) {
+  const sigmaM = opts.sigmaM || MATCH_DEFAULT_SIGMA_M;
+  const searchM = opts.searchM || MATCH_DEFAULT_SEARCH_M;
+  const n = points.length;
+  const cands = points.map((p) => edgesWithin(b, p.lat, p.lng, searchM, MATCH_MAX_CANDIDATES));
+  const emissions = cands.map((list) => list.map((c) => -0.5 * (c.dist_m / sigmaM) ** 2));
+  const trans = new Array(n).fill(null);
+  for (let t = 1; t < n; t++) {
+    if (!cands[t - 1].length || !cands[t].length) continue;
+    const straightM = _haversineMSimple(points[t - 1].lat, points[t - 1].lng, points[t].lat, points[t].lng);
+    const maxM = _matchMaxWalk(points, t, straightM, searchM);
+    const stopAt = new Set();
+    for (const c of cands[t]) { stopAt.add(b.srcIdx[c.edge_idx]); stopAt.add(b.tgtIdx[c.edge_idx]); }
+    trans[t] = cands[t - 1].map((from) => {
+      const search = _localSearch(b, from, stopAt, maxM);
+      return cands[t].map((to) => {
+        const { m } = _candidateWalk(b, search, from, to);
+        return m <= maxM ? -Math.abs(m - straightM) / MATCH_BETA_M : -Infinity;
+      });
+    });
+  }
+
+  const { states, confidence, segments } = viterbiSegments(emissions, trans);
+
+  const outPoints = points.map((p, t) => {
+    const c = states[t] >= 0 ? cands[t][states[t]] : null;
+    return c
+      ? {
+        index: t,
+        matched: true,
+        edge_idx: c.edge_idx,
+        fraction: c.fraction,
+        snap_lat: c.snap_lat,
+        snap_lng: c.snap_lng,
+        snap_m: c.dist_m,
+        confidence: confidence[t],
+        segment: -1,
+      }
+      : { index: t, matched: false, segment: -1 };
+  });
+
+  const outSegments = segments.map(({ start, end }, k) => {
+    const walk = { edges: [], geometry: [] };
+    const first = cands[start][states[start]];
+    walk.geometry.push([first.snap_lat, first.snap_lng]);
+    let distanceM = 0;
+    for (let t = start; t <= end; t++) {
+      outPoints[t].segment = k;
+      if (t === start) continue;
+      const straightM = _haversineMSimple(points[t - 1].lat, points[t - 1].lng, points[t].lat, points[t].lng);
+      distanceM += _appendMatchedWalk(
+        b, cands[t - 1][states[t - 1]], cands[t][states[t]],
+        _matchMaxWalk(points, t, straightM, searchM), walk,
+      );
+    }
+    if (!walk.edges.length) walk.edges.push([first.edge_idx, 0]);
+    return { from_point: start, to_point: end, distanceM, edges: walk.edges, geometry: walk.geometry };
+  });
+
+  // Gaps: every break between consecutive segments, plus unmatched runs at
+  // either end of the track.
+  const gaps = [];
+  const gapBetween = (from, to) => {
+    const lo = from == null ? 0 : from + 1;
+    const hi = to == null ? n - 1 : to - 1;
+    const unmatched = hi >= lo ? hi - lo + 1 : 0;
+    const a = from == null ? points[lo] : points[from];
+    const z = to == null ? points[hi] : points[to];
+    gaps.push({
+      kind: unmatched > 0 ? 'off_graph' : 'no_path',
+      from_point: from,
+      to_point: to,
+      unmatched_points: unmatched,
+      straight_m: a && z ? _haversineMSimple(a.lat, a.lng, z.lat, z.lng) : 0,
+    });
+  };
+  if (!segments.length) {
+    if (n) gapBetween(null, null);
+  } else {
+    if (segments[0].start > 0) gapBetween(null, segments[0].start);
+    for (let k = 1; k < segments.length; k++) gapBetween(segments[k - 1].end, segments[k].start);
+    const last = segments[segments.length - 1].end;
+    if (last < n - 1) gapBetween(last, null);
+  }
+  return { points: outPoints, segments: outSegments, gaps };
+}
+
+// Routes `stops` in the given index order and sums real metres. Returns
+// { legs, distanceM, durationS } or null if any leg fails to route.
+function _routeInOrder(b, stops, order, costs) {
+  const legs = [];
+  let totalM = 0;
+  for (let k = 0; k < order.length - 1; k++) {
+    const from = order[k], to = order[k + 1];
+    const r = routeBundleEx(b, stops[from], stops[to], costs);
+    if (!r) return null;
+    legs.push({
+      from_index: from,
+      to_index: to,
+      distance_m: r.distanceM,
+      duration_s: r.durationS,
+      geometry: r.geometry,
+    });
+    totalM += r.distanceM;
+  }
+  return { legs, distanceM: totalM, durationS: totalM / b.walkingPaceMps };
+}
+
+// Best visiting order for `stops` under the active profile. opts mirrors
+// solveVisitOrder ({ pinStart, pinEnd, roundTrip }). Returns null when a stop
+// can't be snapped, or { feasible: false, ... } when no order connects every
+// stop (isolated graph component).
+function optimizeStopOrder(b, stops, opts, costs = b.edgeLengthM) {
+  const n = stops.length;
+  const { matrix, unresolved } = stopCostMatrix(b, stops, costs);
+  if (unresolved.length) return { feasible: false, unresolved, unreachable: [] };
+
+  const solved = solveVisitOrder(matrix, n, opts);
+  if (!Number.isFinite(solved.cost)) {
+    const unreachable = [];
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) {
+        if (i !== j && !Number.isFinite(matrix[i * n + j])) unreachable.push([i, j]);
+      }
+    }
+    return { feasible: false, unresolved: [], unreachable };
+  }
+
+  const visit = opts.roundTrip ? solved.order.concat(solved.order[0]) : solved.order;
+  const routed = _routeInOrder(b, stops, visit, costs);
+  if (!routed) return { feasible: false, unresolved: [], unreachable: [] };
+
+  // Baseline: the caller's order as given, for the before/after comparison.
+  const inputOrder = stops.map((_, i) => i);
+  if (opts.roundTrip) inputOrder.push(0);
+  const baseline = _routeInOrder(b, stops, inputOrder, costs);
+
+  return {
+    feasible: true,
+    order: solved.order,
+    method: solved.method,
+    cost: solved.cost,
+    legs: routed.legs,
+    distanceM: routed.distanceM,
+    durationS: routed.durationS,
+    inputDistanceM: baseline ? baseline.distanceM : null,
+  };
+}
+
+// ── Isochrones ──────────────────────────────────────────────────────────────
+//
+// "Everything within N minutes' walk" of a point. One length-bounded
+// Dijkstra from the snapped start, then every reachable edge is sampled and
+// rasterized (lib/isochrone.js) into one MultiPolygon per time band.
+//
+// Budgets are true metres (minutes × 60 × walkingPaceMps). The profile only
+// decides which edges exist — an edge it makes impassable is dropped, every
+// other edge costs its real length. Ten minutes in a wheelchair is still ten
+// minutes of travel, not ten minutes of weighted cost.
+
+// Real-length costs restricted to the edges a profile can use. Cached next to
+// the weighted arrays under "<profile>:reach".
+function reachCosts(b, profileName) {
+  const name = profileName || DEFAULT_PROFILE;
+  if (name === DEFAULT_PROFILE) return b.edgeLengthM;
+  const weighted = profileCosts(b, name);
+  if (!weighted) return null;
+  const key = `${name}:reach`;
+  let costs = b._profileCosts.get(key);
+  if (costs) return costs;
+  costs = new Float64Array(b.edgeCount);
+  for (let i = 0; i < b.edgeCount; i++) {
+    costs[i] = Number.isFinite(weighted[i]) ? b.edgeLengthM[i] : Infinity;
+  }
+  b._profileCosts.set(key, costs);
+  return costs;
+}
+
+// Returns null when the origin can't be snapped, else
+//   { snap, maxM, bands: [{ minutes, budgetM, coordinates }], walkTo(lat, lng) }
+// where coordinates is GeoJSON MultiPolygon coordinates and walkTo() gives
+// the network metres from the snapped origin to another point's edge foot
+// (Infinity if unreachable, null if the point can't be snapped).
+function isochroneBundle(b, lat, lng, minutesList, costs = b.edgeLengthM) {
+  const snap = nearestWalkableEdge(b, lat, lng);
+  if (!snap) return null;
+  const budgets = minutesList.map((m) => m * 60 * b.walkingPaceMps);
+  const maxM = Math.max(...budgets);
+  const { dist } = _dijkstraTwoSource(b, _endpointSeeds(b, snap, costs), null, costs, maxM);
+
+  // Metres to the point `f` along edge e. The start edge can always be
+  // walked off directly, even when the profile bars it.
+  function distAt(e, f) {
+    const L = b.edgeLengthM[e];
+    let d = Infinity;
+    if (Number.isFinite(costs[e])) {
+      d = Math.min(dist[b.srcIdx[e]] + f * L, dist[b.tgtIdx[e]] + (1 - f) * L);
+    }
+    if (e === snap.edge_idx) d = Math.min(d, Math.abs(f - snap.fraction) * L);
+    return d;
+  }
+
+  const grid = createGrid(snap.snap_lat, snap.snap_lng, maxM + ISOCHRONE_BUFFER_M, ISOCHRONE_CELL_M);
+  stampDisc(grid, snap.snap_lat, snap.snap_lng, 0, ISOCHRONE_BUFFER_M);
+  const step = ISOCHRONE_CELL_M / 2;
+  for (let e = 0; e < b.edgeCount; e++) {
+    if (!b.edgeWalkable[e]) continue;
+    if (e !== snap.edge_idx && !(dist[b.srcIdx[e]] <= maxM || dist[b.tgtIdx[e]] <= maxM)) continue;
+    const n = Math.max(1, Math.ceil(b.edgeLengthM[e] / step));
+    for (let k = 0; k <= n; k++) {
+      const f = k / n;
+      const d = distAt(e, f);
+      if (d > maxM) continue;
+      const pt = _interpAlongEdge(b, e, f);
+      if (pt) stampDisc(grid, pt[0], pt[1], d, ISOCHRONE_BUFFER_M);
+    }
+  }
+
+  return {
+    snap,
+    maxM,
+    bands: minutesList.map((minutes, i) => ({
+      minutes,
+      budgetM: budgets[i],
+      coordinates: bandToMultiPolygon(grid, budgets[i]),
+    })),
+    walkTo(tLat, tLng) {
+      const t = nearestWalkableEdge(b, tLat, tLng);
+      return t ? distAt(t.edge_idx, t.fraction) : null;
+    },
+  };
 }
 
 // S190 — diagnostic-only helper for the admin tools layer. Returns the
@@ -978,11 +1972,11 @@ function routeBundleDiag(b, fromLat, fromLng, toLat, toLng) {
   };
 }
 
-function routeMultiBundle(b, stops) {
+function routeMultiBundle(b, stops, costs = b.edgeLengthM) {
   if (!Array.isArray(stops) || stops.length < 2) return null;
   const parts = [];
   for (let i = 0; i < stops.length - 1; i++) {
-    const seg = routeBundle(b, stops[i].lat, stops[i].lng, stops[i + 1].lat, stops[i + 1].lng);
+    const seg = routeBundle(b, stops[i].lat, stops[i].lng, stops[i + 1].lat, stops[i + 1].lng, costs);
     if (!seg) return null;
     parts.push(seg);
   }
@@ -1002,10 +1996,516 @@ function routeMultiBundle(b, stops) {
   return { geometry, distanceM: totalM, durationS: totalM / b.walkingPaceMps, edges };
 }
 
-// ── Tiger live fallthrough ──────────────────────────────────────────────────
+// ── Round-trip loops ────────────────────────────────────────────────────────
+//
+// "Give me a 45-minute walk from here past the witch sites." For each of
+// LOOP_BEARINGS compass bearings, two via points are laid out so origin and
+// vias form an equilateral triangle pointing that way, each via is pulled
+// onto the best themed POI near it (lib/route-loop.js pickViaPoi), and the
+// three legs are routed edge-point to edge-point. Every edge a leg walks is
+// made LOOP_REPEAT_PENALTY× more expensive for the legs after it, so the way
+// back prefers other streets. An attempt that misses the target length is
+// retried once with the triangle rescaled.
 
-let _tigerPool = null;
-function tigerPool() {
+// Appends one routed leg to a multi-leg result, skipping the join vertex
+// and the zero-length snap pieces edge-point routing leaves at a stop that
+// sits exactly on a node.
+function _appendLeg(geometry, edges, leg) {
+  for (const e of leg.edges) if (e.length_m > 0.01) edges.push(e);
+  for (let j = 0; j < leg.geometry.length; j++) {
+    if (geometry.length && j === 0) continue;
+    geometry.push(leg.geometry[j]);
+  }
+}
+
+// Metres walked over edge metres already covered earlier in the loop. Summed
+// per edge, so the two halves of the origin edge walked out one way and back
+// the other don't count.
+function _repeatedMetres(b, edges) {
+  const walked = new Map();
+  for (const e of edges) {
+    const idx = _edgeIdxById(b, e.edge_id);
+    if (idx == null) continue;
+    walked.set(idx, (walked.get(idx) || 0) + e.length_m);
+  }
+  let repeatM = 0;
+  for (const [idx, m] of walked) {
+    const extra = m - b.edgeLengthM[idx];
+    if (extra > 0.5) repeatM += extra;
+  }
+  return repeatM;
+}
+
+// One triangle attempt. Returns null when a via can't be snapped or a leg
+// can't be routed, else { geometry, edges, distanceM, durationS, repeatM, vias }.
+function _loopAttempt(b, origin, bearing, sideM, themePois, costs) {
+  const scratch = Float64Array.from(costs);
+  const vias = [];
+  const used = new Set();
+  for (const turn of [-LOOP_VIA_SPREAD_DEG, LOOP_VIA_SPREAD_DEG]) {
+    const [iLat, iLng] = offsetPoint(origin.lat, origin.lng, bearing + turn, sideM);
+    // A via on an edge the profile bars (stairs for wheelchairs) would be
+    // walked off regardless — see _partialCost — so fall back to the plain
+    // triangle corner, and give up on this bearing if that's barred too.
+    const usable = (s) => s && Number.isFinite(costs[s.edge_idx]);
+    let pick = pickViaPoi(themePois, iLat, iLng, sideM * LOOP_VIA_POI_RATIO, used);
+    let snap = pick ? nearestWalkableEdge(b, pick.poi.lat, pick.poi.lng) : null;
+    if (!usable(snap)) {
+      pick = null;
+      snap = nearestWalkableEdge(b, iLat, iLng);
+    }
+    if (!usable(snap)) return null;
+    if (pick) used.add(pick.poi.id);
+    vias.push({
+      ep: { edge_idx: snap.edge_idx, fraction: snap.fraction, lat: snap.snap_lat, lng: snap.snap_lng },
+      snap,
+      poiId: pick ? pick.poi.id : null,
+    });
+  }
+
+  const points = [origin, vias[0].ep, vias[1].ep, origin];
+  const geometry = [];
+  const edges = [];
+  let totalM = 0;
+  for (let i = 0; i + 1 < points.length; i++) {
+    if (i > 0) vias[i - 1].alongM = totalM;
+    const leg = routeBetweenEdgePoints(b, points[i], points[i + 1], scratch);
+    if (!leg) return null;
+    for (const e of leg.edges) {
+      const idx = _edgeIdxById(b, e.edge_id);
+      if (idx != null) scratch[idx] *= LOOP_REPEAT_PENALTY;
+    }
+    _appendLeg(geometry, edges, leg);
+    totalM += leg.distanceM;
+  }
+  return {
+    geometry,
+    edges,
+    distanceM: totalM,
+    durationS: totalM / b.walkingPaceMps,
+    repeatM: _repeatedMetres(b, edges),
+    vias: vias.map((v) => ({
+      lat: v.snap.snap_lat,
+      lng: v.snap.snap_lng,
+      edge_id: v.snap.edge_id,
+      edge_fraction: v.snap.fraction,
+      poi_id: v.poiId,
+      along_m: Math.round(v.alongM * 10) / 10,
+    })),
+  };
+}
+
+// Up to `n` loops of about targetM metres from (lat, lng), best score first.
+// themePois are the salem_pois rows that count for this request (empty when
+// PG is unavailable — loops are then ranked by length fit and repeats).
+// Returns null when the origin can't be snapped, else
+//   { snap, loops: [{ geometry, edges, distanceM, durationS, repeatM,
+//                     repeatPct, vias, visited: [{ poi, offsetM, alongM }],
+//                     score }] }
+function loopCandidates(b, lat, lng, targetM, themePois, costs = b.edgeLengthM, n = LOOP_DEFAULT_CANDIDATES) {
+  const snap = nearestWalkableEdge(b, lat, lng);
+  if (!snap) return null;
+  const origin = { edge_idx: snap.edge_idx, fraction: snap.fraction, lat: snap.snap_lat, lng: snap.snap_lng };
+  const offBy = (r) => Math.abs(r.distanceM - targetM) / targetM;
+
+  const found = [];
+  for (let k = 0; k < LOOP_BEARINGS; k++) {
+    const bearing = (k * 360) / LOOP_BEARINGS;
+    const sideM = targetM / (3 * LOOP_DETOUR_FACTOR);
+    let cand = _loopAttempt(b, origin, bearing, sideM, themePois, costs);
+    if (cand && cand.distanceM > 0 && offBy(cand) > LOOP_LENGTH_TOLERANCE) {
+      const scale = clamp(targetM / cand.distanceM, 0.5, 2);
+      const retry = _loopAttempt(b, origin, bearing, sideM * scale, themePois, costs);
+      if (retry && offBy(retry) < offBy(cand)) cand = retry;
+    }
+    if (!cand || !(cand.distanceM > 0) || offBy(cand) > LOOP_LENGTH_TOLERANCE) continue;
+    const repeatPct = (cand.repeatM / cand.distanceM) * 100;
+    if (repeatPct > LOOP_MAX_REPEAT_PCT) continue;
+    const visited = poisAlongRoute(cand.geometry, themePois);
+    const weight = visited.reduce((s, v) => s + poiWeight(v.poi), 0);
+    found.push({
+      ...cand,
+      repeatPct: Math.round(repeatPct * 10) / 10,
+      visited,
+      score: loopScore({ distanceM: cand.distanceM, targetM, repeatM: cand.repeatM, weight }),
+    });
+  }
+
+  // Best first; drop loops that mostly retrace a better one (the same
+  // triangle found from a neighbouring bearing, or walked the other way).
+  found.sort((x, y) => y.score - x.score || x.repeatM - y.repeatM);
+  const kept = [];
+  for (const cand of found) {
+    if (kept.length >= n) break;
+    const ids = new Map();
+    for (const e of cand.edges) ids.set(e.edge_id, (ids.get(e.edge_id) || 0) + e.length_m);
+    const tooClose = kept.some((k) => {
+      let shared = 0;
+      for (const [id, m] of ids) shared += Math.min(m, k.ids.get(id) || 0);
+      return (shared / cand.distanceM) * 100 > LOOP_MAX_OVERLAP_PCT;
+    });
+    if (!tooClose) kept.push({ cand, ids });
+  }
+  return { snap, loops: kept.map((k) => k.cand) };
+}
+
+// ── Sightseeing detours ─────────────────────────────────────────────────────
+//
+// A→B with "N extra minutes": pass as much POI prize (lib/route-detour.js
+// detourPrize — priority, wave, tour / narrated) as fits in the direct
+// route plus the budget. Candidates are POIs whose straight-line A→POI→B
+// already fits (a lower bound on the walk), snapped to their edge foot; one
+// stopCostMatrix over start, end and candidates feeds the orienteering
+// solver, and the chosen order is routed edge-point to edge-point.
+//
+// The solver's budget is in profile cost units (direct cost + budget
+// metres), which equals metres for the default profile. The routed result is
+// checked in real metres and trimmed if it overshoots.
+
+function _routeThrough(b, stops, order, costs) {
+  const geometry = [];
+  const edges = [];
+  let totalM = 0;
+  for (let k = 0; k + 1 < order.length; k++) {
+    const r = routeBundleEx(b, stops[order[k]], stops[order[k + 1]], costs);
+    if (!r) return null;
+    _appendLeg(geometry, edges, r);
+    totalM += r.distanceM;
+  }
+  return { geometry, edges, distanceM: totalM, durationS: totalM / b.walkingPaceMps };
+}
+
+// `base` is the direct src → dst route (already computed by the caller to
+// size the POI query). pois are salem_pois rows already filtered by
+// category. Returns { route, base, chosen: [poi rows in visiting order],
+// candidateCount }, or null when the direct route's endpoints can't be
+// resolved in the matrix.
+function detourRoute(b, srcStop, dstStop, base, budgetM, pois, costs = b.edgeLengthM) {
+  const limitM = base.distanceM + budgetM;
+  const candidates = [];
+  for (const row of pois) {
+    const prize = detourPrize(row);
+    if (!(prize > 0)) continue;
+    const lower = planarM(srcStop.lat, srcStop.lng, row.lat, row.lng) +
+      planarM(row.lat, row.lng, dstStop.lat, dstStop.lng);
+    if (lower > limitM) continue;
+    const snap = nearestWalkableEdge(b, row.lat, row.lng);
+    if (!snap || snap.snap_m > DETOUR_MAX_SNAP_M || !Number.isFinite(costs[snap.edge_idx])) continue;
+    candidates.push({ row, prize, lower, snap });
+  }
+  candidates.sort((x, y) => y.prize - x.prize || x.lower - y.lower);
+  candidates.length = Math.min(candidates.length, DETOUR_MAX_CANDIDATES);
+
+  const stops = [srcStop, dstStop, ...candidates.map((c) => ({
+    lat: c.snap.snap_lat,
+    lng: c.snap.snap_lng,
+    edge_id: c.snap.edge_id,
+    edge_fraction: c.snap.fraction,
+  }))];
+  const n = stops.length;
+  const { matrix, unresolved } = stopCostMatrix(b, stops, costs);
+  if (unresolved.length) return null;
+  const prizes = [0, 0, ...candidates.map((c) => c.prize)];
+  const maxCost = matrix[1] + budgetM;
+
+  let order = solveDetour(matrix, n, 0, 1, prizes, maxCost).order;
+  let route = _routeThrough(b, stops, order, costs);
+  for (let k = 0; route && route.distanceM > limitM && order.length > 2 && k < DETOUR_MAX_REPAIRS; k++) {
+    let worst = 1;
+    for (let i = 2; i < order.length - 1; i++) {
+      if (prizes[order[i]] < prizes[order[worst]]) worst = i;
+    }
+    order = order.slice(0, worst).concat(order.slice(worst + 1));
+    route = _routeThrough(b, stops, order, costs);
+  }
+  if (!route || route.distanceM > limitM) {
+    order = [0, 1];
+    route = base;
+  }
+  return {
+    route,
+    base,
+    chosen: order.slice(1, -1).map((i) => candidates[i - 2].row),
+    candidateCount: candidates.length,
+  };
+}
+
+// ── Street closures (dynamic cost overlay) ──────────────────────────────────
+//
+// Closures (lib/route-closures.js) never touch the bundle file. Each one is
+// resolved to the edge indices it covers, and while it's active the public
+// endpoints route over a copy of the profile's cost array with those edges
+// set to Infinity (closed) or multiplied by CLOSURE_AVOID_FACTOR (avoid).
+// Both the resolution and the overlay are cached on the bundle, so a hot
+// reload re-resolves against the new graph on first use.
+
+// Resolves one normalized closure against the bundle:
+//   { edges: Int32Array (sorted edge indices), missingEdgeIds: number[],
+//     bbox: { minLat, maxLat, minLng, maxLng } | null }
+// missingEdgeIds are explicit edge_ids the bundle doesn't have (rebaked
+// since the closure was drawn). Cached per `${id}:${version}`.
+function resolveClosureEdges(b, c) {
+  if (!b._closureEdges) b._closureEdges = new Map();
+  const key = `${c.id}:${c.version}`;
+  let hit = b._closureEdges.get(key);
+  if (hit) return hit;
+  const set = new Set();
+  const missingEdgeIds = [];
+  for (const id of c.edgeIds) {
+    const eIdx = _edgeIdxById(b, id);
+    if (eIdx == null) missingEdgeIds.push(id);
+    else set.add(eIdx);
+  }
+  if (c.polygons) {
+    const pb = polygonsBBox(c.polygons);
+    for (let i = 0; i < b.edgeCount; i++) {
+      if (!b.edgeWalkable[i]) continue;
+      const p = b.edgePolylines[i];
+      if (!p || p.length < 2) continue;
+      let minLat = Infinity, maxLat = -Infinity, minLng = Infinity, maxLng = -Infinity;
+      for (let k = 0; k < p.length; k += 2) {
+        if (p[k] < minLat) minLat = p[k];
+        if (p[k] > maxLat) maxLat = p[k];
+        if (p[k + 1] < minLng) minLng = p[k + 1];
+        if (p[k + 1] > maxLng) maxLng = p[k + 1];
+      }
+      if (maxLat < pb.minLat || minLat > pb.maxLat || maxLng < pb.minLng || minLng > pb.maxLng) continue;
+      if (polylineIntersectsPolygons(p, c.polygons)) set.add(i);
+    }
+  }
+  const edges = Int32Array.from([...set].sort((x, y) => x - y));
+  let bbox = null;
+  for (const eIdx of edges) {
+    const p = b.edgePolylines[eIdx];
+    if (!p) continue;
+    if (!bbox) bbox = { minLat: Infinity, maxLat: -Infinity, minLng: Infinity, maxLng: -Infinity };
+    for (let k = 0; k < p.length; k += 2) {
+      if (p[k] < bbox.minLat) bbox.minLat = p[k];
+      if (p[k] > bbox.maxLat) bbox.maxLat = p[k];
+      if (p[k + 1] < bbox.minLng) bbox.minLng = p[k + 1];
+      if (p[k + 1] > bbox.maxLng) bbox.maxLng = p[k + 1];
+    }
+  }
+  hit = { edges, missingEdgeIds, bbox };
+  b._closureEdges.set(key, hit);
+  return hit;
+}
+
+// `base` (a profileCosts / reachCosts array) with the active closures laid
+// over it. reach=true is the isochrone variant: budgets are real metres, so
+// 'avoid' closures leave the edge alone and only 'closed' ones remove it.
+// Returns `base` itself when nothing applies. The last few overlays per
+// base array are cached, keyed on the active closure set.
+function closureCosts(b, base, active, reach = false) {
+  if (!active || !active.length) return base;
+  const key = `${reach ? 'r' : 'w'}|${active.map((c) => `${c.id}:${c.version}`).join(',')}`;
+  if (!b._closureCosts) b._closureCosts = new WeakMap();
+  let perBase = b._closureCosts.get(base);
+  if (!perBase) {
+    perBase = new Map();
+    b._closureCosts.set(base, perBase);
+  }
+  let costs = perBase.get(key);
+  if (costs) return costs;
+  costs = Float64Array.from(base);
+  let touched = false;
+  for (const c of active) {
+    if (reach && c.mode !== 'closed') continue;
+    for (const eIdx of resolveClosureEdges(b, c).edges) {
+      costs[eIdx] = c.mode === 'closed' ? Infinity : costs[eIdx] * CLOSURE_AVOID_FACTOR;
+      touched = true;
+    }
+  }
+  if (!touched) costs = base;
+  if (perBase.size >= CLOSURE_COST_CACHE_MAX) perBase.delete(perBase.keys().next().value);
+  perBase.set(key, costs);
+  return costs;
+}
+
+// Closures (from `list`) whose edges a leg's geometry actually walks along:
+// some segment midpoint of the [[lat, lng], ...] polyline lies within
+// CLOSURE_LEG_TOL_M of a closed edge. Legs are cut from edge polylines, so
+// a leg on the edge is within float noise; a leg merely crossing it at an
+// intersection has no midpoint there.
+function legClosureHits(b, geometry, list) {
+  if (!Array.isArray(geometry) || geometry.length < 2 || !list.length) return [];
+  const mids = [];
+  for (let i = 0; i + 1 < geometry.length; i++) {
+    const a = geometry[i], z = geometry[i + 1];
+    if (!Array.isArray(a) || !Array.isArray(z)) continue;
+    mids.push([(a[0] + z[0]) / 2, (a[1] + z[1]) / 2]);
+  }
+  const padDeg = CLOSURE_LEG_TOL_M / 111320 * 2;
+  const hits = [];
+  for (const c of list) {
+    const { edges, bbox } = resolveClosureEdges(b, c);
+    if (!bbox) continue;
+    let hit = false;
+    for (const [lat, lng] of mids) {
+      if (lat < bbox.minLat - padDeg || lat > bbox.maxLat + padDeg ||
+          lng < bbox.minLng - padDeg || lng > bbox.maxLng + padDeg) continue;
+      for (const eIdx of edges) {
+        const pr = _projectOntoEdge(b, eIdx, lat, lng);
+        if (pr.seg >= 0 && _haversineMSimple(lat, lng, pr.footLat, pr.footLng) <= CLOSURE_LEG_TOL_M) {
+          hit = true;
+          break;
+        }
+      }
+      if (hit) break;
+    }
+    if (hit) hits.push(c);
+  }
+  return hits;
+}
+
+// ── Graph overlay connectivity ──────────────────────────────────────────────
+//
+// The overlay (lib/route-overlay.js) is merged by loadBundle, so routing
+// needs nothing extra here. What the admin overlay editor needs is a view of
+// the graph's connectivity: which walkable pieces are cut off from the main
+// network (a snap onto one of those can't route anywhere useful) and the
+// shortest straight connector that would join each back.
+
+const CONNECT_MAX_ISLANDS = 200;
+const CONNECT_MAX_ISLAND_EDGES = 50;
+
+// Connected components over walkable edges. Every walkable node gets a
+// component, including nodes with no walkable edge; non-walkable nodes get
+// -1. Returns { comp: Int32Array, sizes: number[] } with sizes[c] the node
+// count of component c.
+function graphComponents(b) {
+  const comp = new Int32Array(b.nodeCount).fill(-1);
+  const sizes = [];
+  const stack = new Int32Array(b.nodeCount);
+  for (let start = 0; start < b.nodeCount; start++) {
+    if (!b.nodeWalkable[start] || comp[start] !== -1) continue;
+    const c = sizes.length;
+    let size = 0;
+    let top = 0;
+    stack[top++] = start;
+    comp[start] = c;
+    while (top) {
+      const u = stack[--top];
+      size++;
+      for (let k = b.edgeOffset[u]; k < b.edgeOffset[u + 1]; k++) {
+        if (!b.edgeWalkable[b.adjEdgeIdx[k]]) continue;
+        const v = b.adjNeighbor[k];
+        if (comp[v] !== -1) continue;
+        comp[v] = c;
+        stack[top++] = v;
+      }
+    }
+    sizes.push(size);
+  }
+  return { comp, sizes };
+}
+
+// Islands (every walkable component but the largest) with the shortest
+// straight connector from each to the main component, largest island first:
+//   { walkable_node_count, component_count, main: { node_count, edge_count,
+//     length_m }, island_count, islands: [{ anchor_node_id, node_count,
+//     edge_count, length_m, center, bbox, edge_ids, connector }] }
+// anchor_node_id (the island's smallest node id) is what the admin passes
+// back to fix an island — component numbers change whenever the graph does.
+// connector is { from_node_id, to_node_id, gap_m, geometry } or null when no
+// main-component node is within SNAP_MAX_DEG. bbox limits the report to
+// islands with a node inside it.
+function connectivityReport(b, { bbox = null, limit = CONNECT_MAX_ISLANDS } = {}) {
+  const { comp, sizes } = graphComponents(b);
+  let main = -1;
+  for (let c = 0; c < sizes.length; c++) if (main < 0 || sizes[c] > sizes[main]) main = c;
+
+  const islands = new Map();
+  for (let i = 0; i < b.nodeCount; i++) {
+    const c = comp[i];
+    if (c < 0 || c === main) continue;
+    let isl = islands.get(c);
+    if (!isl) {
+      isl = { nodes: [], edges: [], lengthM: 0, inBbox: !bbox };
+      islands.set(c, isl);
+    }
+    isl.nodes.push(i);
+    if (bbox && b.nodeLat[i] >= bbox.minLat && b.nodeLat[i] <= bbox.maxLat &&
+        b.nodeLng[i] >= bbox.minLng && b.nodeLng[i] <= bbox.maxLng) isl.inBbox = true;
+  }
+  const mainTotals = { node_count: main < 0 ? 0 : sizes[main], edge_count: 0, length_m: 0 };
+  for (let e = 0; e < b.edgeCount; e++) {
+    if (!b.edgeWalkable[e]) continue;
+    const c = comp[b.srcIdx[e]];
+    if (c === main) {
+      mainTotals.edge_count++;
+      mainTotals.length_m += b.edgeLengthM[e];
+    } else if (islands.has(c)) {
+      const isl = islands.get(c);
+      isl.edges.push(e);
+      isl.lengthM += b.edgeLengthM[e];
+    }
+  }
+  mainTotals.length_m = Math.round(mainTotals.length_m);
+
+  const ranked = [...islands.values()]
+    .filter((isl) => isl.inBbox)
+    .sort((x, y) => y.lengthM - x.lengthM || y.nodes.length - x.nodes.length);
+  const out = ranked.slice(0, limit).map((isl) => {
+    let minLat = Infinity, maxLat = -Infinity, minLng = Infinity, maxLng = -Infinity;
+    let sumLat = 0, sumLng = 0, anchor = Infinity;
+    let best = null;
+    for (const i of isl.nodes) {
+      const lat = b.nodeLat[i], lng = b.nodeLng[i];
+      if (lat < minLat) minLat = lat;
+      if (lat > maxLat) maxLat = lat;
+      if (lng < minLng) minLng = lng;
+      if (lng > maxLng) maxLng = lng;
+      sumLat += lat; sumLng += lng;
+      if (b.nodeIds[i] < anchor) anchor = b.nodeIds[i];
+      if (main < 0) continue;
+      let to = -1;
+      let toD2 = best ? best.d2 : Infinity;
+      _gridNearest(b, b.nodeCells, lat, lng, (j) => {
+        if (comp[j] !== main) return Infinity;
+        const dlat = b.nodeLat[j] - lat, dlng = b.nodeLng[j] - lng;
+        const d2 = dlat * dlat + dlng * dlng;
+        if (d2 < toD2) { toD2 = d2; to = j; }
+        return d2;
+      });
+      if (to >= 0) best = { from: i, to, d2: toD2 };
+    }
+    const n = isl.nodes.length;
+    return {
+      anchor_node_id: anchor,
+      node_count: n,
+      edge_count: isl.edges.length,
+      length_m: Math.round(isl.lengthM),
+      center: [sumLat / n, sumLng / n],
+      bbox: { minLat, maxLat, minLng, maxLng },
+      edge_ids: isl.edges.slice(0, CONNECT_MAX_ISLAND_EDGES).map((e) => b.edgeId[e]),
+      connector: best
+        ? {
+          from_node_id: b.nodeIds[best.from],
+          to_node_id: b.nodeIds[best.to],
+          gap_m: Math.round(planarM(b.nodeLat[best.from], b.nodeLng[best.from],
+            b.nodeLat[best.to], b.nodeLng[best.to]) * 10) / 10,
+          geometry: [
+            [b.nodeLat[best.from], b.nodeLng[best.from]],
+            [b.nodeLat[best.to], b.nodeLng[best.to]],
+          ],
+        }
+        : null,
+    };
+  });
+  return {
+    walkable_node_count: sizes.reduce((s, v) => s + v, 0),
+    component_count: sizes.length,
+    main: mainTotals,
+    island_count: ranked.length,
+    islands: out,
+  };
+}
+
+// ── Tiger live fallthrough ──────────────────────────────────────────────────
+
+let _tigerPool = null;
+function tigerPool() {
   if (_tigerPool) return _tigerPool;
   // Peer auth: Postgres connects as the OS user, no password. The cache-proxy
   // runs as the operator; tiger DB is local. If TIGER_DATABASE_URL is set
@@ -1134,26 +2634,242 @@ function stitchLiveMultiLineString(coords, fromLat, fromLng) {
   return out;
 }
 
+// ── Hot reload ──────────────────────────────────────────────────────────────
+//
+// Re-bakes overwrite the bundle in place. The factory polls the file; once a
+// change has settled, a worker thread loads the new graph and routes the
+// canary pairs on it, and only a bundle that passes every canary replaces
+// the live one. The swap is a single assignment on the event loop and all
+// graph work in the handlers is synchronous, so no request ever sees two
+// graphs.
+
+const RELOAD_POLL_MS = 5000;
+const RELOAD_SETTLE_MS = 2000;
+const RELOAD_WORKER_KIND = 'salem-bundle-reload';
+const CANARY_MAX_DETOUR = 3.0;
+
+// Salem landmark pairs every bake must still connect. SALEM_ROUTING_CANARIES
+// may point at a JSON file of the same shape to replace them (tests, or a
+// bake covering a different area).
+const DEFAULT_CANARIES = [
+  { name: 'Salem Station → Witch Museum', from: [42.5245, -70.8960], to: [42.5233, -70.8912] },
+  { name: 'Witch Museum → Charter St Cemetery', from: [42.5233, -70.8912], to: [42.5204, -70.8923] },
+  { name: 'Charter St Cemetery → Seven Gables', from: [42.5204, -70.8923], to: [42.5219, -70.8836] },
+  { name: 'Salem Common → Pickering Wharf', from: [42.5237, -70.8898], to: [42.5194, -70.8873] },
+];
+
+function loadCanaries() {
+  const file = process.env.SALEM_ROUTING_CANARIES;
+  if (!file) return DEFAULT_CANARIES;
+  return JSON.parse(fs.readFileSync(path.resolve(file), 'utf8'));
+}
+
+function bundleFileHash(filePath) {
+  return crypto.createHash('sha256').update(fs.readFileSync(filePath)).digest('hex');
+}
+
+// Routes every canary on `b`. A canary passes when it routes at all and the
+// walk is at most CANARY_MAX_DETOUR × the straight line. baselineM (the same
+// pairs on the live bundle) is informational only — re-bakes legitimately
+// move routes, so divergence is logged, not fatal.
+function runCanaries(b, canaries, baselineM) {
+  return canaries.map((c, i) => {
+    const straightM = _haversineMSimple(c.from[0], c.from[1], c.to[0], c.to[1]);
+    const base = baselineM ? baselineM[i] : null;
+    const out = {
+      name: c.name,
+      ok: false,
+      reason: null,
+      distance_m: null,
+      straight_m: Math.round(straightM),
+      baseline_m: base,
+      divergence_pct: null,
+    };
+    const r = routeBundle(b, c.from[0], c.from[1], c.to[0], c.to[1]);
+    if (!r || r.geometry.length < 2) {
+      out.reason = 'no route';
+      return out;
+    }
+    out.distance_m = Math.round(r.distanceM);
+    if (base != null && base > 0) {
+      out.divergence_pct = Math.round((Math.abs(r.distanceM - base) / base) * 1000) / 10;
+    }
+    if (straightM > 0 && r.distanceM > straightM * CANARY_MAX_DETOUR) {
+      out.reason = `detour ${(r.distanceM / straightM).toFixed(1)}× exceeds ${CANARY_MAX_DETOUR}×`;
+      return out;
+    }
+    out.ok = true;
+    return out;
+  });
+}
+
 // ── Public module factory ───────────────────────────────────────────────────
 
 module.exports = function (app, deps) {
+  const pgPool = deps ? deps.pgPool : null;
   let bundle;
+  let bundleHash = null;
+  let previousBundleHash = null;
+  let loadedAt = null;
+  // Normalized salem_route_overlay rows pushed in by
+  // lib/admin-route-overlay.js (_setOverlay) — the last overlay a reload
+  // accepted. null until the admin module's first push — without PG the
+  // bundle is served as baked, same as on Android. Every reload merges it.
+  let overlay = null;
   try {
     const t0 = Date.now();
-    bundle = loadBundle(BUNDLE_PATH);
+    bundle = loadBundle(BUNDLE_PATH, overlay);
+    bundleHash = bundleFileHash(BUNDLE_PATH);
+    loadedAt = new Date().toISOString();
     const ms = Date.now() - t0;
     console.log(
       `[Salem Router] loaded bundle ${path.basename(BUNDLE_PATH)} — ` +
       `${bundle.nodeCount} nodes / ${bundle.edgeCount} edges / pace ${bundle.walkingPaceMps} m/s ` +
-      `(${ms} ms)`,
+      `schema v${bundle.schemaVersion} sha256 ${bundleHash.slice(0, 12)} (${ms} ms)`,
     );
   } catch (err) {
     console.error('[Salem Router] failed to load bundle:', err.message);
     // Register the endpoints anyway — they'll all 503 — so /api/salem/route
-    // returns a clear error rather than 404.
+    // returns a clear error rather than 404. A later reload can still
+    // install a bundle once the file turns up.
     bundle = null;
   }
 
+  // Street closures pushed in by lib/admin-route-closures.js (_setClosures),
+  // normalized to the route-closures.js shape. Whether each one applies is
+  // decided per request, so nothing needs refreshing when a window opens.
+  let closures = [];
+
+  function activeClosures(atMs = Date.now()) {
+    return closures.filter((c) => isClosureActive(c, atMs));
+  }
+
+  // ── Hot reload (see "Hot reload" above) ──
+  const reloadState = { running: null, pending: false, count: 0, last: null };
+
+  function applyReload(msg) {
+    const at = new Date().toISOString();
+    let result;
+    if (msg.error) {
+      result = { at, status: 'error', error: msg.error };
+      console.error('[Salem Router] reload failed — keeping current bundle:', msg.error);
+    } else if (!msg.bundle) {
+      const failed = msg.canaries.filter((c) => !c.ok);
+      result = { at, status: 'rejected', hash: msg.hash, canaries: msg.canaries };
+      console.error(
+        `[Salem Router] reload rejected — ${failed.length} canary failure(s), keeping current bundle: ` +
+        failed.map((c) => `${c.name} (${c.reason})`).join('; '),
+      );
+    } else if (msg.hash === bundleHash && bundle && msg.bundle.overlay.hash === bundle.overlay.hash) {
+      result = { at, status: 'unchanged', hash: msg.hash };
+    } else {
+      previousBundleHash = bundleHash;
+      bundle = msg.bundle;
+      bundleHash = msg.hash;
+      loadedAt = at;
+      reloadState.count++;
+      result = {
+        at,
+        status: 'swapped',
+        hash: msg.hash,
+        previous_hash: previousBundleHash,
+        overlay_hash: bundle.overlay.hash,
+        load_ms: msg.loadMs,
+        canaries: msg.canaries,
+      };
+      console.log(
+        `[Salem Router] reloaded bundle — ${bundle.nodeCount} nodes / ${bundle.edgeCount} edges ` +
+        `schema v${bundle.schemaVersion} sha256 ${(previousBundleHash || 'none').slice(0, 12)} → ` +
+        `${bundleHash.slice(0, 12)} overlay +${bundle.overlay.added}/-${bundle.overlay.disabled} ` +
+        `(${msg.loadMs} ms in worker)`,
+      );
+      for (const c of msg.canaries) {
+        if (c.divergence_pct != null && c.divergence_pct > PARITY_DIVERGENCE_PCT) {
+          console.warn(
+            `[Salem Router] canary moved ${c.name}: ${c.baseline_m}m → ${c.distance_m}m (${c.divergence_pct}%)`,
+          );
+        }
+      }
+    }
+    reloadState.last = result;
+    return result;
+  }
+
+  // Loads BUNDLE_PATH in a worker, validates it, and swaps it in. Returns a
+  // promise of the reload result. A call while a reload is running queues
+  // exactly one follow-up (the file may have changed again mid-load).
+  // `candidate` (overlay rows, _setOverlay only — which waits for an idle
+  // reloader first) merges those rows instead of the current overlay and
+  // becomes the current overlay only if the reload accepts it, so a
+  // rejected overlay doesn't ride along on later reloads.
+  function reloadBundle(candidate) {
+    if (reloadState.running) {
+      reloadState.pending = true;
+      return reloadState.running;
+    }
+    let canaries;
+    try {
+      canaries = loadCanaries();
+    } catch (err) {
+      return Promise.resolve(applyReload({ error: `canaries: ${err.message}` }));
+    }
+    const baselineM = bundle
+      ? canaries.map((c) => {
+        const r = routeBundle(bundle, c.from[0], c.from[1], c.to[0], c.to[1]);
+        return r && r.geometry.length >= 2 ? r.distanceM : null;
+      })
+      : null;
+    reloadState.running = new Promise((resolve) => {
+      let done = false;
+      const finish = (msg) => {
+        if (done) return;
+        done = true;
+        resolve(applyReload(msg));
+      };
+      const worker = new Worker(__filename, {
+        workerData: {
+          kind: RELOAD_WORKER_KIND,
+          filePath: BUNDLE_PATH,
+          overlay: candidate === undefined ? overlay : candidate,
+          canaries,
+          baselineM,
+        },
+      });
+      worker.once('message', finish);
+      worker.once('error', (err) => finish({ error: err.message }));
+      worker.once('exit', (code) => finish({ error: `reload worker exited with code ${code}` }));
+    }).then((result) => {
+      reloadState.running = null;
+      // Commit before any queued follow-up starts, so it merges this overlay.
+      if (candidate !== undefined && (result.status === 'swapped' || result.status === 'unchanged')) {
+        overlay = candidate;
+      }
+      if (reloadState.pending) {
+        reloadState.pending = false;
+        reloadBundle();
+      }
+      return result;
+    });
+    return reloadState.running;
+  }
+
+  // Poll rather than fs.watch: the bake may replace the file (new inode),
+  // which fs.watch loses track of. Non-persistent so it never holds the
+  // process open. SALEM_ROUTING_WATCH=0 turns it off.
+  if (process.env.SALEM_ROUTING_WATCH !== '0') {
+    let settleTimer = null;
+    fs.watchFile(BUNDLE_PATH, { interval: RELOAD_POLL_MS, persistent: false }, (cur, prev) => {
+      if (cur.mtimeMs === prev.mtimeMs && cur.size === prev.size) return;
+      if (!cur.size) return; // deleted or truncated mid-rewrite — wait for the next change
+      clearTimeout(settleTimer);
+      settleTimer = setTimeout(() => {
+        console.log(`[Salem Router] ${path.basename(BUNDLE_PATH)} changed — reloading in background`);
+        reloadBundle();
+      }, RELOAD_SETTLE_MS);
+      settleTimer.unref();
+    });
+  }
+
   function bundleGuard(req, res) {
     if (bundle) return true;
     res.status(503).json({ error: 'Routing bundle not loaded — see server logs at startup' });
@@ -1164,17 +2880,47 @@ module.exports = function (app, deps) {
     return v === undefined || v === null || v === '' || Number.isNaN(+v);
   }
 
-  function shapeBundleResult(r) {
-    return {
+  // Normalizes a ?profile= / body.profile value. Returns the profile name, or
+  // null when it isn't one of ROUTING_PROFILES (caller answers 400).
+  function parseProfile(v) {
+    const name = v == null || v === '' ? DEFAULT_PROFILE : String(v).toLowerCase();
+    return Object.prototype.hasOwnProperty.call(ROUTING_PROFILES, name) ? name : null;
+  }
+
+  function badProfile(res) {
+    return res.status(400).json({
+      error: `profile must be one of: ${Object.keys(ROUTING_PROFILES).join(', ')}`,
+    });
+  }
+
+  // `active` (optional) lists the closures the route was planned around.
+  function shapeBundleResult(r, profile = DEFAULT_PROFILE, active = null) {
+    const out = {
       source: 'bundle',
+      profile,
       distance_m: r.distanceM,
       duration_s: r.durationS,
       pace_mps: bundle.walkingPaceMps,
       geometry: r.geometry,
       edges: r.edges,
+      steps: r.steps || buildSteps(r.edges, bundle.walkingPaceMps),
     };
+    if (active) out.closures = active.map(closureSummary);
+    return out;
   }
 
+  // ?at= / body.at for closure-aware endpoints: ISO timestamp or epoch ms,
+  // default now. Returns epoch ms, or null when unparseable (caller 400s).
+  function parseAt(v) {
+    if (v == null || v === '') return Date.now();
+    return parseTime(typeof v === 'string' && /^\d+$/.test(v) ? Number(v) : v);
+  }
+
+  function badAt(res) {
+    return res.status(400).json({ error: 'at must be an ISO timestamp or epoch milliseconds' });
+  }
+
+  // Live routes carry no per-edge breakdown, so no steps (null, not []).
   function shapeLiveResult(r) {
     return {
       source: 'live',
@@ -1183,13 +2929,20 @@ module.exports = function (app, deps) {
       pace_mps: bundle ? bundle.walkingPaceMps : null,
       geometry: r.geometry,
       edges: r.edges,
+      steps: null,
     };
   }
 
+  // In-process callers (admin-tours compute-route) get the same steps the
+  // HTTP responses carry, so salem_tour_legs.steps_json matches /salem/route.
+  function withSteps(r) {
+    if (r) r.steps = buildSteps(r.edges, bundle.walkingPaceMps);
+    return r;
+  }
+
   function logDivergence(label, bundleM, liveM) {
-    if (bundleM == null || liveM == null || bundleM === 0) return;
-    const pct = Math.abs(bundleM - liveM) / bundleM * 100;
-    if (pct > PARITY_DIVERGENCE_PCT) {
+    const pct = divergencePct(bundleM, liveM);
+    if (pct != null && pct > PARITY_DIVERGENCE_PCT) {
       console.warn(
         `[Salem Router] DIVERGENCE ${label}: bundle=${bundleM.toFixed(2)}m ` +
         `live=${liveM.toFixed(2)}m (${pct.toFixed(2)}% > ${PARITY_DIVERGENCE_PCT}%)`,
@@ -1197,7 +2950,113 @@ module.exports = function (app, deps) {
     }
   }
 
-  // GET /api/salem/route?from_lat&from_lng&to_lat&to_lng[&source=live]
+  // Parses ?alternatives= / ?max_overlap=. Returns { n, maxOverlapPct } or
+  // { error } for a 400.
+  function parseAlternatives(q) {
+    let n = 0;
+    if (q.alternatives != null && q.alternatives !== '') {
+      n = Number(q.alternatives);
+      if (!Number.isInteger(n) || n < 0 || n > ALTERNATIVES_MAX) {
+        return { error: `alternatives must be an integer 0..${ALTERNATIVES_MAX}` };
+      }
+    }
+    let maxOverlapPct = ALT_DEFAULT_MAX_OVERLAP_PCT;
+    if (q.max_overlap != null && q.max_overlap !== '') {
+      maxOverlapPct = Number(q.max_overlap);
+      if (!Number.isFinite(maxOverlapPct) || maxOverlapPct < 0 || maxOverlapPct > 100) {
+        return { error: 'max_overlap must be a percentage 0..100' };
+      }
+    }
+    return { n, maxOverlapPct };
+  }
+
+  // Parses ?detour_budget_s= / ?categories=. Returns null when no detour
+  // was asked for, { budgetS, categories } or { error } for a 400.
+  function parseDetour(q) {
+    const hasBudget = q.detour_budget_s != null && q.detour_budget_s !== '';
+    if (!hasBudget) {
+      return q.categories != null && q.categories !== ''
+        ? { error: 'categories needs detour_budget_s' }
+        : null;
+    }
+    const budgetS = Number(q.detour_budget_s);
+    if (!Number.isFinite(budgetS) || budgetS <= 0 || budgetS > DETOUR_MAX_BUDGET_S) {
+      return { error: `detour_budget_s must be a number of seconds in (0, ${DETOUR_MAX_BUDGET_S}]` };
+    }
+    const categories = resolveCategories(q.categories);
+    if (!categories) {
+      return {
+        error: `categories must be a comma list of category ids or themes (${Object.keys(LOOP_THEMES).join(', ')})`,
+      };
+    }
+    return { budgetS, categories };
+  }
+
+  // salem_pois that could fit a detour: inside the box around both ends,
+  // padded by how far off the direct line the budget allows. null without PG.
+  async function detourPois(src, dst, baseM, budgetM, categories) {
+    if (!pgPool) return null;
+    const padM = Math.max(0, (baseM + budgetM - planarM(src.lat, src.lng, dst.lat, dst.lng)) / 2);
+    const midLat = (src.lat + dst.lat) / 2;
+    const dLat = padM / 111320;
+    const dLng = padM / (111320 * Math.cos((midLat * Math.PI) / 180));
+    const { rows } = await pgPool.query(
+      `SELECT id, name, category, subcategory, lat, lng, geofence_radius_m,
+              priority, wave, is_tour_poi, is_narrated
+         FROM salem_pois
+        WHERE deleted_at IS NULL
+          AND lat BETWEEN $1 AND $2
+          AND lng BETWEEN $3 AND $4`,
+      [
+        Math.min(src.lat, dst.lat) - dLat, Math.max(src.lat, dst.lat) + dLat,
+        Math.min(src.lng, dst.lng) - dLng, Math.max(src.lng, dst.lng) + dLng,
+      ],
+    );
+    return rows.filter(categories.match);
+  }
+
+  // The `detour` block of a detour response. pois lists every candidate POI
+  // the final route passes, in walking order; chosen marks the ones the
+  // route bends to visit (the rest are on the way anyway).
+  function shapeDetour(r, detour, pois) {
+    const chosen = new Set(r.chosen.map((p) => p.id));
+    const passed = poisAlongRoute(r.route.geometry, pois || []);
+    return {
+      budget_s: detour.budgetS,
+      used_s: Math.round((r.route.durationS - r.base.durationS) * 10) / 10,
+      base_distance_m: r.base.distanceM,
+      base_duration_s: r.base.durationS,
+      categories: detour.categories.ids,
+      candidate_count: pois ? r.candidateCount : null,
+      pois: passed.map((v) => ({
+        id: v.poi.id,
+        name: v.poi.name,
+        category: v.poi.category,
+        priority: v.poi.priority,
+        wave: v.poi.wave,
+        prize: detourPrize(v.poi),
+        chosen: chosen.has(v.poi.id),
+        offset_m: Math.round(v.offsetM * 10) / 10,
+        along_m: Math.round(v.alongM * 10) / 10,
+      })),
+    };
+  }
+
+  function shapeAlternative(a) {
+    return {
+      rank: a.rank,
+      distance_m: a.route.distanceM,
+      duration_s: a.route.durationS,
+      overlap_pct: a.overlapPct,
+      stretch: a.stretch,
+      geometry: a.route.geometry,
+      edges: a.route.edges,
+      steps: buildSteps(a.route.edges, bundle.walkingPaceMps),
+    };
+  }
+
+  // GET /api/salem/route?from_lat&from_lng&to_lat&to_lng[&source=live][&profile=]
+  //   [&alternatives=N][&max_overlap=PCT][&detour_budget_s=S[&categories=]]
   app.get('/salem/route', async (req, res) => {
     if (!bundleGuard(req, res)) return;
     const { from_lat, from_lng, to_lat, to_lng } = req.query;
@@ -1206,8 +3065,49 @@ module.exports = function (app, deps) {
     }
     const fLat = +from_lat, fLng = +from_lng, tLat = +to_lat, tLng = +to_lng;
     const source = (req.query.source || 'bundle').toLowerCase();
+    const profile = parseProfile(req.query.profile);
+    if (!profile) return badProfile(res);
+    const alt = parseAlternatives(req.query);
+    if (alt.error) return res.status(400).json({ error: alt.error });
+    if (alt.n > 0 && source === 'live') {
+      return res.status(400).json({ error: 'alternatives are only available with source=bundle' });
+    }
+    const detour = parseDetour(req.query);
+    if (detour && detour.error) return res.status(400).json({ error: detour.error });
+    if (detour && (source === 'live' || alt.n > 0)) {
+      return res.status(400).json({ error: 'detour_budget_s needs source=bundle and no alternatives' });
+    }
+    const atMs = parseAt(req.query.at);
+    if (atMs == null) return badAt(res);
 
     try {
+      const active = activeClosures(atMs);
+      const costs = closureCosts(bundle, profileCosts(bundle, profile), active);
+      if (detour) {
+        const src = { lat: fLat, lng: fLng }, dst = { lat: tLat, lng: tLng };
+        const base = routeBundleEx(bundle, src, dst, costs);
+        if (!base) return res.status(404).json({ error: 'No bundled route found (KNN snap failed)' });
+        const budgetM = detour.budgetS * bundle.walkingPaceMps;
+        const pois = await detourPois(src, dst, base.distanceM, budgetM, detour.categories);
+        const r = detourRoute(bundle, src, dst, base, budgetM, pois || [], costs);
+        if (!r) return res.status(404).json({ error: 'No bundled route found (KNN snap failed)' });
+        return res.json({
+          ...shapeBundleResult(r.route, profile, active),
+          detour: shapeDetour(r, detour, pois),
+        });
+      }
+      if (alt.n > 0) {
+        const routes = alternativeRoutesEx(
+          bundle, { lat: fLat, lng: fLng }, { lat: tLat, lng: tLng },
+          alt.n, costs, alt.maxOverlapPct,
+        );
+        if (!routes) return res.status(404).json({ error: 'No bundled route found (KNN snap failed)' });
+        return res.json({
+          ...shapeBundleResult(routes[0].route, profile, active),
+          max_overlap_pct: alt.maxOverlapPct,
+          alternatives: routes.slice(1).map(shapeAlternative),
+        });
+      }
       if (source === 'live') {
         const live = await routeLive(fLat, fLng, tLat, tLng);
         if (!live) return res.status(404).json({ error: 'No live route found' });
@@ -1216,16 +3116,16 @@ module.exports = function (app, deps) {
         if (b) logDivergence(`${fLat},${fLng}→${tLat},${tLng}`, b.distanceM, live.distanceM);
         return res.json(shapeLiveResult(live));
       }
-      const r = routeBundle(bundle, fLat, fLng, tLat, tLng);
+      const r = routeBundle(bundle, fLat, fLng, tLat, tLng, costs);
       if (!r) return res.status(404).json({ error: 'No bundled route found (KNN snap failed)' });
-      return res.json(shapeBundleResult(r));
+      return res.json(shapeBundleResult(r, profile, active));
     } catch (err) {
       console.error('[Salem Router] /route error:', err.message);
       return res.status(500).json({ error: err.message });
     }
   });
 
-  // POST /api/salem/route-multi { stops: [{lat,lng}, ...], source? }
+  // POST /api/salem/route-multi { stops: [{lat,lng}, ...], source?, profile? }
   app.post('/salem/route-multi', async (req, res) => {
     if (!bundleGuard(req, res)) return;
     const stops = (req.body && req.body.stops) || [];
@@ -1238,6 +3138,10 @@ module.exports = function (app, deps) {
       }
     }
     const source = (req.body.source || 'bundle').toString().toLowerCase();
+    const profile = parseProfile(req.body.profile);
+    if (!profile) return badProfile(res);
+    const atMs = parseAt(req.body.at);
+    if (atMs == null) return badAt(res);
 
     try {
       if (source === 'live') {
@@ -1263,37 +3167,1003 @@ module.exports = function (app, deps) {
           shapeLiveResult({ geometry, distanceM: totalM, durationS: totalM / 1.4, edges: [] }),
         );
       }
-      const r = routeMultiBundle(bundle, stops);
+      const active = activeClosures(atMs);
+      const r = routeMultiBundle(bundle, stops, closureCosts(bundle, profileCosts(bundle, profile), active));
       if (!r) return res.status(404).json({ error: 'No bundled multi-stop route' });
-      return res.json(shapeBundleResult(r));
+      return res.json(shapeBundleResult(r, profile, active));
     } catch (err) {
       console.error('[Salem Router] /route-multi error:', err.message);
       return res.status(500).json({ error: err.message });
     }
   });
 
+  // Validates a stop list for /route/optimize. Returns an error string or null.
+  function badOptimizeStops(stops) {
+    if (!Array.isArray(stops) || stops.length < 2) return 'stops array with >= 2 entries required';
+    if (stops.length > OPTIMIZE_MAX_STOPS) return `at most ${OPTIMIZE_MAX_STOPS} stops per request`;
+    for (const s of stops) {
+      if (!s || badNumber(s.lat) || badNumber(s.lng)) return 'each stop must have numeric lat and lng';
+    }
+    return null;
+  }
+
+  function shapeOptimizeResult(r, stops, profile, opts, active) {
+    return {
+      source: 'bundle',
+      profile,
+      closures: active.map(closureSummary),
+      round_trip: !!opts.roundTrip,
+      pin_start: !!opts.pinStart,
+      pin_end: !!opts.pinEnd,
+      method: r.method,
+      order: r.order,
+      stops: r.order.map((i) => ({ index: i, ...stops[i] })),
+      distance_m: r.distanceM,
+      duration_s: r.durationS,
+      input_distance_m: r.inputDistanceM,
+      saved_m: r.inputDistanceM == null ? null : r.inputDistanceM - r.distanceM,
+      pace_mps: bundle.walkingPaceMps,
+      legs: r.legs,
+    };
+  }
+
+  // POST /api/salem/route/optimize
+  //   { stops, pin_start?, pin_end?, round_trip?, profile? }
+  // Returns the visiting order (indices into `stops`) minimizing total walk
+  // under the profile, plus the routed legs in that order.
+  app.post('/salem/route/optimize', (req, res) => {
+    if (!bundleGuard(req, res)) return;
+    const body = req.body || {};
+    const stops = body.stops;
+    const stopsErr = badOptimizeStops(stops);
+    if (stopsErr) return res.status(400).json({ error: stopsErr });
+    const profile = parseProfile(body.profile);
+    if (!profile) return badProfile(res);
+    const opts = {
+      pinStart: body.pin_start === true,
+      pinEnd: body.pin_end === true,
+      roundTrip: body.round_trip === true,
+    };
+    if (opts.roundTrip && opts.pinEnd) {
+      return res.status(400).json({ error: 'round_trip and pin_end are mutually exclusive' });
+    }
+    const atMs = parseAt(body.at);
+    if (atMs == null) return badAt(res);
+
+    try {
+      const active = activeClosures(atMs);
+      const r = optimizeStopOrder(bundle, stops, opts, closureCosts(bundle, profileCosts(bundle, profile), active));
+      if (!r.feasible) {
+        return res.status(422).json({
+          error: 'no visiting order connects every stop',
+          unresolved: r.unresolved,
+          unreachable: r.unreachable,
+        });
+      }
+      return res.json(shapeOptimizeResult(r, stops, profile, opts, active));
+    } catch (err) {
+      console.error('[Salem Router] /route/optimize error:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  function shapeEdgeSnap(snap, index) {
+    if (!snap) return { index, snapped: false };
+    return {
+      index,
+      snapped: true,
+      edge_id: snap.edge_id,
+      fraction: snap.fraction,
+      snap_lat: snap.snap_lat,
+      snap_lng: snap.snap_lng,
+      snap_m: snap.snap_m,
+      fullname: snap.fullname,
+      mtfcc: snap.mtfcc,
+    };
+  }
+
+  function shapeNodeSnap(p, nIdx, index) {
+    if (nIdx < 0) return { index, snapped: false };
+    const snapM = _haversineMSimple(+p.lat, +p.lng, bundle.nodeLat[nIdx], bundle.nodeLng[nIdx]);
+    return {
+      index,
+      snapped: true,
+      node_id: bundle.nodeIds[nIdx],
+      snap_lat: bundle.nodeLat[nIdx],
+      snap_lng: bundle.nodeLng[nIdx],
+      snap_m: snapM == null ? null : Math.round(snapM * 100) / 100,
+    };
+  }
+
+  // POST /api/salem/route/snap { points: [{lat,lng}, ...], kind?: "edge"|"node" }
+  // Batch snap. "edge" (default) is the same edge-foot projection as
+  // /admin/salem/snap-edge; "node" is the nearest walkable graph node that
+  // plain lat/lng routing starts from. One result per input point, in order;
+  // points with nothing in range come back { index, snapped: false }.
+  app.post('/salem/route/snap', (req, res) => {
+    if (!bundleGuard(req, res)) return;
+    const body = req.body || {};
+    const points = body.points;
+    if (!Array.isArray(points) || points.length === 0) {
+      return res.status(400).json({ error: 'points array required' });
+    }
+    if (points.length > SNAP_BATCH_MAX) {
+      return res.status(400).json({ error: `at most ${SNAP_BATCH_MAX} points per request` });
+    }
+    for (const p of points) {
+      if (!p || badNumber(p.lat) || badNumber(p.lng)) {
+        return res.status(400).json({ error: 'each point must have numeric lat and lng' });
+      }
+    }
+    const kind = body.kind == null ? 'edge' : String(body.kind).toLowerCase();
+    if (kind !== 'edge' && kind !== 'node') {
+      return res.status(400).json({ error: 'kind must be "edge" or "node"' });
+    }
+
+    try {
+      const results = points.map((p, i) => (kind === 'edge'
+        ? shapeEdgeSnap(nearestWalkableEdge(bundle, +p.lat, +p.lng), i)
+        : shapeNodeSnap(p, nearestWalkableNode(bundle, +p.lat, +p.lng), i)));
+      return res.json({
+        kind,
+        count: results.length,
+        snapped: results.filter((r) => r.snapped).length,
+        results,
+      });
+    } catch (err) {
+      console.error('[Salem Router] /route/snap error:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Validates a matrix point list. Returns an error string or null.
+  function badMatrixPoints(list, name, max) {
+    if (!Array.isArray(list) || list.length === 0) return `${name} array required`;
+    if (list.length > max) return `at most ${max} ${name} per request`;
+    for (const p of list) {
+      if (!p || badNumber(p.lat) || badNumber(p.lng)) return `each of ${name} must have numeric lat and lng`;
+    }
+    return null;
+  }
+
+  const roundMatrixCell = (v) => (Number.isFinite(v) ? Math.round(v * 10) / 10 : null);
+
+  // POST /api/salem/route/matrix
+  //   { sources: [{lat,lng[,edge_id,edge_fraction]}, ...], targets: [...] [, profile] }
+  // Real walking metres/seconds for every source × target pair, one
+  // multi-target Dijkstra per source. The body is streamed one row at a
+  // time (still a single JSON document) and the event loop gets a turn
+  // between rows; null cells are unreachable or unsnappable.
+  app.post('/salem/route/matrix', async (req, res) => {
+    if (!bundleGuard(req, res)) return;
+    const body = req.body || {};
+    const err = badMatrixPoints(body.sources, 'sources', MATRIX_MAX_SOURCES) ||
+      badMatrixPoints(body.targets, 'targets', MATRIX_MAX_TARGETS);
+    if (err) return res.status(400).json({ error: err });
+    if (body.sources.length * body.targets.length > MATRIX_MAX_CELLS) {
+      return res.status(400).json({ error: `at most ${MATRIX_MAX_CELLS} source × target cells per request` });
+    }
+    const profile = parseProfile(body.profile);
+    if (!profile) return badProfile(res);
+    const atMs = parseAt(body.at);
+    if (atMs == null) return badAt(res);
+
+    // Pin the bundle for the whole stream — a hot reload mid-matrix must not
+    // mix graphs.
+    const b = bundle;
+    let closed = false;
+    if (typeof res.on === 'function') res.on('close', () => { closed = true; });
+    let started = false;
+    try {
+      const active = activeClosures(atMs);
+      const m = prepareMatrix(b, body.sources, body.targets, closureCosts(b, profileCosts(b, profile), active));
+      res.status(200);
+      res.setHeader('Content-Type', 'application/json; charset=utf-8');
+      started = true;
+      res.write(
+        JSON.stringify({
+          source: 'bundle',
+          profile,
+          closures: active.map(closureSummary),
+          pace_mps: b.walkingPaceMps,
+          sources: body.sources.length,
+          targets: body.targets.length,
+          unresolved_sources: m.src.flatMap((x, i) => (x ? [] : [i])),
+          unresolved_targets: m.dst.flatMap((x, i) => (x ? [] : [i])),
+        }).slice(0, -1) + ',"rows":[',
+      );
+      for (let i = 0; i < m.src.length; i++) {
+        if (closed) return;
+        const row = matrixRow(b, m, i);
+        const out = {
+          source_index: i,
+          distances_m: row ? Array.from(row, (v) => roundMatrixCell(v)) : null,
+          durations_s: row ? Array.from(row, (v) => roundMatrixCell(v / b.walkingPaceMps)) : null,
+        };
+        res.write((i ? ',' : '') + JSON.stringify(out));
+        await new Promise((resolve) => setImmediate(resolve));
+      }
+      res.end(']}');
+    } catch (e) {
+      console.error('[Salem Router] /route/matrix error:', e.message);
+      // Once rows are streaming the status is gone; a truncated body is
+      // the failure signal.
+      if (started) return res.end();
+      return res.status(500).json({ error: e.message });
+    }
+  });
+
+  // Track points for /route/match from body.points ({lat, lng|lon,
+  // time|ts}) or body.gpx. Returns { points } or { error }.
+  function parseTrack(body) {
+    let points;
+    if (typeof body.gpx === 'string' && body.gpx.trim()) {
+      points = parseGpx(body.gpx);
+      if (!points.length) return { error: 'gpx has no <trkpt> or <rtept> points' };
+    } else if (Array.isArray(body.points) && body.points.length) {
+      points = [];
+      for (const p of body.points) {
+        const lng = p && (p.lng ?? p.lon);
+        if (!p || badNumber(p.lat) || badNumber(lng)) {
+          return { error: 'each point must have numeric lat and lng' };
+        }
+        points.push({ lat: +p.lat, lng: +lng, time: parseTime(p.time ?? p.ts) });
+      }
+    } else {
+      return { error: 'points array or gpx string required' };
+    }
+    if (points.length > MATCH_MAX_POINTS) return { error: `at most ${MATCH_MAX_POINTS} points per request` };
+    return { points };
+  }
+
+  // Optional numeric body field within [lo, hi]; undefined → fallback,
+  // NaN → invalid (caller answers 400).
+  function boundedNumber(v, lo, hi, fallback) {
+    if (v == null || v === '') return fallback;
+    const x = Number(v);
+    return Number.isFinite(x) && x >= lo && x <= hi ? x : NaN;
+  }
+
+  const round = (v, places) => (v == null ? null : Math.round(v * 10 ** places) / 10 ** places);
+
+  // POST /api/salem/route/match
+  //   { points: [{lat,lng[,time]}, ...] | gpx: "<gpx>…" [, sigma_m] [, search_m] }
+  // HMM/Viterbi map-matching of a walked track onto the bundle graph:
+  // per-point snap + confidence, matched edge sequence per segment, and the
+  // gaps where the track leaves the graph or can't be connected.
+  app.post('/salem/route/match', (req, res) => {
+    if (!bundleGuard(req, res)) return;
+    const body = req.body || {};
+    const track = parseTrack(body);
+    if (track.error) return res.status(400).json({ error: track.error });
+    const sigmaM = boundedNumber(body.sigma_m, 1, 50, MATCH_DEFAULT_SIGMA_M);
+    const searchM = boundedNumber(body.search_m, 5, 200, MATCH_DEFAULT_SEARCH_M);
+    if (Number.isNaN(sigmaM)) return res.status(400).json({ error: 'sigma_m must be 1..50' });
+    if (Number.isNaN(searchM)) return res.status(400).json({ error: 'search_m must be 5..200' });
+
+    try {
+      const b = bundle;
+      const r = matchTrack(b, track.points, { sigmaM, searchM });
+      const points = r.points.map((m, i) => {
+        const p = track.points[i];
+        const base = {
+          index: i,
+          lat: p.lat,
+          lng: p.lng,
+          time: p.time == null ? null : new Date(p.time).toISOString(),
+          matched: m.matched,
+        };
+        if (!m.matched) return { ...base, segment: null };
+        return {
+          ...base,
+          edge_id: b.edgeId[m.edge_idx],
+          fraction: round(m.fraction, 4),
+          snap_lat: m.snap_lat,
+          snap_lng: m.snap_lng,
+          snap_m: round(m.snap_m, 2),
+          confidence: round(m.confidence, 3),
+          segment: m.segment,
+        };
+      });
+      return res.json({
+        source: 'bundle',
+        point_count: points.length,
+        matched_count: points.filter((p) => p.matched).length,
+        sigma_m: sigmaM,
+        search_m: searchM,
+        points,
+        segments: r.segments.map((sgm, k) => ({
+          index: k,
+          from_point: sgm.from_point,
+          to_point: sgm.to_point,
+          distance_m: round(sgm.distanceM, 1),
+          edges: sgm.edges.map(([eIdx, m]) => ({
+            edge_id: b.edgeId[eIdx],
+            fullname: b.edgeFullname[eIdx],
+            mtfcc: b.edgeMtfcc[eIdx],
+            ..._edgeAttrs(b, eIdx),
+            length_m: round(m, 1),
+          })),
+          geometry: sgm.geometry,
+        })),
+        gaps: r.gaps.map((g) => ({ ...g, straight_m: round(g.straight_m, 1) })),
+      });
+    } catch (err) {
+      console.error('[Salem Router] /route/match error:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  // Parses ?minutes= ("5,10,15") into sorted, de-duplicated band lengths.
+  // Returns null on anything out of range (caller answers 400).
+  function parseMinutes(v) {
+    if (v == null || v === '') return ISOCHRONE_DEFAULT_MINUTES.slice();
+    const list = String(v).split(',').map((s) => s.trim()).filter(Boolean).map(Number);
+    if (!list.length || list.length > ISOCHRONE_MAX_BANDS) return null;
+    if (list.some((m) => !Number.isFinite(m) || m <= 0 || m > ISOCHRONE_MAX_MINUTES)) return null;
+    return [...new Set(list)].sort((a, b) => a - b);
+  }
+
+  // salem_pois inside the isochrone, each with its network walk from the
+  // origin and the smallest band that reaches it. null without PG so the
+  // polygons still work on a bundle-only proxy.
+  async function reachablePois(iso, bands) {
+    if (!pgPool) return null;
+    const dLat = iso.maxM / 111320;
+    const dLng = iso.maxM / (111320 * Math.cos((iso.snap.snap_lat * Math.PI) / 180));
+    const { rows } = await pgPool.query(
+      `SELECT id, name, category, subcategory, lat, lng, geofence_radius_m,
+              priority, wave, is_tour_poi, is_narrated
+         FROM salem_pois
+        WHERE deleted_at IS NULL
+          AND lat BETWEEN $1 AND $2
+          AND lng BETWEEN $3 AND $4`,
+      [iso.snap.snap_lat - dLat, iso.snap.snap_lat + dLat, iso.snap.snap_lng - dLng, iso.snap.snap_lng + dLng],
+    );
+    const out = [];
+    for (const row of rows) {
+      const walkM = iso.walkTo(row.lat, row.lng);
+      if (walkM == null || !(walkM <= iso.maxM)) continue;
+      const band = bands.find((bd) => walkM <= bd.budgetM);
+      out.push({
+        ...row,
+        walk_m: Math.round(walkM * 10) / 10,
+        walk_s: Math.round(walkM / bundle.walkingPaceMps),
+        band_minutes: band.minutes,
+      });
+    }
+    out.sort((a, b) => a.walk_m - b.walk_m);
+    return out;
+  }
+
+  // GET /api/salem/isochrone?lat&lng[&minutes=5,10,15][&profile=]
+  // One GeoJSON MultiPolygon Feature per time band (smallest first) plus the
+  // salem_pois reachable within the largest band, nearest walk first.
+  app.get('/salem/isochrone', async (req, res) => {
+    if (!bundleGuard(req, res)) return;
+    const { lat, lng } = req.query;
+    if (badNumber(lat) || badNumber(lng)) {
+      return res.status(400).json({ error: 'lat and lng required' });
+    }
+    const minutes = parseMinutes(req.query.minutes);
+    if (!minutes) {
+      return res.status(400).json({
+        error: `minutes must be a comma list of up to ${ISOCHRONE_MAX_BANDS} values in (0, ${ISOCHRONE_MAX_MINUTES}]`,
+      });
+    }
+    const profile = parseProfile(req.query.profile);
+    if (!profile) return badProfile(res);
+    const atMs = parseAt(req.query.at);
+    if (atMs == null) return badAt(res);
+
+    try {
+      const active = activeClosures(atMs);
+      const iso = isochroneBundle(bundle, +lat, +lng, minutes, closureCosts(bundle, reachCosts(bundle, profile), active, true));
+      if (!iso) return res.status(404).json({ error: 'No walkable edge near origin (snap failed)' });
+      const pois = await reachablePois(iso, iso.bands);
+      return res.json({
+        source: 'bundle',
+        profile,
+        closures: active.map(closureSummary),
+        pace_mps: bundle.walkingPaceMps,
+        origin: {
+          lat: +lat,
+          lng: +lng,
+          snap_lat: iso.snap.snap_lat,
+          snap_lng: iso.snap.snap_lng,
+          snap_m: iso.snap.snap_m,
+          fullname: iso.snap.fullname,
+        },
+        isochrones: {
+          type: 'FeatureCollection',
+          features: iso.bands.map((bd) => ({
+            type: 'Feature',
+            properties: { minutes: bd.minutes, budget_m: Math.round(bd.budgetM * 10) / 10 },
+            geometry: { type: 'MultiPolygon', coordinates: bd.coordinates },
+          })),
+        },
+        pois,
+      });
+    } catch (err) {
+      console.error('[Salem Router] /isochrone error:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  // salem_pois within reach of a loop of targetM metres that match the
+  // theme. Filtered here rather than in SQL so the theme presets live in one
+  // place (lib/route-loop.js). null without PG.
+  async function loopPois(lat, lng, targetM, theme) {
+    if (!pgPool) return null;
+    const reachM = targetM / 2;
+    const dLat = reachM / 111320;
+    const dLng = reachM / (111320 * Math.cos((lat * Math.PI) / 180));
+    const { rows } = await pgPool.query(
+      `SELECT id, name, category, subcategory, lat, lng, geofence_radius_m,
+              priority, wave, is_tour_poi, is_narrated
+         FROM salem_pois
+        WHERE deleted_at IS NULL
+          AND lat BETWEEN $1 AND $2
+          AND lng BETWEEN $3 AND $4`,
+      [lat - dLat, lat + dLat, lng - dLng, lng + dLng],
+    );
+    return rows.filter(theme.match);
+  }
+
+  // Shared by the HTTP handler and the admin "save loop as draft tour" call.
+  // Returns null when the origin can't be snapped.
+  async function buildLoops({ lat, lng, minutes, theme, profile, n, active }) {
+    const targetM = minutes * 60 * bundle.walkingPaceMps;
+    const pois = await loopPois(lat, lng, targetM, theme);
+    const costs = closureCosts(bundle, profileCosts(bundle, profile), active);
+    const r = loopCandidates(bundle, lat, lng, targetM, pois || [], costs, n);
+    if (!r) return null;
+    return { ...r, targetM, poiCount: pois ? pois.length : null };
+  }
+
+  function shapeLoop(l, i) {
+    return {
+      rank: i,
+      distance_m: l.distanceM,
+      duration_s: l.durationS,
+      repeat_m: Math.round(l.repeatM * 10) / 10,
+      repeat_pct: l.repeatPct,
+      score: l.score,
+      vias: l.vias,
+      geometry: l.geometry,
+      edges: l.edges,
+      steps: buildSteps(l.edges, bundle.walkingPaceMps),
+      pois: l.visited.map((v) => ({
+        id: v.poi.id,
+        name: v.poi.name,
+        category: v.poi.category,
+        priority: v.poi.priority,
+        offset_m: Math.round(v.offsetM * 10) / 10,
+        along_m: Math.round(v.alongM * 10) / 10,
+      })),
+    };
+  }
+
+  // GET /api/salem/route/loop?lat&lng&minutes[&theme=][&candidates=N][&profile=][&at=]
+  // Round-trip walks of about `minutes` from the origin, best first, each
+  // with the themed POIs it passes in walking order.
+  app.get('/salem/route/loop', async (req, res) => {
+    if (!bundleGuard(req, res)) return;
+    const { lat, lng, minutes } = req.query;
+    if (badNumber(lat) || badNumber(lng) || badNumber(minutes)) {
+      return res.status(400).json({ error: 'lat, lng and minutes required' });
+    }
+    if (+minutes < LOOP_MIN_MINUTES || +minutes > LOOP_MAX_MINUTES) {
+      return res.status(400).json({ error: `minutes must be in [${LOOP_MIN_MINUTES}, ${LOOP_MAX_MINUTES}]` });
+    }
+    const theme = resolveTheme(req.query.theme);
+    if (!theme) {
+      return res.status(400).json({
+        error: `theme must be one of: ${Object.keys(LOOP_THEMES).join(', ')}, or a category id`,
+      });
+    }
+    let n = LOOP_DEFAULT_CANDIDATES;
+    if (req.query.candidates != null && req.query.candidates !== '') {
+      n = Number(req.query.candidates);
+      if (!Number.isInteger(n) || n < 1 || n > LOOP_MAX_CANDIDATES) {
+        return res.status(400).json({ error: `candidates must be an integer 1..${LOOP_MAX_CANDIDATES}` });
+      }
+    }
+    const profile = parseProfile(req.query.profile);
+    if (!profile) return badProfile(res);
+    const atMs = parseAt(req.query.at);
+    if (atMs == null) return badAt(res);
+
+    try {
+      const active = activeClosures(atMs);
+      const r = await buildLoops({ lat: +lat, lng: +lng, minutes: +minutes, theme, profile, n, active });
+      if (!r) return res.status(404).json({ error: 'No walkable edge near origin (snap failed)' });
+      if (!r.loops.length) {
+        return res.status(404).json({ error: 'No loop of that length found from this origin' });
+      }
+      return res.json({
+        source: 'bundle',
+        profile,
+        theme: { id: theme.id, label: theme.label },
+        closures: active.map(closureSummary),
+        pace_mps: bundle.walkingPaceMps,
+        target_m: Math.round(r.targetM * 10) / 10,
+        origin: {
+          lat: +lat,
+          lng: +lng,
+          snap_lat: r.snap.snap_lat,
+          snap_lng: r.snap.snap_lng,
+          snap_m: r.snap.snap_m,
+          fullname: r.snap.fullname,
+          edge_id: r.snap.edge_id,
+          edge_fraction: r.snap.fraction,
+        },
+        poi_count: r.poiCount,
+        loops: r.loops.map(shapeLoop),
+      });
+    } catch (err) {
+      console.error('[Salem Router] /route/loop error:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
+  // ── POIs along a route ────────────────────────────────────────────────────
+
+  // [[lat, lng], ...] from body.geometry. Returns { geometry } or { error }.
+  function parseGeometry(g) {
+    if (!Array.isArray(g) || g.length < 2) return { error: 'geometry must be an array of at least 2 [lat, lng] pairs' };
+    if (g.length > CORRIDOR_MAX_POINTS) return { error: `at most ${CORRIDOR_MAX_POINTS} geometry points per request` };
+    const out = [];
+    for (const p of g) {
+      if (!Array.isArray(p) || badNumber(p[0]) || badNumber(p[1])) {
+        return { error: 'geometry must be an array of at least 2 [lat, lng] pairs' };
+      }
+      out.push([+p[0], +p[1]]);
+    }
+    return { geometry: out };
+  }
+
+  // A tour's baked legs (salem_tour_legs), or just one of them, joined into
+  // one polyline. legs[] records where each leg starts along it. null when
+  // the tour (or leg) has no baked polyline.
+  async function tourGeometry(tourId, legOrder) {
+    const args = [tourId];
+    let legFilter = '';
+    if (legOrder != null) {
+      args.push(legOrder);
+      legFilter = 'AND leg_order = $2';
+    }
+    const { rows } = await pgPool.query(
+      `SELECT leg_order, from_stop_id, to_stop_id, polyline_json
+         FROM salem_tour_legs
+        WHERE tour_id = $1 ${legFilter}
+     ORDER BY leg_order ASC`,
+      args,
+    );
+    const geometry = [];
+    const legs = [];
+    for (const leg of rows) {
+      const seg = (Array.isArray(leg.polyline_json) ? leg.polyline_json : [])
+        .filter((p) => Array.isArray(p) && Number.isFinite(+p[0]) && Number.isFinite(+p[1]))
+        .map((p) => [+p[0], +p[1]]);
+      if (seg.length < 2) continue;
+      legs.push({
+        leg_order: leg.leg_order,
+        from_stop_id: leg.from_stop_id == null ? null : Number(leg.from_stop_id),
+        to_stop_id: leg.to_stop_id == null ? null : Number(leg.to_stop_id),
+        startIdx: geometry.length ? geometry.length - 1 : 0,
+      });
+      geometry.push(...(geometry.length ? seg.slice(1) : seg));
+    }
+    return geometry.length >= 2 ? { geometry, legs } : null;
+  }
+
+  async function corridorCandidates(geometry, corridorM) {
+    let minLat = Infinity, maxLat = -Infinity, minLng = Infinity, maxLng = -Infinity;
+    for (const [lat, lng] of geometry) {
+      if (lat < minLat) minLat = lat;
+      if (lat > maxLat) maxLat = lat;
+      if (lng < minLng) minLng = lng;
+      if (lng > maxLng) maxLng = lng;
+    }
+    const padM = corridorM + CORRIDOR_FETCH_PAD_M;
+    const dLat = padM / 111320;
+    const dLng = padM / (111320 * Math.cos((minLat * Math.PI) / 180));
+    const { rows } = await pgPool.query(
+      `SELECT id, name, category, lat, lng, geofence_radius_m, priority, wave,
+              is_narrated, short_narration, long_narration
+         FROM salem_pois
+        WHERE deleted_at IS NULL
+          AND lat BETWEEN $1 AND $2
+          AND lng BETWEEN $3 AND $4`,
+      [minLat - dLat, maxLat + dLat, minLng - dLng, maxLng + dLng],
+    );
+    return rows;
+  }
+
+  // POST /api/salem/route/corridor-pois
+  //   { geometry: [[lat, lng], ...] | tour_id [, leg_order] [, corridor_m]
+  //     [, detail: "short"|"long"] [, min_gap_s] [, max_run] }
+  // Every salem_pois geofence the corridor around the route crosses, in
+  // walking order with entry / exit as metres and fractions of the route,
+  // plus a replay of the narration queue a walker would hear and the runs
+  // where narrations fire back to back.
+  app.post('/salem/route/corridor-pois', async (req, res) => {
+    const body = req.body || {};
+    if (!pgPool) return res.status(503).json({ error: 'PostgreSQL not configured' });
+    const hasTour = body.tour_id != null && body.tour_id !== '';
+    if (hasTour === (body.geometry != null)) {
+      return res.status(400).json({ error: 'exactly one of geometry or tour_id required' });
+    }
+    let legOrder = null;
+    if (body.leg_order != null && body.leg_order !== '') {
+      legOrder = Number(body.leg_order);
+      if (!hasTour || !Number.isInteger(legOrder) || legOrder < 0) {
+        return res.status(400).json({ error: 'leg_order must be a non-negative integer, with tour_id' });
+      }
+    }
+    const corridorM = boundedNumber(body.corridor_m, 0, CORRIDOR_MAX_M, CORRIDOR_DEFAULT_M);
+    if (Number.isNaN(corridorM)) return res.status(400).json({ error: `corridor_m must be 0..${CORRIDOR_MAX_M}` });
+    const minGapS = boundedNumber(body.min_gap_s, 0, 300, CORRIDOR_DEFAULT_MIN_GAP_S);
+    if (Number.isNaN(minGapS)) return res.status(400).json({ error: 'min_gap_s must be 0..300' });
+    const maxRun = boundedNumber(body.max_run, 2, 50, CORRIDOR_DEFAULT_MAX_RUN);
+    if (!Number.isInteger(maxRun)) return res.status(400).json({ error: 'max_run must be an integer 2..50' });
+    const detail = body.detail == null || body.detail === '' ? 'short' : body.detail;
+    if (detail !== 'short' && detail !== 'long') {
+      return res.status(400).json({ error: "detail must be 'short' or 'long'" });
+    }
+    let geometry = null;
+    if (!hasTour) {
+      const g = parseGeometry(body.geometry);
+      if (g.error) return res.status(400).json({ error: g.error });
+      geometry = g.geometry;
+    }
+
+    try {
+      let legs = null;
+      if (hasTour) {
+        const t = await tourGeometry(String(body.tour_id), legOrder);
+        if (!t) {
+          return res.status(404).json({
+            error: legOrder == null ? 'tour has no baked legs' : 'tour leg not found or not baked',
+          });
+        }
+        geometry = t.geometry;
+        legs = t.legs;
+      }
+      const paceMps = bundle ? bundle.walkingPaceMps : 1.4;
+      const rows = await corridorCandidates(geometry, corridorM);
+      const { lengthM, cum, hits } = corridorPois(geometry, rows, corridorM);
+      if (legs) for (const leg of legs) leg.startM = cum[leg.startIdx];
+      const legAt = (m) => {
+        if (!legs) return null;
+        let leg = legs[0];
+        for (const l of legs) if (l.startM <= m) leg = l;
+        return leg;
+      };
+      const fraction = (m) => (lengthM > 0 ? round(m / lengthM, 4) : 0);
+
+      const talk = hits
+        .map((h) => ({ h, words: wordCount(narrationText(h.poi, detail)) }))
+        .filter((t) => t.h.poi.is_narrated && t.words > 0);
+      const q = narrationQueue(
+        talk.map((t) => ({
+          id: t.h.poi.id,
+          entryM: t.h.passes[0].entryM,
+          exitM: t.h.passes[0].exitM,
+          speakS: (t.words / NARRATION_WPM) * 60,
+        })),
+        { paceMps, minGapS, maxRun },
+      );
+      const queued = new Map(q.items.map((it, i) => [it.id, { ...it, words: talk[i].words }]));
+      const inRun = new Set(q.runs.flatMap((r) => r.ids));
+
+      const pois = hits.map((h) => {
+        const first = h.passes[0];
+        const leg = legAt(first.entryM);
+        const n = queued.get(h.poi.id);
+        return {
+          id: h.poi.id,
+          name: h.poi.name,
+          category: h.poi.category,
+          priority: h.poi.priority,
+          wave: h.poi.wave,
+          lat: h.poi.lat,
+          lng: h.poi.lng,
+          geofence_radius_m: h.radiusM,
+          leg_order: leg ? leg.leg_order : null,
+          entry_m: round(first.entryM, 1),
+          exit_m: round(first.exitM, 1),
+          entry_fraction: fraction(first.entryM),
+          exit_fraction: fraction(first.exitM),
+          offset_m: round(first.offsetM, 1),
+          pass_count: h.passes.length,
+          narration: n
+            ? {
+              words: n.words,
+              speak_s: round(n.end_s - n.start_s, 1),
+              trigger_s: round(n.trigger_s, 1),
+              start_s: round(n.start_s, 1),
+              wait_s: round(n.wait_s, 1),
+              gap_s: round(n.gap_s, 1),
+              after_exit: n.after_exit,
+              back_to_back: inRun.has(h.poi.id),
+            }
+            : null,
+        };
+      });
+
+      return res.json({
+        source: hasTour ? 'tour' : 'geometry',
+        tour_id: hasTour ? String(body.tour_id) : null,
+        leg_order: legOrder,
+        corridor_m: corridorM,
+        pace_mps: paceMps,
+        wpm: NARRATION_WPM,
+        detail,
+        length_m: round(lengthM, 1),
+        poi_count: pois.length,
+        narrated_count: q.items.length,
+        pois,
+        back_to_back: q.runs.map((r) => {
+          const leg = legAt(r.from_m);
+          return {
+            poi_ids: r.ids,
+            from_m: round(r.from_m, 1),
+            to_m: round(r.to_m, 1),
+            from_fraction: fraction(r.from_m),
+            to_fraction: fraction(r.to_m),
+            talk_s: round(r.talk_s, 1),
+            leg_order: leg ? leg.leg_order : null,
+            from_stop_id: leg ? leg.from_stop_id : null,
+            to_stop_id: leg ? leg.to_stop_id : null,
+          };
+        }),
+      });
+    } catch (err) {
+      console.error('[Salem Router] /route/corridor-pois error:', err.message);
+      return res.status(500).json({ error: err.message });
+    }
+  });
+
   // GET /api/salem/route/meta — bundle metadata for clients (admin UI etc.)
   app.get('/salem/route/meta', (req, res) => {
     if (!bundleGuard(req, res)) return;
     res.json({
       bundle_path: path.basename(BUNDLE_PATH),
+      bundle_hash: bundleHash,
+      previous_bundle_hash: previousBundleHash,
+      loaded_at: loadedAt,
+      schema_version: bundle.schemaVersion,
+      edge_attributes: bundle.edgeAttributes,
+      reload: { count: reloadState.count, running: !!reloadState.running, last: reloadState.last },
       node_count: bundle.nodeCount,
       edge_count: bundle.edgeCount,
       pace_mps: bundle.walkingPaceMps,
       meta: bundle.meta,
+      profiles: Object.entries(ROUTING_PROFILES).map(([id, p]) => ({ id, label: p.label })),
+      closures: { loaded: closures.length, active: activeClosures().length },
+      overlay: bundle.overlay,
     });
   });
 
+  // Resolves a profile name to its cost array for the in-process callers
+  // below. Unknown names throw so admin-tours surfaces the typo instead of
+  // silently routing shortest-distance.
+  function costsFor(profile) {
+    const costs = profileCosts(bundle, profile);
+    if (!costs) throw new Error(`unknown routing profile "${profile}"`);
+    return costs;
+  }
+
   return {
     // Exposed for tests / introspection.
     _bundle: () => bundle,
-    _route: (a, b, c, d) => (bundle ? routeBundle(bundle, a, b, c, d) : null),
+    // Forces a background reload + canary check now (what the file watcher
+    // does on change). Resolves to the reload result.
+    _reloadBundle: () => reloadBundle(),
+    _route: (a, b, c, d, profile) =>
+      (bundle ? withSteps(routeBundle(bundle, a, b, c, d, costsFor(profile))) : null),
     _routeDiag: (a, b, c, d) => (bundle ? routeBundleDiag(bundle, a, b, c, d) : null),
     // S214 — admin tour waypoint edge-foot snap.
     _snapEdge: (lat, lng) => (bundle ? nearestWalkableEdge(bundle, lat, lng) : null),
     // S215 — edge-point Dijkstra. Routes between two stop objects that may
     // carry edge_id+edge_fraction bindings, so legs actually pass through
     // mid-block waypoints persisted by S214.
-    _routeEx: (srcStop, dstStop) => (bundle ? routeBundleEx(bundle, srcStop, dstStop) : null),
+    _routeEx: (srcStop, dstStop, profile) =>
+      (bundle ? withSteps(routeBundleEx(bundle, srcStop, dstStop, costsFor(profile))) : null),
+    // Best route + up to n alternatives between two stop objects, for the
+    // admin leg picker. [{ route (with steps), rank, overlapPct, stretch }].
+    _routeAlternatives: (srcStop, dstStop, n, profile, maxOverlapPct) => {
+      if (!bundle) return null;
+      const routes = alternativeRoutesEx(
+        bundle, srcStop, dstStop, Math.min(Math.max(n | 0, 0), ALTERNATIVES_MAX),
+        costsFor(profile), maxOverlapPct == null ? ALT_DEFAULT_MAX_OVERLAP_PCT : maxOverlapPct,
+      );
+      if (routes) for (const a of routes) withSteps(a.route);
+      return routes;
+    },
+    // Walking metres between two point lists (admin collection candidates).
+    // { distancesM: Float64Array sources × targets, unresolvedSources,
+    // unresolvedTargets }, Infinity where unreachable.
+    _matrix: (sources, targets, profile) =>
+      (bundle ? routeMatrix(bundle, sources, targets, costsFor(profile)) : null),
+    // Round-trip loops for the admin "save loop as draft tour" flow. Same
+    // loops (HTTP shape) as GET /salem/route/loop, on base costs like every
+    // in-process caller. Resolves to { snap, target_m, loops }, or null with
+    // no bundle / an unsnappable origin; unknown theme or profile throws.
+    _loops: async (lat, lng, minutes, themeId, profile, n = LOOP_DEFAULT_CANDIDATES) => {
+      if (!bundle) return null;
+      const theme = resolveTheme(themeId);
+      if (!theme) throw new Error(`unknown loop theme "${themeId}"`);
+      costsFor(profile);
+      const r = await buildLoops({
+        lat, lng, minutes, theme,
+        profile: profile || DEFAULT_PROFILE,
+        n: Math.min(Math.max(n | 0, 1), LOOP_MAX_CANDIDATES),
+        active: [],
+      });
+      if (!r) return null;
+      return { snap: r.snap, target_m: r.targetM, loops: r.loops.map(shapeLoop) };
+    },
+    // Bundle vs TigerLine live for one pair, for the admin parity job
+    // (lib/admin-route-parity.js). Same comparison ?source=live logs:
+    // shortest distance on both sides, no closures. Resolves to
+    // { bundleHash, bundle, live, liveError } with bundle / live each
+    // { distanceM, geometry } or null; null with no bundle.
+    _parityPair: async (fLat, fLng, tLat, tLng) => {
+      const b = bundle;
+      if (!b) return null;
+      const hash = bundleHash;
+      const r = routeBundle(b, fLat, fLng, tLat, tLng);
+      let live = null;
+      let liveError = null;
+      try {
+        live = await routeLive(fLat, fLng, tLat, tLng);
+      } catch (err) {
+        liveError = err.message;
+      }
+      return {
+        bundleHash: hash,
+        bundle: r ? { distanceM: r.distanceM, geometry: r.geometry } : null,
+        live: live ? { distanceM: live.distanceM, geometry: live.geometry } : null,
+        liveError,
+      };
+    },
+    // Walkable node coordinates ([[lat, lng], ...]) inside a bbox, for the
+    // parity job's random pair sampling.
+    _walkableNodes: ({ minLat, maxLat, minLng, maxLng }) => {
+      if (!bundle) return [];
+      const out = [];
+      for (let i = 0; i < bundle.nodeCount; i++) {
+        if (!bundle.nodeWalkable[i]) continue;
+        const lat = bundle.nodeLat[i], lng = bundle.nodeLng[i];
+        if (lat >= minLat && lat <= maxLat && lng >= minLng && lng <= maxLng) out.push([lat, lng]);
+      }
+      return out;
+    },
+    // Landmark pairs every bake must connect (DEFAULT_CANARIES or
+    // SALEM_ROUTING_CANARIES); the parity job's default curated set.
+    _canaries: () => loadCanaries(),
+    _bundleHash: () => bundleHash,
+    // Named cost models accepted by ?profile= and salem_tours.route_profile.
+    _profiles: () => Object.keys(ROUTING_PROFILES),
+    // Visiting-order optimizer for the admin "optimize order" preview. Same
+    // result shape as optimizeStopOrder (camelCase, null if no bundle).
+    _optimizeOrder: (stops, opts, profile) =>
+      (bundle ? optimizeStopOrder(bundle, stops, opts || {}, costsFor(profile)) : null),
+    // Replaces the closure set from salem_route_closures rows (admin module
+    // calls this at startup and after every write). Unusable rows are
+    // dropped. Returns how many closures are loaded.
+    //
+    // Only the public HTTP endpoints honour closures. The in-process callers
+    // above keep routing on base costs: tour legs are permanent content, and
+    // a weekend street fair must not quietly reroute a published tour —
+    // _legClosures flags those legs instead.
+    _setClosures: (rows) => {
+      closures = (rows || []).map(normalizeClosureRow).filter(Boolean);
+      return closures.length;
+    },
+    // Edges a closure row covers in the loaded bundle, for the admin detail
+    // view: { edge_ids, missing_edge_ids }, or null (no bundle / bad row).
+    _closureEdges: (row) => {
+      const c = normalizeClosureRow(row);
+      if (!bundle || !c) return null;
+      const r = resolveClosureEdges(bundle, c);
+      return { edge_ids: Array.from(r.edges, (i) => bundle.edgeId[i]), missing_edge_ids: r.missingEdgeIds };
+    },
+    // Closures a leg polyline ([[lat, lng], ...]) runs through that are
+    // active at atMs (default now) or still to come, each with
+    // active: true|false. null without a bundle.
+    _legClosures: (geometry, atMs = Date.now()) => {
+      if (!bundle) return null;
+      const relevant = closures.filter((c) => closureState(c, atMs) !== 'expired');
+      return legClosureHits(bundle, geometry, relevant).map((c) => ({
+        ...closureSummary(c),
+        active: isClosureActive(c, atMs),
+      }));
+    },
+    // Replaces the graph overlay from salem_route_overlay rows (admin module
+    // calls this at startup and after every write) and rebuilds the graph
+    // through the normal reload path, canaries included — an overlay that
+    // cuts a canary pair is rejected like a bad bake, and the previous
+    // overlay stays current. Resolves to the reload result ('swapped', or
+    // 'rejected' / 'error' with the graph and overlay unchanged), or
+    // { status: 'unchanged' } when the overlay is the same.
+    _setOverlay: async (rows) => {
+      const next = (rows || []).map(normalizeOverlayRow).filter(Boolean);
+      if (bundle && overlayHash(next) === bundle.overlay.hash) {
+        return { at: new Date().toISOString(), status: 'unchanged', hash: bundleHash };
+      }
+      // A reload in flight (and its queued follow-up) runs with the current
+      // overlay; start the candidate's own reload once the reloader is idle.
+      while (reloadState.running) await reloadState.running;
+      return reloadBundle(next);
+    },
+    // Overlay merge summary of the loaded graph (null without a bundle):
+    // { hash, baked_hash, rows, added, disabled, skipped: [{ id, reason }] }.
+    _overlayStatus: () => (bundle ? bundle.overlay : null),
+    // Nearest walkable node, for snapping drawn overlay edges:
+    // { node_id, lat, lng, snap_m }, or null.
+    _snapNode: (lat, lng) => {
+      if (!bundle) return null;
+      const i = nearestWalkableNode(bundle, lat, lng);
+      if (i < 0) return null;
+      return {
+        node_id: bundle.nodeIds[i],
+        lat: bundle.nodeLat[i],
+        lng: bundle.nodeLng[i],
+        snap_m: Math.round(planarM(lat, lng, bundle.nodeLat[i], bundle.nodeLng[i]) * 100) / 100,
+      };
+    },
+    // One edge of the loaded (merged) graph by edge_id, or null.
+    _edgeInfo: (edgeId) => {
+      if (!bundle) return null;
+      const i = _edgeIdxById(bundle, +edgeId);
+      if (i == null) return null;
+      const p = bundle.edgePolylines[i];
+      const geometry = [];
+      for (let k = 0; k < p.length; k += 2) geometry.push([p[k], p[k + 1]]);
+      return {
+        edge_id: bundle.edgeId[i],
+        source_node_id: bundle.nodeIds[bundle.srcIdx[i]],
+        target_node_id: bundle.nodeIds[bundle.tgtIdx[i]],
+        length_m: bundle.edgeLengthM[i],
+        fullname: bundle.edgeFullname[i] || null,
+        mtfcc: bundle.edgeMtfcc[i] || null,
+        geometry,
+      };
+    },
+    // Islands cut off from the main walkable network (connectivityReport),
+    // or null without a bundle.
+    _connectivity: (opts) => (bundle ? connectivityReport(bundle, opts) : null),
   };
 };
+
+// Offline callers (cache-proxy/scripts) load the bundle and run matrices
+// directly, without a proxy running.
+module.exports.BUNDLE_PATH = BUNDLE_PATH;
+module.exports.loadBundle = loadBundle;
+module.exports.routeMatrix = routeMatrix;
+module.exports.resolveClosureEdges = resolveClosureEdges;
+
+// Reload worker entry point — the factory spawns this same file with
+// workerData.kind set (see reloadBundle). Posts { hash, bundle, canaries,
+// loadMs } with bundle null when a canary fails, or { error }.
+if (!isMainThread && workerData && workerData.kind === RELOAD_WORKER_KIND) {
+  const { filePath, overlay, canaries, baselineM } = workerData;
+  try {
+    const t0 = Date.now();
+    const hash = bundleFileHash(filePath);
+    const b = loadBundle(filePath, overlay);
+    const results = runCanaries(b, canaries, baselineM);
+    parentPort.postMessage({
+      hash,
+      bundle: results.every((r) => r.ok) ? b : null,
+      canaries: results,
+      loadMs: Date.now() - t0,
+    });
+  } catch (err) {
+    parentPort.postMessage({ error: err.message });
+  }
+}
@@ -0,0 +1,253 @@
+/*
+ * LocationMapApp v1.5
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * Salem POI search — ranked full-text + fuzzy search over salem_pois.
+ *
+ * Routes:
+ *   GET    /salem/search?q=&limit=&category=      — ranked hits with highlights
+ *   GET    /admin/salem/search/synonyms           — synonym groups
+ *   POST   /admin/salem/search/synonyms           — add a group { phrases, note? }
+ *   DELETE /admin/salem/search/synonyms/:id       — remove a group
+ *
+ * The index is an expression GIN index over salem_poi_search_doc(...) — a
+ * weighted tsvector of name (A), short description + tags + owners (B),
+ * district (C) and the narrations + description (D) — plus a trigram index
+ * on name for misspellings. No stored column on salem_pois, so the audit
+ * trigger and its revert path see the table unchanged. Field weights,
+ * query building and synonym expansion live in lib/poi-search.js.
+ *
+ * Score = ts_rank (normalised by document length) + FUZZY_WEIGHT ×
+ * word_similarity(q, name) when that clears FUZZY_MIN_SIMILARITY, plus
+ * TOUR_POI_BOOST for tour POIs.
+ *
+ * The fuzzy filter is `q <% name`, not a word_similarity() comparison: the
+ * operator is what idx_spois_name_trgm can answer, so the planner can
+ * BitmapOr it with idx_spois_search instead of scanning every POI. Its
+ * cutoff is pg_trgm.word_similarity_threshold, set to FUZZY_MIN_SIMILARITY
+ * with SET LOCAL in the query's own transaction.
+ */
+const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module salem-search.js';
+
+const {
+  HIGHLIGHT_START,
+  HIGHLIGHT_END,
+  FUZZY_MIN_SIMILARITY,
+  FUZZY_WEIGHT,
+  TOUR_POI_BOOST,
+  DEFAULT_SYNONYM_GROUPS,
+  words,
+  expandQuery,
+  pgTsQuery,
+  parseLimit,
+} = require('./poi-search');
+
+// Keep in sync with the salem_poi_search_doc() definition in salem-schema.sql.
+const DOC_EXPR = `salem_poi_search_doc(p.name, p.short_description, p.tags, p.owners, p.district,
+                         p.short_narration, p.long_narration, p.historical_narration, p.description)`;
+const HEADLINE_OPTS = `StartSel=${HIGHLIGHT_START}, StopSel=${HIGHLIGHT_END}, MaxWords=24, MinWords=10, ` +
+  `ShortWord=2, MaxFragments=2, FragmentDelimiter=" … "`;
+const SYNONYM_CACHE_MS = 60 * 1000;
+
+module.exports = function (app, deps) {
+  const { pgPool, requirePg } = deps;
+
+  // Idempotent forward-migration (mirrors the POI Search block in
+  // salem-schema.sql). pg_trgm ships with contrib; without it fuzzy
+  // matching fails and /salem/search answers 500 until it's installed.
+  if (pgPool) {
+    pgPool.query(`
+      CREATE EXTENSION IF NOT EXISTS pg_trgm;
+      ALTER TABLE salem_pois ADD COLUMN IF NOT EXISTS historical_narration TEXT;
+      CREATE OR REPLACE FUNCTION salem_poi_search_doc(
+        name TEXT, short_description TEXT, tags JSONB, owners JSONB, district TEXT,
+        short_narration TEXT, long_narration TEXT, historical_narration TEXT, description TEXT
+      ) RETURNS tsvector LANGUAGE sql IMMUTABLE PARALLEL SAFE AS $$
+        SELECT setweight(to_tsvector('english', coalesce(name, '')), 'A')
+            || setweight(to_tsvector('english', coalesce(short_description, '')), 'B')
+            || setweight(jsonb_to_tsvector('english',
+                 coalesce(tags, '[]'::jsonb) || coalesce(owners, '[]'::jsonb), '["string"]'), 'B')
+            || setweight(to_tsvector('english', coalesce(district, '')), 'C')
+            || setweight(to_tsvector('english',
+                 coalesce(short_narration, '') || ' ' || coalesce(long_narration, '') || ' ' ||
+                 coalesce(historical_narration, '') || ' ' || coalesce(description, '')), 'D')
+      $$;
+      CREATE INDEX IF NOT EXISTS idx_spois_search ON salem_pois USING GIN (
+        salem_poi_search_doc(name, short_description, tags, owners, district,
+                             short_narration, long_narration, historical_narration, description)
+      ) WHERE deleted_at IS NULL;
+      CREATE INDEX IF NOT EXISTS idx_spois_name_trgm ON salem_pois USING GIN (name gin_trgm_ops);
+      CREATE TABLE IF NOT EXISTS salem_search_synonyms (
+        id         SERIAL PRIMARY KEY,
+        phrases    TEXT[] NOT NULL CHECK (cardinality(phrases) >= 2),
+        note       TEXT,
+        created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+      );
+    `)
+      .then(() => pgPool.query(`SELECT 1 FROM salem_search_synonyms LIMIT 1`))
+      .then(({ rows }) => {
+        if (rows.length) return null;
+        return pgPool.query(
+          `INSERT INTO salem_search_synonyms (phrases, note)
+           SELECT string_to_array(g, '|'), 'default' FROM unnest($1::text[]) AS g`,
+          [DEFAULT_SYNONYM_GROUPS.map((g) => g.join('|'))]
+        );
+      })
+      .catch((err) => console.warn('[SalemSearch] schema bootstrap warning:', err.message));
+  }
+
+  let synonymCache = null;
+  async function loadSynonyms() {
+    if (synonymCache && Date.now() - synonymCache.at < SYNONYM_CACHE_MS) return synonymCache.groups;
+    const { rows } = await pgPool.query(`SELECT id, phrases FROM salem_search_synonyms ORDER BY id`);
+    synonymCache = { at: Date.now(), groups: rows };
+    return rows;
+  }
+
+  // ── GET /salem/search ─────────────────────────────────────────────────────
+  app.get('/salem/search', requirePg, async (req, res) => {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (words(q).join('').length < 2) {
+      return res.status(400).json({ error: 'q must contain at least 2 letters or digits' });
+    }
+    const limit = parseLimit(req.query.limit);
+    if (limit instanceof Error) return res.status(400).json({ error: limit.message });
+    let client = null;
+    try {
+      const alternatives = expandQuery(q, await loadSynonyms());
+      const params = [pgTsQuery(alternatives), q, FUZZY_MIN_SIMILARITY, FUZZY_WEIGHT, TOUR_POI_BOOST, limit];
+      let categoryClause = '';
+      if (req.query.category) {
+        params.push(String(req.query.category));
+        categoryClause = `AND p.category = $${params.length}`;
+      }
+      client = await pgPool.connect();
+      await client.query('BEGIN');
+      await client.query(`SET LOCAL pg_trgm.word_similarity_threshold = ${Number(FUZZY_MIN_SIMILARITY)}`);
+      const { rows } = await client.query(`
+        WITH q AS (SELECT to_tsquery('english', $1) AS tsq),
+        hits AS (
+          SELECT p.id, p.name, p.category, p.subcategory, p.district, p.lat, p.lng, p.is_tour_poi,
+                 p.short_description, p.short_narration, p.long_narration, p.historical_narration, p.description,
+                 ${DOC_EXPR} @@ q.tsq AS text_hit,
+                 ts_rank(${DOC_EXPR}, q.tsq, 1) AS text_rank,
+                 word_similarity($2, p.name) AS name_similarity
+            FROM salem_pois p, q
+           WHERE p.deleted_at IS NULL
+             AND (${DOC_EXPR} @@ q.tsq OR $2 <% p.name)
+             ${categoryClause}
+        ),
+        ranked AS (
+          SELECT *,
+                 (CASE WHEN text_hit THEN text_rank ELSE 0 END)
+                 + (CASE WHEN name_similarity >= $3::real THEN $4::real * name_similarity ELSE 0 END)
+                 + (CASE WHEN is_tour_poi THEN $5::real ELSE 0 END) AS score
+            FROM hits
+        ORDER BY score DESC, name ASC
+           LIMIT $6
+        )
+        SELECT r.id, r.name, r.category, r.subcategory, r.district, r.lat, r.lng, r.is_tour_poi,
+               r.score, r.text_hit, r.name_similarity,
+               ts_headline('english', r.name, q.tsq, '${HEADLINE_OPTS}') AS name_hl,
+               t.field AS text_field,
+               CASE WHEN t.field IS NULL THEN NULL
+                    ELSE ts_headline('english', t.body, q.tsq, '${HEADLINE_OPTS}') END AS text_hl
+          FROM ranked r
+         CROSS JOIN q
+          LEFT JOIN LATERAL (
+            SELECT f.field, f.body
+              FROM (VALUES (1, 'short_description', r.short_description),
+                           (2, 'short_narration', r.short_narration),
+                           (3, 'long_narration', r.long_narration),
+                           (4, 'historical_narration', r.historical_narration),
+                           (5, 'description', r.description)) AS f(ord, field, body)
+             WHERE f.body IS NOT NULL AND to_tsvector('english', f.body) @@ q.tsq
+          ORDER BY f.ord
+             LIMIT 1
+          ) t ON r.text_hit
+      ORDER BY r.score DESC, r.name ASC
+      `, params);
+      await client.query('COMMIT');
+
+      res.json({
+        query: q,
+        expanded: alternatives.slice(1).map((a) => a.join(' ')),
+        count: rows.length,
+        results: rows.map((r) => {
+          const fuzzy = r.name_similarity >= FUZZY_MIN_SIMILARITY;
+          return {
+            id: r.id,
+            name: r.name,
+            category: r.category,
+            subcategory: r.subcategory,
+            district: r.district,
+            lat: r.lat,
+            lng: r.lng,
+            is_tour_poi: r.is_tour_poi,
+            score: Math.round(r.score * 10000) / 10000,
+            match: r.text_hit && fuzzy ? 'both' : r.text_hit ? 'text' : 'fuzzy',
+            name_similarity: Math.round(r.name_similarity * 1000) / 1000,
+            highlights: { name: r.name_hl, field: r.text_field, text: r.text_hl },
+          };
+        }),
+      });
+    } catch (err) {
+      if (client) {
+        try { await client.query('ROLLBACK'); } catch (_) {}
+      }
+      console.error('[SalemSearch] GET /salem/search error:', err.message);
+      res.status(500).json({ error: err.message });
+    } finally {
+      if (client) client.release();
+    }
+  });
+
+  // ── Synonym groups (admin) ────────────────────────────────────────────────
+  app.get('/admin/salem/search/synonyms', requirePg, async (_req, res) => {
+    try {
+      const { rows } = await pgPool.query(
+        `SELECT id, phrases, note, created_at FROM salem_search_synonyms ORDER BY id`
+      );
+      res.json({ count: rows.length, synonyms: rows });
+    } catch (err) {
+      console.error('[SalemSearch] list synonyms error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  app.post('/admin/salem/search/synonyms', requirePg, async (req, res) => {
+    const b = req.body || {};
+    if (!Array.isArray(b.phrases)) return res.status(400).json({ error: 'phrases must be an array' });
+    const phrases = [...new Set(b.phrases.map((p) => words(p).join(' ')).filter(Boolean))];
+    if (phrases.length < 2) {
+      return res.status(400).json({ error: 'phrases needs at least 2 distinct phrases with letters or digits' });
+    }
+    if (b.note != null && typeof b.note !== 'string') return res.status(400).json({ error: 'note must be a string' });
+    try {
+      const { rows } = await pgPool.query(
+        `INSERT INTO salem_search_synonyms (phrases, note) VALUES ($1, $2)
+         RETURNING id, phrases, note, created_at`,
+        [phrases, b.note || null]
+      );
+      synonymCache = null;
+      res.status(201).json(rows[0]);
+    } catch (err) {
+      console.error('[SalemSearch] add synonym error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+
+  app.delete('/admin/salem/search/synonyms/:id', requirePg, async (req, res) => {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id)) return res.status(400).json({ error: 'id must be an integer' });
+    try {
+      const { rowCount } = await pgPool.query(`DELETE FROM salem_search_synonyms WHERE id = $1`, [id]);
+      if (!rowCount) return res.status(404).json({ error: 'Synonym group not found' });
+      synonymCache = null;
+      res.json({ deleted: id });
+    } catch (err) {
+      console.error('[SalemSearch] delete synonym error:', err.message);
+      res.status(500).json({ error: err.message });
+    }
+  });
+};
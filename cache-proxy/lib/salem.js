@@ -10,9 +10,38 @@
  * The old /salem/businesses endpoint still works (filters by non-tour,
  * non-narrated POIs with business-specific columns) for backward
  * compatibility.
+ *
+ * GET /salem/pois filters (spatial parsing in lib/geo-filter.js):
+ *   lat, lng [, radius]  great-circle radius in metres; any lat/lng adds
+ *                        distance_m to each row
+ *   sort                 priority (default) | distance
+ *   bbox                 minLng,minLat,maxLng,maxLat
+ *   polygon              GeoJSON Polygon / MultiPolygon, or one encoded ring
+ *   limit, cursor        keyset pagination — pass back next_cursor (null on
+ *                        the last page) with the same filters and sort
+ *   open_at, open_now    only POIs open (open_now=false: closed) at that
+ *                        time per lib/opening-hours.js; adds open_state.
+ *                        open_at without an offset is Salem local time
  */
 const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module salem.js';
 
+const {
+  PRIORITY_NULL_RANK,
+  radiusBBox,
+  parseNear,
+  parseBBox,
+  parsePolygonParam,
+  pgPolygon,
+  parseSort,
+  sortKey,
+  encodeCursor,
+  decodeCursor,
+} = require('./geo-filter');
+const { parseOpenFilter, poiOpenState } = require('./opening-hours');
+
+// Rows read per round trip while an open_at / open_now filter fills a page.
+const OPEN_FILTER_BATCH = 500;
+
 module.exports = function (app, deps) {
   const { pgPool, requirePg } = deps;
 
@@ -32,32 +61,111 @@ module.exports = function (app, deps) {
   // ── POIs (unified) ───────────────────────────────────────────────────────
 
   app.get('/salem/pois', requirePg, async (req, res) => {
-    try {
-      const { category, source, stale, lat, lng, radius, q, is_tour_poi, is_narrated, limit = 500 } = req.query;
-      let sql = 'SELECT * FROM salem_pois WHERE deleted_at IS NULL';
+    const { category, source, stale, q, is_tour_poi, is_narrated } = req.query;
+    const near = parseNear(req.query);
+    const bbox = parseBBox(req.query.bbox);
+    const polygon = parsePolygonParam(req.query.polygon);
+    const sort = parseSort(req.query.sort, near instanceof Error ? null : near);
+    for (const v of [near, bbox, polygon, sort]) {
+      if (v instanceof Error) return res.status(400).json({ error: v.message });
+    }
+    const after = decodeCursor(req.query.cursor, sort);
+    if (after instanceof Error) return res.status(400).json({ error: after.message });
+    const limit = req.query.limit === undefined ? 500 : Number(req.query.limit);
+    if (!Number.isInteger(limit) || limit < 1) return res.status(400).json({ error: 'limit must be a positive integer' });
+    const openFilter = parseOpenFilter(req.query);
+    if (openFilter instanceof Error) return res.status(400).json({ error: openFilter.message });
+
+    // Everything after `afterKey` in sort order, at most n rows.
+    function pageQuery(afterKey, n) {
       const params = [];
-      let idx = 1;
+      const $ = (v) => { params.push(v); return `$${params.length}`; };
+      const box = (b) => `lat BETWEEN ${$(b.minLat)} AND ${$(b.maxLat)} AND lng BETWEEN ${$(b.minLng)} AND ${$(b.maxLng)}`;
+      const where = ['deleted_at IS NULL'];
+
+      if (category) where.push(`category = ${$(category)}`);
+      if (source) where.push(`data_source = ${$(source)}`);
+      if (stale === 'true') where.push(`stale_after IS NOT NULL AND stale_after < NOW()`);
+      if (is_tour_poi === 'true') where.push(`is_tour_poi = true`);
+      if (is_tour_poi === 'false') where.push(`is_tour_poi = false`);
+      if (is_narrated === 'true') where.push(`is_narrated = true`);
+      if (is_narrated === 'false') where.push(`is_narrated = false`);
+      // Boxes first so the (lat, lng) index narrows the rows before the
+      // haversine / polygon tests run.
+      if (near && near.radius_m) where.push(box(radiusBBox(near.lat, near.lng, near.radius_m)));
+      if (bbox) where.push(box(bbox));
+      if (polygon) {
+        where.push(box(polygon.bbox));
+        const inside = polygon.polygons.map(([outer, ...holes]) => [
+          `${$(pgPolygon(outer))}::polygon @> point(lng, lat)`,
+          ...holes.map((h) => `NOT ${$(pgPolygon(h))}::polygon @> point(lng, lat)`),
+        ].join(' AND '));
+        where.push(`((${inside.join(') OR (')}))`);
+      }
+      // Plain substring filter; ranked / fuzzy search lives at /salem/search (salem-search.js).
+      if (q) { const pat = $(`%${q}%`); where.push(`(name ILIKE ${pat} OR description ILIKE ${pat})`); }
+
+      let distance = '';
+      if (near) {
+        const la = $(near.lat);
+        const ln = $(near.lng);
+        distance = `, 6371000.0 * 2.0 * ASIN(LEAST(1.0, SQRT(
+            POWER(SIN(RADIANS(lat - ${la}) / 2.0), 2) +
+            COS(RADIANS(${la})) * COS(RADIANS(lat)) *
+            POWER(SIN(RADIANS(lng - ${ln}) / 2.0), 2)
+          ))) AS distance_m`;
+      }
 
-      if (category) { sql += ` AND category = $${idx++}`; params.push(category); }
-      if (source) { sql += ` AND data_source = $${idx++}`; params.push(source); }
-      if (stale === 'true') { sql += ` AND stale_after IS NOT NULL AND stale_after < NOW()`; }
-      if (is_tour_poi === 'true') sql += ` AND is_tour_poi = true`;
-      if (is_tour_poi === 'false') sql += ` AND is_tour_poi = false`;
-      if (is_narrated === 'true') sql += ` AND is_narrated = true`;
-      if (is_narrated === 'false') sql += ` AND is_narrated = false`;
-      if (lat && lng && radius) {
-        sql += ` AND lat BETWEEN $${idx} - $${idx + 2} / 111000.0 AND $${idx} + $${idx + 2} / 111000.0`;
-        sql += ` AND lng BETWEEN $${idx + 1} - $${idx + 2} / 111000.0 AND $${idx + 1} + $${idx + 2} / 111000.0`;
-        params.push(parseFloat(lat), parseFloat(lng), parseFloat(radius));
-        idx += 3;
+      const outer = [];
+      if (near && near.radius_m) outer.push(`distance_m <= ${$(near.radius_m)}`);
+      let order;
+      if (sort === 'distance') {
+        order = 'distance_m ASC, id ASC';
+        if (afterKey) outer.push(`(distance_m, id) > (${$(afterKey[0])}::float8, ${$(afterKey[1])}::text)`);
+      } else {
+        order = `COALESCE(priority, ${PRIORITY_NULL_RANK}) ASC, name ASC, id ASC`;
+        if (afterKey) {
+          outer.push(`(COALESCE(priority, ${PRIORITY_NULL_RANK}), name, id) > ` +
+            `(${$(afterKey[0])}::int, ${$(afterKey[1])}::text, ${$(afterKey[2])}::text)`);
+        }
       }
-      if (q) { sql += ` AND (name ILIKE $${idx} OR description ILIKE $${idx})`; params.push(`%${q}%`); idx++; }
 
-      sql += ` ORDER BY priority ASC, name ASC LIMIT $${idx}`;
-      params.push(parseInt(limit));
+      const sql = `
+        SELECT * FROM (
+          SELECT *${distance} FROM salem_pois WHERE ${where.join(' AND ')}
+        ) p
+        ${outer.length ? `WHERE ${outer.join(' AND ')}` : ''}
+        ORDER BY ${order}
+        LIMIT ${$(n)}`;
+      return { sql, params };
+    }
 
-      const { rows } = await pgPool.query(sql, params);
-      res.json({ count: rows.length, pois: rows });
+    try {
+      // One extra row tells us whether there's a next page. Hours are free-form
+      // columns, so open_at / open_now filter here in JS and keep reading
+      // keyset batches until the page is full.
+      const rows = [];
+      let key = after;
+      for (;;) {
+        const n = openFilter ? Math.max(limit + 1, OPEN_FILTER_BATCH) : limit + 1;
+        const { sql, params } = pageQuery(key, n);
+        const { rows: got } = await pgPool.query(sql, params);
+        for (const r of got) {
+          if (openFilter) {
+            r.open_state = poiOpenState(r, openFilter.at);
+            if (r.open_state !== (openFilter.open ? 'open' : 'closed')) continue;
+          }
+          rows.push(r);
+          if (rows.length > limit) break;
+        }
+        if (rows.length > limit || got.length < n) break;
+        key = sortKey(sort, got[got.length - 1]);
+      }
+      const more = rows.length > limit;
+      if (more) rows.length = limit;
+      const next_cursor = more ? encodeCursor(sort, rows[rows.length - 1]) : null;
+      if (near) for (const r of rows) r.distance_m = Math.round(r.distance_m * 10) / 10;
+      res.json({ count: rows.length, pois: rows, next_cursor });
     } catch (err) {
       console.error('[Salem] GET /salem/pois error:', err.message);
       res.status(500).json({ error: err.message });
@@ -179,10 +287,11 @@ module.exports = function (app, deps) {
   });
 
   // ── Tours ─────────────────────────────────────────────────────────────────
+  // Draft tours (salem_tours.status = 'draft') are admin-only.
 
   app.get('/salem/tours', requirePg, async (req, res) => {
     try {
-      const { rows } = await pgPool.query('SELECT * FROM salem_tours ORDER BY sort_order ASC');
+      const { rows } = await pgPool.query(`SELECT * FROM salem_tours WHERE status = 'published' ORDER BY sort_order ASC`);
       res.json({ count: rows.length, tours: rows });
     } catch (err) {
       res.status(500).json({ error: err.message });
@@ -191,7 +300,10 @@ module.exports = function (app, deps) {
 
   app.get('/salem/tours/:id', requirePg, async (req, res) => {
     try {
-      const tour = await pgPool.query('SELECT * FROM salem_tours WHERE id = $1', [req.params.id]);
+      const tour = await pgPool.query(
+        `SELECT * FROM salem_tours WHERE id = $1 AND status = 'published'`,
+        [req.params.id]
+      );
       if (!tour.rows.length) return res.status(404).json({ error: 'Not found' });
       const stops = await pgPool.query(
         `SELECT s.*, p.name, p.lat, p.lng, p.category, p.short_narration
@@ -247,15 +359,19 @@ module.exports = function (app, deps) {
         { key: 'facts', table: 'salem_historical_facts' },
         { key: 'timeline', table: 'salem_timeline_events' },
         { key: 'sources', table: 'salem_primary_sources' },
-        { key: 'tours', table: 'salem_tours' },
-        { key: 'tour_stops', table: 'salem_tour_stops' },
+        { key: 'tours', table: 'salem_tours', where: `status = 'published'` },
+        {
+          key: 'tour_stops',
+          table: 'salem_tour_stops',
+          where: `tour_id IN (SELECT id FROM salem_tours WHERE status = 'published')`,
+        },
         { key: 'events', table: 'salem_events_calendar' },
       ];
 
       const result = { server_time: new Date().toISOString() };
-      for (const { key, table } of tables) {
+      for (const { key, table, where } of tables) {
         const { rows } = await pgPool.query(
-          `SELECT * FROM ${table} WHERE updated_at > $1 ORDER BY updated_at ASC`,
+          `SELECT * FROM ${table} WHERE updated_at > $1${where ? ` AND ${where}` : ''} ORDER BY updated_at ASC`,
           [since]
         );
         result[key] = rows;
@@ -0,0 +1,168 @@
+/*
+ * LocationMapApp v1.5
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * Tour duration estimate — how long a tour really takes, not just the walk.
+ *
+ *   total = walk (sum of salem_tour_legs.duration_s)
+ *         + per-stop dwell
+ *   dwell = narration time + visit time
+ *
+ * Narration time is the stop POI's spoken words at a TTS words-per-minute
+ * (NARRATION_WPM from lib/route-corridor.js unless overridden): the
+ * short_narration that fires on arrival plus the long form — the
+ * historical_narration on historical tours, long_narration otherwise (each
+ * falling back to the other).
+ *
+ * Visit time comes from the POI flags: a paid attraction (is_free_admission
+ * = false) gets ADMISSION_VISIT_S, an indoor one (is_indoor) INDOOR_VISIT_S;
+ * a stop that is both gets the larger, not the sum. Free waypoints (no
+ * poi_id) dwell 0. Transition narration plays while walking and adds
+ * nothing.
+ *
+ * Used by GET /admin/salem/tours/:tour_id (breakdown) and
+ * scripts/publish-tours.js (estimated_total_s into the bundle).
+ */
+const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module tour-duration.js';
+
+const { NARRATION_WPM, wordCount } = require('./route-corridor');
+
+const ADMISSION_VISIT_S = 30 * 60;
+const INDOOR_VISIT_S = 15 * 60;
+const MAX_WPM = 400;
+const MAX_VISIT_S = 4 * 3600;
+
+// Stop rows (with their POI's narration + flags) and leg durations for a set
+// of tours, in the shape estimateTourDuration takes. `db` is a pg Pool or
+// client. Returns Map tour_id → { stops, legs }.
+const STOPS_SQL = `
+  SELECT s.tour_id, s.stop_id, s.stop_order, s.poi_id,
+         COALESCE(s.name, p.name) AS name,
+         p.short_narration, p.long_narration, p.historical_narration,
+         p.is_free_admission, p.is_indoor
+    FROM salem_tour_stops s
+LEFT JOIN salem_pois p ON p.id = s.poi_id
+   WHERE s.tour_id = ANY($1::text[])
+ORDER BY s.tour_id, s.stop_order, s.stop_id`;
+const LEGS_SQL = `
+  SELECT tour_id, leg_order, duration_s
+    FROM salem_tour_legs
+   WHERE tour_id = ANY($1::text[])
+ORDER BY tour_id, leg_order`;
+
+async function fetchDurationInputs(db, tourIds) {
+  const out = new Map(tourIds.map((id) => [id, { stops: [], legs: [] }]));
+  if (!tourIds.length) return out;
+  const [stops, legs] = await Promise.all([db.query(STOPS_SQL, [tourIds]), db.query(LEGS_SQL, [tourIds])]);
+  for (const r of stops.rows) out.get(r.tour_id).stops.push(r);
+  for (const r of legs.rows) out.get(r.tour_id).legs.push(r);
+  return out;
+}
+
+const POI_SQL = `
+  SELECT id, short_narration, long_narration, historical_narration, is_free_admission, is_indoor
+    FROM salem_pois
+   WHERE id = ANY($1::text[])`;
+
+// The POI fields the estimate reads, for stops taken from a revision
+// snapshot (lib/tour-revisions.js). Map poi_id → fields.
+async function fetchPoiDurationFields(db, poiIds) {
+  if (!poiIds.length) return new Map();
+  const { rows } = await db.query(POI_SQL, [poiIds]);
+  return new Map(rows.map(({ id, ...fields }) => [id, fields]));
+}
+
+const round1 = (v) => Math.round(v * 10) / 10;
+
+/**
+ * Parse estimator options from a query string / CLI / env-style object:
+ * { wpm, admission_s, indoor_s } → { wpm, admissionS, indoorS } or an Error.
+ */
+function parseDurationOptions(src = {}) {
+  const num = (v, fallback, max, name) => {
+    if (v === undefined || v === null || v === '') return fallback;
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < 0 || n > max) throw new Error(`${name} must be a number between 0 and ${max}`);
+    return n;
+  };
+  try {
+    const wpm = num(src.wpm, NARRATION_WPM, MAX_WPM, 'wpm');
+    if (wpm === 0) throw new Error(`wpm must be a number between 1 and ${MAX_WPM}`);
+    return {
+      wpm,
+      admissionS: num(src.admission_s, ADMISSION_VISIT_S, MAX_VISIT_S, 'admission_s'),
+      indoorS: num(src.indoor_s, INDOOR_VISIT_S, MAX_VISIT_S, 'indoor_s'),
+    };
+  } catch (e) {
+    return e;
+  }
+}
+
+/**
+ * { stops, legs, isHistoricalTour } → breakdown:
+ *   { estimated_total_s, walk_s, dwell_s, narration_s, visit_s, wpm,
+ *     legs_missing, stops: [{ stop_id, stop_order, poi_id, name, words,
+ *     narration_s, visit, visit_s, dwell_s }] }
+ * legs_missing counts stop pairs without a computed leg (walk_s then
+ * under-counts; compute-route fixes it).
+ */
+function estimateTourDuration({ stops = [], legs = [], isHistoricalTour = false }, opts = {}) {
+  const wpm = opts.wpm || NARRATION_WPM;
+  const admissionS = opts.admissionS != null ? opts.admissionS : ADMISSION_VISIT_S;
+  const indoorS = opts.indoorS != null ? opts.indoorS : INDOOR_VISIT_S;
+
+  const perStop = stops.map((s) => {
+    if (!s.poi_id) {
+      return {
+        stop_id: s.stop_id, stop_order: s.stop_order, poi_id: null, name: s.name || null,
+        words: 0, narration_s: 0, visit: null, visit_s: 0, dwell_s: 0,
+      };
+    }
+    const longText = isHistoricalTour
+      ? s.historical_narration || s.long_narration
+      : s.long_narration || s.historical_narration;
+    const words = wordCount(s.short_narration) + wordCount(longText);
+    const narrationS = (words / wpm) * 60;
+    const paid = s.is_free_admission === false;
+    const indoor = s.is_indoor === true;
+    let visit = null;
+    let visitS = 0;
+    if (paid && admissionS >= (indoor ? indoorS : 0)) { visit = 'admission'; visitS = admissionS; }
+    else if (indoor) { visit = 'indoor'; visitS = indoorS; }
+    return {
+      stop_id: s.stop_id,
+      stop_order: s.stop_order,
+      poi_id: s.poi_id,
+      name: s.name || null,
+      words,
+      narration_s: round1(narrationS),
+      visit,
+      visit_s: visitS,
+      dwell_s: round1(narrationS + visitS),
+    };
+  });
+
+  const walkS = legs.reduce((sum, l) => sum + (Number(l.duration_s) || 0), 0);
+  const narrationS = perStop.reduce((sum, s) => sum + s.narration_s, 0);
+  const visitS = perStop.reduce((sum, s) => sum + s.visit_s, 0);
+  const dwellS = narrationS + visitS;
+  return {
+    estimated_total_s: Math.round(walkS + dwellS),
+    walk_s: Math.round(walkS),
+    dwell_s: Math.round(dwellS),
+    narration_s: Math.round(narrationS),
+    visit_s: Math.round(visitS),
+    wpm,
+    legs_missing: Math.max(0, stops.length - 1 - legs.length),
+    stops: perStop,
+  };
+}
+
+module.exports = {
+  ADMISSION_VISIT_S,
+  INDOOR_VISIT_S,
+  fetchDurationInputs,
+  fetchPoiDurationFields,
+  parseDurationOptions,
+  estimateTourDuration,
+};
@@ -0,0 +1,441 @@
+/*
+ * LocationMapApp v1.5
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * Tour exchange formats — GPX 1.1, KML 2.2 and GeoJSON in and out.
+ *
+ * Guides plan routes in other mapping apps; these functions move a tour
+ * between those files and our stops + legs without retyping:
+ *
+ *   exportTour     stops → waypoints (name, narration snippet, category,
+ *                  poi_id), legs → tracks ("Leg n: A → B", distance/time)
+ *   parseTourFile  any of the three formats → { waypoints, tracks }; a file
+ *                  with tracks but no waypoints yields the track ends
+ *   matchWaypoint  a waypoint against nearby POIs, by exact poi_id (our own
+ *                  exports carry it), name similarity or plain proximity
+ *
+ * Pure — no PG or router. lib/admin-tours.js serves the export and builds
+ * the draft tour on import (unmatched waypoints become free waypoints
+ * snapped to an edge like any map click).
+ */
+const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module tour-exchange.js';
+
+const { XMLParser } = require('fast-xml-parser');
+const { planarM } = require('./route-loop');
+
+const EXCHANGE_FORMATS = ['gpx', 'kml', 'geojson'];
+const CONTENT_TYPES = {
+  gpx: 'application/gpx+xml',
+  kml: 'application/vnd.google-earth.kml+xml',
+  geojson: 'application/geo+json',
+};
+const SNIPPET_MAX = 160;
+// A name this similar matches within NAME_MATCH_M; without a name match a
+// waypoint must sit within PROXIMITY_MATCH_M of the POI (about a GPS fix
+// off the POI's pin).
+const NAME_MATCH_MIN = 0.75;
+const NAME_MATCH_M = 150;
+const PROXIMITY_MATCH_M = 25;
+// Below this, a differently named POI next door isn't a proximity match.
+const PROXIMITY_NAME_MIN = 0.3;
+
+const xmlEscape = (s) => String(s ?? '')
+  .replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;').replace(/'/g, '&apos;');
+const c6 = (v) => (+v).toFixed(6);
+
+// First sentence (or SNIPPET_MAX chars) of a stop's narration.
+function narrationSnippet(text) {
+  if (!text) return null;
+  const t = String(text).replace(/\s+/g, ' ').trim();
+  if (!t) return null;
+  const m = t.match(/^.+?[.!?](\s|$)/);
+  const s = m && m[0].length <= SNIPPET_MAX ? m[0].trim() : t;
+  return s.length > SNIPPET_MAX ? `${s.slice(0, SNIPPET_MAX - 1).trimEnd()}…` : s;
+}
+
+function legLabel(leg, stopsById) {
+  const from = stopsById.get(String(leg.from_stop_id));
+  const to = stopsById.get(String(leg.to_stop_id));
+  return `Leg ${leg.leg_order}: ${from?.name || '?'} → ${to?.name || '?'}`;
+}
+
+function legDesc(leg) {
+  const parts = [];
+  if (Number.isFinite(+leg.distance_m)) parts.push(`${Math.round(+leg.distance_m)} m`);
+  if (Number.isFinite(+leg.duration_s)) parts.push(`${Math.round(+leg.duration_s / 60)} min walk`);
+  return parts.join(', ');
+}
+
+/**
+ * Serialise a tour. Input:
+ *   tour   { id, name, description }
+ *   stops  [{ stop_id, stop_order, name, lat, lng, poi_id, category,
+ *             narration, transition_narration }] in walk order
+ *   legs   [{ leg_order, from_stop_id, to_stop_id, polyline_json,
+ *             distance_m, duration_s }]
+ * Returns { body, contentType, ext }.
+ */
+function exportTour({ tour, stops, legs }, format) {
+  const stopsById = new Map(stops.map((s) => [String(s.stop_id), s]));
+  const placed = stops.filter((s) => Number.isFinite(+s.lat) && Number.isFinite(+s.lng));
+  const lines = legs.filter((l) => Array.isArray(l.polyline_json) && l.polyline_json.length >= 2);
+  let body;
+
+  if (format === 'geojson') {
+    const features = [
+      ...placed.map((s) => ({
+        type: 'Feature',
+        geometry: { type: 'Point', coordinates: [+c6(s.lng), +c6(s.lat)] },
+        properties: {
+          kind: 'stop',
+          stop_order: s.stop_order,
+          name: s.name || null,
+          poi_id: s.poi_id || null,
+          category: s.category || null,
+          narration: narrationSnippet(s.narration),
+          transition_narration: s.transition_narration || null,
+        },
+      })),
+      ...lines.map((l) => ({
+        type: 'Feature',
+        geometry: { type: 'LineString', coordinates: l.polyline_json.map(([lat, lng]) => [+c6(lng), +c6(lat)]) },
+        properties: {
+          kind: 'leg',
+          leg_order: l.leg_order,
+          name: legLabel(l, stopsById),
+          from_stop_order: stopsById.get(String(l.from_stop_id))?.stop_order ?? null,
+          to_stop_order: stopsById.get(String(l.to_stop_id))?.stop_order ?? null,
+          distance_m: l.distance_m == null ? null : Math.round(+l.distance_m),
+          duration_s: l.duration_s == null ? null : Math.round(+l.duration_s),
+        },
+      })),
+    ];
+    body = JSON.stringify({
+      type: 'FeatureCollection',
+      properties: { tour_id: tour.id, name: tour.name, description: tour.description || null },
+      features,
+    }, null, 2);
+  } else if (format === 'gpx') {
+    const out = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<gpx version="1.1" creator="LocationMapApp" xmlns="http://www.topografix.com/GPX/1/1">',
+      `  <metadata><name>${xmlEscape(tour.name)}</name>${tour.description ? `<desc>${xmlEscape(tour.description)}</desc>` : ''}</metadata>`,
+    ];
+    for (const s of placed) {
+      const snippet = narrationSnippet(s.narration);
+      out.push(
+        `  <wpt lat="${c6(s.lat)}" lon="${c6(s.lng)}">` +
+        `<name>${xmlEscape(s.name || `Stop ${s.stop_order}`)}</name>` +
+        (snippet ? `<desc>${xmlEscape(snippet)}</desc>` : '') +
+        (s.category ? `<type>${xmlEscape(s.category)}</type>` : '') +
+        (s.poi_id ? `<extensions><poi_id>${xmlEscape(s.poi_id)}</poi_id></extensions>` : '') +
+        '</wpt>',
+      );
+    }
+    for (const l of lines) {
+      out.push(`  <trk><name>${xmlEscape(legLabel(l, stopsById))}</name><desc>${xmlEscape(legDesc(l))}</desc><number>${l.leg_order}</number><trkseg>`);
+      for (const [lat, lng] of l.polyline_json) out.push(`    <trkpt lat="${c6(lat)}" lon="${c6(lng)}"/>`);
+      out.push('  </trkseg></trk>');
+    }
+    out.push('</gpx>');
+    body = out.join('\n');
+  } else if (format === 'kml') {
+    const out = [
+      '<?xml version="1.0" encoding="UTF-8"?>',
+      '<kml xmlns="http://www.opengis.net/kml/2.2">',
+      '<Document>',
+      `  <name>${xmlEscape(tour.name)}</name>`,
+      tour.description ? `  <description>${xmlEscape(tour.description)}</description>` : null,
+      '  <Folder><name>Stops</name>',
+    ].filter((x) => x !== null);
+    for (const s of placed) {
+      const snippet = narrationSnippet(s.narration);
+      out.push(
+        `    <Placemark><name>${xmlEscape(s.name || `Stop ${s.stop_order}`)}</name>` +
+        (snippet ? `<description>${xmlEscape(snippet)}</description>` : '') +
+        '<ExtendedData>' +
+        `<Data name="stop_order"><value>${s.stop_order}</value></Data>` +
+        (s.poi_id ? `<Data name="poi_id"><value>${xmlEscape(s.poi_id)}</value></Data>` : '') +
+        (s.category ? `<Data name="category"><value>${xmlEscape(s.category)}</value></Data>` : '') +
+        '</ExtendedData>' +
+        `<Point><coordinates>${c6(s.lng)},${c6(s.lat)},0</coordinates></Point></Placemark>`,
+      );
+    }
+    out.push('  </Folder>', '  <Folder><name>Legs</name>');
+    for (const l of lines) {
+      out.push(
+        `    <Placemark><name>${xmlEscape(legLabel(l, stopsById))}</name><description>${xmlEscape(legDesc(l))}</description>` +
+        `<LineString><tessellate>1</tessellate><coordinates>${l.polyline_json.map(([lat, lng]) => `${c6(lng)},${c6(lat)},0`).join(' ')}</coordinates></LineString></Placemark>`,
+      );
+    }
+    out.push('  </Folder>', '</Document>', '</kml>');
+    body = out.join('\n');
+  } else {
+    throw new Error(`format must be one of: ${EXCHANGE_FORMATS.join(', ')}`);
+  }
+  return { body, contentType: CONTENT_TYPES[format], ext: format };
+}
+
+// ── Parsing ──────────────────────────────────────────────────────────────────
+
+const asArray = (v) => (v == null ? [] : Array.isArray(v) ? v : [v]);
+const text = (v) => {
+  if (v == null) return null;
+  if (typeof v === 'object') return v['#text'] != null ? String(v['#text']).trim() || null : null;
+  return String(v).trim() || null;
+};
+
+function detectFormat(content) {
+  if (content && typeof content === 'object') return 'geojson';
+  const head = String(content || '').trimStart().slice(0, 2000);
+  if (head.startsWith('{')) return 'geojson';
+  if (/<gpx[\s>]/i.test(head)) return 'gpx';
+  if (/<kml[\s>]/i.test(head)) return 'kml';
+  return null;
+}
+
+function parseXml(content) {
+  const parser = new XMLParser({
+    ignoreAttributes: false,
+    attributeNamePrefix: '@_',
+    removeNSPrefix: true,
+    parseTagValue: false,
+    parseAttributeValue: false,
+  });
+  return parser.parse(String(content));
+}
+
+function gpxPoint(p) {
+  const lat = parseFloat(p?.['@_lat']);
+  const lng = parseFloat(p?.['@_lon']);
+  return Number.isFinite(lat) && Number.isFinite(lng) ? [lat, lng] : null;
+}
+
+function parseGpx(doc) {
+  const gpx = doc.gpx || {};
+  const waypoints = [];
+  const tracks = [];
+  const wpt = (p) => {
+    const pt = gpxPoint(p);
+    if (!pt) return;
+    waypoints.push({
+      name: text(p.name),
+      desc: text(p.desc) || text(p.cmt),
+      poi_id: text(p.extensions?.poi_id),
+      lat: pt[0],
+      lng: pt[1],
+    });
+  };
+  asArray(gpx.wpt).forEach(wpt);
+  // A route (rte) is an ordered waypoint list — other apps' way of saying
+  // "stops"; use it when the file has no loose waypoints.
+  if (!waypoints.length) for (const rte of asArray(gpx.rte)) asArray(rte.rtept).forEach(wpt);
+  for (const trk of asArray(gpx.trk)) {
+    const points = asArray(trk.trkseg).flatMap((seg) => asArray(seg.trkpt).map(gpxPoint).filter(Boolean));
+    if (points.length >= 2) tracks.push({ name: text(trk.name), points });
+  }
+  return { name: text(gpx.metadata?.name) || text(asArray(gpx.trk)[0]?.name), waypoints, tracks };
+}
+
+function kmlCoords(v) {
+  return String(text(v) || '')
+    .trim()
+    .split(/\s+/)
+    .map((t) => t.split(',').map(Number))
+    .filter((c) => c.length >= 2 && Number.isFinite(c[0]) && Number.isFinite(c[1]))
+    .map(([lng, lat]) => [lat, lng]);
+}
+
+function parseKml(doc) {
+  const waypoints = [];
+  const tracks = [];
+  const placemarks = [];
+  (function walk(node) {
+    if (!node || typeof node !== 'object') return;
+    for (const [k, v] of Object.entries(node)) {
+      if (k === 'Placemark') placemarks.push(...asArray(v));
+      else if (typeof v === 'object') asArray(v).forEach(walk);
+    }
+  })(doc.kml || doc);
+  for (const pm of placemarks) {
+    const data = {};
+    for (const d of asArray(pm.ExtendedData?.Data)) {
+      if (d?.['@_name']) data[d['@_name']] = text(d.value);
+    }
+    const geoms = [pm, ...asArray(pm.MultiGeometry)];
+    for (const g of geoms) {
+      for (const p of asArray(g.Point)) {
+        const [pt] = kmlCoords(p.coordinates);
+        if (pt) {
+          waypoints.push({
+            name: text(pm.name), desc: text(pm.description), poi_id: data.poi_id || null, lat: pt[0], lng: pt[1],
+          });
+        }
+      }
+      for (const ls of asArray(g.LineString)) {
+        const points = kmlCoords(ls.coordinates);
+        if (points.length >= 2) tracks.push({ name: text(pm.name), points });
+      }
+    }
+  }
+  const root = doc.kml?.Document || doc.kml?.Folder || {};
+  return { name: text(asArray(root)[0]?.name), waypoints, tracks };
+}
+
+function parseGeoJson(content) {
+  const obj = typeof content === 'string' ? JSON.parse(content) : content;
+  const features = obj.type === 'FeatureCollection' ? asArray(obj.features)
+    : obj.type === 'Feature' ? [obj]
+      : [{ type: 'Feature', geometry: obj, properties: {} }];
+  const waypoints = [];
+  const tracks = [];
+  const pos = (c) => (Array.isArray(c) && Number.isFinite(+c[0]) && Number.isFinite(+c[1]) ? [+c[1], +c[0]] : null);
+  for (const f of features) {
+    const g = f?.geometry;
+    const props = f?.properties || {};
+    const name = props.name ?? props.title ?? null;
+    if (!g) continue;
+    const points = g.type === 'Point' ? [g.coordinates] : g.type === 'MultiPoint' ? g.coordinates : [];
+    for (const c of asArray(points)) {
+      const p = pos(c);
+      if (p) {
+        waypoints.push({
+          name: name == null ? null : String(name),
+          desc: props.description ?? props.narration ?? null,
+          poi_id: props.poi_id ?? null,
+          lat: p[0],
+          lng: p[1],
+        });
+      }
+    }
+    const lines = g.type === 'LineString' ? [g.coordinates] : g.type === 'MultiLineString' ? g.coordinates : [];
+    for (const line of asArray(lines)) {
+      const pts = asArray(line).map(pos).filter(Boolean);
+      if (pts.length >= 2) tracks.push({ name: name == null ? null : String(name), points: pts });
+    }
+  }
+  return { name: obj.properties?.name ?? obj.name ?? null, waypoints, tracks };
+}
+
+/**
+ * File content (string, or a parsed GeoJSON object) → { format, name,
+ * waypoints: [{ name, desc, poi_id, lat, lng, from_track? }], tracks:
+ * [{ name, points }] }. format is detected when not given. When the file
+ * has tracks but no waypoints, the waypoints are each track's start plus the
+ * last track's end (from_track: true). Throws on unreadable input.
+ */
+function parseTourFile(content, format) {
+  const fmt = format || detectFormat(content);
+  if (!EXCHANGE_FORMATS.includes(fmt)) {
+    throw new Error(`could not tell the file format — pass format: ${EXCHANGE_FORMATS.join(' | ')}`);
+  }
+  let out;
+  if (fmt === 'geojson') out = parseGeoJson(content);
+  else {
+    const doc = parseXml(content);
+    out = fmt === 'gpx' ? parseGpx(doc) : parseKml(doc);
+  }
+  if (!out.waypoints.length && out.tracks.length) {
+    out.tracks.forEach((t, i) => {
+      out.waypoints.push({ name: t.name, desc: null, poi_id: null, lat: t.points[0][0], lng: t.points[0][1], from_track: true });
+      if (i === out.tracks.length - 1) {
+        const end = t.points[t.points.length - 1];
+        out.waypoints.push({ name: null, desc: null, poi_id: null, lat: end[0], lng: end[1], from_track: true });
+      }
+    });
+  }
+  return { format: fmt, ...out };
+}
+
+// ── POI matching ─────────────────────────────────────────────────────────────
+
+function normalizeName(s) {
+  return String(s || '')
+    .normalize('NFKD').replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .replace(/^the /, '')
+    .trim();
+}
+
+function bigrams(s) {
+  const out = new Map();
+  const t = s.replace(/ /g, '');
+  for (let i = 0; i < t.length - 1; i++) {
+    const g = t.slice(i, i + 2);
+    out.set(g, (out.get(g) || 0) + 1);
+  }
+  return out;
+}
+
+/**
+ * 0..1 similarity of two place names: Dice coefficient over character
+ * bigrams of the normalised names, raised to 0.9 when one name contains
+ * the other ("Witch House" vs "The Witch House at Salem").
+ */
+function nameSimilarity(a, b) {
+  const x = normalizeName(a);
+  const y = normalizeName(b);
+  if (!x || !y) return 0;
+  if (x === y) return 1;
+  const bx = bigrams(x);
+  const by = bigrams(y);
+  let overlap = 0;
+  let total = 0;
+  for (const n of bx.values()) total += n;
+  for (const n of by.values()) total += n;
+  for (const [g, n] of bx) overlap += Math.min(n, by.get(g) || 0);
+  let sim = total ? (2 * overlap) / total : 0;
+  const wrap = (s) => ` ${s} `;
+  if (wrap(x).includes(wrap(y)) || wrap(y).includes(wrap(x))) sim = Math.max(sim, 0.9);
+  return Math.round(sim * 100) / 100;
+}
+
+/**
+ * Best POI for a waypoint among `pois` ([{ id, name, lat, lng }], already
+ * limited to the neighbourhood). Returns
+ *   { poi, match: 'poi_id'|'name'|'proximity'|null, distance_m,
+ *     name_similarity, alternatives: [{ id, name, distance_m, name_similarity }] }
+ * with match null (and poi null) when nothing is close enough.
+ */
+function matchWaypoint(wp, pois, { nameMatchM = NAME_MATCH_M, proximityM = PROXIMITY_MATCH_M } = {}) {
+  const scored = pois.map((p) => {
+    const d = planarM(wp.lat, wp.lng, +p.lat, +p.lng);
+    const sim = wp.name ? nameSimilarity(wp.name, p.name) : 0;
+    return { poi: p, distance_m: Math.round(d * 10) / 10, name_similarity: sim };
+  });
+  const alternatives = scored
+    .filter((s) => s.distance_m <= nameMatchM)
+    .sort((a, b) => (b.name_similarity - a.name_similarity) || (a.distance_m - b.distance_m))
+    .slice(0, 3)
+    .map((s) => ({ id: s.poi.id, name: s.poi.name, distance_m: s.distance_m, name_similarity: s.name_similarity }));
+
+  if (wp.poi_id) {
+    const exact = scored.find((s) => s.poi.id === wp.poi_id);
+    if (exact) return { ...exact, match: 'poi_id', alternatives };
+  }
+  const byName = scored
+    .filter((s) => s.name_similarity >= NAME_MATCH_MIN && s.distance_m <= nameMatchM)
+    .sort((a, b) => (b.name_similarity - a.name_similarity) || (a.distance_m - b.distance_m))[0];
+  if (byName) return { ...byName, match: 'name', alternatives };
+  const near = scored
+    .filter((s) => s.distance_m <= proximityM && (!wp.name || s.name_similarity >= PROXIMITY_NAME_MIN))
+    .sort((a, b) => a.distance_m - b.distance_m)[0];
+  if (near) return { ...near, match: 'proximity', alternatives };
+  return { poi: null, match: null, distance_m: null, name_similarity: null, alternatives };
+}
+
+module.exports = {
+  EXCHANGE_FORMATS,
+  CONTENT_TYPES,
+  NAME_MATCH_M,
+  PROXIMITY_MATCH_M,
+  narrationSnippet,
+  exportTour,
+  detectFormat,
+  parseTourFile,
+  nameSimilarity,
+  matchWaypoint,
+};
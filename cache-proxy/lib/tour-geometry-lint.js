@@ -0,0 +1,313 @@
+/*
+ * LocationMapApp v1.5
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * Tour geometry lint — route-quality findings over one tour's stops + legs.
+ *
+ *   findRetraces           leg n walks back down leg n-1 for RETRACE_MIN_M+
+ *   findSelfIntersections  a leg polyline crosses itself
+ *   findDetours            leg much longer than the straight line between
+ *                          its stops (same thresholds as the compute-route
+ *                          diagnostics in lib/admin-tours.js)
+ *   findStreetMismatches   an edge-bound stop sits on a different street
+ *                          than its POI's address
+ *   findGeofenceOverlaps   consecutive POI stops closer than their summed
+ *                          geofence radii — the second fires before the
+ *                          first finishes
+ *
+ * Every finding carries `geometry`, a GeoJSON FeatureCollection ([lng, lat],
+ * properties.role names the part: 'leg', 'previous_leg', 'retrace',
+ * 'crossing', 'straight_line', 'stop', 'edge', 'poi', 'geofence'), plus a
+ * lat / lng to centre the map on. Pure — lib/admin-lint.js loads the rows.
+ */
+const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module tour-geometry-lint.js';
+
+const { planarM } = require('./route-loop');
+const { segmentDistanceM } = require('./polyline');
+const { normalizeStreet } = require('./poi-duplicates');
+
+const RETRACE_MIN_M = 40;
+// A vertex within this of the previous leg is walking the same street.
+const RETRACE_TOL_M = 6;
+const DETOUR_RATIO_MAX = 1.6;
+// ...and the detour must cost at least this much extra walking; a 10 m hop
+// walked as 30 m has a big ratio and nothing to fix.
+const DETOUR_MIN_EXTRA_M = 50;
+// Ignore self-crossings on a leg this short — a snapped stop's little
+// hook onto the edge isn't worth a look.
+const CROSSING_MIN_LEG_M = 30;
+// salem_pois.geofence_radius_m column default.
+const DEFAULT_GEOFENCE_RADIUS_M = 40;
+const CIRCLE_VERTICES = 24;
+const M_PER_DEG_LAT = 111320;
+
+const round1 = (v) => Math.round(v * 10) / 10;
+const ll = ([lat, lng]) => [+(+lng).toFixed(6), +(+lat).toFixed(6)];
+const feature = (role, geometry, props = {}) => ({ type: 'Feature', geometry, properties: { role, ...props } });
+const line = (role, pts, props) => feature(role, { type: 'LineString', coordinates: pts.map(ll) }, props);
+const point = (role, p, props) => feature(role, { type: 'Point', coordinates: ll(p) }, props);
+const collection = (features) => ({ type: 'FeatureCollection', features });
+
+function circle(role, [lat, lng], radiusM, props) {
+  const ring = [];
+  const mPerDegLng = M_PER_DEG_LAT * Math.cos((lat * Math.PI) / 180);
+  for (let i = 0; i <= CIRCLE_VERTICES; i++) {
+    const a = (2 * Math.PI * (i % CIRCLE_VERTICES)) / CIRCLE_VERTICES;
+    ring.push(ll([lat + (radiusM * Math.cos(a)) / M_PER_DEG_LAT, lng + (radiusM * Math.sin(a)) / mPerDegLng]));
+  }
+  return feature(role, { type: 'Polygon', coordinates: [ring] }, { radius_m: radiusM, ...props });
+}
+
+function lengthM(pts) {
+  let m = 0;
+  for (let i = 1; i < pts.length; i++) m += planarM(pts[i - 1][0], pts[i - 1][1], pts[i][0], pts[i][1]);
+  return m;
+}
+
+function distanceToLineM(p, pts) {
+  if (pts.length === 1) return planarM(p[0], p[1], pts[0][0], pts[0][1]);
+  let best = Infinity;
+  for (let i = 1; i < pts.length; i++) best = Math.min(best, segmentDistanceM(p, pts[i - 1], pts[i]));
+  return best;
+}
+
+const legPoints = (leg) => (Array.isArray(leg?.polyline_json) ? leg.polyline_json : []);
+
+/**
+ * Stretches of each leg that lie on the leg before it (within
+ * RETRACE_TOL_M), when they add up to minM or more.
+ * legs: [{ leg_order, polyline_json }] in order.
+ * → [{ leg_order, retrace_m, lat, lng, geometry }]
+ */
+function findRetraces(legs, minM = RETRACE_MIN_M) {
+  const out = [];
+  for (let k = 1; k < legs.length; k++) {
+    const prev = legPoints(legs[k - 1]);
+    const pts = legPoints(legs[k]);
+    if (prev.length < 2 || pts.length < 2) continue;
+    const near = pts.map((p) => distanceToLineM(p, prev) <= RETRACE_TOL_M);
+    const runs = [];
+    let run = null;
+    let total = 0;
+    for (let i = 1; i < pts.length; i++) {
+      if (near[i - 1] && near[i]) {
+        if (!run) { run = [pts[i - 1]]; runs.push(run); }
+        run.push(pts[i]);
+        total += planarM(pts[i - 1][0], pts[i - 1][1], pts[i][0], pts[i][1]);
+      } else {
+        run = null;
+      }
+    }
+    if (total < minM) continue;
+    const longest = runs.reduce((a, b) => (lengthM(b) > lengthM(a) ? b : a));
+    const mid = longest[Math.floor(longest.length / 2)];
+    out.push({
+      leg_order: legs[k].leg_order,
+      retrace_m: round1(total),
+      lat: mid[0],
+      lng: mid[1],
+      geometry: collection([
+        line('previous_leg', prev, { leg_order: legs[k - 1].leg_order }),
+        line('leg', pts, { leg_order: legs[k].leg_order }),
+        ...runs.map((r) => line('retrace', r, { length_m: round1(lengthM(r)) })),
+      ]),
+    });
+  }
+  return out;
+}
+
+/**
+ * Points where a leg polyline crosses itself (non-adjacent segments
+ * intersecting). → [{ leg_order, crossings, lat, lng, geometry }]
+ */
+function findSelfIntersections(legs) {
+  const out = [];
+  for (const leg of legs) {
+    const pts = legPoints(leg);
+    if (pts.length < 4 || lengthM(pts) < CROSSING_MIN_LEG_M) continue;
+    const lat0 = pts[0][0];
+    const kx = M_PER_DEG_LAT * Math.cos((lat0 * Math.PI) / 180);
+    const xy = pts.map(([lat, lng]) => [lng * kx, lat * M_PER_DEG_LAT]);
+    const hits = [];
+    for (let i = 1; i < xy.length; i++) {
+      for (let j = i + 2; j < xy.length; j++) {
+        // A closed leg (same start and end) touching its own start isn't a crossing.
+        if (i === 1 && j === xy.length - 1 && planarM(pts[0][0], pts[0][1], pts[j][0], pts[j][1]) < 0.5) continue;
+        const t = crossAt(xy[i - 1], xy[i], xy[j - 1], xy[j]);
+        if (t != null) {
+          hits.push([
+            pts[i - 1][0] + (pts[i][0] - pts[i - 1][0]) * t,
+            pts[i - 1][1] + (pts[i][1] - pts[i - 1][1]) * t,
+          ]);
+        }
+      }
+    }
+    if (!hits.length) continue;
+    out.push({
+      leg_order: leg.leg_order,
+      crossings: hits.length,
+      lat: hits[0][0],
+      lng: hits[0][1],
+      geometry: collection([
+        line('leg', pts, { leg_order: leg.leg_order }),
+        ...hits.map((h) => point('crossing', h)),
+      ]),
+    });
+  }
+  return out;
+}
+
+// Parameter t along p1→p2 where it properly crosses q1→q2, else null
+// (parallel / collinear overlaps are retraces, not crossings).
+function crossAt(p1, p2, q1, q2) {
+  const rx = p2[0] - p1[0];
+  const ry = p2[1] - p1[1];
+  const sx = q2[0] - q1[0];
+  const sy = q2[1] - q1[1];
+  const den = rx * sy - ry * sx;
+  if (Math.abs(den) < 1e-9) return null;
+  const qpx = q1[0] - p1[0];
+  const qpy = q1[1] - p1[1];
+  const t = (qpx * sy - qpy * sx) / den;
+  const u = (qpx * ry - qpy * rx) / den;
+  return t > 0 && t < 1 && u > 0 && u < 1 ? t : null;
+}
+
+/**
+ * Legs whose walked length is out of proportion to the straight line
+ * between their stops: ratio > ratioMax, or a short hop (< 200 m / < 100 m)
+ * walked as > 800 m / > 400 m — and at least DETOUR_MIN_EXTRA_M longer.
+ * stops: [{ stop_id, lat, lng }]; legs: [{ leg_order, from_stop_id,
+ * to_stop_id, polyline_json, distance_m }].
+ * → [{ leg_order, straight_m, routed_m, detour_ratio, lat, lng, geometry }]
+ */
+function findDetours(stops, legs, ratioMax = DETOUR_RATIO_MAX) {
+  const byId = new Map(stops.map((s) => [String(s.stop_id), s]));
+  const out = [];
+  for (const leg of legs) {
+    const pts = legPoints(leg);
+    if (pts.length < 2) continue;
+    const a = byId.get(String(leg.from_stop_id));
+    const b = byId.get(String(leg.to_stop_id));
+    const from = a && a.lat != null ? [+a.lat, +a.lng] : pts[0];
+    const to = b && b.lat != null ? [+b.lat, +b.lng] : pts[pts.length - 1];
+    const straight = planarM(from[0], from[1], to[0], to[1]);
+    const routed = Number.isFinite(+leg.distance_m) && +leg.distance_m > 0 ? +leg.distance_m : lengthM(pts);
+    if (straight <= 0) continue;
+    const ratio = routed / straight;
+    const flagged = ratio > ratioMax || (straight < 200 && routed > 800) || (straight < 100 && routed > 400);
+    if (!flagged || routed - straight < DETOUR_MIN_EXTRA_M) continue;
+    const mid = pts[Math.floor(pts.length / 2)];
+    out.push({
+      leg_order: leg.leg_order,
+      straight_m: Math.round(straight),
+      routed_m: Math.round(routed),
+      detour_ratio: Math.round(ratio * 100) / 100,
+      lat: mid[0],
+      lng: mid[1],
+      geometry: collection([
+        line('leg', pts, { leg_order: leg.leg_order }),
+        line('straight_line', [from, to], { length_m: Math.round(straight) }),
+      ]),
+    });
+  }
+  return out;
+}
+
+// Street names below are normalizeStreet (lib/poi-duplicates.js) output.
+// True when the two normalised street names plausibly name the same street:
+// equal, or one is the other plus / minus its suffix ("essex" vs "essex st").
+function sameStreet(a, b) {
+  if (a === b) return true;
+  const bare = (s) => s.replace(/ (st|ave|rd|blvd|dr|ln|pl|ct|sq|ter|hwy|pkwy|cir|way|wharf|ext)$/, '');
+  return bare(a) === bare(b);
+}
+
+/**
+ * Edge-bound POI stops whose edge's street name doesn't match the street in
+ * the POI's address. Unnamed edges (footpaths) and addresses without a
+ * street are skipped.
+ * stops: [{ stop_id, stop_order, poi_id, name, lat, lng, edge_id,
+ *           edge_fraction, address, poi_lat, poi_lng }];
+ * edgeInfo(edge_id) → { fullname, geometry } | null.
+ * → [{ stop_id, stop_order, poi_id, address_street, edge_street, lat, lng, geometry }]
+ */
+function findStreetMismatches(stops, edgeInfo) {
+  const out = [];
+  for (const s of stops) {
+    if (!s.poi_id || s.edge_id == null || !s.address) continue;
+    const edge = edgeInfo(s.edge_id);
+    if (!edge || !edge.fullname) continue;
+    const want = normalizeStreet(s.address);
+    const got = normalizeStreet(edge.fullname);
+    if (!want || !got || sameStreet(want, got)) continue;
+    const features = [];
+    if (Array.isArray(edge.geometry) && edge.geometry.length >= 2) {
+      features.push(line('edge', edge.geometry, { edge_id: s.edge_id, fullname: edge.fullname }));
+    }
+    features.push(point('stop', [+s.lat, +s.lng], { stop_order: s.stop_order, edge_fraction: s.edge_fraction ?? null }));
+    if (s.poi_lat != null) features.push(point('poi', [+s.poi_lat, +s.poi_lng], { poi_id: s.poi_id, address: s.address }));
+    out.push({
+      stop_id: s.stop_id,
+      stop_order: s.stop_order,
+      poi_id: s.poi_id,
+      name: s.name || null,
+      address_street: want,
+      edge_street: got,
+      edge_id: s.edge_id,
+      lat: +s.lat,
+      lng: +s.lng,
+      geometry: collection(features),
+    });
+  }
+  return out;
+}
+
+/**
+ * Consecutive POI stops whose geofences overlap: distance < r1 + r2
+ * (geofence_radius_m, DEFAULT_GEOFENCE_RADIUS_M when unset). Free waypoints have
+ * no geofence and are skipped.
+ * stops: [{ stop_id, stop_order, poi_id, name, lat, lng, geofence_radius_m }]
+ * → [{ from_stop_order, to_stop_order, distance_m, combined_radius_m, lat, lng, geometry }]
+ */
+function findGeofenceOverlaps(stops) {
+  const out = [];
+  for (let i = 1; i < stops.length; i++) {
+    const a = stops[i - 1];
+    const b = stops[i];
+    if (!a.poi_id || !b.poi_id || a.lat == null || b.lat == null) continue;
+    if (a.poi_id === b.poi_id) continue;
+    const ra = Number(a.geofence_radius_m) > 0 ? Number(a.geofence_radius_m) : DEFAULT_GEOFENCE_RADIUS_M;
+    const rb = Number(b.geofence_radius_m) > 0 ? Number(b.geofence_radius_m) : DEFAULT_GEOFENCE_RADIUS_M;
+    const d = planarM(+a.lat, +a.lng, +b.lat, +b.lng);
+    if (d >= ra + rb) continue;
+    out.push({
+      from_stop_order: a.stop_order,
+      to_stop_order: b.stop_order,
+      from_name: a.name || null,
+      to_name: b.name || null,
+      distance_m: round1(d),
+      combined_radius_m: ra + rb,
+      lat: (+a.lat + +b.lat) / 2,
+      lng: (+a.lng + +b.lng) / 2,
+      geometry: collection([
+        circle('geofence', [+a.lat, +a.lng], ra, { stop_order: a.stop_order, poi_id: a.poi_id }),
+        circle('geofence', [+b.lat, +b.lng], rb, { stop_order: b.stop_order, poi_id: b.poi_id }),
+        point('stop', [+a.lat, +a.lng], { stop_order: a.stop_order }),
+        point('stop', [+b.lat, +b.lng], { stop_order: b.stop_order }),
+      ]),
+    });
+  }
+  return out;
+}
+
+module.exports = {
+  RETRACE_MIN_M,
+  DETOUR_RATIO_MAX,
+  findRetraces,
+  findSelfIntersections,
+  findDetours,
+  normalizeStreet,
+  findStreetMismatches,
+  findGeofenceOverlaps,
+};
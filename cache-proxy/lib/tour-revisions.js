@@ -0,0 +1,216 @@
+/*
+ * LocationMapApp v1.5
+ * Copyright (c) 2026 Destructive AI Gurus, LLC. All rights reserved.
+ *
+ * Tour revisions — immutable snapshots of a tour's metadata, stops and legs.
+ *
+ * The live salem_tours / salem_tour_stops / salem_tour_legs rows are the
+ * editable draft every admin PATCH touches. A revision (salem_tour_revisions)
+ * freezes them as JSONB:
+ *
+ *   tour_json   the salem_tours row minus status / published_revision_id /
+ *               timestamps
+ *   stops_json  salem_tour_stops rows in order, plus effective_lat /
+ *               effective_lng / effective_name resolved against salem_pois
+ *               at snapshot time
+ *   legs_json   salem_tour_legs rows in leg_order
+ *
+ * salem_tours.published_revision_id names the revision the app ships.
+ * loadShippingTours is what publish-tours.js and publish-tour-legs.js bake:
+ * the published snapshot of every status = 'published' tour. A tour with no
+ * published revision is skipped with a warning — the draft never ships
+ * unpublished (lib/admin-tour-revisions.js snapshots pre-revision tours at
+ * startup).
+ *
+ * diffRevisions compares any two { tour, stops, legs } (a revision or the
+ * draft). Used by lib/admin-tour-revisions.js.
+ */
+const MODULE_ID = '(C) Destructive AI Gurus, LLC, 2026 - Module tour-revisions.js';
+
+const { segmentDistanceM } = require('./polyline');
+
+// A stop whose effective coordinate shifts less than this hasn't moved.
+const MOVE_MIN_M = 0.5;
+const STOP_FIELDS = ['poi_id', 'name', 'transition_narration', 'walking_minutes_from_prev', 'distance_m_from_prev'];
+
+const TOUR_SQL = `
+  SELECT to_jsonb(t) - 'status' - 'published_revision_id' - 'created_at' - 'updated_at' AS tour
+    FROM salem_tours t
+   WHERE t.id = $1`;
+const STOPS_SQL = `
+  SELECT (to_jsonb(s) - 'created_at' - 'updated_at')
+         || jsonb_build_object('effective_lat', COALESCE(s.lat, p.lat),
+                               'effective_lng', COALESCE(s.lng, p.lng),
+                               'effective_name', COALESCE(s.name, p.name)) AS stop
+    FROM salem_tour_stops s
+LEFT JOIN salem_pois p ON p.id = s.poi_id
+   WHERE s.tour_id = $1
+ORDER BY s.stop_order, s.stop_id`;
+const LEGS_SQL = `
+  SELECT to_jsonb(l) AS leg
+    FROM salem_tour_legs l
+   WHERE l.tour_id = $1
+ORDER BY l.leg_order`;
+
+// The live draft of one tour as { tour, stops, legs }, or null when the
+// tour doesn't exist. `db` is a pg Pool or client.
+async function snapshotDraft(db, tourId) {
+  const t = await db.query(TOUR_SQL, [tourId]);
+  if (!t.rows.length) return null;
+  const [s, l] = await Promise.all([db.query(STOPS_SQL, [tourId]), db.query(LEGS_SQL, [tourId])]);
+  return { tour: t.rows[0].tour, stops: s.rows.map((r) => r.stop), legs: l.rows.map((r) => r.leg) };
+}
+
+/**
+ * Every tour the app should ship, as [{ tour, stops, legs, revision }] in
+ * (sort_order, name) order, revision being the published revision number.
+ * Published tours without a published revision are left out (and warned
+ * about).
+ */
+async function loadShippingTours(db) {
+  const { rows } = await db.query(`
+    SELECT t.id, r.revision, r.tour_json, r.stops_json, r.legs_json
+      FROM salem_tours t
+ LEFT JOIN salem_tour_revisions r ON r.id = t.published_revision_id
+     WHERE t.status = 'published'`);
+  const out = [];
+  for (const r of rows) {
+    if (!r.tour_json) {
+      console.warn(`[tour-revisions] ${r.id}: no published revision — not shipped (publish one in the admin tour editor)`);
+      continue;
+    }
+    out.push({ tour: r.tour_json, stops: r.stops_json || [], legs: r.legs_json || [], revision: r.revision });
+  }
+  out.sort((a, b) => (a.tour.sort_order || 0) - (b.tour.sort_order || 0) || String(a.tour.name).localeCompare(String(b.tour.name)));
+  return out;
+}
+
+const same = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+function metresBetween(a, b) {
+  return segmentDistanceM(a, b, b);
+}
+
+// Vertex-sampled Hausdorff distance (m) between two [[lat, lng], ...] lines.
+function maxDeviationM(p, q) {
+  if (!p.length || !q.length) return null;
+  const oneWay = (from, to) => {
+    let worst = 0;
+    for (const pt of from) {
+      let best = Infinity;
+      if (to.length === 1) best = metresBetween(pt, to[0]);
+      for (let i = 1; i < to.length; i++) {
+        const d = segmentDistanceM(pt, to[i - 1], to[i]);
+        if (d < best) best = d;
+      }
+      if (best > worst) worst = best;
+    }
+    return worst;
+  };
+  return Math.max(oneWay(p, q), oneWay(q, p));
+}
+
+// Indices (into seq) of a longest strictly increasing subsequence.
+function lisIndices(seq) {
+  const tails = [];
+  const prev = new Array(seq.length).fill(-1);
+  for (let i = 0; i < seq.length; i++) {
+    let lo = 0;
+    let hi = tails.length;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      if (seq[tails[mid]] < seq[i]) lo = mid + 1;
+      else hi = mid;
+    }
+    if (lo > 0) prev[i] = tails[lo - 1];
+    tails[lo] = i;
+  }
+  const out = new Set();
+  for (let k = tails.length ? tails[tails.length - 1] : -1; k !== -1; k = prev[k]) out.add(k);
+  return out;
+}
+
+const round1 = (v) => (v == null ? null : Math.round(v * 10) / 10);
+const stopLabel = (s) => ({ stop_id: s.stop_id, stop_order: s.stop_order, poi_id: s.poi_id ?? null, name: s.effective_name ?? s.name ?? null });
+const legKey = (l) => `${l.from_stop_id}>${l.to_stop_id}`;
+
+/**
+ * What changed from revision `a` to revision `b` (each { tour, stops, legs }):
+ *   tour   [{ field, from, to }]
+ *   stops  { added, removed, reordered, moved, changed }
+ *            reordered — stops outside the longest run kept in the same
+ *            relative order (one stop dragged to the front is one entry,
+ *            not every stop it displaced)
+ *            moved — effective coordinate shifted >= MOVE_MIN_M
+ *   legs   { added, removed, changed } keyed by (from_stop_id, to_stop_id);
+ *            changed carries distance / duration deltas, point counts and
+ *            max_deviation_m between the two polylines
+ *   changed  false when nothing differs
+ */
+function diffRevisions(a, b) {
+  const tour = [];
+  const keys = new Set([...Object.keys(a.tour || {}), ...Object.keys(b.tour || {})]);
+  for (const k of [...keys].sort()) {
+    if (!same(a.tour?.[k], b.tour?.[k])) tour.push({ field: k, from: a.tour?.[k] ?? null, to: b.tour?.[k] ?? null });
+  }
+
+  const aStops = new Map(a.stops.map((s) => [s.stop_id, s]));
+  const bStops = new Map(b.stops.map((s) => [s.stop_id, s]));
+  const stops = { added: [], removed: [], reordered: [], moved: [], changed: [] };
+  for (const s of b.stops) if (!aStops.has(s.stop_id)) stops.added.push(stopLabel(s));
+  for (const s of a.stops) if (!bStops.has(s.stop_id)) stops.removed.push(stopLabel(s));
+
+  const common = a.stops.filter((s) => bStops.has(s.stop_id));
+  const bRank = new Map(b.stops.filter((s) => aStops.has(s.stop_id)).map((s, i) => [s.stop_id, i]));
+  const keep = lisIndices(common.map((s) => bRank.get(s.stop_id)));
+  common.forEach((s, i) => {
+    const t = bStops.get(s.stop_id);
+    if (!keep.has(i)) stops.reordered.push({ ...stopLabel(t), from_order: s.stop_order, to_order: t.stop_order });
+    if (s.effective_lat != null && t.effective_lat != null) {
+      const m = metresBetween([s.effective_lat, s.effective_lng], [t.effective_lat, t.effective_lng]);
+      if (m >= MOVE_MIN_M) stops.moved.push({ ...stopLabel(t), moved_m: round1(m) });
+    }
+    const fields = STOP_FIELDS.filter((f) => !same(s[f], t[f]));
+    if (fields.length) stops.changed.push({ ...stopLabel(t), fields });
+  });
+
+  const aLegs = new Map(a.legs.map((l) => [legKey(l), l]));
+  const bLegs = new Map(b.legs.map((l) => [legKey(l), l]));
+  const legLabel = (l) => ({ leg_order: l.leg_order, from_stop_id: l.from_stop_id, to_stop_id: l.to_stop_id, distance_m: round1(l.distance_m) });
+  const legs = { added: [], removed: [], changed: [] };
+  for (const l of b.legs) if (!aLegs.has(legKey(l))) legs.added.push(legLabel(l));
+  for (const l of a.legs) if (!bLegs.has(legKey(l))) legs.removed.push(legLabel(l));
+  for (const l of a.legs) {
+    const m = bLegs.get(legKey(l));
+    if (!m) continue;
+    const geomSame = same(l.polyline_json, m.polyline_json);
+    if (geomSame && same(l.distance_m, m.distance_m) && same(l.duration_s, m.duration_s) && l.leg_order === m.leg_order) continue;
+    const p = Array.isArray(l.polyline_json) ? l.polyline_json : [];
+    const q = Array.isArray(m.polyline_json) ? m.polyline_json : [];
+    legs.changed.push({
+      from_stop_id: m.from_stop_id,
+      to_stop_id: m.to_stop_id,
+      leg_order_from: l.leg_order,
+      leg_order_to: m.leg_order,
+      geometry_changed: !geomSame,
+      distance_delta_m: round1((Number(m.distance_m) || 0) - (Number(l.distance_m) || 0)),
+      duration_delta_s: round1((Number(m.duration_s) || 0) - (Number(l.duration_s) || 0)),
+      points_from: p.length,
+      points_to: q.length,
+      max_deviation_m: geomSame ? 0 : round1(maxDeviationM(p, q)),
+    });
+  }
+
+  const changed = tour.length > 0 ||
+    Object.values(stops).some((x) => x.length) ||
+    Object.values(legs).some((x) => x.length);
+  return { changed, tour, stops, legs };
+}
+
+module.exports = {
+  MOVE_MIN_M,
+  snapshotDraft,
+  loadShippingTours,
+  maxDeviationM,
+  diffRevisions,
+};
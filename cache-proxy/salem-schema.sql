@@ -155,6 +155,13 @@ CREATE TABLE IF NOT EXISTS salem_tours (
   seasonal          BOOLEAN DEFAULT FALSE,
   icon_asset        TEXT,
   sort_order        INTEGER DEFAULT 0,
+  -- Named cost model the admin Compute Route tool routes this tour's legs
+  -- with (see ROUTING_PROFILES in lib/salem-router.js).
+  route_profile     TEXT NOT NULL DEFAULT 'default',
+  -- 'draft' tours (e.g. saved from GET /salem/route/loop) stay in the admin
+  -- editor; the publish scripts only ship 'published' ones.
+  status            TEXT NOT NULL DEFAULT 'published'
+                      CHECK (status IN ('draft', 'published')),
   -- Provenance & Staleness
   data_source       TEXT NOT NULL DEFAULT 'manual_curated',
   confidence        REAL NOT NULL DEFAULT 1.0,
@@ -208,6 +215,9 @@ CREATE TABLE IF NOT EXISTS salem_tour_legs (
   -- Polyline as a JSONB array of [lat, lng] pairs (matches the bundle
   -- router's geometry output and the Android renderer's input format).
   polyline_json  JSONB   NOT NULL,
+  -- Turn-by-turn steps for the leg (lib/route-steps.js shape). NULL for legs
+  -- computed before steps existed; published to the app's tour_leg_steps.
+  steps_json     JSONB,
   distance_m     REAL    NOT NULL,
   duration_s     REAL    NOT NULL,
   -- Bundle identifier so we can detect stale legs after a router refresh.
@@ -223,6 +233,123 @@ CREATE INDEX IF NOT EXISTS salem_tour_legs_from_idx
 CREATE INDEX IF NOT EXISTS salem_tour_legs_to_idx
   ON salem_tour_legs (to_stop_id);
 
+-- ════════════════════════════════════════════════════════════════════
+-- Tour Revisions — immutable snapshots of a tour (metadata, stops with
+-- effective coords, legs). The live tour rows are the editable draft;
+-- salem_tours.published_revision_id names the snapshot publish-tours.js
+-- and publish-tour-legs.js bake. Authored via lib/admin-tour-revisions.js;
+-- rows are never updated except to stamp first_published_at.
+-- ════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS salem_tour_revisions (
+  id                 BIGSERIAL PRIMARY KEY,
+  tour_id            TEXT NOT NULL REFERENCES salem_tours(id) ON DELETE CASCADE,
+  -- 1, 2, 3, ... per tour.
+  revision           INTEGER NOT NULL,
+  tour_json          JSONB NOT NULL,
+  stops_json         JSONB NOT NULL,
+  legs_json          JSONB NOT NULL,
+  note               TEXT,
+  created_by         TEXT,
+  created_at         TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  -- Set the first time the revision is published; rollback walks back
+  -- through revisions that have it.
+  first_published_at TIMESTAMPTZ,
+  UNIQUE (tour_id, revision)
+);
+
+-- ════════════════════════════════════════════════════════════════════
+-- Route Closures — time-bounded street closures (Haunted Happenings
+-- street fairs, parades). Authored via lib/admin-route-closures.js; the
+-- bundle router lays active ones over its edge costs at request time and
+-- scripts/publish-route-closures.js ships them to salem_content.db.
+-- A closure covers a GeoJSON polygon, explicit TigerLine edge_ids, or both.
+-- admin-route-closures.js module init re-runs this CREATE on startup.
+-- ════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS salem_route_closures (
+  id            BIGSERIAL PRIMARY KEY,
+  name          TEXT NOT NULL,
+  reason        TEXT,
+  -- 'closed' = impassable; 'avoid' = walkable but heavily penalised.
+  mode          TEXT NOT NULL DEFAULT 'closed' CHECK (mode IN ('closed', 'avoid')),
+  -- Half-open window [starts_at, ends_at).
+  starts_at     TIMESTAMPTZ NOT NULL,
+  ends_at       TIMESTAMPTZ NOT NULL,
+  -- GeoJSON Polygon / MultiPolygon ([lng, lat] positions).
+  polygon_json  JSONB,
+  edge_ids      BIGINT[] NOT NULL DEFAULT '{}',
+  created_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (ends_at > starts_at),
+  CHECK (polygon_json IS NOT NULL OR cardinality(edge_ids) > 0)
+);
+CREATE INDEX IF NOT EXISTS salem_route_closures_window_idx
+  ON salem_route_closures (ends_at, starts_at);
+
+-- ════════════════════════════════════════════════════════════════════
+-- Route Parity Reports — bundle vs TigerLine live routing on sampled
+-- origin/destination pairs, run from lib/admin-route-parity.js after a
+-- graph re-bake. `pairs` holds every pair's distances; `worst` the top
+-- offenders with both geometries as a GeoJSON FeatureCollection.
+-- admin-route-parity.js module init re-runs this CREATE on startup.
+-- ════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS salem_route_parity_reports (
+  id            BIGSERIAL PRIMARY KEY,
+  status        TEXT NOT NULL DEFAULT 'running'
+                  CHECK (status IN ('running', 'done', 'error')),
+  -- 'random' (seeded sample of walkable nodes in the Salem bbox) or
+  -- 'curated' (request pairs, else the router's canary pairs).
+  mode          TEXT NOT NULL CHECK (mode IN ('random', 'curated')),
+  params        JSONB NOT NULL DEFAULT '{}',
+  bundle_sha256 TEXT,
+  summary       JSONB,
+  pairs         JSONB,
+  worst         JSONB,
+  error         TEXT,
+  started_at    TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  finished_at   TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS salem_route_parity_reports_started_idx
+  ON salem_route_parity_reports (started_at DESC);
+
+-- ════════════════════════════════════════════════════════════════════
+-- Route Overlay — hand fixes to the baked TigerLine walking graph,
+-- authored via lib/admin-route-overlay.js. 'add_edge' rows are virtual
+-- footpaths between two existing bundle nodes (edge id 1000000000 + id);
+-- 'disable_edge' rows take one bundle edge out. The bundle router merges
+-- enabled rows at load time; scripts/publish-routing-overlay.js bakes
+-- them into salem-routing-graph.sqlite. Audited (salem_audit_log).
+-- admin-route-overlay.js module init re-runs this CREATE on startup.
+-- ════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS salem_route_overlay (
+  id              BIGSERIAL PRIMARY KEY,
+  kind            TEXT NOT NULL CHECK (kind IN ('add_edge', 'disable_edge')),
+  -- disable_edge: the bundle edge taken out.
+  edge_id         BIGINT,
+  -- add_edge: snapped endpoint nodes and the drawn line as a GeoJSON
+  -- LineString ([lng, lat] positions; first / last vertex on the nodes).
+  source_node_id  BIGINT,
+  target_node_id  BIGINT,
+  geometry_json   JSONB,
+  length_m        DOUBLE PRECISION,
+  mtfcc           TEXT NOT NULL DEFAULT 'S1710',
+  fullname        TEXT,
+  step            BOOLEAN NOT NULL DEFAULT false,
+  surface         TEXT,
+  note            TEXT,
+  enabled         BOOLEAN NOT NULL DEFAULT true,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  CHECK (kind <> 'disable_edge' OR edge_id IS NOT NULL),
+  CHECK (kind <> 'add_edge' OR (source_node_id IS NOT NULL AND target_node_id IS NOT NULL
+                                AND geometry_json IS NOT NULL AND source_node_id <> target_node_id))
+);
+CREATE UNIQUE INDEX IF NOT EXISTS salem_route_overlay_disable_uniq
+  ON salem_route_overlay (edge_id) WHERE kind = 'disable_edge';
+
 -- ════════════════════════════════════════════════════════════════════
 -- Events Calendar
 -- ════════════════════════════════════════════════════════════════════
@@ -431,6 +558,103 @@ CREATE INDEX IF NOT EXISTS idx_spois_intel_entity    ON salem_pois (intel_entity
 CREATE INDEX IF NOT EXISTS idx_spois_tour            ON salem_pois (id) WHERE is_tour_poi = true;
 CREATE INDEX IF NOT EXISTS idx_spois_district        ON salem_pois (district) WHERE district IS NOT NULL;
 
+-- ════════════════════════════════════════════════════════════════════
+-- POI Search — ranked full-text + trigram search behind /salem/search
+--
+-- salem_poi_search_doc() builds a weighted tsvector: name (A), short
+-- description + tags + owners (B), district (C), narrations + description
+-- (D). It backs an expression GIN index rather than a stored column so the
+-- audit trigger's revert path keeps writing salem_pois unchanged. Keep the
+-- argument list in sync with DOC_EXPR in lib/salem-search.js.
+-- salem_search_synonyms holds phrase groups ("witch museum" ≈ "salem witch
+-- museum") expanded at query time and baked into salem_content.db by
+-- publish-salem-pois.js. lib/salem-search.js module init re-runs this block.
+-- ════════════════════════════════════════════════════════════════════
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+ALTER TABLE salem_pois ADD COLUMN IF NOT EXISTS historical_narration TEXT;
+
+CREATE OR REPLACE FUNCTION salem_poi_search_doc(
+  name TEXT, short_description TEXT, tags JSONB, owners JSONB, district TEXT,
+  short_narration TEXT, long_narration TEXT, historical_narration TEXT, description TEXT
+) RETURNS tsvector LANGUAGE sql IMMUTABLE PARALLEL SAFE AS $$
+  SELECT setweight(to_tsvector('english', coalesce(name, '')), 'A')
+      || setweight(to_tsvector('english', coalesce(short_description, '')), 'B')
+      || setweight(jsonb_to_tsvector('english',
+           coalesce(tags, '[]'::jsonb) || coalesce(owners, '[]'::jsonb), '["string"]'), 'B')
+      || setweight(to_tsvector('english', coalesce(district, '')), 'C')
+      || setweight(to_tsvector('english',
+           coalesce(short_narration, '') || ' ' || coalesce(long_narration, '') || ' ' ||
+           coalesce(historical_narration, '') || ' ' || coalesce(description, '')), 'D')
+$$;
+
+CREATE INDEX IF NOT EXISTS idx_spois_search ON salem_pois USING GIN (
+  salem_poi_search_doc(name, short_description, tags, owners, district,
+                       short_narration, long_narration, historical_narration, description)
+) WHERE deleted_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_spois_name_trgm ON salem_pois USING GIN (name gin_trgm_ops);
+
+CREATE TABLE IF NOT EXISTS salem_search_synonyms (
+  id         SERIAL PRIMARY KEY,
+  phrases    TEXT[] NOT NULL CHECK (cardinality(phrases) >= 2),  -- normalised lowercase phrases
+  note       TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ════════════════════════════════════════════════════════════════════
+-- POI Merges — POST /admin/salem/pois/:id/merge folds one POI into
+-- another (lib/admin-poi-merge.js). The merged POI is soft-deleted with
+-- merged_into pointing at the survivor. Each salem_poi_merges row is the
+-- grouped audit entry: per-field choices, the survivor's before / after
+-- values and every repointed row, enough to revert the merge as a unit.
+-- survivor_id / merged_id carry no FK so history outlives a hard purge.
+-- admin-poi-merge.js module init re-runs this block on startup.
+-- ════════════════════════════════════════════════════════════════════
+
+ALTER TABLE salem_pois
+  ADD COLUMN IF NOT EXISTS merged_into TEXT REFERENCES salem_pois(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_spois_merged_into ON salem_pois (merged_into) WHERE merged_into IS NOT NULL;
+
+CREATE TABLE IF NOT EXISTS salem_poi_merges (
+  id              BIGSERIAL PRIMARY KEY,
+  survivor_id     TEXT NOT NULL,
+  merged_id       TEXT NOT NULL,
+  choices         JSONB NOT NULL,                  -- field → left | right | concat
+  survivor_before JSONB NOT NULL,                  -- changed fields only
+  survivor_after  JSONB NOT NULL DEFAULT '{}',
+  -- { tour_stops, collections_moved, collections_dropped, refs, merged_into }
+  repointed       JSONB NOT NULL,
+  reason          TEXT,
+  created_by      TEXT,
+  created_at      TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  reverted_at     TIMESTAMPTZ,
+  reverted_by     TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_salem_poi_merges_survivor ON salem_poi_merges (survivor_id);
+CREATE INDEX IF NOT EXISTS idx_salem_poi_merges_merged   ON salem_poi_merges (merged_id);
+
+-- ════════════════════════════════════════════════════════════════════
+-- POI duplicate reviews — pairs an operator marked "not a duplicate".
+-- The duplicate scorer (lib/poi-duplicates.js) skips them everywhere:
+-- the duplicates lint check, GET /admin/salem/pois/duplicates and the
+-- dedup scripts. Stored once per pair, poi_a < poi_b. score / signals
+-- record what the scorer said at review time.
+-- admin-pois.js module init re-runs this block on startup.
+-- ════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS salem_poi_duplicate_reviews (
+  poi_a        TEXT NOT NULL REFERENCES salem_pois(id) ON DELETE CASCADE,
+  poi_b        TEXT NOT NULL REFERENCES salem_pois(id) ON DELETE CASCADE,
+  score        REAL,
+  signals      JSONB,
+  note         TEXT,
+  reviewed_by  TEXT,
+  reviewed_at  TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (poi_a, poi_b),
+  CHECK (poi_a < poi_b)
+);
+CREATE INDEX IF NOT EXISTS idx_salem_poi_dup_reviews_b ON salem_poi_duplicate_reviews (poi_b);
+
 -- ════════════════════════════════════════════════════════════════════
 -- The Salem Witch Trials feature (Phase 9X, S127)
 --
@@ -663,3 +887,37 @@ ALTER TABLE salem_pois
   ADD COLUMN IF NOT EXISTS ghost_asset_a TEXT,
   ADD COLUMN IF NOT EXISTS ghost_asset_b TEXT,
   ADD COLUMN IF NOT EXISTS ghost_frame   TEXT;
+
+-- Idempotent forward-migration for per-tour routing profiles. Existing
+-- installs keep routing shortest-distance ('default') until an operator
+-- picks wheelchair / stroller / quiet. admin-tours.js module init re-runs
+-- this on startup.
+ALTER TABLE salem_tours
+  ADD COLUMN IF NOT EXISTS route_profile TEXT NOT NULL DEFAULT 'default';
+
+-- Idempotent forward-migration for turn-by-turn leg steps. Legs computed
+-- before this column keep NULL until the next compute-route. admin-tours.js
+-- module init re-runs this on startup.
+ALTER TABLE salem_tour_legs
+  ADD COLUMN IF NOT EXISTS steps_json JSONB;
+
+-- Idempotent forward-migration for draft tours. Every existing tour is
+-- already live in the app, so they all start 'published'. admin-tours.js
+-- module init re-runs this on startup.
+ALTER TABLE salem_tours
+  ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'published'
+    CHECK (status IN ('draft', 'published'));
+
+-- Idempotent forward-migration for tour revisions. NULL = no published
+-- revision; the publish scripts skip the tour. admin-tours.js module init
+-- re-runs this on startup, and admin-tour-revisions.js gives every
+-- published tour an initial published revision while none exist yet.
+ALTER TABLE salem_tours
+  ADD COLUMN IF NOT EXISTS published_revision_id BIGINT;
+
+-- Idempotent forward-migration for the tour-import review flag. TRUE marks a
+-- stop POST /admin/salem/tours/import couldn't bind to a POI; it stays set
+-- until an operator binds, moves or clears the stop. admin-tours.js module
+-- init re-runs this on startup.
+ALTER TABLE salem_tour_stops
+  ADD COLUMN IF NOT EXISTS import_unmatched BOOLEAN NOT NULL DEFAULT FALSE;
@@ -17,6 +17,23 @@
  *   3. CREATE TABLE using Room's exact schema (table + indexes)
  *   4. re-insert the rows
  *
+ * Sidecar tables: some publish-* scripts also write plain SQLite tables that
+ * are NOT Room entities. Room only validates the tables SalemContentDatabase
+ * declares and this script only rewrites those, so sidecars pass through
+ * untouched and adding or changing one needs no Room schema-version bump.
+ * Nothing Room-generated reads them: app code queries them through the
+ * database's openHelper and must treat a missing table (older asset) as
+ * empty. Current sidecars:
+ *
+ *   table(s)                          written by                read on device by
+ *   tour_leg_steps                    publish-tour-legs.js      TourLegStepLoader
+ *   poi_opening_hours,                publish-salem-pois.js     PoiOpeningHours
+ *     poi_public_holidays               (lib/opening-hours.js)
+ *   route_closure, route_closure_edge publish-route-closures.js RouteClosureLoader
+ *
+ * Add a row here when a script grows a new sidecar or the app starts
+ * reading one.
+ *
  * Idempotent. Safe to re-run. Run AFTER all publish-* scripts and BEFORE
  * shipping the asset.
  *
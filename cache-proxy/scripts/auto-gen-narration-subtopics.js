@@ -10,9 +10,12 @@
  *      the 49 NPC names from salem_witch_trials_npc_bios. For each
  *      hit, emits a subtopic with source_kind='figure'.
  *
- *   2. Adjacency — finds 1 nearby active POI (≤200m, different
+ *   2. Adjacency — finds 1 nearby active POI (≤200m walk, different
  *      category, has narration) and emits one subtopic with
- *      source_kind='adjacent_poi'. Capped at 1 per POI.
+ *      source_kind='adjacent_poi'. Capped at 1 per POI. Distance is the
+ *      walk over the shipped routing bundle (one multi-target Dijkstra
+ *      per POI); --straight-line, or a missing bundle, falls back to
+ *      haversine.
  *
  * The whole script is conservative:
  *   - Whole-word case-insensitive name matching with multi-variant
@@ -32,6 +35,7 @@
  *   node cache-proxy/scripts/auto-gen-narration-subtopics.js --limit 50
  *   node cache-proxy/scripts/auto-gen-narration-subtopics.js --poi-id charter_street_cemetery
  *   node cache-proxy/scripts/auto-gen-narration-subtopics.js --overwrite
+ *   node cache-proxy/scripts/auto-gen-narration-subtopics.js --straight-line
  */
 
 // .env is loaded by `source cache-proxy/.env` from the shell. If DATABASE_URL
@@ -56,6 +60,7 @@ if (!process.env.DATABASE_URL) {
 }
 
 const { Pool } = require('pg');
+const { BUNDLE_PATH, loadBundle, routeMatrix } = require('../lib/salem-router');
 
 if (!process.env.DATABASE_URL) {
   console.error('Error: DATABASE_URL environment variable is required');
@@ -65,6 +70,7 @@ if (!process.env.DATABASE_URL) {
 const args = process.argv.slice(2);
 const DRY_RUN = args.includes('--dry-run');
 const OVERWRITE = args.includes('--overwrite');
+const STRAIGHT_LINE = args.includes('--straight-line');
 const LIMIT = (() => {
   const i = args.indexOf('--limit');
   return i >= 0 ? parseInt(args[i + 1], 10) : null;
@@ -201,6 +207,17 @@ function haversineM(lat1, lng1, lat2, lng2) {
   return 2 * R * Math.asin(Math.sqrt(a));
 }
 
+// Shipped routing bundle for walking adjacency, or null (straight line).
+function loadWalkingBundle() {
+  if (STRAIGHT_LINE) return null;
+  try {
+    return loadBundle(BUNDLE_PATH);
+  } catch (err) {
+    console.warn(`Routing bundle unavailable (${err.message}) — adjacency falls back to straight-line distance.`);
+    return null;
+  }
+}
+
 function buildFigureSubtopic(npc) {
   const role = npc.role && npc.role.trim() ? npc.role.trim() : null;
   const lead = role ? `${role}. ` : '';
@@ -282,6 +299,8 @@ async function main() {
     isEligible(p)
   );
   console.log(`Adjacency pool: ${adjacencyPool.length} eligible POIs with substantive narration.`);
+  const walkBundle = loadWalkingBundle();
+  console.log(`Adjacency distance: ${walkBundle ? 'walking (routing bundle)' : 'straight line'}.`);
   console.log('');
 
   let updated = 0;
@@ -295,7 +314,8 @@ async function main() {
 
     let adjacentCard = null;
     if (figureCards.length < MAX_FIGURE_CARDS + MAX_ADJACENT_CARDS && poi.lat != null && poi.lng != null) {
-      const candidates = [];
+      // Straight line prefilters — a walk is never shorter.
+      let candidates = [];
       for (const cand of adjacencyPool) {
         if (cand.id === poi.id) continue;
         if (looksLikeDupe(poi.name, cand.name)) continue;
@@ -303,6 +323,16 @@ async function main() {
         if (d > ADJACENCY_RADIUS_M) continue;
         candidates.push({ cand, d });
       }
+      if (walkBundle && candidates.length) {
+        const { distancesM } = routeMatrix(
+          walkBundle,
+          [{ lat: poi.lat, lng: poi.lng }],
+          candidates.map(c => ({ lat: c.cand.lat, lng: c.cand.lng })),
+        );
+        candidates = candidates
+          .map((c, j) => ({ cand: c.cand, d: distancesM[j] }))
+          .filter(c => c.d <= ADJACENCY_RADIUS_M);
+      }
       candidates.sort((a, b) => a.d - b.d);
       if (candidates.length > 0) {
         adjacentCard = buildAdjacentSubtopic(candidates[0].cand, candidates[0].d);
@@ -3,8 +3,8 @@
  * S216 — Collapse live POI duplicate clusters.
  *
  * Operator rule (S216):
- *   BCS wins. For every cluster of LIVE POIs that share a normalised name
- *   and sit within RADIUS_M of each other, the keeper is whichever row is
+ *   BCS wins. For every cluster of LIVE POIs the duplicate scorer pairs up
+ *   within RADIUS_M of each other, the keeper is whichever row is
  *   sourced from BCS (salem_intelligence_bcs) — or, if multiple BCS rows,
  *   the most content-rich one. Failing BCS, prefer manual_curated, then
  *   is_tour_poi=true, then most content, then earliest created_at. Every
@@ -15,21 +15,38 @@
  *   operator hand-curates location, that is sacred. Future admin coord
  *   edits go against the BCS row by default after this runs.
  *
- * Cluster definition: same normalised name (lowercase, alnum-only) AND
- *   distance ≤ RADIUS_M (default 200 m). Generous radius because BCS and
- *   MHC ingestion pipelines geocode independently and routinely disagree
- *   by 50–150 m on the same physical building. Pure spatial proximity is
- *   NOT used (would merge unrelated businesses sharing a storefront).
+ * Cluster definition: pairs within RADIUS_M (default 200 m) scoring at
+ *   least MIN_SCORE on lib/poi-duplicates.js — the scorer the duplicates
+ *   lint check and GET /admin/salem/pois/duplicates use — grouped by
+ *   transitive closure. Generous radius because BCS and MHC ingestion
+ *   pipelines geocode independently and routinely disagree by 50–150 m on
+ *   the same physical building; the scorer weighs name, distance, phone,
+ *   website, address, intel_entity_id and category, so unrelated businesses
+ *   sharing a storefront stay apart. Pairs an operator marked "not a
+ *   duplicate" are skipped, and a cluster that would join such a pair
+ *   through a third POI is left for manual review.
  *
  * Usage:
  *   node cache-proxy/scripts/dedup-live-clusters.js                # dry-run
  *   node cache-proxy/scripts/dedup-live-clusters.js --apply        # commit
  *   node cache-proxy/scripts/dedup-live-clusters.js --radius=300   # override
+ *   node cache-proxy/scripts/dedup-live-clusters.js --walking      # walk ≤ radius
+ *   node cache-proxy/scripts/dedup-live-clusters.js --min-score=0.9
+ *
+ * --walking measures RADIUS_M as walking distance over the shipped routing
+ *   bundle instead of straight line, and scores distance on foot, so two
+ *   same-name rows on opposite sides of the harbour or a rail cut don't
+ *   cluster. The straight-line SQL test stays as the prefilter (a walk is
+ *   never shorter).
  */
 
 const path = require('path');
 const fs = require('fs');
 const { Pool } = require('pg');
+const { BUNDLE_PATH, loadBundle, routeMatrix } = require('../lib/salem-router');
+const {
+  DUPLICATE_THRESHOLD, scoreNearbyPairs, clusterPairs, loadNotDuplicatePairs, pairKey,
+} = require('../lib/poi-duplicates');
 
 (function loadEnv() {
   const envPath = path.resolve(__dirname, '..', '.env');
@@ -47,11 +64,17 @@ const { Pool } = require('pg');
 
 const args = new Set(process.argv.slice(2));
 const APPLY = args.has('--apply');
+const WALKING = args.has('--walking');
 const radiusArg = process.argv.slice(2).find(a => a.startsWith('--radius='));
 const RADIUS_M = radiusArg ? parseInt(radiusArg.split('=')[1], 10) : 200;
 if (!Number.isFinite(RADIUS_M) || RADIUS_M <= 0 || RADIUS_M > 1000) {
   console.error(`--radius=${RADIUS_M} invalid (1..1000)`); process.exit(2);
 }
+const minScoreArg = process.argv.slice(2).find(a => a.startsWith('--min-score='));
+const MIN_SCORE = minScoreArg ? parseFloat(minScoreArg.split('=')[1]) : DUPLICATE_THRESHOLD;
+if (!Number.isFinite(MIN_SCORE) || MIN_SCORE < 0 || MIN_SCORE > 1) {
+  console.error(`--min-score=${MIN_SCORE} invalid (0..1)`); process.exit(2);
+}
 
 const TEXT_FIELDS = [
   'address', 'short_narration', 'long_narration', 'historical_period',
@@ -145,79 +168,64 @@ async function main() {
 
   console.log('=== Live POI dedup (BCS-keeper rule) ===');
   console.log(`Mode:   ${APPLY ? 'APPLY' : 'DRY-RUN'}`);
-  console.log(`Radius: ${RADIUS_M} m\n`);
+  console.log(`Radius: ${RADIUS_M} m ${WALKING ? 'walking' : 'straight line'}`);
+  console.log(`Score:  ≥ ${MIN_SCORE}\n`);
+  // --walking without a bundle is an operator error, not a silent fallback.
+  const walkBundle = WALKING ? loadBundle(BUNDLE_PATH) : null;
+  const walkingM = walkBundle
+    ? (a, b) => routeMatrix(walkBundle, [{ lat: a.lat, lng: a.lng }], [{ lat: b.lat, lng: b.lng }]).distancesM[0]
+    : null;
 
   const client = await pool.connect();
   try {
     await client.query('BEGIN');
 
-    // Build clusters: every pair of LIVE POIs that share a normalised name
-    // AND sit within RADIUS_M. Then we group by transitive closure (anyone
-    // pairing with anyone in the group joins it) so a 3-row cluster (A↔B,
-    // B↔C, but A↔C >RADIUS_M) still collapses correctly.
-    const pairs = await client.query(
-      `WITH norm AS (
-         SELECT id, name, lat, lng,
-                lower(regexp_replace(name, '[^a-zA-Z0-9]+', '', 'g')) AS nname
-         FROM salem_pois
-         WHERE deleted_at IS NULL
-       )
-       SELECT a.id AS a_id, b.id AS b_id
-         FROM norm a
-         JOIN norm b
-           ON a.nname = b.nname
-          AND a.id < b.id
-        WHERE sqrt(power((a.lat-b.lat)*111320.0,2)+power((a.lng-b.lng)*111320.0*cos(radians(a.lat)),2)) <= $1`,
-      [RADIUS_M]
-    );
+    // Build clusters: every scored pair of LIVE POIs within RADIUS_M, then
+    // transitive closure (anyone pairing with anyone in the group joins it)
+    // so a 3-row cluster (A↔B, B↔C, but A↔C weak) still collapses.
+    const walks = new Map();
+    const scored = await scoreNearbyPairs(client, {
+      radiusM: RADIUS_M,
+      minScore: MIN_SCORE,
+      columns: '*',
+      walkingM: walkingM && ((a, b) => {
+        const m = walkingM(a, b);
+        walks.set(pairKey(a.id, b.id), m);
+        return m;
+      }),
+    });
+    const pairs = scored.pairs.filter(p => !walkingM || walks.get(pairKey(p.a.id, p.b.id)) <= RADIUS_M);
+    if (walkingM) console.log(`Walking check dropped ${scored.pairs.length - pairs.length} of ${scored.pairs.length} scored pairs.`);
+    console.log(`Skipped ${scored.reviewed} pair(s) reviewed as "not a duplicate".\n`);
 
-    // Union-Find on the pair set.
-    const parent = new Map();
-    const find = (x) => {
-      while (parent.get(x) !== x) {
-        parent.set(x, parent.get(parent.get(x)));
-        x = parent.get(x);
-      }
-      return x;
-    };
-    const union = (a, b) => {
-      if (!parent.has(a)) parent.set(a, a);
-      if (!parent.has(b)) parent.set(b, b);
-      const ra = find(a), rb = find(b);
-      if (ra !== rb) parent.set(ra, rb);
-    };
-    for (const r of pairs.rows) union(r.a_id, r.b_id);
-
-    const clusterIds = new Set();
-    for (const id of parent.keys()) clusterIds.add(id);
-    if (clusterIds.size === 0) {
+    if (pairs.length === 0) {
       console.log('No live duplicate clusters found.');
       await client.query('ROLLBACK');
       return;
     }
 
-    const inIds = [...clusterIds];
-    const rowsRes = await client.query(
-      `SELECT * FROM salem_pois WHERE id = ANY($1)`,
-      [inIds]
-    );
-    const rowsById = new Map(rowsRes.rows.map(r => [r.id, r]));
-
-    // Group ids by root.
-    const groups = new Map();
-    for (const id of clusterIds) {
-      const root = find(id);
-      if (!groups.has(root)) groups.set(root, []);
-      groups.get(root).push(rowsById.get(id));
-    }
+    const rowsById = scored.rows;
+    const reviewed = await loadNotDuplicatePairs(client);
+    const groups = clusterPairs(pairs).map(ids => ids.map(id => rowsById.get(id)));
+    const pairLog = new Map();
+    for (const p of pairs) pairLog.set(pairKey(p.a.id, p.b.id), p);
 
     let clustersCount = 0;
     let killCount = 0;
     let mergedFields = 0;
     const log = [];
+    const heldBack = [];
 
-    for (const [, members] of groups) {
+    for (const members of groups) {
       if (members.length < 2) continue;
+      // Chained through a third POI onto a pair an operator said is distinct.
+      const conflict = members.flatMap((m, i) => members.slice(i + 1)
+        .filter(o => reviewed.has(pairKey(m.id, o.id)))
+        .map(o => `${m.id} ≠ ${o.id}`));
+      if (conflict.length > 0) {
+        heldBack.push({ ids: members.map(m => m.id), conflict });
+        continue;
+      }
       clustersCount++;
       const keeper = pickKeeper(members);
       const losers = members.filter(m => m.id !== keeper.id);
@@ -313,7 +321,10 @@ async function main() {
 
       log.push({
         keeper: { id: keeper.id, name: keeper.name, ds: keeper.data_source, tour: keeper.is_tour_poi, lat: keeper.lat, lng: keeper.lng },
-        losers: losers.map(l => ({ id: l.id, ds: l.data_source, tour: l.is_tour_poi })),
+        losers: losers.map(l => {
+          const p = pairLog.get(pairKey(keeper.id, l.id));
+          return { id: l.id, ds: l.data_source, tour: l.is_tour_poi, why: p ? `${p.score}: ${p.explanation}` : 'via cluster' };
+        }),
         fields: fieldChanges,
       });
     }
@@ -329,12 +340,19 @@ async function main() {
       console.log(`  KEEP ${kp}`);
       console.log(`  KILL ${ls}`);
       console.log(`  "${c.keeper.name}"`);
+      for (const l of c.losers) console.log(`    ${l.id} — ${l.why}`);
       if (c.fields.length > 0) {
         console.log(`  fields: ${c.fields.slice(0, 8).join(', ')}${c.fields.length > 8 ? `, +${c.fields.length - 8} more` : ''}`);
       }
       console.log('');
     }
 
+    if (heldBack.length > 0) {
+      console.log('--- HELD BACK (cluster joins a "not a duplicate" pair — merge by hand) ---');
+      for (const h of heldBack) console.log(`  ${h.ids.join(', ')}  (${h.conflict.join('; ')})`);
+      console.log('');
+    }
+
     if (APPLY) { await client.query('COMMIT'); console.log('COMMITTED.'); }
     else { await client.query('ROLLBACK'); console.log('DRY-RUN — rolled back. Pass --apply to commit.'); }
   } catch (err) {
@@ -11,25 +11,25 @@
  *     replaced — operator-curated location is authoritative.
  *   - After merge, all dead rows are HARD-DELETED from the database.
  *
- * Cluster definition: a dead POI matches a live POI when BOTH conditions
- *   hold:
- *     1. Normalised name match (lowercase, strip every non-alphanumeric).
- *        "John Ward House" == "john ward house" == "John Ward House.".
- *     2. Distance ≤ RADIUS_M (default 300 m).
+ * Cluster definition: a dead POI matches the live POI within RADIUS_M
+ *   (default 300 m) that scores highest on lib/poi-duplicates.js — the
+ *   scorer the duplicates lint check and GET /admin/salem/pois/duplicates
+ *   use — provided it scores at least MIN_SCORE. The scorer weighs name,
+ *   distance, phone, website, address, intel_entity_id and category.
  *
  *   Spatial-only matching is NOT enough: in downtown Salem, distinct
  *   businesses share storefronts at the same coordinates ("Bewitched
  *   Historical Tours" and "Halloween Museum of Salem" are 0 m apart but
  *   are NOT a dedup pair). Name match without spatial cap is also wrong —
- *   chain stores ("7-Eleven") have the same name across town. Both
- *   together is the right signal.
+ *   chain stores ("7-Eleven") have the same name across town. Pairs an
+ *   operator marked "not a duplicate" never match. Override via --radius
+ *   and --min-score.
  *
- *   In the current data: 23 dead POIs have a name-match somewhere live;
- *   13 of those are within 300 m and merge cleanly; the other 10 are
- *   chain-store / generic-name false positives that stay orphan.
- *   Override via --radius.
+ * Already merged: dead POIs with merged_into set were folded into their
+ *   survivor by POST /admin/salem/pois/:id/merge, where the operator chose
+ *   field by field. Their content is NOT merged again; they are deleted.
  *
- * Orphan policy: dead POIs with no cluster-mate inside RADIUS_M have
+ * Orphan policy: dead POIs with no cluster-mate scoring ≥ MIN_SCORE have
  *   nowhere to merge their content. Per operator ("dead = die") they
  *   are still hard-deleted; their content is dropped on the floor with
  *   a per-row log line so the operator can audit.
@@ -52,6 +52,12 @@
  *   node cache-proxy/scripts/dedup-merge-and-purge.js                # dry-run
  *   node cache-proxy/scripts/dedup-merge-and-purge.js --apply        # commit
  *   node cache-proxy/scripts/dedup-merge-and-purge.js --radius=50    # override
+ *   node cache-proxy/scripts/dedup-merge-and-purge.js --walking      # walk ≤ radius
+ *   node cache-proxy/scripts/dedup-merge-and-purge.js --min-score=0.9
+ *
+ * --walking measures RADIUS_M as walking distance over the shipped routing
+ * bundle instead of straight line and scores distance on foot; candidates
+ * still come from the straight-line radius.
  *
  * Wraps the whole pass in a single transaction; --apply commits, dry-run
  * rolls back so operator can preview the report without side effects.
@@ -60,6 +66,8 @@
 const path = require('path');
 const fs = require('fs');
 const { Pool } = require('pg');
+const { BUNDLE_PATH, loadBundle, routeMatrix } = require('../lib/salem-router');
+const { DUPLICATE_THRESHOLD, scoreNearbyPairs } = require('../lib/poi-duplicates');
 
 // Match the rest of cache-proxy/scripts: parse cache-proxy/.env by hand so
 // we don't add a runtime dependency on dotenv (cache-proxy/server.js relies
@@ -82,6 +90,7 @@ const { Pool } = require('pg');
 
 const args = new Set(process.argv.slice(2));
 const APPLY = args.has('--apply');
+const WALKING = args.has('--walking');
 const radiusArg = process.argv.slice(2).find(a => a.startsWith('--radius='));
 const RADIUS_M = radiusArg ? parseInt(radiusArg.split('=')[1], 10) : 300;
 
@@ -89,6 +98,12 @@ if (!Number.isFinite(RADIUS_M) || RADIUS_M <= 0 || RADIUS_M > 1000) {
   console.error(`--radius=${RADIUS_M} is invalid (must be 1..1000)`);
   process.exit(2);
 }
+const minScoreArg = process.argv.slice(2).find(a => a.startsWith('--min-score='));
+const MIN_SCORE = minScoreArg ? parseFloat(minScoreArg.split('=')[1]) : DUPLICATE_THRESHOLD;
+if (!Number.isFinite(MIN_SCORE) || MIN_SCORE < 0 || MIN_SCORE > 1) {
+  console.error(`--min-score=${MIN_SCORE} is invalid (must be 0..1)`);
+  process.exit(2);
+}
 
 const TEXT_FIELDS = [
   'address', 'short_narration', 'long_narration', 'historical_period',
@@ -179,7 +194,10 @@ async function main() {
 
   console.log('=== Dedup merge + purge ===');
   console.log(`Mode:   ${APPLY ? 'APPLY (will commit)' : 'DRY-RUN (will rollback)'}`);
-  console.log(`Radius: ${RADIUS_M} m\n`);
+  console.log(`Radius: ${RADIUS_M} m ${WALKING ? 'walking' : 'straight line'}`);
+  console.log(`Score:  ≥ ${MIN_SCORE}\n`);
+  // --walking without a bundle is an operator error, not a silent fallback.
+  const walkBundle = WALKING ? loadBundle(BUNDLE_PATH) : null;
 
   const client = await pool.connect();
   try {
@@ -193,40 +211,37 @@ async function main() {
     );
     console.log(`Before: ${before.rows[0].live} live, ${before.rows[0].dead} dead\n`);
 
-    // 2. Pair each dead POI with the closest LIVE POI that ALSO has a
-    //    matching normalised name. Two-criteria match (name + distance)
-    //    keeps shared-storefront false positives out of the merge set.
-    const pairsRes = await client.query(
-      `WITH norm AS (
-         SELECT id, name, lat, lng, deleted_at,
-                lower(regexp_replace(name, '[^a-zA-Z0-9]+', '', 'g')) AS nname
-         FROM salem_pois
-       ),
-       pair AS (
-         SELECT DISTINCT ON (d.id)
-           d.id AS dead_id,
-           d.name AS dead_name,
-           l.id AS live_id,
-           l.name AS live_name,
-           sqrt(
-             power((d.lat - l.lat) * 111320.0, 2) +
-             power((d.lng - l.lng) * 111320.0 * cos(radians(d.lat)), 2)
-           )::numeric(8,2) AS dist_m
-         FROM norm d
-         JOIN norm l
-           ON l.deleted_at IS NULL
-          AND d.nname = l.nname
-          AND d.id <> l.id
-         WHERE d.deleted_at IS NOT NULL
-         ORDER BY d.id,
-           sqrt(power((d.lat - l.lat) * 111320.0, 2) + power((d.lng - l.lng) * 111320.0 * cos(radians(d.lat)), 2))
-       )
-       SELECT * FROM pair`
-    );
+    // 2. Score every dead POI against the LIVE POIs within RADIUS_M and
+    //    keep its best-scoring mate. Pairs come back best first, so the
+    //    first pair seen per dead id wins.
+    const walks = new Map();
+    const { pairs, reviewed } = await scoreNearbyPairs(client, {
+      radiusM: RADIUS_M,
+      left: 'a.deleted_at IS NOT NULL',
+      right: 'b.deleted_at IS NULL',
+      distinct: false,
+      walkingM: walkBundle && ((dead, live) => {
+        const { distancesM } = routeMatrix(
+          walkBundle,
+          [{ lat: dead.lat, lng: dead.lng }],
+          [{ lat: live.lat, lng: live.lng }],
+        );
+        walks.set(`${dead.id}|${live.id}`, distancesM[0]);
+        return distancesM[0];
+      }),
+    });
+    if (reviewed > 0) console.log(`Skipped ${reviewed} pair(s) reviewed as "not a duplicate".\n`);
 
     const pairsByDeadId = new Map();
-    for (const r of pairsRes.rows) {
-      pairsByDeadId.set(r.dead_id, r);
+    for (const p of pairs) {
+      if (pairsByDeadId.has(p.a.id)) continue;
+      pairsByDeadId.set(p.a.id, {
+        live_id: p.b.id,
+        live_name: p.b.name,
+        dist_m: walkBundle ? walks.get(`${p.a.id}|${p.b.id}`) : p.distance_m,
+        score: p.score,
+        explanation: p.explanation,
+      });
     }
 
     // 3. Pull every dead POI row.
@@ -236,6 +251,7 @@ async function main() {
     const deadRows = allDeadRes.rows;
 
     let mergeCount = 0;
+    let alreadyMergedCount = 0;
     let orphanCount = 0;
     let fieldsCopied = 0;
     const orphanLog = [];
@@ -243,17 +259,26 @@ async function main() {
 
     // 4. For each dead row: maybe merge, then delete.
     for (const dead of deadRows) {
+      if (dead.merged_into) {
+        // Content already chosen field by field in the merge endpoint.
+        alreadyMergedCount++;
+        await client.query(`DELETE FROM salem_pois WHERE id = $1`, [dead.id]);
+        continue;
+      }
+
       const pair = pairsByDeadId.get(dead.id);
-      const within = pair && parseFloat(pair.dist_m) <= RADIUS_M;
+      const within = pair && pair.dist_m <= RADIUS_M && pair.score >= MIN_SCORE;
 
       if (!within) {
         orphanCount++;
         orphanLog.push({
           id: dead.id,
           name: dead.name,
-          nearest_live_id: pair ? pair.live_id : null,
-          nearest_live_name: pair ? pair.live_name : null,
-          nearest_dist_m: pair ? parseFloat(pair.dist_m) : null,
+          best_live_id: pair ? pair.live_id : null,
+          best_live_name: pair ? pair.live_name : null,
+          best_dist_m: pair ? pair.dist_m : null,
+          best_score: pair ? pair.score : null,
+          best_explanation: pair ? pair.explanation : null,
         });
         await client.query(`DELETE FROM salem_pois WHERE id = $1`, [dead.id]);
         continue;
@@ -341,7 +366,9 @@ async function main() {
         dead_name: dead.name,
         live_id: live.id,
         live_name: live.name,
-        dist_m: parseFloat(pair.dist_m),
+        dist_m: pair.dist_m,
+        score: pair.score,
+        explanation: pair.explanation,
         fields: updates,
       });
     }
@@ -356,6 +383,7 @@ async function main() {
     console.log(`Processed ${deadRows.length} dead POIs:`);
     console.log(`  Merged into live cluster-mate: ${mergeCount}`);
     console.log(`    Total fields copied:         ${fieldsCopied}`);
+    console.log(`  Already merged (merged_into):  ${alreadyMergedCount}`);
     console.log(`  Orphan (deleted, no merge):    ${orphanCount}`);
     console.log(`After:  ${after.rows[0].live} live, ${after.rows[0].dead} dead\n`);
 
@@ -365,8 +393,9 @@ async function main() {
         const summary = m.fields.length === 0
           ? '(no field changes — dead had no richer content)'
           : m.fields.map(f => `${f.field}/${f.kind}`).join(', ');
-        console.log(`  ${m.dead_id} → ${m.live_id} @ ${m.dist_m.toFixed(1)}m`);
+        console.log(`  ${m.dead_id} → ${m.live_id} @ ${m.dist_m.toFixed(1)}m, score ${m.score}`);
         console.log(`    "${m.dead_name}" → "${m.live_name}"`);
+        console.log(`    why: ${m.explanation}`);
         console.log(`    fields: ${summary}`);
       }
       if (mergeLog.length > 20) console.log(`  ... and ${mergeLog.length - 20} more`);
@@ -374,11 +403,11 @@ async function main() {
     }
 
     if (orphanLog.length > 0) {
-      console.log('--- ORPHANS (no live cluster-mate within radius) ---');
+      console.log('--- ORPHANS (no live cluster-mate scoring high enough within radius) ---');
       for (const o of orphanLog.slice(0, 30)) {
-        const ctx = o.nearest_dist_m != null
-          ? `closest live ${o.nearest_live_id} "${o.nearest_live_name}" @ ${o.nearest_dist_m.toFixed(1)}m`
-          : 'no live POIs at all';
+        const ctx = o.best_live_id != null
+          ? `best live ${o.best_live_id} "${o.best_live_name}" @ ${Number.isFinite(o.best_dist_m) ? `${o.best_dist_m.toFixed(1)}m` : 'no walking route'}, score ${o.best_score} (${o.best_explanation})`
+          : 'no live POIs within radius';
         console.log(`  ${o.id} "${o.name}" — ${ctx}`);
       }
       if (orphanLog.length > 30) console.log(`  ... and ${orphanLog.length - 30} more`);
@@ -3,25 +3,28 @@
  * cache-proxy/scripts/publish-all.js — Android content publish-chain
  * orchestrator (S304 tech-debt Phase 0a).
  *
- * Runs the 6 canonical publish scripts in the ONE correct order, fail-fast:
+ * Runs the 8 canonical publish scripts in the ONE correct order, fail-fast:
  * any non-zero exit aborts the chain immediately, so a stale or partial asset
  * never reaches the align/sign steps. Replaces the error-prone "remember to
- * run these six commands in this exact order" ritual in CLAUDE.md.
+ * run these eight commands in this exact order" ritual in CLAUDE.md.
  *
  *   node cache-proxy/scripts/publish-all.js            # full real run
- *   node cache-proxy/scripts/publish-all.js --dry-run  # SAFE check: runs the 4
+ *   node cache-proxy/scripts/publish-all.js --dry-run  # SAFE check: runs the 6
  *       PG->SQLite publish scripts in --dry-run (count-only, no writes) to
  *       verify PG connectivity + chain wiring, then SKIPS align + sign (those
  *       rewrite / sign the committed asset and can't be meaningfully dry-run).
- *   node cache-proxy/scripts/publish-all.js --from=5   # resume at step N (1-6)
+ *   node cache-proxy/scripts/publish-all.js --from=7   # resume at step N (1-8)
  *
  * Canonical order (see CLAUDE.md "Android publish chain"):
  *   1 publish-salem-pois.js
  *   2 publish-tours.js
  *   3 publish-tour-legs.js
  *   4 publish-poi-collection.js
- *   5 align-asset-schema-to-room.js   (rewrites every Room table; MUST precede sign)
- *   6 sign-content-manifest.js        (MUST run last, AFTER align; prints manifestHash)
+ *   5 publish-routing-overlay.js      (bakes the graph overlay into the routing bundle;
+ *                                      before closures, which resolve against it)
+ *   6 publish-route-closures.js       (plain sidecar tables, resolved against the bundle)
+ *   7 align-asset-schema-to-room.js   (rewrites every Room table; MUST precede sign)
+ *   8 sign-content-manifest.js        (MUST run last, AFTER align; prints manifestHash)
  */
 const path = require('path');
 const { spawnSync } = require('child_process');
@@ -34,7 +37,7 @@ const DRY_RUN = process.argv.includes('--dry-run');
 const fromArg = process.argv.find((a) => a.startsWith('--from='));
 const FROM = fromArg ? Math.max(1, parseInt(fromArg.split('=')[1], 10) || 1) : 1;
 
-// dryRunnable: the 4 PG->SQLite publish scripts honour --dry-run (count-only,
+// dryRunnable: the 6 PG->SQLite publish scripts honour --dry-run (count-only,
 // no writes). align + sign mutate / sign the committed asset, so they are
 // skipped entirely in --dry-run rather than run.
 const STEPS = [
@@ -42,8 +45,10 @@ const STEPS = [
   { n: 2, script: 'publish-tours.js', dryRunnable: true },
   { n: 3, script: 'publish-tour-legs.js', dryRunnable: true },
   { n: 4, script: 'publish-poi-collection.js', dryRunnable: true },
-  { n: 5, script: 'align-asset-schema-to-room.js', dryRunnable: false },
-  { n: 6, script: 'sign-content-manifest.js', dryRunnable: false },
+  { n: 5, script: 'publish-routing-overlay.js', dryRunnable: true },
+  { n: 6, script: 'publish-route-closures.js', dryRunnable: true },
+  { n: 7, script: 'align-asset-schema-to-room.js', dryRunnable: false },
+  { n: 8, script: 'sign-content-manifest.js', dryRunnable: false },
 ];
 
 function runStep(step, captureStdout) {
@@ -52,7 +57,7 @@ function runStep(step, captureStdout) {
   if (DRY_RUN && step.dryRunnable) args.push('--dry-run');
   console.log(
     `\n==============================================================\n` +
-    ` [${step.n}/6] ${step.script}${DRY_RUN && step.dryRunnable ? '  (--dry-run)' : ''}\n` +
+    ` [${step.n}/${STEPS.length}] ${step.script}${DRY_RUN && step.dryRunnable ? '  (--dry-run)' : ''}\n` +
     `==============================================================`
   );
   const res = spawnSync('node', args, {
@@ -93,8 +98,9 @@ function runStep(step, captureStdout) {
       );
       continue;
     }
-    const out = runStep(step, step.n === 6);
-    if (step.n === 6) {
+    const signs = step.script === 'sign-content-manifest.js';
+    const out = runStep(step, signs);
+    if (signs) {
       const m = out.match(/manifestHash\s*=\s*([0-9a-f]{64})/i);
       if (m) manifestHash = m[1];
     }
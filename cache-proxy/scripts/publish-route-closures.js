@@ -0,0 +1,170 @@
+#!/usr/bin/env node
+/*
+ * publish-route-closures.js
+ *
+ * Exports PG salem_route_closures into the bundled salem_content.db so the
+ * on-device router avoids closed streets offline too. Sibling of
+ * publish-tour-legs.js; runs in the app-salem publish chain
+ * (publishSalemRouteClosures).
+ *
+ * App side: RouteClosureLoader (app-salem routing/) reads both tables when
+ * SalemRouterProvider loads the routing bundle, and Router (routing-jvm)
+ * applies the closures active at each route call's time against the device
+ * clock. Closures are baked per build, so one added after the APK ships
+ * only reaches devices with the next build.
+ *
+ * Closures are authored in the web admin (cache-proxy/lib/admin-route-closures.js)
+ * as a polygon, explicit TigerLine edge_ids, or both. The device shouldn't
+ * have to do polygon math, so this script resolves every closure against the
+ * routing bundle with the same code the proxy router uses
+ * (lib/salem-router.js resolveClosureEdges) and ships the flat edge list:
+ *
+ *   route_closure       (id, name, reason, mode, starts_at, ends_at, polygon)
+ *                       starts_at / ends_at are epoch ms, window is
+ *                       [starts_at, ends_at); polygon is the GeoJSON text
+ *                       (for drawing the area), NULL for edge-only closures
+ *   route_closure_edge  (closure_id, edge_id) — one row per closed edge
+ *
+ * mode 'closed' means impassable, 'avoid' means cost × 5 (the proxy's
+ * CLOSURE_AVOID_FACTOR; RouteClosure.AVOID_FACTOR on the device). Both
+ * are sidecar tables, not Room entities (see align-asset-schema-to-room.js).
+ *
+ * Expired closures are not published. Full replace: both tables are cleared
+ * and reloaded in one transaction.
+ *
+ * Usage:
+ *   node scripts/publish-route-closures.js
+ *   node scripts/publish-route-closures.js --dry-run
+ */
+
+const { Pool } = require('pg');
+const path = require('path');
+const fs = require('fs');
+
+let Database;
+try {
+  Database = require('better-sqlite3');
+} catch (_) {
+  console.error('Error: better-sqlite3 not installed. Run: cd cache-proxy && npm install better-sqlite3');
+  process.exit(1);
+}
+
+const { BUNDLE_PATH, loadBundle, resolveClosureEdges } = require('../lib/salem-router');
+const { normalizeClosureRow } = require('../lib/route-closures');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+const SQLITE_PATH = path.resolve(__dirname, '../../app-salem/src/main/assets/salem_content.db');
+
+require('../lib/env').loadEnv();
+if (!process.env.DATABASE_URL) {
+  console.error('Error: DATABASE_URL is required');
+  process.exit(1);
+}
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+async function main() {
+  console.log(`\n=== Publish Route Closures (PG → SQLite) ===`);
+  console.log(`Mode:   ${DRY_RUN ? 'DRY RUN' : 'LIVE'}`);
+  console.log(`SQLite: ${SQLITE_PATH}`);
+  console.log(`Bundle: ${BUNDLE_PATH}\n`);
+
+  let rows;
+  try {
+    const res = await pool.query(
+      `SELECT id, name, reason, mode, starts_at, ends_at, polygon_json, edge_ids, updated_at
+         FROM salem_route_closures
+        WHERE ends_at > NOW()
+     ORDER BY starts_at, id`,
+    );
+    rows = res.rows;
+  } finally {
+    await pool.end();
+  }
+
+  const bundle = loadBundle(BUNDLE_PATH);
+  const closures = [];
+  for (const row of rows) {
+    const c = normalizeClosureRow(row);
+    if (!c) {
+      console.warn(`  skip closure ${row.id} "${row.name}": unreadable polygon / no edges`);
+      continue;
+    }
+    const r = resolveClosureEdges(bundle, c);
+    const edgeIds = Array.from(r.edges, (i) => bundle.edgeId[i]);
+    console.log(
+      `  ${String(c.id).padStart(4)} ${c.mode.padEnd(6)} ${c.name.slice(0, 40).padEnd(40)} ` +
+      `${edgeIds.length} edges` +
+      (r.missingEdgeIds.length ? `  (${r.missingEdgeIds.length} edge_ids not in bundle)` : ''),
+    );
+    closures.push({ c, polygon: row.polygon_json, edgeIds });
+  }
+  console.log(`PG: ${rows.length} current/upcoming closures, ${closures.length} publishable`);
+
+  if (DRY_RUN) {
+    console.log('\nDRY RUN — no writes.');
+    return;
+  }
+
+  if (!fs.existsSync(SQLITE_PATH)) {
+    console.error(`SQLite file not found: ${SQLITE_PATH}`);
+    process.exit(1);
+  }
+  const db = new Database(SQLITE_PATH);
+
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS route_closure (
+      id         INTEGER PRIMARY KEY,
+      name       TEXT    NOT NULL,
+      reason     TEXT,
+      mode       TEXT    NOT NULL,
+      starts_at  INTEGER NOT NULL,
+      ends_at    INTEGER NOT NULL,
+      polygon    TEXT
+    );
+    CREATE TABLE IF NOT EXISTS route_closure_edge (
+      closure_id INTEGER NOT NULL,
+      edge_id    INTEGER NOT NULL,
+      PRIMARY KEY (closure_id, edge_id)
+    );
+  `);
+
+  const insertClosure = db.prepare(`
+    INSERT INTO route_closure (id, name, reason, mode, starts_at, ends_at, polygon)
+    VALUES (@id, @name, @reason, @mode, @starts_at, @ends_at, @polygon)
+  `);
+  const insertEdge = db.prepare(
+    'INSERT INTO route_closure_edge (closure_id, edge_id) VALUES (?, ?)',
+  );
+
+  let edgeCount = 0;
+  db.transaction(() => {
+    const cDel = db.prepare('DELETE FROM route_closure').run();
+    const eDel = db.prepare('DELETE FROM route_closure_edge').run();
+    console.log(`Cleared ${cDel.changes} route_closure / ${eDel.changes} route_closure_edge rows`);
+    for (const { c, polygon, edgeIds } of closures) {
+      insertClosure.run({
+        id: c.id,
+        name: c.name,
+        reason: c.reason,
+        mode: c.mode,
+        starts_at: c.startsMs,
+        ends_at: c.endsMs,
+        polygon: polygon == null ? null : JSON.stringify(polygon),
+      });
+      for (const e of edgeIds) {
+        insertEdge.run(c.id, e);
+        edgeCount++;
+      }
+    }
+  })();
+
+  console.log(`\nSQLite verification: ${closures.length} route_closure, ${edgeCount} route_closure_edge`);
+  db.close();
+  console.log('\nPUBLISH ROUTE CLOSURES COMPLETE');
+}
+
+main().catch((e) => {
+  console.error('Publish failed:', e.message);
+  process.exit(1);
+});
@@ -0,0 +1,184 @@
+#!/usr/bin/env node
+/*
+ * publish-routing-overlay.js
+ *
+ * Bakes PG salem_route_overlay (virtual footpath edges + disabled edges,
+ * authored in cache-proxy/lib/admin-route-overlay.js) into the shipped
+ * routing bundle, app-salem/src/main/assets/routing/salem-routing-graph.sqlite,
+ * so the on-device router walks the same graph the proxy does.
+ *
+ * The merge is the proxy's own (lib/salem-router.js loadBundle with the
+ * overlay, lib/route-overlay.js applyOverlay), and the bake is repeatable:
+ *
+ *   - any earlier bake is undone first — virtual edges (id >= 1000000000)
+ *     are dropped and the rows parked in overlay_disabled_edges go back
+ *     into edges;
+ *   - enabled add_edge rows are inserted as edges with id 1000000000 + row
+ *     id (walk_cost = length_m / walking pace, like the bake);
+ *   - disable_edge rows move their edge out of edges into the
+ *     overlay_disabled_edges sidecar (same columns as edges), so a later
+ *     bake — or the proxy loading this file — can restore it;
+ *   - meta.edge_count is updated and overlay_hash / overlay_baked_at /
+ *     overlay_added / overlay_disabled recorded.
+ *
+ * Rows that no longer fit the graph (a node or edge a TigerLine re-bake
+ * dropped) are reported and skipped. The written file is re-loaded as is and
+ * must match the proxy's in-memory merge edge for edge (exit 1 if not).
+ *
+ * Android reads the edges table only; the sidecar is invisible to it. The
+ * bundle schema version is unchanged (see tools/routing-bake/SCHEMA.md).
+ *
+ * Usage:
+ *   node scripts/publish-routing-overlay.js
+ *   node scripts/publish-routing-overlay.js --dry-run
+ */
+
+const { Pool } = require('pg');
+const fs = require('fs');
+
+let Database;
+try {
+  Database = require('better-sqlite3');
+} catch (_) {
+  console.error('Error: better-sqlite3 not installed. Run: cd cache-proxy && npm install better-sqlite3');
+  process.exit(1);
+}
+
+const { BUNDLE_PATH, loadBundle } = require('../lib/salem-router');
+const { VIRTUAL_EDGE_ID_BASE, normalizeOverlayRow, encodePolyline } = require('../lib/route-overlay');
+
+const DRY_RUN = process.argv.includes('--dry-run');
+
+require('../lib/env').loadEnv();
+if (!process.env.DATABASE_URL) {
+  console.error('Error: DATABASE_URL is required');
+  process.exit(1);
+}
+
+const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+
+async function main() {
+  console.log(`\n=== Publish Routing Overlay (PG → routing bundle) ===`);
+  console.log(`Mode:   ${DRY_RUN ? 'DRY RUN' : 'LIVE'}`);
+  console.log(`Bundle: ${BUNDLE_PATH}\n`);
+
+  let rows;
+  try {
+    const res = await pool.query(
+      `SELECT id, kind, edge_id, source_node_id, target_node_id, geometry_json,
+              length_m, mtfcc, fullname, step, surface, enabled
+         FROM salem_route_overlay
+        WHERE enabled
+     ORDER BY id`,
+    );
+    rows = res.rows;
+  } finally {
+    await pool.end();
+  }
+
+  const overlay = rows.map(normalizeOverlayRow).filter(Boolean);
+  if (overlay.length !== rows.length) {
+    console.warn(`  ${rows.length - overlay.length} unreadable overlay row(s) ignored`);
+  }
+  const merged = loadBundle(BUNDLE_PATH, overlay);
+  const info = merged.overlay;
+  for (const s of info.skipped) console.warn(`  skip overlay ${s.id}: ${s.reason}`);
+  console.log(
+    `PG: ${rows.length} enabled overlay rows — ${info.added} virtual edges, ${info.disabled} disabled edges, ` +
+    `${info.skipped.length} skipped`,
+  );
+  console.log(`Merged graph: ${merged.nodeCount} nodes / ${merged.edgeCount} edges (overlay ${info.hash.slice(0, 12)})`);
+  if (info.baked_hash === info.hash) console.log('Bundle already carries this overlay — rewriting anyway.');
+
+  if (DRY_RUN) {
+    console.log('\nDRY RUN — no writes.');
+    return;
+  }
+
+  if (!fs.existsSync(BUNDLE_PATH)) {
+    console.error(`Routing bundle not found: ${BUNDLE_PATH}`);
+    process.exit(1);
+  }
+  const addedIds = new Set();
+  const disabledIds = [];
+  {
+    // Which rows the merge actually used: virtual ids present in the merged
+    // graph, and disable targets absent from it.
+    const present = new Set(merged.edgeId);
+    for (const o of overlay) {
+      if (o.kind === 'add_edge' && present.has(o.edgeId)) addedIds.add(o.edgeId);
+      if (o.kind === 'disable_edge' && !present.has(o.edgeId) && !info.skipped.some((s) => s.id === o.id)) {
+        disabledIds.push(o.edgeId);
+      }
+    }
+  }
+
+  const db = new Database(BUNDLE_PATH);
+  const pace = parseFloat(merged.meta.walking_pace_mps) || 1.4;
+  const edgeCols = db.prepare('PRAGMA table_info(edges)').all().map((c) => c.name);
+  const attrCols = ['surface', 'bike_oneway', 'step'].filter((c) => edgeCols.includes(c));
+
+  db.transaction(() => {
+    db.exec('CREATE TABLE IF NOT EXISTS overlay_disabled_edges AS SELECT * FROM edges WHERE 0');
+
+    // Undo the previous bake.
+    const vDel = db.prepare('DELETE FROM edges WHERE id >= ?').run(VIRTUAL_EDGE_ID_BASE);
+    const restored = db.prepare('INSERT OR IGNORE INTO edges SELECT * FROM overlay_disabled_edges').run();
+    db.prepare('DELETE FROM overlay_disabled_edges').run();
+    console.log(`Undid previous bake: removed ${vDel.changes} virtual edges, restored ${restored.changes} disabled edges`);
+
+    // Park the disabled edges in the sidecar.
+    const park = db.prepare('INSERT INTO overlay_disabled_edges SELECT * FROM edges WHERE id = ?');
+    const drop = db.prepare('DELETE FROM edges WHERE id = ?');
+    for (const id of disabledIds) {
+      park.run(id);
+      drop.run(id);
+    }
+
+    const cols = ['id', 'source', 'target', 'length_m', 'walk_cost', 'mtfcc', 'fullname', 'geom_polyline', ...attrCols];
+    const insert = db.prepare(
+      `INSERT INTO edges (${cols.join(', ')}) VALUES (${cols.map((c) => `@${c}`).join(', ')})`,
+    );
+    for (const o of overlay) {
+      if (!addedIds.has(o.edgeId)) continue;
+      insert.run({
+        id: o.edgeId,
+        source: o.sourceNodeId,
+        target: o.targetNodeId,
+        length_m: o.lengthM,
+        walk_cost: o.lengthM / pace,
+        mtfcc: o.mtfcc,
+        fullname: o.fullname,
+        geom_polyline: encodePolyline(o.geometry),
+        ...(attrCols.includes('surface') ? { surface: o.surface } : {}),
+        ...(attrCols.includes('bike_oneway') ? { bike_oneway: 0 } : {}),
+        ...(attrCols.includes('step') ? { step: o.step ? 1 : 0 } : {}),
+      });
+    }
+
+    const edgeCount = db.prepare('SELECT COUNT(*) AS n FROM edges').get().n;
+    const setMeta = db.prepare('INSERT OR REPLACE INTO meta (key, value) VALUES (?, ?)');
+    setMeta.run('edge_count', String(edgeCount));
+    setMeta.run('overlay_hash', info.hash);
+    setMeta.run('overlay_baked_at', new Date().toISOString());
+    setMeta.run('overlay_added', String(addedIds.size));
+    setMeta.run('overlay_disabled', String(disabledIds.length));
+    console.log(`Baked: +${addedIds.size} virtual edges, -${disabledIds.length} disabled edges → ${edgeCount} edges`);
+  })();
+  db.close();
+
+  // The file as it stands (what Android loads) must hold the merged graph.
+  const baked = loadBundle(BUNDLE_PATH);
+  const ids = (b) => Array.from(b.edgeId).sort((x, y) => x - y).join(',');
+  if (ids(baked) !== ids(merged)) {
+    console.error(`\nVerification FAILED: baked bundle has ${baked.edgeCount} edges, merge has ${merged.edgeCount}`);
+    process.exit(1);
+  }
+  console.log(`\nVerification: baked bundle matches the proxy merge (${baked.edgeCount} edges)`);
+  console.log('\nPUBLISH ROUTING OVERLAY COMPLETE');
+}
+
+main().catch((e) => {
+  console.error('Publish failed:', e.message);
+  process.exit(1);
+});
@@ -16,7 +16,15 @@
  *      - BOOLEAN → INTEGER (0/1)
  *      - TIMESTAMPTZ → dropped (not needed offline)
  *      - NULL address → empty string (Room entity has non-null address in some entities)
- *   6. Copies the updated .db to app-salem/src/main/assets/
+ *   6. Drops the poi_search / poi_search_trigram / poi_search_synonyms FTS5
+ *      tables earlier bakes left in the asset. Android's platform SQLite has
+ *      no FTS5, so the app can't query them; on-device search stays
+ *      FuzzySearchEngine over the POI cache
+ *   7. Rebuilds poi_opening_hours / poi_public_holidays — hours + hours_text
+ *      normalised to OSM opening_hours rules (lib/opening-hours.js), for
+ *      greying out closed POIs offline. A sidecar read on device by
+ *      PoiOpeningHours (see align-asset-schema-to-room.js)
+ *   8. Copies the updated .db to app-salem/src/main/assets/
  *
  * Usage:
  *   node scripts/publish-salem-pois.js                    # live run
@@ -57,6 +65,7 @@ if (!process.env.DATABASE_URL) {
 }
 
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
+const { buildSqliteHours } = require('../lib/opening-hours');
 
 // Room-compatible CREATE TABLE for salem_pois (must match SalemPoi.kt exactly)
 // CRITICAL: NO DEFAULT clauses — Room validates the pre-packaged DB schema
@@ -180,7 +189,7 @@ async function main() {
         action_buttons,
         secondary_categories, specialties, owners,
         year_established, amenities, district,
-        related_figure_ids, related_fact_ids, related_source_ids,
+        related_figure_ids, related_fact_ids, related_source_ids, tags,
         data_source, confidence,
         is_tour_poi, is_civic_poi, is_historical_property,
         is_narrated, default_visible,
@@ -408,6 +417,15 @@ async function main() {
   console.log(`  Narrated: ${narratedResult.cnt}`);
   console.log(`  Silent (no announce narration): ${silentResult.cnt}`);
 
+  db.exec(`
+    DROP TABLE IF EXISTS poi_search;
+    DROP TABLE IF EXISTS poi_search_trigram;
+    DROP TABLE IF EXISTS poi_search_synonyms;
+  `);
+
+  const hours = buildSqliteHours(db, pgRows);
+  console.log(`  Opening hours: ${hours.rows} POIs (${hours.unparsed} unparseable — see lint), ${hours.holidays} holidays`);
+
   db.close();
 
   // Copy to assets
@@ -23,12 +23,41 @@
  * "lat,lng;lat,lng;..." string the JVM ContentPipeline.writeSql emits, so
  * the Room TourLeg entity reads one consistent format regardless of source.
  *
+ * Turn-by-turn steps (salem_tour_legs.steps_json, written by compute-route)
+ * land in `tour_leg_steps`, one row per step keyed by
+ * (tour_id, from_stop_order, step_index), for the offline player to speak
+ * directions between stops without re-routing: TourLegStepLoader reads them
+ * and TourEngine speaks each instruction as the walker reaches its first
+ * point (`arrive` steps are left to the stop narration). It is a sidecar
+ * table, not a Room entity (see align-asset-schema-to-room.js). Step
+ * geometry uses the same "lat,lng;..." encoding as tour_legs.geometry. Legs
+ * without steps_json (hand-edited or computed before steps existed) simply
+ * have no step rows.
+ *
+ * Geometry is thinned and optionally re-encoded on the way out
+ * (lib/polyline.js):
+ *   --simplify-m=<m>       Douglas-Peucker tolerance in metres (default
+ *                          SALEM_LEG_SIMPLIFY_M or 1; 0 keeps every vertex).
+ *                          Stops, turns and step maneuver points are kept,
+ *                          so step geometry still lies on its leg.
+ *   --encoding=polyline6   write tour_legs.geometry and tour_leg_steps.geometry
+ *                          as Google encoded polylines (precision 6) instead
+ *                          of "lat,lng;..." text. LegGeometry.decode
+ *                          reads both (an encoded polyline never contains ',').
+ * edge_count stays the router's segment count. A per-tour size report (raw
+ * JSON vs text vs polyline6, before and after simplification) is printed in
+ * both live and dry-run mode.
+ *
  * Full replace: clears tour_legs then re-inserts from PG ordered by
- * (tour_id, leg_order).
+ * (tour_id, leg_order). Legs of draft tours (salem_tours.status = 'draft')
+ * are skipped, matching publish-tours.js. A published tour ships the legs
+ * of its published revision snapshot (lib/tour-revisions.js), not its live
+ * draft legs; one with no published revision is skipped.
  *
  * Usage:
  *   node scripts/publish-tour-legs.js
  *   node scripts/publish-tour-legs.js --dry-run
+ *   node scripts/publish-tour-legs.js --simplify-m=2 --encoding=polyline6
  */
 
 const { Pool } = require('pg');
@@ -43,7 +72,23 @@ try {
   process.exit(1);
 }
 
+const {
+  ENCODINGS,
+  DEFAULT_SIMPLIFY_M,
+  simplifyLeg,
+  stepAnchors,
+  encodeGeometry,
+  sizeStats,
+  sumStats,
+  parseTolerance,
+} = require('../lib/polyline');
+const { loadShippingTours } = require('../lib/tour-revisions');
+
 const DRY_RUN = process.argv.includes('--dry-run');
+function argValue(name) {
+  const a = process.argv.find((x) => x.startsWith(`--${name}=`));
+  return a ? a.slice(name.length + 3) : undefined;
+}
 const ASSETS_PATH = path.resolve(__dirname, '../../app-salem/src/main/assets/salem_content.db');
 // S242: write directly to bundled asset (was via the now-deleted `:salem-content` intermediate).
 const SQLITE_PATH = ASSETS_PATH;
@@ -77,16 +122,58 @@ if (!process.env.DATABASE_URL) {
   process.exit(1);
 }
 
+const SIMPLIFY_M = parseTolerance(argValue('simplify-m'), parseTolerance(process.env.SALEM_LEG_SIMPLIFY_M, DEFAULT_SIMPLIFY_M));
+if (SIMPLIFY_M instanceof Error) {
+  console.error(`Error: ${SIMPLIFY_M.message}`);
+  process.exit(1);
+}
+const ENCODING = argValue('encoding') || 'text';
+if (!ENCODINGS.includes(ENCODING)) {
+  console.error(`Error: --encoding must be one of: ${ENCODINGS.join(', ')}`);
+  process.exit(1);
+}
+
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 
-function encodeGeometry(polylineJson) {
-  if (!Array.isArray(polylineJson)) return '';
-  const parts = [];
-  for (const pt of polylineJson) {
-    if (!Array.isArray(pt) || pt.length < 2) continue;
-    parts.push(`${pt[0]},${pt[1]}`);
+// Leg + step geometry as written to SQLite, plus the leg's size stats.
+function shapeLeg(l) {
+  const pts = Array.isArray(l.polyline_json) ? l.polyline_json : [];
+  const steps = Array.isArray(l.steps_json) ? l.steps_json : [];
+  const simplified = simplifyLeg(pts, { toleranceM: SIMPLIFY_M, anchors: stepAnchors(steps) });
+  return {
+    geometry: encodeGeometry(simplified, ENCODING),
+    stepGeometry: steps.map((st) => encodeGeometry(
+      simplifyLeg(Array.isArray(st.geometry) ? st.geometry : [], { toleranceM: SIMPLIFY_M }),
+      ENCODING,
+    )),
+    stats: sizeStats(pts, simplified),
+  };
+}
+
+const kb = (n) => `${(n / 1024).toFixed(1)} KB`;
+
+function printSizeReport(legs, shaped) {
+  const byTour = new Map();
+  legs.forEach((l, i) => {
+    if (!byTour.has(l.tour_id)) byTour.set(l.tour_id, []);
+    byTour.get(l.tour_id).push(shaped[i].stats);
+  });
+  const written = ENCODING === 'polyline6' ? 'polyline6_simplified_bytes' : 'text_simplified_bytes';
+  console.log(`\nLeg geometry size (simplify ${SIMPLIFY_M} m, encoding ${ENCODING}):`);
+  console.log(`  ${'tour'.padEnd(30)} ${'points'.padStart(13)} ${'json'.padStart(9)} ${'text'.padStart(9)} ${'polyline6'.padStart(9)} ${'written'.padStart(9)}`);
+  const totals = [];
+  for (const [tid, stats] of byTour) {
+    const t = sumStats(stats);
+    totals.push(t);
+    console.log(
+      `  ${tid.padEnd(30)} ${`${t.points}→${t.points_simplified}`.padStart(13)} ${kb(t.json_bytes).padStart(9)} ` +
+      `${kb(t.text_bytes).padStart(9)} ${kb(t.polyline6_bytes).padStart(9)} ${kb(t[written]).padStart(9)}`,
+    );
   }
-  return parts.join(';');
+  const all = sumStats(totals);
+  const saved = all.text_bytes ? Math.round((1 - all[written] / all.text_bytes) * 100) : 0;
+  console.log(`  ${'TOTAL'.padEnd(30)} ${`${all.points}→${all.points_simplified}`.padStart(13)} ${kb(all.json_bytes).padStart(9)} ` +
+    `${kb(all.text_bytes).padStart(9)} ${kb(all.polyline6_bytes).padStart(9)} ${kb(all[written]).padStart(9)}  (${saved}% under unsimplified text)`);
 }
 
 async function main() {
@@ -98,43 +185,56 @@ async function main() {
   const client = await pool.connect();
   let legs;
   try {
-    // Join salem_tour_legs with salem_tour_stops twice (from/to) to convert
-    // BIGINT stop_id surrogate keys into the (stop_order, poi_id) pair the
-    // app's Room schema wants.
-    // Resolve each waypoint's effective lat/lng. Free waypoints (poi_id NULL)
-    // carry their own lat/lng on the stop row; POI-anchored waypoints inherit
-    // from salem_pois. COALESCE handles either authoring style.
-    const res = await client.query(`
-      SELECT l.tour_id,
-             l.leg_order,
-             fs.stop_order AS from_stop_order,
-             ts.stop_order AS to_stop_order,
-             fs.poi_id     AS from_poi_id,
-             ts.poi_id     AS to_poi_id,
-             COALESCE(fs.lat, fp.lat) AS from_lat,
-             COALESCE(fs.lng, fp.lng) AS from_lng,
-             COALESCE(ts.lat, tp.lat) AS to_lat,
-             COALESCE(ts.lng, tp.lng) AS to_lng,
-             l.polyline_json,
-             l.distance_m,
-             l.duration_s,
-             l.router_version
-        FROM salem_tour_legs l
-        JOIN salem_tour_stops fs ON fs.stop_id = l.from_stop_id
-        JOIN salem_tour_stops ts ON ts.stop_id = l.to_stop_id
-   LEFT JOIN salem_pois fp ON fp.id = fs.poi_id
-   LEFT JOIN salem_pois tp ON tp.id = ts.poi_id
-       ORDER BY l.tour_id, l.leg_order
-    `);
-    legs = res.rows;
+    // Published revision snapshot per tour; tours without one are skipped
+    // (lib/tour-revisions.js). Each leg's
+    // from/to stop_id resolves against the same snapshot's stops to the
+    // (stop_order, poi_id) pair the app's Room schema wants, with the
+    // effective lat/lng (stop override, else the POI's) frozen into it.
+    const shipping = await loadShippingTours(client);
+    legs = [];
+    for (const t of shipping) {
+      const stopById = new Map(t.stops.map((st) => [String(st.stop_id), st]));
+      for (const l of t.legs) {
+        const fromStop = stopById.get(String(l.from_stop_id));
+        const toStop = stopById.get(String(l.to_stop_id));
+        if (!fromStop || !toStop) {
+          console.warn(`  skip ${t.tour.id} leg #${l.leg_order}: stop ${fromStop ? l.to_stop_id : l.from_stop_id} not in the snapshot`);
+          continue;
+        }
+        legs.push({
+          tour_id: t.tour.id,
+          leg_order: l.leg_order,
+          from_stop_order: fromStop.stop_order,
+          to_stop_order: toStop.stop_order,
+          from_poi_id: fromStop.poi_id ?? null,
+          to_poi_id: toStop.poi_id ?? null,
+          from_lat: fromStop.effective_lat ?? null,
+          from_lng: fromStop.effective_lng ?? null,
+          to_lat: toStop.effective_lat ?? null,
+          to_lng: toStop.effective_lng ?? null,
+          polyline_json: l.polyline_json,
+          steps_json: l.steps_json,
+          distance_m: l.distance_m,
+          duration_s: l.duration_s,
+          router_version: l.router_version,
+          revision: t.revision,
+        });
+      }
+    }
     console.log(`PG: ${legs.length} tour_legs`);
     const byTour = new Map();
     for (const l of legs) byTour.set(l.tour_id, (byTour.get(l.tour_id) || 0) + 1);
-    for (const [tid, n] of byTour) console.log(`  ${tid.padEnd(30)} ${n} legs`);
+    const revOf = new Map(legs.map((l) => [l.tour_id, l.revision]));
+    for (const [tid, n] of byTour) {
+      console.log(`  ${tid.padEnd(30)} ${n} legs  rev ${revOf.get(tid)}`);
+    }
   } finally {
     client.release();
   }
 
+  const shaped = legs.map(shapeLeg);
+  printSizeReport(legs, shaped);
+
   if (DRY_RUN) {
     console.log('\nDRY RUN — no writes.');
     await pool.end();
@@ -179,6 +279,25 @@ async function main() {
     );
   `);
 
+  // Turn-by-turn steps sidecar (see header).
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS tour_leg_steps (
+      tour_id           TEXT    NOT NULL,
+      from_stop_order   INTEGER NOT NULL,
+      step_index        INTEGER NOT NULL,
+      type              TEXT    NOT NULL,
+      modifier          TEXT,
+      name              TEXT,
+      instruction       TEXT    NOT NULL,
+      distance_m        REAL    NOT NULL,
+      duration_s        REAL,
+      bearing_before    INTEGER,
+      bearing_after     INTEGER,
+      geometry          TEXT    NOT NULL,
+      PRIMARY KEY (tour_id, from_stop_order, step_index)
+    );
+  `);
+
   // S304 P0c: the full-replace DELETE now runs inside the insert transaction
   // below (the CREATE TABLE IF NOT EXISTS above is idempotent + non-destructive,
   // so it can stay outside), making the clear + reload atomic.
@@ -197,11 +316,42 @@ async function main() {
     )
   `);
 
+  const insertStep = db.prepare(`
+    INSERT INTO tour_leg_steps (
+      tour_id, from_stop_order, step_index, type, modifier, name, instruction,
+      distance_m, duration_s, bearing_before, bearing_after, geometry
+    ) VALUES (
+      @tour_id, @from_stop_order, @step_index, @type, @modifier, @name, @instruction,
+      @distance_m, @duration_s, @bearing_before, @bearing_after, @geometry
+    )
+  `);
+
+  let stepCount = 0;
   const insertAll = db.transaction(() => {
     const legsDel = db.prepare('DELETE FROM tour_legs').run();
     console.log(`Cleared ${legsDel.changes} tour_legs from SQLite`);
-    for (const l of legs) {
-      const geometry = encodeGeometry(l.polyline_json);
+    const stepsDel = db.prepare('DELETE FROM tour_leg_steps').run();
+    console.log(`Cleared ${stepsDel.changes} tour_leg_steps from SQLite`);
+    legs.forEach((l, li) => {
+      const steps = Array.isArray(l.steps_json) ? l.steps_json : [];
+      steps.forEach((st, i) => {
+        insertStep.run({
+          tour_id: l.tour_id,
+          from_stop_order: l.from_stop_order,
+          step_index: i,
+          type: st.type,
+          modifier: st.modifier ?? null,
+          name: st.name ?? null,
+          instruction: st.instruction,
+          distance_m: st.distance_m ?? 0,
+          duration_s: st.duration_s ?? null,
+          bearing_before: st.bearing_before ?? null,
+          bearing_after: st.bearing_after ?? null,
+          geometry: shaped[li].stepGeometry[i],
+        });
+        stepCount++;
+      });
+      const geometry = shaped[li].geometry;
       const edgeCount = Array.isArray(l.polyline_json) ? Math.max(0, l.polyline_json.length - 1) : 0;
       insertLeg.run({
         tour_id: l.tour_id,
@@ -220,12 +370,12 @@ async function main() {
         data_source: l.router_version ? `pg_admin_${l.router_version}` : 'pg_admin_curated',
         confidence: 1.0,
       });
-    }
+    });
   });
   insertAll();
 
   const legCount = db.prepare('SELECT COUNT(*) as c FROM tour_legs').get().c;
-  console.log(`\nSQLite verification: ${legCount} tour_legs`);
+  console.log(`\nSQLite verification: ${legCount} tour_legs, ${stepCount} tour_leg_steps`);
 
   // Stamp the current Room identity_hash + user_version (read from the latest
   // schema JSON at startup). Keeps this script in sync with @Database(version)
@@ -6,11 +6,25 @@
  * salem_content.db (tables `tours` and `tour_stops`). Parallel to
  * publish-salem-pois.js but scoped to the tour tables.
  *
+ * Each tour's duration estimate (lib/tour-duration.js: leg walking time plus
+ * per-stop narration and admission/indoor dwell) lands in
+ * `tours.estimated_total_s` (Room v24), which the tour card shows in place
+ * of the authored estimated_minutes. The walk / dwell breakdown is only
+ * printed. An asset still at v23 gets the column added here (align then
+ * rewrites the table to Room's exact schema), and the `tour_estimates`
+ * sidecar earlier bakes wrote is dropped.
+ * --wpm=<n> (or SALEM_NARRATION_WPM) sets the TTS rate.
+ *
  * Full replace: clears both Room tables then re-inserts from PG in sort order.
+ * Draft tours (salem_tours.status = 'draft') stay in the admin and are not
+ * published. A published tour ships its published revision snapshot
+ * (salem_tours.published_revision_id, lib/tour-revisions.js), not its live
+ * draft rows; one with no published revision is skipped with a warning.
  *
  * Usage:
  *   node scripts/publish-tours.js
  *   node scripts/publish-tours.js --dry-run
+ *   node scripts/publish-tours.js --wpm=140
  */
 
 const { Pool } = require('pg');
@@ -25,7 +39,11 @@ try {
   process.exit(1);
 }
 
+const { fetchPoiDurationFields, parseDurationOptions, estimateTourDuration } = require('../lib/tour-duration');
+const { loadShippingTours } = require('../lib/tour-revisions');
+
 const DRY_RUN = process.argv.includes('--dry-run');
+const WPM_ARG = process.argv.find((a) => a.startsWith('--wpm='));
 const ASSETS_PATH = path.resolve(__dirname, '../../app-salem/src/main/assets/salem_content.db');
 // S242: write directly to bundled asset (was via the now-deleted `:salem-content` intermediate).
 const SQLITE_PATH = ASSETS_PATH;
@@ -37,8 +55,16 @@ if (!process.env.DATABASE_URL) {
   process.exit(1);
 }
 
+const DURATION_OPTS = parseDurationOptions({ wpm: WPM_ARG ? WPM_ARG.slice(6) : process.env.SALEM_NARRATION_WPM });
+if (DURATION_OPTS instanceof Error) {
+  console.error(`Error: ${DURATION_OPTS.message}`);
+  process.exit(1);
+}
+
 const pool = new Pool({ connectionString: process.env.DATABASE_URL });
 
+const fmtMin = (s) => `${Math.round(s / 60)} min`;
+
 async function main() {
   console.log(`\n=== Publish Tours (PG → SQLite) ===`);
   console.log(`Mode:   ${DRY_RUN ? 'DRY RUN' : 'LIVE'}`);
@@ -46,35 +72,41 @@ async function main() {
   console.log(`Assets: ${ASSETS_PATH}\n`);
 
   const client = await pool.connect();
-  let tours, stops;
+  let tours, stops, estimates;
   try {
-    const toursRes = await client.query(`
-      SELECT id, name, theme, description, estimated_minutes, distance_km,
-             stop_count, difficulty, seasonal, icon_asset, sort_order,
-             is_historical_tour,
-             data_source, confidence,
-             to_char(verified_date, 'YYYY-MM-DD') AS verified_date
-      FROM salem_tours
-      ORDER BY sort_order, name
-    `);
-    tours = toursRes.rows;
+    // Published revision snapshot per tour; tours without one are skipped
+    // (lib/tour-revisions.js).
+    const shipping = await loadShippingTours(client);
+    tours = shipping.map((s) => ({ ...s.tour, revision: s.revision }));
     // S185: skip rows whose poi_id is NULL (free waypoints — internal
     // authoring data for the admin walking-route tool, not user-facing
     // stops). Tours are polyline-only at runtime; narration is driven by
     // POI geofences independently of tour_stops.
-    const stopsRes = await client.query(`
-      SELECT tour_id, poi_id, stop_order, transition_narration,
-             walking_minutes_from_prev, distance_m_from_prev,
-             data_source, confidence
-      FROM salem_tour_stops
-      WHERE poi_id IS NOT NULL
-      ORDER BY tour_id, stop_order
-    `);
-    stops = stopsRes.rows;
+    stops = shipping.flatMap((s) => s.stops
+      .filter((st) => st.poi_id != null)
+      .map((st) => ({ ...st, tour_id: s.tour.id })));
     console.log(`PG: ${tours.length} tours, ${stops.length} tour_stops`);
+    const poiFields = await fetchPoiDurationFields(
+      client,
+      [...new Set(shipping.flatMap((s) => s.stops.map((st) => st.poi_id).filter(Boolean)))],
+    );
+    estimates = new Map(shipping.map((s) => [
+      s.tour.id,
+      estimateTourDuration({
+        stops: s.stops.map((st) => ({ ...st, name: st.effective_name, ...poiFields.get(st.poi_id) })),
+        legs: s.legs,
+        isHistoricalTour: !!s.tour.is_historical_tour,
+      }, DURATION_OPTS),
+    ]));
     for (const t of tours) {
       const n = stops.filter((s) => s.tour_id === t.id).length;
-      console.log(`  ${t.id.padEnd(30)} ${t.theme.padEnd(24)} ${n} stops`);
+      const e = estimates.get(t.id);
+      console.log(
+        `  ${t.id.padEnd(30)} ${String(t.theme).padEnd(24)} ${n} stops  ` +
+        `${`rev ${t.revision}`.padEnd(7)} ` +
+        `~${fmtMin(e.estimated_total_s)} (walk ${fmtMin(e.walk_s)} + dwell ${fmtMin(e.dwell_s)})` +
+        (e.legs_missing ? `  [${e.legs_missing} legs not computed]` : ''),
+      );
     }
   } finally {
     client.release();
@@ -96,16 +128,24 @@ async function main() {
   // below, so a mid-load failure rolls back to the previously populated
   // tours/tour_stops instead of leaving them empty in the shipped asset.
 
+  // Schema patch for assets baked before Room v24 (see header).
+  const tourCols = db.prepare('PRAGMA table_info(tours)').all().map((c) => c.name);
+  if (!tourCols.includes('estimated_total_s')) {
+    db.exec('ALTER TABLE tours ADD COLUMN estimated_total_s INTEGER');
+    console.log('Schema: added tours.estimated_total_s');
+  }
+  db.exec('DROP TABLE IF EXISTS tour_estimates');
+
   const insertTour = db.prepare(`
     INSERT INTO tours (
       id, name, theme, description, estimated_minutes, distance_km,
       stop_count, difficulty, seasonal, icon_asset, sort_order,
-      is_historical_tour,
+      is_historical_tour, estimated_total_s,
       data_source, confidence, verified_date, created_at, updated_at, stale_after
     ) VALUES (
       @id, @name, @theme, @description, @estimated_minutes, @distance_km,
       @stop_count, @difficulty, @seasonal, @icon_asset, @sort_order,
-      @is_historical_tour,
+      @is_historical_tour, @estimated_total_s,
       @data_source, @confidence, @verified_date, 0, 0, 0
     )
   `);
@@ -139,9 +179,10 @@ async function main() {
         icon_asset: t.icon_asset || null,
         sort_order: t.sort_order || 0,
         is_historical_tour: t.is_historical_tour ? 1 : 0,
+        estimated_total_s: estimates.get(t.id).estimated_total_s,
         data_source: t.data_source || 'manual_curated',
         confidence: t.confidence != null ? t.confidence : 1.0,
-        verified_date: t.verified_date || null,
+        verified_date: t.verified_date ? String(t.verified_date).slice(0, 10) : null,
       });
     }
     for (const s of stops) {
@@ -82,9 +82,14 @@ app.get('/admin/whoami', (req, res) => {
 // leaves GET open for the dropdowns but guards taxonomy writes).
 [
   '/admin/salem/tours',
+  '/admin/salem/route-closures',
+  '/admin/salem/route/parity',
+  '/admin/salem/route-overlay',
   '/admin/salem/collections',
   '/admin/salem/witch-trials',
   '/admin/salem/lint',
+  '/admin/salem/search',
+  '/admin/salem/poi-merges',
   '/admin/salem/auto-categorize',
   '/admin/salem/audit',
   '/admin/salem/field-edits',
@@ -235,6 +240,9 @@ if (CHAT_ENABLED) {
 // Salem content (backward compatible — all routes under /salem/*)
 require('./lib/salem')(app, deps);
 
+// Salem POI search — ranked full-text + fuzzy /salem/search, synonym admin.
+require('./lib/salem-search')(app, deps);
+
 // Salem walking router (S177 P4) — same SQLite bundle the APK ships,
 // optional ?source=live fall-through to TigerLine for verification.
 // Capture the module's return so admin-tours can call the bundle router
@@ -246,6 +254,34 @@ deps.salemRouteDiag = salemRouterModule._routeDiag;
 deps.salemSnapEdge = salemRouterModule._snapEdge;
 // S215 — edge-point routing: takes stop objects {lat, lng, edge_id?, edge_fraction?}.
 deps.salemRouteEx = salemRouterModule._routeEx;
+// Named routing cost models (default / wheelchair / stroller / quiet) so
+// admin-tours can validate salem_tours.route_profile.
+deps.salemRouteProfiles = salemRouterModule._profiles;
+// Visiting-order optimizer behind the admin "optimize order" tour preview.
+deps.salemOptimizeOrder = salemRouterModule._optimizeOrder;
+// Best route + alternatives for the admin leg picker.
+deps.salemRouteAlternatives = salemRouterModule._routeAlternatives;
+// Source × target walking metres (admin collection walk candidates).
+deps.salemRouteMatrix = salemRouterModule._matrix;
+// Street closures: admin-route-closures pushes rows in, admin-tours flags
+// legs that run through them.
+deps.salemSetClosures = salemRouterModule._setClosures;
+deps.salemClosureEdges = salemRouterModule._closureEdges;
+deps.salemLegClosures = salemRouterModule._legClosures;
+// Round-trip loops behind the admin "save loop as draft tour" action.
+deps.salemLoops = salemRouterModule._loops;
+// Bundle-vs-live parity job (admin-route-parity).
+deps.salemParityPair = salemRouterModule._parityPair;
+deps.salemWalkableNodes = salemRouterModule._walkableNodes;
+deps.salemCanaries = salemRouterModule._canaries;
+deps.salemBundleHash = salemRouterModule._bundleHash;
+// Graph overlay editor (admin-route-overlay): virtual edges / disabled edges
+// merged into the graph, plus the snap and connectivity helpers it needs.
+deps.salemSetOverlay = salemRouterModule._setOverlay;
+deps.salemOverlayStatus = salemRouterModule._overlayStatus;
+deps.salemSnapNode = salemRouterModule._snapNode;
+deps.salemEdgeInfo = salemRouterModule._edgeInfo;
+deps.salemConnectivity = salemRouterModule._connectivity;
 
 // Admin (depends on import + overpass state)
 require('./lib/admin')(app, deps);
@@ -259,9 +295,29 @@ require('./lib/admin-mass-edit')(app, deps);
 // Admin POI write endpoints (Phase 9P.4) — gated by /admin Basic Auth
 require('./lib/admin-pois')(app, deps);
 
+// Admin POI merge — field-level merge of two POIs, repoints every reference,
+// revertible as one unit.
+require('./lib/admin-poi-merge')(app, deps);
+
 // Admin Tour write endpoints (S174) — gated by /admin Basic Auth
 require('./lib/admin-tours')(app, deps);
 
+// Admin tour revisions — immutable snapshots, diffs, publish / rollback; the
+// publish scripts bake the published snapshot instead of the live draft.
+require('./lib/admin-tour-revisions')(app, deps);
+
+// Admin street-closure endpoints — time-bounded closures the bundle router
+// lays over its edge costs (Haunted Happenings street fairs, parades).
+require('./lib/admin-route-closures')(app, deps);
+
+// Admin routing parity reports — bundle vs TigerLine live on sampled pairs,
+// persisted per run so re-bakes leave regression evidence.
+require('./lib/admin-route-parity')(app, deps);
+
+// Admin routing graph overlay — missing footpaths drawn in as virtual edges,
+// bad edges cut, islands reconnected; merged into the bundle graph.
+require('./lib/admin-route-overlay')(app, deps);
+
 // Admin Collection endpoints (S268) — operator-tunable filters that generate
 // per-user Katrina's Collections replacing the four stops-based tour UIs.
 require('./lib/admin-collection')(app, deps);
@@ -345,9 +401,9 @@ server.listen(PORT, '0.0.0.0', () => {
   console.log(`        JWT: ${process.env.JWT_SECRET ? 'secret configured' : 'WARNING — using random secret'}`);
   console.log('Scan:   GET /scan-cells');
   console.log('Salem:  GET /salem/pois, /salem/businesses, /salem/figures, /salem/timeline, /salem/sources, /salem/tours, /salem/events, /salem/sync, /salem/stats');
-  console.log('Router: GET /salem/route?from_lat&from_lng&to_lat&to_lng[&source=live], POST /salem/route-multi, GET /salem/route/meta');
+  console.log('Router: GET /salem/route?from_lat&from_lng&to_lat&to_lng[&source=live][&profile=][&at=][&detour_budget_s=&categories=], POST /salem/route-multi, POST /salem/route/optimize, POST /salem/route/snap, POST /salem/route/matrix, POST /salem/route/match, POST /salem/route/corridor-pois, GET /salem/isochrone, GET /salem/route/loop, GET /salem/route/meta');
   console.log('Admin:  GET /cache/stats, POST /cache/clear (Basic Auth), GET /admin/ping (Basic Auth)');
-  console.log('AdminPOI: GET /admin/salem/pois?kind=tour|business|narration, GET /admin/salem/pois/duplicates?radius=, GET/PUT/DELETE /admin/salem/pois/:kind/:id, POST .../move, POST .../restore (Basic Auth)');
+  console.log('AdminPOI: GET /admin/salem/pois?kind=tour|business|narration, GET /admin/salem/pois/duplicates?radius=&min_score=, GET/POST/DELETE .../duplicates/reviews, GET/PUT/DELETE /admin/salem/pois/:kind/:id, POST .../move, POST .../restore (Basic Auth)');
   console.log(`        Admin auth: ${adminAuthConfigured ? 'configured' : 'NOT CONFIGURED — set ADMIN_USER and ADMIN_PASS'}`);
 });
 
@@ -0,0 +1,11 @@
+/*
+ * LocationMapApp v1.5 — shared geometry for unit tests
+ *
+ * P(x, y) maps a local metre grid near Salem Common to [lat, lng], so tests
+ * can hand-draw lines and stops in metres.
+ */
+
+// ~0.000009° lat ≈ 1 m; ~0.0000122° lng ≈ 1 m at 42.52°N.
+const P = (x, y) => [42.52 + y * 0.000009, -70.9 + x * 0.0000122];
+
+module.exports = { P };
@@ -0,0 +1,75 @@
+/*
+ * LocationMapApp v1.5 — geo-filter unit tests
+ *
+ * Built-in node:test runner (zero deps). Run with `npm test` in cache-proxy/.
+ * The SQL side runs against PostgreSQL; these cover parsing, the radius
+ * prefilter box and the cursor round-trip.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  haversineM, radiusBBox, parseNear, parseBBox, parsePolygonParam, pgPolygon, parseSort,
+  encodeCursor, decodeCursor, PRIORITY_NULL_RANK,
+} = require('../lib/geo-filter');
+const { encodePolyline6 } = require('../lib/polyline');
+
+const SALEM = { lat: 42.5195, lng: -70.8967 };
+
+test('radiusBBox contains the whole circle at Salem latitude', () => {
+  const r = 200;
+  const bb = radiusBBox(SALEM.lat, SALEM.lng, r);
+  // Due east / north at exactly r must be inside the box.
+  assert.ok(haversineM(SALEM.lat, SALEM.lng, SALEM.lat, bb.maxLng) >= r - 0.5);
+  assert.ok(haversineM(SALEM.lat, SALEM.lng, bb.maxLat, SALEM.lng) >= r - 0.5);
+  // The old lat-only box (r / 111000 on both axes) was ~26% too narrow in longitude.
+  assert.ok(haversineM(SALEM.lat, SALEM.lng, SALEM.lat, SALEM.lng + r / 111000) < r * 0.8);
+});
+
+test('parseNear validates coordinates and radius', () => {
+  assert.equal(parseNear({}), null);
+  assert.deepEqual(parseNear({ lat: '42.5', lng: '-70.9' }), { lat: 42.5, lng: -70.9, radius_m: null });
+  assert.deepEqual(parseNear({ lat: '42.5', lng: '-70.9', radius: '150' }), { lat: 42.5, lng: -70.9, radius_m: 150 });
+  assert.ok(parseNear({ radius: '150' }) instanceof Error);
+  assert.ok(parseNear({ lat: '42.5' }) instanceof Error);
+  assert.ok(parseNear({ lat: '42.5', lng: '-70.9', radius: '-1' }) instanceof Error);
+  assert.ok(parseNear({ lat: '142.5', lng: '-70.9' }) instanceof Error);
+});
+
+test('parseBBox takes GeoJSON order and rejects inverted boxes', () => {
+  assert.deepEqual(parseBBox('-70.9,42.51,-70.88,42.53'), { minLng: -70.9, minLat: 42.51, maxLng: -70.88, maxLat: 42.53 });
+  assert.equal(parseBBox(undefined), null);
+  assert.ok(parseBBox('42.51,-70.9,42.53') instanceof Error);
+  assert.ok(parseBBox('-70.88,42.51,-70.9,42.53') instanceof Error);
+});
+
+test('parsePolygonParam reads GeoJSON and both ring encodings', () => {
+  const ring = [[-70.9, 42.51], [-70.88, 42.51], [-70.88, 42.53], [-70.9, 42.53], [-70.9, 42.51]];
+  const geo = parsePolygonParam(JSON.stringify({ type: 'Feature', geometry: { type: 'Polygon', coordinates: [ring] } }));
+  assert.deepEqual(geo.polygons, [[ring]]);
+  assert.deepEqual(geo.bbox, { minLat: 42.51, maxLat: 42.53, minLng: -70.9, maxLng: -70.88 });
+
+  // Encoded rings are [lat, lng] and may leave the ring open.
+  const open = ring.slice(0, 4).map(([lng, lat]) => [lat, lng]);
+  assert.deepEqual(parsePolygonParam(encodePolyline6(open)).polygons, [[ring]]);
+  assert.deepEqual(parsePolygonParam(open.map((p) => p.join(',')).join(';')).polygons, [[ring]]);
+
+  assert.ok(parsePolygonParam('{"type":"Point","coordinates":[0,0]}') instanceof Error);
+  assert.ok(parsePolygonParam('{nope') instanceof Error);
+  assert.equal(pgPolygon(ring.slice(0, 2)), '((-70.9,42.51),(-70.88,42.51))');
+});
+
+test('parseSort requires a point for distance', () => {
+  assert.equal(parseSort(undefined, null), 'priority');
+  assert.equal(parseSort('distance', { lat: 1, lng: 1 }), 'distance');
+  assert.ok(parseSort('distance', null) instanceof Error);
+  assert.ok(parseSort('rating', null) instanceof Error);
+});
+
+test('cursors round-trip and are tied to their sort', () => {
+  const row = { id: 'witch_house', name: 'Witch House', priority: null, distance_m: 12.345678 };
+  assert.deepEqual(decodeCursor(encodeCursor('priority', row), 'priority'), [PRIORITY_NULL_RANK, 'Witch House', 'witch_house']);
+  assert.deepEqual(decodeCursor(encodeCursor('distance', row), 'distance'), [12.345678, 'witch_house']);
+  assert.equal(decodeCursor('', 'priority'), null);
+  assert.match(decodeCursor(encodeCursor('distance', row), 'priority').message, /sort=distance/);
+  assert.ok(decodeCursor('not-a-cursor', 'priority') instanceof Error);
+});
@@ -0,0 +1,50 @@
+/*
+ * LocationMapApp v1.5 — isochrone rasterizer unit tests
+ *
+ * Built-in node:test runner (zero deps). Run with `npm test` in cache-proxy/.
+ * Drives the grid directly (no routing bundle): fill cells by index, trace.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { createGrid, stampDisc, bandToMultiPolygon } = require('../lib/isochrone');
+
+function gridWith(cells, value = 0) {
+  const g = createGrid(42.52, -70.9, 100, 10);
+  for (const [i, j] of cells) g.best[j * g.size + i] = value;
+  return g;
+}
+
+test('single cell traces one closed counter-clockwise square', () => {
+  const polys = bandToMultiPolygon(gridWith([[3, 3]]), 0);
+  assert.equal(polys.length, 1);
+  const ring = polys[0][0];
+  assert.equal(ring.length, 5);
+  assert.deepEqual(ring[0], ring[4]);
+  let area = 0;
+  for (let k = 0; k < 4; k++) area += ring[k][0] * ring[k + 1][1] - ring[k + 1][0] * ring[k][1];
+  assert.ok(area > 0, 'outer ring must be counter-clockwise');
+});
+
+test('ring of cells yields a polygon with one hole', () => {
+  const cells = [];
+  for (let i = 2; i <= 4; i++) for (let j = 2; j <= 4; j++) if (i !== 3 || j !== 3) cells.push([i, j]);
+  const polys = bandToMultiPolygon(gridWith(cells), 0);
+  assert.equal(polys.length, 1);
+  assert.equal(polys[0].length, 2, 'outer + hole');
+  assert.equal(polys[0][0].length, 5);
+  assert.equal(polys[0][1].length, 5);
+});
+
+test('corner-touching cells stay separate polygons', () => {
+  const polys = bandToMultiPolygon(gridWith([[2, 2], [3, 3]]), 0);
+  assert.equal(polys.length, 2);
+});
+
+test('band threshold selects cells by value', () => {
+  const g = createGrid(42.52, -70.9, 200, 10);
+  stampDisc(g, 42.52, -70.9, 0, 15);
+  stampDisc(g, 42.521, -70.9, 150, 15);
+  assert.equal(bandToMultiPolygon(g, 100).length, 1);
+  assert.equal(bandToMultiPolygon(g, 200).length, 2);
+  assert.deepEqual(bandToMultiPolygon(g, -1), []);
+});
@@ -0,0 +1,65 @@
+/*
+ * LocationMapApp v1.5 — map-match unit tests
+ *
+ * Built-in node:test runner (zero deps). Run with `npm test` in cache-proxy/.
+ * Viterbi inputs are hand-built log-probabilities; graph-backed matching is
+ * covered in salem-router.test.js.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { viterbiSegments, parseGpx, parseTime } = require('../lib/map-match');
+
+const NO = -Infinity;
+
+test('viterbi prefers a connected sequence over per-point best emissions', () => {
+  // Point 1's best emission (state 1) can't be reached from either state
+  // of point 0 cheaply; the chain should stay on state 0 throughout.
+  const emissions = [[0, -1], [-0.5, 0], [0, -3]];
+  const trans = [
+    null,
+    [[0, -10], [-10, -10]],
+    [[0, NO], [NO, 0]],
+  ];
+  const r = viterbiSegments(emissions, trans);
+  assert.deepEqual(Array.from(r.states), [0, 0, 0]);
+  assert.deepEqual(r.segments, [{ start: 0, end: 2 }]);
+  for (const c of r.confidence) assert.ok(c > 0.5 && c <= 1);
+});
+
+test('unmatched points and dead ends split segments', () => {
+  const emissions = [[0], [], [0], [0, -1]];
+  const trans = [null, null, null, [[NO, NO]]];
+  const r = viterbiSegments(emissions, trans);
+  assert.deepEqual(Array.from(r.states), [0, -1, 0, 0]);
+  assert.deepEqual(r.segments, [{ start: 0, end: 0 }, { start: 2, end: 2 }, { start: 3, end: 3 }]);
+  assert.ok(Number.isNaN(r.confidence[1]));
+  // A lone point's confidence is its emission share.
+  assert.equal(Math.round(r.confidence[3] * 1000) / 1000, Math.round((1 / (1 + Math.exp(-1))) * 1000) / 1000);
+});
+
+test('a single candidate everywhere is fully confident', () => {
+  const r = viterbiSegments([[-2], [-1]], [null, [[-5]]]);
+  assert.deepEqual(Array.from(r.confidence), [1, 1]);
+});
+
+test('parseGpx reads track points with times, falling back to route points', () => {
+  const gpx = `<?xml version="1.0"?>
+    <gpx version="1.1"><trk><trkseg>
+      <trkpt lat="42.5200" lon="-70.9000"><ele>3</ele><time>2026-05-01T12:00:00Z</time></trkpt>
+      <trkpt lon='-70.8990' lat='42.5201'/>
+    </trkseg></trk></gpx>`;
+  assert.deepEqual(parseGpx(gpx), [
+    { lat: 42.52, lng: -70.9, time: Date.parse('2026-05-01T12:00:00Z') },
+    { lat: 42.5201, lng: -70.899, time: null },
+  ]);
+  const rte = '<gpx><rte><rtept lat="1" lon="2"></rtept></rte></gpx>';
+  assert.deepEqual(parseGpx(rte), [{ lat: 1, lng: 2, time: null }]);
+  assert.deepEqual(parseGpx('<gpx/>'), []);
+});
+
+test('parseTime accepts ISO strings and epoch ms', () => {
+  assert.equal(parseTime('2026-05-01T12:00:00Z'), 1777636800000);
+  assert.equal(parseTime(1777636800000), 1777636800000);
+  assert.equal(parseTime('soon'), null);
+  assert.equal(parseTime(null), null);
+});
@@ -0,0 +1,96 @@
+/*
+ * LocationMapApp v1.5 — opening-hours unit tests
+ *
+ * Built-in node:test runner (zero deps). Run with `npm test` in cache-proxy/.
+ * Covers the OSM subset, the English hours_text phrases and BCS hours shapes
+ * seen in salem_pois, season / October override ordering, and evaluation in
+ * Salem wall-clock time.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const Database = require('better-sqlite3');
+const {
+  parseOpeningHours, formatOpeningHours, rulesFromHoursJson, parseHoursText, normalizeHours,
+  publicHolidays, isOpenAt, parseOpenFilter, poiOpenState, buildSqliteHours,
+} = require('../lib/opening-hours');
+
+const osm = (s) => formatOpeningHours(parseOpeningHours(s).rules);
+const text = (s) => formatOpeningHours(parseHoursText(s).rules);
+const json = (h) => formatOpeningHours(rulesFromHoursJson(h).rules);
+
+test('OSM subset round-trips and rejects fallback rules', () => {
+  for (const s of ['Mo-Fr 09:00-17:00; Sa 10:00-14:00; PH off', 'May-Oct Mo-Su 10:00-18:00; Nov Th[4] off', '24/7']) {
+    assert.equal(osm(s), s);
+  }
+  assert.match(parseOpeningHours('Mo-Fr 09:00-17:00 || Sa off').error, /\|\|/);
+});
+
+test('English hours_text phrases', () => {
+  assert.equal(text('Mon-Fri 9am-5pm, Sat 10-4'), 'Mo-Fr 09:00-17:00; Sa 10:00-16:00');
+  assert.equal(text('Daily except Tuesday 10-6'), 'Mo-Su 10:00-18:00; Tu off');
+  assert.equal(text('Closed Thanksgiving & Christmas'), 'Nov Th[4] off; Dec 25 off');
+  assert.match(parseHoursText('hours vary').error, /vary/);
+});
+
+test('BCS hours JSON shapes', () => {
+  assert.equal(json({ weekday_text: ['Monday: 11:00 AM – 11:00 PM', 'Tuesday: Closed'] }), 'Mo 11:00-23:00');
+  assert.equal(json({ mon: [{ open: '09:00', close: '17:00' }] }), 'Mo 09:00-17:00');
+  assert.equal(json({ monday: '11:30-01:00' }), 'Mo 11:30-01:00');
+  assert.deepEqual(rulesFromHoursJson({ raw: '00:00-00:00' }), { text: '00:00-00:00' });
+  // Every day empty is "no data", not "always closed".
+  assert.equal(rulesFromHoursJson({ mon: [], tue: [] }), null);
+  assert.match(rulesFromHoursJson({ bogus: 1 }).error, /bogus/);
+});
+
+test('normalizeHours orders week, season, October hours and closures', () => {
+  const n = normalizeHours({
+    hours: { monday: '10:00-18:00', friday: '10:00-22:00' },
+    hours_text: 'Open April through November. October: daily 9am-midnight. Closed Thanksgiving',
+    seasonal: true,
+  });
+  assert.equal(n.opening_hours,
+    'Mo 10:00-18:00; Fr 10:00-22:00; Dec-Mar off "out of season"; Oct Mo-Su 09:00-24:00; Nov Th[4] off');
+  assert.deepEqual(n.warnings, []);
+
+  const noRange = normalizeHours({ seasonal: true, hours: { monday: '10:00-18:00' } });
+  assert.match(noRange.warnings[0], /no season/);
+  assert.equal(normalizeHours({}), null);
+  assert.deepEqual(normalizeHours({ hours_text: 'hours vary' }).sources, ['hours_text']);
+});
+
+test('evaluation runs past midnight and honours holidays', () => {
+  const late = rulesFromHoursJson({ friday: '11:30-01:00' }).rules;
+  // Fri 2026-10-23 00:30 / 01:30 EDT the next morning.
+  assert.equal(isOpenAt(late, new Date('2026-10-24T04:30:00Z')), true);
+  assert.equal(isOpenAt(late, new Date('2026-10-24T05:30:00Z')), false);
+
+  const ph = publicHolidays(2026);
+  assert.equal(ph.get('04-20'), "Patriots' Day");
+  assert.equal(ph.get('11-26'), 'Thanksgiving');
+  const poi = { hours_text: 'Mo-Su 09:00-17:00; PH off' };
+  assert.equal(poiOpenState(poi, new Date('2026-12-25T15:00:00Z')), 'closed');
+  assert.equal(poiOpenState(poi, new Date('2026-12-24T15:00:00Z')), 'open');
+  assert.equal(poiOpenState({}, new Date()), 'unknown');
+});
+
+test('parseOpenFilter reads zone-less times as Salem time', () => {
+  assert.deepEqual(parseOpenFilter({ open_at: '2026-10-31T23:30' }), { at: new Date('2026-11-01T03:30:00Z'), open: true });
+  const now = new Date('2026-01-01T00:00:00Z');
+  assert.deepEqual(parseOpenFilter({ open_now: 'true' }, now), { at: now, open: true });
+  assert.equal(parseOpenFilter({}), null);
+  assert.ok(parseOpenFilter({ open_at: 'nope' }) instanceof Error);
+});
+
+test('buildSqliteHours writes parsed POIs and the holiday calendar', () => {
+  const db = new Database(':memory:');
+  const out = buildSqliteHours(db, [
+    { id: 'a', hours: { monday: '10:00-18:00' } },
+    { id: 'b', hours_text: 'hours vary' },
+    { id: 'c' },
+  ], { years: 1, now: new Date('2026-06-01T12:00:00Z') });
+  assert.deepEqual(out, { rows: 1, unparsed: 1, holidays: 12 });
+  const row = db.prepare('SELECT * FROM poi_opening_hours').get();
+  assert.equal(row.opening_hours, 'Mo 10:00-18:00');
+  assert.equal(JSON.parse(row.rules)[0].times[0][1], 1080);
+  db.close();
+});
@@ -0,0 +1,113 @@
+/*
+ * LocationMapApp v1.5 — poi-duplicates unit tests
+ *
+ * Built-in node:test runner (zero deps). Run with `npm test` in cache-proxy/.
+ * Candidate search and reviewed pairs run against PostgreSQL; these cover
+ * the normalisers, the per-signal scoring and its explanation, and pair
+ * clustering.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  DUPLICATE_THRESHOLD, normalizePhone, normalizeWebsite, normalizeAddress, normalizeStreet, nameSimilarity,
+  categoryCompatibility, scorePair, pairKey, clusterPairs,
+} = require('../lib/poi-duplicates');
+
+const WARD = { id: 'ward_house', name: 'John Ward House', lat: 42.5223, lng: -70.8950, category: 'HISTORICAL_BUILDINGS' };
+const signal = (r, name) => r.signals.find((s) => s.signal === name);
+
+test('normalisers strip formatting, not identity', () => {
+  assert.equal(normalizePhone('+1 (978) 744-8815'), '9787448815');
+  assert.equal(normalizePhone('978.744.8815'), '9787448815');
+  assert.equal(normalizePhone('ext 12'), null);
+  assert.deepEqual(normalizeWebsite('HTTPS://www.PEM.org/visit/?utm=x'), { host: 'pem.org', url: 'pem.org/visit' });
+  assert.equal(normalizeWebsite(''), null);
+  assert.deepEqual(normalizeAddress('132 Essex Street, Salem, MA 01970'), { number: '132', street: 'essex st' });
+  assert.deepEqual(normalizeAddress('Derby Wharf'), { number: null, street: 'derby wharf' });
+  assert.deepEqual(normalizeAddress('10 – 12 Derby St., Suite 2'), { number: '10-12', street: 'derby st' });
+  // TIGER edge spelling lands on the same street as the address spelling.
+  assert.equal(normalizeStreet('Derby Whf'), normalizeStreet('3 Derby Wharf, Salem'));
+});
+
+test('nameSimilarity ignores articles, punctuation and the town', () => {
+  assert.equal(nameSimilarity('The Witch House', 'Witch House, Salem'), 1);
+  assert.equal(nameSimilarity("Rockafella's", 'Rockafellas'), 1);
+  assert.equal(nameSimilarity('Ward House', 'John Ward House'), 0.9);
+  assert.ok(nameSimilarity('Bewitched Historical Tours', 'Halloween Museum of Salem') < 0.2);
+  assert.equal(nameSimilarity('', 'Anything'), 0);
+});
+
+test('categoryCompatibility is symmetric and tolerates blanks', () => {
+  assert.equal(categoryCompatibility('FOOD_DRINK', 'FOOD_DRINK'), 'same');
+  assert.equal(categoryCompatibility('WITCH_SHOP', 'SHOPPING'), 'compatible');
+  assert.equal(categoryCompatibility('SHOPPING', 'WITCH_SHOP'), 'compatible');
+  assert.equal(categoryCompatibility('PARKING', 'WORSHIP'), 'incompatible');
+  assert.equal(categoryCompatibility(null, 'PARKING'), 'unknown');
+});
+
+test('scorePair: same place from two sources scores high and says why', () => {
+  const r = scorePair(
+    { ...WARD, address: '132 Essex Street, Salem, MA', phone: '978-744-8815' },
+    { id: 'mhc_sal_123', name: 'The John Ward House', lat: 42.5225, lng: -70.8951, category: 'ENTERTAINMENT', address: '132 Essex St.', phone: '(978) 744 8815' },
+  );
+  assert.ok(r.score >= 0.95, `score ${r.score}`);
+  assert.equal(signal(r, 'name').detail, 'same name');
+  assert.equal(signal(r, 'address').weight, 2);
+  assert.equal(signal(r, 'phone').weight, 2.5);
+  assert.equal(signal(r, 'category').weight, 0);
+  assert.match(r.explanation, /^same name \(\+4\.5\), same phone \(\+2\.5\)/);
+  // Signals come sorted by strength.
+  const weights = r.signals.map((s) => Math.abs(s.weight));
+  assert.deepEqual(weights, [...weights].sort((a, b) => b - a));
+});
+
+test('scorePair: neighbours sharing a storefront and far-apart chains stay apart', () => {
+  const storefront = scorePair(
+    { id: 'a', name: 'Bewitched Historical Tours', lat: 42.5210, lng: -70.8930, category: 'TOUR_COMPANIES', address: '2 Liberty St' },
+    { id: 'b', name: 'Halloween Museum of Salem', lat: 42.5210, lng: -70.8930, category: 'ENTERTAINMENT', address: '2 Liberty St' },
+  );
+  assert.ok(storefront.score < 0.1, `score ${storefront.score}`);
+
+  const chain = scorePair(
+    { id: 'a', name: '7-Eleven', lat: 42.5223, lng: -70.8950, category: 'SHOPPING' },
+    { id: 'b', name: '7-Eleven', lat: 42.5123, lng: -70.9050, category: 'SHOPPING' },
+  );
+  assert.ok(chain.score < DUPLICATE_THRESHOLD);
+  assert.equal(signal(chain, 'distance').weight, -3);
+});
+
+test('scorePair: intel_entity_id, walking distance and absent signals', () => {
+  const same = scorePair(
+    { id: 'a', name: 'Pickering Wharf Marina', lat: 42.5200, lng: -70.8880, intel_entity_id: 'bcs-41' },
+    { id: 'b', name: 'Marina at Pickering', lat: 42.5201, lng: -70.8881, intel_entity_id: 'bcs-41' },
+  );
+  assert.ok(same.score >= DUPLICATE_THRESHOLD);
+  assert.equal(signal(same, 'intel_entity_id').weight, 5);
+
+  const other = { ...WARD, id: 'ward_copy', intel_entity_id: 'bcs-2' };
+  assert.equal(signal(scorePair({ ...WARD, intel_entity_id: 'bcs-1' }, other), 'intel_entity_id').weight, -4);
+
+  const acrossHarbour = scorePair(WARD, { ...WARD, id: 'ward_copy' }, { walkingM: Infinity });
+  assert.equal(signal(acrossHarbour, 'distance').detail, 'no walking route between them');
+  assert.ok(acrossHarbour.score < DUPLICATE_THRESHOLD);
+
+  // Nothing to compare → no phone / website / address / intel signal at all.
+  const bare = scorePair(WARD, { ...WARD, id: 'ward_copy' });
+  assert.deepEqual(bare.signals.map((s) => s.signal).sort(), ['category', 'distance', 'name']);
+});
+
+test('scorePair: aggregator hosts only count on an identical URL', () => {
+  const fb = (path) => ({ ...WARD, website: `https://facebook.com/${path}` });
+  assert.equal(signal(scorePair(fb('wardhouse'), fb('otherplace')), 'website'), undefined);
+  assert.equal(signal(scorePair(fb('wardhouse'), fb('wardhouse/')), 'website').weight, 1.5);
+  const own = (path) => ({ ...WARD, website: `pem.org/${path}` });
+  assert.equal(signal(scorePair(own('ward'), own('visit')), 'website').weight, 0.75);
+});
+
+test('pairKey and clusterPairs', () => {
+  assert.equal(pairKey('b', 'a'), 'a|b');
+  assert.equal(pairKey('a', 'b'), 'a|b');
+  const p = (a, b) => ({ a: { id: a }, b: { id: b } });
+  const groups = clusterPairs([p('a', 'b'), p('c', 'b'), p('x', 'y')]).map((g) => g.sort());
+  assert.deepEqual(groups.sort(), [['a', 'b', 'c'], ['x', 'y']]);
+});
@@ -0,0 +1,83 @@
+/*
+ * LocationMapApp v1.5 — poi-merge unit tests
+ *
+ * Built-in node:test runner (zero deps). Run with `npm test` in cache-proxy/.
+ * The transaction itself runs against PostgreSQL; these cover body parsing,
+ * field choices and the revert conflict check.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  MERGE_FIELDS, parseMergeBody, concatValue, mergeFields, revertConflicts,
+} = require('../lib/poi-merge');
+
+const LEFT = {
+  id: 'witch_house',
+  name: 'The Witch House',
+  lat: 42.5216,
+  lng: -70.8989,
+  phone: null,
+  short_description: 'Home of Judge Jonathan Corwin.',
+  description: 'Built c. 1675.',
+  tags: ['museum', '1692'],
+  hours: { monday: '10:00-17:00' },
+  related_figure_ids: ['corwin_jonathan'],
+  is_tour_poi: true,
+};
+const RIGHT = {
+  id: 'corwin_house_dup',
+  name: 'Jonathan Corwin House',
+  lat: 42.5217,
+  lng: -70.8990,
+  phone: '978-744-8815',
+  short_description: 'Home of Judge Jonathan Corwin.',
+  description: 'The only structure still standing with direct ties to 1692.',
+  tags: ['1692', 'historic house'],
+  hours: { monday: '09:00-18:00', tuesday: '10:00-17:00' },
+  related_figure_ids: ['corwin_jonathan', 'corwin_george'],
+  is_tour_poi: false,
+};
+
+test('parseMergeBody validates from, choices and concat eligibility', () => {
+  assert.deepEqual(parseMergeBody({ from: ' b ' }, 'a'), { from: 'b', fields: {}, reason: null });
+  assert.match(parseMergeBody({}, 'a').message, /from/);
+  assert.match(parseMergeBody({ from: 'a' }, 'a').message, /itself/);
+  assert.match(parseMergeBody({ from: 'b', fields: { nope: 'left' } }, 'a').message, /not a mergeable field/);
+  assert.match(parseMergeBody({ from: 'b', fields: { name: 'both' } }, 'a').message, /choice/);
+  assert.match(parseMergeBody({ from: 'b', fields: { lat: 'concat' } }, 'a').message, /cannot be concatenated/);
+  assert.ok(!(parseMergeBody({ from: 'b', fields: { description: 'concat', tags: 'concat' } }, 'a') instanceof Error));
+  assert.ok(!MERGE_FIELDS.includes('no_overwrite'));
+});
+
+test('concatValue joins prose, unions arrays and lets left keys win', () => {
+  assert.equal(concatValue('description', 'A.', 'B.'), 'A.\n\nB.');
+  assert.equal(concatValue('description', 'Same text.', 'Same text.'), 'Same text.');
+  assert.equal(concatValue('description', null, 'B.'), 'B.');
+  assert.deepEqual(concatValue('tags', ['a', 'b'], ['b', 'c']), ['a', 'b', 'c']);
+  assert.deepEqual(concatValue('hours', { monday: 'L' }, { monday: 'R', tuesday: 'R' }), { monday: 'L', tuesday: 'R' });
+});
+
+test('mergeFields applies choices and defaults', () => {
+  const { choices, updates } = mergeFields(LEFT, RIGHT, { name: 'right', description: 'concat', tags: 'concat' });
+  assert.equal(choices.name, 'right');
+  // Unlisted: blank survivor fields fill from the merged POI, related ids union.
+  assert.equal(choices.phone, 'right');
+  assert.equal(choices.related_figure_ids, 'concat');
+  assert.equal(choices.is_tour_poi, 'left');
+  assert.deepEqual(updates, {
+    name: 'Jonathan Corwin House',
+    phone: '978-744-8815',
+    description: 'Built c. 1675.\n\nThe only structure still standing with direct ties to 1692.',
+    tags: ['museum', '1692', 'historic house'],
+    related_figure_ids: ['corwin_jonathan', 'corwin_george'],
+  });
+  // Keeping everything left writes nothing.
+  const keepAll = Object.fromEntries(MERGE_FIELDS.map((f) => [f, 'left']));
+  assert.deepEqual(mergeFields(LEFT, RIGHT, keepAll).updates, {});
+});
+
+test('revertConflicts lists fields edited after the merge', () => {
+  const after = { name: 'Jonathan Corwin House', tags: ['museum', '1692', 'historic house'] };
+  assert.deepEqual(revertConflicts({ ...LEFT, ...after }, after), []);
+  assert.deepEqual(revertConflicts({ ...LEFT, ...after, name: 'Witch House' }, after), ['name']);
+});
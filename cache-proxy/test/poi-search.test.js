@@ -0,0 +1,28 @@
+/*
+ * LocationMapApp v1.5 — poi-search unit tests
+ *
+ * Built-in node:test runner (zero deps). Run with `npm test` in cache-proxy/.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { expandQuery, pgTsQuery, parseLimit } = require('../lib/poi-search');
+
+test('expandQuery swaps synonym phrases both ways', () => {
+  const groups = [['witch museum', 'salem witch museum'], ['wax museum', 'witch dungeon museum']];
+  assert.deepEqual(expandQuery('Wax Museum', groups), [['wax', 'museum'], ['witch', 'dungeon', 'museum']]);
+  assert.deepEqual(expandQuery('salem witch museum tickets', groups).map((a) => a.join(' ')), [
+    'salem witch museum tickets', 'salem salem witch museum tickets', 'witch museum tickets',
+  ]);
+  assert.deepEqual(expandQuery('  ?! ', groups), []);
+});
+
+test('PG query text', () => {
+  const alts = [['wax', 'museum'], ['witch', 'dungeon', 'museum']];
+  assert.equal(pgTsQuery(alts), '(wax & museum:*) | (witch & dungeon & museum)');
+});
+
+test('parseLimit', () => {
+  assert.equal(parseLimit(undefined), 20);
+  assert.equal(parseLimit('500'), 100);
+  assert.ok(parseLimit('0') instanceof Error);
+});
@@ -0,0 +1,98 @@
+/*
+ * LocationMapApp v1.5 — polyline unit tests
+ *
+ * Built-in node:test runner (zero deps). Run with `npm test` in cache-proxy/.
+ * Lines are hand-built on a ~1 m grid near Salem Common.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  turnIndices,
+  simplify,
+  simplifyLeg,
+  stepAnchors,
+  encodePolyline6,
+  decodePolyline6,
+  encodeGeometry,
+  decodeGeometry,
+  sizeStats,
+  parseTolerance,
+} = require('../lib/polyline');
+
+const { P } = require('./fixtures/geo');
+
+// A 100 m run east with 0.3 m of jitter every 5 m, then a right-angle turn
+// north for 50 m.
+function wigglyL() {
+  const pts = [];
+  for (let x = 0; x <= 100; x += 5) pts.push(P(x, x % 10 ? 0.3 : 0));
+  for (let y = 5; y <= 50; y += 5) pts.push(P(100, y));
+  return pts;
+}
+
+test('Google reference vector round-trips at precision 6', () => {
+  // polyline6 of the classic [[38.5,-120.2],[40.7,-120.95],[43.252,-126.453]]
+  const pts = [[38.5, -120.2], [40.7, -120.95], [43.252, -126.453]];
+  const enc = encodePolyline6(pts);
+  assert.equal(enc, '_izlhA~rlgdF_{geC~ywl@_kwzCn`{nI');
+  assert.deepEqual(decodePolyline6(enc), pts);
+});
+
+test('decodeGeometry reads both text and polyline6', () => {
+  const pts = wigglyL();
+  const text = encodeGeometry(pts, 'text');
+  const enc = encodeGeometry(pts, 'polyline6');
+  assert.ok(text.includes(',') && !enc.includes(','));
+  const a = decodeGeometry(text);
+  const b = decodeGeometry(enc);
+  assert.equal(a.length, pts.length);
+  assert.deepEqual(a, b);
+  assert.ok(enc.length < text.length / 2, 'polyline6 is well under half the text size');
+  assert.deepEqual(decodeGeometry(''), []);
+});
+
+test('turnIndices finds the corner and ignores repeated vertices', () => {
+  const pts = [P(0, 0), P(50, 0), P(50, 0), P(50, 50)];
+  assert.deepEqual(turnIndices(pts, 30), [2]);
+  assert.deepEqual(turnIndices([P(0, 0), P(50, 1), P(100, 0)], 30), []);
+});
+
+test('simplify drops sub-tolerance jitter but keeps forced indices', () => {
+  const pts = wigglyL();
+  const out = simplify(pts, 1);
+  assert.deepEqual(out, [pts[0], P(100, 0), pts[pts.length - 1]]);
+  assert.equal(simplify(pts, 0).length, pts.length, 'tolerance 0 is a copy');
+  const kept = simplify(pts, 1, new Set([4]));
+  assert.ok(kept.includes(pts[4]));
+});
+
+test('simplifyLeg keeps stops, turns and step anchors', () => {
+  const pts = wigglyL();
+  const stepStart = P(60, 0);
+  const out = simplifyLeg(pts, { toleranceM: 5, anchors: [stepStart] });
+  assert.deepEqual(out[0], pts[0]);
+  assert.deepEqual(out[out.length - 1], pts[pts.length - 1]);
+  assert.ok(out.some((p) => p[0] === P(100, 0)[0] && p[1] === P(100, 0)[1]), 'corner kept');
+  assert.ok(out.some((p) => p[0] === stepStart[0] && p[1] === stepStart[1]), 'step start kept');
+  assert.equal(out.length, 4);
+  const s = sizeStats(pts, out);
+  assert.equal(s.points, pts.length);
+  assert.equal(s.points_simplified, 4);
+  assert.ok(s.polyline6_simplified_bytes < s.text_simplified_bytes);
+  assert.ok(s.text_simplified_bytes < s.text_bytes);
+});
+
+test('stepAnchors takes each step\'s first point and skips bad steps', () => {
+  const steps = [{ geometry: [P(0, 0), P(60, 0)] }, { geometry: [] }, null, { geometry: [P(60, 0), P(100, 0)] }];
+  assert.deepEqual(stepAnchors(steps), [P(0, 0), P(60, 0)]);
+  assert.deepEqual(stepAnchors(null), []);
+});
+
+test('parseTolerance falls back and range-checks', () => {
+  assert.equal(parseTolerance(undefined), 1);
+  assert.equal(parseTolerance('', 0), 0);
+  assert.equal(parseTolerance('2.5'), 2.5);
+  assert.ok(parseTolerance('-1') instanceof Error);
+  assert.ok(parseTolerance('abc') instanceof Error);
+  assert.ok(parseTolerance('500') instanceof Error);
+});
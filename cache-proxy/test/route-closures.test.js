@@ -0,0 +1,94 @@
+/*
+ * LocationMapApp v1.5 — route-closures unit tests
+ *
+ * Built-in node:test runner (zero deps). Run with `npm test` in cache-proxy/.
+ * Pure geometry / timing helpers; how the router applies closures is
+ * covered in salem-router.test.js.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  parsePolygon,
+  pointInPolygons,
+  polylineIntersectsPolygons,
+  closureState,
+  normalizeClosureRow,
+} = require('../lib/route-closures');
+
+// 0.01° square with a 0.004° hole in the middle ([lng, lat] like GeoJSON).
+const SQUARE_WITH_HOLE = {
+  type: 'Polygon',
+  coordinates: [
+    [[-70.90, 42.52], [-70.89, 42.52], [-70.89, 42.53], [-70.90, 42.53], [-70.90, 42.52]],
+    [[-70.897, 42.523], [-70.893, 42.523], [-70.893, 42.527], [-70.897, 42.527], [-70.897, 42.523]],
+  ],
+};
+
+test('parsePolygon accepts Polygon, MultiPolygon and Features', () => {
+  assert.equal(parsePolygon(SQUARE_WITH_HOLE).polygons.length, 1);
+  const multi = { type: 'MultiPolygon', coordinates: [SQUARE_WITH_HOLE.coordinates, SQUARE_WITH_HOLE.coordinates] };
+  assert.equal(parsePolygon(multi).polygons.length, 2);
+  assert.equal(parsePolygon({ type: 'Feature', properties: {}, geometry: SQUARE_WITH_HOLE }).polygons.length, 1);
+});
+
+test('parsePolygon rejects other geometries and open or short rings', () => {
+  assert.ok(parsePolygon({ type: 'LineString', coordinates: [[0, 0], [1, 1]] }).error);
+  assert.ok(parsePolygon(null).error);
+  const open = [[[0, 0], [1, 0], [1, 1], [0, 1]]];
+  assert.ok(parsePolygon({ type: 'Polygon', coordinates: open }).error);
+  const short = [[[0, 0], [1, 0], [0, 0]]];
+  assert.ok(parsePolygon({ type: 'Polygon', coordinates: short }).error);
+  const swapped = [[[42.52, -70.9], [42.53, -70.9], [42.53, -170.9], [42.52, -70.9]]];
+  assert.ok(parsePolygon({ type: 'Polygon', coordinates: swapped }).error);
+});
+
+test('pointInPolygons honours holes', () => {
+  const { polygons } = parsePolygon(SQUARE_WITH_HOLE);
+  assert.equal(pointInPolygons(polygons, 42.521, -70.899), true);
+  assert.equal(pointInPolygons(polygons, 42.525, -70.895), false, 'inside the hole');
+  assert.equal(pointInPolygons(polygons, 42.535, -70.895), false, 'outside');
+});
+
+test('polylines intersect by vertex or by crossing an edge', () => {
+  const { polygons } = parsePolygon(SQUARE_WITH_HOLE);
+  // Vertex inside.
+  assert.equal(polylineIntersectsPolygons([42.521, -70.899, 42.519, -70.899], polygons), true);
+  // Both vertices outside, the segment cuts straight through.
+  assert.equal(polylineIntersectsPolygons([42.521, -70.91, 42.521, -70.88], polygons), true);
+  // Entirely inside the hole.
+  assert.equal(polylineIntersectsPolygons([42.524, -70.896, 42.526, -70.894], polygons), false);
+  // Passes by.
+  assert.equal(polylineIntersectsPolygons(Float64Array.of(42.51, -70.91, 42.51, -70.88), polygons), false);
+});
+
+test('closure windows are half-open', () => {
+  const c = { startsMs: 1000, endsMs: 2000 };
+  assert.equal(closureState(c, 999), 'upcoming');
+  assert.equal(closureState(c, 1000), 'active');
+  assert.equal(closureState(c, 1999), 'active');
+  assert.equal(closureState(c, 2000), 'expired');
+});
+
+test('normalizeClosureRow reads PG rows and drops unusable ones', () => {
+  const row = {
+    id: '7',
+    name: 'Essex St fair',
+    reason: 'Haunted Happenings',
+    mode: 'avoid',
+    starts_at: new Date('2026-10-01T12:00:00Z'),
+    ends_at: '2026-10-01T20:00:00Z',
+    polygon_json: null,
+    edge_ids: ['10', '11'],
+    updated_at: new Date('2026-09-01T00:00:00Z'),
+  };
+  const c = normalizeClosureRow(row);
+  assert.equal(c.id, 7);
+  assert.equal(c.mode, 'avoid');
+  assert.deepEqual(c.edgeIds, [10, 11]);
+  assert.equal(c.startsMs, Date.parse('2026-10-01T12:00:00Z'));
+  assert.equal(c.polygons, null);
+  assert.equal(c.version, Date.parse('2026-09-01T00:00:00Z'));
+  assert.equal(normalizeClosureRow({ ...row, edge_ids: [] }), null);
+  assert.equal(normalizeClosureRow({ ...row, ends_at: 'whenever' }), null);
+  assert.ok(normalizeClosureRow({ ...row, edge_ids: [], polygon_json: SQUARE_WITH_HOLE }).polygons);
+});
@@ -0,0 +1,100 @@
+/*
+ * LocationMapApp v1.5 — route-corridor unit tests
+ *
+ * Built-in node:test runner (zero deps). Run with `npm test` in cache-proxy/.
+ * Corridor intersection and the narration queue replay; the endpoint
+ * (/salem/route/corridor-pois) is covered in salem-router.test.js.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  NARRATION_WPM,
+  wordCount,
+  narrationText,
+  narrationSeconds,
+  corridorPois,
+  narrationQueue,
+} = require('../lib/route-corridor');
+const { offsetPoint } = require('../lib/route-loop');
+
+const near = (a, b, tol = 0.5) => assert.ok(Math.abs(a - b) <= tol, `${a} !~ ${b}`);
+
+// 400 m due east along lat 42.52.
+const START = [42.52, -70.9];
+const END = offsetPoint(42.52, -70.9, 90, 400);
+const LINE = [START, END];
+const at = (alongM, northM) => {
+  const [lat, lng] = offsetPoint(START[0], START[1], 90, alongM);
+  return offsetPoint(lat, lng, 0, northM);
+};
+
+test('a geofence crossing the corridor reports where the route enters and leaves it', () => {
+  const [lat, lng] = at(200, 30);
+  const { lengthM, hits } = corridorPois(LINE, [{ id: 'p', lat, lng, geofence_radius_m: 30 }], 20);
+  near(lengthM, 400);
+  assert.equal(hits.length, 1);
+  const [pass] = hits[0].passes;
+  // Reach 50 m at 30 m off the line: ±40 m either side of the foot.
+  near(pass.entryM, 160);
+  near(pass.exitM, 240);
+  near(pass.offsetM, 30);
+  near(pass.closestM, 200);
+});
+
+test('geofences beyond the corridor are left out; the rest come back in walking order', () => {
+  const pois = [
+    { id: 'late', ...ll(at(350, 0)) },
+    { id: 'wide', ...ll(at(100, 70)), geofence_radius_m: 60 },
+    { id: 'far', ...ll(at(100, 70)), geofence_radius_m: 30 },
+    { id: 'start', ...ll(at(0, 0)) },
+  ];
+  const { hits } = corridorPois(LINE, pois, 20);
+  assert.deepEqual(hits.map((h) => h.poi.id), ['start', 'wide', 'late']);
+  assert.equal(hits[0].radiusM, 40);
+  assert.equal(hits[0].passes[0].entryM, 0);
+});
+
+test('walking past a POI twice gives two passes', () => {
+  const back = [START, END, START];
+  const { hits } = corridorPois(back, [{ id: 'mid', ...ll(at(200, 0)), geofence_radius_m: 10 }], 0);
+  const passes = hits[0].passes;
+  assert.equal(passes.length, 2);
+  near(passes[0].entryM, 190);
+  near(passes[1].entryM, 590);
+});
+
+test('narration length comes from the word count at the TTS rate', () => {
+  assert.equal(wordCount('  Salem   was\nfounded  in 1626. '), 5);
+  assert.equal(wordCount(null), 0);
+  const row = { short_narration: 'one two three', long_narration: 'a '.repeat(300) };
+  assert.equal(narrationText(row), 'one two three');
+  assert.equal(narrationSeconds(row, 'long'), (300 / NARRATION_WPM) * 60);
+  assert.equal(narrationText({ long_narration: 'only long' }), 'only long');
+  assert.equal(narrationText({}), null);
+});
+
+test('the queue replay delays overlapping narrations and reports back-to-back runs', () => {
+  const items = [
+    { id: 'a', entryM: 0, exitM: 60, speakS: 40 },
+    { id: 'b', entryM: 14, exitM: 30, speakS: 10 },   // triggers at 10 s, waits for a
+    { id: 'c', entryM: 77, exitM: 120, speakS: 5 },   // triggers at 55 s, 5 s after b
+    { id: 'd', entryM: 280, exitM: 300, speakS: 5 },  // 200 s: well clear
+  ];
+  const q = narrationQueue(items, { paceMps: 1.4, minGapS: 10, maxRun: 3 });
+  assert.deepEqual(q.items.map((i) => i.start_s), [0, 40, 55, 200]);
+  assert.equal(q.items[1].wait_s, 30);
+  assert.equal(q.items[1].after_exit, true);
+  assert.equal(q.items[0].gap_s, null);
+  near(q.items[2].gap_s, 5, 1e-9);
+  assert.equal(q.runs.length, 1);
+  assert.deepEqual(q.runs[0].ids, ['a', 'b', 'c']);
+  assert.equal(q.runs[0].from_m, 0);
+  assert.equal(q.runs[0].to_m, 120);
+  assert.equal(q.runs[0].talk_s, 55);
+  assert.deepEqual(narrationQueue(items, { paceMps: 1.4, minGapS: 10, maxRun: 4 }).runs, []);
+  assert.deepEqual(narrationQueue([], { paceMps: 1.4, minGapS: 10, maxRun: 2 }), { items: [], runs: [] });
+});
+
+function ll([lat, lng]) {
+  return { lat, lng };
+}
@@ -0,0 +1,63 @@
+/*
+ * LocationMapApp v1.5 — route-detour unit tests
+ *
+ * Built-in node:test runner (zero deps). Run with `npm test` in cache-proxy/.
+ * Orienteering solver on hand-built matrices; the router integration
+ * (/salem/route?detour_budget_s=) is covered in salem-router.test.js.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { detourPrize, resolveCategories, solveDetour } = require('../lib/route-detour');
+
+// Points on a line at these x positions; cost = |dx|. Node 0 = start (x 0),
+// node 1 = end (x 10).
+function lineMatrix(xs) {
+  const n = xs.length;
+  const m = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) for (let j = 0; j < n; j++) m[i * n + j] = Math.abs(xs[i] - xs[j]);
+  return m;
+}
+
+test('POIs on the way are free; the budget decides how far off it we go', () => {
+  // 2: on the way. 3: 2 past the end (costs 4). 4: 5 behind the start (costs 10).
+  const xs = [0, 10, 5, 12, -5];
+  const m = lineMatrix(xs);
+  const prizes = [0, 0, 1, 3, 5];
+  assert.deepEqual(solveDetour(m, 5, 0, 1, prizes, 10).order, [0, 2, 1]);
+  assert.deepEqual(solveDetour(m, 5, 0, 1, prizes, 14).order, [0, 2, 3, 1]);
+  const all = solveDetour(m, 5, 0, 1, prizes, 24);
+  assert.deepEqual(all.order, [0, 4, 2, 3, 1]);
+  assert.equal(all.cost, 24);
+  assert.equal(all.prize, 9);
+});
+
+test('a richer POI displaces a cheaper one when both cannot fit', () => {
+  // 2 (prize 1) costs 2 extra, 3 (prize 4) costs 6 extra; budget allows one.
+  const xs = [0, 10, 11, -3];
+  const m = lineMatrix(xs);
+  const r = solveDetour(m, 4, 0, 1, [0, 0, 1, 4], 16);
+  assert.deepEqual(r.order, [0, 3, 1]);
+  assert.equal(r.prize, 4);
+});
+
+test('no path between start and end is reported as infeasible', () => {
+  const m = Float64Array.from([0, Infinity, Infinity, 0]);
+  assert.equal(solveDetour(m, 2, 0, 1, [0, 0], 100).feasible, false);
+});
+
+test('detourPrize adds wave bonuses on top of the loop weight', () => {
+  assert.equal(detourPrize({ priority: 3 }), 3);
+  assert.equal(detourPrize({ priority: 3, wave: 1 }), 4);
+  assert.equal(detourPrize({ priority: 3, wave: 2 }), 3.5);
+  assert.equal(detourPrize({ priority: 1, wave: 3 }), 5);
+});
+
+test('categories accept category ids and loop themes', () => {
+  const c = resolveCategories('FOOD_DRINK, parks');
+  assert.deepEqual(c.ids, ['FOOD_DRINK', 'parks']);
+  assert.equal(c.match({ category: 'PARKS_REC' }), true);
+  assert.equal(c.match({ category: 'FOOD_DRINK' }), true);
+  assert.equal(c.match({ category: 'LODGING' }), false);
+  assert.equal(resolveCategories('').ids, null);
+  assert.equal(resolveCategories('food,ghosts'), null);
+});
@@ -0,0 +1,82 @@
+/*
+ * LocationMapApp v1.5 — route-loop unit tests
+ *
+ * Built-in node:test runner (zero deps). Run with `npm test` in cache-proxy/.
+ * Themes, weights and scoring only; building loops on a bundle is covered
+ * in salem-router.test.js.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  resolveTheme,
+  poiWeight,
+  poiBufferM,
+  offsetPoint,
+  planarM,
+  pickViaPoi,
+  poisAlongRoute,
+  loopScore,
+} = require('../lib/route-loop');
+
+test('themes match presets, bare category ids, or everything', () => {
+  const history = resolveTheme('History');
+  assert.equal(history.id, 'history');
+  assert.equal(history.match({ category: 'WORSHIP' }), true);
+  assert.equal(history.match({ category: 'FOOD_DRINK' }), false);
+  const witch = resolveTheme('witch');
+  assert.equal(witch.match({ category: 'HISTORICAL_BUILDINGS', is_tour_poi: true }), true);
+  assert.equal(resolveTheme('FOOD_DRINK').match({ category: 'FOOD_DRINK' }), true);
+  assert.equal(resolveTheme('').match({ category: 'ANYTHING' }), true);
+  assert.equal(resolveTheme('ghosts'), null);
+});
+
+test('priority 1 outweighs the default; tour and narrated POIs get a bump', () => {
+  assert.equal(poiWeight({ priority: 1 }), 5);
+  assert.equal(poiWeight({}), 3);
+  assert.equal(poiWeight({ priority: 9 }), 1);
+  assert.equal(poiWeight({ priority: 3, is_tour_poi: true, is_narrated: true }), 6);
+});
+
+test('geofence buffers are clamped', () => {
+  assert.equal(poiBufferM({}), 40);
+  assert.equal(poiBufferM({ geofence_radius_m: 5 }), 20);
+  assert.equal(poiBufferM({ geofence_radius_m: 150 }), 60);
+});
+
+test('offsetPoint walks the requested metres on a bearing', () => {
+  const [lat, lng] = offsetPoint(42.52, -70.9, 90, 200);
+  assert.equal(lat, 42.52);
+  assert.ok(Math.abs(planarM(42.52, -70.9, lat, lng) - 200) < 0.01);
+});
+
+test('pickViaPoi prefers weight, discounted by distance, and skips used ids', () => {
+  const near = { id: 'near', lat: 42.5201, lng: -70.9, priority: 3 };
+  const far = { id: 'far', lat: 42.5205, lng: -70.9, priority: 1 };
+  const out = { id: 'out', lat: 42.53, lng: -70.9, priority: 1 };
+  assert.equal(pickViaPoi([near, far, out], 42.52, -70.9, 100).poi.id, 'far');
+  assert.equal(pickViaPoi([near, far, out], 42.52, -70.9, 100, new Set(['far'])).poi.id, 'near');
+  assert.equal(pickViaPoi([out], 42.52, -70.9, 100), null);
+});
+
+test('poisAlongRoute lists passed POIs once, in walking order', () => {
+  // East along lat 42.52, then back west along 42.5205 (~55 m north).
+  const geometry = [[42.52, -70.9], [42.52, -70.896], [42.5205, -70.896], [42.5205, -70.9]];
+  const pois = [
+    { id: 'east_end', lat: 42.5201, lng: -70.8965 },
+    { id: 'start', lat: 42.52, lng: -70.8999 },
+    { id: 'off_route', lat: 42.522, lng: -70.898 },
+  ];
+  const hits = poisAlongRoute(geometry, pois);
+  assert.deepEqual(hits.map((h) => h.poi.id), ['start', 'east_end']);
+  assert.ok(hits[0].offsetM < 1);
+  assert.ok(hits[1].offsetM < 12);
+});
+
+test('loopScore rewards POI density and punishes misses and repeats', () => {
+  const base = { distanceM: 1000, targetM: 1000, repeatM: 0, weight: 10 };
+  assert.equal(loopScore(base), 11);
+  assert.ok(loopScore({ ...base, distanceM: 1200 }) < loopScore(base));
+  assert.ok(loopScore({ ...base, repeatM: 200 }) < loopScore(base));
+  assert.equal(loopScore({ ...base, weight: 0 }), 1);
+  assert.equal(loopScore({ ...base, distanceM: 0 }), 0);
+});
@@ -0,0 +1,76 @@
+/*
+ * LocationMapApp v1.5 — route-optimize unit tests
+ *
+ * Built-in node:test runner (zero deps). Run with `npm test` in cache-proxy/.
+ * Exercises the visiting-order solver on hand-built cost matrices: stops
+ * strung along a line, where the optimal order is obvious.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+
+const { solveVisitOrder, HELD_KARP_MAX } = require('../lib/route-optimize');
+
+// Stops at the given 1-D positions; cost = |a - b|.
+function lineMatrix(positions) {
+  const n = positions.length;
+  const m = new Float64Array(n * n);
+  for (let i = 0; i < n; i++) {
+    for (let j = 0; j < n; j++) m[i * n + j] = Math.abs(positions[i] - positions[j]);
+  }
+  return m;
+}
+
+test('open path with free ends walks the line end to end', () => {
+  const pos = [30, 0, 20, 10];
+  const r = solveVisitOrder(lineMatrix(pos), pos.length);
+  assert.equal(r.method, 'exact');
+  assert.equal(r.cost, 30);
+  const walked = r.order.map((i) => pos[i]);
+  assert.ok(
+    JSON.stringify(walked) === '[0,10,20,30]' || JSON.stringify(walked) === '[30,20,10,0]',
+    `unexpected order ${walked}`,
+  );
+});
+
+test('pinned start is visited first', () => {
+  const pos = [20, 0, 30, 10];
+  const r = solveVisitOrder(lineMatrix(pos), pos.length, { pinStart: true });
+  assert.equal(r.order[0], 0);
+  // From 20: go down to 0 then back up to 30 (20+30) or up first (10+30).
+  assert.equal(r.cost, 40);
+});
+
+test('pinned start and end bracket the order', () => {
+  const pos = [0, 30, 10, 20, 40];
+  const r = solveVisitOrder(lineMatrix(pos), pos.length, { pinStart: true, pinEnd: true });
+  assert.equal(r.order[0], 0);
+  assert.equal(r.order[r.order.length - 1], pos.length - 1);
+  assert.deepEqual(r.order.map((i) => pos[i]), [0, 10, 20, 30, 40]);
+});
+
+test('round trip cost includes the walk home', () => {
+  const pos = [0, 10, 20];
+  const r = solveVisitOrder(lineMatrix(pos), pos.length, { roundTrip: true });
+  assert.equal(r.order[0], 0);
+  assert.equal(r.cost, 40);
+});
+
+test('unreachable pair yields an infinite cost', () => {
+  const m = lineMatrix([0, 10, 20]);
+  m[0 * 3 + 1] = Infinity; m[1 * 3 + 0] = Infinity;
+  m[1 * 3 + 2] = Infinity; m[2 * 3 + 1] = Infinity;
+  const r = solveVisitOrder(m, 3);
+  assert.equal(r.cost, Infinity);
+});
+
+test('large inputs fall back to the heuristic and still untangle a line', () => {
+  const n = HELD_KARP_MAX + 8;
+  const pos = [];
+  for (let i = 0; i < n; i++) pos.push(((i * 5) % n) * 10); // 5 is coprime with 21, so a permutation
+  const r = solveVisitOrder(lineMatrix(pos), n, { pinStart: true });
+  assert.equal(r.method, 'heuristic');
+  assert.equal(r.order.length, n);
+  assert.equal(new Set(r.order).size, n);
+  assert.equal(r.order[0], 0);
+  assert.equal(r.cost, (n - 1) * 10);
+});
@@ -0,0 +1,110 @@
+/*
+ * LocationMapApp v1.5 — route-overlay unit tests
+ *
+ * Built-in node:test runner (zero deps). Run with `npm test` in cache-proxy/.
+ * Normalizing salem_route_overlay rows and merging them into bundle edges.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  VIRTUAL_EDGE_ID_BASE,
+  DEFAULT_VIRTUAL_MTFCC,
+  encodePolyline,
+  parseLine,
+  toLineString,
+  normalizeOverlayRow,
+  overlayHash,
+  stripOverlay,
+  applyOverlay,
+} = require('../lib/route-overlay');
+
+const EDGES = [
+  { id: 10, source: 1, target: 2, length_m: 165, mtfcc: 'S1100', fullname: 'Essex St', geom_polyline: '42.52,-70.9;42.52,-70.898' },
+  { id: 11, source: 2, target: 3, length_m: 165, mtfcc: 'S1100', fullname: 'Essex St', geom_polyline: '42.52,-70.898;42.52,-70.896' },
+];
+const NODE_IDS = new Set([1, 2, 3]);
+
+const addRow = (id, fields = {}) => ({
+  id: String(id),
+  kind: 'add_edge',
+  source_node_id: '1',
+  target_node_id: '3',
+  geometry_json: { type: 'LineString', coordinates: [[-70.9, 42.52], [-70.898, 42.5205], [-70.896, 42.52]] },
+  length_m: null,
+  enabled: true,
+  ...fields,
+});
+const disableRow = (id, edgeId, fields = {}) => ({ id, kind: 'disable_edge', edge_id: String(edgeId), enabled: true, ...fields });
+
+test('rows normalize to virtual edges and disables; disabled rows drop out', () => {
+  const a = normalizeOverlayRow(addRow(7, { fullname: 'Common diagonal' }));
+  assert.equal(a.edgeId, VIRTUAL_EDGE_ID_BASE + 7);
+  assert.equal(a.mtfcc, DEFAULT_VIRTUAL_MTFCC);
+  assert.equal(a.fullname, 'Common diagonal');
+  // Length comes from the drawn line when the row doesn't carry one.
+  assert.ok(a.lengthM > 340 && a.lengthM < 350, `${a.lengthM}`);
+  assert.equal(normalizeOverlayRow(addRow(7, { length_m: '99.5' })).lengthM, 99.5);
+  assert.deepEqual(normalizeOverlayRow(addRow(7, { geometry_json: JSON.stringify([[1, 2], [3, 4]]) })).geometry, [[1, 2], [3, 4]]);
+  assert.deepEqual(a.geometry[1], [42.5205, -70.898]);
+
+  assert.deepEqual(normalizeOverlayRow(disableRow(8, 10)), { id: 8, kind: 'disable_edge', edgeId: 10 });
+  assert.equal(normalizeOverlayRow(disableRow(8, 10, { enabled: false })), null);
+  assert.equal(normalizeOverlayRow(addRow(9, { geometry_json: { type: 'LineString', coordinates: [[1, 2]] } })), null);
+  assert.equal(normalizeOverlayRow({ id: 1, kind: 'teleport' }), null);
+});
+
+test('applyOverlay adds virtual edges, removes disabled ones and skips stale rows', () => {
+  const overlay = [
+    addRow(1),
+    addRow(2, { target_node_id: '99' }),
+    disableRow(3, 10),
+    disableRow(4, 10),
+    disableRow(5, 12345),
+  ].map(normalizeOverlayRow);
+  const r = applyOverlay(EDGES, NODE_IDS, overlay);
+  assert.deepEqual(r.edges.map((e) => e.id), [11, VIRTUAL_EDGE_ID_BASE + 1]);
+  assert.deepEqual(r.applied.added, [VIRTUAL_EDGE_ID_BASE + 1]);
+  assert.deepEqual(r.applied.disabled, [10]);
+  assert.deepEqual(r.applied.skipped.map((s) => s.id), [2, 4, 5]);
+  assert.deepEqual(r.disabledRows, [EDGES[0]]);
+  const v = r.edges[1];
+  assert.equal(v.geom_polyline, '42.520000,-70.900000;42.520500,-70.898000;42.520000,-70.896000');
+  assert.deepEqual([v.source, v.target, v.step, v.bike_oneway], [1, 3, 0, 0]);
+  // The input is left alone.
+  assert.equal(EDGES.length, 2);
+});
+
+test('a disable can cut a virtual edge without parking it as a bundle row', () => {
+  const r = applyOverlay(EDGES, NODE_IDS, [addRow(1), disableRow(2, VIRTUAL_EDGE_ID_BASE + 1)].map(normalizeOverlayRow));
+  assert.deepEqual(r.edges.map((e) => e.id), [10, 11]);
+  assert.deepEqual(r.disabledRows, []);
+});
+
+test('stripOverlay undoes a bake, so re-applying gives the same graph', () => {
+  const overlay = [addRow(1), disableRow(2, 11)].map(normalizeOverlayRow);
+  const baked = applyOverlay(EDGES, NODE_IDS, overlay);
+  const restored = stripOverlay(baked.edges, baked.disabledRows);
+  assert.deepEqual(restored.map((e) => e.id).sort(), [10, 11]);
+  const again = applyOverlay(restored, NODE_IDS, overlay);
+  assert.deepEqual(again.edges.map((e) => e.id).sort(), baked.edges.map((e) => e.id).sort());
+  // A sidecar row the file still has is not duplicated.
+  assert.equal(stripOverlay(EDGES, [EDGES[0]]).length, 2);
+});
+
+test('the overlay hash ignores row order and sees content changes', () => {
+  const a = [addRow(1), disableRow(2, 10)].map(normalizeOverlayRow);
+  assert.equal(overlayHash(a), overlayHash([a[1], a[0]]));
+  assert.notEqual(overlayHash(a), overlayHash([a[0]]));
+  assert.notEqual(overlayHash([]), overlayHash(a));
+  assert.equal(encodePolyline([[42.1, -70.25]]), '42.100000,-70.250000');
+});
+
+test('lines parse from lat/lng arrays or GeoJSON and round-trip', () => {
+  const line = [[42.52, -70.9], [42.521, -70.899]];
+  assert.deepEqual(parseLine(toLineString(line)), line);
+  assert.deepEqual(parseLine({ type: 'Feature', geometry: toLineString(line) }), line);
+  assert.deepEqual(parseLine(JSON.stringify(line)), line);
+  assert.equal(parseLine({ type: 'Point', coordinates: [1, 2] }), null);
+  assert.equal(parseLine([[42.52, 'x'], [1, 2]]), null);
+  assert.equal(parseLine('{nope'), null);
+});
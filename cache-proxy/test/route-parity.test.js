@@ -0,0 +1,82 @@
+/*
+ * LocationMapApp v1.5 — route-parity unit tests
+ *
+ * Built-in node:test runner (zero deps). Run with `npm test` in cache-proxy/.
+ * Sampling, divergence and report statistics for the admin parity job.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  seededRandom,
+  samplePairs,
+  divergencePct,
+  percentile,
+  summarizeParity,
+  pairFeatureCollection,
+} = require('../lib/route-parity');
+const { planarM } = require('../lib/route-loop');
+
+test('the same seed draws the same pairs', () => {
+  const a = seededRandom(42);
+  const b = seededRandom(42);
+  const xs = Array.from({ length: 5 }, () => a());
+  assert.deepEqual(xs, Array.from({ length: 5 }, () => b()));
+  assert.ok(xs.every((x) => x >= 0 && x < 1));
+  assert.notDeepEqual(xs, Array.from({ length: 5 }, seededRandom(43)));
+});
+
+test('sampled pairs respect the distance window and give up on impossible ones', () => {
+  const points = [];
+  for (let i = 0; i < 10; i++) points.push([42.52 + i * 0.001, -70.9]);
+  const pairs = samplePairs(points, 20, { minM: 300, maxM: 600, random: seededRandom(7) });
+  assert.equal(pairs.length, 20);
+  for (const p of pairs) {
+    const d = planarM(p.from[0], p.from[1], p.to[0], p.to[1]);
+    assert.ok(d >= 300 && d <= 600, `${d}`);
+  }
+  assert.deepEqual(samplePairs(points, 5, { minM: 5000, maxM: 6000, random: seededRandom(7) }), []);
+  assert.deepEqual(samplePairs(points.slice(0, 1), 5, { minM: 0, maxM: 10, random: Math.random }), []);
+});
+
+test('divergence is relative to the bundle distance', () => {
+  assert.equal(divergencePct(200, 210), 5);
+  assert.equal(divergencePct(200, 190), 5);
+  assert.equal(divergencePct(0, 10), null);
+  assert.equal(divergencePct(200, null), null);
+});
+
+test('report statistics count failures separately from divergence', () => {
+  const rows = [
+    { bundle_m: 100, live_m: 100, divergence_pct: 0 },
+    { bundle_m: 100, live_m: 102, divergence_pct: 2 },
+    { bundle_m: 100, live_m: 110, divergence_pct: 10 },
+    { bundle_m: 100, live_m: 140, divergence_pct: 40 },
+    { bundle_m: null, live_m: 300, divergence_pct: null },
+  ];
+  assert.deepEqual(summarizeParity(rows, 5), {
+    pair_count: 5,
+    routed_count: 4,
+    bundle_failed_count: 1,
+    live_failed_count: 0,
+    diverged_count: 2,
+    threshold_pct: 5,
+    mean_pct: 13,
+    median_pct: 2,
+    p95_pct: 40,
+    max_pct: 40,
+  });
+  assert.equal(summarizeParity([], 5).mean_pct, null);
+  assert.equal(percentile([1, 2, 3, 4], 50), 2);
+});
+
+test('offender GeoJSON carries both routes as [lng, lat] LineStrings', () => {
+  const fc = pairFeatureCollection(
+    { index: 3, bundle_m: 120, live_m: 150 },
+    [[42.52, -70.9], [42.521, -70.9]],
+    [],
+  );
+  assert.equal(fc.type, 'FeatureCollection');
+  assert.equal(fc.features.length, 1);
+  assert.deepEqual(fc.features[0].geometry.coordinates[0], [-70.9, 42.52]);
+  assert.deepEqual(fc.features[0].properties, { source: 'bundle', pair_index: 3, distance_m: 120 });
+});
@@ -0,0 +1,74 @@
+/*
+ * LocationMapApp v1.5 — route-steps unit tests
+ *
+ * Built-in node:test runner (zero deps). Run with `npm test` in cache-proxy/.
+ * Edge lists are hand-built on a ~100 m grid around Salem Common.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildSteps } = require('../lib/route-steps');
+
+// ~0.0009° lat ≈ 100 m; ~0.0012° lng ≈ 100 m at 42.5°N.
+const P = (x, y) => [42.52 + y * 0.0009, -70.9 + x * 0.0012];
+
+function edge(fullname, from, to, mtfcc = 'S1400') {
+  return { fullname, mtfcc, length_m: 100, polyline: [P(...from), P(...to)] };
+}
+
+test('empty route has no steps', () => {
+  assert.deepEqual(buildSteps([], 1.4), []);
+});
+
+test('straight run on one street is depart + arrive', () => {
+  const steps = buildSteps([edge('Essex St', [0, 0], [1, 0]), edge('Essex St', [1, 0], [2, 0])], 1.4);
+  assert.deepEqual(steps.map((s) => s.type), ['depart', 'arrive']);
+  assert.equal(steps[0].instruction, 'Head east on Essex St');
+  assert.equal(steps[0].distance_m, 200);
+  assert.equal(steps[0].geometry.length, 3, 'shared junction vertex appears once');
+  assert.equal(steps[1].distance_m, 0);
+});
+
+test('left and right turns onto new streets', () => {
+  const steps = buildSteps([
+    edge('Essex St', [0, 0], [1, 0]),
+    edge('Hawthorne Blvd', [1, 0], [1, 1]),
+    edge('Brown St', [1, 1], [2, 1]),
+  ], 1.4);
+  assert.deepEqual(steps.map((s) => [s.type, s.modifier]), [
+    ['depart', null], ['turn', 'left'], ['turn', 'right'], ['arrive', null],
+  ]);
+  assert.equal(steps[1].instruction, 'Turn left onto Hawthorne Blvd');
+  assert.equal(steps[1].duration_s, Math.round((100 / 1.4) * 10) / 10);
+});
+
+test('name change without a turn is "continue onto"', () => {
+  const steps = buildSteps([edge('Essex St', [0, 0], [1, 0]), edge('Derby St', [1, 0], [2, 0])], 1.4);
+  assert.equal(steps[1].type, 'continue');
+  assert.equal(steps[1].instruction, 'Continue onto Derby St');
+});
+
+test('turning while staying on the same street is its own step', () => {
+  const steps = buildSteps([edge('Essex St', [0, 0], [1, 0]), edge('Essex St', [1, 0], [1, -1])], 1.4);
+  assert.equal(steps[1].modifier, 'right');
+  assert.equal(steps[1].instruction, 'Turn right to stay on Essex St');
+});
+
+test('unnamed ways are described by class and grouped', () => {
+  const steps = buildSteps([
+    edge('Essex St', [0, 0], [1, 0]),
+    edge(null, [1, 0], [1, 1], 'S1710'),
+    edge(null, [1, 1], [1, 2], 'S1710'),
+  ], 1.4);
+  assert.equal(steps.length, 3);
+  assert.equal(steps[1].instruction, 'Turn left onto the walkway');
+  assert.equal(steps[1].name, null);
+  assert.equal(steps[1].distance_m, 200);
+});
+
+test('sharp and slight modifiers', () => {
+  const sharp = buildSteps([edge('A St', [0, 0], [1, 0]), edge('B St', [1, 0], [0, 0.3])], 1.4);
+  assert.equal(sharp[1].modifier, 'sharp left');
+  const slight = buildSteps([edge('A St', [0, 0], [1, 0]), edge('B St', [1, 0], [2, -0.5])], 1.4);
+  assert.equal(slight[1].type, 'continue');
+  assert.equal(slight[1].instruction, 'Bear right onto B St');
+});
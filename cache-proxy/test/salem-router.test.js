@@ -0,0 +1,996 @@
+/*
+ * LocationMapApp v1.5 — salem-router unit tests
+ *
+ * Built-in node:test runner (zero deps). Run with `npm test` in cache-proxy/.
+ * Builds a tiny fixture routing bundle (same schema as
+ * tools/routing-bake/SCHEMA.md) in the OS temp dir and points the router at
+ * it via SALEM_ROUTING_BUNDLE, so no baked Salem graph is needed.
+ *
+ * Fixture graph (A→C has three ways round):
+ *
+ *        D ─── Common Path (S1710) ───┐
+ *       /                              \
+ *      A ── Essex St (S1100) ── B ───── C
+ *       \                              /
+ *        E ── Steps (S1720) ── Low St (S1400)
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const Database = require('better-sqlite3');
+
+const NODES = [
+  // id, lat, lng
+  [1, 42.5200, -70.9000], // A
+  [2, 42.5200, -70.8980], // B
+  [3, 42.5200, -70.8960], // C
+  [4, 42.5210, -70.8980], // D
+  [5, 42.5190, -70.8980], // E
+];
+const EDGES = [
+  // id, source, target, length_m, mtfcc, fullname
+  [10, 1, 2, 165, 'S1100', 'Essex St'],
+  [11, 2, 3, 165, 'S1100', 'Essex St'],
+  [12, 1, 4, 190, 'S1710', 'Common Path'],
+  [13, 4, 3, 190, 'S1710', 'Common Path'],
+  [14, 1, 5, 120, 'S1720', 'Steps'],
+  [15, 5, 3, 130, 'S1400', 'Low St'],
+];
+
+// opts.v2: { edge_id: { surface, bike_oneway, step } } writes a schema v2
+// bundle with the optional per-edge attribute columns.
+function buildFixtureBundle(file, opts = {}) {
+  if (fs.existsSync(file)) fs.unlinkSync(file);
+  const db = new Database(file);
+  const v2 = opts.v2 || null;
+  db.exec(`
+    CREATE TABLE meta (key TEXT PRIMARY KEY, value TEXT);
+    CREATE TABLE nodes (id INTEGER PRIMARY KEY, lat REAL, lng REAL, walkable INTEGER);
+    CREATE TABLE edges (id INTEGER PRIMARY KEY, source INTEGER, target INTEGER,
+                        length_m REAL, walk_cost REAL, mtfcc TEXT, fullname TEXT,
+                        geom_polyline TEXT
+                        ${v2 ? ', surface TEXT, bike_oneway INTEGER, step INTEGER' : ''});
+  `);
+  const byId = new Map(NODES.map((n) => [n[0], n]));
+  const insNode = db.prepare('INSERT INTO nodes VALUES (?, ?, ?, 1)');
+  for (const [id, lat, lng] of NODES) insNode.run(id, lat, lng);
+  const insEdge = db.prepare(`INSERT INTO edges VALUES (?, ?, ?, ?, ?, ?, ?, ?${v2 ? ', ?, ?, ?' : ''})`);
+  for (const [id, s, t, len, mtfcc, name] of EDGES) {
+    const a = byId.get(s), b = byId.get(t);
+    const row = [id, s, t, len, len / 1.4, mtfcc, name, `${a[1]},${a[2]};${b[1]},${b[2]}`];
+    if (v2) {
+      const attrs = v2[id] || {};
+      row.push(attrs.surface ?? null, attrs.bike_oneway ?? 0, attrs.step ?? 0);
+    }
+    insEdge.run(...row);
+  }
+  const insMeta = db.prepare('INSERT INTO meta VALUES (?, ?)');
+  insMeta.run('schema_version', v2 ? '2' : '1');
+  insMeta.run('built_at', opts.builtAt || '2026-01-01T00:00:00+00:00');
+  insMeta.run('walking_pace_mps', '1.4');
+  insMeta.run('node_count', String(NODES.length));
+  insMeta.run('edge_count', String(EDGES.length));
+  db.close();
+}
+
+const BUNDLE_FILE = path.join(os.tmpdir(), `salem-router-test-${process.pid}.sqlite`);
+buildFixtureBundle(BUNDLE_FILE);
+process.env.SALEM_ROUTING_BUNDLE = BUNDLE_FILE;
+// Reloads are driven explicitly via router._reloadBundle() below.
+process.env.SALEM_ROUTING_WATCH = '0';
+
+// Minimal express stand-in: records handlers so tests can also hit routes.
+function fakeApp() {
+  const routes = new Map();
+  return {
+    routes,
+    get: (p, h) => routes.set(`GET ${p}`, h),
+    post: (p, h) => routes.set(`POST ${p}`, h),
+  };
+}
+
+const app = fakeApp();
+const router = require('../lib/salem-router')(app, {});
+const CANARY_FILE = path.join(os.tmpdir(), `salem-router-canaries-${process.pid}.json`);
+process.on('exit', () => {
+  for (const f of [BUNDLE_FILE, CANARY_FILE]) {
+    try { fs.unlinkSync(f); } catch { /* already gone */ }
+  }
+});
+
+function edgeIds(r) {
+  return r.edges.map((e) => e.edge_id);
+}
+
+const A = NODES[0], C = NODES[2];
+
+test('fixture bundle loads', () => {
+  const b = router._bundle();
+  assert.ok(b, 'bundle should load from SALEM_ROUTING_BUNDLE');
+  assert.equal(b.nodeCount, 5);
+  assert.equal(b.edgeCount, 6);
+});
+
+test('default profile takes the shortest walk (stairs included)', () => {
+  const r = router._route(A[1], A[2], C[1], C[2]);
+  assert.deepEqual(edgeIds(r), [14, 15]);
+  assert.equal(r.distanceM, 250);
+});
+
+test('wheelchair profile never uses stairs and avoids the arterial', () => {
+  const r = router._route(A[1], A[2], C[1], C[2], 'wheelchair');
+  assert.deepEqual(edgeIds(r), [12, 13]);
+  // Reported distance is true metres, not weighted cost.
+  assert.equal(r.distanceM, 380);
+});
+
+test('stroller profile prefers the path over stairs and Essex St', () => {
+  const r = router._route(A[1], A[2], C[1], C[2], 'stroller');
+  assert.deepEqual(edgeIds(r), [12, 13]);
+});
+
+test('edge-point routing honours the profile', () => {
+  const r = router._routeEx(
+    { lat: A[1], lng: A[2], edge_id: 10, edge_fraction: 0 },
+    { lat: C[1], lng: C[2] },
+    'wheelchair',
+  );
+  assert.ok(r);
+  assert.ok(!edgeIds(r).includes(14), 'wheelchair route must not include the stairway');
+});
+
+test('unknown profile throws for in-process callers', () => {
+  assert.throws(() => router._route(A[1], A[2], C[1], C[2], 'jetpack'), /unknown routing profile/);
+  assert.deepEqual(router._profiles(), ['default', 'wheelchair', 'stroller', 'quiet']);
+});
+
+test('GET /salem/route rejects an unknown profile with 400', async () => {
+  const handler = app.routes.get('GET /salem/route');
+  let status = 200, body = null;
+  const res = {
+    status(c) { status = c; return this; },
+    json(b) { body = b; return this; },
+  };
+  await handler({ query: { from_lat: A[1], from_lng: A[2], to_lat: C[1], to_lng: C[2], profile: 'jetpack' } }, res);
+  assert.equal(status, 400);
+  assert.match(body.error, /profile must be one of/);
+});
+
+test('optimize reorders stops and reports the saving', () => {
+  const B = NODES[1], D = NODES[3];
+  // Input order zig-zags A → C → B → D; best open path with A pinned is
+  // A → B → C → D (or via D first), never back and forth through C.
+  const stops = [A, C, B, D].map((n) => ({ lat: n[1], lng: n[2] }));
+  const r = router._optimizeOrder(stops, { pinStart: true });
+  assert.ok(r.feasible);
+  assert.equal(r.order[0], 0);
+  assert.equal(r.order.length, 4);
+  assert.ok(r.distanceM <= r.inputDistanceM, 'optimized order must not be longer');
+  assert.equal(r.legs.length, 3);
+});
+
+// ── Isochrones ──────────────────────────────────────────────────────────────
+
+// Second router instance with a stub pool so the handler's salem_pois lookup
+// runs without a database. E sits at the foot of the stairs, C at the far end.
+const isoApp = fakeApp();
+const isoRouter = require('../lib/salem-router')(isoApp, {
+  pgPool: {
+    query: async () => ({
+      rows: [
+        { id: 'poi_e', name: 'Stair Foot', lat: NODES[4][1], lng: NODES[4][2], category: 'HISTORICAL_LANDMARKS', priority: 1 },
+        { id: 'poi_c', name: 'Far Corner', lat: C[1], lng: C[2], category: 'FOOD_DRINK', priority: 3 },
+      ],
+    }),
+  },
+});
+
+async function isochrone(query) {
+  let status = 200, body = null;
+  const res = {
+    status(c) { status = c; return this; },
+    json(b) { body = b; return this; },
+  };
+  await isoApp.routes.get('GET /salem/isochrone')({ query }, res);
+  return { status, body };
+}
+
+function ringContains(ring, lng, lat) {
+  let inside = false;
+  for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+    const [xi, yi] = ring[i], [xj, yj] = ring[j];
+    if ((yi > lat) !== (yj > lat) && lng < ((xj - xi) * (lat - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+function bandContains(feature, lat, lng) {
+  return feature.geometry.coordinates.some((poly) =>
+    ringContains(poly[0], lng, lat) && !poly.slice(1).some((h) => ringContains(h, lng, lat)));
+}
+
+test('isochrone returns one band per minute value, nested', async () => {
+  // 1.4 m/s → 2 min = 168 m, 4 min = 336 m.
+  const { status, body } = await isochrone({ lat: A[1], lng: A[2], minutes: '4,2' });
+  assert.equal(status, 200);
+  const [two, four] = body.isochrones.features;
+  assert.deepEqual([two.properties.minutes, four.properties.minutes], [2, 4]);
+  assert.ok(bandContains(two, A[1], A[2]));
+  assert.ok(bandContains(two, NODES[4][1], NODES[4][2]), 'E (120 m) inside 2 min');
+  assert.ok(!bandContains(two, C[1], C[2]), 'C (250 m) outside 2 min');
+  assert.ok(bandContains(four, C[1], C[2]), 'C inside 4 min');
+});
+
+test('isochrone lists reachable POIs by walk time with their band', async () => {
+  const { body } = await isochrone({ lat: A[1], lng: A[2], minutes: '2,4' });
+  assert.deepEqual(body.pois.map((p) => [p.id, p.band_minutes]), [['poi_e', 2], ['poi_c', 4]]);
+  assert.equal(body.pois[0].walk_m, 120);
+});
+
+test('wheelchair isochrone drops stairs but keeps real-metre budgets', async () => {
+  const { body } = await isochrone({ lat: A[1], lng: A[2], minutes: '2,4', profile: 'wheelchair' });
+  // E is only reachable by the stairs (or the long way round via C, 460 m).
+  // C comes in at Essex St's real 330 m — the arterial's 1.3× weighting
+  // steers routes, it doesn't shrink the isochrone.
+  assert.deepEqual(body.pois.map((p) => p.id), ['poi_c']);
+  assert.equal(body.pois[0].walk_m, 330);
+  assert.ok(!bandContains(body.isochrones.features[0], NODES[4][1], NODES[4][2]));
+});
+
+test('isochrone validates minutes', async () => {
+  assert.equal((await isochrone({ lat: A[1], lng: A[2], minutes: '0' })).status, 400);
+  assert.equal((await isochrone({ lat: A[1], lng: A[2], minutes: '90' })).status, 400);
+  assert.equal((await isochrone({ lat: A[1], lng: A[2], minutes: '1,2,3,4,5,6,7' })).status, 400);
+  assert.equal((await isochrone({ lat: A[1] })).status, 400);
+});
+
+// ── Round-trip loops ────────────────────────────────────────────────────────
+//
+// Three loops go round the fixture from A: A-E-C-B-A (580 m),
+// A-D-C-E-A (630 m) and A-D-C-B-A (710 m). 8 minutes at 1.4 m/s is 672 m.
+
+async function loop(query) {
+  let status = 200, body = null;
+  const res = {
+    status(c) { status = c; return this; },
+    json(b) { body = b; return this; },
+  };
+  await isoApp.routes.get('GET /salem/route/loop')({ query }, res);
+  return { status, body };
+}
+
+test('loop returns round trips near the target length, best first', async () => {
+  const { status, body } = await loop({ lat: A[1], lng: A[2], minutes: '8' });
+  assert.equal(status, 200);
+  assert.equal(body.target_m, 672);
+  assert.equal(body.poi_count, 2);
+  assert.deepEqual(body.loops.map((l) => l.distance_m), [630, 710]);
+  for (const l of body.loops) {
+    assert.deepEqual(l.geometry[0], [A[1], A[2]]);
+    assert.deepEqual(l.geometry[l.geometry.length - 1], [A[1], A[2]]);
+    assert.equal(l.repeat_pct, 0);
+    assert.equal(l.steps[l.steps.length - 1].instruction, 'Arrive at your destination');
+  }
+  assert.ok(body.loops[0].score > body.loops[1].score);
+  // A-D-C-E-A passes the far corner before the stair foot.
+  assert.deepEqual(body.loops[0].pois.map((p) => p.id), ['poi_c', 'poi_e']);
+  assert.ok(body.loops[0].pois[0].along_m < body.loops[0].pois[1].along_m);
+});
+
+test('loop themes decide which POIs count', async () => {
+  const history = (await loop({ lat: A[1], lng: A[2], minutes: '8', theme: 'history' })).body;
+  assert.deepEqual(history.theme, { id: 'history', label: 'Historic sites' });
+  assert.equal(history.poi_count, 1);
+  assert.deepEqual(history.loops[0].pois.map((p) => p.id), ['poi_e']);
+  const food = (await loop({ lat: A[1], lng: A[2], minutes: '8', theme: 'FOOD_DRINK' })).body;
+  assert.deepEqual(food.loops.map((l) => l.pois.map((p) => p.id)), [['poi_c'], ['poi_c']]);
+});
+
+test('wheelchair loops stay off the stairs', async () => {
+  const { status, body } = await loop({ lat: A[1], lng: A[2], minutes: '8', profile: 'wheelchair' });
+  assert.equal(status, 200);
+  // Only A-D-C-B-A avoids them; a via can't sit on the steps either.
+  assert.deepEqual(body.loops.map((l) => l.distance_m), [710]);
+  for (const l of body.loops) assert.ok(!edgeIds(l).includes(14));
+});
+
+test('loop validates its parameters', async () => {
+  const at = { lat: A[1], lng: A[2] };
+  assert.equal((await loop(at)).status, 400);
+  assert.equal((await loop({ ...at, minutes: '3' })).status, 400);
+  assert.equal((await loop({ ...at, minutes: '200' })).status, 400);
+  assert.equal((await loop({ ...at, minutes: '8', theme: 'ghosts' })).status, 400);
+  assert.equal((await loop({ ...at, minutes: '8', candidates: '9' })).status, 400);
+  assert.equal((await loop({ ...at, minutes: '8', profile: 'bike' })).status, 400);
+  // Nothing near 30 minutes fits in a 1 km graph.
+  assert.equal((await loop({ ...at, minutes: '30' })).status, 404);
+});
+
+test('in-process loops match the endpoint for the admin draft-tour flow', async () => {
+  const r = await isoRouter._loops(A[1], A[2], 8, 'history', 'default', 1);
+  assert.equal(r.loops.length, 1);
+  assert.equal(r.loops[0].distance_m, 630);
+  assert.equal(r.loops[0].vias.length, 2);
+  assert.ok(r.loops[0].vias.every((v) => v.edge_id != null && v.edge_fraction != null));
+  assert.ok(r.loops[0].vias[0].along_m < r.loops[0].vias[1].along_m);
+  await assert.rejects(() => isoRouter._loops(A[1], A[2], 8, 'ghosts'), /unknown loop theme/);
+});
+
+// ── Turn-by-turn steps ──────────────────────────────────────────────────────
+
+test('bundle route responses carry turn-by-turn steps', async () => {
+  let body = null;
+  const res = { status() { return this; }, json(b) { body = b; return this; } };
+  await app.routes.get('GET /salem/route')({ query: { from_lat: A[1], from_lng: A[2], to_lat: C[1], to_lng: C[2] } }, res);
+  // A → E runs southeast down the steps, E → C turns left up Low St.
+  assert.deepEqual(body.steps.map((s) => s.instruction), [
+    'Head southeast on Steps',
+    'Turn left onto Low St',
+    'Arrive at your destination',
+  ]);
+  assert.equal(body.steps[0].distance_m + body.steps[1].distance_m, body.distance_m);
+});
+
+test('in-process routes get steps too (admin compute-route)', () => {
+  const r = router._routeEx({ lat: A[1], lng: A[2] }, { lat: C[1], lng: C[2] });
+  assert.equal(r.steps[r.steps.length - 1].type, 'arrive');
+});
+
+// ── Alternative routes ──────────────────────────────────────────────────────
+
+async function routeQuery(query) {
+  let status = 200, body = null;
+  const res = { status(c) { status = c; return this; }, json(b) { body = b; return this; } };
+  await app.routes.get('GET /salem/route')({ query }, res);
+  return { status, body };
+}
+
+test('alternatives=N returns other ways round, within the stretch cap', async () => {
+  const { status, body } = await routeQuery({
+    from_lat: A[1], from_lng: A[2], to_lat: C[1], to_lng: C[2], alternatives: 2,
+  });
+  assert.equal(status, 200);
+  // Primary route is unchanged (stairs); Essex St (330 m) is the only other
+  // way within 1.5× — Common Path (380 m) is over the stretch cap.
+  assert.equal(body.distance_m, 250);
+  assert.equal(body.alternatives.length, 1);
+  const alt = body.alternatives[0];
+  assert.equal(alt.rank, 1);
+  assert.deepEqual(edgeIds(alt), [10, 11]);
+  assert.equal(alt.overlap_pct, 0);
+  assert.equal(alt.stretch, 1.32);
+  assert.equal(alt.steps[alt.steps.length - 1].type, 'arrive');
+});
+
+test('alternatives honour the profile', () => {
+  // Wheelchair can't take the stairs: best is Common Path, Essex St next.
+  const routes = router._routeAlternatives({ lat: A[1], lng: A[2] }, { lat: C[1], lng: C[2] }, 3, 'wheelchair');
+  assert.deepEqual(routes.map((a) => edgeIds(a.route)), [[12, 13], [10, 11]]);
+  assert.ok(routes[1].route.steps.length > 0);
+});
+
+test('alternatives validates its parameters', async () => {
+  const q = { from_lat: A[1], from_lng: A[2], to_lat: C[1], to_lng: C[2] };
+  assert.equal((await routeQuery({ ...q, alternatives: 9 })).status, 400);
+  assert.equal((await routeQuery({ ...q, alternatives: 1, max_overlap: 120 })).status, 400);
+  assert.equal((await routeQuery({ ...q, alternatives: 1, source: 'live' })).status, 400);
+  const none = await routeQuery({ ...q, alternatives: 0 });
+  assert.equal(none.body.alternatives, undefined);
+});
+
+// ── Sightseeing detours ─────────────────────────────────────────────────────
+//
+// A → B is 165 m straight down Essex St. The stub POIs sit at E (priority 1,
+// history) and C (priority 3, food); A-E-C-B visits both in 415 m.
+
+const B = NODES[1];
+const AB = { from_lat: A[1], from_lng: A[2], to_lat: B[1], to_lng: B[2] };
+
+async function detourQuery(query) {
+  let status = 200, body = null;
+  const res = { status(c) { status = c; return this; }, json(b) { body = b; return this; } };
+  await isoApp.routes.get('GET /salem/route')({ query }, res);
+  return { status, body };
+}
+
+test('a detour budget bends the route past the best POIs that fit', async () => {
+  const { status, body } = await detourQuery({ ...AB, detour_budget_s: '300' });
+  assert.equal(status, 200);
+  assert.deepEqual(edgeIds(body), [14, 15, 11]);
+  assert.equal(body.distance_m, 415);
+  assert.equal(body.detour.base_distance_m, 165);
+  assert.equal(body.detour.used_s, Math.round((250 / 1.4) * 10) / 10);
+  assert.equal(body.detour.candidate_count, 2);
+  assert.deepEqual(body.detour.pois.map((p) => [p.id, p.chosen]), [['poi_e', true], ['poi_c', true]]);
+});
+
+test('a budget too small for any POI keeps the direct route', async () => {
+  const { body } = await detourQuery({ ...AB, detour_budget_s: '60' });
+  assert.deepEqual(edgeIds(body), [10]);
+  assert.equal(body.detour.used_s, 0);
+  assert.deepEqual(body.detour.pois, []);
+});
+
+test('detour categories limit which POIs count', async () => {
+  const { body } = await detourQuery({ ...AB, detour_budget_s: '300', categories: 'history' });
+  assert.deepEqual(body.detour.categories, ['history']);
+  // The route still runs through C on the way back from E; C just doesn't count.
+  assert.deepEqual(body.detour.pois.map((p) => p.id), ['poi_e']);
+  const food = (await detourQuery({ ...AB, detour_budget_s: '300', categories: 'FOOD_DRINK' })).body;
+  assert.deepEqual(food.detour.pois.map((p) => [p.id, p.chosen]), [['poi_c', true]]);
+});
+
+test('detours without PG fall back to the direct route', async () => {
+  const { status, body } = await routeQuery({ ...AB, detour_budget_s: '300' });
+  assert.equal(status, 200);
+  assert.deepEqual(edgeIds(body), [10]);
+  assert.equal(body.detour.candidate_count, null);
+});
+
+test('detour parameters are validated', async () => {
+  for (const extra of [
+    { detour_budget_s: '0' },
+    { detour_budget_s: '9000' },
+    { detour_budget_s: 'soon' },
+    { categories: 'history' },
+    { detour_budget_s: '300', categories: 'ghosts' },
+    { detour_budget_s: '300', alternatives: '1' },
+    { detour_budget_s: '300', source: 'live' },
+  ]) {
+    assert.equal((await detourQuery({ ...AB, ...extra })).status, 400, JSON.stringify(extra));
+  }
+});
+
+// ── Walking matrix ──────────────────────────────────────────────────────────
+
+// Drives the streaming handler with a response stub that collects writes.
+async function matrix(body) {
+  let status = 200, json = null, text = '';
+  const res = {
+    status(c) { status = c; return this; },
+    json(b) { json = b; return this; },
+    setHeader() {},
+    write(chunk) { text += chunk; },
+    end(chunk) { if (chunk) text += chunk; },
+  };
+  await app.routes.get('POST /salem/route/matrix')({ body }, res);
+  return { status, body: json || JSON.parse(text) };
+}
+
+const pt = (n) => ({ lat: n[1], lng: n[2] });
+
+test('matrix streams real walking metres per source row', async () => {
+  const [, B, , D, E] = NODES;
+  const { status, body } = await matrix({ sources: [pt(A), pt(B)], targets: [pt(C), pt(D), pt(E)] });
+  assert.equal(status, 200);
+  assert.equal(body.rows.length, 2);
+  assert.deepEqual(body.rows[0].distances_m, [250, 190, 120]);
+  assert.deepEqual(body.rows[1].distances_m, [165, 355, 285]);
+  assert.equal(body.rows[0].durations_s[1], Math.round((190 / 1.4) * 10) / 10);
+});
+
+test('matrix profiles change the path, not the unit', async () => {
+  const { body } = await matrix({ sources: [pt(A)], targets: [pt(C)], profile: 'wheelchair' });
+  // Common Path, in metres — not the weighted cost.
+  assert.deepEqual(body.rows[0].distances_m, [380]);
+});
+
+test('matrix reports unsnappable points and same-edge pairs', async () => {
+  const { body } = await matrix({ sources: [{ lat: 43.5, lng: -70.9 }, pt(A)], targets: [{ lat: 43.5, lng: -70.9 }] });
+  assert.deepEqual(body.unresolved_sources, [0]);
+  assert.deepEqual(body.unresolved_targets, [0]);
+  assert.equal(body.rows[0].distances_m, null);
+  assert.deepEqual(body.rows[1].distances_m, [null]);
+
+  const m = router._matrix(
+    [{ lat: A[1], lng: A[2], edge_id: 10, edge_fraction: 0.25 }],
+    [{ lat: A[1], lng: A[2], edge_id: 10, edge_fraction: 0.75 }],
+  );
+  assert.equal(m.distancesM[0], 82.5);
+});
+
+test('matrix validates input and caps its size', async () => {
+  assert.equal((await matrix({ sources: [pt(A)] })).status, 400);
+  assert.equal((await matrix({ sources: [pt(A)], targets: [{ lat: 'x', lng: 1 }] })).status, 400);
+  assert.equal((await matrix({ sources: [pt(A)], targets: [pt(C)], profile: 'jetpack' })).status, 400);
+  const many = Array.from({ length: 501 }, () => pt(A));
+  assert.equal((await matrix({ sources: many, targets: [pt(C)] })).status, 400);
+  const big = Array.from({ length: 2000 }, () => pt(A));
+  assert.equal((await matrix({ sources: many.slice(0, 200), targets: big })).status, 400);
+});
+
+// ── Map-matching ────────────────────────────────────────────────────────────
+
+async function match(body) {
+  let status = 200, out = null;
+  const res = { status(c) { status = c; return this; }, json(b) { out = b; return this; } };
+  await app.routes.get('POST /salem/route/match')({ body }, res);
+  return { status, body: out };
+}
+
+// A noisy walk east along Essex St, ~11 m north of the centreline.
+const ESSEX_WALK = [-70.8995, -70.8990, -70.8985, -70.8975, -70.8970, -70.8965]
+  .map((lng, i) => ({ lat: 42.5201, lng, time: 1777636800000 + i * 30000 }));
+
+test('match aligns a walked track to the edges it followed', async () => {
+  const { status, body } = await match({ points: ESSEX_WALK });
+  assert.equal(status, 200);
+  assert.equal(body.matched_count, ESSEX_WALK.length);
+  assert.equal(body.segments.length, 1);
+  assert.deepEqual(body.segments[0].edges.map((e) => e.edge_id), [10, 11]);
+  assert.deepEqual(body.gaps, []);
+  for (const p of body.points) {
+    assert.ok(p.snap_m > 10 && p.snap_m < 12, `snap_m ${p.snap_m}`);
+    assert.ok(p.confidence > 0.5);
+    assert.equal(p.snap_lat, 42.52);
+  }
+  assert.equal(body.points[0].time, '2026-05-01T12:00:00.000Z');
+  // First to last fix is 0.003° of lng; Essex St edges bake 165 m per 0.002°.
+  assert.equal(body.segments[0].distance_m, 247.5);
+});
+
+test('match reports off-graph runs as gaps and splits segments', async () => {
+  const points = ESSEX_WALK.slice();
+  // Two fixes ~330 m north of anything walkable in the fixture.
+  points.splice(3, 0, { lat: 42.5230, lng: -70.8980 }, { lat: 42.5231, lng: -70.8978 });
+  const { body } = await match({ points });
+  assert.equal(body.matched_count, ESSEX_WALK.length);
+  assert.equal(body.segments.length, 2);
+  assert.deepEqual(body.gaps.map((g) => [g.kind, g.from_point, g.to_point, g.unmatched_points]), [
+    ['off_graph', 2, 5, 2],
+  ]);
+  assert.equal(body.points[3].matched, false);
+  assert.equal(body.points[3].segment, null);
+});
+
+test('match accepts GPX and validates input', async () => {
+  const gpx = '<gpx><trk><trkseg>' +
+    ESSEX_WALK.map((p) => `<trkpt lat="${p.lat}" lon="${p.lng}"/>`).join('') +
+    '</trkseg></trk></gpx>';
+  const { body } = await match({ gpx });
+  assert.equal(body.point_count, ESSEX_WALK.length);
+  assert.equal(body.points[0].time, null);
+
+  assert.equal((await match({})).status, 400);
+  assert.equal((await match({ gpx: '<gpx/>' })).status, 400);
+  assert.equal((await match({ points: [{ lat: 1 }] })).status, 400);
+  assert.equal((await match({ points: ESSEX_WALK, sigma_m: 0 })).status, 400);
+  assert.equal((await match({ points: ESSEX_WALK, search_m: 500 })).status, 400);
+});
+
+// ── Street closures ─────────────────────────────────────────────────────────
+
+const HOUR = 3600 * 1000;
+const NOW = Date.now();
+function closureRow(id, fields) {
+  return {
+    id,
+    name: `closure ${id}`,
+    reason: null,
+    mode: 'closed',
+    starts_at: new Date(NOW - HOUR).toISOString(),
+    ends_at: new Date(NOW + HOUR).toISOString(),
+    polygon_json: null,
+    edge_ids: [],
+    updated_at: new Date(NOW).toISOString(),
+    ...fields,
+  };
+}
+// Small box around B: covers both Essex St edges and nothing else.
+const AROUND_B = {
+  type: 'Polygon',
+  coordinates: [[[-70.8985, 42.5198], [-70.8975, 42.5198], [-70.8975, 42.5202], [-70.8985, 42.5202], [-70.8985, 42.5198]]],
+};
+const q = { from_lat: A[1], from_lng: A[2], to_lat: C[1], to_lng: C[2] };
+
+test('an active edge closure reroutes public requests, not in-process legs', async () => {
+  router._setClosures([closureRow(1, { edge_ids: ['14'], reason: 'Haunted Happenings' })]);
+  try {
+    const { status, body } = await routeQuery(q);
+    assert.equal(status, 200);
+    assert.deepEqual(edgeIds(body), [10, 11]);
+    assert.deepEqual(body.closures.map((c) => [c.id, c.mode, c.reason]), [[1, 'closed', 'Haunted Happenings']]);
+    // After the window the stairs are back.
+    const later = await routeQuery({ ...q, at: new Date(NOW + 2 * HOUR).toISOString() });
+    assert.deepEqual(edgeIds(later.body), [14, 15]);
+    assert.deepEqual(later.body.closures, []);
+    // Tour legs keep routing on the open graph.
+    assert.deepEqual(edgeIds(router._route(A[1], A[2], C[1], C[2])), [14, 15]);
+    assert.equal((await routeQuery({ ...q, at: 'next tuesday' })).status, 400);
+  } finally {
+    router._setClosures([]);
+  }
+});
+
+test('polygon closures resolve to the edges they touch; avoid only penalises', async () => {
+  router._setClosures([
+    closureRow(2, { polygon_json: AROUND_B, mode: 'avoid' }),
+    closureRow(3, { edge_ids: [14] }),
+  ]);
+  try {
+    assert.deepEqual(router._closureEdges(closureRow(2, { polygon_json: AROUND_B, edge_ids: [99] })), {
+      edge_ids: [10, 11],
+      missing_edge_ids: [99],
+    });
+    // Stairs closed, Essex St ×5: Common Path wins.
+    const { body } = await routeQuery(q);
+    assert.deepEqual(edgeIds(body), [12, 13]);
+    const m = await matrix({ sources: [pt(A)], targets: [pt(C)] });
+    assert.deepEqual(m.body.rows[0].distances_m, [380]);
+  } finally {
+    router._setClosures([]);
+  }
+});
+
+test('isochrones drop closed edges but keep real metres on avoided ones', async () => {
+  isoRouter._setClosures([
+    closureRow(2, { polygon_json: AROUND_B, mode: 'avoid' }),
+    closureRow(3, { edge_ids: [14] }),
+  ]);
+  try {
+    // 2 min = 168 m: B (165 m down Essex St) is still in; E (120 m, but
+    // only via the closed stairs) is not.
+    const { body } = await isochrone({ lat: A[1], lng: A[2], minutes: '2' });
+    const [two] = body.isochrones.features;
+    assert.ok(bandContains(two, NODES[1][1], NODES[1][2]), 'B inside 2 min');
+    assert.ok(!bandContains(two, NODES[4][1], NODES[4][2]), 'E cut off by the closure');
+    assert.deepEqual(body.closures.map((c) => c.id), [2, 3]);
+  } finally {
+    isoRouter._setClosures([]);
+  }
+});
+
+test('legClosures flags legs that walk a closed edge, active or upcoming', () => {
+  router._setClosures([
+    closureRow(4, { edge_ids: [14] }),
+    closureRow(5, {
+      polygon_json: AROUND_B,
+      starts_at: new Date(NOW + HOUR).toISOString(),
+      ends_at: new Date(NOW + 3 * HOUR).toISOString(),
+    }),
+    closureRow(6, { edge_ids: [15], ends_at: new Date(NOW - 1).toISOString() }),
+  ]);
+  try {
+    const stairs = router._route(A[1], A[2], C[1], C[2]).geometry;
+    assert.deepEqual(router._legClosures(stairs).map((c) => [c.id, c.active]), [[4, true]]);
+    const essex = [[A[1], A[2]], [NODES[1][1], NODES[1][2]], [C[1], C[2]]];
+    assert.deepEqual(router._legClosures(essex).map((c) => [c.id, c.active]), [[5, false]]);
+    assert.deepEqual(router._legClosures(essex, NOW + 2 * HOUR).map((c) => [c.id, c.active]), [[5, true]]);
+  } finally {
+    router._setClosures([]);
+  }
+});
+
+// ── Batch snap ──────────────────────────────────────────────────────────────
+
+async function snap(body) {
+  let status = 200, out = null;
+  const res = { status(c) { status = c; return this; }, json(b) { out = b; return this; } };
+  await app.routes.get('POST /salem/route/snap')({ body }, res);
+  return { status, body: out };
+}
+
+test('batch snap returns one result per point, in order', async () => {
+  const { status, body } = await snap({
+    points: [
+      { lat: 42.5201, lng: -70.8990 }, // just north of Essex St (edge 10)
+      { lat: 42.5195, lng: -70.8961 }, // beside Low St near C (edge 15)
+      { lat: 43.5, lng: -70.9 },       // ~110 km away — nothing in range
+    ],
+  });
+  assert.equal(status, 200);
+  assert.equal(body.count, 3);
+  assert.equal(body.snapped, 2);
+  assert.deepEqual(body.results.map((r) => r.edge_id ?? null), [10, 15, null]);
+  assert.equal(body.results[0].snap_lat, 42.52);
+  assert.equal(body.results[2].snapped, false);
+});
+
+test('batch snap by node picks the nearest walkable node', async () => {
+  const { body } = await snap({ kind: 'node', points: [{ lat: 42.5209, lng: -70.8981 }] });
+  assert.equal(body.results[0].node_id, 4);
+});
+
+test('batch snap validates input', async () => {
+  assert.equal((await snap({})).status, 400);
+  assert.equal((await snap({ points: [{ lat: 'x', lng: 1 }] })).status, 400);
+  assert.equal((await snap({ points: [{ lat: 1, lng: 1 }], kind: 'poi' })).status, 400);
+  const many = Array.from({ length: 1001 }, () => ({ lat: A[1], lng: A[2] }));
+  assert.equal((await snap({ points: many })).status, 400);
+});
+
+// ── POIs along a route ──────────────────────────────────────────────────────
+//
+// Along A → B → C (Essex St, ~328 m). `words(n)` narrations speak n / 150
+// minutes: opening (40 s) fires at the start, cellar (10 s) queues behind it,
+// bakery is non-narrated, and the gallery near C is well clear of the rest.
+
+const { offsetPoint } = require('../lib/route-loop');
+const words = (n) => Array.from({ length: n }, (_, i) => `w${i}`).join(' ');
+const eastOf = (m, northM = 0) => {
+  const [lat, lng] = offsetPoint(A[1], A[2], 90, m);
+  return offsetPoint(lat, lng, 0, northM);
+};
+const CORRIDOR_POIS = [
+  { id: 'gallery', name: 'Gallery', lat: eastOf(300)[0], lng: eastOf(300)[1], geofence_radius_m: 20, is_narrated: true, short_narration: words(25) },
+  { id: 'opening', name: 'Opening', lat: A[1], lng: A[2], geofence_radius_m: 40, is_narrated: true, short_narration: words(100) },
+  { id: 'cellar', name: 'Cellar', lat: eastOf(60, 10)[0], lng: eastOf(60, 10)[1], geofence_radius_m: 10, is_narrated: true, short_narration: words(25), long_narration: words(250) },
+  { id: 'bakery', name: 'Bakery', lat: eastOf(120, 15)[0], lng: eastOf(120, 15)[1], geofence_radius_m: 10, is_narrated: false },
+  { id: 'museum', name: 'Museum', lat: eastOf(160, 120)[0], lng: eastOf(160, 120)[1], geofence_radius_m: 40, is_narrated: true, short_narration: words(50) },
+];
+const CORRIDOR_LEGS = [
+  { leg_order: 0, from_stop_id: '1', to_stop_id: '2', polyline_json: [[A[1], A[2]], [B[1], B[2]]] },
+  { leg_order: 1, from_stop_id: '2', to_stop_id: '3', polyline_json: [[B[1], B[2]], [C[1], C[2]]] },
+];
+const corridorApp = fakeApp();
+require('../lib/salem-router')(corridorApp, {
+  pgPool: {
+    query: async (sql, args) => {
+      if (sql.includes('salem_tour_legs')) {
+        if (args[0] !== 'essex') return { rows: [] };
+        return { rows: CORRIDOR_LEGS.filter((l) => args.length < 2 || l.leg_order === args[1]) };
+      }
+      return { rows: CORRIDOR_POIS };
+    },
+  },
+});
+
+async function corridor(body, target = corridorApp) {
+  let status = 200, json = null;
+  const res = { status(c) { status = c; return this; }, json(b) { json = b; return this; } };
+  await target.routes.get('POST /salem/route/corridor-pois')({ body }, res);
+  return { status, body: json };
+}
+
+const ABC = [[A[1], A[2]], [B[1], B[2]], [C[1], C[2]]];
+
+test('corridor-pois lists crossed geofences in walking order with the narration queue', async () => {
+  const { status, body } = await corridor({ geometry: ABC });
+  assert.equal(status, 200);
+  assert.equal(body.source, 'geometry');
+  assert.equal(body.corridor_m, 20);
+  assert.ok(Math.abs(body.length_m - 328.1) < 0.5);
+  assert.deepEqual(body.pois.map((p) => p.id), ['opening', 'cellar', 'bakery', 'gallery']);
+  const [opening, cellar, bakery, gallery] = body.pois;
+  assert.equal(opening.entry_fraction, 0);
+  assert.ok(Math.abs(opening.exit_m - 60) < 0.5);
+  assert.ok(Math.abs(cellar.entry_m - (60 - Math.sqrt(30 ** 2 - 10 ** 2))) < 0.5);
+  assert.ok(cellar.exit_fraction > cellar.entry_fraction);
+  assert.equal(bakery.narration, null);
+  assert.equal(opening.narration.speak_s, 40);
+  assert.equal(cellar.narration.start_s, 40);
+  assert.ok(cellar.narration.wait_s > 17);
+  assert.equal(cellar.narration.after_exit, false);
+  assert.equal(gallery.narration.wait_s, 0);
+  assert.equal(body.narrated_count, 3);
+  assert.deepEqual(body.back_to_back, []);
+});
+
+test('corridor-pois flags back-to-back narrations, and the corridor width counts', async () => {
+  const { body } = await corridor({ geometry: ABC, max_run: 2 });
+  assert.equal(body.back_to_back.length, 1);
+  assert.deepEqual(body.back_to_back[0].poi_ids, ['opening', 'cellar']);
+  assert.equal(body.back_to_back[0].talk_s, 50);
+  assert.equal(body.back_to_back[0].leg_order, null);
+  assert.equal(body.pois.find((p) => p.id === 'opening').narration.back_to_back, true);
+  const wide = (await corridor({ geometry: ABC, corridor_m: 100 })).body;
+  assert.ok(wide.pois.some((p) => p.id === 'museum'));
+  const long = (await corridor({ geometry: ABC, detail: 'long' })).body;
+  assert.equal(long.pois.find((p) => p.id === 'cellar').narration.words, 250);
+});
+
+test('corridor-pois walks a tour’s baked legs, or just one of them', async () => {
+  const { status, body } = await corridor({ tour_id: 'essex', max_run: 2 });
+  assert.equal(status, 200);
+  assert.equal(body.source, 'tour');
+  assert.deepEqual(body.pois.map((p) => [p.id, p.leg_order]),
+    [['opening', 0], ['cellar', 0], ['bakery', 0], ['gallery', 1]]);
+  assert.deepEqual(body.back_to_back.map((r) => [r.leg_order, r.from_stop_id, r.to_stop_id]), [[0, 1, 2]]);
+  const leg = (await corridor({ tour_id: 'essex', leg_order: 1 })).body;
+  assert.deepEqual(leg.pois.map((p) => [p.id, p.leg_order]), [['gallery', 1]]);
+  assert.equal((await corridor({ tour_id: 'essex', leg_order: 7 })).status, 404);
+  assert.equal((await corridor({ tour_id: 'nowhere' })).status, 404);
+});
+
+test('corridor-pois validates its input and needs PG', async () => {
+  for (const body of [
+    {},
+    { geometry: ABC, tour_id: 'essex' },
+    { geometry: [[A[1], A[2]]] },
+    { geometry: [[A[1], 'x'], [B[1], B[2]]] },
+    { geometry: ABC, corridor_m: 500 },
+    { geometry: ABC, max_run: 1 },
+    { geometry: ABC, min_gap_s: -1 },
+    { geometry: ABC, detail: 'medium' },
+    { geometry: ABC, leg_order: 1 },
+  ]) {
+    assert.equal((await corridor(body)).status, 400, JSON.stringify(body));
+  }
+  assert.equal((await corridor({ geometry: ABC }, app)).status, 503);
+});
+
+// ── Parity sampling ─────────────────────────────────────────────────────────
+
+test('walkable nodes inside a bbox feed the parity sampler', () => {
+  const all = router._walkableNodes({ minLat: 42, maxLat: 43, minLng: -71, maxLng: -70 });
+  assert.equal(all.length, NODES.length);
+  // Only the lat-42.5200 row (A, B, C).
+  const row = router._walkableNodes({ minLat: 42.5195, maxLat: 42.5205, minLng: -71, maxLng: -70 });
+  assert.deepEqual(row, [[A[1], A[2]], [NODES[1][1], NODES[1][2]], [C[1], C[2]]]);
+  assert.equal(router._bundleHash().length, 64);
+});
+
+// ── Graph overlay ───────────────────────────────────────────────────────────
+
+const { loadBundle } = require('../lib/salem-router');
+const { VIRTUAL_EDGE_ID_BASE, normalizeOverlayRow } = require('../lib/route-overlay');
+
+const V1 = VIRTUAL_EDGE_ID_BASE + 1;
+// A straight A–C footpath (~164 m across the Common) and the stairs cut.
+const OVERLAY_ROWS = [
+  {
+    id: 1, kind: 'add_edge', source_node_id: 1, target_node_id: 3, enabled: true, fullname: 'Common diagonal',
+    geometry_json: { type: 'LineString', coordinates: [[A[2], A[1]], [C[2], C[1]]] },
+  },
+  { id: 2, kind: 'disable_edge', edge_id: 14, enabled: true },
+];
+const OVERLAY = OVERLAY_ROWS.map(normalizeOverlayRow);
+
+function bundleEdgeIds(b) {
+  return Array.from(b.edgeId).sort((x, y) => x - y);
+}
+
+test('loadBundle merges the overlay: virtual edges route, disabled edges are gone', () => {
+  const b = loadBundle(BUNDLE_FILE, OVERLAY);
+  assert.deepEqual(bundleEdgeIds(b), [10, 11, 12, 13, 15, V1]);
+  assert.deepEqual(
+    { added: b.overlay.added, disabled: b.overlay.disabled, skipped: b.overlay.skipped },
+    { added: 1, disabled: 1, skipped: [] },
+  );
+  // The base fixture is untouched.
+  assert.equal(router._bundle().edgeCount, 6);
+});
+
+test('a baked bundle loads back to the same graph with the same overlay', () => {
+  const baked = path.join(os.tmpdir(), `salem-router-baked-${process.pid}.sqlite`);
+  try {
+    buildFixtureBundle(baked);
+    // What scripts/publish-routing-overlay.js leaves behind for OVERLAY.
+    const db = new Database(baked);
+    db.exec(`
+      CREATE TABLE overlay_disabled_edges AS SELECT * FROM edges WHERE id = 14;
+      DELETE FROM edges WHERE id = 14;
+      INSERT INTO edges VALUES (${V1}, 1, 3, 164, 117, 'S1710', 'Common diagonal', '${A[1]},${A[2]};${C[1]},${C[2]}');
+      INSERT INTO meta VALUES ('overlay_hash', 'baked');
+    `);
+    db.close();
+    // As is (what Android sees, and the proxy before PG pushes an overlay).
+    const asIs = loadBundle(baked);
+    assert.deepEqual(bundleEdgeIds(asIs), [10, 11, 12, 13, 15, V1]);
+    assert.equal(asIs.overlay.baked_hash, 'baked');
+    // An explicit overlay replaces the baked one.
+    assert.deepEqual(bundleEdgeIds(loadBundle(baked, [])), [10, 11, 12, 13, 14, 15]);
+    const merged = loadBundle(baked, OVERLAY);
+    assert.deepEqual(bundleEdgeIds(merged), bundleEdgeIds(loadBundle(BUNDLE_FILE, OVERLAY)));
+  } finally {
+    fs.unlinkSync(baked);
+  }
+});
+
+test('connectivity finds nothing to fix on a connected graph', () => {
+  const c = router._connectivity();
+  assert.equal(c.component_count, 1);
+  assert.equal(c.island_count, 0);
+  assert.deepEqual(c.main, { node_count: 5, edge_count: 6, length_m: 960 });
+  assert.equal(router._snapNode(A[1] + 0.0001, A[2]).node_id, 1);
+  assert.deepEqual(
+    (({ edge_id, source_node_id, target_node_id, fullname }) => ({ edge_id, source_node_id, target_node_id, fullname }))(router._edgeInfo(14)),
+    { edge_id: 14, source_node_id: 1, target_node_id: 5, fullname: 'Steps' },
+  );
+  assert.equal(router._edgeInfo(999), null);
+});
+
+// ── Hot reload + schema v2 ──────────────────────────────────────────────────
+// These rewrite the fixture bundle in place, so they stay at the end.
+
+async function meta() {
+  let body = null;
+  const res = { status() { return this; }, json(b) { body = b; return this; } };
+  await app.routes.get('GET /salem/route/meta')({ query: {} }, res);
+  return body;
+}
+
+test('reload rejects a bundle that fails a canary and keeps serving the old one', async () => {
+  fs.writeFileSync(CANARY_FILE, JSON.stringify([
+    { name: 'off the map', from: [A[1], A[2]], to: [43.5, -70.9] },
+  ]));
+  process.env.SALEM_ROUTING_CANARIES = CANARY_FILE;
+  const before = (await meta()).bundle_hash;
+  const r = await router._reloadBundle();
+  assert.equal(r.status, 'rejected');
+  assert.equal(r.canaries[0].reason, 'no route');
+  assert.equal((await meta()).bundle_hash, before);
+});
+
+test('reload swaps in a v2 bundle and meta reports both hashes', async () => {
+  fs.writeFileSync(CANARY_FILE, JSON.stringify([
+    { name: 'A to C', from: [A[1], A[2]], to: [C[1], C[2]] },
+  ]));
+  process.env.SALEM_ROUTING_CANARIES = CANARY_FILE;
+  const before = await meta();
+  assert.equal(before.schema_version, 1);
+  assert.equal(before.previous_bundle_hash, null);
+
+  // Common Path's A–D half becomes a gravel flight of steps.
+  buildFixtureBundle(BUNDLE_FILE, {
+    v2: { 12: { step: 1, surface: 'gravel' }, 10: { bike_oneway: 1 } },
+    builtAt: '2026-02-01T00:00:00+00:00',
+  });
+  const r = await router._reloadBundle();
+  assert.equal(r.status, 'swapped');
+  assert.ok(r.canaries[0].ok);
+
+  const after = await meta();
+  assert.equal(after.schema_version, 2);
+  assert.deepEqual(after.edge_attributes, ['surface', 'bike_oneway', 'step']);
+  assert.equal(after.previous_bundle_hash, before.bundle_hash);
+  assert.notEqual(after.bundle_hash, before.bundle_hash);
+  assert.equal(after.reload.count, 1);
+  assert.equal(after.meta.built_at, '2026-02-01T00:00:00+00:00');
+});
+
+test('v2 step flags close edges for wheelchair and attributes reach route edges', () => {
+  // Path via D now has steps, stairs via E are S1720: only Essex St is left.
+  const r = router._route(A[1], A[2], C[1], C[2], 'wheelchair');
+  assert.deepEqual(edgeIds(r), [10, 11]);
+  assert.deepEqual(
+    { surface: r.edges[0].surface, step: r.edges[0].step, bike_oneway: r.edges[0].bike_oneway },
+    { surface: null, step: false, bike_oneway: 1 },
+  );
+});
+
+test('reload of an unchanged file is a no-op', async () => {
+  const r = await router._reloadBundle();
+  assert.equal(r.status, 'unchanged');
+  assert.equal((await meta()).reload.count, 1);
+});
+
+test('setOverlay rebuilds the graph through the reload path', async () => {
+  const r = await router._setOverlay(OVERLAY_ROWS);
+  assert.equal(r.status, 'swapped');
+  // Stairs are cut, so the diagonal beats Essex St.
+  assert.deepEqual(edgeIds(router._route(A[1], A[2], C[1], C[2])), [V1]);
+  const m = await meta();
+  assert.deepEqual([m.overlay.rows, m.overlay.added, m.overlay.disabled], [2, 1, 1]);
+  assert.equal(m.bundle_hash, m.previous_bundle_hash);
+  assert.equal((await router._setOverlay(OVERLAY_ROWS)).status, 'unchanged');
+});
+
+test('cutting a node off shows up as an island with a connector back', async () => {
+  await router._setOverlay([
+    { id: 2, kind: 'disable_edge', edge_id: 14, enabled: true },
+    { id: 3, kind: 'disable_edge', edge_id: 15, enabled: true },
+  ]);
+  const c = router._connectivity();
+  assert.equal(c.island_count, 1);
+  const isl = c.islands[0];
+  assert.deepEqual([isl.anchor_node_id, isl.node_count, isl.edge_count], [5, 1, 0]);
+  // E's nearest node on the main network is B, ~111 m north.
+  assert.equal(isl.connector.to_node_id, 2);
+  assert.ok(Math.abs(isl.connector.gap_m - 111.3) < 1, `${isl.connector.gap_m}`);
+  await router._setOverlay([]);
+  assert.equal(router._connectivity().island_count, 0);
+});
+
+test('an overlay that fails a canary is rejected and not kept for later reloads', async () => {
+  // Every A–C path (Essex St, via D, via E) loses its first edge.
+  const r = await router._setOverlay([10, 12, 14].map((edge_id, i) => (
+    { id: 10 + i, kind: 'disable_edge', edge_id, enabled: true }
+  )));
+  assert.equal(r.status, 'rejected');
+  assert.equal(r.canaries[0].reason, 'no route');
+  assert.equal((await meta()).overlay.rows, 0);
+  assert.equal((await router._reloadBundle()).status, 'unchanged');
+});
@@ -0,0 +1,63 @@
+/*
+ * LocationMapApp v1.5 — tour-duration unit tests
+ *
+ * Built-in node:test runner (zero deps). Run with `npm test` in cache-proxy/.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  ADMISSION_VISIT_S,
+  INDOOR_VISIT_S,
+  parseDurationOptions,
+  estimateTourDuration,
+} = require('../lib/tour-duration');
+
+const words = (n) => Array.from({ length: n }, () => 'w').join(' ');
+
+const STOPS = [
+  // 150 words spoken: 60 s at 150 wpm. Paid + indoor → admission only.
+  { stop_id: 1, stop_order: 1, poi_id: 'witch_museum', name: 'Witch Museum',
+    short_narration: words(50), long_narration: words(100), historical_narration: words(250),
+    is_free_admission: false, is_indoor: true },
+  // Free waypoint — no dwell.
+  { stop_id: 2, stop_order: 2, poi_id: null, name: 'Corner' },
+  // Indoor, free, short only: 75 words = 30 s.
+  { stop_id: 3, stop_order: 3, poi_id: 'library', name: 'Library',
+    short_narration: words(75), is_free_admission: true, is_indoor: true },
+];
+const LEGS = [{ leg_order: 1, duration_s: 300 }, { leg_order: 2, duration_s: 120.4 }];
+
+test('walk plus narration plus visit dwell, stop by stop', () => {
+  const e = estimateTourDuration({ stops: STOPS, legs: LEGS });
+  assert.equal(e.wpm, 150);
+  assert.equal(e.walk_s, 420);
+  assert.deepEqual(e.stops.map((s) => [s.words, s.narration_s, s.visit, s.visit_s]), [
+    [150, 60, 'admission', ADMISSION_VISIT_S],
+    [0, 0, null, 0],
+    [75, 30, 'indoor', INDOOR_VISIT_S],
+  ]);
+  assert.equal(e.narration_s, 90);
+  assert.equal(e.visit_s, ADMISSION_VISIT_S + INDOOR_VISIT_S);
+  assert.equal(e.estimated_total_s, Math.round(420.4 + 90 + ADMISSION_VISIT_S + INDOOR_VISIT_S));
+  assert.equal(e.legs_missing, 0);
+});
+
+test('historical tours speak historical_narration, wpm is configurable', () => {
+  const e = estimateTourDuration({ stops: STOPS.slice(0, 1), legs: [], isHistoricalTour: true }, { wpm: 100, admissionS: 0, indoorS: 0 });
+  assert.equal(e.stops[0].words, 300);
+  assert.equal(e.stops[0].narration_s, 180);
+  assert.equal(e.estimated_total_s, 180);
+});
+
+test('missing legs are counted, not guessed', () => {
+  const e = estimateTourDuration({ stops: STOPS, legs: LEGS.slice(0, 1) });
+  assert.equal(e.legs_missing, 1);
+  assert.equal(e.walk_s, 300);
+});
+
+test('parseDurationOptions defaults and validation', () => {
+  assert.deepEqual(parseDurationOptions({}), { wpm: 150, admissionS: ADMISSION_VISIT_S, indoorS: INDOOR_VISIT_S });
+  assert.equal(parseDurationOptions({ wpm: '120', indoor_s: '600' }).indoorS, 600);
+  assert.ok(parseDurationOptions({ wpm: '0' }) instanceof Error);
+  assert.ok(parseDurationOptions({ admission_s: 'x' }) instanceof Error);
+});
@@ -0,0 +1,89 @@
+/*
+ * LocationMapApp v1.5 — tour-exchange unit tests
+ *
+ * Built-in node:test runner (zero deps). Run with `npm test` in cache-proxy/.
+ * Every format is exported from a hand-built tour and parsed back; POI
+ * matching runs against a few fake POIs around Salem Common.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  exportTour, parseTourFile, detectFormat, nameSimilarity, matchWaypoint, narrationSnippet,
+} = require('../lib/tour-exchange');
+
+const { P } = require('./fixtures/geo');
+
+const TOUR = {
+  tour: { id: 't', name: 'Witches & Wharves', description: 'A <short> walk' },
+  stops: [
+    { stop_id: 1, stop_order: 1, name: 'Witch House', lat: P(0, 0)[0], lng: P(0, 0)[1], poi_id: 'witch_house',
+      category: 'HISTORICAL_BUILDINGS', narration: 'Home of Judge Corwin. Built in 1642.' },
+    { stop_id: 2, stop_order: 2, name: 'Corner', lat: P(100, 0)[0], lng: P(100, 0)[1], poi_id: null },
+  ],
+  legs: [{ leg_order: 1, from_stop_id: 1, to_stop_id: 2, polyline_json: [P(0, 0), P(50, 0), P(100, 0)], distance_m: 100.4, duration_s: 72 }],
+};
+
+test('narrationSnippet keeps the first sentence and caps the length', () => {
+  assert.equal(narrationSnippet('Home of Judge Corwin. Built in 1642.'), 'Home of Judge Corwin.');
+  assert.equal(narrationSnippet(null), null);
+  const long = narrationSnippet('word '.repeat(100));
+  assert.ok(long.length <= 160 && long.endsWith('…'));
+});
+
+for (const format of ['gpx', 'kml', 'geojson']) {
+  test(`${format} export round-trips stops and legs`, () => {
+    const out = exportTour(TOUR, format);
+    assert.equal(detectFormat(out.body), format);
+    const parsed = parseTourFile(out.body);
+    assert.equal(parsed.format, format);
+    assert.equal(parsed.name, 'Witches & Wharves');
+    assert.deepEqual(parsed.waypoints.map((w) => [w.name, w.poi_id]), [['Witch House', 'witch_house'], ['Corner', null]]);
+    assert.equal(parsed.waypoints[0].desc, 'Home of Judge Corwin.');
+    assert.ok(Math.abs(parsed.waypoints[1].lng - P(100, 0)[1]) < 1e-6);
+    assert.equal(parsed.tracks.length, 1);
+    assert.equal(parsed.tracks[0].name, 'Leg 1: Witch House → Corner');
+    assert.equal(parsed.tracks[0].points.length, 3);
+  });
+}
+
+test('track-only files yield waypoints at the track ends', () => {
+  const gpx = `<?xml version="1.0"?><gpx version="1.1"><trk><name>Walk</name><trkseg>
+    <trkpt lat="42.52" lon="-70.9"/><trkpt lat="42.521" lon="-70.9"/></trkseg></trk></gpx>`;
+  const parsed = parseTourFile(gpx);
+  assert.deepEqual(parsed.waypoints.map((w) => [w.lat, w.lng, w.from_track]), [[42.52, -70.9, true], [42.521, -70.9, true]]);
+});
+
+test('unknown content is rejected', () => {
+  assert.throws(() => parseTourFile('hello'), /format/);
+  assert.throws(() => exportTour(TOUR, 'csv'), /format/);
+});
+
+test('nameSimilarity tolerates case, articles and containment', () => {
+  assert.equal(nameSimilarity('The Witch House', 'witch house'), 1);
+  assert.equal(nameSimilarity('Witch House', 'Witch House at Salem'), 0.9);
+  assert.ok(nameSimilarity('Witch House', 'Custom House') < 0.75);
+});
+
+test('matchWaypoint prefers poi_id, then name within range, then proximity', () => {
+  const pois = [
+    { id: 'witch_house', name: 'The Witch House', lat: P(0, 0)[0], lng: P(0, 0)[1] },
+    { id: 'cafe', name: 'Gulu-Gulu Cafe', lat: P(10, 0)[0], lng: P(10, 0)[1] },
+    { id: 'far', name: 'Custom House', lat: P(400, 0)[0], lng: P(400, 0)[1] },
+  ];
+  const at = (x, extra) => ({ lat: P(x, 0)[0], lng: P(x, 0)[1], ...extra });
+  assert.equal(matchWaypoint(at(300, { poi_id: 'far' }), pois).match, 'poi_id');
+
+  const byName = matchWaypoint(at(60, { name: 'Witch House' }), pois);
+  assert.equal(byName.match, 'name');
+  assert.equal(byName.poi.id, 'witch_house');
+
+  const near = matchWaypoint(at(8), pois);
+  assert.equal(near.match, 'proximity');
+  assert.equal(near.poi.id, 'cafe');
+
+  // A differently named waypoint next to a POI is a new point, not that POI.
+  const none = matchWaypoint(at(12, { name: 'Lamp post' }), pois);
+  assert.equal(none.match, null);
+  assert.ok(none.alternatives.length > 0);
+  assert.equal(matchWaypoint(at(200, { name: 'Custom House' }), pois).match, null);
+});
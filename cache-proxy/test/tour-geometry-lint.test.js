@@ -0,0 +1,95 @@
+/*
+ * LocationMapApp v1.5 — tour-geometry-lint unit tests
+ *
+ * Built-in node:test runner (zero deps). Run with `npm test` in cache-proxy/.
+ * Legs are hand-drawn on a local metre grid around Salem Common.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+  findRetraces, findSelfIntersections, findDetours, normalizeStreet, findStreetMismatches, findGeofenceOverlaps,
+} = require('../lib/tour-geometry-lint');
+
+const { P } = require('./fixtures/geo');
+const leg = (order, pts, extra = {}) => ({ leg_order: order, polyline_json: pts, ...extra });
+const roles = (f) => f.geometry.features.map((x) => x.properties.role);
+
+test('a leg that walks back down the previous one is a retrace', () => {
+  // Out 100 m to a dead-end stop, then back 80 m the same way and off north.
+  const legs = [
+    leg(1, [P(0, 0), P(50, 0), P(100, 0)]),
+    leg(2, [P(100, 0), P(60, 0), P(20, 0), P(20, 80)]),
+  ];
+  const [f] = findRetraces(legs);
+  assert.equal(f.leg_order, 2);
+  assert.ok(Math.abs(f.retrace_m - 80) < 1, `retrace ${f.retrace_m}`);
+  assert.deepEqual(roles(f), ['previous_leg', 'leg', 'retrace']);
+  assert.equal(f.geometry.features[2].geometry.type, 'LineString');
+  // Turning off at the stop isn't a retrace.
+  assert.deepEqual(findRetraces([legs[0], leg(2, [P(100, 0), P(100, 80)])]), []);
+  assert.deepEqual(findRetraces(legs, 100), []);
+});
+
+test('self-intersections are found, touching the start of a closed leg is not', () => {
+  const figure8 = leg(1, [P(0, 0), P(100, 100), P(100, 0), P(0, 100)]);
+  const [f] = findSelfIntersections([figure8]);
+  assert.equal(f.crossings, 1);
+  assert.ok(Math.abs(f.lat - P(0, 50)[0]) < 1e-6 && Math.abs(f.lng - P(50, 0)[1]) < 1e-6);
+  assert.deepEqual(roles(f), ['leg', 'crossing']);
+  const square = leg(2, [P(0, 0), P(100, 0), P(100, 100), P(0, 100), P(0, 0)]);
+  assert.deepEqual(findSelfIntersections([square]), []);
+});
+
+test('detours compare the walk to the straight line between stops', () => {
+  const stops = [{ stop_id: 1, lat: P(0, 0)[0], lng: P(0, 0)[1] }, { stop_id: 2, lat: P(100, 0)[0], lng: P(100, 0)[1] }];
+  const around = leg(1, [P(0, 0), P(0, 100), P(100, 100), P(100, 0)], { from_stop_id: 1, to_stop_id: 2, distance_m: 300 });
+  const [f] = findDetours(stops, [around]);
+  assert.equal(f.straight_m, 100);
+  assert.equal(f.routed_m, 300);
+  assert.equal(f.detour_ratio, 3);
+  assert.deepEqual(roles(f), ['leg', 'straight_line']);
+  const direct = leg(1, [P(0, 0), P(100, 0)], { from_stop_id: 1, to_stop_id: 2, distance_m: 104 });
+  assert.deepEqual(findDetours(stops, [direct]), []);
+  // Big ratio, trivial extra walking.
+  const hop = [{ stop_id: 1, lat: P(0, 0)[0], lng: P(0, 0)[1] }, { stop_id: 2, lat: P(10, 0)[0], lng: P(10, 0)[1] }];
+  assert.deepEqual(findDetours(hop, [leg(1, [P(0, 0), P(0, 10), P(10, 10), P(10, 0)], { from_stop_id: 1, to_stop_id: 2 })]), []);
+});
+
+test('normalizeStreet strips numbers, units and suffix spellings', () => {
+  assert.equal(normalizeStreet('161 Essex Street, Salem, MA 01970'), 'essex st');
+  assert.equal(normalizeStreet('10-12 Derby St. Suite 2'), 'derby st');
+  assert.equal(normalizeStreet('Washington Square North'), 'washington sq n');
+  assert.equal(normalizeStreet(''), null);
+});
+
+test('edge-bound stops on another street than the POI address', () => {
+  const edges = {
+    1: { fullname: 'Essex St', geometry: [P(0, 0), P(100, 0)] },
+    2: { fullname: 'Derby St', geometry: [P(0, 50), P(100, 50)] },
+    3: { fullname: null, geometry: [] },
+  };
+  const base = { poi_id: 'p', lat: P(10, 0)[0], lng: P(10, 0)[1], poi_lat: P(10, 5)[0], poi_lng: P(10, 5)[1] };
+  const stops = [
+    { ...base, stop_id: 1, stop_order: 1, edge_id: 1, address: '161 Essex Street, Salem' },
+    { ...base, stop_id: 2, stop_order: 2, edge_id: 2, address: '161 Essex Street, Salem' },
+    { ...base, stop_id: 3, stop_order: 3, edge_id: 3, address: '161 Essex Street, Salem' },
+    { ...base, stop_id: 4, stop_order: 4, edge_id: 2, address: null },
+  ];
+  const found = findStreetMismatches(stops, (id) => edges[id] || null);
+  assert.deepEqual(found.map((f) => [f.stop_order, f.address_street, f.edge_street]), [[2, 'essex st', 'derby st']]);
+  assert.deepEqual(roles(found[0]), ['edge', 'stop', 'poi']);
+});
+
+test('consecutive POI stops with overlapping geofences', () => {
+  const stops = [
+    { stop_id: 1, stop_order: 1, poi_id: 'a', lat: P(0, 0)[0], lng: P(0, 0)[1], geofence_radius_m: 40 },
+    { stop_id: 2, stop_order: 2, poi_id: 'b', lat: P(60, 0)[0], lng: P(60, 0)[1], geofence_radius_m: 30 },
+    { stop_id: 3, stop_order: 3, poi_id: null, lat: P(70, 0)[0], lng: P(70, 0)[1] },
+    { stop_id: 4, stop_order: 4, poi_id: 'c', lat: P(300, 0)[0], lng: P(300, 0)[1] },
+  ];
+  const found = findGeofenceOverlaps(stops);
+  assert.deepEqual(found.map((f) => [f.from_stop_order, f.to_stop_order, f.combined_radius_m]), [[1, 2, 70]]);
+  assert.ok(Math.abs(found[0].distance_m - 60) < 0.5);
+  const ring = found[0].geometry.features[0].geometry.coordinates[0];
+  assert.deepEqual(ring[0], ring[ring.length - 1]);
+});
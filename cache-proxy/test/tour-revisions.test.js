@@ -0,0 +1,108 @@
+/*
+ * LocationMapApp v1.5 — tour-revisions unit tests
+ *
+ * Built-in node:test runner (zero deps). Run with `npm test` in cache-proxy/.
+ * Revisions are hand-built { tour, stops, legs } snapshots; the PG loader is
+ * exercised against a stub client that answers by SQL text.
+ */
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { diffRevisions, maxDeviationM, loadShippingTours } = require('../lib/tour-revisions');
+
+const { P } = require('./fixtures/geo');
+
+function stop(id, order, x, extra = {}) {
+  const [lat, lng] = P(x, 0);
+  return { stop_id: id, stop_order: order, poi_id: `poi_${id}`, name: null, effective_name: `Stop ${id}`,
+    effective_lat: lat, effective_lng: lng, transition_narration: null, ...extra };
+}
+function leg(order, from, to, line, extra = {}) {
+  return { leg_order: order, from_stop_id: from, to_stop_id: to, polyline_json: line, distance_m: 100, duration_s: 71, ...extra };
+}
+
+const BASE = {
+  tour: { id: 't', name: 'Heritage', description: 'Walk', sort_order: 1 },
+  stops: [stop(1, 1, 0), stop(2, 2, 100), stop(3, 3, 200), stop(4, 4, 300)],
+  legs: [
+    leg(1, 1, 2, [P(0, 0), P(100, 0)]),
+    leg(2, 2, 3, [P(100, 0), P(200, 0)]),
+    leg(3, 3, 4, [P(200, 0), P(300, 0)]),
+  ],
+};
+
+test('identical revisions have no diff', () => {
+  const d = diffRevisions(BASE, JSON.parse(JSON.stringify(BASE)));
+  assert.equal(d.changed, false);
+  assert.deepEqual(d.tour, []);
+});
+
+test('tour fields, added / removed / moved / changed stops', () => {
+  const next = {
+    tour: { ...BASE.tour, name: 'Heritage Trail' },
+    stops: [
+      stop(1, 1, 0),
+      stop(2, 2, 105, { transition_narration: 'Turn left' }),
+      stop(3, 3, 200),
+      stop(5, 4, 400),
+    ],
+    legs: BASE.legs.slice(0, 2),
+  };
+  const d = diffRevisions(BASE, next);
+  assert.ok(d.changed);
+  assert.deepEqual(d.tour, [{ field: 'name', from: 'Heritage', to: 'Heritage Trail' }]);
+  assert.deepEqual(d.stops.added.map((s) => s.stop_id), [5]);
+  assert.deepEqual(d.stops.removed.map((s) => s.stop_id), [4]);
+  assert.deepEqual(d.stops.reordered, []);
+  assert.equal(d.stops.moved.length, 1);
+  assert.equal(d.stops.moved[0].stop_id, 2);
+  assert.ok(Math.abs(d.stops.moved[0].moved_m - 5) < 0.2);
+  assert.deepEqual(d.stops.changed, [{ stop_id: 2, stop_order: 2, poi_id: 'poi_2', name: 'Stop 2', fields: ['transition_narration'] }]);
+  assert.deepEqual(d.legs.removed.map((l) => l.leg_order), [3]);
+});
+
+test('moving one stop to the front reports just that stop as reordered', () => {
+  const [a, b, c, e] = BASE.stops;
+  const next = { ...BASE, stops: [{ ...e, stop_order: 1 }, { ...a, stop_order: 2 }, { ...b, stop_order: 3 }, { ...c, stop_order: 4 }] };
+  const d = diffRevisions(BASE, next);
+  assert.deepEqual(d.stops.reordered.map((s) => [s.stop_id, s.from_order, s.to_order]), [[4, 4, 1]]);
+});
+
+test('leg geometry deltas', () => {
+  const detour = [P(100, 0), P(150, 20), P(200, 0)];
+  const next = { ...BASE, legs: [BASE.legs[0], leg(2, 2, 3, detour, { distance_m: 108, duration_s: 77 }), BASE.legs[2]] };
+  const d = diffRevisions(BASE, next);
+  assert.equal(d.legs.changed.length, 1);
+  const c = d.legs.changed[0];
+  assert.equal(c.geometry_changed, true);
+  assert.equal(c.distance_delta_m, 8);
+  assert.equal(c.duration_delta_s, 6);
+  assert.equal(c.points_from, 2);
+  assert.equal(c.points_to, 3);
+  assert.ok(Math.abs(c.max_deviation_m - 20) < 0.3, `deviation ${c.max_deviation_m}`);
+});
+
+test('maxDeviationM is symmetric and zero for the same line', () => {
+  const a = [P(0, 0), P(100, 0)];
+  const b = [P(0, 0), P(50, 10), P(100, 0)];
+  assert.equal(maxDeviationM(a, a), 0);
+  assert.ok(Math.abs(maxDeviationM(a, b) - maxDeviationM(b, a)) < 1e-9);
+});
+
+test('loadShippingTours ships published snapshots and skips tours without one', async () => {
+  const snap = { id: 'a', name: 'A (rev 2)', sort_order: 2 };
+  const db = {
+    async query(sql) {
+      if (/FROM salem_tours t\s+LEFT JOIN salem_tour_revisions/.test(sql)) {
+        return { rows: [
+          { id: 'a', revision: 2, tour_json: snap, stops_json: [stop(1, 1, 0)], legs_json: [] },
+          { id: 'b', revision: null, tour_json: null },
+        ] };
+      }
+      throw new Error(`unexpected SQL: ${sql}`);
+    },
+  };
+  const out = await loadShippingTours(db);
+  assert.deepEqual(out.map((t) => [t.tour.name, t.revision, t.stops[0].stop_id]), [
+    ['A (rev 2)', 2, 1],
+  ]);
+});
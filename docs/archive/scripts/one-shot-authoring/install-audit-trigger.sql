@@ -145,7 +145,8 @@ DECLARE
     'salem_witch_trials_articles',
     'salem_witch_trials_newspapers',
     'salem_witch_trials_npc_bios',
-    'salem_geocode_blacklist'
+    'salem_geocode_blacklist',
+    'salem_route_overlay'
   ];
 BEGIN
   FOREACH t IN ARRAY tables LOOP
@@ -0,0 +1,38 @@
+package com.example.locationmapapp.core.routing
+
+/**
+ * A time-bounded street closure as published into `salem_content.db` by
+ * `cache-proxy/scripts/publish-route-closures.js` (`route_closure` +
+ * `route_closure_edge`). [edgeIds] are external bundle edge ids, already
+ * resolved from the admin polygon on the proxy side.
+ *
+ * Same semantics as the proxy router's closure overlay
+ * (`lib/salem-router.js` `closureCosts`): while active — [startsAtMs]
+ * inclusive to [endsAtMs] exclusive — a [Mode.CLOSED] closure makes its
+ * edges impassable and a [Mode.AVOID] closure multiplies their cost by
+ * [AVOID_FACTOR]. Reported distances stay real metres.
+ */
+class RouteClosure(
+    val id: Long,
+    val name: String,
+    val mode: Mode,
+    val startsAtMs: Long,
+    val endsAtMs: Long,
+    val edgeIds: LongArray,
+) {
+    enum class Mode { CLOSED, AVOID }
+
+    fun isActiveAt(atMs: Long): Boolean = atMs >= startsAtMs && atMs < endsAtMs
+
+    companion object {
+        /** Matches the proxy's CLOSURE_AVOID_FACTOR. */
+        const val AVOID_FACTOR = 5.0
+
+        /** `route_closure.mode` text -> [Mode]; null for values this build doesn't know. */
+        fun modeOf(value: String?): Mode? = when (value) {
+            "closed" -> Mode.CLOSED
+            "avoid" -> Mode.AVOID
+            else -> null
+        }
+    }
+}
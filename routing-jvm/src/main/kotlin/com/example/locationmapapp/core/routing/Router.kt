@@ -10,11 +10,50 @@ import java.util.PriorityQueue
  * SRID-4269 KNN snap, undirected pedestrian graph, walking pace from
  * `meta.walking_pace_mps`. Returned distances match the live SQL function
  * exactly for any pair of inputs whose snap nodes lie inside the bundle's bbox.
+ *
+ * [closures] (published street closures, see [RouteClosure]) are applied per
+ * call for the closures active at `atMs`: closed edges are skipped, avoided
+ * edges cost [RouteClosure.AVOID_FACTOR] × their length. With none active
+ * the search is the plain shortest path above.
  */
-class Router(private val bundle: RoutingBundle) {
+class Router(
+    private val bundle: RoutingBundle,
+    closures: List<RouteClosure> = emptyList(),
+) {
 
     private val pace: Double = bundle.walkingPaceMps
 
+    /** Closures with their edges resolved to edgeIdx; ids not in this bundle are dropped. */
+    private val resolved: List<Pair<RouteClosure, IntArray>> = closures.map { c ->
+        c to c.edgeIds.mapNotNull { bundle.edgeIdxOf(it) }.toIntArray()
+    }
+
+    /** Last cost overlay, keyed on the ids of the closures it was built for. */
+    @Volatile private var factorCache: Pair<List<Long>, DoubleArray>? = null
+
+    /** Closures active at [atMs] (epoch ms). */
+    fun activeClosures(atMs: Long = System.currentTimeMillis()): List<RouteClosure> =
+        resolved.filter { it.first.isActiveAt(atMs) }.map { it.first }
+
+    /** Per-edge cost multiplier for [atMs], or null when no closure is active. */
+    private fun edgeFactors(atMs: Long): DoubleArray? {
+        val active = resolved.filter { it.first.isActiveAt(atMs) }
+        if (active.isEmpty()) return null
+        val key = active.map { it.first.id }
+        factorCache?.let { if (it.first == key) return it.second }
+        val factors = DoubleArray(bundle.edgeCount) { 1.0 }
+        for ((c, edges) in active) {
+            for (e in edges) {
+                factors[e] = when (c.mode) {
+                    RouteClosure.Mode.CLOSED -> Double.POSITIVE_INFINITY
+                    RouteClosure.Mode.AVOID -> factors[e] * RouteClosure.AVOID_FACTOR
+                }
+            }
+        }
+        factorCache = key to factors
+        return factors
+    }
+
     /** Walking pace in metres per second (from the bundle meta table). */
     fun bundlePaceMps(): Double = pace
 
@@ -27,10 +66,16 @@ class Router(private val bundle: RoutingBundle) {
      * or a degenerate result (empty geometry, distance 0) if both endpoints
      * snap to the same node.
      */
-    fun route(fromLat: Double, fromLng: Double, toLat: Double, toLng: Double): RouteResult? {
+    fun route(
+        fromLat: Double,
+        fromLng: Double,
+        toLat: Double,
+        toLng: Double,
+        atMs: Long = System.currentTimeMillis(),
+    ): RouteResult? {
         val s = bundle.nearestWalkableNode(fromLat, fromLng) ?: return null
         val t = bundle.nearestWalkableNode(toLat, toLng) ?: return null
-        return routeBetween(s, t)
+        return routeBetween(s, t, edgeFactors(atMs))
     }
 
     /**
@@ -38,18 +83,18 @@ class Router(private val bundle: RoutingBundle) {
      * and concatenates. Returns null if any segment fails or fewer than 2
      * stops were given.
      */
-    fun routeMulti(stops: List<RoutingLatLng>): RouteResult? {
+    fun routeMulti(stops: List<RoutingLatLng>, atMs: Long = System.currentTimeMillis()): RouteResult? {
         if (stops.size < 2) return null
         val parts = ArrayList<RouteResult>(stops.size - 1)
         for (i in 0 until stops.size - 1) {
-            val seg = route(stops[i].lat, stops[i].lng, stops[i + 1].lat, stops[i + 1].lng)
+            val seg = route(stops[i].lat, stops[i].lng, stops[i + 1].lat, stops[i + 1].lng, atMs)
                 ?: return null
             parts.add(seg)
         }
         return concat(parts)
     }
 
-    private fun routeBetween(s: NodeRef, t: NodeRef): RouteResult {
+    private fun routeBetween(s: NodeRef, t: NodeRef, factors: DoubleArray?): RouteResult {
         if (s.internalIdx == t.internalIdx) {
             return RouteResult(emptyList(), 0.0, 0.0, emptyList())
         }
@@ -74,7 +119,10 @@ class Router(private val bundle: RoutingBundle) {
             if (d > dist[u]) continue
             if (u == t.internalIdx) break
             bundle.forEachAdj(u) { v, edgeIdx, reversed ->
-                val nd = d + bundle.edgeLengthM(edgeIdx)
+                val f = if (factors == null) 1.0 else factors[edgeIdx]
+                if (f == Double.POSITIVE_INFINITY) return@forEachAdj
+                // dist holds cost; equal to metres when no closure is active.
+                val nd = d + bundle.edgeLengthM(edgeIdx) * f
                 if (nd < dist[v]) {
                     dist[v] = nd
                     prevNode[v] = u
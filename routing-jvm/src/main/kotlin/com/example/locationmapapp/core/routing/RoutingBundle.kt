@@ -47,6 +47,9 @@ class RoutingBundle internal constructor(
     /** Bundle metadata (passthrough from the SQLite meta table). */
     val meta: Map<String, String>,
 ) {
+    /** Number of (undirected) edges. */
+    val edgeCount: Int get() = edgeId.size
+
     val walkingPaceMps: Double get() = meta["walking_pace_mps"]?.toDoubleOrNull() ?: 1.4
 
     fun nodeAt(idx: Int): NodeRef = NodeRef(idx, nodeIds[idx], nodeLat[idx], nodeLng[idx])
@@ -101,6 +104,14 @@ class RoutingBundle internal constructor(
         }
     }
 
+    /** Map external edge id -> edgeIdx. Used to resolve published closures. */
+    fun edgeIdxOf(externalEdgeId: Long): Int? = edgeIdToIdx[externalEdgeId]
+    private val edgeIdToIdx: Map<Long, Int> by lazy {
+        HashMap<Long, Int>(edgeId.size * 2).also { m ->
+            for (i in edgeId.indices) m[edgeId[i]] = i
+        }
+    }
+
     /** Cell-grid spatial index over walkable nodes. Fixed cell size (~0.0015° ≈ 165m lat). */
     internal class NodeGrid(
         private val minLat: Double,
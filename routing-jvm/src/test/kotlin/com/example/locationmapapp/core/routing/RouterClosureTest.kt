@@ -0,0 +1,87 @@
+package com.example.locationmapapp.core.routing
+
+import org.junit.Assert.assertEquals
+import org.junit.Assert.assertNotNull
+import org.junit.Assert.assertTrue
+import org.junit.Test
+
+/**
+ * Published street closures (route_closure / route_closure_edge) on the
+ * on-device router. Uses a four-node square instead of the shipped bundle so
+ * the expected detours are obvious:
+ *
+ *   D(4) ── 120 m ── C(3)
+ *    │                │
+ *  120 m            100 m
+ *    │                │
+ *   A(1) ── 100 m ── B(2)
+ *
+ * A → C is 200 m via B (edges 12, 23) and 240 m via D (edges 14, 43).
+ */
+class RouterClosureTest {
+
+    private val bundle: RoutingBundle = run {
+        val lat = doubleArrayOf(42.520, 42.520, 42.521, 42.521)
+        val lng = doubleArrayOf(-70.900, -70.899, -70.899, -70.900)
+        val src = intArrayOf(0, 1, 0, 3)
+        val tgt = intArrayOf(1, 2, 3, 2)
+        RoutingBundle.build(
+            nodeIds = longArrayOf(1, 2, 3, 4),
+            nodeLat = lat,
+            nodeLng = lng,
+            nodeWalkable = BooleanArray(4) { true },
+            edgeId = longArrayOf(12, 23, 14, 43),
+            srcNodeIdx = src,
+            tgtNodeIdx = tgt,
+            edgeLengthM = doubleArrayOf(100.0, 100.0, 120.0, 120.0),
+            edgeFullname = arrayOf("Essex St", "Essex St", "Hawthorne Blvd", "Hawthorne Blvd"),
+            edgeMtfcc = arrayOfNulls(4),
+            edgePolylinePacked = Array(4) { i ->
+                doubleArrayOf(lat[src[i]], lng[src[i]], lat[tgt[i]], lng[tgt[i]])
+            },
+            meta = mapOf("walking_pace_mps" to "1.4"),
+        )
+    }
+
+    private val start = 1_000_000L
+    private val end = 2_000_000L
+
+    private fun closure(mode: RouteClosure.Mode, vararg edges: Long) =
+        RouteClosure(7, "Haunted Happenings", mode, start, end, edges)
+
+    private fun aToC(router: Router, atMs: Long): RouteResult {
+        val r = router.route(42.520, -70.900, 42.521, -70.899, atMs)
+        assertNotNull("route must exist", r)
+        return r!!
+    }
+
+    @Test
+    fun closed_edge_is_impassable_inside_the_window_only() {
+        val router = Router(bundle, listOf(closure(RouteClosure.Mode.CLOSED, 12)))
+        assertEquals(240.0, aToC(router, start).distanceM, 1e-9)
+        assertEquals(listOf(14L, 43L), aToC(router, start).edges.map { it.edgeId })
+        // [starts_at, ends_at): open again at ends_at.
+        assertEquals(200.0, aToC(router, end).distanceM, 1e-9)
+        assertEquals(200.0, aToC(router, start - 1).distanceM, 1e-9)
+    }
+
+    @Test
+    fun avoided_edge_costs_five_times_but_distance_stays_real() {
+        val router = Router(bundle, listOf(closure(RouteClosure.Mode.AVOID, 12)))
+        // 100 × 5 + 100 = 600 > 240 → detour via D.
+        assertEquals(240.0, aToC(router, start).distanceM, 1e-9)
+        assertEquals(240.0 / 1.4, aToC(router, start).durationS, 1e-9)
+
+        // Avoiding both sides only reorders costs; the shorter real path wins again.
+        val both = Router(bundle, listOf(closure(RouteClosure.Mode.AVOID, 12, 23, 14, 43)))
+        assertEquals(200.0, aToC(both, start).distanceM, 1e-9)
+    }
+
+    @Test
+    fun everything_closed_is_unreachable_and_unknown_edges_are_ignored() {
+        val router = Router(bundle, listOf(closure(RouteClosure.Mode.CLOSED, 12, 14, 999)))
+        assertTrue(aToC(router, start).geometry.isEmpty())
+        assertEquals(listOf(7L), router.activeClosures(start).map { it.id })
+        assertTrue(router.activeClosures(end).isEmpty())
+    }
+}
@@ -24,7 +24,7 @@ import { PoiCreateDialog } from './PoiCreateDialog'
 import { HistorianPoiDialog } from './HistorianPoiDialog'
 import { WitchTrialsPanel } from './WitchTrialsPanel'
 import { TourTree, type AddStopMode } from './TourTree'
-import type { TourLeg, TourStop, TourSummary } from './tourTypes'
+import type { LegAlternativesResponse, OptimizeOrderResponse, TourLeg, TourStop, TourSummary } from './tourTypes'
 import { ORACLE_BASE, getStatus, type OracleStatus } from './oracleClient'
 import { LintTab } from './LintTab'
 import { GeocodesTab } from './GeocodesTab'
@@ -111,6 +111,10 @@ export function AdminLayout() {
   // spot-check POI / path alignment. Default OFF — overlay only appears when
   // toggled ON via the POI/Tour toolbar.
   const [showBurstPhotos, setShowBurstPhotos] = useState(false)
+  // Walking-isochrone overlay toggle. While ON, a map click sets the origin
+  // and AdminMap draws the time bands plus reachable POI geofences — a
+  // read-only check of geofence radii and wave placement.
+  const [showIsochrone, setShowIsochrone] = useState(false)
 
   // S187 — Geocodes modal state.
   const [geocodeModalPoiId, setGeocodeModalPoiId] = useState<string | null>(null)
@@ -395,6 +399,12 @@ export function AdminLayout() {
   // S183 — precomputed walking legs for the active tour, lifted from TourTree
   // so AdminMap can render them as a polyline overlay.
   const [tourLegs, setTourLegs] = useState<TourLeg[] | null>(null)
+  // Alternatives the operator is picking between for one leg, lifted from
+  // TourTree's picker so AdminMap can draw them.
+  const [legAlternatives, setLegAlternatives] = useState<LegAlternativesResponse | null>(null)
+  // Optimizer's proposed stop order, lifted from TourTree so AdminMap can
+  // preview its legs.
+  const [orderPreview, setOrderPreview] = useState<OptimizeOrderResponse | null>(null)
   // S184 — selected leg in the side panel highlights red on the map; clicking
   // a leg polyline on the map selects the matching row.
   const [selectedLegOrder, setSelectedLegOrder] = useState<number | null>(null)
@@ -432,6 +442,14 @@ export function AdminLayout() {
     setTourLegs(legs)
   }, [])
 
+  const handleAlternativesChange = useCallback((alts: LegAlternativesResponse | null) => {
+    setLegAlternatives(alts)
+  }, [])
+
+  const handleOrderPreviewChange = useCallback((proposal: OptimizeOrderResponse | null) => {
+    setOrderPreview(proposal)
+  }, [])
+
   const handleLegSelect = useCallback((legOrder: number) => {
     setSelectedLegOrder((prev) => (prev === legOrder ? null : legOrder))
   }, [])
@@ -894,6 +912,18 @@ export function AdminLayout() {
                 Photos: {showBurstPhotos ? 'ON' : 'OFF'}
               </button>
             )}
+            <button
+              type="button"
+              onClick={() => setShowIsochrone(v => !v)}
+              title="Click the map to draw 5/10/15-minute walking reach and the reachable POIs' geofences"
+              className={`px-3 py-1 text-sm rounded transition-colors ${
+                showIsochrone
+                  ? 'bg-emerald-600 hover:bg-emerald-500 text-white'
+                  : 'bg-slate-700 hover:bg-slate-600 text-slate-100'
+              }`}
+            >
+              Isochrone: {showIsochrone ? 'ON' : 'OFF'}
+            </button>
           </>
         )}
 
@@ -977,6 +1007,8 @@ export function AdminLayout() {
                 addStopMode={addStopMode}
                 onAddStopModeChange={setAddStopMode}
                 onLegsChange={handleLegsChange}
+                onAlternativesChange={handleAlternativesChange}
+                onOrderPreviewChange={handleOrderPreviewChange}
                 selectedLegOrder={selectedLegOrder}
                 onLegSelect={handleLegSelect}
                 onFocusStop={handleFocusStop}
@@ -1002,6 +1034,8 @@ export function AdminLayout() {
               tourModeFilter={tourModeFilter}
               tourStops={tourStops}
               tourLegs={tourLegs}
+              legAlternatives={legAlternatives}
+              orderPreview={orderPreview}
               selectedLegOrder={selectedLegOrder}
               onLegSelect={handleLegSelect}
               focusedStopId={focusedStopId}
@@ -1066,6 +1100,8 @@ export function AdminLayout() {
                 onCancelAddPoiMode={handleCancelAddPoiMode}
                 onMapClickAddPoi={handleMapClickAddPoi}
                 showBurstPhotos={showBurstPhotos}
+                showIsochrone={showIsochrone}
+                onCloseIsochrone={() => setShowIsochrone(false)}
                 canMovePois={!isHistorian}
               />
               {proposalReview && (
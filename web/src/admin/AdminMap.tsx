@@ -17,7 +17,8 @@ import {
   HIST_BUILDINGS_FILTER,
   HIST_LANDMARK_FILTER,
 } from './PoiTree'
-import type { TourLeg, TourStop, TourSummary } from './tourTypes'
+import { LEG_ALTERNATIVE_COLORS } from './tourTypes'
+import type { LegAlternativesResponse, OptimizeOrderResponse, TourLeg, TourStop, TourSummary } from './tourTypes'
 import { BurstPhotosOverlay } from './BurstPhotosOverlay'
 
 // ─── Constants ───────────────────────────────────────────────────────────────
@@ -243,6 +244,12 @@ interface AdminMapProps {
    *  on any leg polyline reports the leg_order via onLegSelect. */
   selectedLegOrder?: number | null
   onLegSelect?: (legOrder: number) => void
+  /** Alternatives for one leg while TourTree's picker is open; drawn in the
+   *  picker's rank colors. */
+  legAlternatives?: LegAlternativesResponse | null
+  /** Proposed stop order while TourTree's optimize-order preview is open;
+   *  its legs are drawn in violet with the proposed stop numbers. */
+  orderPreview?: OptimizeOrderResponse | null
   /** When set (with a fresh nonce on each request), the map flies to the
    *  matching stop's coords. The nonce lets repeat-clicks re-fire. */
   focusedStopId?: number | null
@@ -316,6 +323,11 @@ interface AdminMapProps {
    *  /mnt/sdb-images/LMASalemPictures/ on the map as red pins. Click a pin →
    *  modal with image + EXIF + Delete. Toolbar toggle in AdminLayout. */
   showBurstPhotos?: boolean
+  /** Walking-isochrone mode (toolbar toggle in AdminLayout). While on, a map
+   *  click sets the origin and the map draws /api/salem/isochrone bands plus
+   *  the reachable POIs' geofence circles. */
+  showIsochrone?: boolean
+  onCloseIsochrone?: () => void
   /** S290 — when false (historian role), POI markers are not draggable so a
    *  POI cannot be moved from the map. Defaults to true (full admin). */
   canMovePois?: boolean
@@ -1178,6 +1190,114 @@ function TourLegsLayer({ legs, stops, selectedLegOrder, onLegSelect }: TourLegsL
   return null
 }
 
+// ─── Leg alternatives layer ────────────────────────────────────────────────
+//
+// While TourTree's alternatives picker is open, draws every candidate route
+// for that leg in its picker color (LEG_ALTERNATIVE_COLORS by rank), best
+// route on top, above the green legs. Read-only: picking happens in the panel.
+
+interface LegAlternativesLayerProps {
+  alternatives: LegAlternativesResponse
+}
+
+function LegAlternativesLayer({ alternatives }: LegAlternativesLayerProps) {
+  const map = useMap()
+  useEffect(() => {
+    const group = L.layerGroup()
+    // Share the selected-leg pane (above the dashed stop line) when
+    // TourLegsLayer has created it.
+    const paneOpts: L.PolylineOptions = map.getPane(SELECTED_LEG_PANE) ? { pane: SELECTED_LEG_PANE } : {}
+    const bounds = L.latLngBounds([])
+    for (const alt of [...alternatives.routes].reverse()) {
+      const pts = alt.polyline_json as L.LatLngTuple[]
+      if (!Array.isArray(pts) || pts.length < 2) continue
+      const color = LEG_ALTERNATIVE_COLORS[alt.rank % LEG_ALTERNATIVE_COLORS.length]
+      const tip =
+        `${alt.rank === 0 ? 'best' : `alt ${alt.rank}`} · ${alt.distance_m.toFixed(0)} m · ` +
+        `${Math.round(alt.duration_s / 60)} min`
+      L.polyline(pts, { ...paneOpts, color: '#ffffff', weight: 9, opacity: 0.8, interactive: false }).addTo(group)
+      L.polyline(pts, { ...paneOpts, color, weight: 5, opacity: 0.95, ...(alt.rank > 0 ? { dashArray: '10 6' } : {}) })
+        .bindTooltip(tip, { sticky: true })
+        .addTo(group)
+      for (const p of pts) bounds.extend(p)
+    }
+    group.addTo(map)
+    if (bounds.isValid()) map.fitBounds(bounds, { padding: [60, 60], maxZoom: 18 })
+    return () => {
+      map.removeLayer(group)
+    }
+  }, [alternatives, map])
+  return null
+}
+
+// ─── Optimized order preview layer ─────────────────────────────────────────
+//
+// While TourTree's optimize-order preview is open, draws the proposed legs in
+// violet (a round trip's closing leg dashed) with each stop's proposed
+// position, above the green stored legs. Read-only: applying happens in the
+// panel.
+
+const ORDER_PREVIEW_COLOR = '#7c3aed'
+
+interface OrderPreviewLayerProps {
+  proposal: OptimizeOrderResponse
+}
+
+function OrderPreviewLayer({ proposal }: OrderPreviewLayerProps) {
+  const map = useMap()
+  useEffect(() => {
+    const group = L.layerGroup()
+    const paneOpts: L.PolylineOptions = map.getPane(SELECTED_LEG_PANE) ? { pane: SELECTED_LEG_PANE } : {}
+    const bounds = L.latLngBounds([])
+    for (const leg of proposal.legs) {
+      const pts = leg.polyline_json as L.LatLngTuple[]
+      if (!Array.isArray(pts) || pts.length < 2) continue
+      const tip =
+        `${leg.closing ? 'back to start' : `leg ${leg.leg_order}`} · ${leg.distance_m.toFixed(0)} m · ` +
+        `${Math.round(leg.duration_s / 60)} min`
+      L.polyline(pts, { ...paneOpts, color: '#ffffff', weight: 9, opacity: 0.8, interactive: false }).addTo(group)
+      L.polyline(pts, {
+        ...paneOpts,
+        color: ORDER_PREVIEW_COLOR,
+        weight: 5,
+        opacity: 0.95,
+        ...(leg.closing ? { dashArray: '10 6' } : {}),
+      })
+        .bindTooltip(tip, { sticky: true })
+        .addTo(group)
+      for (const p of pts) bounds.extend(p)
+    }
+    // Proposed position at each leg's start (and the last leg's end, unless
+    // it closes the loop back onto stop 1), over the current stop numbers.
+    const numbered = proposal.legs.map((leg) => leg.polyline_json[0])
+    const last = proposal.legs[proposal.legs.length - 1]
+    if (!last.closing) numbered.push(last.polyline_json[last.polyline_json.length - 1])
+    numbered.forEach((pt, i) => {
+      if (!pt) return
+      const html = `
+        <div style="
+          width:24px;height:24px;border-radius:50%;
+          background:${ORDER_PREVIEW_COLOR};color:#fff;
+          border:2px solid #ffffff;box-shadow:0 0 0 1px rgba(0,0,0,0.4);
+          display:flex;align-items:center;justify-content:center;
+          font-family:system-ui,-apple-system,sans-serif;
+          font-size:11px;font-weight:700;line-height:1;
+        ">${i + 1}</div>`
+      L.marker(pt as L.LatLngTuple, {
+        interactive: false,
+        zIndexOffset: 1000,
+        icon: L.divIcon({ html, className: 'admin-tour-stop-marker', iconSize: [24, 24], iconAnchor: [12, 12] }),
+      }).addTo(group)
+    })
+    group.addTo(map)
+    if (bounds.isValid()) map.fitBounds(bounds, { padding: [60, 60], maxZoom: 18 })
+    return () => {
+      map.removeLayer(group)
+    }
+  }, [proposal, map])
+  return null
+}
+
 interface FitTourBoundsProps {
   stops: TourStop[] | null
   /** Bumps when a different tour is selected so we re-fit. */
@@ -1311,6 +1431,147 @@ function DirectionsLayer({ target, source, onResult }: DirectionsLayerProps) {
   return null
 }
 
+// ─── Isochrone layer ────────────────────────────────────────────────────────
+//
+// Walking-reach check for geofence radii and wave placement. With the
+// toolbar toggle on, a map click sets the origin; /api/salem/isochrone
+// returns one MultiPolygon per time band plus every salem_poi reachable
+// within the largest band. Bands draw largest-first so the nearest sits on
+// top; each reachable POI draws its geofence circle in its band's color, so
+// a radius that spills past its band (or overlaps a neighbour's) is visible.
+
+interface IsochroneResponse {
+  source: 'bundle'
+  profile: string
+  closures: Array<{ id: number; name: string; mode: string }>
+  pace_mps: number
+  origin: {
+    lat: number
+    lng: number
+    snap_lat: number
+    snap_lng: number
+    snap_m: number
+    fullname: string | null
+  }
+  isochrones: {
+    type: 'FeatureCollection'
+    features: Array<{
+      type: 'Feature'
+      properties: { minutes: number; budget_m: number }
+      geometry: { type: 'MultiPolygon'; coordinates: number[][][][] }
+    }>
+  }
+  /** null when the proxy runs bundle-only (no PG). */
+  pois: Array<{
+    id: string
+    name: string
+    category: string | null
+    lat: number
+    lng: number
+    geofence_radius_m: number | null
+    wave: number | null
+    is_tour_poi: boolean | null
+    walk_m: number
+    walk_s: number
+    band_minutes: number
+  }> | null
+}
+
+const ISOCHRONE_MINUTE_PRESETS = ['5,10,15', '3,6,9', '10,20,30']
+// Smallest band first. Six colors = the proxy's ISOCHRONE_MAX_BANDS.
+const ISOCHRONE_BAND_COLORS = ['#16a34a', '#ca8a04', '#ea580c', '#dc2626', '#9333ea', '#0284c7']
+
+function isochroneBandColor(minutes: number, bands: number[]): string {
+  const i = bands.indexOf(minutes)
+  return ISOCHRONE_BAND_COLORS[i < 0 ? ISOCHRONE_BAND_COLORS.length - 1 : i % ISOCHRONE_BAND_COLORS.length]
+}
+
+interface IsochroneLayerProps {
+  origin: { lat: number; lng: number }
+  minutes: string
+  onResult: (r: IsochroneResponse | null, err: string | null) => void
+}
+
+function IsochroneLayer({ origin, minutes, onResult }: IsochroneLayerProps) {
+  const map = useMap()
+  const groupRef = useRef<L.LayerGroup | null>(null)
+
+  useEffect(() => {
+    let cancelled = false
+    const url =
+      `/api/salem/isochrone?lat=${origin.lat}&lng=${origin.lng}` +
+      `&minutes=${encodeURIComponent(minutes)}`
+
+    onResult(null, null) // clear panel while fetching
+
+    fetch(url, { credentials: 'same-origin' })
+      .then(async (res) => {
+        const body = (await res.json()) as IsochroneResponse | { error?: string }
+        if (!res.ok) {
+          const msg = (body as { error?: string }).error || `${res.status} ${res.statusText}`
+          throw new Error(msg)
+        }
+        return body as IsochroneResponse
+      })
+      .then((r) => {
+        if (cancelled) return
+        if (groupRef.current) { map.removeLayer(groupRef.current); groupRef.current = null }
+
+        const bands = r.isochrones.features.map(f => f.properties.minutes)
+        const group = L.layerGroup()
+        for (const f of [...r.isochrones.features].reverse()) {
+          const color = isochroneBandColor(f.properties.minutes, bands)
+          L.geoJSON(f as GeoJSON.Feature, {
+            style: { color, weight: 1.5, opacity: 0.8, fillColor: color, fillOpacity: 0.12 },
+            interactive: false,
+          }).addTo(group)
+        }
+        for (const p of r.pois ?? []) {
+          const color = isochroneBandColor(p.band_minutes, bands)
+          const tip =
+            `${escapeHtml(p.name)}<br/>${Math.round(p.walk_s / 60)} min walk · ` +
+            `geofence ${p.geofence_radius_m ?? '—'} m · wave ${p.wave ?? '—'}`
+          if (p.geofence_radius_m && p.geofence_radius_m > 0) {
+            L.circle([p.lat, p.lng], {
+              radius: p.geofence_radius_m, color, weight: 1, opacity: 0.9, fillOpacity: 0.08,
+            }).bindTooltip(tip).addTo(group)
+          }
+          L.circleMarker([p.lat, p.lng], {
+            radius: 3, color, weight: 1, fillColor: color, fillOpacity: 1,
+          }).bindTooltip(tip).addTo(group)
+        }
+        // Origin as clicked + where it snapped onto the walk network.
+        L.polyline([[origin.lat, origin.lng], [r.origin.snap_lat, r.origin.snap_lng]], {
+          color: '#0f172a', weight: 1, dashArray: '3 3', interactive: false,
+        }).addTo(group)
+        L.circleMarker([r.origin.snap_lat, r.origin.snap_lng], {
+          radius: 6, color: '#0f172a', weight: 2, fillColor: '#ffffff', fillOpacity: 1,
+        }).addTo(group)
+        group.addTo(map)
+        groupRef.current = group
+        onResult(r, null)
+      })
+      .catch((e) => {
+        if (cancelled) return
+        onResult(null, e instanceof Error ? e.message : String(e))
+      })
+
+    return () => {
+      cancelled = true
+    }
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [origin.lat, origin.lng, minutes, map])
+
+  // Final cleanup when the layer unmounts (toggle off).
+  useEffect(() => {
+    return () => {
+      if (groupRef.current) { map.removeLayer(groupRef.current); groupRef.current = null }
+    }
+  }, [map])
+
+  return null
+}
+
 // ─── Proposal preview (S218) ────────────────────────────────────────────────
 // When the selected POI has lat_proposed/lng_proposed set (typically from
 // the PoiEditDialog "Validate via TigerLine" button), drop a fuchsia "?"
@@ -2075,6 +2336,122 @@ function DirectionsPanel({
   )
 }
 
+interface IsochronePanelProps {
+  hasOrigin: boolean
+  minutes: string
+  onMinutesChange: (m: string) => void
+  result: IsochroneResponse | null
+  error: string | null
+  onPoiClick: (id: string) => void
+  onClose: () => void
+}
+
+function IsochronePanel({
+  hasOrigin, minutes, onMinutesChange, result, error, onPoiClick, onClose,
+}: IsochronePanelProps) {
+  const bands = result?.isochrones.features.map(f => f.properties.minutes) ?? []
+  return (
+    <div className="absolute bottom-6 left-2 z-[600] bg-white border border-emerald-300 rounded shadow-lg
+                    px-3 py-2 text-xs w-[300px]">
+      <div className="flex items-start justify-between gap-2">
+        <div className="font-semibold text-emerald-900">Walking isochrone</div>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-slate-500 hover:text-slate-900 leading-none -mt-0.5"
+          aria-label="Close isochrone"
+          title="Close"
+        >
+          ×
+        </button>
+      </div>
+      <div className="mt-1 flex items-center gap-1 text-[11px]">
+        <span className="text-slate-500">Bands (min):</span>
+        {ISOCHRONE_MINUTE_PRESETS.map(p => (
+          <button
+            key={p}
+            type="button"
+            onClick={() => onMinutesChange(p)}
+            className={`px-2 py-0.5 rounded ${
+              minutes === p
+                ? 'bg-emerald-600 text-white'
+                : 'bg-slate-100 hover:bg-slate-200 text-slate-700'
+            }`}
+          >
+            {p}
+          </button>
+        ))}
+      </div>
+      {!hasOrigin && (
+        <div className="mt-2 text-slate-500 italic">Click the map to set the origin</div>
+      )}
+      {error && (
+        <div className="mt-2 text-rose-700 bg-rose-50 px-2 py-1 rounded">
+          {error}
+        </div>
+      )}
+      {hasOrigin && !error && !result && (
+        <div className="mt-2 text-slate-500 italic">Computing isochrone…</div>
+      )}
+      {result && (
+        <div className="mt-2 space-y-1">
+          <div className="text-[11px] text-slate-500">
+            From {result.origin.fullname || 'unnamed edge'} (snapped {result.origin.snap_m.toFixed(0)} m)
+            {' '}@ {result.pace_mps} m/s
+          </div>
+          {result.closures.length > 0 && (
+            <div className="text-[11px] text-amber-700">
+              Closures applied: {result.closures.map(c => c.name).join(', ')}
+            </div>
+          )}
+          <div className="flex flex-wrap gap-2">
+            {bands.map(m => (
+              <span key={m} className="flex items-center gap-1">
+                <span
+                  className="inline-block w-3 h-3 rounded-sm"
+                  style={{ background: isochroneBandColor(m, bands) }}
+                />
+                <span>{m} min</span>
+                {result.pois && (
+                  <span className="text-slate-500 tabular-nums">
+                    ({result.pois.filter(p => p.band_minutes === m).length})
+                  </span>
+                )}
+              </span>
+            ))}
+          </div>
+          {result.pois == null ? (
+            <div className="text-[11px] text-slate-500 italic">
+              POI list unavailable (proxy has no database)
+            </div>
+          ) : (
+            <div className="max-h-56 overflow-y-auto border-t border-slate-200 pt-1">
+              {result.pois.map(p => (
+                <button
+                  key={p.id}
+                  type="button"
+                  onClick={() => onPoiClick(p.id)}
+                  className="w-full flex items-center gap-2 text-left hover:bg-slate-50 rounded px-1"
+                  title={`${p.walk_m.toFixed(0)} m walk`}
+                >
+                  <span
+                    className="inline-block w-2 h-2 rounded-full flex-shrink-0"
+                    style={{ background: isochroneBandColor(p.band_minutes, bands) }}
+                  />
+                  <span className="truncate">{p.name}</span>
+                  <span className="ml-auto tabular-nums text-slate-500 shrink-0">
+                    {Math.round(p.walk_s / 60)}′ · {p.geofence_radius_m ?? '—'} m · w{p.wave ?? '—'}
+                  </span>
+                </button>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
 // ─── Top-level component ────────────────────────────────────────────────────
 
 export function AdminMap({
@@ -2097,6 +2474,8 @@ export function AdminMap({
   tourLegs,
   selectedLegOrder = null,
   onLegSelect,
+  legAlternatives = null,
+  orderPreview = null,
   focusedStopId = null,
   focusedStopNonce = 0,
   onStopMoved,
@@ -2118,6 +2497,8 @@ export function AdminMap({
   proposalReview,
   onProposalDrag,
   showBurstPhotos = false,
+  showIsochrone = false,
+  onCloseIsochrone,
   canMovePois = true,
 }: AdminMapProps) {
   // S188 — geocode-preview view mode. `focusMap` hides every POI marker
@@ -2379,6 +2760,36 @@ export function AdminMap({
     setDirectionsError(null)
   }, [directionsTarget?.id])
 
+  // Isochrone overlay state. Origin is cleared when the mode is toggled off
+  // so re-enabling starts from a fresh click.
+  const [isochroneOrigin, setIsochroneOrigin] = useState<{ lat: number; lng: number } | null>(null)
+  const [isochroneMinutes, setIsochroneMinutes] = useState(ISOCHRONE_MINUTE_PRESETS[0])
+  const [isochroneResult, setIsochroneResult] = useState<IsochroneResponse | null>(null)
+  const [isochroneError, setIsochroneError] = useState<string | null>(null)
+  const handleIsochroneResult = useCallback(
+    (r: IsochroneResponse | null, err: string | null) => {
+      setIsochroneResult(r)
+      setIsochroneError(err)
+    },
+    [],
+  )
+  const handleMapClickIsochrone = useCallback((lat: number, lng: number) => {
+    setIsochroneOrigin({ lat, lng })
+  }, [])
+  const handleIsochronePoiClick = useCallback(
+    (id: string) => {
+      const poi = pois?.find(p => p.id === id)
+      if (poi) effectiveOnPoiSelect({ poi })
+    },
+    [pois, effectiveOnPoiSelect],
+  )
+  useEffect(() => {
+    if (showIsochrone) return
+    setIsochroneOrigin(null)
+    setIsochroneResult(null)
+    setIsochroneError(null)
+  }, [showIsochrone])
+
   const handleCancel = useCallback(() => {
     if (pending) {
       pending.marker.setLatLng([pending.from.lat, pending.from.lng])
@@ -2514,6 +2925,17 @@ export function AdminMap({
           active={addStopMode === 'free' || addPoiMode}
           onClick={handleMapClickAddFree}
         />
+        <MapClickAddListener
+          active={showIsochrone && addStopMode !== 'free' && !addPoiMode}
+          onClick={handleMapClickIsochrone}
+        />
+        {showIsochrone && isochroneOrigin && (
+          <IsochroneLayer
+            origin={isochroneOrigin}
+            minutes={isochroneMinutes}
+            onResult={handleIsochroneResult}
+          />
+        )}
         <FlyToSelected selectedPoi={selectedPoi} minZoom={selectedPoiMinZoom} />
         {tourLegs && tourLegs.length > 0 && (
           <TourLegsLayer
@@ -2523,6 +2945,12 @@ export function AdminMap({
             onLegSelect={onLegSelect ?? (() => {})}
           />
         )}
+        {legAlternatives && legAlternatives.routes.length > 0 && (
+          <LegAlternativesLayer alternatives={legAlternatives} />
+        )}
+        {orderPreview && orderPreview.legs.length > 0 && (
+          <OrderPreviewLayer proposal={orderPreview} />
+        )}
         {tourStops && tourStops.length > 0 && (
           <TourStopLayer stops={tourStops} onDragEnd={handleStopDragEnd} />
         )}
@@ -2645,6 +3073,17 @@ export function AdminMap({
           onClose={() => { onClearDirections?.() }}
         />
       )}
+      {showIsochrone && (
+        <IsochronePanel
+          hasOrigin={isochroneOrigin != null}
+          minutes={isochroneMinutes}
+          onMinutesChange={setIsochroneMinutes}
+          result={isochroneResult}
+          error={isochroneError}
+          onPoiClick={handleIsochronePoiClick}
+          onClose={() => { onCloseIsochrone?.() }}
+        />
+      )}
       {geocodePreview && (
         <GeocodePreviewPanel
           sourcePoi={geocodePreview.sourcePoi}
@@ -2,8 +2,11 @@
 //
 // Owns the tour list and the selected-tour detail UI:
 //   • create / delete / pick a tour
-//   • edit tour metadata (name, theme, description, etc.)
-//   • list waypoints with per-row reorder / delete
+//   • edit tour metadata (name, theme, description, routing profile, etc.)
+//   • publish the draft as a new revision, or roll back to the previous one
+//   • list waypoints with per-row reorder / delete, or apply the optimizer's
+//     proposed order after previewing it on the map
+//   • flag imported waypoints that matched no POI until marked reviewed
 //   • toggle map-add modes (free waypoint click, pick existing POI)
 //   • on any backend mutation, re-fetch the active tour's stops
 //
@@ -14,11 +17,17 @@ import { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import type { PoiRow } from './PoiTree'
 import { isMassgisHistorical } from './PoiTree'
 import { WalkCollectionDialog } from './WalkCollectionDialog'
+import { LEG_ALTERNATIVE_COLORS } from './tourTypes'
 import type {
   ComputeRouteResponse,
+  LegAlternativesResponse,
+  OptimizeOrderResponse,
+  RouteMetaResponse,
+  RouteProfileOption,
   TourDetailResponse,
   TourLeg,
   TourLegsResponse,
+  TourRevisionsResponse,
   TourStop,
   TourSummary,
   ToursListResponse,
@@ -36,6 +45,12 @@ interface TourTreeProps {
   onAddStopModeChange: (mode: AddStopMode) => void
   /** Notifies the parent (AdminLayout) so AdminMap can render the legs. */
   onLegsChange?: (legs: TourLeg[] | null) => void
+  /** Notifies the parent so AdminMap can draw the alternatives being picked
+   *  between for one leg. null = picker closed. */
+  onAlternativesChange?: (alts: LegAlternativesResponse | null) => void
+  /** Notifies the parent so AdminMap can draw a proposed stop order's legs.
+   *  null = no proposal open. */
+  onOrderPreviewChange?: (proposal: OptimizeOrderResponse | null) => void
   /** Currently-selected leg (highlighted red on the map). null = none. */
   selectedLegOrder?: number | null
   /** Click handler for a leg row (toggles selection). */
@@ -62,6 +77,8 @@ export function TourTree({
   addStopMode,
   onAddStopModeChange,
   onLegsChange,
+  onAlternativesChange,
+  onOrderPreviewChange,
   selectedLegOrder = null,
   onLegSelect,
   onFocusStop,
@@ -80,12 +97,29 @@ export function TourTree({
   // S190 — keep the most recent compute-route response so the panel can
   // show a "suspicious legs" call-out under the Compute button.
   const [lastCompute, setLastCompute] = useState<ComputeRouteResponse | null>(null)
+  // Alternatives for one leg while the operator picks between them.
+  const [alternatives, setAlternatives] = useState<LegAlternativesResponse | null>(null)
+  const [loadingAltsFor, setLoadingAltsFor] = useState<number | null>(null)
+  // Optimizer's proposed stop order, previewed on the map until applied or
+  // dismissed.
+  const [orderProposal, setOrderProposal] = useState<OptimizeOrderResponse | null>(null)
+  const [optimizing, setOptimizing] = useState(false)
+  // Revision list for the active tour: what the app ships vs. the draft.
+  const [revisions, setRevisions] = useState<TourRevisionsResponse | null>(null)
 
   // Push legs up to AdminLayout whenever they change so AdminMap can render.
   useEffect(() => {
     onLegsChange?.(legs)
   }, [legs, onLegsChange])
 
+  useEffect(() => {
+    onAlternativesChange?.(alternatives)
+  }, [alternatives, onAlternativesChange])
+
+  useEffect(() => {
+    onOrderPreviewChange?.(orderProposal)
+  }, [orderProposal, onOrderPreviewChange])
+
   const loadTours = useCallback(async () => {
     setError(null)
     try {
@@ -102,6 +136,8 @@ export function TourTree({
         `${ENDPOINT}/${encodeURIComponent(tourId)}/legs`,
       )
       setLegs(body.legs)
+      // Any open picker was for the legs as they were before this reload.
+      setAlternatives(null)
     } catch (e) {
       // Legs endpoint failure is non-fatal — operator may not have computed yet.
       console.warn('[TourTree] loadLegs:', e instanceof Error ? e.message : e)
@@ -109,6 +145,17 @@ export function TourTree({
     }
   }, [])
 
+  const loadRevisions = useCallback(async (tourId: string) => {
+    try {
+      setRevisions(
+        await fetchJson<TourRevisionsResponse>(`${ENDPOINT}/${encodeURIComponent(tourId)}/revisions`),
+      )
+    } catch (e) {
+      console.warn('[TourTree] loadRevisions:', e instanceof Error ? e.message : e)
+      setRevisions(null)
+    }
+  }, [])
+
   const loadTour = useCallback(
     async (tourId: string) => {
       setError(null)
@@ -118,14 +165,17 @@ export function TourTree({
         )
         setTour(body.tour)
         setStops(body.stops)
+        // A proposal is for the stops as they were when it was made.
+        setOrderProposal(null)
         onTourSelect(body.tour, body.stops)
         // Fetch legs in parallel — won't block the stops view.
         void loadLegs(tourId)
+        void loadRevisions(tourId)
       } catch (e) {
         setError(e instanceof Error ? e.message : String(e))
       }
     },
-    [onTourSelect, loadLegs],
+    [onTourSelect, loadLegs, loadRevisions],
   )
 
   const handleComputeRoute = useCallback(
@@ -143,6 +193,7 @@ export function TourTree({
           },
         )
         setLegs(body.legs)
+        setAlternatives(null)
         setLastCompute(body)
         // S190 — verbose console output so the operator can compare per-leg
         // detour ratios without tailing the cache-proxy log. console.table
@@ -209,13 +260,67 @@ export function TourTree({
             `dur=${body.duration_s}s${flag}`,
         )
         await loadLegs(tour.id)
+        void loadRevisions(tour.id)
       } catch (e) {
         setError(e instanceof Error ? e.message : String(e))
       } finally {
         setBusy(false)
       }
     },
-    [tour, loadLegs],
+    [tour, loadLegs, loadRevisions],
+  )
+
+  // Up to three alternatives; the same n goes back on the pick so the server
+  // re-derives the same ranked set.
+  const handleLoadAlternatives = useCallback(
+    async (legOrder: number) => {
+      if (!tour) return
+      setLoadingAltsFor(legOrder)
+      setError(null)
+      try {
+        const body = await fetchJson<LegAlternativesResponse>(
+          `${ENDPOINT}/${encodeURIComponent(tour.id)}/legs/${legOrder}/alternatives?n=3`,
+        )
+        setAlternatives(body)
+      } catch (e) {
+        setError(e instanceof Error ? e.message : String(e))
+      } finally {
+        setLoadingAltsFor(null)
+      }
+    },
+    [tour],
+  )
+
+  const handlePickAlternative = useCallback(
+    async (rank: number) => {
+      if (!tour || !alternatives) return
+      setBusy(true)
+      setError(null)
+      try {
+        const body = await fetchJson<TourLeg>(
+          `${ENDPOINT}/${encodeURIComponent(tour.id)}/legs/${alternatives.leg_order}/alternative`,
+          {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ rank, n: 3 }),
+          },
+        )
+        // eslint-disable-next-line no-console
+        console.log(
+          `[TourTree] leg=${body.leg_order} picked alternative ${rank}  ` +
+            `routed=${body.distance_m}m dur=${body.duration_s}s`,
+        )
+        await loadLegs(tour.id)
+        void loadRevisions(tour.id)
+        // Roll-up may have updated tour.distance_km / estimated_minutes.
+        await loadTours()
+      } catch (e) {
+        setError(e instanceof Error ? e.message : String(e))
+      } finally {
+        setBusy(false)
+      }
+    },
+    [tour, alternatives, loadLegs, loadRevisions, loadTours],
   )
 
   useEffect(() => {
@@ -262,6 +367,9 @@ export function TourTree({
         if (tourId === selectedTourId) {
           setTour(null)
           setStops(null)
+          setAlternatives(null)
+          setOrderProposal(null)
+          setRevisions(null)
         }
         await loadTours()
       } catch (e) {
@@ -295,6 +403,47 @@ export function TourTree({
     [tour, loadTour, loadTours],
   )
 
+  // Snapshots the draft (or reuses the latest revision when nothing changed)
+  // and points the shipped tour at it.
+  const handlePublish = useCallback(async () => {
+    if (!tour) return
+    const note = window.prompt(`Publish the current draft of "${tour.name}"? Optional note:`, '')
+    if (note === null) return
+    setBusy(true)
+    setError(null)
+    try {
+      await fetchJson(`${ENDPOINT}/${encodeURIComponent(tour.id)}/revisions`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ publish: true, ...(note.trim() ? { note: note.trim() } : {}) }),
+      })
+      await loadTour(tour.id)
+    } catch (e) {
+      setError(e instanceof Error ? e.message : String(e))
+    } finally {
+      setBusy(false)
+    }
+  }, [tour, loadTour])
+
+  // Re-publishes the newest earlier published revision. The draft is left
+  // as it is.
+  const handleRollback = useCallback(async () => {
+    if (!tour || !revisions) return
+    if (!window.confirm(`Ship the previously published revision of "${tour.name}" instead of revision ${revisions.published_revision}?`)) {
+      return
+    }
+    setBusy(true)
+    setError(null)
+    try {
+      await fetchJson(`${ENDPOINT}/${encodeURIComponent(tour.id)}/rollback`, { method: 'POST' })
+      await loadTour(tour.id)
+    } catch (e) {
+      setError(e instanceof Error ? e.message : String(e))
+    } finally {
+      setBusy(false)
+    }
+  }, [tour, revisions, loadTour])
+
   const handleDeleteStop = useCallback(
     async (stopId: number) => {
       if (!tour) return
@@ -316,6 +465,31 @@ export function TourTree({
     [tour, loadTour],
   )
 
+  // Clears an imported stop's unmatched flag once the operator has checked it.
+  const handleReviewStop = useCallback(
+    async (stopId: number) => {
+      if (!tour) return
+      setBusy(true)
+      setError(null)
+      try {
+        await fetchJson(
+          `${ENDPOINT}/${encodeURIComponent(tour.id)}/stops/${stopId}`,
+          {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ import_unmatched: false }),
+          },
+        )
+        await loadTour(tour.id)
+      } catch (e) {
+        setError(e instanceof Error ? e.message : String(e))
+      } finally {
+        setBusy(false)
+      }
+    },
+    [tour, loadTour],
+  )
+
   const handleReorder = useCallback(
     async (newOrderIds: number[]) => {
       if (!tour) return
@@ -340,6 +514,43 @@ export function TourTree({
     [tour, loadTour],
   )
 
+  // Preview only — nothing is written until the operator applies the
+  // proposal through handleReorder.
+  const handleOptimizeOrder = useCallback(
+    async (opts: { pin_end: boolean; round_trip: boolean }) => {
+      if (!tour) return
+      setOptimizing(true)
+      setError(null)
+      try {
+        const body = await fetchJson<OptimizeOrderResponse>(
+          `${ENDPOINT}/${encodeURIComponent(tour.id)}/optimize-order`,
+          {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ pin_start: true, ...opts }),
+          },
+        )
+        setAlternatives(null)
+        setOrderProposal(body)
+        // eslint-disable-next-line no-console
+        console.log(
+          `[TourTree] optimize-order tour=${body.tour_id} method=${body.method} changed=${body.changed} ` +
+            `current=${Math.round(body.current_distance_m ?? 0)}m proposed=${Math.round(body.total_distance_m)}m`,
+        )
+      } catch (e) {
+        setError(e instanceof Error ? e.message : String(e))
+      } finally {
+        setOptimizing(false)
+      }
+    },
+    [tour],
+  )
+
+  const handleApplyOrder = useCallback(async () => {
+    if (!orderProposal) return
+    await handleReorder(orderProposal.order)
+  }, [orderProposal, handleReorder])
+
   const moveStop = useCallback(
     (stopId: number, dir: -1 | 1) => {
       if (!stops) return
@@ -444,6 +655,13 @@ export function TourTree({
         <div className="flex-1 min-h-0 flex flex-col overflow-y-auto">
           <TourMetadataForm tour={tour} busy={busy} onSave={handleSaveMeta} />
 
+          <RevisionBar
+            revisions={revisions}
+            busy={busy || computing}
+            onPublish={handlePublish}
+            onRollback={handleRollback}
+          />
+
           <div className="px-3 py-2 border-y border-slate-200 bg-slate-50 sticky top-0 z-10">
             <div className="text-xs font-semibold uppercase tracking-wide text-slate-600 mb-1">
               Waypoints ({stops?.length ?? 0})
@@ -497,6 +715,16 @@ export function TourTree({
             selectedLegOrder={selectedLegOrder}
             onLegSelect={onLegSelect}
             lastCompute={lastCompute}
+            alternatives={alternatives}
+            loadingAltsFor={loadingAltsFor}
+            onLoadAlternatives={handleLoadAlternatives}
+            onPickAlternative={handlePickAlternative}
+            onCloseAlternatives={() => setAlternatives(null)}
+            orderProposal={orderProposal}
+            optimizing={optimizing}
+            onOptimizeOrder={handleOptimizeOrder}
+            onApplyOrder={handleApplyOrder}
+            onCloseOrder={() => setOrderProposal(null)}
           />
 
           <ol className="text-xs">
@@ -521,6 +749,14 @@ export function TourTree({
                           [free]
                         </span>
                       )}
+                      {s.import_unmatched && (
+                        <span
+                          className="ml-1 text-[10px] text-amber-700 align-middle"
+                          title="Imported without a matching POI — check its position"
+                        >
+                          [unmatched]
+                        </span>
+                      )}
                     </div>
                     <div className="text-[10px] text-slate-400 font-mono truncate">
                       {s.effective_lat?.toFixed(6) ?? '—'}, {s.effective_lng?.toFixed(6) ?? '—'}
@@ -532,6 +768,17 @@ export function TourTree({
                     </div>
                   </div>
                   <div className="flex items-center gap-0.5 text-slate-500">
+                    {s.import_unmatched && (
+                      <button
+                        type="button"
+                        onClick={(e) => { e.stopPropagation(); void handleReviewStop(s.stop_id) }}
+                        disabled={busy}
+                        title="Mark reviewed"
+                        className="px-1.5 py-0.5 rounded text-emerald-600 hover:bg-emerald-50 disabled:opacity-30"
+                      >
+                        ✓
+                      </button>
+                    )}
                     <button
                       type="button"
                       onClick={(e) => { e.stopPropagation(); moveStop(s.stop_id, -1) }}
@@ -570,12 +817,77 @@ export function TourTree({
   )
 }
 
+// ─── Revisions ─────────────────────────────────────────────────────────────
+//
+// What the app ships for this tour: edits change the draft only, so the
+// publish scripts keep baking the published revision until "Publish draft"
+// snapshots a new one. "Roll back" re-publishes the previous published
+// revision (repeat clicks walk further back).
+
+interface RevisionBarProps {
+  revisions: TourRevisionsResponse | null
+  busy: boolean
+  onPublish: () => void | Promise<void>
+  onRollback: () => void | Promise<void>
+}
+
+function RevisionBar({ revisions, busy, onPublish, onRollback }: RevisionBarProps) {
+  if (!revisions) return null
+  const current = revisions.published_revision
+  const canRollBack =
+    current != null && revisions.revisions.some((r) => r.revision < current && r.first_published_at != null)
+  // After a rollback the latest revision (and so the draft) isn't what ships.
+  const unpublished =
+    current == null ||
+    revisions.draft_changed ||
+    revisions.status !== 'published' ||
+    revisions.revisions[0]?.revision !== current
+
+  return (
+    <div className="px-3 py-2 border-t border-slate-200 flex items-center gap-2 flex-wrap text-xs">
+      <span className="text-slate-600">
+        {current != null ? (
+          <>
+            Shipping <span className="font-mono">rev {current}</span>
+          </>
+        ) : (
+          <span className="text-amber-700">Not published — the app doesn't ship this tour</span>
+        )}
+        {current != null && unpublished && (
+          <span className="ml-1 text-amber-700">· the draft differs from it</span>
+        )}
+      </span>
+      <span className="flex-1" />
+      <button
+        type="button"
+        onClick={() => void onPublish()}
+        disabled={busy || !unpublished}
+        className="text-xs px-2 py-1 rounded bg-emerald-600 text-white hover:bg-emerald-500 disabled:opacity-40"
+        title="Snapshot the draft as a new revision and ship it"
+      >
+        Publish draft
+      </button>
+      <button
+        type="button"
+        onClick={() => void onRollback()}
+        disabled={busy || !canRollBack}
+        className="text-xs px-2 py-1 rounded bg-slate-200 text-slate-700 hover:bg-slate-300 disabled:opacity-40"
+        title="Ship the previously published revision again"
+      >
+        Roll back
+      </button>
+    </div>
+  )
+}
+
 // ─── Route section (S183) ──────────────────────────────────────────────────
 //
 // Compute Route button + per-leg list. Computes walking polylines for every
 // consecutive pair of stops via the on-device router (cache-proxy bundle),
 // and persists them to salem_tour_legs. The operator can then recompute a
-// single leg if a waypoint moved.
+// single leg if a waypoint moved, open the alternatives picker (⇄) to
+// swap a leg for one of the router's distinct alternatives, or preview the
+// optimizer's stop order before applying it.
 interface RouteSectionProps {
   tour: TourSummary
   stopCount: number
@@ -592,6 +904,19 @@ interface RouteSectionProps {
    * operator can fix bad legs without grepping the proxy log.
    */
   lastCompute: ComputeRouteResponse | null
+  /** Alternatives for one leg (drawn on the map); null = picker closed. */
+  alternatives: LegAlternativesResponse | null
+  /** leg_order whose alternatives are being fetched. */
+  loadingAltsFor: number | null
+  onLoadAlternatives: (legOrder: number) => void | Promise<void>
+  onPickAlternative: (rank: number) => void | Promise<void>
+  onCloseAlternatives: () => void
+  /** Proposed stop order (drawn on the map); null = preview closed. */
+  orderProposal: OptimizeOrderResponse | null
+  optimizing: boolean
+  onOptimizeOrder: (opts: { pin_end: boolean; round_trip: boolean }) => void | Promise<void>
+  onApplyOrder: () => void | Promise<void>
+  onCloseOrder: () => void
 }
 
 // S214 — Tour-mode preview panel. Mirrors the device's S186 narration gate:
@@ -695,6 +1020,16 @@ function RouteSection({
   selectedLegOrder,
   onLegSelect,
   lastCompute,
+  alternatives,
+  loadingAltsFor,
+  onLoadAlternatives,
+  onPickAlternative,
+  onCloseAlternatives,
+  orderProposal,
+  optimizing,
+  onOptimizeOrder,
+  onApplyOrder,
+  onCloseOrder,
 }: RouteSectionProps) {
   const totalDistance = useMemo(
     () => (legs ?? []).reduce((s, l) => s + l.distance_m, 0),
@@ -745,6 +1080,15 @@ function RouteSection({
               Force all
             </button>
           )}
+          <button
+            type="button"
+            onClick={() => void onOptimizeOrder({ pin_end: false, round_trip: false })}
+            disabled={computing || busy || optimizing || stopCount < 3}
+            className="text-xs px-2 py-1 rounded bg-violet-100 text-violet-800 border border-violet-300 hover:bg-violet-200 disabled:opacity-40"
+            title="Preview the shortest visiting order (first stop stays first) on the map"
+          >
+            {optimizing ? 'Optimizing…' : 'Optimize order'}
+          </button>
           {stopCount < 2 && (
             <span className="text-amber-700">Add at least 2 waypoints to route.</span>
           )}
@@ -854,6 +1198,20 @@ function RouteSection({
                       {leg.polyline_json.length} pts
                     </div>
                   </div>
+                  <button
+                    type="button"
+                    onClick={(e) => {
+                      e.stopPropagation()
+                      void onLoadAlternatives(leg.leg_order)
+                    }}
+                    disabled={busy || computing || loadingAltsFor != null}
+                    title="Show alternative routes for this leg on the map"
+                    className={`px-1.5 py-0.5 rounded hover:bg-slate-100 disabled:opacity-30 ${
+                      alternatives?.leg_order === leg.leg_order ? 'text-blue-700' : 'text-slate-500'
+                    }`}
+                  >
+                    {loadingAltsFor === leg.leg_order ? '…' : '⇄'}
+                  </button>
                   <button
                     type="button"
                     onClick={(e) => {
@@ -877,6 +1235,26 @@ function RouteSection({
           </ol>
         )}
 
+        {alternatives && (
+          <LegAlternativesPicker
+            alternatives={alternatives}
+            current={legs?.find((l) => l.leg_order === alternatives.leg_order) ?? null}
+            busy={busy || computing}
+            onPick={onPickAlternative}
+            onClose={onCloseAlternatives}
+          />
+        )}
+
+        {orderProposal && (
+          <OrderProposalPanel
+            proposal={orderProposal}
+            busy={busy || computing || optimizing}
+            onRerun={onOptimizeOrder}
+            onApply={onApplyOrder}
+            onClose={onCloseOrder}
+          />
+        )}
+
         {haveLegs && tour.id && (
           <div className="text-[10px] text-slate-400 font-mono">
             router: {legs![0]?.router_version ?? '—'}
@@ -887,6 +1265,187 @@ function RouteSection({
   )
 }
 
+// ─── Leg alternatives picker ───────────────────────────────────────────────
+//
+// Lists the router's alternatives for one leg, colored to match their
+// polylines on the map. "Use" stores that route as the leg (a manual edit, so
+// a plain Recompute route keeps it; Force all discards it).
+
+interface LegAlternativesPickerProps {
+  alternatives: LegAlternativesResponse
+  current: TourLeg | null
+  busy: boolean
+  onPick: (rank: number) => void | Promise<void>
+  onClose: () => void
+}
+
+function LegAlternativesPicker({ alternatives, current, busy, onPick, onClose }: LegAlternativesPickerProps) {
+  const edits = current?.manual_edits as { kind?: string; rank?: number } | null | undefined
+  const currentRank = edits?.kind === 'alternative' && typeof edits.rank === 'number' ? edits.rank : null
+  const otherEdits = edits != null && currentRank == null
+
+  return (
+    <div className="border border-blue-300 bg-blue-50 rounded p-2 space-y-1">
+      <div className="flex items-center justify-between gap-2">
+        <span className="font-semibold text-blue-900">
+          Leg {alternatives.leg_order} alternatives
+          <span className="ml-1 font-normal text-blue-700">({alternatives.route_profile})</span>
+        </span>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-slate-500 hover:text-slate-900 leading-none"
+          aria-label="Close alternatives"
+          title="Close"
+        >
+          ×
+        </button>
+      </div>
+      {alternatives.routes.length === 1 && (
+        <div className="text-blue-800 italic text-[11px]">
+          No distinct alternative within the overlap limit — only the best route exists.
+        </div>
+      )}
+      <ul className="space-y-0.5">
+        {alternatives.routes.map((alt) => (
+          <li key={alt.rank} className="flex items-center gap-2">
+            <span
+              className="inline-block w-3 h-1.5 rounded-sm shrink-0"
+              style={{ background: LEG_ALTERNATIVE_COLORS[alt.rank % LEG_ALTERNATIVE_COLORS.length] }}
+            />
+            <span className="font-mono text-blue-900 w-10 shrink-0">
+              {alt.rank === 0 ? 'best' : `alt ${alt.rank}`}
+            </span>
+            <span className="flex-1 tabular-nums text-slate-700 truncate">
+              {alt.distance_m.toFixed(0)} m · {Math.round(alt.duration_s / 60)} min
+              {alt.rank > 0 && (
+                <span className="text-slate-500">
+                  {' '}· {alt.stretch}× · {alt.overlap_pct}% shared
+                </span>
+              )}
+            </span>
+            {currentRank === alt.rank ? (
+              <span className="text-[10px] text-blue-700 font-semibold">in use</span>
+            ) : (
+              <button
+                type="button"
+                onClick={() => {
+                  if (otherEdits && !window.confirm('This leg has manual edits. Replacing it will discard them. Continue?')) return
+                  void onPick(alt.rank)
+                }}
+                disabled={busy}
+                className="text-[11px] px-2 py-0.5 rounded bg-blue-600 text-white hover:bg-blue-500 disabled:opacity-40"
+              >
+                Use
+              </button>
+            )}
+          </li>
+        ))}
+      </ul>
+    </div>
+  )
+}
+
+// ─── Optimized order preview ───────────────────────────────────────────────
+//
+// The optimizer's proposed stop order, drawn on the map in violet. "Apply"
+// rewrites stop_order via /stops/reorder; the stored legs still follow the
+// old order until the route is recomputed.
+
+interface OrderProposalPanelProps {
+  proposal: OptimizeOrderResponse
+  busy: boolean
+  onRerun: (opts: { pin_end: boolean; round_trip: boolean }) => void | Promise<void>
+  onApply: () => void | Promise<void>
+  onClose: () => void
+}
+
+function OrderProposalPanel({ proposal, busy, onRerun, onApply, onClose }: OrderProposalPanelProps) {
+  const moved = proposal.stops.filter((s) => s.current_order !== s.proposed_order).length
+  const km = (m: number) => (m / 1000).toFixed(2)
+
+  return (
+    <div className="border border-violet-300 bg-violet-50 rounded p-2 space-y-1">
+      <div className="flex items-center justify-between gap-2">
+        <span className="font-semibold text-violet-900">
+          Optimized order
+          <span className="ml-1 font-normal text-violet-700">({proposal.route_profile})</span>
+        </span>
+        <button
+          type="button"
+          onClick={onClose}
+          className="text-slate-500 hover:text-slate-900 leading-none"
+          aria-label="Close optimized order"
+          title="Close"
+        >
+          ×
+        </button>
+      </div>
+      <div className="flex items-center gap-3 text-[11px] text-violet-900">
+        <label className="flex items-center gap-1 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={proposal.pin_end}
+            disabled={busy}
+            onChange={(e) => void onRerun({ pin_end: e.target.checked, round_trip: false })}
+            className="w-3 h-3 accent-violet-600"
+          />
+          keep last stop last
+        </label>
+        <label className="flex items-center gap-1 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={proposal.round_trip}
+            disabled={busy}
+            onChange={(e) => void onRerun({ pin_end: false, round_trip: e.target.checked })}
+            className="w-3 h-3 accent-violet-600"
+          />
+          round trip
+        </label>
+      </div>
+      <div className="tabular-nums text-slate-700">
+        {proposal.current_distance_m != null && <>{km(proposal.current_distance_m)} km → </>}
+        <strong>{km(proposal.total_distance_m)} km</strong> · {Math.round(proposal.total_duration_s / 60)} min
+        {proposal.saved_m != null && proposal.saved_m > 0 && (
+          <span className="text-emerald-700"> · saves {proposal.saved_m.toFixed(0)} m</span>
+        )}
+      </div>
+      {!proposal.changed ? (
+        <div className="text-violet-800 italic text-[11px]">The current order is already the shortest found.</div>
+      ) : (
+        <>
+          <ol className="font-mono text-[11px] text-slate-700 max-h-40 overflow-y-auto">
+            {proposal.stops.map((s) => (
+              <li key={s.stop_id} className="flex gap-2">
+                <span className="w-5 text-right tabular-nums">{s.proposed_order}</span>
+                <span className="flex-1 truncate">{s.name ?? `stop ${s.stop_id}`}</span>
+                {s.current_order !== s.proposed_order && (
+                  <span className="text-violet-700 tabular-nums">was {s.current_order}</span>
+                )}
+              </li>
+            ))}
+          </ol>
+          <div className="flex items-center gap-2">
+            <button
+              type="button"
+              onClick={() => {
+                if (window.confirm(`Reorder ${moved} waypoint${moved === 1 ? '' : 's'}? Recompute the route afterwards.`)) {
+                  void onApply()
+                }
+              }}
+              disabled={busy}
+              className="text-[11px] px-2 py-0.5 rounded bg-violet-600 text-white hover:bg-violet-500 disabled:opacity-40"
+            >
+              Apply order
+            </button>
+            <span className="text-[11px] text-violet-800 italic">Legs follow the old order until recomputed.</span>
+          </div>
+        </>
+      )}
+    </div>
+  )
+}
+
 // ─── Metadata form ──────────────────────────────────────────────────────────
 
 interface TourMetadataFormProps {
@@ -905,10 +1464,27 @@ function TourMetadataForm({ tour, busy, onSave }: TourMetadataFormProps) {
   const [seasonal, setSeasonal] = useState(Boolean(tour.seasonal))
   const [isHistoricalTour, setIsHistoricalTour] = useState(Boolean(tour.is_historical_tour))
   const [sortOrder, setSortOrder] = useState(String(tour.sort_order ?? 0))
+  const [routeProfile, setRouteProfile] = useState(tour.route_profile ?? 'default')
+  // Profiles the router knows. null until /route/meta answers; stays null
+  // when the bundle isn't loaded, and the select then offers only the
+  // tour's current value.
+  const [profiles, setProfiles] = useState<RouteProfileOption[] | null>(null)
   const [walkDialogOpen, setWalkDialogOpen] = useState(false)
   const [walkSaveToast, setWalkSaveToast] = useState<string | null>(null)
   const lastIdRef = useRef<string | null>(null)
 
+  useEffect(() => {
+    let cancelled = false
+    fetchJson<RouteMetaResponse>('/api/salem/route/meta')
+      .then((meta) => {
+        if (!cancelled) setProfiles(meta.profiles)
+      })
+      .catch((e) => console.warn('[TourTree] route profiles:', e instanceof Error ? e.message : e))
+    return () => {
+      cancelled = true
+    }
+  }, [])
+
   useEffect(() => {
     if (lastIdRef.current === tour.id) return
     lastIdRef.current = tour.id
@@ -921,6 +1497,7 @@ function TourMetadataForm({ tour, busy, onSave }: TourMetadataFormProps) {
     setSeasonal(Boolean(tour.seasonal))
     setIsHistoricalTour(Boolean(tour.is_historical_tour))
     setSortOrder(String(tour.sort_order ?? 0))
+    setRouteProfile(tour.route_profile ?? 'default')
   }, [tour])
 
   const dirty = useMemo(() => {
@@ -933,9 +1510,18 @@ function TourMetadataForm({ tour, busy, onSave }: TourMetadataFormProps) {
       difficulty !== (tour.difficulty ?? 'moderate') ||
       seasonal !== Boolean(tour.seasonal) ||
       isHistoricalTour !== Boolean(tour.is_historical_tour) ||
-      sortOrder !== String(tour.sort_order ?? 0)
+      sortOrder !== String(tour.sort_order ?? 0) ||
+      routeProfile !== (tour.route_profile ?? 'default')
     )
-  }, [name, theme, description, minutes, km, difficulty, seasonal, isHistoricalTour, sortOrder, tour])
+  }, [name, theme, description, minutes, km, difficulty, seasonal, isHistoricalTour, sortOrder, routeProfile, tour])
+
+  // The tour's stored profile is always selectable, even when the router is
+  // down or no longer defines it, so opening the form never changes it.
+  const profileOptions = useMemo(() => {
+    const current = tour.route_profile ?? 'default'
+    const list = profiles ?? []
+    return list.some((p) => p.id === current) ? list : [{ id: current, label: current }, ...list]
+  }, [profiles, tour.route_profile])
 
   const submit = () => {
     const patch: Partial<TourSummary> = {}
@@ -951,6 +1537,7 @@ function TourMetadataForm({ tour, busy, onSave }: TourMetadataFormProps) {
     if (isHistoricalTour !== Boolean(tour.is_historical_tour)) patch.is_historical_tour = isHistoricalTour
     const so = parseInt(sortOrder, 10)
     if (Number.isFinite(so) && so !== (tour.sort_order ?? 0)) patch.sort_order = so
+    if (routeProfile !== (tour.route_profile ?? 'default')) patch.route_profile = routeProfile
     void onSave(patch)
   }
 
@@ -1069,6 +1656,19 @@ function TourMetadataForm({ tour, busy, onSave }: TourMetadataFormProps) {
             />
           </Field>
         </div>
+        <Field label="Routing profile">
+          <select
+            className="w-full border border-slate-300 rounded px-2 py-1 bg-white"
+            value={routeProfile}
+            onChange={(e) => setRouteProfile(e.target.value)}
+          >
+            {profileOptions.map((p) => (
+              <option key={p.id} value={p.id}>
+                {p.label === p.id ? p.id : `${p.label} (${p.id})`}
+              </option>
+            ))}
+          </select>
+        </Field>
         <label className="flex items-center gap-2 text-xs text-slate-700">
           <input
             type="checkbox"
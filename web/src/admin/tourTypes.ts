@@ -26,6 +26,12 @@ export interface TourSummary {
   collection_entry_count: number | null
   /** S269 — id of the walk-derived collection bound to this tour, if any. */
   collection_id: string | null
+  // Detail endpoint (GET /admin/salem/tours/:id) only.
+  /** Cost model compute-route routes this tour under (ROUTING_PROFILES). */
+  route_profile?: string
+  status?: 'draft' | 'published'
+  /** Revision number the app ships; null = none published yet. */
+  published_revision?: number | null
 }
 
 export interface TourStop {
@@ -53,6 +59,9 @@ export interface TourStop {
    *  haven't been backfilled yet. */
   edge_id?: number | null
   edge_fraction?: number | null
+  /** Set by tour import when the waypoint matched no POI; cleared when the
+   *  stop is moved or marked reviewed. */
+  import_unmatched?: boolean
   updated_at: string
 }
 
@@ -113,6 +122,96 @@ export interface TourLegsResponse {
   legs: TourLeg[]
 }
 
+// Alternative walking routes for one leg, from
+// GET /admin/salem/tours/:id/legs/:leg_order/alternatives. rank 0 is what
+// compute-route would store; picking any rank via POST …/alternative stores
+// it as the leg with manual_edits.kind = 'alternative'.
+export interface LegAlternative {
+  rank: number
+  distance_m: number
+  duration_s: number
+  /** Largest % of this route's length shared with any better-ranked route. */
+  overlap_pct: number
+  /** distance_m / rank-0 distance_m. */
+  stretch: number
+  polyline_json: Array<[number, number]>
+  diagnostics?: LegDiagnostics
+}
+
+export interface LegAlternativesResponse {
+  tour_id: string
+  leg_order: number
+  from_stop_id: number
+  to_stop_id: number
+  route_profile: string
+  routes: LegAlternative[]
+}
+
+/** Map + picker colors by rank, so a list row and its polyline match. */
+export const LEG_ALTERNATIVE_COLORS = ['#2563eb', '#d97706', '#9333ea', '#0d9488']
+
+// Tour revisions (lib/admin-tour-revisions.js). The live rows are the draft;
+// the app ships the published revision's snapshot.
+export interface TourRevision {
+  id: number
+  tour_id: string
+  revision: number
+  note: string | null
+  created_by: string | null
+  created_at: string
+  first_published_at: string | null
+  stop_count: number
+  leg_count: number
+  published: boolean
+}
+
+export interface TourRevisionsResponse {
+  tour_id: string
+  status: 'draft' | 'published'
+  published_revision: number | null
+  /** True when the draft differs from the latest revision. */
+  draft_changed: boolean
+  count: number
+  revisions: TourRevision[]
+}
+
+// Proposed visiting order from POST /admin/salem/tours/:id/optimize-order.
+// Preview only: `order` is ready for POST …/stops/reorder, `legs` are the
+// routes between the reordered stops for the map.
+export interface OptimizeOrderLeg {
+  leg_order: number
+  from_stop_id: number
+  to_stop_id: number
+  polyline_json: Array<[number, number]>
+  distance_m: number
+  duration_s: number
+  /** Round trips only: the leg back to the first stop (not a stored leg). */
+  closing: boolean
+}
+
+export interface OptimizeOrderResponse {
+  tour_id: string
+  route_profile: string
+  method: string
+  pin_start: boolean
+  pin_end: boolean
+  round_trip: boolean
+  /** False when the current order is already the best found. */
+  changed: boolean
+  order: number[]
+  stops: Array<{
+    stop_id: number
+    name: string | null
+    current_order: number
+    proposed_order: number
+  }>
+  current_distance_m: number | null
+  total_distance_m: number
+  total_duration_s: number
+  saved_m: number | null
+  legs: OptimizeOrderLeg[]
+}
+
 export interface ComputeRouteResponse {
   tour_id: string
   leg_count: number
@@ -131,3 +230,14 @@ export interface ComputeRouteResponse {
   suspicious_count?: number
   legs: TourLeg[]
 }
+
+// Routing profiles from GET /api/salem/route/meta (the router's
+// ROUTING_PROFILES). Only the field the tour form needs is typed.
+export interface RouteProfileOption {
+  id: string
+  label: string
+}
+
+export interface RouteMetaResponse {
+  profiles: RouteProfileOption[]
+}